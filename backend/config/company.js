@@ -0,0 +1,15 @@
+/**
+ * Company profile
+ * Our own GST registration, used as the recipient on procurement and the
+ * supplier on sales
+ */
+
+const company = {
+  name: process.env.COMPANY_NAME || 'Cotton Trading Co.',
+  gstin: process.env.COMPANY_GSTIN || null,
+  state_code: process.env.COMPANY_STATE_CODE || null
+};
+
+module.exports = {
+  company
+};
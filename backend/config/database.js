@@ -0,0 +1,27 @@
+/**
+ * Database client selection
+ * Returns the Supabase client or the in-memory client depending on DATA_BACKEND
+ */
+
+const backend = (process.env.DATA_BACKEND || 'supabase').toLowerCase();
+
+let db;
+
+if (backend === 'memory') {
+  const { createMemoryClient } = require('../database/memoryClient');
+  // MEMORY_SEED=true starts the in-memory database with the development seed data
+  const initialData = process.env.MEMORY_SEED === 'true'
+    ? require('../database/seeds').buildSeedData()
+    : {};
+  db = createMemoryClient(initialData);
+} else if (backend === 'supabase') {
+  // Only require the Supabase config when selected, since it validates its env on load
+  db = require('./supabase').supabase;
+} else {
+  throw new Error(`Unsupported DATA_BACKEND "${backend}". Use "supabase" or "memory"`);
+}
+
+module.exports = {
+  db,
+  backend
+};
@@ -0,0 +1,35 @@
+/**
+ * Document storage selection
+ * Returns the local filesystem store or the S3-compatible store depending on
+ * DOCUMENT_STORAGE
+ */
+
+const path = require('path');
+
+const backend = (process.env.DOCUMENT_STORAGE || 'local').toLowerCase();
+
+let storage;
+
+if (backend === 'local') {
+  const { createLocalStorage } = require('../storage/localStorage');
+  storage = createLocalStorage(process.env.DOCUMENT_STORAGE_PATH || path.join(__dirname, '..', 'uploads'));
+} else if (backend === 's3') {
+  const { createS3Storage } = require('../storage/s3Storage');
+  storage = createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : undefined
+  });
+} else {
+  throw new Error(`Unsupported DOCUMENT_STORAGE "${backend}". Use "local" or "s3"`);
+}
+
+module.exports = {
+  storage,
+  backend
+};
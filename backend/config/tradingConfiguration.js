@@ -0,0 +1,143 @@
+/**
+ * Trading configuration definitions
+ * Keys the application reads from trading_configuration and the Joi schema
+ * each new config version must satisfy
+ */
+
+const Joi = require('joi');
+
+const percentage = Joi.number().min(0).max(100);
+
+const CONFIG_VALUE_SCHEMAS = {
+  EMD_PERCENTAGE_LOW: Joi.object({
+    percentage: percentage.required()
+  }),
+  EMD_PERCENTAGE_HIGH: Joi.object({
+    percentage: percentage.required()
+  }),
+  // Checked in order, first match wins; omitted criteria match anything
+  EMD_RULES: Joi.object({
+    rules: Joi.array().items(
+      Joi.object({
+        name: Joi.string().max(100).required(),
+        min_bales: Joi.number().integer().min(0).optional(),
+        max_bales: Joi.number().integer().min(0).optional(),
+        buyer_type: Joi.string().max(50).optional(),
+        crop_year: Joi.string().max(20).optional(),
+        zone: Joi.string().max(50).optional(),
+        percentage: percentage.required()
+      }).custom((rule, helpers) => {
+        if (rule.min_bales !== undefined && rule.max_bales !== undefined && rule.min_bales > rule.max_bales) {
+          return helpers.message(`${rule.name}: min_bales cannot exceed max_bales`);
+        }
+        return rule;
+      })
+    ).min(1).required()
+  }),
+  GST_RATES: Joi.object({
+    cgst: percentage.required(),
+    sgst: percentage.required(),
+    igst: percentage.required(),
+    // Rates by HSN code or heading (4, 6 or 8 digits); cgst/sgst/igst apply otherwise
+    hsn_rates: Joi.object().pattern(/^\d{4}(\d{2}){0,2}$/, percentage).optional()
+  }).custom((value, helpers) => {
+    // Inter-state IGST must equal intra-state CGST + SGST
+    if (Math.abs(value.igst - (value.cgst + value.sgst)) > 1e-9) {
+      return helpers.message('igst must equal cgst + sgst');
+    }
+    return value;
+  }),
+  // Balance tranches after the EMD; due days count from the EMD due date
+  PAYMENT_SCHEDULE: Joi.object({
+    tranches: Joi.array().items(
+      Joi.object({
+        name: Joi.string().max(100).required(),
+        percentage: percentage.greater(0).required(),
+        due_business_days: Joi.number().integer().min(0).max(365).required()
+      })
+    ).min(1).required()
+  }).custom((value, helpers) => {
+    const total = value.tranches.reduce((sum, tranche) => sum + tranche.percentage, 0);
+    if (Math.abs(total - 100) > 1e-9) {
+      return helpers.message('tranche percentages must add up to 100');
+    }
+    const outOfOrder = value.tranches.some((tranche, index) =>
+      index > 0 && tranche.due_business_days < value.tranches[index - 1].due_business_days);
+    if (outOfOrder) {
+      return helpers.message('tranches must be in order of due_business_days');
+    }
+    return value;
+  }),
+  // Charges on overdue payments; interest is a percentage per business day
+  PENALTY_RULES: Joi.object({
+    interest_rate_per_day: percentage.required(),
+    flat_late_fee: Joi.number().min(0).required(),
+    grace_days: Joi.number().integer().min(0).max(365).required()
+  }),
+  // Sign-off levels for purchase contracts; a contract needs every level
+  // whose min_contract_value (rupees) its value reaches, in order
+  CONTRACT_APPROVAL_LEVELS: Joi.object({
+    levels: Joi.array().items(
+      Joi.object({
+        name: Joi.string().max(100).required(),
+        min_contract_value: Joi.number().min(0).required()
+      })
+    ).min(1).required()
+  }).custom((value, helpers) => {
+    if (value.levels[0].min_contract_value !== 0) {
+      return helpers.message('the first level must have min_contract_value 0 so every contract is signed off');
+    }
+    const outOfOrder = value.levels.some((level, index) =>
+      index > 0 && level.min_contract_value <= value.levels[index - 1].min_contract_value);
+    if (outOfOrder) {
+      return helpers.message('levels must be in increasing order of min_contract_value');
+    }
+    return value;
+  }),
+  CANDY_RATE: Joi.object({
+    base_rate: Joi.number().positive().required(),
+    zone_multiplier: Joi.object()
+      .pattern(Joi.string(), Joi.number().positive())
+      .min(1)
+      .required()
+  })
+};
+
+// Keys read by POST /api/procurement/calculate
+const PROCUREMENT_CONFIG_KEYS = [
+  'EMD_RULES',
+  'GST_RATES',
+  'CANDY_RATE'
+];
+
+/**
+ * Validate a config value against the schema for its key
+ * @param {string} key - config_key
+ * @param {Object} value - Proposed config_value
+ * @returns {{ value: Object, errors: { field: string, message: string }[] | null }}
+ */
+function validateConfigValue(key, value) {
+  const schema = CONFIG_VALUE_SCHEMAS[key];
+  if (!schema) {
+    return { value, errors: [{ field: 'config_key', message: `No schema defined for ${key}` }] };
+  }
+
+  const { error, value: validated } = schema.validate(value, { abortEarly: false });
+  if (error) {
+    return {
+      value,
+      errors: error.details.map(detail => ({
+        field: ['config_value', ...detail.path].join('.'),
+        message: detail.message
+      }))
+    };
+  }
+
+  return { value: validated, errors: null };
+}
+
+module.exports = {
+  CONFIG_VALUE_SCHEMAS,
+  PROCUREMENT_CONFIG_KEYS,
+  validateConfigValue
+};
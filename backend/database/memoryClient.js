@@ -0,0 +1,485 @@
+/**
+ * In-memory database client
+ * Implements the subset of the Supabase query builder used by the repositories
+ * so the API can run on a laptop or in tests without a hosted Supabase project
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { FOREIGN_KEYS, TIMESTAMP_DEFAULTS } = require('./relations');
+const procedures = require('./memoryProcedures');
+
+/**
+ * Split a string on commas that are not nested inside parentheses
+ */
+function splitTopLevel(input) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of input) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a PostgREST select string into columns and embedded relations
+ * e.g. "*, branch_information:branch_id ( branch_name, zone )"
+ */
+function parseSelect(columns = '*') {
+  return splitTopLevel(columns).map(item => {
+    const open = item.indexOf('(');
+    if (open === -1) {
+      return { column: item };
+    }
+
+    const head = item.slice(0, open).trim();
+    const inner = item.slice(open + 1, item.lastIndexOf(')'));
+    const [alias, source] = head.includes(':')
+      ? head.split(':').map(part => part.trim())
+      : [head, head];
+
+    return { alias, source, select: parseSelect(inner) };
+  });
+}
+
+/**
+ * Compare two column values the way Postgres would for filters and ordering
+ */
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+}
+
+function valuesEqual(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return a === b || (a == null && b == null);
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return String(a) === String(b);
+}
+
+function likeToRegExp(pattern, flags) {
+  const escaped = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+/**
+ * Build a row predicate for a single PostgREST operator
+ */
+function buildPredicate(column, operator, value) {
+  switch (operator) {
+    case 'eq':
+      return row => valuesEqual(row[column], value);
+    case 'neq':
+      return row => row[column] != null && !valuesEqual(row[column], value);
+    case 'gt':
+      return row => row[column] != null && compareValues(row[column], value) > 0;
+    case 'gte':
+      return row => row[column] != null && compareValues(row[column], value) >= 0;
+    case 'lt':
+      return row => row[column] != null && compareValues(row[column], value) < 0;
+    case 'lte':
+      return row => row[column] != null && compareValues(row[column], value) <= 0;
+    case 'like':
+      return row => row[column] != null && likeToRegExp(value).test(String(row[column]));
+    case 'ilike':
+      return row => row[column] != null && likeToRegExp(value, 'i').test(String(row[column]));
+    case 'is':
+      return row => (value === null || value === 'null')
+        ? row[column] == null
+        : row[column] === (value === 'true' || value === true);
+    case 'in':
+      return row => value.some(item => valuesEqual(row[column], item));
+    case 'contains':
+      return row => Array.isArray(row[column]) &&
+        [].concat(value).every(item => row[column].some(existing => valuesEqual(existing, item)));
+    default:
+      throw new Error(`Unsupported filter operator "${operator}"`);
+  }
+}
+
+/**
+ * Parse the filter string accepted by `.or()`, e.g. "a.ilike.%x%,b.eq.1"
+ */
+function parseOrFilter(filters) {
+  const predicates = splitTopLevel(filters).map(filter => {
+    const [column, operator, ...rest] = filter.split('.');
+    let value = rest.join('.');
+
+    if (operator === 'in') {
+      value = value.replace(/^\(|\)$/g, '').split(',').map(item => item.trim());
+    }
+
+    return buildPredicate(column, operator, value);
+  });
+
+  return row => predicates.some(predicate => predicate(row));
+}
+
+/**
+ * Query builder mirroring the chainable Supabase API
+ * Resolves to { data, error, count } when awaited
+ */
+class MemoryQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.operation = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.countRequested = false;
+    this.head = false;
+    this.predicates = [];
+    this.orderings = [];
+    this.offset = 0;
+    this.maxRows = null;
+    this.expect = null;
+    this.payload = null;
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.countRequested = Boolean(options.count);
+      this.head = Boolean(options.head);
+    } else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.operation = 'insert';
+    this.payload = [].concat(values);
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.operation = 'upsert';
+    this.payload = [].concat(values);
+    this.conflictColumns = (options.onConflict || 'id').split(',').map(column => column.trim());
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.predicates.push(buildPredicate(column, operator, value));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  like(column, value) { return this.filter(column, 'like', value); }
+  ilike(column, value) { return this.filter(column, 'ilike', value); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  contains(column, values) { return this.filter(column, 'contains', values); }
+
+  match(conditions) {
+    Object.entries(conditions).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  not(column, operator, value) {
+    const predicate = buildPredicate(column, operator, value);
+    this.predicates.push(row => !predicate(row));
+    return this;
+  }
+
+  or(filters) {
+    this.predicates.push(parseOrFilter(filters));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orderings.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.maxRows = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.expect = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.expect = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  execute() {
+    try {
+      const rows = this.run();
+      return this.shape(rows);
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code }, count: null };
+    }
+  }
+
+  run() {
+    const tableRows = this.client.rows(this.table);
+    const matches = () => tableRows.filter(row => this.predicates.every(predicate => predicate(row)));
+
+    switch (this.operation) {
+      case 'insert':
+        return this.payload.map(values => this.client.insertRow(this.table, values));
+
+      case 'upsert':
+        return this.payload.map(values => {
+          const existing = tableRows.find(row =>
+            this.conflictColumns.every(column => valuesEqual(row[column], values[column])));
+          return existing
+            ? Object.assign(existing, values)
+            : this.client.insertRow(this.table, values);
+        });
+
+      case 'update':
+        return matches().map(row => Object.assign(row, structuredClone(this.payload)));
+
+      case 'delete': {
+        const removed = matches();
+        this.client.tables[this.table] = tableRows.filter(row => !removed.includes(row));
+        return removed;
+      }
+
+      default:
+        return this.sort(matches());
+    }
+  }
+
+  sort(rows) {
+    if (this.orderings.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending } of this.orderings) {
+        const left = a[column];
+        const right = b[column];
+        if (left == null && right == null) continue;
+        // Postgres puts nulls last when ascending and first when descending
+        if (left == null) return ascending ? 1 : -1;
+        if (right == null) return ascending ? -1 : 1;
+
+        const result = compareValues(left, right);
+        if (result !== 0) return ascending ? result : -result;
+      }
+      return 0;
+    });
+  }
+
+  shape(rows) {
+    const count = rows.length;
+    const isWrite = this.operation !== 'select';
+
+    if (isWrite && !this.returning) {
+      return { data: null, error: null, count: null };
+    }
+
+    let selected = isWrite
+      ? rows
+      : rows.slice(this.offset, this.maxRows === null ? undefined : this.offset + this.maxRows);
+
+    if (this.head) {
+      return { data: null, error: null, count };
+    }
+
+    const items = parseSelect(this.columns);
+    selected = selected.map(row => this.client.project(this.table, row, items));
+
+    if (this.expect) {
+      if (selected.length > 1 || (selected.length === 0 && this.expect === 'single')) {
+        return {
+          data: null,
+          error: {
+            code: 'PGRST116',
+            message: 'JSON object requested, multiple (or no) rows returned'
+          },
+          count: null
+        };
+      }
+      return { data: selected[0] || null, error: null, count: this.countRequested ? count : null };
+    }
+
+    return { data: selected, error: null, count: this.countRequested ? count : null };
+  }
+}
+
+/**
+ * In-memory client holding every table as an array of rows
+ */
+class MemoryClient {
+  constructor(initialData = {}) {
+    this.tables = {};
+    this.load(initialData);
+  }
+
+  from(table) {
+    return new MemoryQuery(this, table);
+  }
+
+  /**
+   * Call a stored procedure from memoryProcedures.js as a single transaction:
+   * if it throws, every table is restored to its state before the call
+   * @param {string} name - Procedure name
+   * @param {Object} params - Named parameters
+   * @returns {Promise<{data: *, error: Object|null}>}
+   */
+  async rpc(name, params = {}) {
+    const procedure = procedures[name];
+    if (!procedure) {
+      return {
+        data: null,
+        error: { code: 'PGRST202', message: `Could not find the function ${name}` }
+      };
+    }
+
+    const snapshot = structuredClone(this.tables);
+    try {
+      return { data: procedure(this, params), error: null };
+    } catch (error) {
+      this.tables = snapshot;
+      return { data: null, error: { code: 'P0001', message: error.message } };
+    }
+  }
+
+  rows(table) {
+    if (!this.tables[table]) {
+      this.tables[table] = [];
+    }
+    return this.tables[table];
+  }
+
+  /**
+   * Load fixture rows, keyed by table name
+   * @param {Object<string, Object[]>} data - Rows to insert per table
+   */
+  load(data) {
+    Object.entries(data).forEach(([table, rows]) => {
+      rows.forEach(row => this.insertRow(table, row));
+    });
+  }
+
+  /**
+   * Remove all rows from every table
+   */
+  reset() {
+    this.tables = {};
+  }
+
+  insertRow(table, values) {
+    const now = new Date().toISOString();
+    const row = { id: uuidv4(), created_at: now, ...structuredClone(values) };
+
+    (TIMESTAMP_DEFAULTS[table] || []).forEach(column => {
+      if (row[column] === undefined) row[column] = now;
+    });
+
+    this.rows(table).push(row);
+    return row;
+  }
+
+  project(table, row, items) {
+    const result = {};
+
+    items.forEach(item => {
+      if (item.column === '*') {
+        Object.assign(result, structuredClone(row));
+      } else if (item.column) {
+        result[item.column] = row[item.column] === undefined ? null : structuredClone(row[item.column]);
+      } else {
+        result[item.alias] = this.embed(table, row, item);
+      }
+    });
+
+    return result;
+  }
+
+  embed(table, row, item) {
+    const foreignKeys = FOREIGN_KEYS[table] || {};
+
+    // Many-to-one through a foreign key column, e.g. branch_information:branch_id (...)
+    if (foreignKeys[item.source]) {
+      const target = this.rows(foreignKeys[item.source]).find(candidate => candidate.id === row[item.source]);
+      return target ? this.project(foreignKeys[item.source], target, item.select) : null;
+    }
+
+    // Many-to-one by referenced table name, e.g. allocation (...)
+    const ownColumn = Object.keys(foreignKeys).find(column => foreignKeys[column] === item.source);
+    if (ownColumn) {
+      const target = this.rows(item.source).find(candidate => candidate.id === row[ownColumn]);
+      return target ? this.project(item.source, target, item.select) : null;
+    }
+
+    // One-to-many from a referencing table, e.g. procurement_dump (...)
+    const childKeys = FOREIGN_KEYS[item.source] || {};
+    const childColumn = Object.keys(childKeys).find(column => childKeys[column] === table);
+    if (!childColumn) {
+      throw new Error(`Could not find a relationship between '${table}' and '${item.source}'`);
+    }
+
+    return this.rows(item.source)
+      .filter(candidate => candidate[childColumn] === row.id)
+      .map(candidate => this.project(item.source, candidate, item.select));
+  }
+}
+
+/**
+ * Create a new in-memory client
+ * @param {Object<string, Object[]>} [initialData] - Rows to preload per table
+ * @returns {MemoryClient}
+ */
+function createMemoryClient(initialData = {}) {
+  return new MemoryClient(initialData);
+}
+
+module.exports = {
+  createMemoryClient,
+  MemoryClient
+};
@@ -0,0 +1,868 @@
+/**
+ * In-memory stored procedures
+ * JavaScript counterparts of the Postgres functions in database/migrations,
+ * called through memoryClient.rpc(). Each procedure runs synchronously and
+ * throws to abort, so the client can roll every table back to its snapshot.
+ */
+
+const { sum, toPaise, toRupees } = require('../services/money');
+const { OPEN_TRANSACTION_STATUSES } = require('../services/paymentBalance');
+
+/**
+ * Mirror of save_sales_draft()
+ */
+function save_sales_draft(client, { p_sales_config_id, p_sales, p_lot_ids, p_user_id, p_notes = null }) {
+  const now = new Date().toISOString();
+
+  const sales = client.insertRow('sales_table', {
+    sales_config_id: p_sales_config_id,
+    indent_numbers: p_sales.indent_numbers,
+    total_bales: p_sales.total_bales,
+    total_value: p_sales.total_value,
+    broker_commission: p_sales.broker_commission,
+    hsn_code: p_sales.hsn_code ?? null,
+    place_of_supply: p_sales.place_of_supply ?? null,
+    gst_rate: p_sales.gst_rate ?? null,
+    cgst_amount: p_sales.cgst_amount ?? 0,
+    sgst_amount: p_sales.sgst_amount ?? 0,
+    igst_amount: p_sales.igst_amount ?? 0,
+    gst_amount: p_sales.gst_amount ?? 0,
+    invoice_value: p_sales.invoice_value ?? null,
+    status: 'DRAFT',
+    created_by: p_user_id
+  });
+
+  const lots = client.rows('inventory_table').filter(lot => p_lot_ids.includes(lot.id));
+
+  lots.forEach(lot => {
+    client.insertRow('lot_selected_contract', {
+      sales_id: sales.id,
+      inventory_id: lot.id,
+      lot_number: lot.lot_number,
+      indent_number: lot.indent_number,
+      quantity: 1,
+      price: lot.bid_price || 0,
+      status: 'SELECTED'
+    });
+  });
+
+  const available = lots.filter(lot => lot.status === 'AVAILABLE');
+  available.forEach(lot => Object.assign(lot, { status: 'BLOCKED', updated_at: now }));
+
+  if (available.length !== p_lot_ids.length) {
+    throw new Error(`Only ${available.length} of ${p_lot_ids.length} selected lots are available to block`);
+  }
+
+  const salesConfig = client.rows('sales_configuration').find(config => config.id === p_sales_config_id);
+  if (!salesConfig) {
+    throw new Error(`Sales configuration ${p_sales_config_id} not found`);
+  }
+  Object.assign(salesConfig, { status: 'processing', updated_at: now });
+
+  client.insertRow('audit_log', {
+    table_name: 'sales_table',
+    record_id: sales.id,
+    action: 'SALES_DRAFT_CREATED',
+    user_id: p_user_id,
+    new_values: { ...p_sales, lots_count: p_lot_ids.length, notes: p_notes }
+  });
+
+  return structuredClone(sales);
+}
+
+/**
+ * Mirror of confirm_sales()
+ */
+function confirm_sales(client, { p_sales_config_id, p_sales, p_lot_ids, p_user_id, p_confirmed_at, p_notes = null }) {
+  const now = new Date().toISOString();
+
+  const salesConfig = client.rows('sales_configuration').find(config => config.id === p_sales_config_id);
+  if (!salesConfig) {
+    throw new Error(`Sales configuration ${p_sales_config_id} not found`);
+  }
+
+  if (salesConfig.status === 'completed') {
+    throw new Error(`Sales configuration ${p_sales_config_id} has already been confirmed`);
+  }
+
+  let sales = client.rows('sales_table').find(row =>
+    row.sales_config_id === p_sales_config_id && row.status === 'DRAFT'
+  );
+
+  if (sales) {
+    const dropped = client.rows('lot_selected_contract')
+      .filter(row => row.sales_id === sales.id && !p_lot_ids.includes(row.inventory_id))
+      .map(row => row.inventory_id);
+
+    client.rows('inventory_table')
+      .filter(lot => dropped.includes(lot.id) && lot.status === 'BLOCKED')
+      .forEach(lot => Object.assign(lot, { status: 'AVAILABLE', updated_at: now }));
+
+    client.tables.lot_selected_contract = client.rows('lot_selected_contract').filter(row =>
+      !(row.sales_id === sales.id && dropped.includes(row.inventory_id))
+    );
+  } else {
+    sales = client.insertRow('sales_table', {
+      sales_config_id: p_sales_config_id,
+      total_bales: 0,
+      total_value: 0,
+      status: 'DRAFT',
+      created_by: p_user_id
+    });
+  }
+
+  const selected = client.rows('lot_selected_contract')
+    .filter(row => row.sales_id === sales.id)
+    .map(row => row.inventory_id);
+  const newLotIds = p_lot_ids.filter(id => !selected.includes(id));
+  const lots = client.rows('inventory_table').filter(lot => newLotIds.includes(lot.id));
+
+  lots.forEach(lot => {
+    client.insertRow('lot_selected_contract', {
+      sales_id: sales.id,
+      inventory_id: lot.id,
+      lot_number: lot.lot_number,
+      indent_number: lot.indent_number,
+      quantity: 1,
+      price: lot.bid_price || 0,
+      status: 'SELECTED'
+    });
+  });
+
+  const available = lots.filter(lot => lot.status === 'AVAILABLE');
+  available.forEach(lot => Object.assign(lot, { status: 'BLOCKED', updated_at: now }));
+
+  if (available.length !== newLotIds.length) {
+    throw new Error(`Only ${available.length} of ${newLotIds.length} selected lots are available to block`);
+  }
+
+  Object.assign(sales, {
+    indent_numbers: p_sales.indent_numbers,
+    total_bales: p_sales.total_bales,
+    total_value: p_sales.total_value,
+    broker_commission: p_sales.broker_commission,
+    hsn_code: p_sales.hsn_code ?? null,
+    place_of_supply: p_sales.place_of_supply ?? null,
+    gst_rate: p_sales.gst_rate ?? null,
+    cgst_amount: p_sales.cgst_amount ?? 0,
+    sgst_amount: p_sales.sgst_amount ?? 0,
+    igst_amount: p_sales.igst_amount ?? 0,
+    gst_amount: p_sales.gst_amount ?? 0,
+    invoice_value: p_sales.invoice_value ?? null,
+    status: 'CONFIRMED',
+    confirmed_by: p_user_id,
+    confirmed_at: new Date(p_confirmed_at).toISOString(),
+    updated_at: now
+  });
+
+  Object.assign(salesConfig, { status: 'completed', updated_at: now });
+
+  client.insertRow('audit_log', {
+    table_name: 'sales_table',
+    record_id: sales.id,
+    action: 'SALES_CONFIRMED',
+    user_id: p_user_id,
+    new_values: { ...p_sales, status: 'CONFIRMED', lots_count: p_lot_ids.length, notes: p_notes }
+  });
+
+  return structuredClone(sales);
+}
+
+/**
+ * Mirror of respond_to_assignment()
+ */
+function respond_to_assignment(client, {
+  p_assignment_id,
+  p_lot_status,
+  p_inventory_status,
+  p_user_id,
+  p_audit_action,
+  p_expected_status = null,
+  p_notes = null,
+  p_admin_action = null
+}) {
+  const now = new Date().toISOString();
+
+  const assignment = client.rows('customer_assignment_table').find(row => row.id === p_assignment_id);
+  if (!assignment) {
+    throw new Error(`Assignment ${p_assignment_id} not found`);
+  }
+
+  const previousStatus = assignment.lot_status;
+  if (p_expected_status !== null && previousStatus !== p_expected_status) {
+    throw new Error(`Assignment is ${previousStatus} and can no longer be changed`);
+  }
+
+  Object.assign(assignment, {
+    lot_status: p_lot_status,
+    responded_by: p_user_id,
+    responded_at: now
+  });
+
+  const lot = client.rows('inventory_table').find(row => row.id === assignment.inventory_id);
+  if (!lot) {
+    throw new Error(`Lot ${assignment.inventory_id} for assignment ${p_assignment_id} not found`);
+  }
+  Object.assign(lot, { status: p_inventory_status, updated_at: now });
+
+  const newValues = { lot_status: p_lot_status };
+  if (p_notes !== null) newValues.notes = p_notes;
+  if (p_admin_action !== null) newValues.admin_action = p_admin_action;
+
+  client.insertRow('audit_log', {
+    table_name: 'customer_assignment_table',
+    record_id: p_assignment_id,
+    action: p_audit_action,
+    user_id: p_user_id,
+    old_values: { lot_status: previousStatus },
+    new_values: newValues
+  });
+
+  return structuredClone(assignment);
+}
+
+/**
+ * Mirror of refresh_payment_balance()
+ */
+function refresh_payment_balance(client, { p_payment_id, p_user_id }) {
+  const now = new Date().toISOString();
+
+  const payment = client.rows('payments').find(row => row.id === p_payment_id);
+  const previousStatus = payment.payment_status;
+
+  const paid = toRupees(sum(client.rows('payment_transactions')
+    .filter(row => row.payment_id === p_payment_id && row.transaction_status === 'verified')
+    .map(row => toPaise(row.amount))));
+  const complete = toPaise(paid) >= toPaise(payment.amount);
+
+  Object.assign(payment, {
+    amount_paid: paid,
+    payment_status: complete ? 'verified' : paid > 0 ? 'partially_paid' : payment.payment_status,
+    verified_by: complete ? payment.verified_by ?? p_user_id : null,
+    verified_at: complete ? payment.verified_at ?? now : null,
+    updated_at: now
+  });
+
+  if (payment.payment_status === 'verified' && previousStatus !== 'verified') {
+    client.insertRow('audit_log', {
+      table_name: 'payments',
+      record_id: p_payment_id,
+      action: 'PAYMENT_COMPLETED',
+      user_id: p_user_id,
+      new_values: { amount: payment.amount, amount_paid: paid }
+    });
+
+    const held = client.rows('emd_deposits').some(deposit => deposit.payment_id === p_payment_id);
+    if (payment.payment_type === 'EMD' && !held) {
+      const procurement = client.rows('procurement_dump').find(row => row.id === payment.procurement_id);
+      const deposit = client.insertRow('emd_deposits', {
+        payment_id: p_payment_id,
+        procurement_id: payment.procurement_id,
+        allocation_id: procurement?.allocation_id ?? null,
+        amount: paid,
+        balance: paid,
+        emd_status: 'held',
+        updated_at: now
+      });
+      client.insertRow('emd_ledger', {
+        emd_deposit_id: deposit.id,
+        entry_type: 'HELD',
+        amount: paid,
+        balance_after: paid,
+        reference: payment.installment_name ?? null,
+        notes: null,
+        created_by: p_user_id
+      });
+    }
+  }
+
+  return structuredClone(payment);
+}
+
+// emd_status each settlement leaves an EMD in
+const SETTLED_EMD_STATUSES = {
+  ADJUSTED: 'adjusted',
+  REFUNDED: 'refunded',
+  FORFEITED: 'forfeited'
+};
+
+/**
+ * Mirror of settle_emd_deposit()
+ */
+function settle_emd_deposit(client, { p_deposit_id, p_entry_type, p_from_statuses, p_values = {}, p_user_id, p_notes = null }) {
+  const now = new Date().toISOString();
+
+  const deposit = client.rows('emd_deposits').find(row =>
+    row.id === p_deposit_id && p_from_statuses.includes(row.emd_status));
+  if (!deposit) {
+    throw new Error(`EMD ${p_deposit_id} cannot be ${p_entry_type.toLowerCase()} now`);
+  }
+
+  const amount = deposit.balance;
+
+  Object.assign(deposit, {
+    emd_status: SETTLED_EMD_STATUSES[p_entry_type],
+    balance: 0,
+    refund_utr: p_values.refund_utr ?? deposit.refund_utr ?? null,
+    refund_payment_mode: p_values.refund_payment_mode ?? deposit.refund_payment_mode ?? null,
+    settled_by: p_user_id,
+    settled_at: now,
+    updated_at: now
+  });
+
+  client.insertRow('emd_ledger', {
+    emd_deposit_id: p_deposit_id,
+    entry_type: p_entry_type,
+    amount,
+    balance_after: 0,
+    reference: p_values.reference ?? null,
+    notes: p_notes,
+    created_by: p_user_id
+  });
+
+  client.insertRow('audit_log', {
+    table_name: 'emd_deposits',
+    record_id: p_deposit_id,
+    action: `EMD_${p_entry_type}`,
+    user_id: p_user_id,
+    new_values: { ...p_values, amount, notes: p_notes }
+  });
+
+  return structuredClone(deposit);
+}
+
+/**
+ * Mirror of update_allocation_status()
+ */
+function update_allocation_status(client, {
+  p_allocation_id,
+  p_status,
+  p_expected_status,
+  p_transitions,
+  p_user_id,
+  p_reason,
+  p_notes = null
+}) {
+  const now = new Date().toISOString();
+
+  const allocation = client.rows('allocation').find(row => row.id === p_allocation_id);
+  if (!allocation) {
+    throw new Error(`Allocation ${p_allocation_id} not found`);
+  }
+
+  if (allocation.allocation_status !== p_expected_status) {
+    throw new Error(`The allocation is now ${allocation.allocation_status}; reload it and try again`);
+  }
+
+  Object.assign(allocation, { allocation_status: p_status, updated_at: now });
+
+  client.insertRow('audit_log', {
+    table_name: 'allocation',
+    record_id: p_allocation_id,
+    action: 'STATUS_UPDATE',
+    user_id: p_user_id,
+    old_values: { status: p_expected_status },
+    new_values: { status: p_status, notes: p_notes }
+  });
+
+  const emd = p_transitions.map(transition => {
+    if (transition.action === 'request_refund') {
+      const deposit = client.rows('emd_deposits').find(row =>
+        row.id === transition.deposit_id && row.emd_status === 'held');
+      if (!deposit) {
+        throw new Error(`The refund of EMD ${transition.deposit_id} cannot be requested now`);
+      }
+
+      Object.assign(deposit, {
+        emd_status: 'refund_requested',
+        refund_reason: p_reason,
+        refund_requested_by: p_user_id,
+        refund_requested_at: now,
+        updated_at: now
+      });
+
+      client.insertRow('audit_log', {
+        table_name: 'emd_deposits',
+        record_id: deposit.id,
+        action: 'EMD_REFUND_REQUESTED',
+        user_id: p_user_id,
+        old_values: { emd_status: transition.from_status },
+        new_values: { reason: p_reason }
+      });
+
+      return structuredClone(deposit);
+    }
+
+    return settle_emd_deposit(client, {
+      p_deposit_id: transition.deposit_id,
+      p_entry_type: transition.action === 'adjust' ? 'ADJUSTED' : 'FORFEITED',
+      p_from_statuses: [transition.from_status],
+      p_values: { reference: transition.reference ?? null },
+      p_user_id,
+      p_notes: p_reason
+    });
+  });
+
+  return { allocation: structuredClone(allocation), emd };
+}
+
+/**
+ * Mirror of verify_payment_transaction()
+ */
+function verify_payment_transaction(client, { p_transaction_id, p_user_id }) {
+  const now = new Date().toISOString();
+
+  const transaction = client.rows('payment_transactions').find(row =>
+    row.id === p_transaction_id && OPEN_TRANSACTION_STATUSES.includes(row.transaction_status));
+  if (!transaction) {
+    throw new Error(`UTR ${p_transaction_id} is not awaiting verification`);
+  }
+
+  Object.assign(transaction, {
+    transaction_status: 'verified',
+    reviewed_by: p_user_id,
+    reviewed_at: transaction.reviewed_at ?? now,
+    verified_by: p_user_id,
+    verified_at: now,
+    updated_at: now
+  });
+
+  const payment = refresh_payment_balance(client, { p_payment_id: transaction.payment_id, p_user_id });
+
+  return { transaction: structuredClone(transaction), payment };
+}
+
+/**
+ * Mirror of import_bank_statement()
+ */
+function import_bank_statement(client, { p_statement, p_lines, p_user_id }) {
+  const now = new Date().toISOString();
+
+  const statement = client.insertRow('bank_statements', {
+    file_name: p_statement.file_name,
+    file_hash: p_statement.file_hash,
+    format: p_statement.format,
+    account_number: p_statement.account_number ?? null,
+    statement_from: p_statement.statement_from ?? null,
+    statement_to: p_statement.statement_to ?? null,
+    opening_balance: p_statement.opening_balance ?? null,
+    closing_balance: p_statement.closing_balance ?? null,
+    line_count: p_lines.length,
+    uploaded_by: p_user_id
+  });
+
+  let verified = 0;
+  p_lines.forEach(line => {
+    const matched = line.match_status === 'matched';
+
+    client.insertRow('bank_statement_lines', {
+      statement_id: statement.id,
+      line_number: line.line_number,
+      value_date: line.value_date,
+      direction: line.direction,
+      amount: line.amount,
+      utr_number: line.utr_number ?? null,
+      reference: line.reference ?? null,
+      narration: line.narration ?? null,
+      match_status: line.match_status,
+      payment_id: line.payment_id ?? null,
+      transaction_id: line.transaction_id ?? null,
+      match_details: line.match_details ?? null,
+      matched_by: matched ? p_user_id : null,
+      matched_at: matched ? now : null
+    });
+
+    if (matched) {
+      const transaction = client.rows('payment_transactions').find(row =>
+        row.id === line.transaction_id && OPEN_TRANSACTION_STATUSES.includes(row.transaction_status));
+      if (!transaction) {
+        throw new Error(`UTR ${line.utr_number} is not awaiting verification`);
+      }
+      Object.assign(transaction, {
+        transaction_status: 'verified',
+        verified_by: p_user_id,
+        verified_at: now,
+        updated_at: now
+      });
+      refresh_payment_balance(client, { p_payment_id: transaction.payment_id, p_user_id });
+      verified += 1;
+    }
+  });
+
+  client.insertRow('audit_log', {
+    table_name: 'bank_statements',
+    record_id: statement.id,
+    action: 'BANK_STATEMENT_IMPORTED',
+    user_id: p_user_id,
+    new_values: {
+      file_name: statement.file_name,
+      format: statement.format,
+      lines: statement.line_count,
+      transactions_verified: verified
+    }
+  });
+
+  return structuredClone(statement);
+}
+
+/**
+ * Mirror of confirm_statement_match()
+ */
+function confirm_statement_match(client, { p_line_id, p_payment_id, p_user_id }) {
+  const now = new Date().toISOString();
+
+  const line = client.rows('bank_statement_lines').find(row => row.id === p_line_id);
+  if (!line) {
+    throw new Error(`Statement line ${p_line_id} not found`);
+  }
+
+  if (line.match_status === 'matched') {
+    throw new Error(`Statement line ${line.line_number} is already matched`);
+  }
+
+  const payment = client.rows('payments').find(row =>
+    row.id === p_payment_id && ['pending', 'partially_paid'].includes(row.payment_status));
+  if (!payment) {
+    throw new Error(`Payment ${p_payment_id} is not awaiting reconciliation`);
+  }
+
+  const open = client.rows('payment_transactions').filter(row =>
+    row.payment_id === p_payment_id && OPEN_TRANSACTION_STATUSES.includes(row.transaction_status));
+  let transaction = open.find(row => row.id === line.transaction_id) ||
+    open.find(row => row.utr_number === line.utr_number);
+
+  if (transaction) {
+    Object.assign(transaction, {
+      transaction_status: 'verified',
+      amount: line.amount,
+      verified_by: p_user_id,
+      verified_at: now,
+      updated_at: now
+    });
+  } else {
+    if (!(line.utr_number ?? line.reference)) {
+      throw new Error(`Statement line ${line.line_number} has no UTR or reference to record`);
+    }
+    transaction = client.insertRow('payment_transactions', {
+      payment_id: p_payment_id,
+      utr_number: line.utr_number ?? line.reference,
+      payment_mode: payment.payment_mode ?? 'RTGS',
+      amount: line.amount,
+      transaction_status: 'verified',
+      submitted_by: null,
+      reviewed_by: null,
+      reviewed_at: null,
+      rejection_reason: null,
+      verified_by: p_user_id,
+      verified_at: now,
+      updated_at: now
+    });
+  }
+
+  const updatedPayment = refresh_payment_balance(client, { p_payment_id, p_user_id });
+
+  Object.assign(line, {
+    match_status: 'matched',
+    payment_id: p_payment_id,
+    transaction_id: transaction.id,
+    matched_by: p_user_id,
+    matched_at: now
+  });
+
+  client.insertRow('audit_log', {
+    table_name: 'payments',
+    record_id: p_payment_id,
+    action: 'PAYMENT_RECONCILED',
+    user_id: p_user_id,
+    new_values: {
+      statement_line_id: p_line_id,
+      statement_id: line.statement_id,
+      transaction_id: transaction.id,
+      utr_number: transaction.utr_number,
+      amount: line.amount,
+      value_date: line.value_date,
+      amount_paid: updatedPayment.amount_paid
+    }
+  });
+
+  return structuredClone(line);
+}
+
+/**
+ * Mirror of create_bank_payment_batch()
+ */
+function create_bank_payment_batch(client, { p_template_id, p_value_date, p_lines, p_user_id }) {
+  const now = new Date().toISOString();
+  const prefix = `BP-${now.slice(0, 10).replace(/-/g, '')}-`;
+  const sequence = client.rows('bank_payment_batches').filter(row => row.batch_number.startsWith(prefix)).length + 1;
+
+  const batch = client.insertRow('bank_payment_batches', {
+    batch_number: `${prefix}${String(sequence).padStart(3, '0')}`,
+    template_id: p_template_id,
+    value_date: p_value_date,
+    line_count: p_lines.length,
+    total_amount: toRupees(sum(p_lines.map(line => toPaise(line.amount)))),
+    batch_status: 'generated',
+    response_file_name: null,
+    response_imported_by: null,
+    response_imported_at: null,
+    created_by: p_user_id,
+    updated_at: now
+  });
+
+  p_lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+
+    if (client.rows('bank_payment_batch_lines').some(row =>
+      row.payment_id === line.payment_id && row.line_status === 'pending')) {
+      throw new Error(`Payment ${line.payment_id} is already in a batch awaiting the bank's response`);
+    }
+
+    client.insertRow('bank_payment_batch_lines', {
+      batch_id: batch.id,
+      payment_id: line.payment_id,
+      line_number: lineNumber,
+      reference: `${batch.batch_number.replace(/-/g, '')}${String(lineNumber).padStart(3, '0')}`,
+      amount: line.amount,
+      payment_mode: line.payment_mode,
+      beneficiary: line.beneficiary,
+      line_status: 'pending',
+      utr_number: null,
+      transaction_id: null,
+      failure_reason: null,
+      updated_at: now
+    });
+
+    const payment = client.rows('payments').find(row =>
+      row.id === line.payment_id && ['pending', 'partially_paid'].includes(row.payment_status));
+    if (!payment) {
+      throw new Error(`Payment ${line.payment_id} is not awaiting payment`);
+    }
+    Object.assign(payment, { bank_batch_id: batch.id, updated_at: now });
+  });
+
+  client.insertRow('audit_log', {
+    table_name: 'bank_payment_batches',
+    record_id: batch.id,
+    action: 'BANK_PAYMENT_BATCH_CREATED',
+    user_id: p_user_id,
+    new_values: {
+      batch_number: batch.batch_number,
+      template_id: batch.template_id,
+      value_date: batch.value_date,
+      lines: batch.line_count,
+      total_amount: batch.total_amount
+    }
+  });
+
+  return structuredClone(batch);
+}
+
+/**
+ * Mirror of add_contract_document()
+ */
+function add_contract_document(client, {
+  p_indent_number,
+  p_procurement_id,
+  p_firm_name,
+  p_branch_name,
+  p_document,
+  p_user_id
+}) {
+  const now = new Date().toISOString();
+
+  const [latest] = client.rows('purchase_contract_table')
+    .filter(row => row.indent_number === p_indent_number)
+    .sort((a, b) => b.uploaded_at.localeCompare(a.uploaded_at));
+
+  if (latest && latest.status === 'sent') {
+    throw new Error(`The contract for indent ${p_indent_number} has already been sent and cannot be revised`);
+  }
+
+  if (latest && latest.status === 'approved') {
+    throw new Error(`The contract for indent ${p_indent_number} has been approved for sending and cannot be revised`);
+  }
+
+  const reuse = latest && latest.status !== 'rejected';
+  const contract = reuse ? latest : client.insertRow('purchase_contract_table', {
+    indent_number: p_indent_number,
+    procurement_id: p_procurement_id,
+    firm_name: p_firm_name,
+    branch_name: p_branch_name,
+    file_name: null,
+    file_url: null,
+    status: 'pending',
+    uploaded_by: p_user_id,
+    sent_at: null,
+    current_document_id: null,
+    current_version: 0,
+    approved_at: null,
+    approved_document_id: null,
+    approved_checksum_sha256: null,
+    dispatched_at: null,
+    updated_at: now
+  });
+
+  const document = client.insertRow('contract_documents', {
+    id: p_document.id,
+    contract_id: contract.id,
+    version: (contract.current_version || 0) + 1,
+    file_name: p_document.file_name,
+    content_type: p_document.content_type,
+    size_bytes: p_document.size_bytes,
+    checksum_sha256: p_document.checksum_sha256,
+    storage_backend: p_document.storage_backend,
+    storage_key: p_document.storage_key,
+    notes: p_document.notes ?? null,
+    template_id: p_document.template_id ?? null,
+    approval_levels: null,
+    contract_value: null,
+    uploaded_by: p_user_id
+  });
+
+  Object.assign(contract, {
+    procurement_id: contract.procurement_id ?? p_procurement_id,
+    file_name: document.file_name,
+    status: 'pending',
+    uploaded_by: p_user_id,
+    uploaded_at: document.uploaded_at,
+    current_document_id: document.id,
+    current_version: document.version,
+    approved_at: null,
+    updated_at: now
+  });
+
+  client.insertRow('contract_logs', {
+    contract_id: contract.id,
+    user_id: p_user_id,
+    action: 'uploaded',
+    notes: `Version ${document.version}: ${document.file_name}${document.notes ? ` - ${document.notes}` : ''}`
+  });
+
+  return {
+    contract: structuredClone(contract),
+    document: structuredClone(document)
+  };
+}
+
+/**
+ * Mirror of decide_contract()
+ */
+function decide_contract(client, {
+  p_contract_id,
+  p_document_id,
+  p_decision,
+  p_levels,
+  p_contract_value,
+  p_reason = null,
+  p_checksum = null,
+  p_user_id
+}) {
+  const now = new Date().toISOString();
+
+  const contract = client.rows('purchase_contract_table').find(row => row.id === p_contract_id);
+  if (!contract) {
+    throw new Error(`Contract ${p_contract_id} not found`);
+  }
+  if (contract.status !== 'pending') {
+    throw new Error(`The contract is ${contract.status}, not awaiting approval`);
+  }
+  if (contract.current_document_id !== p_document_id) {
+    throw new Error('A newer version of the contract has been uploaded; review it instead');
+  }
+
+  const document = client.rows('contract_documents').find(row => row.id === p_document_id);
+  if (document.uploaded_by === p_user_id) {
+    throw new Error('The user who uploaded the contract cannot review it');
+  }
+  if (document.approval_levels === null) {
+    Object.assign(document, { approval_levels: p_levels, contract_value: p_contract_value });
+  }
+
+  const approvals = client.rows('contract_approvals').filter(row =>
+    row.document_id === p_document_id && row.decision === 'approved');
+  const required = document.approval_levels.length;
+
+  let approval;
+  if (p_decision === 'approved') {
+    if (approvals.some(row => row.decided_by === p_user_id)) {
+      throw new Error('You have already signed off this version; the next level needs a different admin');
+    }
+    if (p_checksum !== document.checksum_sha256) {
+      throw new Error(`The stored file of version ${document.version} no longer matches the uploaded one`);
+    }
+
+    const level = document.approval_levels[approvals.length];
+    approval = client.insertRow('contract_approvals', {
+      contract_id: p_contract_id,
+      document_id: p_document_id,
+      decision: p_decision,
+      level: approvals.length + 1,
+      level_name: level.name,
+      reason: p_reason,
+      checksum_sha256: p_checksum,
+      decided_by: p_user_id,
+      decided_at: now
+    });
+
+    if (approvals.length + 1 >= required) {
+      Object.assign(contract, {
+        status: 'approved',
+        approved_at: now,
+        approved_document_id: document.id,
+        approved_checksum_sha256: p_checksum,
+        updated_at: now
+      });
+    }
+
+    client.insertRow('contract_logs', {
+      contract_id: p_contract_id,
+      user_id: p_user_id,
+      action: 'approved',
+      notes: `Version ${document.version}, level ${approvals.length + 1} of ${required} (${level.name}), ` +
+        `SHA-256 ${p_checksum.slice(0, 12)}${p_reason ? ` - ${p_reason}` : ''}`
+    });
+  } else {
+    approval = client.insertRow('contract_approvals', {
+      contract_id: p_contract_id,
+      document_id: p_document_id,
+      decision: p_decision,
+      level: null,
+      level_name: null,
+      reason: p_reason,
+      checksum_sha256: p_checksum,
+      decided_by: p_user_id,
+      decided_at: now
+    });
+
+    Object.assign(contract, { status: p_decision, updated_at: now });
+
+    client.insertRow('contract_logs', {
+      contract_id: p_contract_id,
+      user_id: p_user_id,
+      action: p_decision,
+      notes: `Version ${document.version}: ${p_reason}`
+    });
+  }
+
+  return {
+    contract: structuredClone(contract),
+    document: structuredClone(document),
+    approval: structuredClone(approval)
+  };
+}
+
+module.exports = {
+  save_sales_draft,
+  confirm_sales,
+  respond_to_assignment,
+  refresh_payment_balance,
+  settle_emd_deposit,
+  update_allocation_status,
+  verify_payment_transaction,
+  import_bank_statement,
+  confirm_statement_match,
+  create_bank_payment_batch,
+  add_contract_document,
+  decide_contract
+};
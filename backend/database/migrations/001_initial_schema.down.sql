@@ -0,0 +1,21 @@
+-- Drop the initial schema in reverse dependency order
+
+drop table if exists audit_log;
+drop table if exists manual_applications;
+drop table if exists trading_configuration;
+drop table if exists customer_assignment_table;
+drop table if exists lot_selected_contract;
+drop table if exists sales_table;
+drop table if exists sales_configuration;
+drop table if exists broker_info;
+drop table if exists customer_info;
+drop table if exists inventory_table;
+drop table if exists contract_logs;
+drop table if exists purchase_contract_table;
+drop table if exists payments;
+drop table if exists procurement_dump;
+drop table if exists allocation;
+drop table if exists parsed_data;
+drop table if exists purchase_confirmations;
+drop table if exists branch_information;
+drop table if exists users;
@@ -0,0 +1,273 @@
+-- Initial schema
+-- Every table the API reads or writes, with the columns used by the routes
+
+create extension if not exists pgcrypto;
+
+create table users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  password_hash text not null,
+  first_name text not null,
+  last_name text not null,
+  role text not null default 'trader' check (role in ('admin', 'trader', 'customer')),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table branch_information (
+  id uuid primary key default gen_random_uuid(),
+  branch_name text not null,
+  branch_code text not null unique,
+  zone text not null,
+  state text not null,
+  branch_email_id text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table purchase_confirmations (
+  id uuid primary key default gen_random_uuid(),
+  email_subject text,
+  pdf_url text,
+  raw_text text,
+  sender_email text,
+  processed boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create table parsed_data (
+  id uuid primary key default gen_random_uuid(),
+  confirmation_id uuid references purchase_confirmations (id) on delete set null,
+  indent_number text,
+  firm_name text,
+  centre_name text,
+  variety text,
+  fibre_length text,
+  seller_type text,
+  buyer_type text,
+  crop_year text,
+  quantity integer,
+  otr_price numeric(14, 2),
+  lifting_period text,
+  created_at timestamptz not null default now()
+);
+
+create table allocation (
+  id uuid primary key default gen_random_uuid(),
+  indent_number text not null unique,
+  parsed_data_id uuid references parsed_data (id) on delete set null,
+  branch_id uuid references branch_information (id),
+  branch_name text,
+  zone text,
+  buyer_type text,
+  crop_year text,
+  bale_quantity integer not null default 0,
+  otr_price numeric(14, 2),
+  lifting_period text,
+  allocation_status text not null default 'pending'
+    check (allocation_status in ('pending', 'active', 'completed', 'cancelled')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table procurement_dump (
+  id uuid primary key default gen_random_uuid(),
+  indent_number text not null,
+  allocation_id uuid references allocation (id) on delete cascade,
+  firm_name text,
+  bale_quantity integer,
+  candy_rate numeric(14, 4),
+  otr_price numeric(14, 2),
+  zone text,
+  gst_amount numeric(16, 2),
+  igst_amount numeric(16, 2),
+  cgst_amount numeric(16, 2),
+  sgst_amount numeric(16, 2),
+  emd_amount numeric(16, 2),
+  emd_percentage numeric(6, 2),
+  cotton_value numeric(16, 2),
+  total_amount numeric(16, 2),
+  transaction_type text not null default 'EMD',
+  due_date date,
+  created_by uuid references users (id),
+  created_at timestamptz not null default now()
+);
+
+create index procurement_dump_indent_number_idx on procurement_dump (indent_number);
+
+create table payments (
+  id uuid primary key default gen_random_uuid(),
+  procurement_id uuid references procurement_dump (id) on delete cascade,
+  payment_mode text,
+  payment_type text,
+  amount numeric(16, 2) not null,
+  bank text,
+  due_date date,
+  utr_due_date date,
+  utr_number text,
+  payment_status text not null default 'pending',
+  remarks text,
+  created_by uuid references users (id),
+  verified_by uuid references users (id),
+  verified_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index payments_procurement_id_idx on payments (procurement_id);
+
+create table purchase_contract_table (
+  id uuid primary key default gen_random_uuid(),
+  indent_number text not null,
+  firm_name text,
+  branch_name text,
+  file_name text,
+  file_url text,
+  status text not null default 'pending',
+  uploaded_by uuid references users (id),
+  uploaded_at timestamptz not null default now(),
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table contract_logs (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid references purchase_contract_table (id) on delete cascade,
+  user_id uuid references users (id),
+  action text not null,
+  notes text,
+  timestamp timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create table inventory_table (
+  id uuid primary key default gen_random_uuid(),
+  indent_number text not null,
+  lot_number text not null,
+  centre_name text,
+  branch text,
+  branch_id uuid references branch_information (id),
+  date date,
+  lifting_period text,
+  fibre_length text,
+  variety text,
+  bid_price numeric(14, 2),
+  status text not null default 'AVAILABLE' check (status in ('AVAILABLE', 'BLOCKED', 'SOLD')),
+  added_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (indent_number, lot_number)
+);
+
+create table customer_info (
+  id uuid primary key default gen_random_uuid(),
+  customer_name text not null,
+  customer_code text not null unique,
+  email text,
+  phone text,
+  state text,
+  gstin text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table broker_info (
+  id uuid primary key default gen_random_uuid(),
+  broker_name text not null,
+  broker_code text not null unique,
+  email text,
+  commission_rate numeric(6, 2) not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table sales_configuration (
+  id uuid primary key default gen_random_uuid(),
+  customer_id uuid references customer_info (id),
+  broker_id uuid references broker_info (id),
+  requested_quantity integer not null,
+  line_specs jsonb,
+  priority_branch text,
+  lifting_period text,
+  status text not null default 'pending' check (status in ('pending', 'processing', 'completed')),
+  created_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table sales_table (
+  id uuid primary key default gen_random_uuid(),
+  sales_config_id uuid references sales_configuration (id),
+  indent_numbers text[] not null default '{}',
+  total_bales integer not null default 0,
+  total_value numeric(16, 2) not null default 0,
+  broker_commission numeric(16, 2) not null default 0,
+  status text not null default 'DRAFT' check (status in ('DRAFT', 'CONFIRMED')),
+  created_by uuid references users (id),
+  confirmed_by uuid references users (id),
+  confirmed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table lot_selected_contract (
+  id uuid primary key default gen_random_uuid(),
+  sales_id uuid references sales_table (id) on delete cascade,
+  inventory_id uuid references inventory_table (id),
+  lot_number text,
+  indent_number text,
+  quantity integer not null default 1,
+  price numeric(14, 2),
+  status text not null default 'SELECTED',
+  created_at timestamptz not null default now()
+);
+
+create table customer_assignment_table (
+  id uuid primary key default gen_random_uuid(),
+  customer_id uuid references customer_info (id),
+  inventory_id uuid references inventory_table (id),
+  sales_id uuid references sales_table (id),
+  lot_status text not null default 'PENDING'
+    check (lot_status in ('PENDING', 'ACCEPTED', 'REJECTED', 'EXPIRED')),
+  window_start_date date,
+  window_end_date date,
+  assigned_by uuid references users (id),
+  assigned_at timestamptz not null default now(),
+  responded_by uuid references users (id),
+  responded_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table trading_configuration (
+  id uuid primary key default gen_random_uuid(),
+  config_key text not null unique,
+  config_value jsonb not null,
+  description text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table manual_applications (
+  id uuid primary key default gen_random_uuid(),
+  confirmation_id uuid references purchase_confirmations (id) on delete cascade,
+  issue_reason text,
+  status text not null default 'pending',
+  created_at timestamptz not null default now()
+);
+
+create table audit_log (
+  id uuid primary key default gen_random_uuid(),
+  table_name text not null,
+  record_id uuid,
+  action text not null,
+  user_id uuid references users (id),
+  old_values jsonb,
+  new_values jsonb,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index audit_log_created_at_idx on audit_log (created_at desc);
@@ -0,0 +1,5 @@
+-- Drop the transactional write functions
+
+drop function if exists respond_to_assignment(uuid, text, text, uuid, text, text, text, text);
+drop function if exists confirm_sales(uuid, jsonb, uuid[], uuid, timestamptz, text);
+drop function if exists save_sales_draft(uuid, jsonb, uuid[], uuid, text);
@@ -0,0 +1,21 @@
+-- Restore config values onto trading_configuration from the version in effect now
+
+alter table procurement_dump drop column if exists config_versions;
+
+alter table trading_configuration add column config_value jsonb;
+
+update trading_configuration tc
+set config_value = current_version.config_value
+from (
+  select distinct on (config_key) config_key, config_value
+  from trading_configuration_versions
+  where effective_from <= now()
+  order by config_key, effective_from desc, version desc
+) current_version
+where current_version.config_key = tc.config_key;
+
+update trading_configuration set config_value = '{}'::jsonb where config_value is null;
+
+alter table trading_configuration alter column config_value set not null;
+
+drop table if exists trading_configuration_versions;
@@ -0,0 +1,28 @@
+-- Versioned trading configuration
+-- Config values move from trading_configuration into an append-only version
+-- table with effective-from dates. trading_configuration keeps one row per key.
+-- procurement_dump records the version of each config a calculation used.
+
+create table trading_configuration_versions (
+  id uuid primary key default gen_random_uuid(),
+  config_key text not null references trading_configuration (config_key) on delete cascade,
+  version integer not null check (version > 0),
+  config_value jsonb not null,
+  effective_from timestamptz not null default now(),
+  change_reason text,
+  created_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  unique (config_key, version)
+);
+
+create index trading_configuration_versions_effective_idx
+  on trading_configuration_versions (config_key, effective_from desc);
+
+-- Existing values become version 1, effective from when they were created
+insert into trading_configuration_versions (config_key, version, config_value, effective_from, change_reason)
+select config_key, 1, config_value, created_at, 'Initial value'
+from trading_configuration;
+
+alter table trading_configuration drop column config_value;
+
+alter table procurement_dump add column config_versions jsonb;
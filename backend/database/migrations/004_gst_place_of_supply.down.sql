@@ -0,0 +1,207 @@
+-- Remove GST place of supply columns and restore the previous save_sales_draft
+-- and confirm_sales
+
+create or replace function save_sales_draft(
+  p_sales_config_id uuid,
+  p_sales jsonb,
+  p_lot_ids uuid[],
+  p_user_id uuid,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_sales sales_table;
+  v_blocked integer;
+begin
+  insert into sales_table (
+    sales_config_id,
+    indent_numbers,
+    total_bales,
+    total_value,
+    broker_commission,
+    status,
+    created_by
+  ) values (
+    p_sales_config_id,
+    array(select jsonb_array_elements_text(p_sales->'indent_numbers')),
+    (p_sales->>'total_bales')::integer,
+    (p_sales->>'total_value')::numeric,
+    (p_sales->>'broker_commission')::numeric,
+    'DRAFT',
+    p_user_id
+  )
+  returning * into v_sales;
+
+  insert into lot_selected_contract (sales_id, inventory_id, lot_number, indent_number, quantity, price, status)
+  select v_sales.id, lot.id, lot.lot_number, lot.indent_number, 1, coalesce(lot.bid_price, 0), 'SELECTED'
+    from inventory_table lot
+   where lot.id = any(p_lot_ids);
+
+  update inventory_table
+     set status = 'BLOCKED', updated_at = now()
+   where id = any(p_lot_ids)
+     and status = 'AVAILABLE';
+
+  get diagnostics v_blocked = row_count;
+  if v_blocked <> cardinality(p_lot_ids) then
+    raise exception 'Only % of % selected lots are available to block', v_blocked, cardinality(p_lot_ids);
+  end if;
+
+  update sales_configuration
+     set status = 'processing', updated_at = now()
+   where id = p_sales_config_id;
+
+  if not found then
+    raise exception 'Sales configuration % not found', p_sales_config_id;
+  end if;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'sales_table',
+    v_sales.id,
+    'SALES_DRAFT_CREATED',
+    p_user_id,
+    p_sales || jsonb_build_object('lots_count', cardinality(p_lot_ids), 'notes', p_notes)
+  );
+
+  return to_jsonb(v_sales);
+end;
+$$;
+
+create or replace function confirm_sales(
+  p_sales_config_id uuid,
+  p_sales jsonb,
+  p_lot_ids uuid[],
+  p_user_id uuid,
+  p_confirmed_at timestamptz,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_config_status text;
+  v_sales sales_table;
+  v_new_lot_ids uuid[];
+  v_blocked integer;
+begin
+  select status into v_config_status
+    from sales_configuration
+   where id = p_sales_config_id
+   for update;
+
+  if not found then
+    raise exception 'Sales configuration % not found', p_sales_config_id;
+  end if;
+
+  if v_config_status = 'completed' then
+    raise exception 'Sales configuration % has already been confirmed', p_sales_config_id;
+  end if;
+
+  select * into v_sales
+    from sales_table
+   where sales_config_id = p_sales_config_id
+     and status = 'DRAFT'
+   for update;
+
+  if found then
+    update inventory_table
+       set status = 'AVAILABLE', updated_at = now()
+     where status = 'BLOCKED'
+       and id in (
+         select inventory_id
+           from lot_selected_contract
+          where sales_id = v_sales.id
+            and inventory_id <> all(p_lot_ids)
+       );
+
+    delete from lot_selected_contract
+     where sales_id = v_sales.id
+       and inventory_id <> all(p_lot_ids);
+  else
+    insert into sales_table (sales_config_id, total_bales, total_value, status, created_by)
+    values (p_sales_config_id, 0, 0, 'DRAFT', p_user_id)
+    returning * into v_sales;
+  end if;
+
+  v_new_lot_ids := array(
+    select lot_id
+      from unnest(p_lot_ids) lot_id
+     where not exists (
+       select 1
+         from lot_selected_contract
+        where sales_id = v_sales.id
+          and inventory_id = lot_id
+     )
+  );
+
+  insert into lot_selected_contract (sales_id, inventory_id, lot_number, indent_number, quantity, price, status)
+  select v_sales.id, lot.id, lot.lot_number, lot.indent_number, 1, coalesce(lot.bid_price, 0), 'SELECTED'
+    from inventory_table lot
+   where lot.id = any(v_new_lot_ids);
+
+  update inventory_table
+     set status = 'BLOCKED', updated_at = now()
+   where id = any(v_new_lot_ids)
+     and status = 'AVAILABLE';
+
+  get diagnostics v_blocked = row_count;
+  if v_blocked <> cardinality(v_new_lot_ids) then
+    raise exception 'Only % of % selected lots are available to block', v_blocked, cardinality(v_new_lot_ids);
+  end if;
+
+  update sales_table
+     set indent_numbers = array(select jsonb_array_elements_text(p_sales->'indent_numbers')),
+         total_bales = (p_sales->>'total_bales')::integer,
+         total_value = (p_sales->>'total_value')::numeric,
+         broker_commission = (p_sales->>'broker_commission')::numeric,
+         status = 'CONFIRMED',
+         confirmed_by = p_user_id,
+         confirmed_at = p_confirmed_at,
+         updated_at = now()
+   where id = v_sales.id
+  returning * into v_sales;
+
+  update sales_configuration
+     set status = 'completed', updated_at = now()
+   where id = p_sales_config_id;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'sales_table',
+    v_sales.id,
+    'SALES_CONFIRMED',
+    p_user_id,
+    p_sales || jsonb_build_object('status', 'CONFIRMED', 'lots_count', cardinality(p_lot_ids), 'notes', p_notes)
+  );
+
+  return to_jsonb(v_sales);
+end;
+$$;
+
+alter table sales_table
+  drop column if exists hsn_code,
+  drop column if exists place_of_supply,
+  drop column if exists gst_rate,
+  drop column if exists cgst_amount,
+  drop column if exists sgst_amount,
+  drop column if exists igst_amount,
+  drop column if exists gst_amount,
+  drop column if exists invoice_value;
+
+alter table procurement_dump
+  drop column if exists hsn_code,
+  drop column if exists gst_rate,
+  drop column if exists supplier_state_code,
+  drop column if exists place_of_supply;
+
+alter table parsed_data
+  drop column if exists seller_gstin,
+  drop column if exists hsn_code;
+
+alter table customer_info
+  drop column if exists state_code;
+
+alter table branch_information
+  drop column if exists gstin,
+  drop column if exists state_code;
@@ -0,0 +1,234 @@
+-- GST place of supply
+-- GSTINs and state codes for the parties on each side of a supply, and the
+-- tax split recorded on procurement calculations and sales.
+
+alter table branch_information
+  add column gstin text,
+  add column state_code text;
+
+alter table customer_info
+  add column state_code text;
+
+alter table parsed_data
+  add column seller_gstin text,
+  add column hsn_code text;
+
+alter table procurement_dump
+  add column hsn_code text,
+  add column gst_rate numeric(6, 2),
+  add column supplier_state_code text,
+  add column place_of_supply text;
+
+alter table sales_table
+  add column hsn_code text,
+  add column place_of_supply text,
+  add column gst_rate numeric(6, 2),
+  add column cgst_amount numeric(16, 2) not null default 0,
+  add column sgst_amount numeric(16, 2) not null default 0,
+  add column igst_amount numeric(16, 2) not null default 0,
+  add column gst_amount numeric(16, 2) not null default 0,
+  add column invoice_value numeric(16, 2);
+
+-- save_sales_draft now stores the GST fields passed in p_sales
+create or replace function save_sales_draft(
+  p_sales_config_id uuid,
+  p_sales jsonb,
+  p_lot_ids uuid[],
+  p_user_id uuid,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_sales sales_table;
+  v_blocked integer;
+begin
+  insert into sales_table (
+    sales_config_id,
+    indent_numbers,
+    total_bales,
+    total_value,
+    broker_commission,
+    hsn_code,
+    place_of_supply,
+    gst_rate,
+    cgst_amount,
+    sgst_amount,
+    igst_amount,
+    gst_amount,
+    invoice_value,
+    status,
+    created_by
+  ) values (
+    p_sales_config_id,
+    array(select jsonb_array_elements_text(p_sales->'indent_numbers')),
+    (p_sales->>'total_bales')::integer,
+    (p_sales->>'total_value')::numeric,
+    (p_sales->>'broker_commission')::numeric,
+    p_sales->>'hsn_code',
+    p_sales->>'place_of_supply',
+    (p_sales->>'gst_rate')::numeric,
+    coalesce((p_sales->>'cgst_amount')::numeric, 0),
+    coalesce((p_sales->>'sgst_amount')::numeric, 0),
+    coalesce((p_sales->>'igst_amount')::numeric, 0),
+    coalesce((p_sales->>'gst_amount')::numeric, 0),
+    (p_sales->>'invoice_value')::numeric,
+    'DRAFT',
+    p_user_id
+  )
+  returning * into v_sales;
+
+  insert into lot_selected_contract (sales_id, inventory_id, lot_number, indent_number, quantity, price, status)
+  select v_sales.id, lot.id, lot.lot_number, lot.indent_number, 1, coalesce(lot.bid_price, 0), 'SELECTED'
+    from inventory_table lot
+   where lot.id = any(p_lot_ids);
+
+  update inventory_table
+     set status = 'BLOCKED', updated_at = now()
+   where id = any(p_lot_ids)
+     and status = 'AVAILABLE';
+
+  get diagnostics v_blocked = row_count;
+  if v_blocked <> cardinality(p_lot_ids) then
+    raise exception 'Only % of % selected lots are available to block', v_blocked, cardinality(p_lot_ids);
+  end if;
+
+  update sales_configuration
+     set status = 'processing', updated_at = now()
+   where id = p_sales_config_id;
+
+  if not found then
+    raise exception 'Sales configuration % not found', p_sales_config_id;
+  end if;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'sales_table',
+    v_sales.id,
+    'SALES_DRAFT_CREATED',
+    p_user_id,
+    p_sales || jsonb_build_object('lots_count', cardinality(p_lot_ids), 'notes', p_notes)
+  );
+
+  return to_jsonb(v_sales);
+end;
+$$;
+
+-- confirm_sales stores them too
+create or replace function confirm_sales(
+  p_sales_config_id uuid,
+  p_sales jsonb,
+  p_lot_ids uuid[],
+  p_user_id uuid,
+  p_confirmed_at timestamptz,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_config_status text;
+  v_sales sales_table;
+  v_new_lot_ids uuid[];
+  v_blocked integer;
+begin
+  select status into v_config_status
+    from sales_configuration
+   where id = p_sales_config_id
+   for update;
+
+  if not found then
+    raise exception 'Sales configuration % not found', p_sales_config_id;
+  end if;
+
+  if v_config_status = 'completed' then
+    raise exception 'Sales configuration % has already been confirmed', p_sales_config_id;
+  end if;
+
+  select * into v_sales
+    from sales_table
+   where sales_config_id = p_sales_config_id
+     and status = 'DRAFT'
+   for update;
+
+  if found then
+    update inventory_table
+       set status = 'AVAILABLE', updated_at = now()
+     where status = 'BLOCKED'
+       and id in (
+         select inventory_id
+           from lot_selected_contract
+          where sales_id = v_sales.id
+            and inventory_id <> all(p_lot_ids)
+       );
+
+    delete from lot_selected_contract
+     where sales_id = v_sales.id
+       and inventory_id <> all(p_lot_ids);
+  else
+    insert into sales_table (sales_config_id, total_bales, total_value, status, created_by)
+    values (p_sales_config_id, 0, 0, 'DRAFT', p_user_id)
+    returning * into v_sales;
+  end if;
+
+  v_new_lot_ids := array(
+    select lot_id
+      from unnest(p_lot_ids) lot_id
+     where not exists (
+       select 1
+         from lot_selected_contract
+        where sales_id = v_sales.id
+          and inventory_id = lot_id
+     )
+  );
+
+  insert into lot_selected_contract (sales_id, inventory_id, lot_number, indent_number, quantity, price, status)
+  select v_sales.id, lot.id, lot.lot_number, lot.indent_number, 1, coalesce(lot.bid_price, 0), 'SELECTED'
+    from inventory_table lot
+   where lot.id = any(v_new_lot_ids);
+
+  update inventory_table
+     set status = 'BLOCKED', updated_at = now()
+   where id = any(v_new_lot_ids)
+     and status = 'AVAILABLE';
+
+  get diagnostics v_blocked = row_count;
+  if v_blocked <> cardinality(v_new_lot_ids) then
+    raise exception 'Only % of % selected lots are available to block', v_blocked, cardinality(v_new_lot_ids);
+  end if;
+
+  update sales_table
+     set indent_numbers = array(select jsonb_array_elements_text(p_sales->'indent_numbers')),
+         total_bales = (p_sales->>'total_bales')::integer,
+         total_value = (p_sales->>'total_value')::numeric,
+         broker_commission = (p_sales->>'broker_commission')::numeric,
+         hsn_code = p_sales->>'hsn_code',
+         place_of_supply = p_sales->>'place_of_supply',
+         gst_rate = (p_sales->>'gst_rate')::numeric,
+         cgst_amount = coalesce((p_sales->>'cgst_amount')::numeric, 0),
+         sgst_amount = coalesce((p_sales->>'sgst_amount')::numeric, 0),
+         igst_amount = coalesce((p_sales->>'igst_amount')::numeric, 0),
+         gst_amount = coalesce((p_sales->>'gst_amount')::numeric, 0),
+         invoice_value = (p_sales->>'invoice_value')::numeric,
+         status = 'CONFIRMED',
+         confirmed_by = p_user_id,
+         confirmed_at = p_confirmed_at,
+         updated_at = now()
+   where id = v_sales.id
+  returning * into v_sales;
+
+  update sales_configuration
+     set status = 'completed', updated_at = now()
+   where id = p_sales_config_id;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'sales_table',
+    v_sales.id,
+    'SALES_CONFIRMED',
+    p_user_id,
+    p_sales || jsonb_build_object('status', 'CONFIRMED', 'lots_count', cardinality(p_lot_ids), 'notes', p_notes)
+  );
+
+  return to_jsonb(v_sales);
+end;
+$$;
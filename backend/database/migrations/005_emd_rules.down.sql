@@ -0,0 +1,11 @@
+-- Reactivate the two-tier EMD keys and remove EMD_RULES
+
+update trading_configuration
+set is_active = true, updated_at = now()
+where config_key in ('EMD_PERCENTAGE_LOW', 'EMD_PERCENTAGE_HIGH');
+
+delete from trading_configuration where config_key = 'EMD_RULES';
+
+alter table procurement_dump drop column if exists emd_rule;
+
+alter table trading_configuration drop column if exists is_active;
@@ -0,0 +1,43 @@
+-- EMD rules
+-- EMD_RULES replaces the two-tier EMD_PERCENTAGE_LOW / EMD_PERCENTAGE_HIGH
+-- keys with ordered slabs. The old keys are retired, keeping their history,
+-- and procurement_dump records the rule each calculation matched.
+
+alter table trading_configuration
+  add column is_active boolean not null default true;
+
+alter table procurement_dump
+  add column emd_rule jsonb;
+
+insert into trading_configuration (config_key, description)
+values ('EMD_RULES', 'EMD percentage slabs by bale quantity, buyer type, crop year and zone; first match wins')
+on conflict (config_key) do nothing;
+
+-- Carry the current two-tier values over as the first version of EMD_RULES
+insert into trading_configuration_versions (config_key, version, config_value, effective_from, change_reason)
+select
+  'EMD_RULES',
+  1,
+  jsonb_build_object('rules', jsonb_build_array(
+    jsonb_build_object('name', 'Below 3000 bales', 'max_bales', 2999, 'percentage', low.config_value->'percentage'),
+    jsonb_build_object('name', '3000 bales and above', 'min_bales', 3000, 'percentage', high.config_value->'percentage')
+  )),
+  now(),
+  'Migrated from EMD_PERCENTAGE_LOW and EMD_PERCENTAGE_HIGH'
+from (
+  select config_value from trading_configuration_versions
+  where config_key = 'EMD_PERCENTAGE_LOW' and effective_from <= now()
+  order by effective_from desc, version desc
+  limit 1
+) low
+cross join (
+  select config_value from trading_configuration_versions
+  where config_key = 'EMD_PERCENTAGE_HIGH' and effective_from <= now()
+  order by effective_from desc, version desc
+  limit 1
+) high
+where not exists (select 1 from trading_configuration_versions where config_key = 'EMD_RULES');
+
+update trading_configuration
+set is_active = false, updated_at = now()
+where config_key in ('EMD_PERCENTAGE_LOW', 'EMD_PERCENTAGE_HIGH');
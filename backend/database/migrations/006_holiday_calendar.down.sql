@@ -0,0 +1,5 @@
+-- Drop the holiday calendar
+
+alter table procurement_dump drop column if exists lifting_deadline;
+
+drop table if exists holidays;
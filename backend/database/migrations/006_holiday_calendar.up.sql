@@ -0,0 +1,18 @@
+-- Holiday calendar
+-- Bank holidays used to count business days for due dates. A holiday with
+-- no state_code is national; otherwise it applies to that GST state code.
+
+create table holidays (
+  id uuid primary key default gen_random_uuid(),
+  holiday_date date not null,
+  name text not null,
+  state_code text check (state_code ~ '^\d{2}$'),
+  created_by uuid references users (id),
+  created_at timestamptz not null default now()
+);
+
+create unique index holidays_date_state_idx on holidays (holiday_date, coalesce(state_code, ''));
+
+-- Last day the lots may be lifted, counted in business days at the branch
+alter table procurement_dump
+  add column lifting_deadline date;
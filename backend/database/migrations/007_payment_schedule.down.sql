@@ -0,0 +1,13 @@
+-- Remove the payment schedule; balance installments are deleted, the EMD stays
+
+delete from trading_configuration where config_key = 'PAYMENT_SCHEDULE';
+
+delete from payments where installment_number > 1;
+
+drop index if exists payments_procurement_installment_idx;
+
+alter table payments
+  drop column if exists schedule_config_version,
+  drop column if exists cdu_generated_at,
+  drop column if exists installment_name,
+  drop column if exists installment_number;
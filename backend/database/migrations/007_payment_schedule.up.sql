@@ -0,0 +1,31 @@
+-- Payment schedule
+-- Each procurement gets a schedule of installments: the EMD, then balance
+-- tranches from the PAYMENT_SCHEDULE trading configuration. Installments are
+-- scheduled until their CDU is generated.
+
+alter table payments
+  add column installment_number integer not null default 1 check (installment_number > 0),
+  add column installment_name text,
+  add column cdu_generated_at timestamptz,
+  add column schedule_config_version jsonb;
+
+-- Payments so far were the EMD, created together with its CDU
+update payments
+set installment_name = 'EMD',
+    cdu_generated_at = created_at;
+
+create unique index payments_procurement_installment_idx on payments (procurement_id, installment_number);
+
+insert into trading_configuration (config_key, description)
+values ('PAYMENT_SCHEDULE', 'Balance payment tranches after the EMD, as a percentage of the balance and business days after the EMD due date')
+on conflict (config_key) do nothing;
+
+insert into trading_configuration_versions (config_key, version, config_value, effective_from, change_reason)
+values (
+  'PAYMENT_SCHEDULE',
+  1,
+  '{"tranches": [{"name": "First lifting", "percentage": 50, "due_business_days": 10}, {"name": "Final lifting", "percentage": 50, "due_business_days": 20}]}',
+  now(),
+  'Initial value'
+)
+on conflict (config_key, version) do nothing;
@@ -0,0 +1,16 @@
+-- Remove bank reconciliation; payments awaiting a statement go back to being
+-- verified on UTR submission
+
+drop function if exists confirm_statement_match(uuid, uuid, uuid);
+drop function if exists import_bank_statement(jsonb, jsonb, uuid);
+
+update payments
+set payment_status = 'verified',
+    verified_at = utr_submitted_at
+where payment_status = 'utr_submitted';
+
+alter table payments
+  drop column if exists utr_submitted_at;
+
+drop table if exists bank_statement_lines;
+drop table if exists bank_statements;
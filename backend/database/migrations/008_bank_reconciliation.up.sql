@@ -0,0 +1,225 @@
+-- Bank statement reconciliation
+-- Imported bank statements and their lines. Each line is matched to a payment
+-- by UTR, amount and value date; a payment is verified only once a statement
+-- line shows the money moved. Submitting a UTR no longer verifies a payment.
+
+create table bank_statements (
+  id uuid primary key default gen_random_uuid(),
+  file_name text not null,
+  file_hash text not null unique,
+  format text not null check (format in ('CSV', 'MT940')),
+  account_number text,
+  statement_from date,
+  statement_to date,
+  opening_balance numeric(16, 2),
+  closing_balance numeric(16, 2),
+  line_count integer not null default 0,
+  uploaded_by uuid references users (id),
+  created_at timestamptz not null default now()
+);
+
+create table bank_statement_lines (
+  id uuid primary key default gen_random_uuid(),
+  statement_id uuid not null references bank_statements (id) on delete cascade,
+  line_number integer not null,
+  value_date date not null,
+  direction text not null check (direction in ('debit', 'credit')),
+  amount numeric(16, 2) not null check (amount > 0),
+  utr_number text,
+  reference text,
+  narration text,
+  match_status text not null default 'unmatched' check (match_status in ('matched', 'partial', 'unmatched')),
+  payment_id uuid references payments (id) on delete set null,
+  match_details jsonb,
+  matched_by uuid references users (id),
+  matched_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index bank_statement_lines_statement_id_idx on bank_statement_lines (statement_id);
+create index bank_statement_lines_utr_number_idx on bank_statement_lines (utr_number);
+create index bank_statement_lines_value_date_idx on bank_statement_lines (value_date);
+
+-- A payment is settled by at most one statement line
+create unique index bank_statement_lines_matched_payment_idx on bank_statement_lines (payment_id)
+  where match_status = 'matched';
+
+alter table payments
+  add column utr_submitted_at timestamptz;
+
+update payments
+set utr_submitted_at = verified_at
+where utr_number is not null;
+
+-- Store an imported statement with its lines and verify the payments of the
+-- lines matched in full
+create or replace function import_bank_statement(
+  p_statement jsonb,
+  p_lines jsonb,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_statement bank_statements;
+  v_line jsonb;
+  v_verified integer := 0;
+begin
+  insert into bank_statements (
+    file_name,
+    file_hash,
+    format,
+    account_number,
+    statement_from,
+    statement_to,
+    opening_balance,
+    closing_balance,
+    line_count,
+    uploaded_by
+  ) values (
+    p_statement->>'file_name',
+    p_statement->>'file_hash',
+    p_statement->>'format',
+    p_statement->>'account_number',
+    (p_statement->>'statement_from')::date,
+    (p_statement->>'statement_to')::date,
+    (p_statement->>'opening_balance')::numeric,
+    (p_statement->>'closing_balance')::numeric,
+    jsonb_array_length(p_lines),
+    p_user_id
+  )
+  returning * into v_statement;
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    insert into bank_statement_lines (
+      statement_id,
+      line_number,
+      value_date,
+      direction,
+      amount,
+      utr_number,
+      reference,
+      narration,
+      match_status,
+      payment_id,
+      match_details,
+      matched_by,
+      matched_at
+    ) values (
+      v_statement.id,
+      (v_line->>'line_number')::integer,
+      (v_line->>'value_date')::date,
+      v_line->>'direction',
+      (v_line->>'amount')::numeric,
+      v_line->>'utr_number',
+      v_line->>'reference',
+      v_line->>'narration',
+      v_line->>'match_status',
+      (v_line->>'payment_id')::uuid,
+      v_line->'match_details',
+      case when v_line->>'match_status' = 'matched' then p_user_id end,
+      case when v_line->>'match_status' = 'matched' then now() end
+    );
+
+    if v_line->>'match_status' = 'matched' then
+      update payments
+         set payment_status = 'verified',
+             verified_by = p_user_id,
+             verified_at = now(),
+             updated_at = now()
+       where id = (v_line->>'payment_id')::uuid
+         and payment_status <> 'verified';
+
+      if not found then
+        raise exception 'Payment % is already verified', v_line->>'payment_id';
+      end if;
+      v_verified := v_verified + 1;
+    end if;
+  end loop;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'bank_statements',
+    v_statement.id,
+    'BANK_STATEMENT_IMPORTED',
+    p_user_id,
+    jsonb_build_object(
+      'file_name', v_statement.file_name,
+      'format', v_statement.format,
+      'lines', v_statement.line_count,
+      'payments_verified', v_verified
+    )
+  );
+
+  return to_jsonb(v_statement);
+end;
+$$;
+
+-- Confirm that a statement line settles a payment and verify the payment.
+-- A payment without a UTR takes the line's.
+create or replace function confirm_statement_match(
+  p_line_id uuid,
+  p_payment_id uuid,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_line bank_statement_lines;
+  v_payment payments;
+begin
+  select * into v_line
+    from bank_statement_lines
+   where id = p_line_id
+     for update;
+
+  if not found then
+    raise exception 'Statement line % not found', p_line_id;
+  end if;
+
+  if v_line.match_status = 'matched' then
+    raise exception 'Statement line % is already matched', v_line.line_number;
+  end if;
+
+  update payments
+     set payment_status = 'verified',
+         utr_number = coalesce(utr_number, v_line.utr_number),
+         utr_submitted_at = coalesce(utr_submitted_at, now()),
+         verified_by = p_user_id,
+         verified_at = now(),
+         updated_at = now()
+   where id = p_payment_id
+     and payment_status in ('pending', 'utr_submitted')
+  returning * into v_payment;
+
+  if not found then
+    raise exception 'Payment % is not awaiting reconciliation', p_payment_id;
+  end if;
+
+  update bank_statement_lines
+     set match_status = 'matched',
+         payment_id = p_payment_id,
+         matched_by = p_user_id,
+         matched_at = now()
+   where id = p_line_id
+  returning * into v_line;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'payments',
+    p_payment_id,
+    'PAYMENT_RECONCILED',
+    p_user_id,
+    jsonb_build_object(
+      'statement_line_id', p_line_id,
+      'statement_id', v_line.statement_id,
+      'utr_number', v_line.utr_number,
+      'amount', v_line.amount,
+      'value_date', v_line.value_date
+    )
+  );
+
+  return to_jsonb(v_line);
+end;
+$$;
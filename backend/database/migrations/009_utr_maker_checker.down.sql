@@ -0,0 +1,80 @@
+-- Remove maker-checker UTR verification; UTRs under review or rejected go
+-- back to awaiting a bank statement
+
+create or replace function confirm_statement_match(
+  p_line_id uuid,
+  p_payment_id uuid,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_line bank_statement_lines;
+  v_payment payments;
+begin
+  select * into v_line
+    from bank_statement_lines
+   where id = p_line_id
+     for update;
+
+  if not found then
+    raise exception 'Statement line % not found', p_line_id;
+  end if;
+
+  if v_line.match_status = 'matched' then
+    raise exception 'Statement line % is already matched', v_line.line_number;
+  end if;
+
+  update payments
+     set payment_status = 'verified',
+         utr_number = coalesce(utr_number, v_line.utr_number),
+         utr_submitted_at = coalesce(utr_submitted_at, now()),
+         verified_by = p_user_id,
+         verified_at = now(),
+         updated_at = now()
+   where id = p_payment_id
+     and payment_status in ('pending', 'utr_submitted')
+  returning * into v_payment;
+
+  if not found then
+    raise exception 'Payment % is not awaiting reconciliation', p_payment_id;
+  end if;
+
+  update bank_statement_lines
+     set match_status = 'matched',
+         payment_id = p_payment_id,
+         matched_by = p_user_id,
+         matched_at = now()
+   where id = p_line_id
+  returning * into v_line;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'payments',
+    p_payment_id,
+    'PAYMENT_RECONCILED',
+    p_user_id,
+    jsonb_build_object(
+      'statement_line_id', p_line_id,
+      'statement_id', v_line.statement_id,
+      'utr_number', v_line.utr_number,
+      'amount', v_line.amount,
+      'value_date', v_line.value_date
+    )
+  );
+
+  return to_jsonb(v_line);
+end;
+$$;
+
+update payments
+set payment_status = 'utr_submitted'
+where payment_status in ('under_review', 'rejected');
+
+drop index if exists payments_status_idx;
+
+alter table payments
+  drop column if exists rejection_reason,
+  drop column if exists reviewed_at,
+  drop column if exists reviewed_by,
+  drop column if exists utr_submitted_by;
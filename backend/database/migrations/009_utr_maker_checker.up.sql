@@ -0,0 +1,97 @@
+-- Maker-checker UTR verification
+-- The user who submits a UTR (maker) cannot verify it. A different admin
+-- (checker) takes it under review, then verifies or rejects it with a reason;
+-- the maker corrects a rejected UTR and submits it again. A bank statement
+-- line matching the UTR in full still verifies the payment on its own.
+--
+-- payment_status: scheduled -> pending -> utr_submitted -> under_review -> verified
+--                                               ^                 |
+--                                               +--- rejected <---+
+
+alter table payments
+  add column utr_submitted_by uuid references users (id),
+  add column reviewed_by uuid references users (id),
+  add column reviewed_at timestamptz,
+  add column rejection_reason text;
+
+-- Submitters of UTRs already on file, from the audit trail
+update payments p
+set utr_submitted_by = (
+  select a.user_id
+  from audit_log a
+  where a.table_name = 'payments'
+    and a.record_id = p.id
+    and a.action = 'UTR_SUBMITTED'
+  order by a.created_at desc
+  limit 1
+)
+where p.utr_number is not null;
+
+create index payments_status_idx on payments (payment_status);
+
+-- A statement line can also settle a payment whose UTR is under review
+create or replace function confirm_statement_match(
+  p_line_id uuid,
+  p_payment_id uuid,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_line bank_statement_lines;
+  v_payment payments;
+begin
+  select * into v_line
+    from bank_statement_lines
+   where id = p_line_id
+     for update;
+
+  if not found then
+    raise exception 'Statement line % not found', p_line_id;
+  end if;
+
+  if v_line.match_status = 'matched' then
+    raise exception 'Statement line % is already matched', v_line.line_number;
+  end if;
+
+  update payments
+     set payment_status = 'verified',
+         utr_number = coalesce(utr_number, v_line.utr_number),
+         utr_submitted_at = coalesce(utr_submitted_at, now()),
+         verified_by = p_user_id,
+         verified_at = now(),
+         updated_at = now()
+   where id = p_payment_id
+     and payment_status in ('pending', 'utr_submitted', 'under_review')
+  returning * into v_payment;
+
+  if not found then
+    raise exception 'Payment % is not awaiting reconciliation', p_payment_id;
+  end if;
+
+  update bank_statement_lines
+     set match_status = 'matched',
+         payment_id = p_payment_id,
+         matched_by = p_user_id,
+         matched_at = now()
+   where id = p_line_id
+  returning * into v_line;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'payments',
+    p_payment_id,
+    'PAYMENT_RECONCILED',
+    p_user_id,
+    jsonb_build_object(
+      'statement_line_id', p_line_id,
+      'statement_id', v_line.statement_id,
+      'utr_number', v_line.utr_number,
+      'amount', v_line.amount,
+      'value_date', v_line.value_date
+    )
+  );
+
+  return to_jsonb(v_line);
+end;
+$$;
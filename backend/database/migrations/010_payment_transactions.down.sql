@@ -0,0 +1,229 @@
+-- Remove partial payments; each payment keeps one UTR again, taken from its
+-- verified transfer, else its latest open or rejected one. Statement lines
+-- settling the second and later transfers of a payment lose their match.
+
+alter table payments
+  add column utr_number text,
+  add column utr_submitted_at timestamptz,
+  add column utr_submitted_by uuid references users (id),
+  add column reviewed_by uuid references users (id),
+  add column reviewed_at timestamptz,
+  add column rejection_reason text;
+
+update payments p
+set utr_number = t.utr_number,
+    utr_submitted_at = t.submitted_at,
+    utr_submitted_by = t.submitted_by,
+    reviewed_by = t.reviewed_by,
+    reviewed_at = t.reviewed_at,
+    rejection_reason = t.rejection_reason,
+    payment_status = case when p.payment_status = 'verified' then 'verified' else t.transaction_status end
+from (
+  select distinct on (payment_id) *
+  from payment_transactions
+  order by payment_id, (transaction_status = 'verified') desc, (transaction_status <> 'rejected') desc, submitted_at desc
+) t
+where t.payment_id = p.id;
+
+update payments
+set payment_status = 'pending'
+where payment_status = 'partially_paid';
+
+drop index if exists bank_statement_lines_matched_transaction_idx;
+
+update bank_statement_lines l
+set match_status = 'unmatched',
+    payment_id = null,
+    matched_by = null,
+    matched_at = null
+where l.match_status = 'matched'
+  and exists (
+    select 1
+    from bank_statement_lines other
+    where other.payment_id = l.payment_id
+      and other.match_status = 'matched'
+      and (other.matched_at, other.id) < (l.matched_at, l.id)
+  );
+
+create unique index bank_statement_lines_matched_payment_idx on bank_statement_lines (payment_id)
+  where match_status = 'matched';
+
+alter table bank_statement_lines
+  drop column if exists transaction_id;
+
+drop function if exists verify_payment_transaction(uuid, uuid);
+drop function if exists refresh_payment_balance(uuid, uuid);
+
+create or replace function import_bank_statement(
+  p_statement jsonb,
+  p_lines jsonb,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_statement bank_statements;
+  v_line jsonb;
+  v_verified integer := 0;
+begin
+  insert into bank_statements (
+    file_name,
+    file_hash,
+    format,
+    account_number,
+    statement_from,
+    statement_to,
+    opening_balance,
+    closing_balance,
+    line_count,
+    uploaded_by
+  ) values (
+    p_statement->>'file_name',
+    p_statement->>'file_hash',
+    p_statement->>'format',
+    p_statement->>'account_number',
+    (p_statement->>'statement_from')::date,
+    (p_statement->>'statement_to')::date,
+    (p_statement->>'opening_balance')::numeric,
+    (p_statement->>'closing_balance')::numeric,
+    jsonb_array_length(p_lines),
+    p_user_id
+  )
+  returning * into v_statement;
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    insert into bank_statement_lines (
+      statement_id,
+      line_number,
+      value_date,
+      direction,
+      amount,
+      utr_number,
+      reference,
+      narration,
+      match_status,
+      payment_id,
+      match_details,
+      matched_by,
+      matched_at
+    ) values (
+      v_statement.id,
+      (v_line->>'line_number')::integer,
+      (v_line->>'value_date')::date,
+      v_line->>'direction',
+      (v_line->>'amount')::numeric,
+      v_line->>'utr_number',
+      v_line->>'reference',
+      v_line->>'narration',
+      v_line->>'match_status',
+      (v_line->>'payment_id')::uuid,
+      v_line->'match_details',
+      case when v_line->>'match_status' = 'matched' then p_user_id end,
+      case when v_line->>'match_status' = 'matched' then now() end
+    );
+
+    if v_line->>'match_status' = 'matched' then
+      update payments
+         set payment_status = 'verified',
+             verified_by = p_user_id,
+             verified_at = now(),
+             updated_at = now()
+       where id = (v_line->>'payment_id')::uuid
+         and payment_status <> 'verified';
+
+      if not found then
+        raise exception 'Payment % is already verified', v_line->>'payment_id';
+      end if;
+      v_verified := v_verified + 1;
+    end if;
+  end loop;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'bank_statements',
+    v_statement.id,
+    'BANK_STATEMENT_IMPORTED',
+    p_user_id,
+    jsonb_build_object(
+      'file_name', v_statement.file_name,
+      'format', v_statement.format,
+      'lines', v_statement.line_count,
+      'payments_verified', v_verified
+    )
+  );
+
+  return to_jsonb(v_statement);
+end;
+$$;
+
+create or replace function confirm_statement_match(
+  p_line_id uuid,
+  p_payment_id uuid,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_line bank_statement_lines;
+  v_payment payments;
+begin
+  select * into v_line
+    from bank_statement_lines
+   where id = p_line_id
+     for update;
+
+  if not found then
+    raise exception 'Statement line % not found', p_line_id;
+  end if;
+
+  if v_line.match_status = 'matched' then
+    raise exception 'Statement line % is already matched', v_line.line_number;
+  end if;
+
+  update payments
+     set payment_status = 'verified',
+         utr_number = coalesce(utr_number, v_line.utr_number),
+         utr_submitted_at = coalesce(utr_submitted_at, now()),
+         verified_by = p_user_id,
+         verified_at = now(),
+         updated_at = now()
+   where id = p_payment_id
+     and payment_status in ('pending', 'utr_submitted', 'under_review')
+  returning * into v_payment;
+
+  if not found then
+    raise exception 'Payment % is not awaiting reconciliation', p_payment_id;
+  end if;
+
+  update bank_statement_lines
+     set match_status = 'matched',
+         payment_id = p_payment_id,
+         matched_by = p_user_id,
+         matched_at = now()
+   where id = p_line_id
+  returning * into v_line;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'payments',
+    p_payment_id,
+    'PAYMENT_RECONCILED',
+    p_user_id,
+    jsonb_build_object(
+      'statement_line_id', p_line_id,
+      'statement_id', v_line.statement_id,
+      'utr_number', v_line.utr_number,
+      'amount', v_line.amount,
+      'value_date', v_line.value_date
+    )
+  );
+
+  return to_jsonb(v_line);
+end;
+$$;
+
+alter table payments
+  drop column if exists amount_paid;
+
+drop table if exists payment_transactions;
@@ -0,0 +1,404 @@
+-- Partial payments
+-- A payment can be paid in several transfers, each with its own UTR and
+-- amount. The UTR, its maker-checker review and its bank statement match move
+-- from payments to payment_transactions. payments.amount_paid is the sum of
+-- verified transfers; the payment is verified once it reaches the amount due.
+--
+-- payment_status:     scheduled -> pending -> partially_paid -> verified
+-- transaction_status: utr_submitted -> under_review -> verified
+--                                   \-> rejected <-/
+
+create table payment_transactions (
+  id uuid primary key default gen_random_uuid(),
+  payment_id uuid not null references payments (id) on delete cascade,
+  utr_number text not null,
+  payment_mode text not null,
+  amount numeric(14, 2) not null check (amount > 0),
+  transaction_status text not null default 'utr_submitted'
+    check (transaction_status in ('utr_submitted', 'under_review', 'verified', 'rejected')),
+  submitted_by uuid references users (id),
+  submitted_at timestamptz not null default now(),
+  reviewed_by uuid references users (id),
+  reviewed_at timestamptz,
+  rejection_reason text,
+  verified_by uuid references users (id),
+  verified_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index payment_transactions_payment_id_idx on payment_transactions (payment_id);
+create index payment_transactions_utr_number_idx on payment_transactions (utr_number);
+create index payment_transactions_status_idx on payment_transactions (transaction_status);
+
+alter table payments
+  add column amount_paid numeric(14, 2) not null default 0;
+
+-- Each UTR on file becomes one transfer of the full amount
+insert into payment_transactions (
+  payment_id,
+  utr_number,
+  payment_mode,
+  amount,
+  transaction_status,
+  submitted_by,
+  submitted_at,
+  reviewed_by,
+  reviewed_at,
+  rejection_reason,
+  verified_by,
+  verified_at
+)
+select
+  id,
+  utr_number,
+  coalesce(payment_mode, 'RTGS'),
+  amount,
+  case when payment_status in ('utr_submitted', 'under_review', 'verified', 'rejected') then payment_status else 'utr_submitted' end,
+  utr_submitted_by,
+  coalesce(utr_submitted_at, updated_at),
+  reviewed_by,
+  reviewed_at,
+  rejection_reason,
+  case when payment_status = 'verified' then verified_by end,
+  case when payment_status = 'verified' then verified_at end
+from payments
+where utr_number is not null;
+
+update payments
+set amount_paid = amount
+where payment_status = 'verified';
+
+update payments
+set payment_status = 'pending'
+where payment_status in ('utr_submitted', 'under_review', 'rejected');
+
+alter table payments
+  drop column utr_number,
+  drop column utr_submitted_at,
+  drop column utr_submitted_by,
+  drop column reviewed_by,
+  drop column reviewed_at,
+  drop column rejection_reason;
+
+-- Statement lines settle transfers; a payment can now be settled by several lines
+alter table bank_statement_lines
+  add column transaction_id uuid references payment_transactions (id) on delete set null;
+
+update bank_statement_lines l
+set transaction_id = t.id
+from payment_transactions t
+where t.payment_id = l.payment_id
+  and l.payment_id is not null;
+
+drop index if exists bank_statement_lines_matched_payment_idx;
+
+create unique index bank_statement_lines_matched_transaction_idx on bank_statement_lines (transaction_id)
+  where match_status = 'matched';
+
+-- Recompute what has been paid on a payment from its verified transfers and
+-- verify the payment once the amount due is reached
+create or replace function refresh_payment_balance(
+  p_payment_id uuid,
+  p_user_id uuid
+) returns payments
+language plpgsql
+as $$
+declare
+  v_payment payments;
+  v_previous_status text;
+  v_paid numeric(14, 2);
+begin
+  select payment_status into v_previous_status
+    from payments
+   where id = p_payment_id
+     for update;
+
+  select coalesce(sum(amount), 0) into v_paid
+    from payment_transactions
+   where payment_id = p_payment_id
+     and transaction_status = 'verified';
+
+  update payments
+     set amount_paid = v_paid,
+         payment_status = case
+           when v_paid >= amount then 'verified'
+           when v_paid > 0 then 'partially_paid'
+           else payment_status
+         end,
+         verified_by = case when v_paid >= amount then coalesce(verified_by, p_user_id) end,
+         verified_at = case when v_paid >= amount then coalesce(verified_at, now()) end,
+         updated_at = now()
+   where id = p_payment_id
+  returning * into v_payment;
+
+  if v_payment.payment_status = 'verified' and v_previous_status <> 'verified' then
+    insert into audit_log (table_name, record_id, action, user_id, new_values)
+    values (
+      'payments',
+      p_payment_id,
+      'PAYMENT_COMPLETED',
+      p_user_id,
+      jsonb_build_object('amount', v_payment.amount, 'amount_paid', v_paid)
+    );
+  end if;
+
+  return v_payment;
+end;
+$$;
+
+-- Verify a submitted transfer after maker-checker review
+create or replace function verify_payment_transaction(
+  p_transaction_id uuid,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_transaction payment_transactions;
+  v_payment payments;
+begin
+  update payment_transactions
+     set transaction_status = 'verified',
+         reviewed_by = p_user_id,
+         reviewed_at = coalesce(reviewed_at, now()),
+         verified_by = p_user_id,
+         verified_at = now(),
+         updated_at = now()
+   where id = p_transaction_id
+     and transaction_status in ('utr_submitted', 'under_review')
+  returning * into v_transaction;
+
+  if not found then
+    raise exception 'UTR % is not awaiting verification', p_transaction_id;
+  end if;
+
+  v_payment := refresh_payment_balance(v_transaction.payment_id, p_user_id);
+
+  return jsonb_build_object('transaction', to_jsonb(v_transaction), 'payment', to_jsonb(v_payment));
+end;
+$$;
+
+-- Store an imported statement with its lines and verify the transfers of the
+-- lines matched in full
+create or replace function import_bank_statement(
+  p_statement jsonb,
+  p_lines jsonb,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_statement bank_statements;
+  v_line jsonb;
+  v_transaction payment_transactions;
+  v_verified integer := 0;
+begin
+  insert into bank_statements (
+    file_name,
+    file_hash,
+    format,
+    account_number,
+    statement_from,
+    statement_to,
+    opening_balance,
+    closing_balance,
+    line_count,
+    uploaded_by
+  ) values (
+    p_statement->>'file_name',
+    p_statement->>'file_hash',
+    p_statement->>'format',
+    p_statement->>'account_number',
+    (p_statement->>'statement_from')::date,
+    (p_statement->>'statement_to')::date,
+    (p_statement->>'opening_balance')::numeric,
+    (p_statement->>'closing_balance')::numeric,
+    jsonb_array_length(p_lines),
+    p_user_id
+  )
+  returning * into v_statement;
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    insert into bank_statement_lines (
+      statement_id,
+      line_number,
+      value_date,
+      direction,
+      amount,
+      utr_number,
+      reference,
+      narration,
+      match_status,
+      payment_id,
+      transaction_id,
+      match_details,
+      matched_by,
+      matched_at
+    ) values (
+      v_statement.id,
+      (v_line->>'line_number')::integer,
+      (v_line->>'value_date')::date,
+      v_line->>'direction',
+      (v_line->>'amount')::numeric,
+      v_line->>'utr_number',
+      v_line->>'reference',
+      v_line->>'narration',
+      v_line->>'match_status',
+      (v_line->>'payment_id')::uuid,
+      (v_line->>'transaction_id')::uuid,
+      v_line->'match_details',
+      case when v_line->>'match_status' = 'matched' then p_user_id end,
+      case when v_line->>'match_status' = 'matched' then now() end
+    );
+
+    if v_line->>'match_status' = 'matched' then
+      update payment_transactions
+         set transaction_status = 'verified',
+             verified_by = p_user_id,
+             verified_at = now(),
+             updated_at = now()
+       where id = (v_line->>'transaction_id')::uuid
+         and transaction_status in ('utr_submitted', 'under_review')
+      returning * into v_transaction;
+
+      if not found then
+        raise exception 'UTR % is not awaiting verification', v_line->>'utr_number';
+      end if;
+
+      perform refresh_payment_balance(v_transaction.payment_id, p_user_id);
+      v_verified := v_verified + 1;
+    end if;
+  end loop;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'bank_statements',
+    v_statement.id,
+    'BANK_STATEMENT_IMPORTED',
+    p_user_id,
+    jsonb_build_object(
+      'file_name', v_statement.file_name,
+      'format', v_statement.format,
+      'lines', v_statement.line_count,
+      'transactions_verified', v_verified
+    )
+  );
+
+  return to_jsonb(v_statement);
+end;
+$$;
+
+-- Confirm that a statement line settles a payment. The line verifies the
+-- transfer it was matched to, else the payment's open transfer with its UTR,
+-- else a new transfer recorded from the line. The bank amount is taken as paid.
+create or replace function confirm_statement_match(
+  p_line_id uuid,
+  p_payment_id uuid,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_line bank_statement_lines;
+  v_payment payments;
+  v_transaction payment_transactions;
+begin
+  select * into v_line
+    from bank_statement_lines
+   where id = p_line_id
+     for update;
+
+  if not found then
+    raise exception 'Statement line % not found', p_line_id;
+  end if;
+
+  if v_line.match_status = 'matched' then
+    raise exception 'Statement line % is already matched', v_line.line_number;
+  end if;
+
+  select * into v_payment
+    from payments
+   where id = p_payment_id
+     and payment_status in ('pending', 'partially_paid')
+     for update;
+
+  if not found then
+    raise exception 'Payment % is not awaiting reconciliation', p_payment_id;
+  end if;
+
+  select * into v_transaction
+    from payment_transactions
+   where payment_id = p_payment_id
+     and transaction_status in ('utr_submitted', 'under_review')
+     and (id = v_line.transaction_id or utr_number = v_line.utr_number)
+   order by (id = v_line.transaction_id) desc
+   limit 1
+     for update;
+
+  if found then
+    update payment_transactions
+       set transaction_status = 'verified',
+           amount = v_line.amount,
+           verified_by = p_user_id,
+           verified_at = now(),
+           updated_at = now()
+     where id = v_transaction.id
+    returning * into v_transaction;
+  else
+    if coalesce(v_line.utr_number, v_line.reference) is null then
+      raise exception 'Statement line % has no UTR or reference to record', v_line.line_number;
+    end if;
+
+    insert into payment_transactions (
+      payment_id,
+      utr_number,
+      payment_mode,
+      amount,
+      transaction_status,
+      verified_by,
+      verified_at
+    ) values (
+      p_payment_id,
+      coalesce(v_line.utr_number, v_line.reference),
+      coalesce(v_payment.payment_mode, 'RTGS'),
+      v_line.amount,
+      'verified',
+      p_user_id,
+      now()
+    )
+    returning * into v_transaction;
+  end if;
+
+  v_payment := refresh_payment_balance(p_payment_id, p_user_id);
+
+  update bank_statement_lines
+     set match_status = 'matched',
+         payment_id = p_payment_id,
+         transaction_id = v_transaction.id,
+         matched_by = p_user_id,
+         matched_at = now()
+   where id = p_line_id
+  returning * into v_line;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'payments',
+    p_payment_id,
+    'PAYMENT_RECONCILED',
+    p_user_id,
+    jsonb_build_object(
+      'statement_line_id', p_line_id,
+      'statement_id', v_line.statement_id,
+      'transaction_id', v_transaction.id,
+      'utr_number', v_transaction.utr_number,
+      'amount', v_line.amount,
+      'value_date', v_line.value_date,
+      'amount_paid', v_payment.amount_paid
+    )
+  );
+
+  return to_jsonb(v_line);
+end;
+$$;
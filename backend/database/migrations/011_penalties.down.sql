@@ -0,0 +1,11 @@
+-- Remove late payment charges; penalty installments are deleted
+
+delete from trading_configuration where config_key = 'PENALTY_RULES';
+
+delete from payments where penalty_for_payment_id is not null;
+
+drop index if exists payments_penalty_for_payment_id_idx;
+
+alter table payments
+  drop column if exists penalty_details,
+  drop column if exists penalty_for_payment_id;
@@ -0,0 +1,25 @@
+-- Late payment charges
+-- Interest and a flat late fee accrue on payments still unpaid after a grace
+-- period past their due date, under the PENALTY_RULES trading configuration.
+-- The charges are added to the indent's schedule as a penalty installment
+-- that points at the payment it was charged on.
+
+alter table payments
+  add column penalty_for_payment_id uuid references payments (id) on delete cascade,
+  add column penalty_details jsonb;
+
+create index payments_penalty_for_payment_id_idx on payments (penalty_for_payment_id);
+
+insert into trading_configuration (config_key, description)
+values ('PENALTY_RULES', 'Charges on overdue payments: interest in percent per business day on the unpaid amount and a flat late fee, after a grace period of business days')
+on conflict (config_key) do nothing;
+
+insert into trading_configuration_versions (config_key, version, config_value, effective_from, change_reason)
+values (
+  'PENALTY_RULES',
+  1,
+  '{"interest_rate_per_day": 0.05, "flat_late_fee": 500, "grace_days": 3}',
+  now(),
+  'Initial value'
+)
+on conflict (config_key, version) do nothing;
@@ -0,0 +1,7 @@
+-- Remove the bank account master; CDUs keep the bank name only
+
+alter table payments
+  drop column if exists beneficiary,
+  drop column if exists bank_account_id;
+
+drop table if exists bank_accounts;
@@ -0,0 +1,28 @@
+-- Bank account master
+-- Beneficiary accounts payments are made into. An account can be kept for one
+-- payment type (purpose) and for one CCI branch or zone; null means any. The
+-- CDU carries the account chosen for it, defaulting to the best fit, and keeps
+-- a copy of the beneficiary details as printed.
+
+create table bank_accounts (
+  id uuid primary key default gen_random_uuid(),
+  account_name text not null,
+  account_number text not null check (account_number ~ '^\d{9,18}$'),
+  ifsc_code text not null check (ifsc_code ~ '^[A-Z]{4}0[A-Z0-9]{6}$'),
+  bank_name text not null,
+  branch_name text not null,
+  purpose text check (purpose in ('EMD', 'BALANCE', 'PENALTY')),
+  branch_id uuid references branch_information (id),
+  zone text,
+  default_payment_mode text not null default 'RTGS' check (default_payment_mode in ('RTGS', 'NEFT', 'IMPS')),
+  is_active boolean not null default true,
+  created_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index bank_accounts_number_ifsc_idx on bank_accounts (account_number, ifsc_code);
+
+alter table payments
+  add column bank_account_id uuid references bank_accounts (id),
+  add column beneficiary jsonb;
@@ -0,0 +1,7 @@
+-- Remove CDU references and revisions
+
+drop index if exists payments_cdu_reference_idx;
+
+alter table payments
+  drop column if exists cdu_revision,
+  drop column if exists cdu_reference;
@@ -0,0 +1,14 @@
+-- Payment advice
+-- Each CDU gets a reference number printed on its payment advice PDF, and a
+-- revision that goes up whenever its beneficiary or payment mode is changed.
+
+alter table payments
+  add column cdu_reference text,
+  add column cdu_revision integer not null default 0 check (cdu_revision >= 0);
+
+update payments
+set cdu_reference = 'CDU-' || to_char(cdu_generated_at, 'YYYYMMDD') || '-' || upper(left(id::text, 8)),
+    cdu_revision = 1
+where cdu_generated_at is not null;
+
+create unique index payments_cdu_reference_idx on payments (cdu_reference);
@@ -0,0 +1,56 @@
+-- Remove the EMD lifecycle; completing an EMD installment no longer holds it
+
+drop function if exists update_allocation_status(uuid, text, text, jsonb, uuid, text, text);
+drop function if exists settle_emd_deposit(uuid, text, text[], jsonb, uuid, text);
+
+create or replace function refresh_payment_balance(
+  p_payment_id uuid,
+  p_user_id uuid
+) returns payments
+language plpgsql
+as $$
+declare
+  v_payment payments;
+  v_previous_status text;
+  v_paid numeric(14, 2);
+begin
+  select payment_status into v_previous_status
+    from payments
+   where id = p_payment_id
+     for update;
+
+  select coalesce(sum(amount), 0) into v_paid
+    from payment_transactions
+   where payment_id = p_payment_id
+     and transaction_status = 'verified';
+
+  update payments
+     set amount_paid = v_paid,
+         payment_status = case
+           when v_paid >= amount then 'verified'
+           when v_paid > 0 then 'partially_paid'
+           else payment_status
+         end,
+         verified_by = case when v_paid >= amount then coalesce(verified_by, p_user_id) end,
+         verified_at = case when v_paid >= amount then coalesce(verified_at, now()) end,
+         updated_at = now()
+   where id = p_payment_id
+  returning * into v_payment;
+
+  if v_payment.payment_status = 'verified' and v_previous_status <> 'verified' then
+    insert into audit_log (table_name, record_id, action, user_id, new_values)
+    values (
+      'payments',
+      p_payment_id,
+      'PAYMENT_COMPLETED',
+      p_user_id,
+      jsonb_build_object('amount', v_payment.amount, 'amount_paid', v_paid)
+    );
+  end if;
+
+  return v_payment;
+end;
+$$;
+
+drop table if exists emd_ledger;
+drop table if exists emd_deposits;
@@ -0,0 +1,289 @@
+-- EMD lifecycle
+-- An EMD is held once its installment is paid in full. When the allocation is
+-- completed the EMD is adjusted against the final bill; when it is cancelled
+-- the EMD is refunded to the firm, after a second user approves the refund,
+-- or forfeited. Every movement of EMD money is written to emd_ledger.
+--
+-- emd_status: held -> adjusted
+--             held -> refund_requested -> refund_approved -> refunded
+--                            |
+--                            +--> held (refund rejected)
+--             held, refund_requested -> forfeited
+
+create table emd_deposits (
+  id uuid primary key default gen_random_uuid(),
+  payment_id uuid not null unique references payments (id) on delete cascade,
+  procurement_id uuid not null references procurement_dump (id) on delete cascade,
+  allocation_id uuid references allocation (id),
+  amount numeric(14, 2) not null check (amount > 0),
+  balance numeric(14, 2) not null check (balance >= 0 and balance <= amount),
+  emd_status text not null default 'held'
+    check (emd_status in ('held', 'adjusted', 'refund_requested', 'refund_approved', 'refunded', 'forfeited')),
+  refund_reason text,
+  refund_account jsonb,
+  refund_requested_by uuid references users (id),
+  refund_requested_at timestamptz,
+  refund_reviewed_by uuid references users (id),
+  refund_reviewed_at timestamptz,
+  refund_rejection_reason text,
+  refund_utr text,
+  refund_payment_mode text check (refund_payment_mode in ('RTGS', 'NEFT', 'IMPS')),
+  settled_by uuid references users (id),
+  settled_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index emd_deposits_allocation_idx on emd_deposits (allocation_id);
+create index emd_deposits_status_idx on emd_deposits (emd_status);
+
+-- Append-only: one row per movement, with the EMD still held after it
+create table emd_ledger (
+  id uuid primary key default gen_random_uuid(),
+  emd_deposit_id uuid not null references emd_deposits (id) on delete cascade,
+  entry_type text not null check (entry_type in ('HELD', 'ADJUSTED', 'REFUNDED', 'FORFEITED')),
+  amount numeric(14, 2) not null check (amount > 0),
+  balance_after numeric(14, 2) not null check (balance_after >= 0),
+  reference text,
+  notes text,
+  created_by uuid references users (id),
+  created_at timestamptz not null default now()
+);
+
+create index emd_ledger_deposit_idx on emd_ledger (emd_deposit_id, created_at);
+
+-- EMDs already paid in full are held from the day they were verified
+insert into emd_deposits (payment_id, procurement_id, allocation_id, amount, balance, created_at)
+select p.id, p.procurement_id, pd.allocation_id, p.amount_paid, p.amount_paid, coalesce(p.verified_at, now())
+from payments p
+join procurement_dump pd on pd.id = p.procurement_id
+where p.payment_type = 'EMD'
+  and p.payment_status = 'verified'
+  and p.amount_paid > 0;
+
+insert into emd_ledger (emd_deposit_id, entry_type, amount, balance_after, reference, created_by, created_at)
+select d.id, 'HELD', d.amount, d.amount, p.installment_name, p.verified_by, d.created_at
+from emd_deposits d
+join payments p on p.id = d.payment_id;
+
+-- Completing an EMD installment now holds the EMD
+create or replace function refresh_payment_balance(
+  p_payment_id uuid,
+  p_user_id uuid
+) returns payments
+language plpgsql
+as $$
+declare
+  v_payment payments;
+  v_previous_status text;
+  v_paid numeric(14, 2);
+  v_deposit emd_deposits;
+begin
+  select payment_status into v_previous_status
+    from payments
+   where id = p_payment_id
+     for update;
+
+  select coalesce(sum(amount), 0) into v_paid
+    from payment_transactions
+   where payment_id = p_payment_id
+     and transaction_status = 'verified';
+
+  update payments
+     set amount_paid = v_paid,
+         payment_status = case
+           when v_paid >= amount then 'verified'
+           when v_paid > 0 then 'partially_paid'
+           else payment_status
+         end,
+         verified_by = case when v_paid >= amount then coalesce(verified_by, p_user_id) end,
+         verified_at = case when v_paid >= amount then coalesce(verified_at, now()) end,
+         updated_at = now()
+   where id = p_payment_id
+  returning * into v_payment;
+
+  if v_payment.payment_status = 'verified' and v_previous_status <> 'verified' then
+    insert into audit_log (table_name, record_id, action, user_id, new_values)
+    values (
+      'payments',
+      p_payment_id,
+      'PAYMENT_COMPLETED',
+      p_user_id,
+      jsonb_build_object('amount', v_payment.amount, 'amount_paid', v_paid)
+    );
+
+    if v_payment.payment_type = 'EMD' then
+      insert into emd_deposits (payment_id, procurement_id, allocation_id, amount, balance)
+      select v_payment.id, v_payment.procurement_id, pd.allocation_id, v_paid, v_paid
+        from procurement_dump pd
+       where pd.id = v_payment.procurement_id
+      on conflict (payment_id) do nothing
+      returning * into v_deposit;
+
+      if v_deposit.id is not null then
+        insert into emd_ledger (emd_deposit_id, entry_type, amount, balance_after, reference, created_by)
+        values (v_deposit.id, 'HELD', v_paid, v_paid, v_payment.installment_name, p_user_id);
+      end if;
+    end if;
+  end if;
+
+  return v_payment;
+end;
+$$;
+
+-- Release the whole EMD still held: adjusted, refunded or forfeited
+create or replace function settle_emd_deposit(
+  p_deposit_id uuid,
+  p_entry_type text,
+  p_from_statuses text[],
+  p_values jsonb,
+  p_user_id uuid,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_deposit emd_deposits;
+  v_amount numeric(14, 2);
+begin
+  select * into v_deposit
+    from emd_deposits
+   where id = p_deposit_id
+     and emd_status = any (p_from_statuses)
+     for update;
+
+  if not found then
+    raise exception 'EMD % cannot be % now', p_deposit_id, lower(p_entry_type);
+  end if;
+
+  v_amount := v_deposit.balance;
+
+  update emd_deposits
+     set emd_status = case p_entry_type
+           when 'ADJUSTED' then 'adjusted'
+           when 'REFUNDED' then 'refunded'
+           when 'FORFEITED' then 'forfeited'
+         end,
+         balance = 0,
+         refund_utr = coalesce(p_values->>'refund_utr', refund_utr),
+         refund_payment_mode = coalesce(p_values->>'refund_payment_mode', refund_payment_mode),
+         settled_by = p_user_id,
+         settled_at = now(),
+         updated_at = now()
+   where id = p_deposit_id
+  returning * into v_deposit;
+
+  insert into emd_ledger (emd_deposit_id, entry_type, amount, balance_after, reference, notes, created_by)
+  values (p_deposit_id, p_entry_type, v_amount, 0, p_values->>'reference', p_notes, p_user_id);
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'emd_deposits',
+    p_deposit_id,
+    'EMD_' || p_entry_type,
+    p_user_id,
+    p_values || jsonb_build_object('amount', v_amount, 'notes', p_notes)
+  );
+
+  return to_jsonb(v_deposit);
+end;
+$$;
+
+-- Change an allocation's status and move its EMDs in a single transaction
+-- p_transitions lists the EMDs the change moves, as planned by the backend:
+-- [{ deposit_id, action, from_status, reference }], action being adjust,
+-- forfeit or request_refund. The allocation must still have the status the
+-- plan was made from, and each EMD the status it had then.
+
+create or replace function update_allocation_status(
+  p_allocation_id uuid,
+  p_status text,
+  p_expected_status text,
+  p_transitions jsonb,
+  p_user_id uuid,
+  p_reason text,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_allocation allocation;
+  v_transition jsonb;
+  v_deposit emd_deposits;
+  v_emd jsonb := '[]'::jsonb;
+begin
+  select * into v_allocation
+    from allocation
+   where id = p_allocation_id
+   for update;
+
+  if not found then
+    raise exception 'Allocation % not found', p_allocation_id;
+  end if;
+
+  if v_allocation.allocation_status <> p_expected_status then
+    raise exception 'The allocation is now %; reload it and try again', v_allocation.allocation_status;
+  end if;
+
+  update allocation
+     set allocation_status = p_status,
+         updated_at = now()
+   where id = p_allocation_id
+  returning * into v_allocation;
+
+  insert into audit_log (table_name, record_id, action, user_id, old_values, new_values)
+  values (
+    'allocation',
+    p_allocation_id,
+    'STATUS_UPDATE',
+    p_user_id,
+    jsonb_build_object('status', p_expected_status),
+    jsonb_build_object('status', p_status, 'notes', p_notes)
+  );
+
+  for v_transition in select * from jsonb_array_elements(p_transitions)
+  loop
+    if v_transition->>'action' = 'request_refund' then
+      update emd_deposits
+         set emd_status = 'refund_requested',
+             refund_reason = p_reason,
+             refund_requested_by = p_user_id,
+             refund_requested_at = now(),
+             updated_at = now()
+       where id = (v_transition->>'deposit_id')::uuid
+         and emd_status = 'held'
+      returning * into v_deposit;
+
+      if not found then
+        raise exception 'The refund of EMD % cannot be requested now', v_transition->>'deposit_id';
+      end if;
+
+      insert into audit_log (table_name, record_id, action, user_id, old_values, new_values)
+      values (
+        'emd_deposits',
+        v_deposit.id,
+        'EMD_REFUND_REQUESTED',
+        p_user_id,
+        jsonb_build_object('emd_status', v_transition->>'from_status'),
+        jsonb_build_object('reason', p_reason)
+      );
+
+      v_emd := v_emd || to_jsonb(v_deposit);
+    else
+      v_emd := v_emd || settle_emd_deposit(
+        (v_transition->>'deposit_id')::uuid,
+        case v_transition->>'action' when 'adjust' then 'ADJUSTED' else 'FORFEITED' end,
+        array[v_transition->>'from_status'],
+        jsonb_build_object('reference', v_transition->>'reference'),
+        p_user_id,
+        p_reason
+      );
+    end if;
+  end loop;
+
+  return jsonb_build_object(
+    'allocation', to_jsonb(v_allocation),
+    'emd', v_emd
+  );
+end;
+$$;
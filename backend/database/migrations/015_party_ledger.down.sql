@@ -0,0 +1,3 @@
+-- Remove the party ledger
+
+drop table if exists party_ledger;
@@ -0,0 +1,41 @@
+-- Party ledger
+-- One account per firm, customer and broker. Each row posts an amount to the
+-- party on one side and to a contra account (Procurement, Bank, EMD, Sales,
+-- Brokerage, Adjustment) on the other, so every entry balances. A debit
+-- raises what the party owes; a credit raises what is owed to the party.
+--
+-- CDUs, payments, EMD refunds, sales and commissions are posted from the rows
+-- that record them, identified by source_table and source_id, and posting
+-- again updates rather than duplicates them. Manual receipts, payments and
+-- adjustments have no source.
+--
+-- Procurement payments are outgoing, as bank reconciliation matches them to
+-- debits: a CDU is payable to the firm (credit) and the verified transfer
+-- paying it a payment (debit).
+
+create table party_ledger (
+  id uuid primary key default gen_random_uuid(),
+  party_type text not null check (party_type in ('firm', 'customer', 'broker')),
+  -- customer_info or broker_info ID; for a firm, its name in upper case
+  party_key text not null,
+  party_name text not null,
+  entry_date date not null,
+  entry_type text not null
+    check (entry_type in ('DUE', 'RECEIPT', 'REFUND', 'COMMISSION', 'PAYMENT', 'ADJUSTMENT')),
+  debit numeric(16, 2) not null default 0 check (debit >= 0),
+  credit numeric(16, 2) not null default 0 check (credit >= 0),
+  contra_account text not null,
+  reference text,
+  narration text,
+  source_table text,
+  source_id uuid,
+  created_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check ((debit > 0 and credit = 0) or (credit > 0 and debit = 0)),
+  check ((source_table is null) = (source_id is null)),
+  -- A source row posts at most one entry of each type
+  unique (source_table, source_id, entry_type)
+);
+
+create index party_ledger_party_idx on party_ledger (party_type, party_key, entry_date);
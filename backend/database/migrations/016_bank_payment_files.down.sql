@@ -0,0 +1,10 @@
+-- Remove bulk bank payment files
+
+drop function if exists create_bank_payment_batch(uuid, date, jsonb, uuid);
+
+alter table payments
+  drop column if exists bank_batch_id;
+
+drop table if exists bank_payment_batch_lines;
+drop table if exists bank_payment_batches;
+drop table if exists bank_file_templates;
@@ -0,0 +1,177 @@
+-- Bulk bank payment files
+-- Pending payments are paid in batches through the corporate banking portal:
+-- a batch is written out as an upload file in the layout of the paying bank
+-- (a bank_file_templates row), and the response file the bank returns is
+-- imported to record the UTR of each payment made, or why it failed.
+--
+-- line_status: pending -> paid (UTR recorded for review)
+--              pending -> failed (payment can go in another batch)
+-- batch_status: generated -> closed once no line is pending
+
+create table bank_file_templates (
+  id uuid primary key default gen_random_uuid(),
+  bank_code text not null check (bank_code ~ '^[A-Z]{4}$'),
+  template_name text not null unique,
+  file_format text not null check (file_format in ('fixed_width', 'csv')),
+  delimiter text not null default ',' check (char_length(delimiter) = 1),
+  include_header boolean not null default false,
+  file_extension text not null default 'txt' check (file_extension ~ '^[a-z0-9]{1,5}$'),
+  debit_account_number text not null check (debit_account_number ~ '^\d{9,18}$'),
+  -- [{ header, source, width, align, pad, format, value, codes }]
+  fields jsonb not null check (jsonb_typeof(fields) = 'array' and jsonb_array_length(fields) > 0),
+  header_fields jsonb check (header_fields is null or jsonb_typeof(header_fields) = 'array'),
+  trailer_fields jsonb check (trailer_fields is null or jsonb_typeof(trailer_fields) = 'array'),
+  -- { file_format, delimiter, has_header, reference, utr, status, reason, success_values }
+  response_layout jsonb not null,
+  is_active boolean not null default true,
+  created_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table bank_payment_batches (
+  id uuid primary key default gen_random_uuid(),
+  batch_number text not null unique,
+  template_id uuid not null references bank_file_templates (id),
+  value_date date not null,
+  line_count integer not null check (line_count > 0),
+  total_amount numeric(14, 2) not null check (total_amount > 0),
+  batch_status text not null default 'generated' check (batch_status in ('generated', 'closed')),
+  response_file_name text,
+  response_imported_by uuid references users (id),
+  response_imported_at timestamptz,
+  created_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index bank_payment_batches_status_idx on bank_payment_batches (batch_status, created_at);
+
+create table bank_payment_batch_lines (
+  id uuid primary key default gen_random_uuid(),
+  batch_id uuid not null references bank_payment_batches (id) on delete cascade,
+  payment_id uuid not null references payments (id),
+  line_number integer not null check (line_number > 0),
+  -- Customer reference sent to the bank and echoed in its response
+  reference text not null unique,
+  amount numeric(14, 2) not null check (amount > 0),
+  payment_mode text not null check (payment_mode in ('RTGS', 'NEFT', 'IMPS')),
+  beneficiary jsonb not null,
+  line_status text not null default 'pending' check (line_status in ('pending', 'paid', 'failed')),
+  utr_number text,
+  transaction_id uuid references payment_transactions (id),
+  failure_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (batch_id, line_number)
+);
+
+-- A payment can be in one batch awaiting the bank's response at a time
+create unique index bank_payment_batch_lines_pending_idx
+  on bank_payment_batch_lines (payment_id)
+  where line_status = 'pending';
+
+alter table payments
+  add column bank_batch_id uuid references bank_payment_batches (id);
+
+-- Create a batch: number it BP-YYYYMMDD-NNN for the day, add a line per
+-- payment and record the batch on each payment
+create or replace function create_bank_payment_batch(
+  p_template_id uuid,
+  p_value_date date,
+  p_lines jsonb,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_batch bank_payment_batches;
+  v_line jsonb;
+  v_prefix text := 'BP-' || to_char(now(), 'YYYYMMDD') || '-';
+  v_sequence integer;
+  v_line_number integer := 0;
+begin
+  -- Serialise numbering so two batches created together get different numbers
+  lock table bank_payment_batches in share row exclusive mode;
+
+  select count(*) + 1 into v_sequence
+    from bank_payment_batches
+   where batch_number like v_prefix || '%';
+
+  insert into bank_payment_batches (
+    batch_number,
+    template_id,
+    value_date,
+    line_count,
+    total_amount,
+    created_by
+  ) values (
+    v_prefix || lpad(v_sequence::text, 3, '0'),
+    p_template_id,
+    p_value_date,
+    jsonb_array_length(p_lines),
+    (select sum((line->>'amount')::numeric) from jsonb_array_elements(p_lines) line),
+    p_user_id
+  )
+  returning * into v_batch;
+
+  for v_line in select * from jsonb_array_elements(p_lines)
+  loop
+    v_line_number := v_line_number + 1;
+
+    if exists (
+      select 1
+        from bank_payment_batch_lines
+       where payment_id = (v_line->>'payment_id')::uuid
+         and line_status = 'pending'
+    ) then
+      raise exception 'Payment % is already in a batch awaiting the bank''s response', v_line->>'payment_id';
+    end if;
+
+    insert into bank_payment_batch_lines (
+      batch_id,
+      payment_id,
+      line_number,
+      reference,
+      amount,
+      payment_mode,
+      beneficiary
+    ) values (
+      v_batch.id,
+      (v_line->>'payment_id')::uuid,
+      v_line_number,
+      replace(v_batch.batch_number, '-', '') || lpad(v_line_number::text, 3, '0'),
+      (v_line->>'amount')::numeric,
+      v_line->>'payment_mode',
+      v_line->'beneficiary'
+    );
+
+    update payments
+       set bank_batch_id = v_batch.id,
+           updated_at = now()
+     where id = (v_line->>'payment_id')::uuid
+       and payment_status in ('pending', 'partially_paid');
+
+    if not found then
+      raise exception 'Payment % is not awaiting payment', v_line->>'payment_id';
+    end if;
+  end loop;
+
+  insert into audit_log (table_name, record_id, action, user_id, new_values)
+  values (
+    'bank_payment_batches',
+    v_batch.id,
+    'BANK_PAYMENT_BATCH_CREATED',
+    p_user_id,
+    jsonb_build_object(
+      'batch_number', v_batch.batch_number,
+      'template_id', v_batch.template_id,
+      'value_date', v_batch.value_date,
+      'lines', v_batch.line_count,
+      'total_amount', v_batch.total_amount
+    )
+  );
+
+  return to_jsonb(v_batch);
+end;
+$$;
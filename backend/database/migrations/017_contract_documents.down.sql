@@ -0,0 +1,12 @@
+-- Remove contract documents stored by the backend
+
+drop function if exists add_contract_document(text, uuid, text, text, jsonb, uuid);
+
+drop index if exists purchase_contract_table_indent_number_idx;
+
+alter table purchase_contract_table
+  drop column if exists current_version,
+  drop column if exists current_document_id,
+  drop column if exists procurement_id;
+
+drop table if exists contract_documents;
@@ -0,0 +1,136 @@
+-- Contract documents stored by the backend
+-- Contract PDFs are uploaded to the API, written to document storage (local
+-- filesystem or an S3-compatible bucket) and recorded here, one row per
+-- revision. The purchase_contract_table row of an indent points at its
+-- current revision; n8n is only notified once the upload is recorded.
+--
+-- Uploading again while the contract is pending (or its sending failed) adds
+-- a revision and puts it back to pending; a sent contract is final.
+
+create table contract_documents (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references purchase_contract_table (id) on delete cascade,
+  version integer not null check (version > 0),
+  file_name text not null,
+  content_type text not null default 'application/pdf',
+  size_bytes integer not null check (size_bytes > 0),
+  checksum_sha256 text not null check (checksum_sha256 ~ '^[0-9a-f]{64}$'),
+  storage_backend text not null check (storage_backend in ('local', 's3')),
+  storage_key text not null,
+  notes text,
+  uploaded_by uuid references users (id),
+  uploaded_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  unique (contract_id, version)
+);
+
+create index contract_documents_contract_id_idx on contract_documents (contract_id);
+
+alter table purchase_contract_table
+  add column procurement_id uuid references procurement_dump (id) on delete set null,
+  add column current_document_id uuid references contract_documents (id),
+  add column current_version integer not null default 0;
+
+create index purchase_contract_table_indent_number_idx on purchase_contract_table (indent_number);
+
+-- Record an uploaded revision against the indent's contract, creating the
+-- contract on the first upload. p_document carries the contract_documents
+-- columns, including the id its storage key was made from.
+create or replace function add_contract_document(
+  p_indent_number text,
+  p_procurement_id uuid,
+  p_firm_name text,
+  p_branch_name text,
+  p_document jsonb,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_contract purchase_contract_table;
+  v_document contract_documents;
+begin
+  -- Serialise uploads so two first uploads for an indent make one contract
+  lock table purchase_contract_table in share row exclusive mode;
+
+  select * into v_contract
+    from purchase_contract_table
+   where indent_number = p_indent_number
+   order by uploaded_at desc
+   limit 1;
+
+  if found and v_contract.status = 'sent' then
+    raise exception 'The contract for indent % has already been sent and cannot be revised', p_indent_number;
+  end if;
+
+  if not found then
+    insert into purchase_contract_table (
+      indent_number,
+      procurement_id,
+      firm_name,
+      branch_name,
+      uploaded_by
+    ) values (
+      p_indent_number,
+      p_procurement_id,
+      p_firm_name,
+      p_branch_name,
+      p_user_id
+    )
+    returning * into v_contract;
+  end if;
+
+  insert into contract_documents (
+    id,
+    contract_id,
+    version,
+    file_name,
+    content_type,
+    size_bytes,
+    checksum_sha256,
+    storage_backend,
+    storage_key,
+    notes,
+    uploaded_by
+  ) values (
+    (p_document->>'id')::uuid,
+    v_contract.id,
+    v_contract.current_version + 1,
+    p_document->>'file_name',
+    p_document->>'content_type',
+    (p_document->>'size_bytes')::integer,
+    p_document->>'checksum_sha256',
+    p_document->>'storage_backend',
+    p_document->>'storage_key',
+    p_document->>'notes',
+    p_user_id
+  )
+  returning * into v_document;
+
+  update purchase_contract_table
+     set procurement_id = coalesce(procurement_id, p_procurement_id),
+         file_name = v_document.file_name,
+         status = 'pending',
+         uploaded_by = p_user_id,
+         uploaded_at = v_document.uploaded_at,
+         current_document_id = v_document.id,
+         current_version = v_document.version,
+         updated_at = now()
+   where id = v_contract.id
+  returning * into v_contract;
+
+  insert into contract_logs (contract_id, user_id, action, notes)
+  values (
+    v_contract.id,
+    p_user_id,
+    'uploaded',
+    'Version ' || v_document.version || ': ' || v_document.file_name ||
+      coalesce(' - ' || v_document.notes, '')
+  );
+
+  return jsonb_build_object(
+    'contract', to_jsonb(v_contract),
+    'document', to_jsonb(v_document)
+  );
+end;
+$$;
@@ -0,0 +1,290 @@
+-- Contract approval workflow
+-- Admins approve, reject or ask for changes to an uploaded contract on the
+-- backend. A contract needs every level of CONTRACT_APPROVAL_LEVELS whose
+-- minimum its value (the indent's procurement total) reaches, signed off in
+-- order by different admins, none of them the uploader. The levels a revision
+-- needs are fixed on it at its first decision. Only a fully approved contract
+-- is handed to n8n for sending.
+--
+-- status: pending -> approved -> sent | failed (reported back by n8n)
+--         pending -> changes_requested -> pending (a new revision is uploaded)
+--         pending -> rejected (final; uploading again starts a new contract)
+--         failed  -> sent again, or pending when a new revision is uploaded
+
+insert into trading_configuration (config_key, description)
+values ('CONTRACT_APPROVAL_LEVELS', 'Sign-off levels for purchase contracts; a contract needs every level whose minimum contract value (rupees) it reaches, in order')
+on conflict (config_key) do nothing;
+
+insert into trading_configuration_versions (config_key, version, config_value, effective_from, change_reason)
+values (
+  'CONTRACT_APPROVAL_LEVELS',
+  1,
+  '{"levels": [{"name": "Trading desk", "min_contract_value": 0}, {"name": "Senior management", "min_contract_value": 25000000}, {"name": "Director", "min_contract_value": 100000000}]}',
+  now(),
+  'Initial value'
+)
+on conflict (config_key, version) do nothing;
+
+alter table contract_documents
+  add column approval_levels jsonb,
+  add column contract_value numeric(16, 2);
+
+alter table purchase_contract_table
+  add column approved_at timestamptz,
+  add column dispatched_at timestamptz;
+
+create table contract_approvals (
+  id uuid primary key default gen_random_uuid(),
+  contract_id uuid not null references purchase_contract_table (id) on delete cascade,
+  document_id uuid not null references contract_documents (id) on delete cascade,
+  decision text not null check (decision in ('approved', 'rejected', 'changes_requested')),
+  -- Level signed off, for approvals
+  level integer check (level > 0),
+  level_name text,
+  reason text,
+  decided_by uuid not null references users (id),
+  decided_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  check ((decision = 'approved') = (level is not null)),
+  check (decision = 'approved' or reason is not null)
+);
+
+create index contract_approvals_contract_id_idx on contract_approvals (contract_id);
+
+-- Each level of a revision is signed off once, each by a different admin
+create unique index contract_approvals_level_idx
+  on contract_approvals (document_id, level)
+  where decision = 'approved';
+
+create unique index contract_approvals_approver_idx
+  on contract_approvals (document_id, decided_by)
+  where decision = 'approved';
+
+-- Rejected contracts are closed, and approved ones are on their way to the firm
+create or replace function add_contract_document(
+  p_indent_number text,
+  p_procurement_id uuid,
+  p_firm_name text,
+  p_branch_name text,
+  p_document jsonb,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_contract purchase_contract_table;
+  v_document contract_documents;
+begin
+  -- Serialise uploads so two first uploads for an indent make one contract
+  lock table purchase_contract_table in share row exclusive mode;
+
+  select * into v_contract
+    from purchase_contract_table
+   where indent_number = p_indent_number
+   order by uploaded_at desc
+   limit 1;
+
+  if found and v_contract.status = 'sent' then
+    raise exception 'The contract for indent % has already been sent and cannot be revised', p_indent_number;
+  end if;
+
+  if found and v_contract.status = 'approved' then
+    raise exception 'The contract for indent % has been approved for sending and cannot be revised', p_indent_number;
+  end if;
+
+  if not found or v_contract.status = 'rejected' then
+    insert into purchase_contract_table (
+      indent_number,
+      procurement_id,
+      firm_name,
+      branch_name,
+      uploaded_by
+    ) values (
+      p_indent_number,
+      p_procurement_id,
+      p_firm_name,
+      p_branch_name,
+      p_user_id
+    )
+    returning * into v_contract;
+  end if;
+
+  insert into contract_documents (
+    id,
+    contract_id,
+    version,
+    file_name,
+    content_type,
+    size_bytes,
+    checksum_sha256,
+    storage_backend,
+    storage_key,
+    notes,
+    uploaded_by
+  ) values (
+    (p_document->>'id')::uuid,
+    v_contract.id,
+    v_contract.current_version + 1,
+    p_document->>'file_name',
+    p_document->>'content_type',
+    (p_document->>'size_bytes')::integer,
+    p_document->>'checksum_sha256',
+    p_document->>'storage_backend',
+    p_document->>'storage_key',
+    p_document->>'notes',
+    p_user_id
+  )
+  returning * into v_document;
+
+  update purchase_contract_table
+     set procurement_id = coalesce(procurement_id, p_procurement_id),
+         file_name = v_document.file_name,
+         status = 'pending',
+         uploaded_by = p_user_id,
+         uploaded_at = v_document.uploaded_at,
+         current_document_id = v_document.id,
+         current_version = v_document.version,
+         approved_at = null,
+         updated_at = now()
+   where id = v_contract.id
+  returning * into v_contract;
+
+  insert into contract_logs (contract_id, user_id, action, notes)
+  values (
+    v_contract.id,
+    p_user_id,
+    'uploaded',
+    'Version ' || v_document.version || ': ' || v_document.file_name ||
+      coalesce(' - ' || v_document.notes, '')
+  );
+
+  return jsonb_build_object(
+    'contract', to_jsonb(v_contract),
+    'document', to_jsonb(v_document)
+  );
+end;
+$$;
+
+-- Record an admin's decision on the current revision of a pending contract.
+-- p_levels and p_contract_value are fixed on the revision at its first
+-- decision; later decisions use the fixed levels.
+create or replace function decide_contract(
+  p_contract_id uuid,
+  p_document_id uuid,
+  p_decision text,
+  p_levels jsonb,
+  p_contract_value numeric,
+  p_reason text,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_contract purchase_contract_table;
+  v_document contract_documents;
+  v_approval contract_approvals;
+  v_approved integer;
+  v_required integer;
+  v_level jsonb;
+begin
+  select * into v_contract
+    from purchase_contract_table
+   where id = p_contract_id
+   for update;
+
+  if not found then
+    raise exception 'Contract % not found', p_contract_id;
+  end if;
+
+  if v_contract.status <> 'pending' then
+    raise exception 'The contract is %, not awaiting approval', v_contract.status;
+  end if;
+
+  if v_contract.current_document_id is distinct from p_document_id then
+    raise exception 'A newer version of the contract has been uploaded; review it instead';
+  end if;
+
+  select * into v_document
+    from contract_documents
+   where id = p_document_id;
+
+  if v_document.uploaded_by = p_user_id then
+    raise exception 'The user who uploaded the contract cannot review it';
+  end if;
+
+  if v_document.approval_levels is null then
+    update contract_documents
+       set approval_levels = p_levels,
+           contract_value = p_contract_value
+     where id = p_document_id
+    returning * into v_document;
+  end if;
+
+  select count(*) into v_approved
+    from contract_approvals
+   where document_id = p_document_id
+     and decision = 'approved';
+
+  v_required := jsonb_array_length(v_document.approval_levels);
+
+  if p_decision = 'approved' then
+    if exists (
+      select 1
+        from contract_approvals
+       where document_id = p_document_id
+         and decision = 'approved'
+         and decided_by = p_user_id
+    ) then
+      raise exception 'You have already signed off this version; the next level needs a different admin';
+    end if;
+
+    v_level := v_document.approval_levels -> v_approved;
+
+    insert into contract_approvals (contract_id, document_id, decision, level, level_name, reason, decided_by)
+    values (p_contract_id, p_document_id, p_decision, v_approved + 1, v_level->>'name', p_reason, p_user_id)
+    returning * into v_approval;
+
+    if v_approved + 1 >= v_required then
+      update purchase_contract_table
+         set status = 'approved',
+             approved_at = now(),
+             updated_at = now()
+       where id = p_contract_id
+      returning * into v_contract;
+    end if;
+
+    insert into contract_logs (contract_id, user_id, action, notes)
+    values (
+      p_contract_id,
+      p_user_id,
+      'approved',
+      'Version ' || v_document.version || ', level ' || (v_approved + 1) || ' of ' || v_required ||
+        ' (' || (v_level->>'name') || ')' || coalesce(' - ' || p_reason, '')
+    );
+  else
+    insert into contract_approvals (contract_id, document_id, decision, reason, decided_by)
+    values (p_contract_id, p_document_id, p_decision, p_reason, p_user_id)
+    returning * into v_approval;
+
+    update purchase_contract_table
+       set status = p_decision,
+           updated_at = now()
+     where id = p_contract_id
+    returning * into v_contract;
+
+    insert into contract_logs (contract_id, user_id, action, notes)
+    values (
+      p_contract_id,
+      p_user_id,
+      p_decision,
+      'Version ' || v_document.version || ': ' || p_reason
+    );
+  end if;
+
+  return jsonb_build_object(
+    'contract', to_jsonb(v_contract),
+    'document', to_jsonb(v_document),
+    'approval', to_jsonb(v_approval)
+  );
+end;
+$$;
@@ -0,0 +1,134 @@
+-- Contract templates
+-- Purchase contracts can be generated from a template instead of being
+-- prepared by hand: the template for the indent's buyer type (or the one for
+-- every buyer type) is filled in from the procurement and laid out as a PDF,
+-- which then goes through approval like an uploaded contract. A generated
+-- revision records the template it came from.
+
+create table contract_templates (
+  id uuid primary key default gen_random_uuid(),
+  template_name text not null unique,
+  -- null for the template used when no template is made for the buyer type
+  buyer_type text,
+  -- HTML subset with {{placeholders}}; see services/contractTemplate.js
+  body text not null check (char_length(body) > 0),
+  is_active boolean not null default true,
+  created_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One active template per buyer type, and one for every buyer type
+create unique index contract_templates_active_buyer_type_idx
+  on contract_templates (upper(coalesce(buyer_type, '')))
+  where is_active;
+
+alter table contract_documents
+  add column template_id uuid references contract_templates (id);
+
+-- Record the template a generated revision was made from
+create or replace function add_contract_document(
+  p_indent_number text,
+  p_procurement_id uuid,
+  p_firm_name text,
+  p_branch_name text,
+  p_document jsonb,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_contract purchase_contract_table;
+  v_document contract_documents;
+begin
+  -- Serialise uploads so two first uploads for an indent make one contract
+  lock table purchase_contract_table in share row exclusive mode;
+
+  select * into v_contract
+    from purchase_contract_table
+   where indent_number = p_indent_number
+   order by uploaded_at desc
+   limit 1;
+
+  if found and v_contract.status = 'sent' then
+    raise exception 'The contract for indent % has already been sent and cannot be revised', p_indent_number;
+  end if;
+
+  if found and v_contract.status = 'approved' then
+    raise exception 'The contract for indent % has been approved for sending and cannot be revised', p_indent_number;
+  end if;
+
+  if not found or v_contract.status = 'rejected' then
+    insert into purchase_contract_table (
+      indent_number,
+      procurement_id,
+      firm_name,
+      branch_name,
+      uploaded_by
+    ) values (
+      p_indent_number,
+      p_procurement_id,
+      p_firm_name,
+      p_branch_name,
+      p_user_id
+    )
+    returning * into v_contract;
+  end if;
+
+  insert into contract_documents (
+    id,
+    contract_id,
+    version,
+    file_name,
+    content_type,
+    size_bytes,
+    checksum_sha256,
+    storage_backend,
+    storage_key,
+    notes,
+    template_id,
+    uploaded_by
+  ) values (
+    (p_document->>'id')::uuid,
+    v_contract.id,
+    v_contract.current_version + 1,
+    p_document->>'file_name',
+    p_document->>'content_type',
+    (p_document->>'size_bytes')::integer,
+    p_document->>'checksum_sha256',
+    p_document->>'storage_backend',
+    p_document->>'storage_key',
+    p_document->>'notes',
+    (p_document->>'template_id')::uuid,
+    p_user_id
+  )
+  returning * into v_document;
+
+  update purchase_contract_table
+     set procurement_id = coalesce(procurement_id, p_procurement_id),
+         file_name = v_document.file_name,
+         status = 'pending',
+         uploaded_by = p_user_id,
+         uploaded_at = v_document.uploaded_at,
+         current_document_id = v_document.id,
+         current_version = v_document.version,
+         approved_at = null,
+         updated_at = now()
+   where id = v_contract.id
+  returning * into v_contract;
+
+  insert into contract_logs (contract_id, user_id, action, notes)
+  values (
+    v_contract.id,
+    p_user_id,
+    'uploaded',
+    'Version ' || v_document.version || ': ' || v_document.file_name ||
+      coalesce(' - ' || v_document.notes, '')
+  );
+
+  return jsonb_build_object(
+    'contract', to_jsonb(v_contract),
+    'document', to_jsonb(v_document)
+  );
+end;
+$$;
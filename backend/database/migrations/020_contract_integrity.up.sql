@@ -0,0 +1,158 @@
+-- Contract document integrity
+-- Every contract revision is fingerprinted (SHA-256) when it is uploaded.
+-- Each sign-off now records the fingerprint of the stored file the admin
+-- approved, which must still be the uploaded one, and the final sign-off
+-- fixes the approved revision and its fingerprint on the contract. The
+-- backend compares the stored file, and any copy checked against the
+-- contract, with that fingerprint.
+
+alter table contract_approvals
+  add column checksum_sha256 text check (checksum_sha256 ~ '^[0-9a-f]{64}$');
+
+-- Kept when a revision is uploaded after a failed send, so the contract
+-- shows it has changed since it was approved until it is approved again
+alter table purchase_contract_table
+  add column approved_document_id uuid references contract_documents (id),
+  add column approved_checksum_sha256 text check (approved_checksum_sha256 ~ '^[0-9a-f]{64}$');
+
+update purchase_contract_table contract
+   set approved_document_id = document.id,
+       approved_checksum_sha256 = document.checksum_sha256
+  from contract_documents document
+ where document.id = contract.current_document_id
+   and contract.approved_at is not null;
+
+drop function if exists decide_contract(uuid, uuid, text, jsonb, numeric, text, uuid);
+
+-- Record an admin's decision on the current revision of a pending contract.
+-- p_levels and p_contract_value are fixed on the revision at its first
+-- decision; later decisions use the fixed levels. p_checksum is the
+-- fingerprint of the stored file the admin decided on; an approval needs it
+-- to match the revision as uploaded.
+create or replace function decide_contract(
+  p_contract_id uuid,
+  p_document_id uuid,
+  p_decision text,
+  p_levels jsonb,
+  p_contract_value numeric,
+  p_reason text,
+  p_checksum text,
+  p_user_id uuid
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_contract purchase_contract_table;
+  v_document contract_documents;
+  v_approval contract_approvals;
+  v_approved integer;
+  v_required integer;
+  v_level jsonb;
+begin
+  select * into v_contract
+    from purchase_contract_table
+   where id = p_contract_id
+   for update;
+
+  if not found then
+    raise exception 'Contract % not found', p_contract_id;
+  end if;
+
+  if v_contract.status <> 'pending' then
+    raise exception 'The contract is %, not awaiting approval', v_contract.status;
+  end if;
+
+  if v_contract.current_document_id is distinct from p_document_id then
+    raise exception 'A newer version of the contract has been uploaded; review it instead';
+  end if;
+
+  select * into v_document
+    from contract_documents
+   where id = p_document_id;
+
+  if v_document.uploaded_by = p_user_id then
+    raise exception 'The user who uploaded the contract cannot review it';
+  end if;
+
+  if v_document.approval_levels is null then
+    update contract_documents
+       set approval_levels = p_levels,
+           contract_value = p_contract_value
+     where id = p_document_id
+    returning * into v_document;
+  end if;
+
+  select count(*) into v_approved
+    from contract_approvals
+   where document_id = p_document_id
+     and decision = 'approved';
+
+  v_required := jsonb_array_length(v_document.approval_levels);
+
+  if p_decision = 'approved' then
+    if exists (
+      select 1
+        from contract_approvals
+       where document_id = p_document_id
+         and decision = 'approved'
+         and decided_by = p_user_id
+    ) then
+      raise exception 'You have already signed off this version; the next level needs a different admin';
+    end if;
+
+    if p_checksum is distinct from v_document.checksum_sha256 then
+      raise exception 'The stored file of version % no longer matches the uploaded one', v_document.version;
+    end if;
+
+    v_level := v_document.approval_levels -> v_approved;
+
+    insert into contract_approvals (contract_id, document_id, decision, level, level_name, reason, checksum_sha256, decided_by)
+    values (p_contract_id, p_document_id, p_decision, v_approved + 1, v_level->>'name', p_reason, p_checksum, p_user_id)
+    returning * into v_approval;
+
+    if v_approved + 1 >= v_required then
+      update purchase_contract_table
+         set status = 'approved',
+             approved_at = now(),
+             approved_document_id = v_document.id,
+             approved_checksum_sha256 = p_checksum,
+             updated_at = now()
+       where id = p_contract_id
+      returning * into v_contract;
+    end if;
+
+    insert into contract_logs (contract_id, user_id, action, notes)
+    values (
+      p_contract_id,
+      p_user_id,
+      'approved',
+      'Version ' || v_document.version || ', level ' || (v_approved + 1) || ' of ' || v_required ||
+        ' (' || (v_level->>'name') || '), SHA-256 ' || left(p_checksum, 12) || coalesce(' - ' || p_reason, '')
+    );
+  else
+    insert into contract_approvals (contract_id, document_id, decision, reason, checksum_sha256, decided_by)
+    values (p_contract_id, p_document_id, p_decision, p_reason, p_checksum, p_user_id)
+    returning * into v_approval;
+
+    update purchase_contract_table
+       set status = p_decision,
+           updated_at = now()
+     where id = p_contract_id
+    returning * into v_contract;
+
+    insert into contract_logs (contract_id, user_id, action, notes)
+    values (
+      p_contract_id,
+      p_user_id,
+      p_decision,
+      'Version ' || v_document.version || ': ' || p_reason
+    );
+  end if;
+
+  return jsonb_build_object(
+    'contract', to_jsonb(v_contract),
+    'document', to_jsonb(v_document),
+    'approval', to_jsonb(v_approval)
+  );
+end;
+$$;
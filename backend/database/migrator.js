@@ -0,0 +1,162 @@
+/**
+ * Schema migrator
+ * Applies the numbered SQL files in database/migrations to the Postgres
+ * database at DATABASE_URL and records them in schema_migrations.
+ * Each migration runs in its own transaction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+/**
+ * Read the migration files, pairing each up script with its down script
+ * @returns {{ version: string, name: string, up: string, down: string }[]} Sorted by version
+ */
+function loadMigrations() {
+  const migrations = {};
+
+  fs.readdirSync(MIGRATIONS_DIR).forEach(file => {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) return;
+
+    const [, version, name, direction] = match;
+    migrations[version] = migrations[version] || { version, name };
+    migrations[version][direction] = path.join(MIGRATIONS_DIR, file);
+  });
+
+  return Object.values(migrations)
+    .sort((a, b) => a.version.localeCompare(b.version))
+    .map(migration => {
+      if (!migration.up || !migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down script`);
+      }
+      return migration;
+    });
+}
+
+/**
+ * Open a connection to DATABASE_URL
+ */
+async function connect() {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('Missing DATABASE_URL environment variable');
+  }
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+  await client.query(`
+    create table if not exists schema_migrations (
+      version text primary key,
+      name text not null,
+      applied_at timestamptz not null default now()
+    )
+  `);
+  return client;
+}
+
+/**
+ * Versions already applied, oldest first
+ * @param {Client} client - Connected pg client
+ */
+async function appliedVersions(client) {
+  const { rows } = await client.query('select version from schema_migrations order by version');
+  return rows.map(row => row.version);
+}
+
+/**
+ * Run one migration script and record or remove its version, atomically
+ */
+async function run(client, migration, direction) {
+  const sql = fs.readFileSync(migration[direction], 'utf8');
+
+  await client.query('begin');
+  try {
+    await client.query(sql);
+    if (direction === 'up') {
+      await client.query(
+        'insert into schema_migrations (version, name) values ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('delete from schema_migrations where version = $1', [migration.version]);
+    }
+    await client.query('commit');
+  } catch (error) {
+    await client.query('rollback');
+    throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply every pending migration
+ * @returns {Promise<string[]>} Names of the migrations applied
+ */
+async function migrateUp() {
+  const client = await connect();
+  try {
+    const applied = await appliedVersions(client);
+    const pending = loadMigrations().filter(migration => !applied.includes(migration.version));
+
+    for (const migration of pending) {
+      await run(client, migration, 'up');
+    }
+    return pending.map(migration => `${migration.version}_${migration.name}`);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} steps - Number of migrations to revert
+ * @returns {Promise<string[]>} Names of the migrations reverted
+ */
+async function migrateDown(steps = 1) {
+  const client = await connect();
+  try {
+    const applied = await appliedVersions(client);
+    const migrations = loadMigrations();
+    const targets = applied.slice(-steps).reverse().map(version => {
+      const migration = migrations.find(item => item.version === version);
+      if (!migration) {
+        throw new Error(`Applied migration ${version} has no file in database/migrations`);
+      }
+      return migration;
+    });
+
+    for (const migration of targets) {
+      await run(client, migration, 'down');
+    }
+    return targets.map(migration => `${migration.version}_${migration.name}`);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * List every migration with whether it has been applied
+ */
+async function status() {
+  const client = await connect();
+  try {
+    const applied = await appliedVersions(client);
+    return loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.includes(migration.version)
+    }));
+  } finally {
+    await client.end();
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  status
+};
@@ -0,0 +1,152 @@
+/**
+ * Table relationships
+ * Foreign keys and column defaults used by the in-memory client to resolve
+ * embedded selects (e.g. `branch_information:branch_id (*)`) the way PostgREST does
+ */
+
+/**
+ * Foreign keys per table: { table: { column: referencedTable } }
+ * Every foreign key references the `id` column of the referenced table.
+ */
+const FOREIGN_KEYS = {
+  parsed_data: {
+    confirmation_id: 'purchase_confirmations'
+  },
+  allocation: {
+    branch_id: 'branch_information',
+    parsed_data_id: 'parsed_data'
+  },
+  procurement_dump: {
+    allocation_id: 'allocation',
+    created_by: 'users'
+  },
+  payments: {
+    procurement_id: 'procurement_dump',
+    created_by: 'users',
+    verified_by: 'users',
+    penalty_for_payment_id: 'payments',
+    bank_account_id: 'bank_accounts',
+    bank_batch_id: 'bank_payment_batches'
+  },
+  payment_transactions: {
+    payment_id: 'payments',
+    submitted_by: 'users',
+    reviewed_by: 'users',
+    verified_by: 'users'
+  },
+  purchase_contract_table: {
+    uploaded_by: 'users',
+    procurement_id: 'procurement_dump',
+    current_document_id: 'contract_documents',
+    approved_document_id: 'contract_documents'
+  },
+  contract_documents: {
+    contract_id: 'purchase_contract_table',
+    template_id: 'contract_templates',
+    uploaded_by: 'users'
+  },
+  contract_templates: {
+    created_by: 'users'
+  },
+  contract_approvals: {
+    contract_id: 'purchase_contract_table',
+    document_id: 'contract_documents',
+    decided_by: 'users'
+  },
+  contract_logs: {
+    contract_id: 'purchase_contract_table',
+    user_id: 'users'
+  },
+  inventory_table: {
+    branch_id: 'branch_information',
+    added_by: 'users'
+  },
+  sales_configuration: {
+    customer_id: 'customer_info',
+    broker_id: 'broker_info',
+    created_by: 'users'
+  },
+  sales_table: {
+    sales_config_id: 'sales_configuration',
+    created_by: 'users',
+    confirmed_by: 'users'
+  },
+  lot_selected_contract: {
+    sales_id: 'sales_table',
+    inventory_id: 'inventory_table'
+  },
+  customer_assignment_table: {
+    customer_id: 'customer_info',
+    inventory_id: 'inventory_table',
+    sales_id: 'sales_table',
+    assigned_by: 'users',
+    responded_by: 'users'
+  },
+  trading_configuration_versions: {
+    created_by: 'users'
+  },
+  manual_applications: {
+    confirmation_id: 'purchase_confirmations'
+  },
+  audit_log: {
+    user_id: 'users'
+  },
+  bank_statements: {
+    uploaded_by: 'users'
+  },
+  bank_accounts: {
+    branch_id: 'branch_information',
+    created_by: 'users'
+  },
+  emd_deposits: {
+    payment_id: 'payments',
+    procurement_id: 'procurement_dump',
+    allocation_id: 'allocation',
+    refund_requested_by: 'users',
+    refund_reviewed_by: 'users',
+    settled_by: 'users'
+  },
+  emd_ledger: {
+    emd_deposit_id: 'emd_deposits',
+    created_by: 'users'
+  },
+  party_ledger: {
+    created_by: 'users'
+  },
+  bank_file_templates: {
+    created_by: 'users'
+  },
+  bank_payment_batches: {
+    template_id: 'bank_file_templates',
+    response_imported_by: 'users',
+    created_by: 'users'
+  },
+  bank_payment_batch_lines: {
+    batch_id: 'bank_payment_batches',
+    payment_id: 'payments',
+    transaction_id: 'payment_transactions'
+  },
+  bank_statement_lines: {
+    statement_id: 'bank_statements',
+    payment_id: 'payments',
+    transaction_id: 'payment_transactions',
+    matched_by: 'users'
+  }
+};
+
+/**
+ * Timestamp columns filled with the insert time when not provided,
+ * in addition to `created_at` which every table has
+ */
+const TIMESTAMP_DEFAULTS = {
+  purchase_contract_table: ['uploaded_at'],
+  contract_logs: ['timestamp'],
+  contract_documents: ['uploaded_at'],
+  customer_assignment_table: ['assigned_at'],
+  payment_transactions: ['submitted_at']
+};
+
+module.exports = {
+  FOREIGN_KEYS,
+  TIMESTAMP_DEFAULTS
+};
@@ -0,0 +1,515 @@
+/**
+ * Seed data
+ * Reference data and a small sample trading book for local development.
+ * Fixed IDs keep the seed idempotent, so it can be re-run over existing rows.
+ */
+
+const bcrypt = require('bcryptjs');
+const { gstinCheckDigit } = require('../../services/gst');
+
+const ADMIN_EMAIL = process.env.SEED_ADMIN_EMAIL || 'admin@example.com';
+const ADMIN_PASSWORD = process.env.SEED_ADMIN_PASSWORD || 'Admin@123';
+
+const IDS = {
+  admin: '00000000-0000-4000-8000-000000000001',
+  trader: '00000000-0000-4000-8000-000000000002',
+  customerUser: '00000000-0000-4000-8000-000000000003',
+  customer: '00000000-0000-4000-8000-000000000101',
+  broker: '00000000-0000-4000-8000-000000000201',
+  salesConfig: '00000000-0000-4000-8000-000000000301'
+};
+
+// Fixed IDs per fixture group, e.g. seedId('8001', 0) for the first branch
+const seedId = (prefix, index) => `00000000-0000-4000-${prefix}-${String(index + 1).padStart(12, '0')}`;
+
+// CCI branches grouped by the zones used for candy rate multipliers
+const BRANCHES = [
+  { code: 'BTI', name: 'Bathinda', zone: 'North', state: 'Punjab', state_code: '03' },
+  { code: 'SRS', name: 'Sirsa', zone: 'North', state: 'Haryana', state_code: '06' },
+  { code: 'SGN', name: 'Sri Ganganagar', zone: 'North', state: 'Rajasthan', state_code: '08' },
+  { code: 'AKL', name: 'Akola', zone: 'Central', state: 'Maharashtra', state_code: '27' },
+  { code: 'ADB', name: 'Adilabad', zone: 'Central', state: 'Telangana', state_code: '36' },
+  { code: 'IND', name: 'Indore', zone: 'Central', state: 'Madhya Pradesh', state_code: '23' },
+  { code: 'GNT', name: 'Guntur', zone: 'South', state: 'Andhra Pradesh', state_code: '37' },
+  { code: 'RCR', name: 'Raichur', zone: 'South', state: 'Karnataka', state_code: '29' }
+];
+
+const branchId = index => seedId('8001', index);
+
+// Sample GSTIN for a PAN registered in a state, with a valid check digit
+const sampleGstin = (stateCode, pan) => {
+  const base = `${stateCode}${pan}1Z`;
+  return base + gstinCheckDigit(base);
+};
+const CCI_PAN = 'AAACC1111C';
+
+// Sample indents: one pending, one active with lots in inventory
+const INDENTS = [
+  {
+    indent_number: 'CCI/BTI/2024-25/0001',
+    branch: 0,
+    firm_name: 'Malwa Cotton Ginning Mills',
+    variety: 'J-34',
+    fibre_length: '27.5',
+    bale_quantity: 2500,
+    otr_price: 54500,
+    status: 'pending'
+  },
+  {
+    indent_number: 'CCI/AKL/2024-25/0002',
+    branch: 3,
+    firm_name: 'Vidarbha Cotton Traders',
+    variety: 'H-4/MECH-1',
+    fibre_length: '29',
+    bale_quantity: 3500,
+    otr_price: 56200,
+    status: 'active'
+  }
+];
+
+const CONFIGURATIONS = [
+  {
+    config_key: 'EMD_RULES',
+    value: {
+      rules: [
+        { name: 'Below 3000 bales', max_bales: 2999, percentage: 10 },
+        { name: '3000 bales and above', min_bales: 3000, percentage: 15 }
+      ]
+    },
+    description: 'EMD percentage slabs by bale quantity, buyer type, crop year and zone; first match wins'
+  },
+  {
+    config_key: 'GST_RATES',
+    value: { cgst: 2.5, sgst: 2.5, igst: 5, hsn_rates: { 5201: 5, 5203: 5 } },
+    description: 'GST rates on raw cotton'
+  },
+  {
+    config_key: 'CANDY_RATE',
+    value: {
+      base_rate: 0.4781,
+      zone_multiplier: { North: 1.02, Central: 1.0, South: 0.98 }
+    },
+    description: 'Candies per bale and zone adjustment applied to the OTR price'
+  },
+  {
+    config_key: 'PAYMENT_SCHEDULE',
+    value: {
+      tranches: [
+        { name: 'First lifting', percentage: 50, due_business_days: 10 },
+        { name: 'Final lifting', percentage: 50, due_business_days: 20 }
+      ]
+    },
+    description: 'Balance payment tranches after the EMD, as a percentage of the balance and business days after the EMD due date'
+  },
+  {
+    config_key: 'PENALTY_RULES',
+    value: { interest_rate_per_day: 0.05, flat_late_fee: 500, grace_days: 3 },
+    description: 'Charges on overdue payments: interest in percent per business day on the unpaid amount and a flat late fee, after a grace period of business days'
+  },
+  {
+    config_key: 'CONTRACT_APPROVAL_LEVELS',
+    value: {
+      levels: [
+        { name: 'Trading desk', min_contract_value: 0 },
+        { name: 'Senior management', min_contract_value: 25000000 },
+        { name: 'Director', min_contract_value: 100000000 }
+      ]
+    },
+    description: 'Sign-off levels for purchase contracts; a contract needs every level whose minimum contract value (rupees) it reaches, in order'
+  }
+];
+
+// Sample beneficiary accounts: a default for any payment, one kept for EMDs
+// and one for balance payments at Central zone branches
+const BANK_ACCOUNTS = [
+  {
+    account_name: 'The Cotton Corporation of India Ltd',
+    account_number: '30012345678',
+    ifsc_code: 'SBIN0000300',
+    bank_name: 'State Bank of India',
+    branch_name: 'Mumbai Main Branch'
+  },
+  {
+    account_name: 'The Cotton Corporation of India Ltd - EMD Collection',
+    account_number: '50200012345678',
+    ifsc_code: 'HDFC0000060',
+    bank_name: 'HDFC Bank',
+    branch_name: 'Fort, Mumbai',
+    purpose: 'EMD'
+  },
+  {
+    account_name: 'The Cotton Corporation of India Ltd - Central Zone',
+    account_number: '912020012345678',
+    ifsc_code: 'UTIB0000064',
+    bank_name: 'Axis Bank',
+    branch_name: 'Akola',
+    purpose: 'BALANCE',
+    zone: 'Central'
+  }
+];
+
+// Bulk payment file layouts of the banks the company pays from: a CSV upload,
+// a fixed-width file with header and trailer records, and a pipe-delimited file
+const BANK_FILE_TEMPLATES = [
+  {
+    bank_code: 'HDFC',
+    template_name: 'HDFC Bank - ENet bulk upload (CSV)',
+    file_format: 'csv',
+    delimiter: ',',
+    include_header: false,
+    file_extension: 'csv',
+    debit_account_number: '50200098765432',
+    fields: [
+      { header: 'Transaction Type', source: 'payment_mode', codes: { RTGS: 'R', NEFT: 'N', IMPS: 'I' } },
+      { header: 'Beneficiary Account Number', source: 'beneficiary_account', width: 25 },
+      { header: 'Instrument Amount', source: 'amount' },
+      { header: 'Beneficiary Name', source: 'beneficiary_name', width: 40 },
+      { header: 'Customer Reference Number', source: 'reference', width: 20 },
+      { header: 'Payment Details', source: 'cdu_reference', width: 30 },
+      { header: 'Value Date', source: 'value_date', format: 'DD/MM/YYYY' },
+      { header: 'IFSC Code', source: 'beneficiary_ifsc', width: 11 },
+      { header: 'Beneficiary Bank Name', source: 'beneficiary_bank', width: 100 }
+    ],
+    header_fields: null,
+    trailer_fields: null,
+    response_layout: {
+      file_format: 'csv',
+      has_header: true,
+      reference: 'Customer Reference Number',
+      utr: 'UTR Number',
+      status: 'Status',
+      reason: 'Reason',
+      success_values: ['PAID', 'SUCCESS']
+    }
+  },
+  {
+    bank_code: 'SBIN',
+    template_name: 'State Bank of India - CMP bulk upload (fixed width)',
+    file_format: 'fixed_width',
+    delimiter: ',',
+    include_header: false,
+    file_extension: 'txt',
+    debit_account_number: '30098765432',
+    header_fields: [
+      { source: 'literal', value: 'H', width: 1 },
+      { source: 'batch_number', width: 16 },
+      { source: 'debit_account', width: 17 },
+      { source: 'value_date', format: 'DDMMYYYY', width: 8 },
+      { source: 'line_count', width: 5 },
+      { source: 'total_amount', format: 'paise', width: 17 }
+    ],
+    fields: [
+      { source: 'literal', value: 'D', width: 1 },
+      { source: 'line_number', width: 5 },
+      { source: 'payment_mode', width: 4 },
+      { source: 'reference', width: 16 },
+      { source: 'beneficiary_account', width: 18 },
+      { source: 'beneficiary_ifsc', width: 11 },
+      { source: 'beneficiary_name', width: 35 },
+      { source: 'amount', format: 'paise', width: 15 },
+      { source: 'value_date', format: 'DDMMYYYY', width: 8 },
+      { source: 'cdu_reference', width: 30 }
+    ],
+    trailer_fields: [
+      { source: 'literal', value: 'T', width: 1 },
+      { source: 'line_count', width: 5 },
+      { source: 'total_amount', format: 'paise', width: 17 }
+    ],
+    response_layout: {
+      file_format: 'fixed_width',
+      record_prefix: 'D',
+      reference: { start: 7, length: 16 },
+      utr: { start: 23, length: 22 },
+      status: { start: 45, length: 1 },
+      reason: { start: 46, length: 40 },
+      success_values: ['S']
+    }
+  },
+  {
+    bank_code: 'ICIC',
+    template_name: 'ICICI Bank - CIB bulk upload (pipe delimited)',
+    file_format: 'csv',
+    delimiter: '|',
+    include_header: true,
+    file_extension: 'txt',
+    debit_account_number: '000405012345',
+    fields: [
+      { header: 'Debit Ac No', source: 'debit_account' },
+      { header: 'Beneficiary Ac No', source: 'beneficiary_account', width: 32 },
+      { header: 'Beneficiary Name', source: 'beneficiary_name', width: 32 },
+      { header: 'Amt', source: 'amount' },
+      { header: 'Pay Mod', source: 'payment_mode', codes: { RTGS: 'RTG', NEFT: 'NFT', IMPS: 'IFC' } },
+      { header: 'Date', source: 'value_date', format: 'DD-MON-YYYY' },
+      { header: 'IFSC', source: 'beneficiary_ifsc', width: 11 },
+      { header: 'Remarks', source: 'reference', width: 30 }
+    ],
+    header_fields: null,
+    trailer_fields: null,
+    response_layout: {
+      file_format: 'csv',
+      delimiter: '|',
+      has_header: false,
+      reference: 1,
+      status: 2,
+      utr: 3,
+      reason: 4,
+      success_values: ['SUCCESS']
+    }
+  }
+];
+
+// Purchase contract templates: one for every buyer type and one for mills,
+// which lift against a delivery schedule. Sections shared by both are kept once.
+const CONTRACT_TERMS = [
+  '<h2>Goods and Price</h2>',
+  '<table>',
+  '  <tr><th>Particulars</th><th>Details</th></tr>',
+  '  <tr><td>Indent number</td><td>{{indent_number}}</td></tr>',
+  '  <tr><td>Variety / fibre length</td><td>{{variety}} / {{fibre_length}} mm</td></tr>',
+  '  <tr><td>Crop year</td><td>{{crop_year}}</td></tr>',
+  '  <tr><td>Centre</td><td>{{centre_name}}, {{branch_name}} branch ({{zone}} zone)</td></tr>',
+  '  <tr><td>Quantity</td><td>{{bale_quantity}} bales</td></tr>',
+  '  <tr><td>Price</td><td>{{otr_price}} per candy (OTR) at {{candy_rate}} candy per bale</td></tr>',
+  '  <tr><td>Cotton value</td><td>{{cotton_value}}</td></tr>',
+  '  {{#if igst_amount}}<tr><td>IGST @ {{gst_rate}}</td><td>{{igst_amount}}</td></tr>{{/if}}',
+  '  {{#if cgst_amount}}<tr><td>CGST + SGST @ {{gst_rate}}</td><td>{{cgst_amount}} + {{sgst_amount}}</td></tr>{{/if}}',
+  '  <tr><td><b>Contract value</b></td><td><b>{{total_amount}}</b></td></tr>',
+  '</table>',
+  '<p>{{total_amount_in_words}}</p>',
+  '<h2>Earnest Money Deposit</h2>',
+  '<p>The buyer shall deposit EMD of {{emd_amount}} ({{emd_percentage}} of the contract value) by {{due_date}}. The EMD is adjusted against the final installment or refunded as per CCI terms.</p>',
+  '{{#if payments}}<h2>Payment Schedule</h2>',
+  '<table>',
+  '  <tr><th>Installment</th><th>Amount</th><th>Due date</th><th>Mode</th></tr>',
+  '  {{#each payments}}<tr><td>{{installment}}</td><td>{{amount}}</td><td>{{due_date}}</td><td>{{payment_mode}}</td></tr>{{/each}}',
+  '</table>{{/if}}'
+];
+
+const CONTRACT_SIGNATURES = [
+  '<h2>General Conditions</h2>',
+  '<ol>',
+  '  <li>The goods are sold on an as-is-where-is basis from the CCI centre named above.</li>',
+  '  <li>Payments are made by RTGS/NEFT quoting the indent number; each UTR is to be submitted on receipt.</li>',
+  '  <li>Delayed payment or lifting attracts carrying charges and penalties as per CCI sale terms.</li>',
+  '  <li>Disputes are subject to the jurisdiction of the courts where the CCI branch is situated.</li>',
+  '</ol>',
+  '<hr>',
+  '<table>',
+  '  <tr><td>For {{company_name}}<br><br><br>Authorised signatory</td><td>For {{firm_name}}<br><br><br>Authorised signatory</td></tr>',
+  '</table>'
+];
+
+const contractHeading = title => [
+  `<h1>${title}</h1>`,
+  '<p>Contract date: {{contract_date}}</p>',
+  '<p>This contract is made between <b>{{company_name}}</b>{{#if company_gstin}} (GSTIN {{company_gstin}}){{/if}}, the buyer, and <b>{{firm_name}}</b>, for cotton allotted by the Cotton Corporation of India, {{branch_name}} branch (GSTIN {{seller_gstin}}), under indent {{indent_number}}.</p>'
+];
+
+const CONTRACT_TEMPLATES = [
+  {
+    template_name: 'Standard purchase contract',
+    buyer_type: null,
+    body: [
+      ...contractHeading('PURCHASE CONTRACT'),
+      ...CONTRACT_TERMS,
+      '<h2>Lifting</h2>',
+      '<p>The bales shall be lifted within {{lifting_period}}{{#if lifting_deadline}}, and no later than {{lifting_deadline}}{{/if}}, after full payment.</p>',
+      ...CONTRACT_SIGNATURES
+    ].join('\n')
+  },
+  {
+    template_name: 'Mill purchase contract',
+    buyer_type: 'MILL',
+    body: [
+      ...contractHeading('PURCHASE CONTRACT - MILL'),
+      ...CONTRACT_TERMS,
+      '<h2>Lifting and Delivery</h2>',
+      '<p>The bales shall be lifted within {{lifting_period}}{{#if lifting_deadline}}, and no later than {{lifting_deadline}}{{/if}}, in lots against each installment paid, for consumption at the mill of {{firm_name}}.</p>',
+      '<p>The mill shall not resell the bales without written consent.</p>',
+      ...CONTRACT_SIGNATURES
+    ].join('\n')
+  }
+];
+
+// Seeded config values apply from the start of the 2024-25 cotton season
+const CONFIG_EFFECTIVE_FROM = '2024-10-01T00:00:00.000Z';
+
+// Fixed-date bank holidays; movable festivals are imported from the RBI list each year
+const HOLIDAYS = ['2025', '2026'].flatMap(year => [
+  { holiday_date: `${year}-01-26`, name: 'Republic Day', state_code: null },
+  { holiday_date: `${year}-05-01`, name: 'Maharashtra Day', state_code: '27' },
+  { holiday_date: `${year}-08-15`, name: 'Independence Day', state_code: null },
+  { holiday_date: `${year}-10-02`, name: 'Gandhi Jayanti', state_code: null },
+  { holiday_date: `${year}-12-25`, name: 'Christmas', state_code: null }
+]);
+
+/**
+ * Build the seed rows per table, in insert order
+ * @returns {Object<string, Object[]>} Rows keyed by table name
+ */
+function buildSeedData() {
+  const passwordHash = bcrypt.hashSync(ADMIN_PASSWORD, 12);
+
+  const users = [
+    { id: IDS.admin, email: ADMIN_EMAIL, first_name: 'System', last_name: 'Admin', role: 'admin' },
+    { id: IDS.trader, email: 'trader@example.com', first_name: 'Demo', last_name: 'Trader', role: 'trader' },
+    { id: IDS.customerUser, email: 'buyer@example.com', first_name: 'Demo', last_name: 'Customer', role: 'customer' }
+  ].map(user => ({ ...user, password_hash: passwordHash, is_active: true }));
+
+  const branches = BRANCHES.map((branch, index) => ({
+    id: branchId(index),
+    branch_name: branch.name,
+    branch_code: branch.code,
+    zone: branch.zone,
+    state: branch.state,
+    state_code: branch.state_code,
+    gstin: sampleGstin(branch.state_code, CCI_PAN),
+    branch_email_id: `${branch.code.toLowerCase()}@example.com`
+  }));
+
+  const confirmations = INDENTS.map((indent, index) => ({
+    id: seedId('8002', index),
+    email_subject: `Purchase confirmation ${indent.indent_number}`,
+    sender_email: 'cci-sales@example.com',
+    processed: true
+  }));
+
+  const parsedData = INDENTS.map((indent, index) => ({
+    id: seedId('8003', index),
+    confirmation_id: confirmations[index].id,
+    indent_number: indent.indent_number,
+    firm_name: indent.firm_name,
+    centre_name: BRANCHES[indent.branch].name,
+    variety: indent.variety,
+    fibre_length: indent.fibre_length,
+    seller_type: 'CCI',
+    seller_gstin: sampleGstin(BRANCHES[indent.branch].state_code, CCI_PAN),
+    hsn_code: '5201',
+    buyer_type: 'MILL',
+    crop_year: '2024-25',
+    quantity: indent.bale_quantity,
+    otr_price: indent.otr_price,
+    lifting_period: '30 days'
+  }));
+
+  const allocations = INDENTS.map((indent, index) => ({
+    id: seedId('8004', index),
+    indent_number: indent.indent_number,
+    parsed_data_id: parsedData[index].id,
+    branch_id: branchId(indent.branch),
+    branch_name: BRANCHES[indent.branch].name,
+    zone: BRANCHES[indent.branch].zone,
+    buyer_type: 'MILL',
+    crop_year: '2024-25',
+    bale_quantity: indent.bale_quantity,
+    otr_price: indent.otr_price,
+    lifting_period: '30 days',
+    allocation_status: indent.status
+  }));
+
+  const activeIndent = INDENTS[1];
+  const inventory = Array.from({ length: 10 }, (_, index) => ({
+    id: seedId('8005', index),
+    indent_number: activeIndent.indent_number,
+    lot_number: `LOT-${String(index + 1).padStart(4, '0')}`,
+    centre_name: BRANCHES[activeIndent.branch].name,
+    branch: BRANCHES[activeIndent.branch].name,
+    branch_id: branchId(activeIndent.branch),
+    lifting_period: '30 days',
+    fibre_length: activeIndent.fibre_length,
+    variety: activeIndent.variety,
+    bid_price: 56200 + index * 50,
+    status: 'AVAILABLE',
+    added_by: IDS.admin
+  }));
+
+  return {
+    users,
+    branch_information: branches,
+    purchase_confirmations: confirmations,
+    parsed_data: parsedData,
+    allocation: allocations,
+    inventory_table: inventory,
+    customer_info: [{
+      id: IDS.customer,
+      customer_name: 'Demo Spinning Mills Pvt Ltd',
+      customer_code: 'CUST-0001',
+      email: 'buyer@example.com',
+      state: 'Maharashtra',
+      state_code: '27',
+      gstin: sampleGstin('27', 'AABCD2222D')
+    }],
+    broker_info: [{
+      id: IDS.broker,
+      broker_name: 'Demo Cotton Brokers',
+      broker_code: 'BRK-0001',
+      email: 'broker@example.com',
+      commission_rate: 0.5
+    }],
+    sales_configuration: [{
+      id: IDS.salesConfig,
+      customer_id: IDS.customer,
+      broker_id: IDS.broker,
+      requested_quantity: 5,
+      line_specs: { variety: activeIndent.variety, fibre_length: activeIndent.fibre_length },
+      priority_branch: BRANCHES[activeIndent.branch].name,
+      lifting_period: '30 days',
+      status: 'pending',
+      created_by: IDS.admin
+    }],
+    trading_configuration: CONFIGURATIONS.map(config => ({
+      config_key: config.config_key,
+      description: config.description,
+      is_active: true
+    })),
+    trading_configuration_versions: CONFIGURATIONS.map((config, index) => ({
+      id: seedId('8006', index),
+      config_key: config.config_key,
+      version: 1,
+      config_value: config.value,
+      effective_from: CONFIG_EFFECTIVE_FROM,
+      change_reason: 'Initial value',
+      created_by: IDS.admin
+    })),
+    holidays: HOLIDAYS.map((holiday, index) => ({
+      id: seedId('8007', index),
+      ...holiday,
+      created_by: IDS.admin
+    })),
+    bank_accounts: BANK_ACCOUNTS.map((account, index) => ({
+      id: seedId('8008', index),
+      purpose: null,
+      branch_id: null,
+      zone: null,
+      ...account,
+      default_payment_mode: 'RTGS',
+      is_active: true,
+      created_by: IDS.admin
+    })),
+    bank_file_templates: BANK_FILE_TEMPLATES.map((template, index) => ({
+      id: seedId('8009', index),
+      ...template,
+      is_active: true,
+      created_by: IDS.admin
+    })),
+    contract_templates: CONTRACT_TEMPLATES.map((template, index) => ({
+      id: seedId('8010', index),
+      ...template,
+      is_active: true,
+      created_by: IDS.admin
+    }))
+  };
+}
+
+/**
+ * Column each table is upserted on when the seed is re-run
+ */
+const CONFLICT_KEYS = {
+  trading_configuration: 'config_key'
+};
+
+module.exports = {
+  buildSeedData,
+  CONFLICT_KEYS,
+  ADMIN_EMAIL
+};
@@ -4,7 +4,7 @@
  */
 
 const jwt = require('jsonwebtoken');
-const { supabase } = require('../config/supabase');
+const { userRepository } = require('../repositories');
 
 /**
  * Verify JWT token middleware
@@ -25,11 +25,7 @@ const authenticateToken = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
     // Get user details from database
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email, first_name, last_name, role, is_active')
-      .eq('id', decoded.userId)
-      .single();
+    const { data: user, error } = await userRepository.findById(decoded.userId);
 
     if (error || !user) {
       return res.status(401).json({
@@ -98,11 +94,7 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
-      const { data: user, error } = await supabase
-        .from('users')
-        .select('id, email, first_name, last_name, role, is_active')
-        .eq('id', decoded.userId)
-        .single();
+      const { data: user, error } = await userRepository.findById(decoded.userId);
 
       if (!error && user && user.is_active) {
         req.user = user;
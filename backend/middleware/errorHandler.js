@@ -3,7 +3,7 @@
  * Handles all errors and provides consistent error responses
  */
 
-const { supabase } = require('../config/supabase');
+const { auditRepository } = require('../repositories');
 
 /**
  * Global error handler
@@ -25,21 +25,19 @@ const errorHandler = async (err, req, res, next) => {
 
   // Log error to audit_log table
   try {
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'error_log',
-        action: 'ERROR',
-        user_id: req.user?.id || null,
-        new_values: {
-          message: err.message,
-          stack: err.stack,
-          url: req.originalUrl,
-          method: req.method
-        },
-        ip_address: req.ip,
-        user_agent: req.get('User-Agent')
-      });
+    await auditRepository.log({
+      table_name: 'error_log',
+      action: 'ERROR',
+      user_id: req.user?.id || null,
+      new_values: {
+        message: err.message,
+        stack: err.stack,
+        url: req.originalUrl,
+        method: req.method
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
   } catch (logError) {
     console.error('Failed to log error to database:', logError);
   }
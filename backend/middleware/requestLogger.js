@@ -3,7 +3,7 @@
  * Logs all requests for monitoring and debugging
  */
 
-const { supabase } = require('../config/supabase');
+const { auditRepository } = require('../repositories');
 
 /**
  * Log requests to audit table
@@ -36,23 +36,21 @@ const requestLogger = async (req, res, next) => {
  */
 async function logRequest(req, res, responseTime) {
   try {
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'request_log',
-        action: `${req.method} ${req.path}`,
-        user_id: req.user?.id || null,
-        new_values: {
-          method: req.method,
-          url: req.originalUrl,
-          status_code: res.statusCode,
-          response_time: responseTime,
-          query_params: req.query,
-          body_size: req.headers['content-length'] || 0
-        },
-        ip_address: req.ip,
-        user_agent: req.get('User-Agent')
-      });
+    await auditRepository.log({
+      table_name: 'request_log',
+      action: `${req.method} ${req.path}`,
+      user_id: req.user?.id || null,
+      new_values: {
+        method: req.method,
+        url: req.originalUrl,
+        status_code: res.statusCode,
+        response_time: responseTime,
+        query_params: req.query,
+        body_size: req.headers['content-length'] || 0
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
   } catch (error) {
     // Don't throw error if logging fails
     console.error('Failed to log request:', error);
@@ -0,0 +1,201 @@
+/**
+ * Allocation repository
+ * Data access for the allocation table
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * List allocations with filters and pagination
+ * @param {Object} options
+ * @param {string} [options.status] - allocation_status filter
+ * @param {string} [options.branchId] - branch_id filter
+ * @param {string} [options.search] - Matches indent number or branch name
+ * @param {number} options.offset - Rows to skip
+ * @param {number} options.limit - Page size
+ */
+function list({ status, branchId, search, offset, limit }) {
+  let query = db
+    .from('allocation')
+    .select(`
+      *,
+      branch_information:branch_id (
+        branch_name,
+        branch_code,
+        zone
+      ),
+      parsed_data:parsed_data_id (
+        firm_name,
+        centre_name,
+        variety,
+        fibre_length
+      )
+    `, { count: 'exact' });
+
+  if (status) {
+    query = query.eq('allocation_status', status);
+  }
+
+  if (branchId) {
+    query = query.eq('branch_id', branchId);
+  }
+
+  if (search) {
+    query = query.or(`indent_number.ilike.%${search}%,branch_name.ilike.%${search}%`);
+  }
+
+  return query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+}
+
+/**
+ * Find an allocation by ID with branch, parsed data and procurement history,
+ * including each procurement's installments
+ * @param {string} id - Allocation ID
+ */
+function findById(id) {
+  return db
+    .from('allocation')
+    .select(`
+      *,
+      branch_information:branch_id (
+        branch_name,
+        branch_code,
+        zone,
+        state,
+        branch_email_id
+      ),
+      parsed_data:parsed_data_id (
+        *
+      ),
+      procurement_dump (
+        *,
+        payments (
+          id,
+          installment_number,
+          amount,
+          payment_status
+        )
+      )
+    `)
+    .eq('id', id)
+    .single();
+}
+
+/**
+ * Find an allocation by indent number with its branch and parsed data
+ * @param {string} indentNumber - Indent number
+ */
+function findByIndentNumber(indentNumber) {
+  return db
+    .from('allocation')
+    .select(`
+      *,
+      branch_information:branch_id (
+        *
+      ),
+      parsed_data:parsed_data_id (
+        *
+      )
+    `)
+    .eq('indent_number', indentNumber)
+    .single();
+}
+
+/**
+ * Create an allocation
+ * @param {Object} allocation - allocation row
+ */
+function create(allocation) {
+  return db
+    .from('allocation')
+    .insert(allocation)
+    .select()
+    .single();
+}
+
+/**
+ * Update an allocation
+ * @param {string} id - Allocation ID
+ * @param {Object} values - Columns to update
+ */
+function update(id, values) {
+  return db
+    .from('allocation')
+    .update(values)
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Change an allocation's status and move its EMDs in one transaction:
+ * update and audit the allocation, then adjust, forfeit or request the
+ * refund of each EMD. Nothing is written if any step fails.
+ * @param {Object} change
+ * @param {string} change.allocationId - Allocation ID
+ * @param {string} change.status - New allocation_status
+ * @param {string} change.expectedStatus - Status the change was planned from
+ * @param {{ deposit: Object, action: string }[]} change.transitions - From planEmdTransitions
+ * @param {string} change.userId - Acting user ID
+ * @param {string} change.reason - Why, recorded on the EMDs
+ * @param {string} [change.notes] - Notes for the audit entry
+ * @returns {Promise<{data: {allocation: Object, emd: Object[]}|null, error: Object|null}>}
+ */
+function updateStatus({ allocationId, status, expectedStatus, transitions, userId, reason, notes }) {
+  return db.rpc('update_allocation_status', {
+    p_allocation_id: allocationId,
+    p_status: status,
+    p_expected_status: expectedStatus,
+    p_transitions: transitions.map(({ deposit, action }) => ({
+      deposit_id: deposit.id,
+      action,
+      from_status: deposit.emd_status,
+      reference: deposit.procurement_dump?.indent_number || null
+    })),
+    p_user_id: userId,
+    p_reason: reason,
+    p_notes: notes ?? null
+  });
+}
+
+/**
+ * Get the columns used for statistics and charts for every allocation
+ */
+function listSummaries() {
+  return db
+    .from('allocation')
+    .select(`
+      id,
+      allocation_status,
+      bale_quantity,
+      branch_name,
+      created_at,
+      branch_information:branch_id (
+        branch_name,
+        zone
+      )
+    `)
+    .order('created_at', { ascending: true });
+}
+
+/**
+ * Count all allocations
+ */
+function count() {
+  return db
+    .from('allocation')
+    .select('*', { count: 'exact', head: true });
+}
+
+module.exports = {
+  list,
+  findById,
+  findByIndentNumber,
+  create,
+  update,
+  updateStatus,
+  listSummaries,
+  count
+};
@@ -0,0 +1,163 @@
+/**
+ * Assignment repository
+ * Data access for customer_assignment_table and customer_info
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * Find the customer record linked to a user email
+ * @param {string} email - Customer email
+ */
+function findCustomerByEmail(email) {
+  return db
+    .from('customer_info')
+    .select('id')
+    .eq('email', email)
+    .single();
+}
+
+/**
+ * List a customer's lot assignments, newest first
+ * @param {string} customerId - Customer ID
+ */
+function listByCustomer(customerId) {
+  return db
+    .from('customer_assignment_table')
+    .select(`
+      *,
+      inventory_table:inventory_id (
+        lot_number,
+        indent_number,
+        centre_name,
+        branch,
+        variety,
+        fibre_length,
+        bid_price
+      ),
+      sales_table:sales_id (
+        total_value,
+        broker_commission
+      ),
+      assigned_user:assigned_by (
+        first_name,
+        last_name
+      )
+    `)
+    .eq('customer_id', customerId)
+    .order('assigned_at', { ascending: false });
+}
+
+/**
+ * Find an assignment with its lot
+ * @param {string} id - Assignment ID
+ */
+function findById(id) {
+  return db
+    .from('customer_assignment_table')
+    .select(`
+      *,
+      inventory_table:inventory_id (
+        lot_number,
+        indent_number
+      )
+    `)
+    .eq('id', id)
+    .single();
+}
+
+/**
+ * Update an assignment
+ * @param {string} id - Assignment ID
+ * @param {Object} values - Columns to update
+ */
+function update(id, values) {
+  return db
+    .from('customer_assignment_table')
+    .update(values)
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Respond to an assignment in one transaction: set its lot status, move the lot
+ * to the matching inventory status and audit it. Nothing is written if any step fails.
+ * @param {Object} response
+ * @param {string} response.assignmentId - Assignment ID
+ * @param {string} response.lotStatus - ACCEPTED or REJECTED
+ * @param {string} response.inventoryStatus - SOLD or AVAILABLE
+ * @param {string} response.userId - Acting user ID
+ * @param {string} response.auditAction - audit_log action
+ * @param {string} [response.expectedStatus] - Abort unless the assignment is in this status
+ * @param {string} [response.notes] - Notes for the audit entry
+ * @param {string} [response.adminAction] - Admin override action for the audit entry
+ * @returns {Promise<{data: Object|null, error: Object|null}>} The updated assignment
+ */
+function respond({ assignmentId, lotStatus, inventoryStatus, userId, auditAction, expectedStatus, notes, adminAction }) {
+  return db.rpc('respond_to_assignment', {
+    p_assignment_id: assignmentId,
+    p_lot_status: lotStatus,
+    p_inventory_status: inventoryStatus,
+    p_user_id: userId,
+    p_audit_action: auditAction,
+    p_expected_status: expectedStatus ?? null,
+    p_notes: notes ?? null,
+    p_admin_action: adminAction ?? null
+  });
+}
+
+/**
+ * Update several assignments at once
+ * @param {string[]} ids - Assignment IDs
+ * @param {Object} values - Columns to update
+ */
+function updateMany(ids, values) {
+  return db
+    .from('customer_assignment_table')
+    .update(values)
+    .in('id', ids);
+}
+
+/**
+ * List the assignments of a sales record in a given lot status
+ * @param {string} salesId - Sales ID
+ * @param {string} lotStatus - PENDING, ACCEPTED, REJECTED or EXPIRED
+ */
+function listBySalesAndStatus(salesId, lotStatus) {
+  return db
+    .from('customer_assignment_table')
+    .select('id')
+    .eq('sales_id', salesId)
+    .eq('lot_status', lotStatus);
+}
+
+/**
+ * Get the lot status of every assignment for statistics
+ */
+function listStatuses() {
+  return db
+    .from('customer_assignment_table')
+    .select('lot_status');
+}
+
+/**
+ * Count all customers
+ */
+function countCustomers() {
+  return db
+    .from('customer_info')
+    .select('*', { count: 'exact', head: true });
+}
+
+module.exports = {
+  findCustomerByEmail,
+  listByCustomer,
+  findById,
+  update,
+  respond,
+  updateMany,
+  listBySalesAndStatus,
+  listStatuses,
+  countCustomers
+};
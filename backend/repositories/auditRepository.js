@@ -0,0 +1,40 @@
+/**
+ * Audit repository
+ * Data access for the audit_log table
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * Record an audit entry
+ * @param {Object} entry - audit_log row (table_name, action, user_id, ...)
+ * @returns {Promise<{data: null, error: Object|null}>}
+ */
+function log(entry) {
+  return db
+    .from('audit_log')
+    .insert(entry);
+}
+
+/**
+ * Get the most recent audit entries with the acting user
+ * @param {number} limit - Number of entries to return
+ */
+function listRecent(limit = 10) {
+  return db
+    .from('audit_log')
+    .select(`
+      *,
+      users:user_id (
+        first_name,
+        last_name
+      )
+    `)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+}
+
+module.exports = {
+  log,
+  listRecent
+};
@@ -0,0 +1,92 @@
+/**
+ * Bank account repository
+ * Data access for bank_accounts, the beneficiary accounts payments are made into
+ */
+
+const { db } = require('../config/database');
+
+const LIST_RELATIONS = `
+  *,
+  branch_information:branch_id (
+    branch_name,
+    branch_code,
+    zone
+  )
+`;
+
+/**
+ * List bank accounts by name
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly] - Leave out deactivated accounts
+ */
+function list({ activeOnly } = {}) {
+  let query = db
+    .from('bank_accounts')
+    .select(LIST_RELATIONS);
+
+  if (activeOnly) {
+    query = query.eq('is_active', true);
+  }
+
+  return query.order('account_name', { ascending: true });
+}
+
+/**
+ * Find a bank account by ID
+ * @param {string} id - Bank account ID
+ */
+function findById(id) {
+  return db
+    .from('bank_accounts')
+    .select(LIST_RELATIONS)
+    .eq('id', id)
+    .maybeSingle();
+}
+
+/**
+ * Find the account with an account number at an IFSC
+ * @param {string} accountNumber
+ * @param {string} ifscCode
+ */
+function findByNumber(accountNumber, ifscCode) {
+  return db
+    .from('bank_accounts')
+    .select('*')
+    .eq('account_number', accountNumber)
+    .eq('ifsc_code', ifscCode)
+    .maybeSingle();
+}
+
+/**
+ * Add a bank account
+ * @param {Object} account - bank_accounts row
+ */
+function create(account) {
+  return db
+    .from('bank_accounts')
+    .insert(account)
+    .select()
+    .single();
+}
+
+/**
+ * Update a bank account
+ * @param {string} id - Bank account ID
+ * @param {Object} values - Columns to update
+ */
+function update(id, values) {
+  return db
+    .from('bank_accounts')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+module.exports = {
+  list,
+  findById,
+  findByNumber,
+  create,
+  update
+};
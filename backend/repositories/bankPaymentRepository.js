@@ -0,0 +1,242 @@
+/**
+ * Bank payment repository
+ * Data access for bank file templates and the payment batches written out
+ * with them
+ */
+
+const { db } = require('../config/database');
+
+const BATCH_RELATIONS = `
+  *,
+  template:template_id (
+    id,
+    bank_code,
+    template_name,
+    file_format,
+    file_extension
+  ),
+  created_user:created_by (
+    first_name,
+    last_name
+  ),
+  imported_user:response_imported_by (
+    first_name,
+    last_name
+  )
+`;
+
+const LINE_RELATIONS = `
+  *,
+  payment:payment_id (
+    id,
+    installment_name,
+    cdu_reference,
+    cdu_generated_at,
+    payment_status,
+    procurement_dump:procurement_id (
+      indent_number,
+      firm_name
+    )
+  ),
+  transaction:transaction_id (
+    id,
+    utr_number,
+    transaction_status
+  )
+`;
+
+/**
+ * List bank file templates by name
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly] - Leave out deactivated templates
+ */
+function listTemplates({ activeOnly } = {}) {
+  let query = db
+    .from('bank_file_templates')
+    .select('*');
+
+  if (activeOnly) {
+    query = query.eq('is_active', true);
+  }
+
+  return query.order('template_name', { ascending: true });
+}
+
+/**
+ * Find a bank file template by ID
+ * @param {string} id - Template ID
+ */
+function findTemplateById(id) {
+  return db
+    .from('bank_file_templates')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+}
+
+/**
+ * Find a bank file template by name
+ * @param {string} templateName
+ */
+function findTemplateByName(templateName) {
+  return db
+    .from('bank_file_templates')
+    .select('id, template_name')
+    .eq('template_name', templateName)
+    .maybeSingle();
+}
+
+/**
+ * Create a bank file template
+ * @param {Object} template - bank_file_templates row
+ */
+function createTemplate(template) {
+  return db
+    .from('bank_file_templates')
+    .insert(template)
+    .select()
+    .single();
+}
+
+/**
+ * Update a bank file template
+ * @param {string} id - Template ID
+ * @param {Object} values - Columns to update
+ */
+function updateTemplate(id, values) {
+  return db
+    .from('bank_file_templates')
+    .update(values)
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * List batches, newest first, with pagination
+ * @param {Object} options
+ * @param {string} [options.status] - generated or closed
+ * @param {number} options.offset - Rows to skip
+ * @param {number} options.limit - Page size
+ */
+function listBatches({ status, offset, limit }) {
+  let query = db
+    .from('bank_payment_batches')
+    .select(BATCH_RELATIONS, { count: 'exact' });
+
+  if (status) {
+    query = query.eq('batch_status', status);
+  }
+
+  return query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+}
+
+/**
+ * Find a batch by ID
+ * @param {string} id - Batch ID
+ */
+function findBatchById(id) {
+  return db
+    .from('bank_payment_batches')
+    .select(BATCH_RELATIONS)
+    .eq('id', id)
+    .maybeSingle();
+}
+
+/**
+ * List the lines of a batch in file order with their payments
+ * @param {string} batchId - Batch ID
+ */
+function listLines(batchId) {
+  return db
+    .from('bank_payment_batch_lines')
+    .select(LINE_RELATIONS)
+    .eq('batch_id', batchId)
+    .order('line_number', { ascending: true });
+}
+
+/**
+ * List the lines still awaiting the bank's response for any of the given payments
+ * @param {string[]} paymentIds - Payment IDs
+ */
+function listPendingLines(paymentIds) {
+  return db
+    .from('bank_payment_batch_lines')
+    .select(`
+      id,
+      payment_id,
+      reference,
+      batch:batch_id (
+        batch_number
+      )
+    `)
+    .in('payment_id', paymentIds)
+    .eq('line_status', 'pending');
+}
+
+/**
+ * Create a batch with a line per payment and record it on the payments,
+ * atomically (see create_bank_payment_batch in migration 016)
+ * @param {Object} params
+ * @param {string} params.templateId - Template the file is written with
+ * @param {string} params.valueDate - ISO date the bank is to pay on
+ * @param {Object[]} params.lines - { payment_id, amount, payment_mode, beneficiary } in file order
+ * @param {string} params.userId - Creating user
+ */
+function createBatch({ templateId, valueDate, lines, userId }) {
+  return db.rpc('create_bank_payment_batch', {
+    p_template_id: templateId,
+    p_value_date: valueDate,
+    p_lines: lines,
+    p_user_id: userId
+  });
+}
+
+/**
+ * Update a batch
+ * @param {string} id - Batch ID
+ * @param {Object} values - Columns to update
+ */
+function updateBatch(id, values) {
+  return db
+    .from('bank_payment_batches')
+    .update(values)
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Update a batch line only while it is in one of the given statuses, so a
+ * response imported twice at once records each payment once. Errors when the
+ * status has changed.
+ * @param {string} id - Line ID
+ * @param {string[]} statuses - Statuses the line must be in
+ * @param {Object} values - Columns to update
+ */
+function updateLineIfStatus(id, statuses, values) {
+  return db
+    .from('bank_payment_batch_lines')
+    .update(values)
+    .eq('id', id)
+    .in('line_status', statuses)
+    .select()
+    .single();
+}
+
+module.exports = {
+  listTemplates,
+  findTemplateById,
+  findTemplateByName,
+  createTemplate,
+  updateTemplate,
+  listBatches,
+  findBatchById,
+  listLines,
+  listPendingLines,
+  createBatch,
+  updateBatch,
+  updateLineIfStatus
+};
@@ -0,0 +1,201 @@
+/**
+ * Bank statement repository
+ * Data access for imported bank statements and their lines
+ */
+
+const { db } = require('../config/database');
+
+const LINE_RELATIONS = `
+  *,
+  payment:payment_id (
+    id,
+    amount,
+    amount_paid,
+    due_date,
+    installment_name,
+    payment_status,
+    procurement_dump:procurement_id (
+      indent_number,
+      firm_name
+    )
+  ),
+  transaction:transaction_id (
+    id,
+    utr_number,
+    amount,
+    transaction_status,
+    submitted_by
+  )
+`;
+
+/**
+ * List statements, newest first, with pagination
+ * @param {Object} options
+ * @param {number} options.offset - Rows to skip
+ * @param {number} options.limit - Page size
+ */
+function list({ offset, limit }) {
+  return db
+    .from('bank_statements')
+    .select(`
+      *,
+      uploaded_user:uploaded_by (
+        first_name,
+        last_name
+      )
+    `, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+}
+
+/**
+ * Find a statement by ID
+ * @param {string} id - Statement ID
+ */
+function findById(id) {
+  return db
+    .from('bank_statements')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+}
+
+/**
+ * Find a statement by the SHA-256 hash of its file
+ * @param {string} fileHash - Hex digest
+ */
+function findByHash(fileHash) {
+  return db
+    .from('bank_statements')
+    .select('id, file_name, created_at')
+    .eq('file_hash', fileHash)
+    .maybeSingle();
+}
+
+/**
+ * List the lines of a statement with the payments they are matched to
+ * @param {string} statementId - Statement ID
+ */
+function listLines(statementId) {
+  return db
+    .from('bank_statement_lines')
+    .select(LINE_RELATIONS)
+    .eq('statement_id', statementId)
+    .order('line_number', { ascending: true });
+}
+
+/**
+ * List lines of every statement with value dates in a range
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ */
+function listLinesBetween(from, to) {
+  return db
+    .from('bank_statement_lines')
+    .select('id, value_date, direction, amount, utr_number, reference, narration')
+    .gte('value_date', from)
+    .lte('value_date', to);
+}
+
+/**
+ * List lines carrying a UTR that no payment has settled yet
+ * @param {string} utrNumber - Normalised UTR
+ */
+function listOpenLinesByUtr(utrNumber) {
+  return db
+    .from('bank_statement_lines')
+    .select('*')
+    .eq('utr_number', utrNumber)
+    .neq('match_status', 'matched')
+    .order('value_date', { ascending: true });
+}
+
+/**
+ * List lines linked to any of the transfers or carrying any of the UTRs
+ * @param {string[]} transactionIds - Transaction IDs
+ * @param {string[]} utrNumbers - Normalised UTRs
+ */
+function listLinesForTransactions(transactionIds, utrNumbers) {
+  const filters = [
+    transactionIds.length > 0 && `transaction_id.in.(${transactionIds.join(',')})`,
+    utrNumbers.length > 0 && `utr_number.in.(${utrNumbers.join(',')})`
+  ].filter(Boolean);
+
+  return db
+    .from('bank_statement_lines')
+    .select('*')
+    .or(filters.join(','))
+    .order('value_date', { ascending: true });
+}
+
+/**
+ * Find a statement line by ID
+ * @param {string} id - Line ID
+ */
+function findLineById(id) {
+  return db
+    .from('bank_statement_lines')
+    .select(LINE_RELATIONS)
+    .eq('id', id)
+    .maybeSingle();
+}
+
+/**
+ * Update a statement line
+ * @param {string} id - Line ID
+ * @param {Object} values - Columns to update
+ */
+function updateLine(id, values) {
+  return db
+    .from('bank_statement_lines')
+    .update(values)
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Store a statement with its matched lines and verify the transfers matched
+ * in full, atomically (see import_bank_statement in migration 010)
+ * @param {Object} params
+ * @param {Object} params.statement - bank_statements columns
+ * @param {Object[]} params.lines - bank_statement_lines columns with match results
+ * @param {string} params.userId - Uploading user
+ */
+function importStatement({ statement, lines, userId }) {
+  return db.rpc('import_bank_statement', {
+    p_statement: statement,
+    p_lines: lines,
+    p_user_id: userId
+  });
+}
+
+/**
+ * Settle a payment, in part or in full, with a statement line, atomically
+ * (see confirm_statement_match in migration 010)
+ * @param {Object} params
+ * @param {string} params.lineId - Statement line ID
+ * @param {string} params.paymentId - Payment ID
+ * @param {string} params.userId - Confirming user
+ */
+function confirmMatch({ lineId, paymentId, userId }) {
+  return db.rpc('confirm_statement_match', {
+    p_line_id: lineId,
+    p_payment_id: paymentId,
+    p_user_id: userId
+  });
+}
+
+module.exports = {
+  list,
+  findById,
+  findByHash,
+  listLines,
+  listLinesBetween,
+  listOpenLinesByUtr,
+  listLinesForTransactions,
+  findLineById,
+  updateLine,
+  importStatement,
+  confirmMatch
+};
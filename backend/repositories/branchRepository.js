@@ -0,0 +1,21 @@
+/**
+ * Branch repository
+ * Data access for branch_information, the CCI branches
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * List branches by zone and name
+ */
+function list() {
+  return db
+    .from('branch_information')
+    .select('id, branch_name, branch_code, zone, state')
+    .order('zone', { ascending: true })
+    .order('branch_name', { ascending: true });
+}
+
+module.exports = {
+  list
+};
@@ -0,0 +1,159 @@
+/**
+ * Configuration repository
+ * Data access for trading_configuration and its effective-dated versions
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * List the active configuration keys; retired keys keep their history but are hidden
+ */
+function listKeys() {
+  return db
+    .from('trading_configuration')
+    .select('*')
+    .eq('is_active', true)
+    .order('config_key', { ascending: true });
+}
+
+/**
+ * Find a configuration key
+ * @param {string} key - config_key
+ */
+function findKey(key) {
+  return db
+    .from('trading_configuration')
+    .select('*')
+    .eq('config_key', key)
+    .maybeSingle();
+}
+
+/**
+ * Get the version of each key in effect at a point in time
+ * @param {string[]} keys - config_key values to fetch
+ * @param {Date} [at] - Point in time, defaults to now
+ * @returns {Promise<{ data: Object[] | null, error: Object | null }>} One version row per key that has one
+ */
+async function findEffective(keys, at = new Date()) {
+  const { data, error } = await db
+    .from('trading_configuration_versions')
+    .select('*')
+    .in('config_key', keys)
+    .lte('effective_from', at.toISOString())
+    .order('effective_from', { ascending: false })
+    .order('version', { ascending: false });
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  // Rows are newest first, so the first row per key is the one in effect
+  const effective = {};
+  data.forEach(version => {
+    if (!effective[version.config_key]) {
+      effective[version.config_key] = version;
+    }
+  });
+
+  return { data: Object.values(effective), error: null };
+}
+
+/**
+ * List every version of a key, newest first, with its author
+ * @param {string} key - config_key
+ */
+function listVersions(key) {
+  return db
+    .from('trading_configuration_versions')
+    .select(`
+      *,
+      users:created_by (
+        first_name,
+        last_name,
+        email
+      )
+    `)
+    .eq('config_key', key)
+    .order('version', { ascending: false });
+}
+
+/**
+ * List versions of every key that take effect after a point in time
+ * @param {Date} [after] - Point in time, defaults to now
+ */
+function listScheduled(after = new Date()) {
+  return db
+    .from('trading_configuration_versions')
+    .select('*')
+    .gt('effective_from', after.toISOString())
+    .order('effective_from', { ascending: true });
+}
+
+/**
+ * Find a config version by ID
+ * @param {string} id - Version ID
+ */
+function findVersionById(id) {
+  return db
+    .from('trading_configuration_versions')
+    .select(`
+      *,
+      users:created_by (
+        first_name,
+        last_name,
+        email
+      )
+    `)
+    .eq('id', id)
+    .single();
+}
+
+/**
+ * Find config versions by ID
+ * @param {string[]} ids - Version IDs
+ */
+function findVersionsByIds(ids) {
+  return db
+    .from('trading_configuration_versions')
+    .select('*')
+    .in('id', ids);
+}
+
+/**
+ * Get the highest version number of a key
+ * @param {string} key - config_key
+ */
+function findLatestVersion(key) {
+  return db
+    .from('trading_configuration_versions')
+    .select('version')
+    .eq('config_key', key)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+}
+
+/**
+ * Add a config version. Versions are never updated once written; the
+ * unique (config_key, version) constraint rejects concurrent writers.
+ * @param {Object} version - trading_configuration_versions row
+ */
+function createVersion(version) {
+  return db
+    .from('trading_configuration_versions')
+    .insert(version)
+    .select()
+    .single();
+}
+
+module.exports = {
+  listKeys,
+  findKey,
+  findEffective,
+  listVersions,
+  listScheduled,
+  findVersionById,
+  findVersionsByIds,
+  findLatestVersion,
+  createVersion
+};
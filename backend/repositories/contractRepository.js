@@ -0,0 +1,400 @@
+/**
+ * Contract repository
+ * Data access for purchase_contract_table, contract_documents,
+ * contract_approvals, contract_templates and contract_logs
+ */
+
+const { db } = require('../config/database');
+
+const CONTRACT_RELATIONS = `
+  *,
+  uploaded_user:uploaded_by (
+    first_name,
+    last_name,
+    email
+  ),
+  current_document:current_document_id (
+    *
+  ),
+  procurement_dump:procurement_id (
+    id,
+    total_amount
+  )
+`;
+
+/**
+ * List contracts waiting for admin approval with the uploader
+ */
+function listPending() {
+  return listByStatus('pending');
+}
+
+/**
+ * List contracts in a status with the uploader, current document and
+ * procurement, newest upload first
+ * @param {string} status - Contract status
+ */
+function listByStatus(status) {
+  return db
+    .from('purchase_contract_table')
+    .select(CONTRACT_RELATIONS)
+    .eq('status', status)
+    .order('uploaded_at', { ascending: false });
+}
+
+/**
+ * Find a contract by ID with its uploader, current document and procurement
+ * @param {string} id - Contract ID
+ */
+function findById(id) {
+  return db
+    .from('purchase_contract_table')
+    .select(CONTRACT_RELATIONS)
+    .eq('id', id)
+    .maybeSingle();
+}
+
+/**
+ * Find contracts by ID with their uploader, current document and procurement
+ * @param {string[]} ids - Contract IDs
+ */
+function listByIds(ids) {
+  return db
+    .from('purchase_contract_table')
+    .select(CONTRACT_RELATIONS)
+    .in('id', ids);
+}
+
+/**
+ * List the uploaded revisions of a contract, newest first
+ * @param {string} contractId - Contract ID
+ */
+function listDocuments(contractId) {
+  return db
+    .from('contract_documents')
+    .select(`
+      *,
+      uploaded_user:uploaded_by (
+        first_name,
+        last_name,
+        email
+      ),
+      template:template_id (
+        template_name
+      )
+    `)
+    .eq('contract_id', contractId)
+    .order('version', { ascending: false });
+}
+
+/**
+ * Find a revision of a contract
+ * @param {string} contractId - Contract ID
+ * @param {string} documentId - contract_documents ID
+ */
+function findDocument(contractId, documentId) {
+  return db
+    .from('contract_documents')
+    .select('*')
+    .eq('contract_id', contractId)
+    .eq('id', documentId)
+    .maybeSingle();
+}
+
+/**
+ * Record an uploaded revision against the indent's contract, creating the
+ * contract on the first upload, and log it, atomically (see
+ * add_contract_document in migration 017)
+ * @param {Object} params
+ * @param {string} params.indentNumber
+ * @param {string} params.procurementId - procurement_dump the contract is for
+ * @param {string} params.firmName
+ * @param {string|null} params.branchName
+ * @param {Object} params.document - contract_documents columns, including its id
+ * @param {string} params.userId - Uploading user
+ */
+function addDocument({ indentNumber, procurementId, firmName, branchName, document, userId }) {
+  return db.rpc('add_contract_document', {
+    p_indent_number: indentNumber,
+    p_procurement_id: procurementId,
+    p_firm_name: firmName,
+    p_branch_name: branchName,
+    p_document: document,
+    p_user_id: userId
+  });
+}
+
+/**
+ * List the decisions on any of the given revisions, oldest first, with the
+ * admin who made each
+ * @param {string[]} documentIds - contract_documents IDs
+ */
+function listApprovals(documentIds) {
+  return db
+    .from('contract_approvals')
+    .select(`
+      *,
+      decided_user:decided_by (
+        first_name,
+        last_name,
+        email
+      )
+    `)
+    .in('document_id', documentIds)
+    .order('decided_at', { ascending: true });
+}
+
+/**
+ * Record an admin's decision on the current revision of a pending contract
+ * and log it, atomically (see decide_contract in migration 018)
+ * @param {Object} params
+ * @param {string} params.contractId - Contract ID
+ * @param {string} params.documentId - Revision the admin reviewed
+ * @param {string} params.decision - approved, rejected or changes_requested
+ * @param {Object[]} params.levels - Levels the revision needs, fixed on it at its first decision
+ * @param {number} params.contractValue - Contract value the levels were chosen by
+ * @param {string|null} params.reason - Required to reject or request changes
+ * @param {string|null} params.checksum - SHA-256 of the stored file decided on; approvals need it
+ * @param {string} params.userId - Deciding admin
+ */
+function decide({ contractId, documentId, decision, levels, contractValue, reason, checksum, userId }) {
+  return db.rpc('decide_contract', {
+    p_contract_id: contractId,
+    p_document_id: documentId,
+    p_decision: decision,
+    p_levels: levels,
+    p_contract_value: contractValue,
+    p_reason: reason,
+    p_checksum: checksum,
+    p_user_id: userId
+  });
+}
+
+/**
+ * Update a contract
+ * @param {string} id - Contract ID
+ * @param {Object} values - Columns to update
+ */
+function update(id, values) {
+  return db
+    .from('purchase_contract_table')
+    .update(values)
+    .eq('id', id);
+}
+
+/**
+ * Update a contract only while it is in one of the given statuses. Errors
+ * when the status has changed.
+ * @param {string} id - Contract ID
+ * @param {string[]} statuses - Statuses the contract must be in
+ * @param {Object} values - Columns to update
+ */
+function updateIfStatus(id, statuses, values) {
+  return db
+    .from('purchase_contract_table')
+    .update(values)
+    .eq('id', id)
+    .in('status', statuses)
+    .select()
+    .single();
+}
+
+/**
+ * Record a contract log entry
+ * @param {Object} entry - contract_logs row
+ */
+function addLog(entry) {
+  return db
+    .from('contract_logs')
+    .insert(entry);
+}
+
+/**
+ * List contract logs with contract and user, newest first. Indent number and
+ * firm name match contracts by part of the value, as does the notes search.
+ * @param {Object} options
+ * @param {number} options.offset - Rows to skip
+ * @param {number} options.limit - Page size
+ * @param {Object} [options.filters]
+ * @param {string} [options.filters.contractId]
+ * @param {string} [options.filters.indentNumber]
+ * @param {string} [options.filters.firmName]
+ * @param {string[]} [options.filters.actions]
+ * @param {string|null} [options.filters.userId] - null for entries n8n made
+ * @param {string} [options.filters.from] - Earliest timestamp, inclusive
+ * @param {string} [options.filters.to] - Latest timestamp, exclusive
+ * @param {string} [options.filters.search] - Text in the notes
+ * @param {boolean} [options.ascending] - Oldest first instead
+ */
+async function listLogs({ offset, limit, filters = {}, ascending = false }) {
+  let contractIds = filters.contractId ? [filters.contractId] : null;
+
+  if (filters.indentNumber || filters.firmName) {
+    let contracts = db
+      .from('purchase_contract_table')
+      .select('id');
+
+    if (filters.contractId) {
+      contracts = contracts.eq('id', filters.contractId);
+    }
+    if (filters.indentNumber) {
+      contracts = contracts.ilike('indent_number', `%${filters.indentNumber}%`);
+    }
+    if (filters.firmName) {
+      contracts = contracts.ilike('firm_name', `%${filters.firmName}%`);
+    }
+
+    const { data, error } = await contracts;
+    if (error) {
+      return { data: null, error, count: null };
+    }
+    if (data.length === 0) {
+      return { data: [], error: null, count: 0 };
+    }
+    contractIds = data.map(contract => contract.id);
+  }
+
+  let query = db
+    .from('contract_logs')
+    .select(`
+      *,
+      purchase_contract_table:contract_id (
+        indent_number,
+        firm_name,
+        status
+      ),
+      users:user_id (
+        first_name,
+        last_name,
+        email
+      )
+    `, { count: 'exact' });
+
+  if (contractIds) {
+    query = query.in('contract_id', contractIds);
+  }
+  if (filters.actions?.length > 0) {
+    query = query.in('action', filters.actions);
+  }
+  if (filters.userId === null) {
+    query = query.is('user_id', null);
+  } else if (filters.userId) {
+    query = query.eq('user_id', filters.userId);
+  }
+  if (filters.from) {
+    query = query.gte('timestamp', filters.from);
+  }
+  if (filters.to) {
+    query = query.lt('timestamp', filters.to);
+  }
+  if (filters.search) {
+    query = query.ilike('notes', `%${filters.search}%`);
+  }
+
+  return query
+    .order('timestamp', { ascending })
+    .range(offset, offset + limit - 1);
+}
+
+/**
+ * List contract templates, active first
+ */
+function listTemplates() {
+  return db
+    .from('contract_templates')
+    .select('*')
+    .order('is_active', { ascending: false })
+    .order('template_name', { ascending: true });
+}
+
+/**
+ * List the templates contracts can be generated with
+ */
+function listActiveTemplates() {
+  return db
+    .from('contract_templates')
+    .select('*')
+    .eq('is_active', true);
+}
+
+/**
+ * Find a contract template by ID
+ * @param {string} id - Template ID
+ */
+function findTemplateById(id) {
+  return db
+    .from('contract_templates')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+}
+
+/**
+ * Find a contract template by name
+ * @param {string} templateName
+ */
+function findTemplateByName(templateName) {
+  return db
+    .from('contract_templates')
+    .select('*')
+    .eq('template_name', templateName)
+    .maybeSingle();
+}
+
+/**
+ * Create a contract template
+ * @param {Object} template - contract_templates row
+ */
+function createTemplate(template) {
+  return db
+    .from('contract_templates')
+    .insert(template)
+    .select()
+    .single();
+}
+
+/**
+ * Update a contract template
+ * @param {string} id - Template ID
+ * @param {Object} values - Columns to update
+ */
+function updateTemplate(id, values) {
+  return db
+    .from('contract_templates')
+    .update(values)
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Count all contracts
+ */
+function count() {
+  return db
+    .from('purchase_contract_table')
+    .select('*', { count: 'exact', head: true });
+}
+
+module.exports = {
+  listPending,
+  listByStatus,
+  findById,
+  listByIds,
+  listDocuments,
+  findDocument,
+  addDocument,
+  listApprovals,
+  decide,
+  update,
+  updateIfStatus,
+  addLog,
+  listLogs,
+  listTemplates,
+  listActiveTemplates,
+  findTemplateById,
+  findTemplateByName,
+  createTemplate,
+  updateTemplate,
+  count
+};
@@ -0,0 +1,139 @@
+/**
+ * EMD repository
+ * Data access for emd_deposits, the EMDs held against procurements, and
+ * emd_ledger, the movements of EMD money
+ */
+
+const { db } = require('../config/database');
+
+const DEPOSIT_RELATIONS = `
+  *,
+  procurement_dump:procurement_id (
+    indent_number,
+    firm_name,
+    emd_amount
+  ),
+  payment:payment_id (
+    installment_name,
+    payment_status,
+    verified_at
+  ),
+  refund_requested_user:refund_requested_by (
+    first_name,
+    last_name
+  ),
+  refund_reviewed_user:refund_reviewed_by (
+    first_name,
+    last_name
+  )
+`;
+
+/**
+ * List EMDs, newest first
+ * @param {Object} [options]
+ * @param {string} [options.status] - emd_status filter
+ * @param {string} [options.allocationId] - allocation_id filter
+ */
+function list({ status, allocationId } = {}) {
+  let query = db
+    .from('emd_deposits')
+    .select(DEPOSIT_RELATIONS);
+
+  if (status) {
+    query = query.eq('emd_status', status);
+  }
+
+  if (allocationId) {
+    query = query.eq('allocation_id', allocationId);
+  }
+
+  return query.order('created_at', { ascending: false });
+}
+
+/**
+ * Find an EMD with its ledger entries
+ * @param {string} id - EMD deposit ID
+ */
+function findById(id) {
+  return db
+    .from('emd_deposits')
+    .select(`
+      ${DEPOSIT_RELATIONS},
+      emd_ledger (
+        *,
+        created_user:created_by (
+          first_name,
+          last_name
+        )
+      )
+    `)
+    .eq('id', id)
+    .maybeSingle();
+}
+
+/**
+ * Update an EMD only while it is in one of the given statuses, so two users
+ * acting on the same EMD cannot both succeed. Errors when the status has changed.
+ * @param {string} id - EMD deposit ID
+ * @param {string[]} statuses - Statuses the EMD must be in
+ * @param {Object} values - Columns to update
+ */
+function updateIfStatus(id, statuses, values) {
+  return db
+    .from('emd_deposits')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .in('emd_status', statuses)
+    .select()
+    .single();
+}
+
+/**
+ * Release the whole EMD still held, writing the ledger entry and audit log
+ * atomically (see settle_emd_deposit in migration 014)
+ * @param {Object} params
+ * @param {string} params.depositId - EMD deposit ID
+ * @param {string} params.entryType - ADJUSTED, REFUNDED or FORFEITED
+ * @param {string[]} params.fromStatuses - Statuses the EMD must be in
+ * @param {Object} [params.values] - reference, refund_utr, refund_payment_mode
+ * @param {string} params.userId - Acting user
+ * @param {string} [params.notes]
+ */
+function settle({ depositId, entryType, fromStatuses, values = {}, userId, notes = null }) {
+  return db.rpc('settle_emd_deposit', {
+    p_deposit_id: depositId,
+    p_entry_type: entryType,
+    p_from_statuses: fromStatuses,
+    p_values: values,
+    p_user_id: userId,
+    p_notes: notes
+  });
+}
+
+/**
+ * List EMD movements of one type across all EMDs, with the procurement each was for
+ * @param {string} entryType - HELD, ADJUSTED, REFUNDED or FORFEITED
+ */
+function listLedgerEntries(entryType) {
+  return db
+    .from('emd_ledger')
+    .select(`
+      *,
+      emd_deposit:emd_deposit_id (
+        procurement_dump:procurement_id (
+          indent_number,
+          firm_name
+        )
+      )
+    `)
+    .eq('entry_type', entryType)
+    .order('created_at', { ascending: true });
+}
+
+module.exports = {
+  list,
+  findById,
+  updateIfStatus,
+  settle,
+  listLedgerEntries
+};
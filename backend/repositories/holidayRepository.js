@@ -0,0 +1,70 @@
+/**
+ * Holiday repository
+ * Data access for the holidays calendar
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * List holidays in a date range, earliest first
+ * @param {Object} options
+ * @param {string} options.from - First date (YYYY-MM-DD)
+ * @param {string} options.to - Last date (YYYY-MM-DD)
+ * @param {string} [options.stateCode] - Only national holidays and those of this state
+ */
+function list({ from, to, stateCode }) {
+  let query = db
+    .from('holidays')
+    .select('*')
+    .gte('holiday_date', from)
+    .lte('holiday_date', to);
+
+  if (stateCode) {
+    query = query.or(`state_code.is.null,state_code.eq.${stateCode}`);
+  }
+
+  return query
+    .order('holiday_date', { ascending: true })
+    .order('state_code', { ascending: true });
+}
+
+/**
+ * Find a holiday by ID
+ * @param {string} id - Holiday ID
+ */
+function findById(id) {
+  return db
+    .from('holidays')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+}
+
+/**
+ * Add one or more holidays
+ * @param {Object|Object[]} holidays - holidays rows
+ */
+function create(holidays) {
+  return db
+    .from('holidays')
+    .insert(holidays)
+    .select();
+}
+
+/**
+ * Remove a holiday
+ * @param {string} id - Holiday ID
+ */
+function remove(id) {
+  return db
+    .from('holidays')
+    .delete()
+    .eq('id', id);
+}
+
+module.exports = {
+  list,
+  findById,
+  create,
+  remove
+};
@@ -0,0 +1,28 @@
+/**
+ * Repository layer
+ * Routes and middleware access data only through these repositories. Every
+ * method resolves to the Supabase result shape ({ data, error, count }) and
+ * runs against the client selected by DATA_BACKEND in config/database.js.
+ */
+
+module.exports = {
+  allocationRepository: require('./allocationRepository'),
+  assignmentRepository: require('./assignmentRepository'),
+  auditRepository: require('./auditRepository'),
+  bankAccountRepository: require('./bankAccountRepository'),
+  bankPaymentRepository: require('./bankPaymentRepository'),
+  bankStatementRepository: require('./bankStatementRepository'),
+  branchRepository: require('./branchRepository'),
+  configurationRepository: require('./configurationRepository'),
+  contractRepository: require('./contractRepository'),
+  emdRepository: require('./emdRepository'),
+  holidayRepository: require('./holidayRepository'),
+  intakeRepository: require('./intakeRepository'),
+  inventoryRepository: require('./inventoryRepository'),
+  partyLedgerRepository: require('./partyLedgerRepository'),
+  paymentRepository: require('./paymentRepository'),
+  paymentTransactionRepository: require('./paymentTransactionRepository'),
+  procurementRepository: require('./procurementRepository'),
+  salesRepository: require('./salesRepository'),
+  userRepository: require('./userRepository')
+};
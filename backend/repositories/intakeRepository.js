@@ -0,0 +1,73 @@
+/**
+ * Intake repository
+ * Data access for purchase confirmations received by email, their parsed data
+ * and the manual applications raised when parsing fails
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * Save a purchase confirmation email
+ * @param {Object} confirmation - purchase_confirmations row
+ */
+function createConfirmation(confirmation) {
+  return db
+    .from('purchase_confirmations')
+    .insert(confirmation)
+    .select()
+    .single();
+}
+
+/**
+ * Update a purchase confirmation
+ * @param {string} id - Confirmation ID
+ * @param {Object} values - Columns to update
+ */
+function updateConfirmation(id, values) {
+  return db
+    .from('purchase_confirmations')
+    .update(values)
+    .eq('id', id);
+}
+
+/**
+ * Save the data parsed from a confirmation PDF
+ * @param {Object} parsedData - parsed_data row
+ */
+function createParsedData(parsedData) {
+  return db
+    .from('parsed_data')
+    .insert(parsedData)
+    .select()
+    .single();
+}
+
+/**
+ * Raise a manual application for a confirmation that could not be parsed
+ * @param {Object} application - manual_applications row
+ */
+function createManualApplication(application) {
+  return db
+    .from('manual_applications')
+    .insert(application)
+    .select()
+    .single();
+}
+
+/**
+ * List manual applications waiting for review
+ */
+function listPendingManualApplications() {
+  return db
+    .from('manual_applications')
+    .select('id')
+    .eq('status', 'pending');
+}
+
+module.exports = {
+  createConfirmation,
+  updateConfirmation,
+  createParsedData,
+  createManualApplication,
+  listPendingManualApplications
+};
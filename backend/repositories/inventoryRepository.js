@@ -0,0 +1,139 @@
+/**
+ * Inventory repository
+ * Data access for the inventory_table (sampled lots)
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * List available lots matching the line specs, oldest first (FIFO)
+ * @param {Object} options
+ * @param {string} [options.fibreLength] - fibre_length filter
+ * @param {string} [options.variety] - variety filter
+ * @param {string} [options.branch] - Branch name filter
+ * @param {number} options.limit - Maximum lots to return
+ */
+function listAvailable({ fibreLength, variety, branch, limit }) {
+  let query = db
+    .from('inventory_table')
+    .select(`
+      *,
+      branch_information:branch_id (
+        branch_name,
+        zone
+      )
+    `)
+    .eq('status', 'AVAILABLE');
+
+  if (fibreLength) {
+    query = query.eq('fibre_length', fibreLength);
+  }
+
+  if (variety) {
+    query = query.eq('variety', variety);
+  }
+
+  if (branch) {
+    query = query.eq('branch', branch);
+  }
+
+  return query
+    .order('created_at', { ascending: true })
+    .limit(limit);
+}
+
+/**
+ * Find lots by ID
+ * @param {string[]} ids - Inventory IDs
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only lots in this status
+ */
+function findByIds(ids, { status } = {}) {
+  let query = db
+    .from('inventory_table')
+    .select('*')
+    .in('id', ids);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  return query;
+}
+
+/**
+ * List the lots sampled for an indent with the user who added them
+ * @param {string} indentNumber - Indent number
+ */
+function listByIndentNumber(indentNumber) {
+  return db
+    .from('inventory_table')
+    .select(`
+      *,
+      added_user:added_by (
+        first_name,
+        last_name,
+        email
+      )
+    `)
+    .eq('indent_number', indentNumber)
+    .order('created_at', { ascending: false });
+}
+
+/**
+ * Insert sampled lots
+ * @param {Object[]} entries - inventory_table rows
+ */
+function createMany(entries) {
+  return db
+    .from('inventory_table')
+    .insert(entries)
+    .select();
+}
+
+/**
+ * Set the status of one or more lots
+ * @param {string|string[]} ids - Inventory ID(s)
+ * @param {string} status - AVAILABLE, BLOCKED or SOLD
+ */
+function updateStatus(ids, status) {
+  return db
+    .from('inventory_table')
+    .update({ status, updated_at: new Date().toISOString() })
+    .in('id', [].concat(ids));
+}
+
+/**
+ * Get status and creation date of every lot for statistics
+ */
+function listSummaries() {
+  return db
+    .from('inventory_table')
+    .select('status, created_at');
+}
+
+/**
+ * Count lots, optionally in a single status
+ * @param {string} [status] - Status filter
+ */
+function count(status) {
+  let query = db
+    .from('inventory_table')
+    .select('*', { count: 'exact', head: true });
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  return query;
+}
+
+module.exports = {
+  listAvailable,
+  findByIds,
+  listByIndentNumber,
+  createMany,
+  updateStatus,
+  listSummaries,
+  count
+};
@@ -0,0 +1,98 @@
+/**
+ * Party ledger repository
+ * Data access for party_ledger, the accounts of firms, customers and brokers,
+ * and for the customers and brokers it keeps accounts for
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * List ledger entries, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.partyType] - firm, customer or broker
+ * @param {string} [options.partyKey] - Party key within the type
+ */
+function list({ partyType, partyKey } = {}) {
+  let query = db
+    .from('party_ledger')
+    .select('*');
+
+  if (partyType) {
+    query = query.eq('party_type', partyType);
+  }
+
+  if (partyKey) {
+    query = query.eq('party_key', partyKey);
+  }
+
+  return query
+    .order('entry_date', { ascending: true })
+    .order('created_at', { ascending: true });
+}
+
+/**
+ * List the entries posted from other tables, to compare with what they post now
+ */
+function listPosted() {
+  return db
+    .from('party_ledger')
+    .select('id, source_table, source_id, entry_type, party_key, party_name, entry_date, debit, credit, reference, narration')
+    .not('source_table', 'is', null);
+}
+
+/**
+ * Post entries from other tables, replacing what the same source row posted
+ * before. Rows are matched on source_table, source_id and entry_type.
+ * @param {Object[]} entries - party_ledger rows with source_table and source_id
+ */
+function post(entries) {
+  const updatedAt = new Date().toISOString();
+
+  return db
+    .from('party_ledger')
+    .upsert(entries.map(entry => ({ ...entry, updated_at: updatedAt })), {
+      onConflict: 'source_table,source_id,entry_type'
+    })
+    .select();
+}
+
+/**
+ * Record a manual entry
+ * @param {Object} entry - party_ledger row without a source
+ */
+function create(entry) {
+  return db
+    .from('party_ledger')
+    .insert(entry)
+    .select()
+    .single();
+}
+
+/**
+ * List customers by name
+ */
+function listCustomers() {
+  return db
+    .from('customer_info')
+    .select('id, customer_name, customer_code')
+    .order('customer_name', { ascending: true });
+}
+
+/**
+ * List brokers by name
+ */
+function listBrokers() {
+  return db
+    .from('broker_info')
+    .select('id, broker_name, broker_code')
+    .order('broker_name', { ascending: true });
+}
+
+module.exports = {
+  list,
+  listPosted,
+  post,
+  create,
+  listCustomers,
+  listBrokers
+};
@@ -0,0 +1,291 @@
+/**
+ * Payment repository
+ * Data access for the payments table
+ */
+
+const { db } = require('../config/database');
+
+const LIST_RELATIONS = `
+  *,
+  procurement_dump:procurement_id (
+    indent_number,
+    firm_name,
+    allocation:allocation_id (
+      branch_information:branch_id (
+        branch_name
+      )
+    )
+  ),
+  verified_user:verified_by (
+    first_name,
+    last_name
+  ),
+  transactions:payment_transactions (
+    id,
+    utr_number,
+    payment_mode,
+    amount,
+    transaction_status,
+    submitted_by,
+    submitted_at,
+    verified_at,
+    submitted_user:submitted_by (
+      first_name,
+      last_name
+    ),
+    verified_user:verified_by (
+      first_name,
+      last_name
+    )
+  )
+`;
+
+/**
+ * Find a payment by ID with procurement, allocation and user details and
+ * the transfers paying it
+ * @param {string} id - Payment ID
+ */
+function findById(id) {
+  return db
+    .from('payments')
+    .select(`
+      *,
+      procurement_dump:procurement_id (
+        *,
+        allocation:allocation_id (
+          indent_number,
+          branch_id,
+          branch_information:branch_id (
+            branch_name,
+            branch_code,
+            zone
+          )
+        )
+      ),
+      created_user:created_by (
+        first_name,
+        last_name,
+        email
+      ),
+      verified_user:verified_by (
+        first_name,
+        last_name,
+        email
+      ),
+      transactions:payment_transactions (
+        *,
+        submitted_user:submitted_by (
+          first_name,
+          last_name,
+          email
+        ),
+        reviewed_user:reviewed_by (
+          first_name,
+          last_name,
+          email
+        ),
+        verified_user:verified_by (
+          first_name,
+          last_name,
+          email
+        )
+      )
+    `)
+    .eq('id', id)
+    .single();
+}
+
+/**
+ * List payments by ID with their transfers
+ * @param {string[]} ids - Payment IDs
+ */
+function listByIds(ids) {
+  return db
+    .from('payments')
+    .select(LIST_RELATIONS)
+    .in('id', ids);
+}
+
+/**
+ * List the installments of a procurement record in schedule order
+ * @param {string} procurementId - Procurement ID
+ */
+function listByProcurementId(procurementId) {
+  return db
+    .from('payments')
+    .select('*')
+    .eq('procurement_id', procurementId)
+    .order('installment_number', { ascending: true });
+}
+
+/**
+ * Create a payment
+ * @param {Object} payment - payments row
+ */
+function create(payment) {
+  return db
+    .from('payments')
+    .insert(payment)
+    .select()
+    .single();
+}
+
+/**
+ * Create several payments, e.g. the installments of a schedule
+ * @param {Object[]} payments - payments rows
+ */
+function createMany(payments) {
+  return db
+    .from('payments')
+    .insert(payments)
+    .select();
+}
+
+/**
+ * Update a payment
+ * @param {string} id - Payment ID
+ * @param {Object} values - Columns to update
+ */
+function update(id, values) {
+  return db
+    .from('payments')
+    .update(values)
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Update a payment only while it is in one of the given statuses, so two
+ * users acting on the same payment cannot both succeed. Errors when the
+ * status has changed.
+ * @param {string} id - Payment ID
+ * @param {string[]} statuses - Statuses the payment must be in
+ * @param {Object} values - Columns to update
+ */
+function updateIfStatus(id, statuses, values) {
+  return db
+    .from('payments')
+    .update(values)
+    .eq('id', id)
+    .in('payment_status', statuses)
+    .select()
+    .single();
+}
+
+/**
+ * List payments with a CDU that are not fully paid and were due before the
+ * given date. Whether UTRs already claim the rest is for the caller to check
+ * against the transfers.
+ * @param {string} dueBefore - ISO date (YYYY-MM-DD)
+ */
+function listAwaitingUtr(dueBefore) {
+  return db
+    .from('payments')
+    .select(LIST_RELATIONS)
+    .in('payment_status', ['pending', 'partially_paid'])
+    .not('cdu_generated_at', 'is', null)
+    .lt('due_date', dueBefore)
+    .order('due_date', { ascending: true });
+}
+
+/**
+ * List the penalty lines charged on any of the given payments
+ * @param {string[]} paymentIds - Payment IDs the charges were for
+ */
+function listPenaltyLines(paymentIds) {
+  return db
+    .from('payments')
+    .select('id, penalty_for_payment_id, installment_number, amount, payment_status, penalty_details, created_at')
+    .in('penalty_for_payment_id', paymentIds)
+    .order('created_at', { ascending: true });
+}
+
+/**
+ * List verified payments with pagination
+ * @param {Object} options
+ * @param {string} [options.createdBy] - Only payments created by this user
+ * @param {number} options.offset - Rows to skip
+ * @param {number} options.limit - Page size
+ */
+function listVerified({ createdBy, offset, limit }) {
+  let query = db
+    .from('payments')
+    .select(LIST_RELATIONS, { count: 'exact' })
+    .eq('payment_status', 'verified');
+
+  if (createdBy) {
+    query = query.eq('created_by', createdBy);
+  }
+
+  return query
+    .order('verified_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+}
+
+/**
+ * List payments a bank statement line can settle, oldest due first
+ * @param {string[]} statuses - Statuses awaiting reconciliation
+ */
+function listAwaitingReconciliation(statuses) {
+  return db
+    .from('payments')
+    .select(LIST_RELATIONS)
+    .in('payment_status', statuses)
+    .order('due_date', { ascending: true });
+}
+
+/**
+ * List every payment with a CDU, the dues posted to firm accounts
+ */
+function listWithCdu() {
+  return db
+    .from('payments')
+    .select(`
+      id,
+      amount,
+      installment_name,
+      cdu_reference,
+      cdu_generated_at,
+      procurement_dump:procurement_id (
+        indent_number,
+        firm_name
+      )
+    `)
+    .not('cdu_generated_at', 'is', null);
+}
+
+/**
+ * Get status and amount of every payment for statistics
+ */
+function listSummaries() {
+  return db
+    .from('payments')
+    .select('id, payment_status, amount, amount_paid, due_date');
+}
+
+/**
+ * Count all payments
+ */
+function count() {
+  return db
+    .from('payments')
+    .select('*', { count: 'exact', head: true });
+}
+
+module.exports = {
+  findById,
+  listByIds,
+  listByProcurementId,
+  create,
+  createMany,
+  update,
+  updateIfStatus,
+  listAwaitingUtr,
+  listPenaltyLines,
+  listVerified,
+  listAwaitingReconciliation,
+  listWithCdu,
+  listSummaries,
+  count
+};
@@ -0,0 +1,149 @@
+/**
+ * Payment transaction repository
+ * Data access for payment_transactions, the transfers paying a payment
+ */
+
+const { db } = require('../config/database');
+
+const LIST_RELATIONS = `
+  *,
+  payment:payment_id (
+    id,
+    amount,
+    amount_paid,
+    due_date,
+    installment_name,
+    payment_type,
+    payment_status,
+    procurement_dump:procurement_id (
+      indent_number,
+      firm_name
+    )
+  ),
+  submitted_user:submitted_by (
+    first_name,
+    last_name
+  ),
+  reviewed_user:reviewed_by (
+    first_name,
+    last_name
+  ),
+  verified_user:verified_by (
+    first_name,
+    last_name
+  )
+`;
+
+/**
+ * Find a transfer by ID with its payment and users
+ * @param {string} id - Transaction ID
+ */
+function findById(id) {
+  return db
+    .from('payment_transactions')
+    .select(LIST_RELATIONS)
+    .eq('id', id)
+    .single();
+}
+
+/**
+ * List the transfers paying a payment, in the order they were submitted
+ * @param {string} paymentId - Payment ID
+ */
+function listByPaymentId(paymentId) {
+  return db
+    .from('payment_transactions')
+    .select('*')
+    .eq('payment_id', paymentId)
+    .order('submitted_at', { ascending: true });
+}
+
+/**
+ * List transfers at a stage of UTR review, oldest submission first
+ * @param {string[]} statuses - e.g. utr_submitted, under_review, rejected
+ */
+function listByStatus(statuses) {
+  return db
+    .from('payment_transactions')
+    .select(LIST_RELATIONS)
+    .in('transaction_status', statuses)
+    .order('submitted_at', { ascending: true });
+}
+
+/**
+ * List transfers carrying any of the given UTRs
+ * @param {string[]} utrNumbers - Normalised UTRs
+ */
+function listByUtrNumbers(utrNumbers) {
+  return db
+    .from('payment_transactions')
+    .select(`
+      id,
+      payment_id,
+      amount,
+      utr_number,
+      transaction_status,
+      payment:payment_id (
+        installment_name,
+        procurement_dump:procurement_id (
+          indent_number
+        )
+      )
+    `)
+    .in('utr_number', utrNumbers);
+}
+
+/**
+ * Record a transfer
+ * @param {Object} transaction - payment_transactions row
+ */
+function create(transaction) {
+  return db
+    .from('payment_transactions')
+    .insert(transaction)
+    .select()
+    .single();
+}
+
+/**
+ * Update a transfer only while it is in one of the given statuses, so two
+ * users acting on the same UTR cannot both succeed. Errors when the status
+ * has changed.
+ * @param {string} id - Transaction ID
+ * @param {string[]} statuses - Statuses the transfer must be in
+ * @param {Object} values - Columns to update
+ */
+function updateIfStatus(id, statuses, values) {
+  return db
+    .from('payment_transactions')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .in('transaction_status', statuses)
+    .select()
+    .single();
+}
+
+/**
+ * Verify a transfer and bring its payment's amount paid up to date,
+ * completing the payment once it is paid in full, atomically (see
+ * verify_payment_transaction in migration 010)
+ * @param {Object} params
+ * @param {string} params.transactionId - Transaction ID
+ * @param {string} params.userId - Checker
+ */
+function verify({ transactionId, userId }) {
+  return db.rpc('verify_payment_transaction', {
+    p_transaction_id: transactionId,
+    p_user_id: userId
+  });
+}
+
+module.exports = {
+  findById,
+  listByPaymentId,
+  listByStatus,
+  listByUtrNumbers,
+  create,
+  updateIfStatus,
+  verify
+};
@@ -0,0 +1,131 @@
+/**
+ * Procurement repository
+ * Data access for the procurement_dump table
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * Save a procurement calculation
+ * @param {Object} procurement - procurement_dump row
+ */
+function create(procurement) {
+  return db
+    .from('procurement_dump')
+    .insert(procurement)
+    .select()
+    .single();
+}
+
+/**
+ * Find a procurement record by ID with its allocation and branch
+ * @param {string} id - Procurement ID
+ */
+function findById(id) {
+  return db
+    .from('procurement_dump')
+    .select(`
+      *,
+      allocation:allocation_id (
+        indent_number,
+        branch_id,
+        branch_information:branch_id (
+          branch_name,
+          branch_code,
+          zone
+        )
+      )
+    `)
+    .eq('id', id)
+    .single();
+}
+
+/**
+ * Find the latest procurement record for an indent with allocation, branch
+ * and the parsed confirmation details
+ * @param {string} indentNumber - Indent number
+ */
+function findLatestByIndentNumber(indentNumber) {
+  return db
+    .from('procurement_dump')
+    .select(`
+      *,
+      allocation:allocation_id (
+        *,
+        branch_information:branch_id (
+          branch_name,
+          branch_code,
+          zone,
+          state,
+          branch_email_id
+        ),
+        parsed_data:parsed_data_id (
+          centre_name,
+          variety,
+          fibre_length,
+          seller_gstin
+        )
+      )
+    `)
+    .eq('indent_number', indentNumber)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .single();
+}
+
+/**
+ * List procurement records with pagination
+ * @param {Object} options
+ * @param {string} [options.createdBy] - Only records created by this user
+ * @param {number} options.offset - Rows to skip
+ * @param {number} options.limit - Page size
+ */
+function list({ createdBy, offset, limit }) {
+  let query = db
+    .from('procurement_dump')
+    .select(`
+      *,
+      allocation:allocation_id (
+        indent_number,
+        branch_information:branch_id (
+          branch_name,
+          zone
+        )
+      )
+    `, { count: 'exact' });
+
+  if (createdBy) {
+    query = query.eq('created_by', createdBy);
+  }
+
+  return query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+}
+
+/**
+ * Get the amount columns of every procurement record for financial summaries
+ */
+function listTotals() {
+  return db
+    .from('procurement_dump')
+    .select('total_amount, emd_amount, gst_amount');
+}
+
+/**
+ * Count all procurement records
+ */
+function count() {
+  return db
+    .from('procurement_dump')
+    .select('*', { count: 'exact', head: true });
+}
+
+module.exports = {
+  create,
+  findById,
+  findLatestByIndentNumber,
+  list,
+  listTotals,
+  count
+};
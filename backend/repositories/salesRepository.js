@@ -0,0 +1,213 @@
+/**
+ * Sales repository
+ * Data access for sales_configuration, sales_table and lot_selected_contract
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * List sales configurations that are not completed yet
+ */
+function listOpenConfigurations() {
+  return db
+    .from('sales_configuration')
+    .select(`
+      *,
+      customer_info:customer_id (
+        customer_name,
+        customer_code,
+        email,
+        state
+      ),
+      broker_info:broker_id (
+        broker_name,
+        broker_code,
+        commission_rate
+      ),
+      created_user:created_by (
+        first_name,
+        last_name
+      )
+    `)
+    .neq('status', 'completed')
+    .order('created_at', { ascending: false });
+}
+
+/**
+ * Find a sales configuration with its customer and broker
+ * @param {string} id - Sales configuration ID
+ */
+function findConfigurationById(id) {
+  return db
+    .from('sales_configuration')
+    .select(`
+      *,
+      customer_info:customer_id (*),
+      broker_info:broker_id (*)
+    `)
+    .eq('id', id)
+    .single();
+}
+
+/**
+ * Set the status of a sales configuration
+ * @param {string} id - Sales configuration ID
+ * @param {string} status - pending, processing or completed
+ */
+function updateConfigurationStatus(id, status) {
+  return db
+    .from('sales_configuration')
+    .update({ status, updated_at: new Date().toISOString() })
+    .eq('id', id);
+}
+
+/**
+ * Create a sales record
+ * @param {Object} sale - sales_table row
+ */
+function create(sale) {
+  return db
+    .from('sales_table')
+    .insert(sale)
+    .select()
+    .single();
+}
+
+/**
+ * Update a sales record
+ * @param {string} id - Sales ID
+ * @param {Object} values - Columns to update
+ */
+function update(id, values) {
+  return db
+    .from('sales_table')
+    .update(values)
+    .eq('id', id)
+    .select()
+    .single();
+}
+
+/**
+ * Find a sales record with configuration, selected lots and users
+ * @param {string} id - Sales ID
+ */
+function findById(id) {
+  return db
+    .from('sales_table')
+    .select(`
+      *,
+      sales_configuration:sales_config_id (
+        *,
+        customer_info:customer_id (*),
+        broker_info:broker_id (*)
+      ),
+      lot_selected_contract (
+        *,
+        inventory_table:inventory_id (*)
+      ),
+      created_user:created_by (
+        first_name,
+        last_name,
+        email
+      ),
+      confirmed_user:confirmed_by (
+        first_name,
+        last_name,
+        email
+      )
+    `)
+    .eq('id', id)
+    .single();
+}
+
+/**
+ * Save a sales draft in one transaction: create the sales record and its lot
+ * selections, block the lots, mark the configuration as processing and audit it.
+ * Nothing is written if any step fails.
+ * @param {Object} draft
+ * @param {string} draft.salesConfigId - Sales configuration ID
+ * @param {Object} draft.sales - indent_numbers, total_bales, total_value, broker_commission
+ * @param {string[]} draft.lotIds - Inventory IDs to block
+ * @param {string} draft.userId - Acting user ID
+ * @param {string} [draft.notes] - Notes for the audit entry
+ * @returns {Promise<{data: Object|null, error: Object|null}>} The created sales record
+ */
+function saveDraft({ salesConfigId, sales, lotIds, userId, notes }) {
+  return db.rpc('save_sales_draft', {
+    p_sales_config_id: salesConfigId,
+    p_sales: sales,
+    p_lot_ids: lotIds,
+    p_user_id: userId,
+    p_notes: notes ?? null
+  });
+}
+
+/**
+ * Confirm a sales order in one transaction: the open draft of the
+ * configuration, or a new sales record, takes the selected lots and totals
+ * and is confirmed, the configuration is completed and the confirmation
+ * audited. Nothing is written if any step fails.
+ * @param {Object} order
+ * @param {string} order.salesConfigId - Sales configuration ID
+ * @param {Object} order.sales - Totals, as for saveDraft
+ * @param {string[]} order.lotIds - Inventory IDs sold; lots not yet in the draft are blocked
+ * @param {string} order.userId - Acting user ID
+ * @param {Date} order.confirmedAt - Confirmation time
+ * @param {string} [order.notes] - Notes for the audit entry
+ * @returns {Promise<{data: Object|null, error: Object|null}>} The confirmed sales record
+ */
+function confirm({ salesConfigId, sales, lotIds, userId, confirmedAt, notes }) {
+  return db.rpc('confirm_sales', {
+    p_sales_config_id: salesConfigId,
+    p_sales: sales,
+    p_lot_ids: lotIds,
+    p_user_id: userId,
+    p_confirmed_at: confirmedAt.toISOString(),
+    p_notes: notes ?? null
+  });
+}
+
+/**
+ * List confirmed sales with their customer and broker
+ */
+function listConfirmed() {
+  return db
+    .from('sales_table')
+    .select(`
+      *,
+      sales_configuration:sales_config_id (
+        customer_info:customer_id (
+          id,
+          customer_name
+        ),
+        broker_info:broker_id (
+          id,
+          broker_name
+        )
+      )
+    `)
+    .eq('status', 'CONFIRMED')
+    .order('confirmed_at', { ascending: true });
+}
+
+/**
+ * Count all sales records
+ */
+function count() {
+  return db
+    .from('sales_table')
+    .select('*', { count: 'exact', head: true });
+}
+
+module.exports = {
+  listOpenConfigurations,
+  findConfigurationById,
+  updateConfigurationStatus,
+  create,
+  update,
+  findById,
+  saveDraft,
+  confirm,
+  listConfirmed,
+  count
+};
@@ -0,0 +1,80 @@
+/**
+ * User repository
+ * Data access for the users table
+ */
+
+const { db } = require('../config/database');
+
+const PUBLIC_COLUMNS = 'id, email, first_name, last_name, role, is_active';
+
+/**
+ * Find a user by ID without credentials
+ * @param {string} id - User ID
+ */
+function findById(id) {
+  return db
+    .from('users')
+    .select(PUBLIC_COLUMNS)
+    .eq('id', id)
+    .single();
+}
+
+/**
+ * List active users with the given roles, by name
+ * @param {string[]} roles - e.g. ['admin', 'trader']
+ */
+function listByRoles(roles) {
+  return db
+    .from('users')
+    .select(PUBLIC_COLUMNS)
+    .in('role', roles)
+    .eq('is_active', true)
+    .order('first_name', { ascending: true })
+    .order('last_name', { ascending: true });
+}
+
+/**
+ * Find a user by email, including the password hash for login
+ * @param {string} email - User email
+ */
+function findByEmail(email) {
+  return db
+    .from('users')
+    .select(`${PUBLIC_COLUMNS}, password_hash`)
+    .eq('email', email)
+    .single();
+}
+
+/**
+ * Create a user
+ * @param {Object} user - users row
+ */
+function create(user) {
+  return db
+    .from('users')
+    .insert(user)
+    .select('id, email, first_name, last_name, role')
+    .single();
+}
+
+/**
+ * Update a user
+ * @param {string} id - User ID
+ * @param {Object} values - Columns to update
+ */
+function update(id, values) {
+  return db
+    .from('users')
+    .update(values)
+    .eq('id', id)
+    .select('id, email, first_name, last_name, role')
+    .single();
+}
+
+module.exports = {
+  findById,
+  listByRoles,
+  findByEmail,
+  create,
+  update
+};
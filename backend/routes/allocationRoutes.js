@@ -5,10 +5,15 @@
 
 const express = require('express');
 const Joi = require('joi');
-const { supabase } = require('../config/supabase');
+const { allocationRepository, emdRepository } = require('../repositories');
+const {
+  EMD_CANCELLATION_ACTIONS,
+  planEmdTransitions,
+  summarizeDeposits
+} = require('../services/emd');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateQuery } = require('../middleware/validation');
+const { validateBody, validateQuery } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -21,6 +26,12 @@ const getAllocationsSchema = Joi.object({
   search: Joi.string().max(100)
 });
 
+const statusSchema = Joi.object({
+  status: Joi.string().valid('pending', 'active', 'completed', 'cancelled').required(),
+  notes: Joi.string().trim().max(500).allow('', null),
+  emd_action: Joi.string().valid(...Object.values(EMD_CANCELLATION_ACTIONS)).default(EMD_CANCELLATION_ACTIONS.REFUND)
+});
+
 /**
  * @route   GET /api/allocations
  * @desc    Get list of allocations with pagination and filtering
@@ -33,37 +44,6 @@ router.get('/',
     const { page, limit, status, branch_id, search } = req.query;
     const offset = (page - 1) * limit;
 
-    // Build query
-    let query = supabase
-      .from('allocation')
-      .select(`
-        *,
-        branch_information:branch_id (
-          branch_name,
-          branch_code,
-          zone
-        ),
-        parsed_data:parsed_data_id (
-          firm_name,
-          centre_name,
-          variety,
-          fibre_length
-        )
-      `, { count: 'exact' });
-
-    // Apply filters
-    if (status) {
-      query = query.eq('allocation_status', status);
-    }
-
-    if (branch_id) {
-      query = query.eq('branch_id', branch_id);
-    }
-
-    if (search) {
-      query = query.or(`indent_number.ilike.%${search}%,branch_name.ilike.%${search}%`);
-    }
-
     // Role-based filtering
     if (req.user.role === 'trader') {
       // Traders can only see their own allocations
@@ -71,10 +51,14 @@ router.get('/',
       // For now, we'll show all allocations
     }
 
-    // Add pagination and sorting
-    const { data: allocations, error, count } = await query
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    // Fetch filtered page of allocations
+    const { data: allocations, error, count } = await allocationRepository.list({
+      status,
+      branchId: branch_id,
+      search,
+      offset,
+      limit
+    });
 
     if (error) {
       return res.status(500).json({
@@ -108,7 +92,7 @@ router.get('/',
 
 /**
  * @route   GET /api/allocations/:id
- * @desc    Get single allocation details
+ * @desc    Get single allocation details with its EMDs
  * @access  Private
  */
 router.get('/:id', 
@@ -116,26 +100,7 @@ router.get('/:id',
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    const { data: allocation, error } = await supabase
-      .from('allocation')
-      .select(`
-        *,
-        branch_information:branch_id (
-          branch_name,
-          branch_code,
-          zone,
-          state,
-          branch_email_id
-        ),
-        parsed_data:parsed_data_id (
-          *
-        ),
-        procurement_dump (
-          *
-        )
-      `)
-      .eq('id', id)
-      .single();
+    const { data: allocation, error } = await allocationRepository.findById(id);
 
     if (error || !allocation) {
       return res.status(404).json({
@@ -144,10 +109,24 @@ router.get('/:id',
       });
     }
 
+    const { data: deposits, error: emdError } = await emdRepository.list({ allocationId: id });
+
+    if (emdError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch EMDs',
+        error: emdError.message
+      });
+    }
+
     res.json({
       success: true,
       data: {
-        allocation
+        allocation,
+        emd: {
+          deposits,
+          summary: summarizeDeposits(deposits)
+        }
       }
     });
   })
@@ -155,59 +134,81 @@ router.get('/:id',
 
 /**
  * @route   PUT /api/allocations/:id/status
- * @desc    Update allocation status
+ * @desc    Update allocation status. Completing an allocation adjusts the EMDs
+ *          held against its final bill; cancelling it requests their refund,
+ *          or forfeits them when emd_action is forfeit. An allocation whose
+ *          EMD has been released cannot be reopened.
  * @access  Private (Admin only)
  */
 router.put('/:id/status', 
   authenticateToken,
   authorizeRoles('admin'),
+  validateBody(statusSchema),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { status, notes } = req.body;
+    const { status, notes, emd_action } = req.body;
+
+    const { data: current } = await allocationRepository.findById(id);
 
-    const validStatuses = ['pending', 'active', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    if (!current) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid status'
+        message: 'Allocation not found'
       });
     }
 
-    const { data: allocation, error } = await supabase
-      .from('allocation')
-      .update({
-        allocation_status: status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    const { data: deposits, error: emdError } = await emdRepository.list({ allocationId: id });
 
-    if (error) {
+    if (emdError) {
       return res.status(500).json({
         success: false,
-        message: 'Failed to update allocation status',
-        error: error.message
+        message: 'Failed to fetch EMDs',
+        error: emdError.message
+      });
+    }
+
+    const { transitions, error: planError } = status === current.allocation_status
+      ? { transitions: [], error: null }
+      : planEmdTransitions(deposits, status, emd_action);
+
+    if (planError) {
+      return res.status(planError.statusCode).json({
+        success: false,
+        message: planError.message
       });
     }
 
-    // Log the status change
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'allocation',
-        record_id: id,
-        action: 'STATUS_UPDATE',
-        user_id: req.user.id,
-        old_values: { status: allocation.allocation_status },
-        new_values: { status, notes }
+    // Change the status and move the EMDs in a single transaction
+    const { data: result, error } = await allocationRepository.updateStatus({
+      allocationId: id,
+      status,
+      expectedStatus: current.allocation_status,
+      transitions,
+      userId: req.user.id,
+      reason: notes || `Allocation ${current.indent_number} ${status}`,
+      notes
+    });
+
+    if (error) {
+      // P0001 is raised by the function itself, e.g. when an EMD has moved since it was read
+      return res.status(error.code === 'P0001' ? 409 : 500).json({
+        success: false,
+        message: 'Allocation status was not updated; all changes were rolled back',
+        error: error.message,
+        rolled_back: true
       });
+    }
+
+    const { allocation, emd } = result;
 
     res.json({
       success: true,
-      message: 'Allocation status updated successfully',
+      message: emd.length > 0
+        ? `Allocation status updated; ${emd.length} EMD${emd.length === 1 ? '' : 's'} ${emd[0].emd_status.replace('_', ' ')}`
+        : 'Allocation status updated successfully',
       data: {
-        allocation
+        allocation,
+        emd
       }
     });
   })
@@ -222,47 +223,24 @@ router.get('/stats/overview',
   authenticateToken,
   authorizeRoles('admin'),
   asyncHandler(async (req, res) => {
-    // Get allocation counts by status
-    const { data: statusCounts, error: statusError } = await supabase
-      .from('allocation')
-      .select('allocation_status')
-      .then(({ data, error }) => {
-        if (error) return { data: null, error };
-        
-        const counts = data.reduce((acc, item) => {
-          acc[item.allocation_status] = (acc[item.allocation_status] || 0) + 1;
-          return acc;
-        }, {});
-        
-        return { data: counts, error: null };
-      });
+    const { data: allocations, error } = await allocationRepository.listSummaries();
 
-    if (statusError) {
+    if (error) {
       return res.status(500).json({
         success: false,
         message: 'Failed to fetch statistics',
-        error: statusError.message
+        error: error.message
       });
     }
 
-    // Get total bale quantities
-    const { data: totalBales, error: balesError } = await supabase
-      .from('allocation')
-      .select('bale_quantity')
-      .then(({ data, error }) => {
-        if (error) return { data: 0, error };
-        
-        const total = data.reduce((sum, item) => sum + (item.bale_quantity || 0), 0);
-        return { data: total, error: null };
-      });
+    // Get allocation counts by status
+    const statusCounts = allocations.reduce((acc, item) => {
+      acc[item.allocation_status] = (acc[item.allocation_status] || 0) + 1;
+      return acc;
+    }, {});
 
-    if (balesError) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch bale statistics',
-        error: balesError.message
-      });
-    }
+    // Get total bale quantities
+    const totalBales = allocations.reduce((sum, item) => sum + (item.bale_quantity || 0), 0);
 
     res.json({
       success: true,
@@ -7,7 +7,7 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const Joi = require('joi');
-const { supabase } = require('../config/supabase');
+const { auditRepository, userRepository } = require('../repositories');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { validateBody } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
@@ -37,11 +37,7 @@ router.post('/login', validateBody(loginSchema), asyncHandler(async (req, res) =
   const { email, password } = req.body;
 
   // Find user by email
-  const { data: user, error } = await supabase
-    .from('users')
-    .select('id, email, password_hash, first_name, last_name, role, is_active')
-    .eq('email', email)
-    .single();
+  const { data: user, error } = await userRepository.findByEmail(email);
 
   if (error || !user) {
     return res.status(401).json({
@@ -75,15 +71,13 @@ router.post('/login', validateBody(loginSchema), asyncHandler(async (req, res) =
 
   console.log("logged in nhi hua", user);
   // Log successful login
-  await supabase
-    .from('audit_log')
-    .insert({
-      table_name: 'users',
-      record_id: user.id,
-      action: 'LOGIN',
-      user_id: user.id,
-      new_values: { login_time: new Date().toISOString() }
-    });
+  await auditRepository.log({
+    table_name: 'users',
+    record_id: user.id,
+    action: 'LOGIN',
+    user_id: user.id,
+    new_values: { login_time: new Date().toISOString() }
+  });
 
   console.log("logged in user", user);
 
@@ -112,11 +106,7 @@ router.post('/register', validateBody(registerSchema), asyncHandler(async (req,
   const { email, password, first_name, last_name, role } = req.body;
 
   // Check if user already exists
-  const { data: existingUser } = await supabase
-    .from('users')
-    .select('id')
-    .eq('email', email)
-    .single();
+  const { data: existingUser } = await userRepository.findByEmail(email);
 
   if (existingUser) {
     return res.status(400).json({
@@ -130,18 +120,14 @@ router.post('/register', validateBody(registerSchema), asyncHandler(async (req,
   const password_hash = await bcrypt.hash(password, saltRounds);
 
   // Create user
-  const { data: newUser, error } = await supabase
-    .from('users')
-    .insert({
-      email,
-      password_hash,
-      first_name,
-      last_name,
-      role,
-      is_active: true
-    })
-    .select('id, email, first_name, last_name, role')
-    .single();
+  const { data: newUser, error } = await userRepository.create({
+    email,
+    password_hash,
+    first_name,
+    last_name,
+    role,
+    is_active: true
+  });
 
   if (error) {
     return res.status(500).json({
@@ -159,15 +145,13 @@ router.post('/register', validateBody(registerSchema), asyncHandler(async (req,
   );
 
   // Log user registration
-  await supabase
-    .from('audit_log')
-    .insert({
-      table_name: 'users',
-      record_id: newUser.id,
-      action: 'REGISTER',
-      user_id: newUser.id,
-      new_values: { registration_time: new Date().toISOString() }
-    });
+  await auditRepository.log({
+    table_name: 'users',
+    record_id: newUser.id,
+    action: 'REGISTER',
+    user_id: newUser.id,
+    new_values: { registration_time: new Date().toISOString() }
+  });
 
   res.status(201).json({
     success: true,
@@ -186,15 +170,13 @@ router.post('/register', validateBody(registerSchema), asyncHandler(async (req,
  */
 router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
   // Log logout
-  await supabase
-    .from('audit_log')
-    .insert({
-      table_name: 'users',
-      record_id: req.user.id,
-      action: 'LOGOUT',
-      user_id: req.user.id,
-      new_values: { logout_time: new Date().toISOString() }
-    });
+  await auditRepository.log({
+    table_name: 'users',
+    record_id: req.user.id,
+    action: 'LOGOUT',
+    user_id: req.user.id,
+    new_values: { logout_time: new Date().toISOString() }
+  });
 
   res.json({
     success: true,
@@ -224,16 +206,11 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
 router.put('/profile', authenticateToken, asyncHandler(async (req, res) => {
   const { first_name, last_name } = req.body;
 
-  const { data: updatedUser, error } = await supabase
-    .from('users')
-    .update({
-      first_name,
-      last_name,
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', req.user.id)
-    .select('id, email, first_name, last_name, role')
-    .single();
+  const { data: updatedUser, error } = await userRepository.update(req.user.id, {
+    first_name,
+    last_name,
+    updated_at: new Date().toISOString()
+  });
 
   if (error) {
     return res.status(500).json({
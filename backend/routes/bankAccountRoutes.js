@@ -0,0 +1,329 @@
+/**
+ * Bank account routes
+ * Maintain the beneficiary accounts payments are made into, and list the
+ * accounts a CDU can carry
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const {
+  auditRepository,
+  bankAccountRepository,
+  branchRepository,
+  paymentRepository
+} = require('../repositories');
+const {
+  accountCriteria,
+  normalizeIfsc,
+  rankAccounts,
+  validateAccountNumber,
+  validateIfsc
+} = require('../services/bankAccounts');
+const { PAYMENT_TYPES } = require('../services/paymentSchedule');
+const { PAYMENT_MODES } = require('../services/utr');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Validation schemas
+const listSchema = Joi.object({
+  include_inactive: Joi.boolean().optional(),
+  payment_id: Joi.string().uuid().optional()
+});
+
+const accountFields = {
+  account_name: Joi.string().trim().min(2).max(150),
+  account_number: Joi.string().trim(),
+  ifsc_code: Joi.string().trim().max(20),
+  branch_name: Joi.string().trim().min(2).max(100),
+  purpose: Joi.string().valid(...Object.values(PAYMENT_TYPES)).allow(null),
+  branch_id: Joi.string().uuid().allow(null),
+  zone: Joi.string().trim().max(50).allow(null, ''),
+  default_payment_mode: Joi.string().valid(...Object.values(PAYMENT_MODES))
+};
+
+const createSchema = Joi.object({
+  ...accountFields,
+  account_name: accountFields.account_name.required(),
+  account_number: accountFields.account_number.required(),
+  ifsc_code: accountFields.ifsc_code.required(),
+  branch_name: accountFields.branch_name.required()
+});
+
+const updateSchema = Joi.object({
+  ...accountFields,
+  is_active: Joi.boolean()
+}).min(1);
+
+const paramSchema = Joi.object({
+  id: Joi.string().uuid().required()
+});
+
+/**
+ * @route   GET /api/bank-accounts
+ * @desc    List bank accounts with the branches they can be kept for. Given a
+ *          payment, lists the active accounts its CDU can carry, best fit
+ *          first, with the default.
+ * @access  Private (Admin, Trader)
+ */
+router.get('/',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateQuery(listSchema),
+  asyncHandler(async (req, res) => {
+    const { payment_id, include_inactive } = req.query;
+
+    let payment = null;
+    if (payment_id) {
+      const { data, error: paymentError } = await paymentRepository.findById(payment_id);
+
+      if (paymentError || !data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+      payment = data;
+    }
+
+    const { data: accounts, error } = await bankAccountRepository.list({
+      activeOnly: Boolean(payment) || !include_inactive
+    });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch bank accounts',
+        error: error.message
+      });
+    }
+
+    if (!payment) {
+      const { data: branches, error: branchError } = await branchRepository.list();
+
+      if (branchError) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch branches',
+          error: branchError.message
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          accounts,
+          branches
+        }
+      });
+    }
+
+    const eligible = rankAccounts(accounts, accountCriteria(payment));
+
+    res.json({
+      success: true,
+      data: {
+        accounts: eligible,
+        default_account_id: eligible[0]?.id || null
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/bank-accounts
+ * @desc    Add a bank account. The bank name follows from the IFSC.
+ * @access  Private (Admin only)
+ */
+router.post('/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(createSchema),
+  asyncHandler(async (req, res) => {
+    const { data: account, errors } = checkAccount(req.body);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const { data: existing, error: existingError } = await bankAccountRepository.findByNumber(
+      account.account_number,
+      account.ifsc_code
+    );
+
+    if (existingError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check existing bank accounts',
+        error: existingError.message
+      });
+    }
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Account ${account.account_number} at ${account.ifsc_code} is already listed as ${existing.account_name}`
+      });
+    }
+
+    const { data: created, error } = await bankAccountRepository.create({
+      purpose: null,
+      branch_id: null,
+      zone: null,
+      default_payment_mode: PAYMENT_MODES.RTGS,
+      ...account,
+      is_active: true,
+      created_by: req.user.id
+    });
+
+    if (error) {
+      return res.status(error.code === '23505' ? 409 : 500).json({
+        success: false,
+        message: 'Failed to save bank account',
+        error: error.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'bank_accounts',
+      record_id: created.id,
+      action: 'BANK_ACCOUNT_CREATED',
+      user_id: req.user.id,
+      new_values: account
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bank account added successfully',
+      data: {
+        account: created
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/bank-accounts/:id
+ * @desc    Update or deactivate a bank account. CDUs already issued keep the
+ *          beneficiary details they were printed with.
+ * @access  Private (Admin only)
+ */
+router.put('/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(updateSchema),
+  asyncHandler(async (req, res) => {
+    const { data: current } = await bankAccountRepository.findById(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bank account not found'
+      });
+    }
+
+    const { data: values, errors } = checkAccount(req.body);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const accountNumber = values.account_number || current.account_number;
+    const ifscCode = values.ifsc_code || current.ifsc_code;
+
+    if (accountNumber !== current.account_number || ifscCode !== current.ifsc_code) {
+      const { data: existing, error: existingError } = await bankAccountRepository.findByNumber(accountNumber, ifscCode);
+
+      if (existingError) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to check existing bank accounts',
+          error: existingError.message
+        });
+      }
+
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Account ${accountNumber} at ${ifscCode} is already listed as ${existing.account_name}`
+        });
+      }
+    }
+
+    const { data: updated, error } = await bankAccountRepository.update(current.id, values);
+
+    if (error) {
+      return res.status(error.code === '23505' ? 409 : 500).json({
+        success: false,
+        message: 'Failed to update bank account',
+        error: error.message
+      });
+    }
+
+    const { branch_information, ...oldValues } = current;
+    await auditRepository.log({
+      table_name: 'bank_accounts',
+      record_id: current.id,
+      action: values.is_active === false && current.is_active ? 'BANK_ACCOUNT_DEACTIVATED' : 'BANK_ACCOUNT_UPDATED',
+      user_id: req.user.id,
+      old_values: oldValues,
+      new_values: values
+    });
+
+    res.json({
+      success: true,
+      message: 'Bank account updated successfully',
+      data: {
+        account: updated
+      }
+    });
+  })
+);
+
+/**
+ * Helper function to check the account number and IFSC of a new or changed
+ * account and fill in the bank name from the IFSC
+ * @param {Object} body - Validated request body
+ * @returns {{ data: Object|null, errors: { field: string, message: string }[]|null }}
+ */
+function checkAccount(body) {
+  const account = { ...body };
+  const errors = [];
+
+  if (account.zone === '') {
+    account.zone = null;
+  }
+
+  if (account.account_number !== undefined) {
+    account.account_number = account.account_number.replace(/\s+/g, '');
+    const message = validateAccountNumber(account.account_number);
+    if (message) {
+      errors.push({ field: 'account_number', message });
+    }
+  }
+
+  if (account.ifsc_code !== undefined) {
+    account.ifsc_code = normalizeIfsc(account.ifsc_code);
+    const ifsc = validateIfsc(account.ifsc_code);
+    if (ifsc.valid) {
+      account.bank_name = ifsc.bank_name;
+    } else {
+      errors.push({ field: 'ifsc_code', message: ifsc.message });
+    }
+  }
+
+  return errors.length > 0 ? { data: null, errors } : { data: account, errors: null };
+}
+
+module.exports = router;
@@ -0,0 +1,246 @@
+/**
+ * Trading configuration routes
+ * View and change the effective-dated config values used by procurement
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const {
+  auditRepository,
+  configurationRepository
+} = require('../repositories');
+const { validateConfigValue } = require('../config/tradingConfiguration');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Validation schemas
+const createVersionSchema = Joi.object({
+  config_value: Joi.object().required(),
+  effective_from: Joi.date().iso().optional(),
+  change_reason: Joi.string().min(3).max(500).required()
+});
+
+/**
+ * @route   GET /api/configuration
+ * @desc    Get every config key with the version in effect and scheduled versions
+ * @access  Private (Admin, Trader)
+ */
+router.get('/',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  asyncHandler(async (req, res) => {
+    const { data: keys, error: keysError } = await configurationRepository.listKeys();
+
+    if (keysError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch trading configuration',
+        error: keysError.message
+      });
+    }
+
+    const now = new Date();
+    const [effectiveResult, scheduledResult] = await Promise.all([
+      configurationRepository.findEffective(keys.map(key => key.config_key), now),
+      configurationRepository.listScheduled(now)
+    ]);
+
+    const fetchError = effectiveResult.error || scheduledResult.error;
+    if (fetchError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch configuration versions',
+        error: fetchError.message
+      });
+    }
+
+    const configurations = keys.map(key => ({
+      ...key,
+      current: effectiveResult.data.find(version => version.config_key === key.config_key) || null,
+      scheduled: scheduledResult.data.filter(version => version.config_key === key.config_key)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        configurations,
+        as_of: now.toISOString()
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/configuration/versions/:id
+ * @desc    Get a single config version, e.g. the one a procurement was calculated with
+ * @access  Private (Admin, Trader)
+ */
+router.get('/versions/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  asyncHandler(async (req, res) => {
+    const { data: version, error } = await configurationRepository.findVersionById(req.params.id);
+
+    if (error || !version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Configuration version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        version
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/configuration/:key/versions
+ * @desc    Get the full version history of a config key
+ * @access  Private (Admin, Trader)
+ */
+router.get('/:key/versions',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  asyncHandler(async (req, res) => {
+    const { key } = req.params;
+
+    const { data: configKey } = await configurationRepository.findKey(key);
+
+    if (!configKey) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown configuration key ${key}`
+      });
+    }
+
+    const { data: versions, error } = await configurationRepository.listVersions(key);
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch configuration history',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        configuration: configKey,
+        versions
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/configuration/:key/versions
+ * @desc    Add a new version of a config value, effective now or from a future date
+ * @access  Private (Admin only)
+ */
+router.post('/:key/versions',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(createVersionSchema),
+  asyncHandler(async (req, res) => {
+    const { key } = req.params;
+    const { config_value, change_reason } = req.body;
+
+    const { data: configKey } = await configurationRepository.findKey(key);
+
+    if (!configKey) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown configuration key ${key}`
+      });
+    }
+
+    if (!configKey.is_active) {
+      return res.status(409).json({
+        success: false,
+        message: `${key} has been retired and can no longer be changed`
+      });
+    }
+
+    const { value, errors } = validateConfigValue(key, config_value);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    // Back-dating would change which value past dates resolve to; allow a
+    // minute of clock skew between the browser and the server
+    const now = new Date();
+    const effectiveFrom = req.body.effective_from || now;
+
+    if (effectiveFrom < new Date(now.getTime() - 60 * 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'effective_from cannot be in the past'
+      });
+    }
+
+    const { data: latest, error: latestError } = await configurationRepository.findLatestVersion(key);
+
+    if (latestError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to read configuration history',
+        error: latestError.message
+      });
+    }
+
+    const { data: version, error } = await configurationRepository.createVersion({
+      config_key: key,
+      version: (latest?.version || 0) + 1,
+      config_value: value,
+      effective_from: effectiveFrom.toISOString(),
+      change_reason,
+      created_by: req.user.id
+    });
+
+    if (error) {
+      // 23505: another admin saved a version of this key at the same time
+      return res.status(error.code === '23505' ? 409 : 500).json({
+        success: false,
+        message: 'Failed to save configuration version',
+        error: error.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'trading_configuration_versions',
+      record_id: version.id,
+      action: 'CONFIG_VERSION_CREATED',
+      user_id: req.user.id,
+      new_values: {
+        config_key: key,
+        version: version.version,
+        config_value: value,
+        effective_from: version.effective_from,
+        change_reason
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${key} version ${version.version} saved`,
+      data: {
+        version
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 /**
  * Contract routes - Flow 3
- * Handles contract upload, approval, and email notifications
+ * Handles contract upload, generation from templates and document storage,
+ * approval, integrity checks and email notifications
  */
 
 const express = require('express');
@@ -8,10 +9,53 @@ const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const axios = require('axios');
-const { supabase } = require('../config/supabase');
+const {
+  auditRepository,
+  configurationRepository,
+  contractRepository,
+  paymentRepository,
+  procurementRepository,
+  userRepository
+} = require('../repositories');
+const { company } = require('../config/company');
+const { storage: documentStorage, backend: storageBackend } = require('../config/documentStorage');
+const {
+  sha256,
+  isPdf,
+  documentFileName,
+  documentStorageKey,
+  documentIntegrity
+} = require('../services/contractDocument');
+const {
+  CONTRACT_STATUSES,
+  DECISIONS,
+  DISPATCHABLE_STATUSES,
+  requiredApprovalLevels,
+  approvalProgress
+} = require('../services/contractApproval');
+const {
+  TEMPLATE_FIELDS,
+  PAYMENT_FIELDS,
+  contractTemplateData,
+  validateTemplate,
+  renderTemplate,
+  buildContractPdf,
+  selectTemplate,
+  generatedFileName
+} = require('../services/contractTemplate');
+const {
+  LOG_ACTIONS,
+  MAX_EXPORT_ROWS,
+  describeFilters,
+  buildLogCsv,
+  buildLogWorkbook,
+  logExportFileName
+} = require('../services/contractLog');
+const { toDateString } = require('../services/businessDays');
+const { XLSX_CONTENT_TYPE } = require('../services/xlsx');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateBody, validateQuery } = require('../middleware/validation');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -26,7 +70,9 @@ const upload = multer({
     if (file.mimetype === 'application/pdf') {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      const error = new Error('Only PDF files are allowed');
+      error.statusCode = 400;
+      cb(error, false);
     }
   }
 });
@@ -40,6 +86,78 @@ const approveSchema = Joi.object({
   contract_id: Joi.string().uuid().required()
 });
 
+const uploadSchema = Joi.object({
+  indent_number: Joi.string().trim().required(),
+  notes: Joi.string().trim().max(500).allow('', null)
+});
+
+const paramSchema = Joi.object({
+  id: Joi.string().uuid().required()
+});
+
+// Without template_id the active template for the indent's buyer type is used
+const generateSchema = Joi.object({
+  indent_number: Joi.string().trim().required(),
+  template_id: Joi.string().uuid().optional(),
+  notes: Joi.string().trim().max(500).allow('', null)
+});
+
+// body previews a template that has not been saved yet
+const previewSchema = Joi.object({
+  indent_number: Joi.string().trim().required(),
+  template_id: Joi.string().uuid().optional(),
+  body: Joi.string().max(100000).optional()
+}).oxor('template_id', 'body');
+
+const contractTemplateSchema = Joi.object({
+  template_name: Joi.string().trim().min(3).max(100).required(),
+  buyer_type: Joi.string().trim().uppercase().max(50).empty('').allow(null).default(null),
+  body: Joi.string().max(100000).required()
+});
+
+const contractTemplateUpdateSchema = Joi.object({
+  template_name: Joi.string().trim().min(3).max(100).optional(),
+  buyer_type: Joi.string().trim().uppercase().max(50).empty('').allow(null).optional(),
+  body: Joi.string().max(100000).optional(),
+  is_active: Joi.boolean().optional()
+}).min(1);
+
+const documentParamSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  documentId: Joi.string().uuid().required()
+});
+
+const listSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(CONTRACT_STATUSES)).default(CONTRACT_STATUSES.PENDING)
+});
+
+// document_id is the revision the admin reviewed, so a decision never lands
+// on a version uploaded while they were reading the previous one
+const approveContractSchema = Joi.object({
+  document_id: Joi.string().uuid().required(),
+  reason: Joi.string().trim().max(1000).allow('', null)
+});
+
+const rejectContractSchema = Joi.object({
+  document_id: Joi.string().uuid().required(),
+  reason: Joi.string().trim().min(3).max(1000).required()
+});
+
+// user_id=system selects the entries n8n made; from and to are whole days.
+// format=csv or format=xlsx downloads every matching entry.
+const logsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  indent_number: Joi.string().trim().max(100).optional(),
+  firm_name: Joi.string().trim().max(200).optional(),
+  action: Joi.array().items(Joi.string().valid(...Object.keys(LOG_ACTIONS))).single().optional(),
+  user_id: Joi.alternatives().try(Joi.string().uuid(), Joi.string().valid('system')).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  search: Joi.string().trim().max(200).optional(),
+  format: Joi.string().valid('json', 'csv', 'xlsx').default('json')
+});
+
 /**
  * @route   GET /api/contract/search
  * @desc    Search procurement details by indent number
@@ -51,26 +169,7 @@ router.get('/search',
   asyncHandler(async (req, res) => {
     const { indent_number } = req.query;
 
-    const { data: procurement, error } = await supabase
-      .from('procurement_dump')
-      .select(`
-        *,
-        allocation:allocation_id (
-          *,
-          branch_information:branch_id (
-            branch_name,
-            branch_code,
-            zone,
-            state,
-            branch_email_id
-          )
-        )
-      `)
-      .eq('indent_number', indent_number)
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
-      
+    const { data: procurement, error } = await procurementRepository.findLatestByIndentNumber(indent_number);
 
     if (error || !procurement) {
       return res.status(404).json({
@@ -90,25 +189,366 @@ router.get('/search',
 
 /**
  * @route   POST /api/contract/upload
- * @desc    DEPRECATED: Upload contract PDF file (now handled by n8n)
- * @access  Deprecated
+ * @desc    Upload the contract PDF of an indent; uploading again adds a revision
+ * @access  Private (Admin, Trader)
  */
-router.post('/upload', (req, res) => {
-  return res.status(410).json({
-    success: false,
-    message: 'This endpoint is deprecated. Please upload contracts via the n8n workflow.'
-  });
-});
+router.post('/upload',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  upload.single('contract'),
+  validateBody(uploadSchema),
+  asyncHandler(async (req, res) => {
+    const { indent_number, notes } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contract PDF file is required'
+      });
+    }
+
+    if (!isPdf(req.file.buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file is not a PDF document'
+      });
+    }
+
+    const { data: procurement, error: procurementError } = await procurementRepository.findLatestByIndentNumber(indent_number);
+
+    if (procurementError || !procurement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Procurement details not found for the given indent number'
+      });
+    }
+
+    // Multer reads the file name as latin1, but browsers send it in UTF-8
+    const originalName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+
+    const { data: recorded, error } = await recordContractDocument({
+      procurement,
+      content: req.file.buffer,
+      fileName: documentFileName(originalName, `${indent_number}_PurchaseContract`),
+      notes,
+      templateId: null,
+      user: req.user
+    });
+
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Contract uploaded as version ${recorded.document.version}`,
+      data: recorded
+    });
+  })
+);
+
+/**
+ * @route   POST /api/contract/generate/preview
+ * @desc    Generate the contract PDF of an indent from a template without
+ *          recording it, to check it before it goes for approval
+ * @access  Private (Admin, Trader)
+ */
+router.post('/generate/preview',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateBody(previewSchema),
+  asyncHandler(async (req, res) => {
+    const { indent_number, template_id, body } = req.body;
+
+    if (body !== undefined) {
+      const errors = validateTemplate(body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+    }
+
+    const { data: generated, error } = await generateContract(indent_number, {
+      templateId: template_id,
+      body,
+      activeOnly: false
+    });
+
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${generated.fileName}"`,
+      'Content-Length': generated.content.length
+    });
+    res.send(generated.content);
+  })
+);
+
+/**
+ * @route   POST /api/contract/generate
+ * @desc    Generate the contract PDF of an indent from a template and record
+ *          it as the indent's next revision, like an upload
+ * @access  Private (Admin, Trader)
+ */
+router.post('/generate',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateBody(generateSchema),
+  asyncHandler(async (req, res) => {
+    const { indent_number, template_id, notes } = req.body;
+
+    const { data: generated, error: generateError } = await generateContract(indent_number, {
+      templateId: template_id,
+      activeOnly: true
+    });
+
+    if (generateError) {
+      return res.status(generateError.statusCode).json({
+        success: false,
+        message: generateError.message
+      });
+    }
+
+    const { data: recorded, error } = await recordContractDocument({
+      procurement: generated.procurement,
+      content: generated.content,
+      fileName: generated.fileName,
+      notes: notes || `Generated from ${generated.template.template_name}`,
+      templateId: generated.template.id,
+      user: req.user
+    });
+
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.details
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Contract generated as version ${recorded.document.version}`,
+      data: {
+        ...recorded,
+        template: generated.template
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/contract/templates
+ * @desc    List contract templates with the values they can use
+ * @access  Private (Admin, Trader)
+ */
+router.get('/templates',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  asyncHandler(async (req, res) => {
+    const { data: templates, error } = await contractRepository.listTemplates();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch contract templates',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        fields: {
+          contract: TEMPLATE_FIELDS,
+          payment: PAYMENT_FIELDS
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/contract/templates
+ * @desc    Add a contract template for a buyer type, or for every buyer type
+ *          when none is given
+ * @access  Private (Admin only)
+ */
+router.post('/templates',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(contractTemplateSchema),
+  asyncHandler(async (req, res) => {
+    const errors = validateTemplate(req.body.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const { data: existing } = await contractRepository.findTemplateByName(req.body.template_name);
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `A template named ${req.body.template_name} already exists`
+      });
+    }
+
+    const { error: clashError } = await checkActiveTemplate(req.body.buyer_type, null);
+
+    if (clashError) {
+      return res.status(clashError.statusCode).json({
+        success: false,
+        message: clashError.message
+      });
+    }
+
+    const { data: template, error } = await contractRepository.createTemplate({
+      ...req.body,
+      is_active: true,
+      created_by: req.user.id
+    });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create contract template',
+        error: error.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'contract_templates',
+      record_id: template.id,
+      action: 'CONTRACT_TEMPLATE_CREATED',
+      user_id: req.user.id,
+      new_values: template
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Contract template created',
+      data: {
+        template
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/contract/templates/:id
+ * @desc    Change or deactivate a contract template. Contracts already
+ *          generated with it keep their PDF.
+ * @access  Private (Admin only)
+ */
+router.put('/templates/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(contractTemplateUpdateSchema),
+  asyncHandler(async (req, res) => {
+    const { data: existing, error: findError } = await contractRepository.findTemplateById(req.params.id);
+
+    if (findError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract template not found'
+      });
+    }
+
+    const merged = { ...existing, ...req.body };
+    const errors = validateTemplate(merged.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (req.body.template_name && req.body.template_name !== existing.template_name) {
+      const { data: sameName } = await contractRepository.findTemplateByName(req.body.template_name);
+
+      if (sameName) {
+        return res.status(409).json({
+          success: false,
+          message: `A template named ${req.body.template_name} already exists`
+        });
+      }
+    }
+
+    if (merged.is_active) {
+      const { error: clashError } = await checkActiveTemplate(merged.buyer_type, existing.id);
+
+      if (clashError) {
+        return res.status(clashError.statusCode).json({
+          success: false,
+          message: clashError.message
+        });
+      }
+    }
+
+    const { data: template, error } = await contractRepository.updateTemplate(req.params.id, {
+      ...req.body,
+      updated_at: new Date().toISOString()
+    });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update contract template',
+        error: error.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'contract_templates',
+      record_id: template.id,
+      action: 'CONTRACT_TEMPLATE_UPDATED',
+      user_id: req.user.id,
+      old_values: existing,
+      new_values: req.body
+    });
+
+    res.json({
+      success: true,
+      message: 'Contract template updated',
+      data: {
+        template
+      }
+    });
+  })
+);
 
 /**
  * @route   POST /api/contract/approve-send
- * @desc    DEPRECATED: Approve contract and send via email (now handled by n8n)
+ * @desc    DEPRECATED: Approve contract and send via email (replaced by POST /api/contract/:id/approve)
  * @access  Deprecated
  */
 router.post('/approve-send', (req, res) => {
   return res.status(410).json({
     success: false,
-    message: 'This endpoint is deprecated. Please approve contracts via the n8n workflow.'
+    message: 'This endpoint is deprecated. Please approve contracts with POST /api/contract/:id/approve.'
   });
 });
 
@@ -121,18 +561,7 @@ router.get('/pending',
   authenticateToken,
   authorizeRoles('admin'),
   asyncHandler(async (req, res) => {
-    const { data: contracts, error } = await supabase
-      .from('purchase_contract_table')
-      .select(`
-        *,
-        uploaded_user:uploaded_by (
-          first_name,
-          last_name,
-          email
-        )
-      `)
-      .eq('status', 'pending')
-      .order('uploaded_at', { ascending: false });
+    const { data: pending, error } = await contractRepository.listPending();
 
     if (error) {
       return res.status(500).json({
@@ -142,6 +571,17 @@ router.get('/pending',
       });
     }
 
+    const { data: withApproval, error: approvalError } = await withApprovals(pending);
+
+    if (approvalError) {
+      return res.status(approvalError.statusCode).json({
+        success: false,
+        message: approvalError.message
+      });
+    }
+
+    const contracts = await withIntegrity(withApproval);
+
     res.json({
       success: true,
       data: {
@@ -154,34 +594,32 @@ router.get('/pending',
 
 /**
  * @route   GET /api/contract/logs
- * @desc    Get contract logs (audit trail)
+ * @desc    Get contract logs (audit trail) matching the filters, with
+ *          whether each contract's stored document is still the one
+ *          approved. format=csv or format=xlsx downloads every matching entry.
  * @access  Private (Admin only)
  */
-router.get('/logs', 
+router.get('/logs',
   authenticateToken,
   authorizeRoles('admin'),
+  validateQuery(logsSchema),
   asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    const { data: logs, error, count } = await supabase
-      .from('contract_logs')
-      .select(`
-        *,
-        purchase_contract_table:contract_id (
-          indent_number,
-          firm_name,
-          status
-        ),
-        users:user_id (
-          first_name,
-          last_name,
-          email
-        )
-      `, { count: 'exact' })
-      .order('timestamp', { ascending: false })
-      .range(offset, offset + limit - 1);
+    const { page, limit, format } = req.query;
+    const { data: filters, error: filtersError } = logFilters(req.query);
+
+    if (filtersError) {
+      return res.status(filtersError.statusCode).json({
+        success: false,
+        message: filtersError.message
+      });
+    }
+
+    const exporting = format !== 'json';
+    const { data: logs, error, count } = await contractRepository.listLogs({
+      offset: exporting ? 0 : (page - 1) * limit,
+      limit: exporting ? MAX_EXPORT_ROWS : limit,
+      filters
+    });
 
     if (error) {
       return res.status(500).json({
@@ -191,12 +629,49 @@ router.get('/logs',
       });
     }
 
+    if (exporting) {
+      if (count > MAX_EXPORT_ROWS) {
+        return res.status(422).json({
+          success: false,
+          message: `${count} entries match; narrow the filters to at most ${MAX_EXPORT_ROWS} to export them`
+        });
+      }
+
+      const { data: user } = filters.userId ? await userRepository.findById(filters.userId) : { data: null };
+      const generatedAt = new Date();
+      const content = format === 'csv'
+        ? buildLogCsv(logs)
+        : buildLogWorkbook(logs, { description: describeFilters(req.query, user), company, generatedAt });
+
+      res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : XLSX_CONTENT_TYPE,
+        'Content-Disposition': `attachment; filename="${logExportFileName(format, generatedAt)}"`,
+        'Content-Length': content.length
+      });
+      return res.send(content);
+    }
+
+    const contractIds = [...new Set(logs.map(log => log.contract_id).filter(Boolean))];
+    const { data: contracts, error: contractsError } = contractIds.length > 0
+      ? await contractRepository.listByIds(contractIds)
+      : { data: [], error: null };
+
+    if (contractsError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch contract logs',
+        error: contractsError.message
+      });
+    }
+
+    const integrity = new Map((await withIntegrity(contracts)).map(contract => [contract.id, contract.integrity]));
+
     const totalPages = Math.ceil(count / limit);
 
     res.json({
       success: true,
       data: {
-        logs,
+        logs: logs.map(log => ({ ...log, integrity: integrity.get(log.contract_id) || null })),
         pagination: {
           current_page: page,
           total_pages: totalPages,
@@ -210,4 +685,1074 @@ router.get('/logs',
   })
 );
 
+/**
+ * @route   GET /api/contract/logs/filters
+ * @desc    Actions and users contract logs can be filtered by
+ * @access  Private (Admin only)
+ */
+router.get('/logs/filters',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const { data: users, error } = await userRepository.listByRoles(['admin', 'trader']);
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch users',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        actions: Object.entries(LOG_ACTIONS).map(([value, label]) => ({ value, label })),
+        users: users.map(({ id, first_name, last_name, email }) => ({ id, first_name, last_name, email }))
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/contract
+ * @desc    List contracts in a status with where each is in its sign-off
+ *          and whether its stored document is still the one approved
+ * @access  Private (Admin only)
+ */
+router.get('/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(listSchema),
+  asyncHandler(async (req, res) => {
+    const { data: listed, error } = await contractRepository.listByStatus(req.query.status);
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch contracts',
+        error: error.message
+      });
+    }
+
+    const { data: withApproval, error: approvalError } = await withApprovals(listed);
+
+    if (approvalError) {
+      return res.status(approvalError.statusCode).json({
+        success: false,
+        message: approvalError.message
+      });
+    }
+
+    const contracts = await withIntegrity(withApproval);
+
+    res.json({
+      success: true,
+      data: {
+        contracts,
+        count: contracts.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/contract/:id/approve
+ * @desc    Sign off the next approval level of a contract's current revision;
+ *          the final sign-off hands the contract to n8n for sending
+ * @access  Private (Admin only)
+ */
+router.post('/:id/approve',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(approveContractSchema),
+  asyncHandler(async (req, res) => {
+    const { data: decided, error } = await reviewContract(
+      req.params.id,
+      req.body.document_id,
+      DECISIONS.APPROVED,
+      req.body.reason || null,
+      req.user.id
+    );
+
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { approval, contract } = decided;
+
+    if (contract.status !== CONTRACT_STATUSES.APPROVED) {
+      return res.json({
+        success: true,
+        message: `${approval.level_name} sign-off recorded; the contract needs further approval`,
+        data: decided
+      });
+    }
+
+    const { data: dispatch } = await dispatchContract(contract, req.user.id);
+
+    res.json({
+      success: true,
+      message: dispatch.dispatched
+        ? 'Contract approved and sent for dispatch'
+        : `Contract approved, but could not be sent for dispatch: ${dispatch.message}`,
+      data: {
+        ...decided,
+        dispatch
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/contract/:id/reject
+ * @desc    Reject a contract; uploading for the indent again starts a new contract
+ * @access  Private (Admin only)
+ */
+router.post('/:id/reject',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(rejectContractSchema),
+  asyncHandler(async (req, res) => {
+    const { data: decided, error } = await reviewContract(
+      req.params.id,
+      req.body.document_id,
+      DECISIONS.REJECTED,
+      req.body.reason,
+      req.user.id
+    );
+
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Contract rejected',
+      data: decided
+    });
+  })
+);
+
+/**
+ * @route   POST /api/contract/:id/request-changes
+ * @desc    Send a contract back to be revised; a new upload puts it back for approval
+ * @access  Private (Admin only)
+ */
+router.post('/:id/request-changes',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(rejectContractSchema),
+  asyncHandler(async (req, res) => {
+    const { data: decided, error } = await reviewContract(
+      req.params.id,
+      req.body.document_id,
+      DECISIONS.CHANGES_REQUESTED,
+      req.body.reason,
+      req.user.id
+    );
+
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Changes requested on the contract',
+      data: decided
+    });
+  })
+);
+
+/**
+ * @route   POST /api/contract/:id/dispatch
+ * @desc    Hand an approved contract to n8n for sending again, e.g. after
+ *          the previous dispatch or email failed
+ * @access  Private (Admin only)
+ */
+router.post('/:id/dispatch',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { data: contract, error } = await contractRepository.findById(req.params.id);
+
+    if (error || !contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    if (!DISPATCHABLE_STATUSES.includes(contract.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Only approved contracts are sent; this contract is ${contract.status}`
+      });
+    }
+
+    const { data: dispatch } = await dispatchContract(contract, req.user.id);
+
+    res.status(dispatch.dispatched ? 200 : 502).json({
+      success: dispatch.dispatched,
+      message: dispatch.dispatched
+        ? 'Contract sent for dispatch'
+        : `Contract could not be sent for dispatch: ${dispatch.message}`,
+      data: {
+        dispatch
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/contract/:id/logs
+ * @desc    Timeline of a contract: every log entry, oldest first, with its
+ *          revisions and the integrity of its stored document
+ * @access  Private (Admin only)
+ */
+router.get('/:id/logs',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { data: contract, error } = await contractRepository.findById(req.params.id);
+
+    if (error || !contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    const [
+      { data: logs, error: logsError },
+      { data: documents, error: documentsError }
+    ] = await Promise.all([
+      contractRepository.listLogs({ offset: 0, limit: MAX_EXPORT_ROWS, filters: { contractId: contract.id }, ascending: true }),
+      contractRepository.listDocuments(contract.id)
+    ]);
+
+    if (logsError || documentsError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch contract timeline',
+        error: (logsError || documentsError).message
+      });
+    }
+
+    const [checked] = await withIntegrity([contract]);
+
+    res.json({
+      success: true,
+      data: {
+        contract: checked,
+        documents,
+        logs
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/contract/:id/verify
+ * @desc    Check a copy of a contract, e.g. the one the firm signed, against
+ *          the fingerprint of the approved document
+ * @access  Private (Admin, Trader)
+ */
+router.post('/:id/verify',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateParams(paramSchema),
+  upload.single('contract'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contract PDF file is required'
+      });
+    }
+
+    const { data: contract, error } = await contractRepository.findById(req.params.id);
+
+    if (error || !contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    if (!contract.approved_checksum_sha256) {
+      return res.status(409).json({
+        success: false,
+        message: 'The contract has not been approved, so there is no approved document to check against'
+      });
+    }
+
+    const { data: documents, error: documentsError } = await contractRepository.listDocuments(contract.id);
+
+    if (documentsError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch contract documents',
+        error: documentsError.message
+      });
+    }
+
+    const checksum = sha256(req.file.buffer);
+    const matches = checksum === contract.approved_checksum_sha256;
+    const approvedDocument = documents.find(document => document.id === contract.approved_document_id);
+    const matchedDocument = documents.find(document => document.checksum_sha256 === checksum) || null;
+
+    // Multer reads the file name as latin1, but browsers send it in UTF-8
+    const fileName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+    let message = `${fileName} matches approved version ${approvedDocument.version}`;
+    if (!matches) {
+      message = `${fileName} does not match approved version ${approvedDocument.version}` +
+        (matchedDocument ? `; it is version ${matchedDocument.version}` : ' or any uploaded version');
+    }
+
+    await contractRepository.addLog({
+      contract_id: contract.id,
+      user_id: req.user.id,
+      action: matches ? 'verified' : 'verification_failed',
+      notes: `${message} (SHA-256 ${checksum.slice(0, 12)})`
+    });
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        matches,
+        checksum_sha256: checksum,
+        approved_checksum_sha256: contract.approved_checksum_sha256,
+        approved_document: { id: approvedDocument.id, version: approvedDocument.version },
+        matched_document: matchedDocument && { id: matchedDocument.id, version: matchedDocument.version }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/contract/:id
+ * @desc    Get a contract with every uploaded revision and the integrity of
+ *          its stored document
+ * @access  Private (Admin, Trader)
+ */
+router.get('/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { data: contract, error } = await contractRepository.findById(req.params.id);
+
+    if (error || !contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    const { data: documents, error: documentsError } = await contractRepository.listDocuments(contract.id);
+
+    if (documentsError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch contract documents',
+        error: documentsError.message
+      });
+    }
+
+    const [
+      { data: withApproval, error: approvalError },
+      { data: decisions, error: decisionsError }
+    ] = await Promise.all([
+      withApprovals([contract]),
+      documents.length > 0
+        ? contractRepository.listApprovals(documents.map(document => document.id))
+        : { data: [], error: null }
+    ]);
+
+    if (approvalError || decisionsError) {
+      return res.status(approvalError?.statusCode || 500).json({
+        success: false,
+        message: approvalError?.message || 'Failed to fetch contract approvals',
+        error: decisionsError?.message
+      });
+    }
+
+    const [checked] = await withIntegrity(withApproval);
+
+    res.json({
+      success: true,
+      data: {
+        contract: checked,
+        documents,
+        decisions
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/contract/:id/document
+ * @desc    Download the current revision of a contract's PDF
+ * @access  Private (Admin, Trader)
+ */
+router.get('/:id/document',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { data: contract, error } = await contractRepository.findById(req.params.id);
+
+    if (error || !contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    if (!contract.current_document) {
+      return res.status(404).json({
+        success: false,
+        message: 'No document has been uploaded for this contract'
+      });
+    }
+
+    await sendDocument(res, contract.current_document);
+  })
+);
+
+/**
+ * @route   GET /api/contract/:id/documents/:documentId
+ * @desc    Download a given revision of a contract's PDF
+ * @access  Private (Admin, Trader)
+ */
+router.get('/:id/documents/:documentId',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateParams(documentParamSchema),
+  asyncHandler(async (req, res) => {
+    const { data: document, error } = await contractRepository.findDocument(req.params.id, req.params.documentId);
+
+    if (error || !document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract document not found'
+      });
+    }
+
+    await sendDocument(res, document);
+  })
+);
+
+/**
+ * Helper function to work out the approval levels of a contract's current
+ * revision: those fixed on it at its first decision, otherwise the levels
+ * the effective CONTRACT_APPROVAL_LEVELS give for the contract value
+ * @param {Object} contract - purchase_contract_table row with current_document and procurement_dump
+ * @param {Object|null} config - Effective CONTRACT_APPROVAL_LEVELS value
+ * @returns {Promise<{ data: { levels: Object[], contract_value: number }|null, error: { message: string, statusCode: number }|null }>}
+ */
+async function approvalLevels(contract, config) {
+  const document = contract.current_document;
+
+  if (document.approval_levels) {
+    return {
+      data: { levels: document.approval_levels, contract_value: document.contract_value },
+      error: null
+    };
+  }
+
+  if (!config) {
+    return {
+      data: null,
+      error: { message: 'No effective trading configuration for CONTRACT_APPROVAL_LEVELS', statusCode: 422 }
+    };
+  }
+
+  // Contracts uploaded through n8n were not linked to their procurement
+  let contractValue = contract.procurement_dump?.total_amount;
+  if (contractValue === undefined) {
+    const { data: procurement } = await procurementRepository.findLatestByIndentNumber(contract.indent_number);
+    contractValue = procurement?.total_amount;
+  }
+
+  if (contractValue === undefined || contractValue === null) {
+    return {
+      data: null,
+      error: { message: `No procurement total for indent ${contract.indent_number} to choose approval levels by`, statusCode: 422 }
+    };
+  }
+
+  return {
+    data: { levels: requiredApprovalLevels(config, contractValue), contract_value: contractValue },
+    error: null
+  };
+}
+
+/**
+ * Helper function to add where each contract's current revision is in its
+ * sign-off: the levels it needs, the decisions on it so far and the next level
+ * @param {Object[]} contracts - purchase_contract_table rows with current_document and procurement_dump
+ * @returns {Promise<{ data: Object[]|null, error: { message: string, statusCode: number }|null }>}
+ */
+async function withApprovals(contracts) {
+  const documentIds = contracts
+    .filter(contract => contract.current_document)
+    .map(contract => contract.current_document.id);
+
+  if (documentIds.length === 0) {
+    return { data: contracts.map(contract => ({ ...contract, approval: null })), error: null };
+  }
+
+  const [
+    { data: configs, error: configError },
+    { data: decisions, error: decisionsError }
+  ] = await Promise.all([
+    configurationRepository.findEffective(['CONTRACT_APPROVAL_LEVELS']),
+    contractRepository.listApprovals(documentIds)
+  ]);
+
+  if (configError || decisionsError) {
+    return { data: null, error: { message: 'Failed to fetch contract approvals', statusCode: 500 } };
+  }
+
+  const config = configs[0]?.config_value || null;
+  const withApproval = [];
+
+  for (const contract of contracts) {
+    if (!contract.current_document) {
+      withApproval.push({ ...contract, approval: null });
+      continue;
+    }
+
+    const { data: levels, error } = await approvalLevels(contract, config);
+    if (error) {
+      return { data: null, error };
+    }
+
+    const documentDecisions = decisions.filter(decision => decision.document_id === contract.current_document.id);
+    withApproval.push({
+      ...contract,
+      approval: {
+        ...levels,
+        ...approvalProgress(levels.levels, documentDecisions),
+        decisions: documentDecisions
+      }
+    });
+  }
+
+  return { data: withApproval, error: null };
+}
+
+/**
+ * Helper function to record an admin's decision on the current revision of
+ * a pending contract. The uploader is the maker: each level needs a
+ * different admin who did not upload the revision. A revision whose stored
+ * file has changed since it was uploaded cannot be approved.
+ * @param {string} contractId - Contract ID
+ * @param {string} documentId - Revision the admin reviewed
+ * @param {string} decision - approved, rejected or changes_requested
+ * @param {string|null} reason - Required to reject or request changes
+ * @param {string} userId - Deciding admin
+ * @returns {Promise<{ data: { contract: Object, document: Object, approval: Object }|null, error: { message: string, statusCode: number }|null }>}
+ */
+async function reviewContract(contractId, documentId, decision, reason, userId) {
+  const { data: contract } = await contractRepository.findById(contractId);
+
+  if (!contract) {
+    return { data: null, error: { message: 'Contract not found', statusCode: 404 } };
+  }
+
+  if (contract.status !== CONTRACT_STATUSES.PENDING) {
+    return {
+      data: null,
+      error: { message: `The contract is ${contract.status}, not awaiting approval`, statusCode: 409 }
+    };
+  }
+
+  if (!contract.current_document) {
+    return {
+      data: null,
+      error: { message: 'The contract PDF must be uploaded again before it can be reviewed', statusCode: 409 }
+    };
+  }
+
+  if (contract.current_document.id !== documentId) {
+    return {
+      data: null,
+      error: { message: 'A newer version of the contract has been uploaded; review it instead', statusCode: 409 }
+    };
+  }
+
+  if (contract.current_document.uploaded_by === userId) {
+    return {
+      data: null,
+      error: { message: 'The user who uploaded the contract cannot review it', statusCode: 403 }
+    };
+  }
+
+  const { data: reviewed, error: approvalError } = await withApprovals([contract]);
+
+  if (approvalError) {
+    return { data: null, error: approvalError };
+  }
+
+  const { approval } = reviewed[0];
+  if (decision === DECISIONS.APPROVED && approval.decisions.some(existing =>
+    existing.decision === DECISIONS.APPROVED && existing.decided_by === userId)) {
+    return {
+      data: null,
+      error: { message: 'You have already signed off this version; the next level needs a different admin', statusCode: 403 }
+    };
+  }
+
+  // The admin signs off the file as stored, which must be the one uploaded
+  const document = contract.current_document;
+  const { data: checksum, error: storageError } = await storedChecksum(document);
+
+  if (storageError) {
+    return { data: null, error: storageError };
+  }
+
+  if (decision === DECISIONS.APPROVED && checksum !== document.checksum_sha256) {
+    const message = checksum
+      ? `The stored file of version ${document.version} no longer matches the uploaded one`
+      : `The stored file of version ${document.version} is missing`;
+
+    await contractRepository.addLog({
+      contract_id: contractId,
+      user_id: userId,
+      action: 'integrity_failed',
+      notes: `${message}; not approved`
+    });
+
+    return {
+      data: null,
+      error: { message: `${message}; upload the contract again`, statusCode: 409 }
+    };
+  }
+
+  const { data: decided, error } = await contractRepository.decide({
+    contractId,
+    documentId,
+    decision,
+    levels: approval.levels,
+    contractValue: approval.contract_value,
+    reason,
+    checksum,
+    userId
+  });
+
+  if (error) {
+    // P0001 is raised by the function itself, when another admin decided first
+    return {
+      data: null,
+      error: {
+        message: error.code === 'P0001' ? error.message : 'Failed to record the decision on the contract',
+        statusCode: error.code === 'P0001' ? 409 : 500
+      }
+    };
+  }
+
+  return { data: decided, error: null };
+}
+
+/**
+ * Helper function to hand an approved contract to n8n, which emails its
+ * current revision to the branch and reports back on contract-sent-status.
+ * The PDF goes with the request, so n8n needs no access to document storage;
+ * it is only sent while its fingerprint is the approved one. Each attempt is
+ * logged.
+ * @param {Object} contract - purchase_contract_table row, approved
+ * @param {string} userId - Admin dispatching the contract
+ * @returns {Promise<{ data: { dispatched: boolean, message: string|null }, error: null }>}
+ */
+async function dispatchContract(contract, userId) {
+  const { data: document } = await contractRepository.findDocument(contract.id, contract.current_document_id);
+  let message = null;
+
+  try {
+    const [content, { data: procurement }, { data: decisions }] = await Promise.all([
+      documentStorage.get(document.storage_key),
+      procurementRepository.findLatestByIndentNumber(contract.indent_number),
+      contractRepository.listApprovals([document.id])
+    ]);
+
+    if (sha256(content) !== contract.approved_checksum_sha256) {
+      throw new Error(`the stored file of version ${document.version} no longer matches the approved document`);
+    }
+
+    const webhookUrl = `${process.env.N8N_BASE_URL}${process.env.N8N_CONTRACT_APPROVE_SEND_WEBHOOK}`;
+
+    await axios.post(webhookUrl, {
+      contract_id: contract.id,
+      indent_number: contract.indent_number,
+      firm_name: contract.firm_name,
+      branch_name: contract.branch_name,
+      branch_email: procurement?.allocation?.branch_information?.branch_email_id || null,
+      approved_at: contract.approved_at,
+      approvals: decisions
+        .filter(decision => decision.decision === DECISIONS.APPROVED)
+        .map(decision => ({
+          level: decision.level,
+          level_name: decision.level_name,
+          approved_by: decision.decided_user,
+          approved_at: decision.decided_at
+        })),
+      document: {
+        id: document.id,
+        version: document.version,
+        file_name: document.file_name,
+        content_type: document.content_type,
+        checksum_sha256: document.checksum_sha256,
+        content_base64: content.toString('base64')
+      }
+    }, {
+      maxBodyLength: Infinity
+    });
+  } catch (dispatchError) {
+    console.error('Contract dispatch failed:', dispatchError.message);
+    message = dispatchError.message;
+  }
+
+  if (!message) {
+    await contractRepository.update(contract.id, {
+      dispatched_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  await contractRepository.addLog({
+    contract_id: contract.id,
+    user_id: userId,
+    action: message ? 'dispatch_failed' : 'dispatched',
+    notes: message
+      ? `Version ${document.version} could not be handed to n8n: ${message}`
+      : `Version ${document.version} handed to n8n for sending`
+  });
+
+  return { data: { dispatched: !message, message }, error: null };
+}
+
+/**
+ * Helper function to store a contract PDF and record it as the next revision
+ * of the indent's contract, then tell n8n. The stored file is removed again
+ * when the revision cannot be recorded.
+ * @param {Object} params
+ * @param {Object} params.procurement - procurement_dump row with its allocation
+ * @param {Buffer} params.content - PDF
+ * @param {string} params.fileName
+ * @param {string|null} params.notes
+ * @param {string|null} params.templateId - Template a generated PDF was made from
+ * @param {Object} params.user - Uploading user
+ * @returns {Promise<{ data: { contract: Object, document: Object }|null, error: { message: string, details: string, statusCode: number }|null }>}
+ */
+async function recordContractDocument({ procurement, content, fileName, notes, templateId, user }) {
+  const documentId = uuidv4();
+  const document = {
+    id: documentId,
+    file_name: fileName,
+    content_type: 'application/pdf',
+    size_bytes: content.length,
+    checksum_sha256: sha256(content),
+    storage_backend: storageBackend,
+    storage_key: documentStorageKey(procurement.indent_number, documentId),
+    notes: notes || null,
+    template_id: templateId
+  };
+
+  try {
+    await documentStorage.put(document.storage_key, content, document.content_type);
+  } catch (storageError) {
+    console.error('Contract document storage failed:', storageError);
+    return {
+      data: null,
+      error: { message: 'Failed to store contract document', details: storageError.message, statusCode: 500 }
+    };
+  }
+
+  const { data: recorded, error } = await contractRepository.addDocument({
+    indentNumber: procurement.indent_number,
+    procurementId: procurement.id,
+    firmName: procurement.firm_name,
+    branchName: procurement.allocation?.branch_information?.branch_name || null,
+    document,
+    userId: user.id
+  });
+
+  if (error) {
+    // Nothing refers to the stored file when the revision was not recorded
+    await documentStorage.remove(document.storage_key).catch(removeError => {
+      console.error('Failed to remove unrecorded contract document:', removeError);
+    });
+
+    // P0001 is raised by the function itself, when the contract has already been sent
+    return {
+      data: null,
+      error: {
+        message: 'Contract upload was not recorded',
+        details: error.message,
+        statusCode: error.code === 'P0001' ? 409 : 500
+      }
+    };
+  }
+
+  await notifyContractUpload(recorded.contract, recorded.document, user);
+
+  return { data: recorded, error: null };
+}
+
+/**
+ * Helper function to generate the contract PDF of an indent: with the given
+ * template, the given unsaved template body, or else the active template for
+ * the indent's buyer type
+ * @param {string} indentNumber
+ * @param {Object} options
+ * @param {string} [options.templateId]
+ * @param {string} [options.body] - Unsaved template, already validated
+ * @param {boolean} options.activeOnly - Refuse an inactive template
+ * @returns {Promise<{ data: { procurement: Object, template: Object|null, content: Buffer, fileName: string }|null, error: { message: string, statusCode: number }|null }>}
+ */
+async function generateContract(indentNumber, { templateId, body, activeOnly }) {
+  const { data: procurement, error: procurementError } = await procurementRepository.findLatestByIndentNumber(indentNumber);
+
+  if (procurementError || !procurement) {
+    return {
+      data: null,
+      error: { message: 'Procurement details not found for the given indent number', statusCode: 404 }
+    };
+  }
+
+  let template = null;
+  const buyerType = procurement.allocation?.buyer_type || null;
+
+  if (templateId) {
+    const { data: found } = await contractRepository.findTemplateById(templateId);
+    if (!found) {
+      return { data: null, error: { message: 'Contract template not found', statusCode: 404 } };
+    }
+    if (activeOnly && !found.is_active) {
+      return { data: null, error: { message: `${found.template_name} is no longer in use`, statusCode: 409 } };
+    }
+    template = found;
+  } else if (body === undefined) {
+    const { data: templates, error } = await contractRepository.listActiveTemplates();
+    if (error) {
+      return { data: null, error: { message: 'Failed to fetch contract templates', statusCode: 500 } };
+    }
+    template = selectTemplate(templates, buyerType);
+    if (!template) {
+      return {
+        data: null,
+        error: { message: `No active contract template for buyer type ${buyerType || '(none)'}`, statusCode: 422 }
+      };
+    }
+  }
+
+  const { data: payments, error: paymentsError } = await paymentRepository.listByProcurementId(procurement.id);
+
+  if (paymentsError) {
+    return { data: null, error: { message: 'Failed to fetch payment schedule', statusCode: 500 } };
+  }
+
+  const html = renderTemplate(template ? template.body : body, contractTemplateData(procurement, payments, company, new Date()));
+
+  return {
+    data: {
+      procurement,
+      template,
+      content: buildContractPdf(html, { footer: `${company.name} - purchase contract for indent ${procurement.indent_number}` }),
+      fileName: generatedFileName(procurement.indent_number)
+    },
+    error: null
+  };
+}
+
+/**
+ * Helper function to check no other active template is already used for a
+ * buyer type (or for every buyer type, when it is null)
+ * @param {string|null} buyerType
+ * @param {string|null} exceptId - Template being changed
+ * @returns {Promise<{ error: { message: string, statusCode: number }|null }>}
+ */
+async function checkActiveTemplate(buyerType, exceptId) {
+  const { data: templates, error } = await contractRepository.listActiveTemplates();
+
+  if (error) {
+    return { error: { message: 'Failed to fetch contract templates', statusCode: 500 } };
+  }
+
+  const key = (buyerType || '').toUpperCase();
+  const clash = templates.find(template => template.id !== exceptId && (template.buyer_type || '').toUpperCase() === key);
+
+  if (clash) {
+    return {
+      error: {
+        message: `${clash.template_name} is already the active template for ${buyerType ? `buyer type ${buyerType}` : 'every buyer type'}; deactivate it first`,
+        statusCode: 409
+      }
+    };
+  }
+
+  return { error: null };
+}
+
+/**
+ * Helper function to turn the contract log query into repository filters.
+ * Dates are whole days, so the range ends at the start of the day after to.
+ * @param {Object} query - Validated query of GET /api/contract/logs
+ * @returns {{ data: Object|null, error: { message: string, statusCode: number }|null }}
+ */
+function logFilters(query) {
+  const from = query.from ? toDateString(query.from) : null;
+  const to = query.to ? toDateString(query.to) : null;
+
+  if (from && to && from > to) {
+    return { data: null, error: { message: 'The period must start on or before the day it ends', statusCode: 400 } };
+  }
+
+  let userId;
+  if (query.user_id) {
+    userId = query.user_id === 'system' ? null : query.user_id;
+  }
+
+  return {
+    data: {
+      indentNumber: query.indent_number,
+      firmName: query.firm_name,
+      actions: query.action,
+      userId,
+      from: from ? `${from}T00:00:00.000Z` : undefined,
+      to: to ? new Date(Date.parse(`${to}T00:00:00.000Z`) + 24 * 60 * 60 * 1000).toISOString() : undefined,
+      search: query.search
+    },
+    error: null
+  };
+}
+
+/**
+ * Helper function to fingerprint the stored file of a contract document
+ * @param {Object} document - contract_documents row
+ * @returns {Promise<{ data: string|null, error: { message: string, statusCode: number }|null }>}
+ *   SHA-256, or null when the file is missing from storage
+ */
+async function storedChecksum(document) {
+  try {
+    return { data: sha256(await documentStorage.get(document.storage_key)), error: null };
+  } catch (storageError) {
+    if (storageError.code === 'ENOENT' || storageError.status === 404) {
+      return { data: null, error: null };
+    }
+    console.error('Contract document read failed:', storageError);
+    return { data: null, error: { message: 'Failed to read contract document', statusCode: 500 } };
+  }
+}
+
+/**
+ * Helper function to add whether each contract's stored document is still
+ * the one uploaded and approved. The files are fingerprinted again on every
+ * call, one at a time; a contract whose file cannot be read is left with
+ * integrity null.
+ * @param {Object[]} contracts - purchase_contract_table rows with current_document
+ * @returns {Promise<Object[]>}
+ */
+async function withIntegrity(contracts) {
+  const checked = [];
+
+  for (const contract of contracts) {
+    if (!contract.current_document) {
+      checked.push({ ...contract, integrity: null });
+      continue;
+    }
+
+    const { data: checksum, error } = await storedChecksum(contract.current_document);
+    checked.push({ ...contract, integrity: error ? null : documentIntegrity(contract, checksum) });
+  }
+
+  return checked;
+}
+
+/**
+ * Helper function to send a stored contract document as an inline PDF
+ * @param {Object} res - Express response
+ * @param {Object} document - contract_documents row
+ */
+async function sendDocument(res, document) {
+  let content;
+  try {
+    content = await documentStorage.get(document.storage_key);
+  } catch (storageError) {
+    const missing = storageError.code === 'ENOENT' || storageError.status === 404;
+    console.error('Contract document read failed:', storageError);
+    return res.status(missing ? 404 : 500).json({
+      success: false,
+      message: missing ? 'Contract document is missing from storage' : 'Failed to read contract document',
+      error: storageError.message
+    });
+  }
+
+  // The ASCII name is for clients that do not read filename*
+  const asciiName = document.file_name.replace(/[^\x20-\x7e]/g, '_');
+  res.set({
+    'Content-Type': document.content_type,
+    'Content-Disposition': `inline; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(document.file_name)}`,
+    'Content-Length': content.length
+  });
+  res.send(content);
+}
+
+/**
+ * Helper function to tell n8n a contract revision was uploaded, e.g. to
+ * email the admins reviewing it. The upload is already recorded, so a failed
+ * notification is only logged.
+ * @param {Object} contract - purchase_contract_table row
+ * @param {Object} document - contract_documents row
+ * @param {Object} user - Uploading user
+ */
+async function notifyContractUpload(contract, document, user) {
+  try {
+    const webhookUrl = `${process.env.N8N_BASE_URL}${process.env.N8N_CONTRACT_UPLOAD_NOTIFICATION_WEBHOOK}`;
+
+    await axios.post(webhookUrl, {
+      contract_id: contract.id,
+      indent_number: contract.indent_number,
+      firm_name: contract.firm_name,
+      branch_name: contract.branch_name,
+      status: contract.status,
+      document: {
+        id: document.id,
+        version: document.version,
+        file_name: document.file_name,
+        size_bytes: document.size_bytes,
+        checksum_sha256: document.checksum_sha256,
+        notes: document.notes,
+        uploaded_at: document.uploaded_at
+      },
+      uploaded_by: {
+        id: user.id,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        email: user.email
+      }
+    });
+  } catch (webhookError) {
+    console.error('n8n webhook failed:', webhookError.message);
+  }
+}
+
 module.exports = router;
\ No newline at end of file
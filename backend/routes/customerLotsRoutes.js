@@ -6,7 +6,15 @@
 const express = require('express');
 const Joi = require('joi');
 const axios = require('axios');
-const { supabase } = require('../config/supabase');
+const {
+  assignmentRepository,
+  auditRepository,
+  inventoryRepository,
+  salesRepository
+} = require('../repositories');
+const { company } = require('../config/company');
+const { loadHolidayCalendar, nextBusinessDay } = require('../services/businessDays');
+const { resolveStateCode } = require('../services/gst');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 const { validateBody } = require('../middleware/validation');
@@ -36,11 +44,7 @@ router.get('/lots',
 
     // If user is not a customer, find their customer record
     if (req.user.role !== 'customer') {
-      const { data: customerInfo, error: customerError } = await supabase
-        .from('customer_info')
-        .select('id')
-        .eq('email', req.user.email)
-        .single();
+      const { data: customerInfo, error: customerError } = await assignmentRepository.findCustomerByEmail(req.user.email);
 
       if (customerError || !customerInfo) {
         return res.status(404).json({
@@ -51,33 +55,20 @@ router.get('/lots',
       customerId = customerInfo.id;
     }
 
+    const { data: calendar, error: calendarError } = await loadHolidayCalendar(resolveStateCode(company));
+
+    if (calendarError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holiday calendar',
+        error: calendarError.message
+      });
+    }
+
     // Get current date to check window periods
     const currentDate = new Date().toISOString().split('T')[0];
 
-    const { data: assignments, error } = await supabase
-      .from('customer_assignment_table')
-      .select(`
-        *,
-        inventory_table:inventory_id (
-          lot_number,
-          indent_number,
-          centre_name,
-          branch,
-          variety,
-          fibre_length,
-          bid_price
-        ),
-        sales_table:sales_id (
-          total_value,
-          broker_commission
-        ),
-        assigned_user:assigned_by (
-          first_name,
-          last_name
-        )
-      `)
-      .eq('customer_id', customerId)
-      .order('assigned_at', { ascending: false });
+    const { data: assignments, error } = await assignmentRepository.listByCustomer(customerId);
 
     if (error) {
       return res.status(500).json({
@@ -93,7 +84,7 @@ router.get('/lots',
     const respondedAssignments = [];
 
     assignments.forEach(assignment => {
-      const isWithinWindow = currentDate <= assignment.window_end_date;
+      const isWithinWindow = currentDate <= windowClosesOn(assignment, calendar);
       const isPending = assignment.lot_status === 'PENDING';
 
       if (isPending && isWithinWindow) {
@@ -110,20 +101,14 @@ router.get('/lots',
       const expiredIds = expiredAssignments.map(a => a.id);
       
       // Update expired assignments
-      await supabase
-        .from('customer_assignment_table')
-        .update({
-          lot_status: 'EXPIRED',
-          responded_at: new Date().toISOString()
-        })
-        .in('id', expiredIds);
+      await assignmentRepository.updateMany(expiredIds, {
+        lot_status: 'EXPIRED',
+        responded_at: new Date().toISOString()
+      });
 
       // Update inventory status back to available
       const expiredInventoryIds = expiredAssignments.map(a => a.inventory_id);
-      await supabase
-        .from('inventory_table')
-        .update({ status: 'AVAILABLE' })
-        .in('id', expiredInventoryIds);
+      await inventoryRepository.updateStatus(expiredInventoryIds, 'AVAILABLE');
 
       // Update the expired assignments in our response
       expiredAssignments.forEach(assignment => {
@@ -170,17 +155,7 @@ router.post('/accept',
     const { assignment_id } = req.body;
 
     // Fetch assignment details
-    const { data: assignment, error: assignmentError } = await supabase
-      .from('customer_assignment_table')
-      .select(`
-        *,
-        inventory_table:inventory_id (
-          lot_number,
-          indent_number
-        )
-      `)
-      .eq('id', assignment_id)
-      .single();
+    const { data: assignment, error: assignmentError } = await assignmentRepository.findById(assignment_id);
 
     if (assignmentError || !assignment) {
       return res.status(404).json({
@@ -192,11 +167,7 @@ router.post('/accept',
     // Check if assignment belongs to the user
     let customerId = req.user.id;
     if (req.user.role !== 'customer') {
-      const { data: customerInfo } = await supabase
-        .from('customer_info')
-        .select('id')
-        .eq('email', req.user.email)
-        .single();
+      const { data: customerInfo } = await assignmentRepository.findCustomerByEmail(req.user.email);
       customerId = customerInfo?.id;
     }
 
@@ -207,9 +178,19 @@ router.post('/accept',
       });
     }
 
+    const { data: calendar, error: calendarError } = await loadHolidayCalendar(resolveStateCode(company));
+
+    if (calendarError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holiday calendar',
+        error: calendarError.message
+      });
+    }
+
     // Check if within window period
     const currentDate = new Date().toISOString().split('T')[0];
-    if (currentDate > assignment.window_end_date) {
+    if (currentDate > windowClosesOn(assignment, calendar)) {
       return res.status(400).json({
         success: false,
         message: 'Assignment window has expired'
@@ -225,40 +206,20 @@ router.post('/accept',
     }
 
     try {
-      // Update assignment status
-      const { data: updatedAssignment, error: updateError } = await supabase
-        .from('customer_assignment_table')
-        .update({
-          lot_status: 'ACCEPTED',
-          responded_by: req.user.id,
-          responded_at: new Date().toISOString()
-        })
-        .eq('id', assignment_id)
-        .select()
-        .single();
+      // Accept the assignment, mark the lot SOLD and log it in one transaction
+      const { data: updatedAssignment, error: updateError } = await assignmentRepository.respond({
+        assignmentId: assignment_id,
+        lotStatus: 'ACCEPTED',
+        inventoryStatus: 'SOLD',
+        userId: req.user.id,
+        auditAction: 'ACCEPTED',
+        expectedStatus: 'PENDING'
+      });
 
       if (updateError) {
-        throw new Error(`Failed to update assignment: ${updateError.message}`);
+        return rolledBack(res, updateError);
       }
 
-      // Update inventory status to SOLD
-      await supabase
-        .from('inventory_table')
-        .update({ status: 'SOLD', updated_at: new Date().toISOString() })
-        .eq('id', assignment.inventory_id);
-
-      // Log the acceptance
-      await supabase
-        .from('audit_log')
-        .insert({
-          table_name: 'customer_assignment_table',
-          record_id: assignment_id,
-          action: 'ACCEPTED',
-          user_id: req.user.id,
-          old_values: { lot_status: 'PENDING' },
-          new_values: { lot_status: 'ACCEPTED' }
-        });
-
       // Check if customer has accepted enough lots for the sales order
       await checkAndTriggerConfirmation(assignment.sales_id, req.user);
 
@@ -290,11 +251,7 @@ router.post('/reject',
     const { assignment_id } = req.body;
 
     // Similar validation as accept route
-    const { data: assignment, error: assignmentError } = await supabase
-      .from('customer_assignment_table')
-      .select('*')
-      .eq('id', assignment_id)
-      .single();
+    const { data: assignment, error: assignmentError } = await assignmentRepository.findById(assignment_id);
 
     if (assignmentError || !assignment) {
       return res.status(404).json({
@@ -306,11 +263,7 @@ router.post('/reject',
     // Authorization check (similar to accept)
     let customerId = req.user.id;
     if (req.user.role !== 'customer') {
-      const { data: customerInfo } = await supabase
-        .from('customer_info')
-        .select('id')
-        .eq('email', req.user.email)
-        .single();
+      const { data: customerInfo } = await assignmentRepository.findCustomerByEmail(req.user.email);
       customerId = customerInfo?.id;
     }
 
@@ -321,9 +274,19 @@ router.post('/reject',
       });
     }
 
+    const { data: calendar, error: calendarError } = await loadHolidayCalendar(resolveStateCode(company));
+
+    if (calendarError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holiday calendar',
+        error: calendarError.message
+      });
+    }
+
     // Window and status checks
     const currentDate = new Date().toISOString().split('T')[0];
-    if (currentDate > assignment.window_end_date) {
+    if (currentDate > windowClosesOn(assignment, calendar)) {
       return res.status(400).json({
         success: false,
         message: 'Assignment window has expired'
@@ -338,40 +301,20 @@ router.post('/reject',
     }
 
     try {
-      // Update assignment status
-      const { data: updatedAssignment, error: updateError } = await supabase
-        .from('customer_assignment_table')
-        .update({
-          lot_status: 'REJECTED',
-          responded_by: req.user.id,
-          responded_at: new Date().toISOString()
-        })
-        .eq('id', assignment_id)
-        .select()
-        .single();
+      // Reject the assignment, release the lot and log it in one transaction
+      const { data: updatedAssignment, error: updateError } = await assignmentRepository.respond({
+        assignmentId: assignment_id,
+        lotStatus: 'REJECTED',
+        inventoryStatus: 'AVAILABLE',
+        userId: req.user.id,
+        auditAction: 'REJECTED',
+        expectedStatus: 'PENDING'
+      });
 
       if (updateError) {
-        throw new Error(`Failed to update assignment: ${updateError.message}`);
+        return rolledBack(res, updateError);
       }
 
-      // Update inventory status back to AVAILABLE
-      await supabase
-        .from('inventory_table')
-        .update({ status: 'AVAILABLE', updated_at: new Date().toISOString() })
-        .eq('id', assignment.inventory_id);
-
-      // Log the rejection
-      await supabase
-        .from('audit_log')
-        .insert({
-          table_name: 'customer_assignment_table',
-          record_id: assignment_id,
-          action: 'REJECTED',
-          user_id: req.user.id,
-          old_values: { lot_status: 'PENDING' },
-          new_values: { lot_status: 'REJECTED' }
-        });
-
       res.json({
         success: true,
         message: 'Lot rejected successfully',
@@ -400,11 +343,7 @@ router.post('/admin/override',
   asyncHandler(async (req, res) => {
     const { assignment_id, action, notes } = req.body;
 
-    const { data: assignment, error: assignmentError } = await supabase
-      .from('customer_assignment_table')
-      .select('*')
-      .eq('id', assignment_id)
-      .single();
+    const { data: assignment, error: assignmentError } = await assignmentRepository.findById(assignment_id);
 
     if (assignmentError || !assignment) {
       return res.status(404).json({
@@ -417,40 +356,21 @@ router.post('/admin/override',
       const newStatus = action === 'accept' ? 'ACCEPTED' : 'REJECTED';
       const inventoryStatus = action === 'accept' ? 'SOLD' : 'AVAILABLE';
 
-      // Update assignment
-      const { data: updatedAssignment, error: updateError } = await supabase
-        .from('customer_assignment_table')
-        .update({
-          lot_status: newStatus,
-          responded_by: req.user.id,
-          responded_at: new Date().toISOString()
-        })
-        .eq('id', assignment_id)
-        .select()
-        .single();
+      // Update assignment and inventory and log the override in one transaction
+      const { data: updatedAssignment, error: updateError } = await assignmentRepository.respond({
+        assignmentId: assignment_id,
+        lotStatus: newStatus,
+        inventoryStatus,
+        userId: req.user.id,
+        auditAction: 'ADMIN_OVERRIDE',
+        notes,
+        adminAction: action
+      });
 
       if (updateError) {
-        throw new Error(`Failed to update assignment: ${updateError.message}`);
+        return rolledBack(res, updateError);
       }
 
-      // Update inventory
-      await supabase
-        .from('inventory_table')
-        .update({ status: inventoryStatus, updated_at: new Date().toISOString() })
-        .eq('id', assignment.inventory_id);
-
-      // Log admin override
-      await supabase
-        .from('audit_log')
-        .insert({
-          table_name: 'customer_assignment_table',
-          record_id: assignment_id,
-          action: 'ADMIN_OVERRIDE',
-          user_id: req.user.id,
-          old_values: { lot_status: assignment.lot_status },
-          new_values: { lot_status: newStatus, notes, admin_action: action }
-        });
-
       // Check for confirmation if accepted
       if (action === 'accept') {
         await checkAndTriggerConfirmation(assignment.sales_id, req.user);
@@ -473,24 +393,26 @@ router.post('/admin/override',
   })
 );
 
+/**
+ * Helper function to report a lot response that was rolled back
+ * P0001 is raised by the transaction itself, e.g. when the assignment was already answered
+ */
+function rolledBack(res, error) {
+  return res.status(error.code === 'P0001' ? 409 : 500).json({
+    success: false,
+    message: 'Lot response was not saved; all changes were rolled back',
+    error: error.message,
+    rolled_back: true
+  });
+}
+
 /**
  * Helper function to check if enough lots are accepted and trigger confirmation
  */
 async function checkAndTriggerConfirmation(salesId, user) {
   try {
     // Get sales configuration to check required quantity
-    const { data: salesInfo, error: salesError } = await supabase
-      .from('sales_table')
-      .select(`
-        *,
-        sales_configuration:sales_config_id (
-          requested_quantity,
-          customer_info:customer_id (*),
-          broker_info:broker_id (*)
-        )
-      `)
-      .eq('id', salesId)
-      .single();
+    const { data: salesInfo, error: salesError } = await salesRepository.findById(salesId);
 
     if (salesError || !salesInfo) {
       console.error('Failed to fetch sales info:', salesError);
@@ -498,11 +420,7 @@ async function checkAndTriggerConfirmation(salesId, user) {
     }
 
     // Count accepted lots for this sales order
-    const { data: acceptedLots, error: countError } = await supabase
-      .from('customer_assignment_table')
-      .select('id')
-      .eq('sales_id', salesId)
-      .eq('lot_status', 'ACCEPTED');
+    const { data: acceptedLots, error: countError } = await assignmentRepository.listBySalesAndStatus(salesId, 'ACCEPTED');
 
     if (countError) {
       console.error('Failed to count accepted lots:', countError);
@@ -527,19 +445,17 @@ async function checkAndTriggerConfirmation(salesId, user) {
       });
 
       // Log confirmation trigger
-      await supabase
-        .from('audit_log')
-        .insert({
-          table_name: 'sales_table',
-          record_id: salesId,
-          action: 'CONFIRMATION_SENT',
-          user_id: user.id,
-          new_values: {
-            accepted_lots: acceptedCount,
-            required_quantity: requiredQuantity,
-            confirmation_triggered: true
-          }
-        });
+      await auditRepository.log({
+        table_name: 'sales_table',
+        record_id: salesId,
+        action: 'CONFIRMATION_SENT',
+        user_id: user.id,
+        new_values: {
+          accepted_lots: acceptedCount,
+          required_quantity: requiredQuantity,
+          confirmation_triggered: true
+        }
+      });
     }
   } catch (error) {
     console.error('Error in checkAndTriggerConfirmation:', error);
@@ -555,9 +471,7 @@ router.get('/assignments/stats',
   authenticateToken,
   authorizeRoles('admin'),
   asyncHandler(async (req, res) => {
-    const { data: stats, error } = await supabase
-      .from('customer_assignment_table')
-      .select('lot_status')
+    const { data: stats, error } = await assignmentRepository.listStatuses()
       .then(({ data, error }) => {
         if (error) return { data: null, error };
         
@@ -587,4 +501,16 @@ router.get('/assignments/stats',
   })
 );
 
+/**
+ * Get the last day a customer can respond to an assignment. A window ending
+ * on a Sunday or bank holiday stays open until the next business day.
+ * @param {Object} assignment - customer_assignment_table row
+ * @param {Object} calendar - Holiday calendar from loadHolidayCalendar
+ */
+function windowClosesOn(assignment, calendar) {
+  return assignment.window_end_date
+    ? nextBusinessDay(assignment.window_end_date, calendar)
+    : assignment.window_end_date;
+}
+
 module.exports = router;
\ No newline at end of file
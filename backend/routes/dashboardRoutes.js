@@ -4,7 +4,22 @@
  */
 
 const express = require('express');
-const { supabase } = require('../config/supabase');
+const {
+  allocationRepository,
+  assignmentRepository,
+  auditRepository,
+  contractRepository,
+  intakeRepository,
+  inventoryRepository,
+  paymentRepository,
+  procurementRepository,
+  salesRepository
+} = require('../repositories');
+const { company } = require('../config/company');
+const { UTR_GRACE_DAYS, addBusinessDays, loadHolidayCalendar } = require('../services/businessDays');
+const { resolveStateCode } = require('../services/gst');
+const { toPaise, toRupees } = require('../services/money');
+const { summarizePayment } = require('../services/paymentBalance');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 
@@ -30,19 +45,17 @@ router.get('/overview',
         salesCount,
         customersCount
       ] = await Promise.all([
-        supabase.from('allocation').select('*', { count: 'exact', head: true }),
-        supabase.from('procurement_dump').select('*', { count: 'exact', head: true }),
-        supabase.from('payments').select('*', { count: 'exact', head: true }),
-        supabase.from('purchase_contract_table').select('*', { count: 'exact', head: true }),
-        supabase.from('inventory_table').select('*', { count: 'exact', head: true }),
-        supabase.from('sales_table').select('*', { count: 'exact', head: true }),
-        supabase.from('customer_info').select('*', { count: 'exact', head: true })
+        allocationRepository.count(),
+        procurementRepository.count(),
+        paymentRepository.count(),
+        contractRepository.count(),
+        inventoryRepository.count(),
+        salesRepository.count(),
+        assignmentRepository.countCustomers()
       ]);
 
       // Get status-wise breakdowns
-      const { data: allocationsByStatus } = await supabase
-        .from('allocation')
-        .select('allocation_status')
+      const { data: allocationsByStatus } = await allocationRepository.listSummaries()
         .then(({ data, error }) => {
           if (error) return { data: {} };
           return {
@@ -53,9 +66,7 @@ router.get('/overview',
           };
         });
 
-      const { data: paymentsByStatus } = await supabase
-        .from('payments')
-        .select('payment_status')
+      const { data: paymentsByStatus } = await paymentRepository.listSummaries()
         .then(({ data, error }) => {
           if (error) return { data: {} };
           return {
@@ -66,9 +77,7 @@ router.get('/overview',
           };
         });
 
-      const { data: inventoryByStatus } = await supabase
-        .from('inventory_table')
-        .select('status')
+      const { data: inventoryByStatus } = await inventoryRepository.listSummaries()
         .then(({ data, error }) => {
           if (error) return { data: {} };
           return {
@@ -80,33 +89,28 @@ router.get('/overview',
         });
 
       // Get recent activities
-      const { data: recentActivities } = await supabase
-        .from('audit_log')
-        .select(`
-          *,
-          users:user_id (
-            first_name,
-            last_name
-          )
-        `)
-        .order('created_at', { ascending: false })
-        .limit(10);
+      const { data: recentActivities } = await auditRepository.listRecent(10);
 
       // Calculate financial summary
-      const { data: financialSummary } = await supabase
-        .from('procurement_dump')
-        .select('total_amount, emd_amount, gst_amount')
+      const { data: financialSummary } = await procurementRepository.listTotals()
         .then(({ data, error }) => {
           if (error) return { data: { total_value: 0, total_emd: 0, total_gst: 0 } };
           
+          // Totals are added in paise so they match the sum of the stored amounts
           const summary = data.reduce((acc, item) => {
-            acc.total_value += item.total_amount || 0;
-            acc.total_emd += item.emd_amount || 0;
-            acc.total_gst += item.gst_amount || 0;
+            acc.total_value += toPaise(item.total_amount);
+            acc.total_emd += toPaise(item.emd_amount);
+            acc.total_gst += toPaise(item.gst_amount);
             return acc;
           }, { total_value: 0, total_emd: 0, total_gst: 0 });
           
-          return { data: summary };
+          return {
+            data: {
+              total_value: toRupees(summary.total_value),
+              total_emd: toRupees(summary.total_emd),
+              total_gst: toRupees(summary.total_gst)
+            }
+          };
         });
 
       res.json({
@@ -153,10 +157,7 @@ router.get('/charts',
   asyncHandler(async (req, res) => {
     try {
       // Get monthly allocation trends
-      const { data: monthlyAllocations } = await supabase
-        .from('allocation')
-        .select('created_at, bale_quantity')
-        .order('created_at', { ascending: true })
+      const { data: monthlyAllocations } = await allocationRepository.listSummaries()
         .then(({ data, error }) => {
           if (error) return { data: [] };
           
@@ -180,9 +181,7 @@ router.get('/charts',
         });
 
       // Get payment status distribution
-      const { data: paymentDistribution } = await supabase
-        .from('payments')
-        .select('payment_status, amount')
+      const { data: paymentDistribution } = await paymentRepository.listSummaries()
         .then(({ data, error }) => {
           if (error) return { data: [] };
           
@@ -192,29 +191,20 @@ router.get('/charts',
               distribution[item.payment_status] = { count: 0, amount: 0 };
             }
             distribution[item.payment_status].count += 1;
-            distribution[item.payment_status].amount += item.amount || 0;
+            distribution[item.payment_status].amount += toPaise(item.amount);
           });
           
           return {
             data: Object.entries(distribution).map(([status, values]) => ({
               status,
               count: values.count,
-              amount: values.amount
+              amount: toRupees(values.amount)
             }))
           };
         });
 
       // Get top branches by volume
-      const { data: branchPerformance } = await supabase
-        .from('allocation')
-        .select(`
-          branch_name,
-          bale_quantity,
-          branch_information:branch_id (
-            branch_name,
-            zone
-          )
-        `)
+      const { data: branchPerformance } = await allocationRepository.listSummaries()
         .then(({ data, error }) => {
           if (error) return { data: [] };
           
@@ -277,31 +267,33 @@ router.get('/alerts',
     try {
       const alerts = [];
 
-      // Check for overdue payments
-      const threeDaysAgo = new Date();
-      threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
-      
-      const { data: overduePayments } = await supabase
-        .from('payments')
-        .select('id, amount, due_date')
-        .is('utr_number', null)
-        .lt('due_date', threeDaysAgo.toISOString().split('T')[0]);
+      // Check for payments past the UTR grace period
+      const { data: calendar, error: calendarError } = await loadHolidayCalendar(resolveStateCode(company));
+
+      if (calendarError) {
+        throw new Error(`Failed to fetch holiday calendar: ${calendarError.message}`);
+      }
 
-      if (overduePayments && overduePayments.length > 0) {
+      const { data: overduePayments } = await paymentRepository.listAwaitingUtr(
+        addBusinessDays(new Date(), -UTR_GRACE_DAYS, calendar)
+      );
+
+      // Payments whose remaining amount is covered by submitted UTRs are not overdue
+      const unpaid = (overduePayments || []).filter(payment =>
+        summarizePayment(payment, payment.transactions).unclaimed > 0);
+
+      if (unpaid.length > 0) {
         alerts.push({
           type: 'warning',
           title: 'Overdue Payments',
-          message: `${overduePayments.length} payments are overdue`,
-          count: overduePayments.length,
+          message: `${unpaid.length} payments are overdue`,
+          count: unpaid.length,
           action_url: '/utr/pending'
         });
       }
 
       // Check for pending manual applications
-      const { data: manualApps } = await supabase
-        .from('manual_applications')
-        .select('id')
-        .eq('status', 'pending');
+      const { data: manualApps } = await intakeRepository.listPendingManualApplications();
 
       if (manualApps && manualApps.length > 0) {
         alerts.push({
@@ -314,10 +306,7 @@ router.get('/alerts',
       }
 
       // Check for pending contract approvals
-      const { data: pendingContracts } = await supabase
-        .from('purchase_contract_table')
-        .select('id')
-        .eq('status', 'pending');
+      const { data: pendingContracts } = await contractRepository.listPending();
 
       if (pendingContracts && pendingContracts.length > 0) {
         alerts.push({
@@ -330,21 +319,14 @@ router.get('/alerts',
       }
 
       // Check for low inventory
-      const { data: inventoryCount } = await supabase
-        .from('inventory_table')
-        .select('status')
-        .eq('status', 'AVAILABLE')
-        .then(({ data, error }) => {
-          if (error) return { data: 0 };
-          return { data: data.length };
-        });
+      const { count: availableLots } = await inventoryRepository.count('AVAILABLE');
 
-      if (inventoryCount.data < 100) {
+      if ((availableLots || 0) < 100) {
         alerts.push({
           type: 'warning',
           title: 'Low Inventory',
-          message: `Only ${inventoryCount.data} lots available`,
-          count: inventoryCount.data,
+          message: `Only ${availableLots || 0} lots available`,
+          count: availableLots || 0,
           action_url: '/sampling-entry'
         });
       }
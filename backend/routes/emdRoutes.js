@@ -0,0 +1,432 @@
+/**
+ * EMD routes
+ * Follow EMDs from held to adjusted, refunded or forfeited. A refund is
+ * requested with the firm's bank account, approved by a different admin,
+ * then marked refunded with the UTR of the transfer to the firm.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { auditRepository, emdRepository } = require('../repositories');
+const { normalizeIfsc, validateAccountNumber, validateIfsc } = require('../services/bankAccounts');
+const { normalizeUtr } = require('../services/bankStatement');
+const { EMD_ENTRY_TYPES, EMD_STATUSES, summarizeDeposits } = require('../services/emd');
+const { PAYMENT_MODES, validateUtr } = require('../services/utr');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Validation schemas
+const listSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(EMD_STATUSES)).optional(),
+  allocation_id: Joi.string().uuid().optional()
+});
+
+const refundRequestSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required(),
+  refund_account: Joi.object({
+    account_name: Joi.string().trim().min(2).max(150).required(),
+    account_number: Joi.string().trim().required(),
+    ifsc_code: Joi.string().trim().max(20).required()
+  }).required()
+});
+
+const refundReviewSchema = Joi.object({
+  decision: Joi.string().valid('approve', 'reject').required(),
+  reason: Joi.string().trim().min(5).max(500).when('decision', {
+    is: 'reject',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+});
+
+const refundSchema = Joi.object({
+  utr_number: Joi.string().min(12).max(22).required(),
+  payment_mode: Joi.string().valid(...Object.values(PAYMENT_MODES)).default(PAYMENT_MODES.RTGS)
+});
+
+const forfeitSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required()
+});
+
+const paramSchema = Joi.object({
+  id: Joi.string().uuid().required()
+});
+
+/**
+ * @route   GET /api/emd
+ * @desc    List EMDs with the totals held, being refunded, adjusted, refunded
+ *          and forfeited
+ * @access  Private (Admin, Trader)
+ */
+router.get('/',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateQuery(listSchema),
+  asyncHandler(async (req, res) => {
+    const { data: deposits, error } = await emdRepository.list({
+      status: req.query.status,
+      allocationId: req.query.allocation_id
+    });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch EMDs',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        deposits,
+        summary: summarizeDeposits(deposits)
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/emd/:id
+ * @desc    Get an EMD with its ledger, oldest entry first
+ * @access  Private (Admin, Trader)
+ */
+router.get('/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { data: deposit, error } = await emdRepository.findById(req.params.id);
+
+    if (error || !deposit) {
+      return res.status(404).json({
+        success: false,
+        message: 'EMD not found'
+      });
+    }
+
+    const { emd_ledger: ledger, ...rest } = deposit;
+
+    res.json({
+      success: true,
+      data: {
+        deposit: rest,
+        ledger: [...ledger].sort((a, b) => a.created_at.localeCompare(b.created_at))
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/emd/:id/refund-request
+ * @desc    Ask for an EMD to be refunded to the firm's bank account. A refund
+ *          already requested, e.g. on cancelling the allocation, can be
+ *          requested again with the account filled in; the requester then
+ *          changes and any earlier rejection is cleared.
+ * @access  Private (Admin, Trader)
+ */
+router.post('/:id/refund-request',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateParams(paramSchema),
+  validateBody(refundRequestSchema),
+  asyncHandler(async (req, res) => {
+    const { data: account, errors } = checkRefundAccount(req.body.refund_account);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const { data: deposit, error: findError } = await findDeposit(req.params.id, [
+      EMD_STATUSES.HELD,
+      EMD_STATUSES.REFUND_REQUESTED
+    ]);
+
+    if (findError) {
+      return res.status(findError.statusCode).json({
+        success: false,
+        message: findError.message
+      });
+    }
+
+    const values = {
+      emd_status: EMD_STATUSES.REFUND_REQUESTED,
+      refund_reason: req.body.reason,
+      refund_account: account,
+      refund_requested_by: req.user.id,
+      refund_requested_at: new Date().toISOString(),
+      refund_reviewed_by: null,
+      refund_reviewed_at: null,
+      refund_rejection_reason: null
+    };
+
+    const { data: updated, error } = await emdRepository.updateIfStatus(deposit.id, [deposit.emd_status], values);
+
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: 'EMD changed while the refund was being requested; reload and try again'
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'emd_deposits',
+      record_id: deposit.id,
+      action: 'EMD_REFUND_REQUESTED',
+      user_id: req.user.id,
+      old_values: { emd_status: deposit.emd_status },
+      new_values: { reason: values.refund_reason, refund_account: account }
+    });
+
+    res.json({
+      success: true,
+      message: 'EMD refund requested; another admin must approve it',
+      data: {
+        deposit: updated
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/emd/:id/refund-review
+ * @desc    Approve or reject a refund request. The requester cannot review
+ *          their own request; a rejected refund leaves the EMD held.
+ * @access  Private (Admin only)
+ */
+router.post('/:id/refund-review',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(refundReviewSchema),
+  asyncHandler(async (req, res) => {
+    const { decision, reason } = req.body;
+
+    const { data: deposit, error: findError } = await findDeposit(req.params.id, [EMD_STATUSES.REFUND_REQUESTED]);
+
+    if (findError) {
+      return res.status(findError.statusCode).json({
+        success: false,
+        message: findError.message
+      });
+    }
+
+    if (deposit.refund_requested_by === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'The user who requested the refund cannot review it'
+      });
+    }
+
+    const approved = decision === 'approve';
+    if (approved && !deposit.refund_account) {
+      return res.status(400).json({
+        success: false,
+        message: "Request the refund again with the firm's bank account before approving it"
+      });
+    }
+
+    const { data: updated, error } = await emdRepository.updateIfStatus(deposit.id, [EMD_STATUSES.REFUND_REQUESTED], {
+      emd_status: approved ? EMD_STATUSES.REFUND_APPROVED : EMD_STATUSES.HELD,
+      refund_reviewed_by: req.user.id,
+      refund_reviewed_at: new Date().toISOString(),
+      refund_rejection_reason: approved ? null : reason
+    });
+
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: 'EMD changed while the refund was being reviewed; reload and try again'
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'emd_deposits',
+      record_id: deposit.id,
+      action: approved ? 'EMD_REFUND_APPROVED' : 'EMD_REFUND_REJECTED',
+      user_id: req.user.id,
+      new_values: { amount: deposit.balance, reason: reason || null }
+    });
+
+    res.json({
+      success: true,
+      message: approved ? 'EMD refund approved' : 'EMD refund rejected; the EMD stays held',
+      data: {
+        deposit: updated
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/emd/:id/refund
+ * @desc    Record the transfer refunding an approved EMD to the firm
+ * @access  Private (Admin only)
+ */
+router.post('/:id/refund',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(refundSchema),
+  asyncHandler(async (req, res) => {
+    const utr = normalizeUtr(req.body.utr_number);
+    const formatError = validateUtr(utr, req.body.payment_mode);
+
+    if (formatError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'utr_number', message: formatError }]
+      });
+    }
+
+    const { data: deposit, error: findError } = await findDeposit(req.params.id, [EMD_STATUSES.REFUND_APPROVED]);
+
+    if (findError) {
+      return res.status(findError.statusCode).json({
+        success: false,
+        message: findError.message
+      });
+    }
+
+    const { data: updated, error } = await emdRepository.settle({
+      depositId: deposit.id,
+      entryType: EMD_ENTRY_TYPES.REFUNDED,
+      fromStatuses: [EMD_STATUSES.REFUND_APPROVED],
+      values: {
+        reference: utr,
+        refund_utr: utr,
+        refund_payment_mode: req.body.payment_mode
+      },
+      userId: req.user.id,
+      notes: deposit.refund_reason
+    });
+
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: 'Failed to record the EMD refund',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'EMD refunded',
+      data: {
+        deposit: updated
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/emd/:id/forfeit
+ * @desc    Forfeit an EMD held or awaiting refund approval, e.g. when the firm
+ *          defaults on lifting
+ * @access  Private (Admin only)
+ */
+router.post('/:id/forfeit',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(forfeitSchema),
+  asyncHandler(async (req, res) => {
+    const fromStatuses = [EMD_STATUSES.HELD, EMD_STATUSES.REFUND_REQUESTED];
+
+    const { data: deposit, error: findError } = await findDeposit(req.params.id, fromStatuses);
+
+    if (findError) {
+      return res.status(findError.statusCode).json({
+        success: false,
+        message: findError.message
+      });
+    }
+
+    const { data: updated, error } = await emdRepository.settle({
+      depositId: deposit.id,
+      entryType: EMD_ENTRY_TYPES.FORFEITED,
+      fromStatuses,
+      values: { reference: deposit.procurement_dump?.indent_number || null },
+      userId: req.user.id,
+      notes: req.body.reason
+    });
+
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: 'Failed to forfeit the EMD',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'EMD forfeited',
+      data: {
+        deposit: updated
+      }
+    });
+  })
+);
+
+/**
+ * Helper function to find an EMD that is in one of the given statuses
+ * @param {string} id - EMD deposit ID
+ * @param {string[]} statuses - Statuses the action applies to
+ * @returns {Promise<{ data: Object|null, error: { message: string, statusCode: number }|null }>}
+ */
+async function findDeposit(id, statuses) {
+  const { data: deposit } = await emdRepository.findById(id);
+
+  if (!deposit) {
+    return { data: null, error: { message: 'EMD not found', statusCode: 404 } };
+  }
+
+  if (!statuses.includes(deposit.emd_status)) {
+    return {
+      data: null,
+      error: { message: `This cannot be done to an EMD that is ${deposit.emd_status.replace('_', ' ')}`, statusCode: 409 }
+    };
+  }
+
+  return { data: deposit, error: null };
+}
+
+/**
+ * Helper function to check the firm's bank account a refund goes to and fill
+ * in the bank name from the IFSC
+ * @param {Object} refundAccount - { account_name, account_number, ifsc_code }
+ * @returns {{ data: Object|null, errors: { field: string, message: string }[]|null }}
+ */
+function checkRefundAccount(refundAccount) {
+  const account = {
+    account_name: refundAccount.account_name,
+    account_number: refundAccount.account_number.replace(/\s+/g, ''),
+    ifsc_code: normalizeIfsc(refundAccount.ifsc_code)
+  };
+  const errors = [];
+
+  const numberError = validateAccountNumber(account.account_number);
+  if (numberError) {
+    errors.push({ field: 'refund_account.account_number', message: numberError });
+  }
+
+  const ifsc = validateIfsc(account.ifsc_code);
+  if (ifsc.valid) {
+    account.bank_name = ifsc.bank_name;
+  } else {
+    errors.push({ field: 'refund_account.ifsc_code', message: ifsc.message });
+  }
+
+  return errors.length > 0 ? { data: null, errors } : { data: account, errors: null };
+}
+
+module.exports = router;
@@ -0,0 +1,364 @@
+/**
+ * Holiday routes
+ * Maintain the national and state bank holidays used to count business days
+ */
+
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const {
+  auditRepository,
+  holidayRepository
+} = require('../repositories');
+const { splitCsvLine, splitCsvText } = require('../services/csv');
+const { resolveStateCode } = require('../services/gst');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Holiday calendars are small CSV files
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only CSV files are allowed');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  }
+});
+
+// Validation schemas
+const stateCode = Joi.string().pattern(/^\d{2}$/);
+
+const listSchema = Joi.object({
+  year: Joi.number().integer().min(2000).max(2100).optional(),
+  state_code: stateCode.optional()
+});
+
+const holidaySchema = Joi.object({
+  holiday_date: Joi.date().iso().required(),
+  name: Joi.string().trim().min(2).max(100).required(),
+  state_code: stateCode.allow(null).optional()
+});
+
+const paramSchema = Joi.object({
+  id: Joi.string().uuid().required()
+});
+
+/**
+ * @route   GET /api/holidays
+ * @desc    List holidays for a year, optionally only national and one state's
+ * @access  Private (Admin, Trader)
+ */
+router.get('/',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateQuery(listSchema),
+  asyncHandler(async (req, res) => {
+    const year = req.query.year || new Date().getFullYear();
+
+    const { data: holidays, error } = await holidayRepository.list({
+      from: `${year}-01-01`,
+      to: `${year}-12-31`,
+      stateCode: req.query.state_code
+    });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holidays',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        year,
+        holidays
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/holidays
+ * @desc    Add a national or state holiday
+ * @access  Private (Admin only)
+ */
+router.post('/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(holidaySchema),
+  asyncHandler(async (req, res) => {
+    const holiday = {
+      holiday_date: req.body.holiday_date.toISOString().split('T')[0],
+      name: req.body.name,
+      state_code: req.body.state_code || null
+    };
+
+    const { data: existing, error: existingError } = await findExisting([holiday]);
+
+    if (existingError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check existing holidays',
+        error: existingError.message
+      });
+    }
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${existing[0].name} is already a holiday on ${holiday.holiday_date}`
+      });
+    }
+
+    const { data: created, error } = await holidayRepository.create({
+      ...holiday,
+      created_by: req.user.id
+    });
+
+    if (error) {
+      return res.status(error.code === '23505' ? 409 : 500).json({
+        success: false,
+        message: 'Failed to save holiday',
+        error: error.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'holidays',
+      record_id: created[0].id,
+      action: 'HOLIDAY_CREATED',
+      user_id: req.user.id,
+      new_values: holiday
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: {
+        holiday: created[0]
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/holidays/import
+ * @desc    Import holidays from a CSV file with a date,name,state header.
+ *          State is a GST state code or name; leave it blank for national holidays.
+ *          Nothing is imported if any row is invalid; existing holidays are skipped.
+ * @access  Private (Admin only)
+ */
+router.post('/import',
+  authenticateToken,
+  authorizeRoles('admin'),
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV file is required'
+      });
+    }
+
+    const { holidays, errors } = parseHolidayCsv(req.file.buffer.toString('utf8'));
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const { data: existing, error: existingError } = await findExisting(holidays);
+
+    if (existingError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check existing holidays',
+        error: existingError.message
+      });
+    }
+
+    // Skip holidays already in the calendar, and repeats within the file
+    const seen = new Set(existing.map(holidayKey));
+    const newHolidays = holidays.filter(holiday => {
+      const key = holidayKey(holiday);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    let created = [];
+    if (newHolidays.length > 0) {
+      const { data, error } = await holidayRepository.create(
+        newHolidays.map(holiday => ({ ...holiday, created_by: req.user.id }))
+      );
+
+      if (error) {
+        return res.status(error.code === '23505' ? 409 : 500).json({
+          success: false,
+          message: 'Failed to import holidays',
+          error: error.message
+        });
+      }
+      created = data;
+    }
+
+    await auditRepository.log({
+      table_name: 'holidays',
+      action: 'HOLIDAYS_IMPORTED',
+      user_id: req.user.id,
+      new_values: {
+        file_name: req.file.originalname,
+        imported: created.length,
+        skipped: holidays.length - created.length
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} holidays`,
+      data: {
+        imported: created.length,
+        skipped: holidays.length - created.length,
+        holidays: created
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/holidays/:id
+ * @desc    Remove a holiday. Due dates already set are not recalculated.
+ * @access  Private (Admin only)
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { data: holiday } = await holidayRepository.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    const { error } = await holidayRepository.remove(holiday.id);
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete holiday',
+        error: error.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'holidays',
+      record_id: holiday.id,
+      action: 'HOLIDAY_DELETED',
+      user_id: req.user.id,
+      old_values: holiday
+    });
+
+    res.json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+  })
+);
+
+const holidayKey = holiday => `${holiday.holiday_date}|${holiday.state_code || ''}`;
+
+/**
+ * Find holidays that already exist on the same date for the same state
+ * @param {Object[]} holidays - { holiday_date, state_code }
+ */
+async function findExisting(holidays) {
+  const dates = holidays.map(holiday => holiday.holiday_date).sort();
+  const { data, error } = await holidayRepository.list({ from: dates[0], to: dates[dates.length - 1] });
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const keys = new Set(holidays.map(holidayKey));
+  return { data: data.filter(holiday => keys.has(holidayKey(holiday))), error: null };
+}
+
+/**
+ * Parse a holiday CSV into holidays rows
+ * @param {string} text - CSV with a date,name,state header
+ * @returns {{ holidays: Object[], errors: { field: string, message: string }[] }}
+ */
+function parseHolidayCsv(text) {
+  const lines = splitCsvText(text);
+  const header = splitCsvLine(lines[0] || '').map(column => column.toLowerCase());
+  const columns = {
+    date: header.findIndex(column => ['date', 'holiday_date'].includes(column)),
+    name: header.indexOf('name'),
+    state: header.findIndex(column => ['state', 'state_code'].includes(column))
+  };
+
+  if (columns.date === -1 || columns.name === -1) {
+    return { holidays: [], errors: [{ field: 'file', message: 'CSV header must include date and name columns' }] };
+  }
+
+  const holidays = [];
+  const errors = [];
+
+  lines.slice(1).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const lineNumber = index + 2;
+    const fields = splitCsvLine(line);
+    const state = columns.state === -1 ? '' : fields[columns.state] || '';
+    const code = state ? resolveStateCode(/^\d{1,2}$/.test(state) ? { state_code: state } : { state }) : null;
+
+    if (state && !code) {
+      errors.push({ field: `line ${lineNumber}`, message: `Unknown state ${state}` });
+      return;
+    }
+
+    const { error, value } = holidaySchema.validate({
+      holiday_date: fields[columns.date],
+      name: fields[columns.name],
+      state_code: code
+    });
+
+    if (error) {
+      errors.push({ field: `line ${lineNumber}`, message: error.details[0].message });
+      return;
+    }
+
+    holidays.push({
+      holiday_date: value.holiday_date.toISOString().split('T')[0],
+      name: value.name,
+      state_code: value.state_code
+    });
+  });
+
+  if (holidays.length === 0 && errors.length === 0) {
+    errors.push({ field: 'file', message: 'CSV has no holidays' });
+  }
+
+  return { holidays, errors };
+}
+
+module.exports = router;
@@ -0,0 +1,347 @@
+/**
+ * Party ledger routes
+ * Accounts of firms, customers and brokers: balances, statements of account
+ * for a period as JSON, PDF or Excel, and manual receipts, payments and
+ * adjustments. Entries from CDUs, verified transfers, EMD refunds and
+ * confirmed sales are posted before each read.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const {
+  auditRepository,
+  emdRepository,
+  partyLedgerRepository,
+  paymentRepository,
+  paymentTransactionRepository,
+  salesRepository
+} = require('../repositories');
+const { company } = require('../config/company');
+const { toDateString } = require('../services/businessDays');
+const { EMD_ENTRY_TYPES } = require('../services/emd');
+const {
+  CONTRA_ACCOUNTS,
+  LEDGER_ENTRY_TYPES,
+  MANUAL_ENTRY_SIDES,
+  PARTY_TYPES,
+  buildStatement,
+  derivePostings,
+  financialYearStart,
+  firmKey,
+  pendingPostings,
+  summarizeParties
+} = require('../services/partyLedger');
+const { buildStatementPdf, buildStatementWorkbook, statementFileName } = require('../services/statementOfAccount');
+const { XLSX_CONTENT_TYPE } = require('../services/xlsx');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Validation schemas
+const partiesSchema = Joi.object({
+  party_type: Joi.string().valid(...Object.values(PARTY_TYPES)).optional()
+});
+
+const statementSchema = Joi.object({
+  party_type: Joi.string().valid(...Object.values(PARTY_TYPES)).required(),
+  party_key: Joi.string().trim().max(200).required(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  format: Joi.string().valid('json', 'pdf', 'xlsx').default('json')
+});
+
+const entrySchema = Joi.object({
+  party_type: Joi.string().valid(...Object.values(PARTY_TYPES)).required(),
+  // Customer or broker ID; the firm name for a firm
+  party_key: Joi.string().trim().min(2).max(200).required(),
+  entry_type: Joi.string().valid(...Object.keys(MANUAL_ENTRY_SIDES)).required(),
+  side: Joi.string().valid('debit', 'credit').when('entry_type', {
+    is: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  amount: Joi.number().positive().precision(2).required(),
+  entry_date: Joi.date().iso().max('now').required(),
+  reference: Joi.string().trim().max(100).allow('', null).optional(),
+  narration: Joi.string().trim().min(5).max(500).required()
+});
+
+/**
+ * @route   GET /api/ledger/parties
+ * @desc    List parties with ledger entries and their balances, and the
+ *          customers and brokers entries can be made for
+ * @access  Private (Admin, Trader)
+ */
+router.get('/parties',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateQuery(partiesSchema),
+  asyncHandler(async (req, res) => {
+    const { error: postError } = await postLedger();
+
+    if (postError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to post ledger entries',
+        error: postError.message
+      });
+    }
+
+    const [
+      { data: entries, error },
+      { data: customers, error: customerError },
+      { data: brokers, error: brokerError }
+    ] = await Promise.all([
+      partyLedgerRepository.list({ partyType: req.query.party_type }),
+      partyLedgerRepository.listCustomers(),
+      partyLedgerRepository.listBrokers()
+    ]);
+
+    if (error || customerError || brokerError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch ledger',
+        error: (error || customerError || brokerError).message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        parties: summarizeParties(entries),
+        customers,
+        brokers
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/ledger/statement
+ * @desc    Statement of account of a party for a period: opening balance,
+ *          entries with a running balance, totals and closing balance.
+ *          The period defaults to the financial year to date. format=pdf or
+ *          format=xlsx downloads the statement.
+ * @access  Private (Admin, Trader)
+ */
+router.get('/statement',
+  authenticateToken,
+  authorizeRoles('admin', 'trader'),
+  validateQuery(statementSchema),
+  asyncHandler(async (req, res) => {
+    const { party_type, format } = req.query;
+    const to = toDateString(req.query.to || new Date());
+    const from = req.query.from ? toDateString(req.query.from) : financialYearStart(to);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'The period must start on or before the day it ends'
+      });
+    }
+
+    const { error: postError } = await postLedger();
+
+    if (postError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to post ledger entries',
+        error: postError.message
+      });
+    }
+
+    const partyKey = party_type === PARTY_TYPES.FIRM ? firmKey(req.query.party_key) : req.query.party_key;
+    const { data: entries, error } = await partyLedgerRepository.list({ partyType: party_type, partyKey });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch ledger entries',
+        error: error.message
+      });
+    }
+
+    if (entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No ledger entries found for this party'
+      });
+    }
+
+    const party = {
+      party_type,
+      party_key: partyKey,
+      party_name: entries[entries.length - 1].party_name
+    };
+    const statement = buildStatement(entries, { from, to });
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          party,
+          statement
+        }
+      });
+    }
+
+    const content = format === 'pdf'
+      ? buildStatementPdf(party, statement, company)
+      : buildStatementWorkbook(party, statement, company);
+
+    res.set({
+      'Content-Type': format === 'pdf' ? 'application/pdf' : XLSX_CONTENT_TYPE,
+      'Content-Disposition': `attachment; filename="${statementFileName(party, statement, format)}"`,
+      'Content-Length': content.length
+    });
+    res.send(content);
+  })
+);
+
+/**
+ * @route   POST /api/ledger/entries
+ * @desc    Record a receipt, payment or adjustment made outside the system.
+ *          Receipts are credited and payments debited to the party; an
+ *          adjustment goes to the side given.
+ * @access  Private (Admin only)
+ */
+router.post('/entries',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(entrySchema),
+  asyncHandler(async (req, res) => {
+    const { party_type, entry_type, amount } = req.body;
+    const { data: party, error: partyError } = await findParty(party_type, req.body.party_key);
+
+    if (partyError) {
+      return res.status(partyError.statusCode || 500).json({
+        success: false,
+        message: partyError.message
+      });
+    }
+
+    const side = MANUAL_ENTRY_SIDES[entry_type] || req.body.side;
+    const entry = {
+      ...party,
+      entry_date: toDateString(req.body.entry_date),
+      entry_type,
+      debit: side === 'debit' ? amount : 0,
+      credit: side === 'credit' ? amount : 0,
+      contra_account: entry_type === LEDGER_ENTRY_TYPES.ADJUSTMENT ? CONTRA_ACCOUNTS.ADJUSTMENT : CONTRA_ACCOUNTS.BANK,
+      reference: req.body.reference || null,
+      narration: req.body.narration,
+      source_table: null,
+      source_id: null,
+      created_by: req.user.id
+    };
+
+    const { data: created, error } = await partyLedgerRepository.create(entry);
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record ledger entry',
+        error: error.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'party_ledger',
+      record_id: created.id,
+      action: 'LEDGER_ENTRY_RECORDED',
+      user_id: req.user.id,
+      new_values: entry
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${entry_type.charAt(0)}${entry_type.slice(1).toLowerCase()} recorded for ${party.party_name}`,
+      data: {
+        entry: created
+      }
+    });
+  })
+);
+
+/**
+ * Helper function to post the ledger entries of CDUs, verified transfers,
+ * EMD refunds and confirmed sales that are missing or out of date
+ * @returns {Promise<{ data: number|null, error: Object|null }>} Number of entries posted
+ */
+async function postLedger() {
+  const results = await Promise.all([
+    paymentRepository.listWithCdu(),
+    paymentTransactionRepository.listByStatus(['verified']),
+    emdRepository.listLedgerEntries(EMD_ENTRY_TYPES.REFUNDED),
+    salesRepository.listConfirmed(),
+    partyLedgerRepository.listPosted()
+  ]);
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    return { data: null, error: failed.error };
+  }
+
+  const [payments, transactions, emdRefunds, sales, posted] = results.map(result => result.data);
+  const pending = pendingPostings(derivePostings({ payments, transactions, emdRefunds, sales }), posted);
+
+  if (pending.length === 0) {
+    return { data: 0, error: null };
+  }
+
+  const { error } = await partyLedgerRepository.post(pending);
+  return error ? { data: null, error } : { data: pending.length, error: null };
+}
+
+/**
+ * Helper function to resolve the party of a manual entry: customers and
+ * brokers by ID, firms by name, which must match a firm already in the ledger
+ * @param {string} partyType - firm, customer or broker
+ * @param {string} partyKey - Customer or broker ID, or firm name
+ * @returns {Promise<{ data: { party_type: string, party_key: string, party_name: string }|null,
+ *   error: { message: string, statusCode: number }|null }>}
+ */
+async function findParty(partyType, partyKey) {
+  if (partyType === PARTY_TYPES.FIRM) {
+    const { data: entries, error } = await partyLedgerRepository.list({ partyType, partyKey: firmKey(partyKey) });
+
+    if (error) {
+      return { data: null, error: { message: 'Failed to fetch ledger entries', statusCode: 500 } };
+    }
+
+    if (entries.length === 0) {
+      return { data: null, error: { message: `No firm named ${partyKey} has ledger entries`, statusCode: 404 } };
+    }
+
+    return {
+      data: { party_type: partyType, party_key: firmKey(partyKey), party_name: entries[entries.length - 1].party_name },
+      error: null
+    };
+  }
+
+  const { data: parties, error } = partyType === PARTY_TYPES.CUSTOMER
+    ? await partyLedgerRepository.listCustomers()
+    : await partyLedgerRepository.listBrokers();
+
+  if (error) {
+    return { data: null, error: { message: `Failed to fetch ${partyType}s`, statusCode: 500 } };
+  }
+
+  const party = parties.find(candidate => candidate.id === partyKey);
+  if (!party) {
+    return { data: null, error: { message: `${partyType === PARTY_TYPES.CUSTOMER ? 'Customer' : 'Broker'} not found`, statusCode: 404 } };
+  }
+
+  return {
+    data: {
+      party_type: partyType,
+      party_key: party.id,
+      party_name: party.customer_name || party.broker_name
+    },
+    error: null
+  };
+}
+
+module.exports = router;
@@ -4,7 +4,13 @@
  */
 
 const express = require('express');
-const { supabase } = require('../config/supabase');
+const {
+  allocationRepository,
+  auditRepository,
+  contractRepository,
+  intakeRepository
+} = require('../repositories');
+const { DISPATCHABLE_STATUSES } = require('../services/contractApproval');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const router = express.Router();
@@ -19,17 +25,13 @@ router.post('/email-processing', asyncHandler(async (req, res) => {
 
   try {
     // Save purchase confirmation
-    const { data: confirmation, error: confirmationError } = await supabase
-      .from('purchase_confirmations')
-      .insert({
-        email_subject,
-        pdf_url,
-        raw_text,
-        sender_email,
-        processed: true
-      })
-      .select()
-      .single();
+    const { data: confirmation, error: confirmationError } = await intakeRepository.createConfirmation({
+      email_subject,
+      pdf_url,
+      raw_text,
+      sender_email,
+      processed: true
+    });
 
     if (confirmationError) {
       throw new Error(`Failed to save confirmation: ${confirmationError.message}`);
@@ -37,48 +39,38 @@ router.post('/email-processing', asyncHandler(async (req, res) => {
 
     // If parsing was successful, save parsed data
     if (parsed_data && parsed_data.success) {
-      const { data: parsedRecord, error: parsedError } = await supabase
-        .from('parsed_data')
-        .insert({
-          confirmation_id: confirmation.id,
-          ...parsed_data.data
-        })
-        .select()
-        .single();
+      const { data: parsedRecord, error: parsedError } = await intakeRepository.createParsedData({
+        confirmation_id: confirmation.id,
+        ...parsed_data.data
+      });
 
       if (parsedError) {
         throw new Error(`Failed to save parsed data: ${parsedError.message}`);
       }
 
       // Create allocation record
-      const { data: allocation, error: allocationError } = await supabase
-        .from('allocation')
-        .insert({
-          indent_number: parsed_data.data.indent_number,
-          parsed_data_id: parsedRecord.id,
-          buyer_type: parsed_data.data.buyer_type,
-          crop_year: parsed_data.data.crop_year,
-          bale_quantity: parsed_data.data.quantity,
-          otr_price: parsed_data.data.otr_price,
-          lifting_period: parsed_data.data.lifting_period,
-          allocation_status: 'pending'
-        })
-        .select()
-        .single();
+      const { data: allocation, error: allocationError } = await allocationRepository.create({
+        indent_number: parsed_data.data.indent_number,
+        parsed_data_id: parsedRecord.id,
+        buyer_type: parsed_data.data.buyer_type,
+        crop_year: parsed_data.data.crop_year,
+        bale_quantity: parsed_data.data.quantity,
+        otr_price: parsed_data.data.otr_price,
+        lifting_period: parsed_data.data.lifting_period,
+        allocation_status: 'pending'
+      });
 
       if (allocationError) {
         console.error('Failed to create allocation:', allocationError);
       }
 
       // Log successful processing
-      await supabase
-        .from('audit_log')
-        .insert({
-          table_name: 'purchase_confirmations',
-          record_id: confirmation.id,
-          action: 'EMAIL_PROCESSED_SUCCESS',
-          new_values: { parsed_data: parsed_data.data }
-        });
+      await auditRepository.log({
+        table_name: 'purchase_confirmations',
+        record_id: confirmation.id,
+        action: 'EMAIL_PROCESSED_SUCCESS',
+        new_values: { parsed_data: parsed_data.data }
+      });
 
       res.json({
         success: true,
@@ -91,29 +83,23 @@ router.post('/email-processing', asyncHandler(async (req, res) => {
       });
     } else {
       // Parsing failed, save to manual applications
-      const { data: manualApp, error: manualError } = await supabase
-        .from('manual_applications')
-        .insert({
-          confirmation_id: confirmation.id,
-          issue_reason: parsed_data?.error || 'PDF parsing failed',
-          status: 'pending'
-        })
-        .select()
-        .single();
+      const { data: manualApp, error: manualError } = await intakeRepository.createManualApplication({
+        confirmation_id: confirmation.id,
+        issue_reason: parsed_data?.error || 'PDF parsing failed',
+        status: 'pending'
+      });
 
       if (manualError) {
         console.error('Failed to save manual application:', manualError);
       }
 
       // Log processing failure
-      await supabase
-        .from('audit_log')
-        .insert({
-          table_name: 'purchase_confirmations',
-          record_id: confirmation.id,
-          action: 'EMAIL_PROCESSED_FAILED',
-          new_values: { error: parsed_data?.error || 'Unknown parsing error' }
-        });
+      await auditRepository.log({
+        table_name: 'purchase_confirmations',
+        record_id: confirmation.id,
+        action: 'EMAIL_PROCESSED_FAILED',
+        new_values: { error: parsed_data?.error || 'Unknown parsing error' }
+      });
 
       res.json({
         success: true,
@@ -145,20 +131,18 @@ router.post('/payment-reminder-status', asyncHandler(async (req, res) => {
 
   try {
     // Log reminder status
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'payments',
-        action: 'REMINDER_STATUS',
-        new_values: {
-          payment_ids,
-          reminder_type,
-          status,
-          sent_count,
-          failed_count,
-          timestamp: new Date().toISOString()
-        }
-      });
+    await auditRepository.log({
+      table_name: 'payments',
+      action: 'REMINDER_STATUS',
+      new_values: {
+        payment_ids,
+        reminder_type,
+        status,
+        sent_count,
+        failed_count,
+        timestamp: new Date().toISOString()
+      }
+    });
 
     res.json({
       success: true,
@@ -195,19 +179,22 @@ router.post('/contract-sent-status', asyncHandler(async (req, res) => {
       updateData.status = 'failed';
     }
 
-    await supabase
-      .from('purchase_contract_table')
-      .update(updateData)
-      .eq('id', contract_id);
+    // Only approved contracts are handed to n8n, so only they can have been sent
+    const { data: contract } = await contractRepository.updateIfStatus(contract_id, DISPATCHABLE_STATUSES, updateData);
 
-    // Log contract sending status
-    await supabase
-      .from('contract_logs')
-      .insert({
-        contract_id,
-        action: email_status === 'sent' ? 'sent' : 'send_failed',
-        notes: error_message || `Email ${email_status} to ${recipient_email}`
+    if (!contract) {
+      return res.status(409).json({
+        success: false,
+        message: 'Contract is not approved for sending'
       });
+    }
+
+    // Log contract sending status
+    await contractRepository.addLog({
+      contract_id,
+      action: email_status === 'sent' ? 'sent' : 'send_failed',
+      notes: error_message || `Email ${email_status} to ${recipient_email}`
+    });
 
     res.json({
       success: true,
@@ -233,20 +220,18 @@ router.post('/sales-notification-status', asyncHandler(async (req, res) => {
 
   try {
     // Log sales notification status
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'sales_table',
-        record_id: sales_id,
-        action: `SALES_${notification_type.toUpperCase()}_${status.toUpperCase()}`,
-        new_values: {
-          notification_type,
-          status,
-          recipients,
-          error_message,
-          timestamp: new Date().toISOString()
-        }
-      });
+    await auditRepository.log({
+      table_name: 'sales_table',
+      record_id: sales_id,
+      action: `SALES_${notification_type.toUpperCase()}_${status.toUpperCase()}`,
+      new_values: {
+        notification_type,
+        status,
+        recipients,
+        error_message,
+        timestamp: new Date().toISOString()
+      }
+    });
 
     res.json({
       success: true,
@@ -272,19 +257,17 @@ router.post('/daily-reminder-status', asyncHandler(async (req, res) => {
 
   try {
     // Log daily reminder status
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'customer_assignment_table',
-        action: 'DAILY_REMINDER_SENT',
-        new_values: {
-          reminder_date,
-          customers_notified,
-          total_pending_assignments,
-          status,
-          timestamp: new Date().toISOString()
-        }
-      });
+    await auditRepository.log({
+      table_name: 'customer_assignment_table',
+      action: 'DAILY_REMINDER_SENT',
+      new_values: {
+        reminder_date,
+        customers_notified,
+        total_pending_assignments,
+        status,
+        timestamp: new Date().toISOString()
+      }
+    });
 
     res.json({
       success: true,
@@ -317,55 +300,44 @@ router.post('/pdf-parse-result', asyncHandler(async (req, res) => {
   try {
     if (parsing_success && parsed_data) {
       // Save parsed data
-      const { data: parsedRecord, error: parsedError } = await supabase
-        .from('parsed_data')
-        .insert({
-          confirmation_id,
-          ...parsed_data
-        })
-        .select()
-        .single();
+      const { data: parsedRecord, error: parsedError } = await intakeRepository.createParsedData({
+        confirmation_id,
+        ...parsed_data
+      });
 
       if (parsedError) {
         throw new Error(`Failed to save parsed data: ${parsedError.message}`);
       }
 
       // Create allocation if parsing successful
-      const { error: allocationError } = await supabase
-        .from('allocation')
-        .insert({
-          indent_number: parsed_data.indent_number,
-          parsed_data_id: parsedRecord.id,
-          buyer_type: parsed_data.buyer_type,
-          crop_year: parsed_data.crop_year,
-          bale_quantity: parsed_data.quantity,
-          otr_price: parsed_data.otr_price,
-          lifting_period: parsed_data.lifting_period,
-          allocation_status: 'pending'
-        });
+      const { error: allocationError } = await allocationRepository.create({
+        indent_number: parsed_data.indent_number,
+        parsed_data_id: parsedRecord.id,
+        buyer_type: parsed_data.buyer_type,
+        crop_year: parsed_data.crop_year,
+        bale_quantity: parsed_data.quantity,
+        otr_price: parsed_data.otr_price,
+        lifting_period: parsed_data.lifting_period,
+        allocation_status: 'pending'
+      });
 
       if (allocationError) {
         console.error('Failed to create allocation:', allocationError);
       }
     } else {
       // Save to manual applications
-      await supabase
-        .from('manual_applications')
-        .insert({
-          confirmation_id,
-          issue_reason: error_message || 'PDF parsing failed',
-          status: 'pending'
-        });
+      await intakeRepository.createManualApplication({
+        confirmation_id,
+        issue_reason: error_message || 'PDF parsing failed',
+        status: 'pending'
+      });
     }
 
     // Update confirmation as processed
-    await supabase
-      .from('purchase_confirmations')
-      .update({ 
-        processed: true, 
-        raw_text: raw_text || null 
-      })
-      .eq('id', confirmation_id);
+    await intakeRepository.updateConfirmation(confirmation_id, {
+      processed: true,
+      raw_text: raw_text || null
+    });
 
     res.json({
       success: true,
@@ -1,58 +1,212 @@
 /**
  * Payment routes - Flow 2
- * Handles CDU generation, UTR submission, and payment tracking
+ * Handles CDU generation, UTR submission, bulk bank payment files and payment tracking
  */
 
 const express = require('express');
 const Joi = require('joi');
 const axios = require('axios');
-const { supabase } = require('../config/supabase');
+const multer = require('multer');
+const {
+  auditRepository,
+  bankAccountRepository,
+  bankPaymentRepository,
+  bankStatementRepository,
+  configurationRepository,
+  paymentRepository,
+  paymentTransactionRepository,
+  procurementRepository
+} = require('../repositories');
+const { company } = require('../config/company');
+const {
+  UTR_GRACE_DAYS,
+  addBusinessDays,
+  businessDaysBetween,
+  isBusinessDay,
+  nextBusinessDay,
+  loadHolidayCalendar,
+  toDateString
+} = require('../services/businessDays');
+const { accountCriteria, beneficiaryDetails, isEligible, rankAccounts } = require('../services/bankAccounts');
+const {
+  BATCH_SOURCES,
+  BATCH_STATUSES,
+  FILE_FORMATS,
+  LINE_SOURCES,
+  LINE_STATUSES,
+  batchFileName,
+  buildPaymentFile,
+  parseResponseFile,
+  validateTemplate
+} = require('../services/bankPaymentFile');
+const { normalizeUtr } = require('../services/bankStatement');
+const { resolveStateCode } = require('../services/gst');
+const { sum, toPaise, toRupees } = require('../services/money');
+const { adviceFileName, buildPaymentAdvice, cduReference } = require('../services/paymentAdvice');
+const { summarizePayment } = require('../services/paymentBalance');
+const { PAYMENT_TYPES, buildInstallments, summarizeSchedule } = require('../services/paymentSchedule');
+const { accruePenalty } = require('../services/penalty');
+const { MATCH_STATUS, matchStatementLines } = require('../services/reconciliation');
+const { PAYMENT_MODES, utrWarnings, validateUtr } = require('../services/utr');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateBody, validateParams } = require('../middleware/validation');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Bank response files are CSV or fixed-width text
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|txt|rsp|res|out)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only CSV and text bank response files are allowed');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  }
+});
+
+// Stages of maker-checker review the UTR of a transfer goes through before it is verified
+const UTR_REVIEW_STATUSES = ['utr_submitted', 'under_review', 'rejected'];
+
 // Validation schemas
-const cduSchema = Joi.object({
+const scheduleSchema = Joi.object({
   procurement_id: Joi.string().uuid().required()
 });
 
+const cduSchema = Joi.object({
+  procurement_id: Joi.string().uuid(),
+  payment_id: Joi.string().uuid(),
+  bank_account_id: Joi.string().uuid().optional(),
+  payment_mode: Joi.string().valid(...Object.values(PAYMENT_MODES)).optional()
+}).xor('procurement_id', 'payment_id');
+
+const cduReviseSchema = Joi.object({
+  bank_account_id: Joi.string().uuid().optional(),
+  payment_mode: Joi.string().valid(...Object.values(PAYMENT_MODES)).optional()
+}).min(1);
+
 const utrSubmitSchema = Joi.object({
   payment_id: Joi.string().uuid().required(),
-  utr_number: Joi.string().min(12).max(22).required()
+  utr_number: Joi.string().min(12).max(22).required(),
+  payment_mode: Joi.string().valid(...Object.values(PAYMENT_MODES)).optional(),
+  amount: Joi.number().positive().precision(2).optional()
+});
+
+const utrCorrectSchema = Joi.object({
+  utr_number: Joi.string().min(12).max(22).required(),
+  payment_mode: Joi.string().valid(...Object.values(PAYMENT_MODES)).optional(),
+  amount: Joi.number().positive().precision(2).optional()
+});
+
+const utrRejectSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required()
+});
+
+const utrReviewQuerySchema = Joi.object({
+  status: Joi.string().valid(...UTR_REVIEW_STATUSES).optional()
 });
 
 const paramSchema = Joi.object({
   id: Joi.string().uuid().required()
 });
 
+const scheduleParamSchema = Joi.object({
+  procurement_id: Joi.string().uuid().required()
+});
+
+const bankFileFieldSchema = Joi.object({
+  header: Joi.string().trim().max(60).optional(),
+  source: Joi.string().valid(...new Set([...LINE_SOURCES, ...BATCH_SOURCES])).required(),
+  width: Joi.number().integer().min(1).max(500).optional(),
+  align: Joi.string().valid('left', 'right').optional(),
+  pad: Joi.string().length(1).optional(),
+  format: Joi.string().max(20).optional(),
+  value: Joi.string().allow('').max(200).optional(),
+  codes: Joi.object().pattern(Joi.string(), Joi.string().allow('').max(20)).optional()
+});
+
+// A response column is a heading, a column number, or a { start, length } span of a fixed-width record
+const responseColumnSchema = Joi.alternatives().try(
+  Joi.string().trim().max(60),
+  Joi.number().integer().min(1),
+  Joi.object({
+    start: Joi.number().integer().min(1).required(),
+    length: Joi.number().integer().min(1).required()
+  })
+);
+
+const responseLayoutSchema = Joi.object({
+  file_format: Joi.string().valid(...Object.values(FILE_FORMATS)).optional(),
+  delimiter: Joi.string().length(1).optional(),
+  has_header: Joi.boolean().default(false),
+  record_prefix: Joi.string().max(10).optional(),
+  reference: responseColumnSchema.required(),
+  utr: responseColumnSchema.required(),
+  status: responseColumnSchema.optional(),
+  reason: responseColumnSchema.optional(),
+  success_values: Joi.array().items(Joi.string().trim().max(30)).min(1).optional()
+});
+
+const bankFileTemplateSchema = Joi.object({
+  bank_code: Joi.string().uppercase().pattern(/^[A-Z]{4}$/).required(),
+  template_name: Joi.string().trim().min(3).max(100).required(),
+  file_format: Joi.string().valid(...Object.values(FILE_FORMATS)).required(),
+  delimiter: Joi.string().length(1).default(','),
+  include_header: Joi.boolean().default(false),
+  file_extension: Joi.string().lowercase().pattern(/^[a-z0-9]{1,5}$/).default('txt'),
+  debit_account_number: Joi.string().trim().required(),
+  fields: Joi.array().items(bankFileFieldSchema).min(1).max(60).required(),
+  header_fields: Joi.array().items(bankFileFieldSchema).max(30).allow(null).default(null),
+  trailer_fields: Joi.array().items(bankFileFieldSchema).max(30).allow(null).default(null),
+  response_layout: responseLayoutSchema.required()
+});
+
+const bankFileTemplateUpdateSchema = Joi.object({
+  bank_code: Joi.string().uppercase().pattern(/^[A-Z]{4}$/).optional(),
+  template_name: Joi.string().trim().min(3).max(100).optional(),
+  file_format: Joi.string().valid(...Object.values(FILE_FORMATS)).optional(),
+  delimiter: Joi.string().length(1).optional(),
+  include_header: Joi.boolean().optional(),
+  file_extension: Joi.string().lowercase().pattern(/^[a-z0-9]{1,5}$/).optional(),
+  debit_account_number: Joi.string().trim().optional(),
+  fields: Joi.array().items(bankFileFieldSchema).min(1).max(60).optional(),
+  header_fields: Joi.array().items(bankFileFieldSchema).max(30).allow(null).optional(),
+  trailer_fields: Joi.array().items(bankFileFieldSchema).max(30).allow(null).optional(),
+  response_layout: responseLayoutSchema.optional(),
+  is_active: Joi.boolean().optional()
+}).min(1);
+
+const bankFileSchema = Joi.object({
+  payment_ids: Joi.array().items(Joi.string().uuid()).unique().min(1).max(200).required(),
+  template_id: Joi.string().uuid().required(),
+  value_date: Joi.date().iso().required()
+});
+
+const bankFileListSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(BATCH_STATUSES)).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
 /**
- * @route   POST /api/payment/cdu
- * @desc    Generate CDU (payment draft) from procurement record
+ * @route   POST /api/payment/schedule
+ * @desc    Create the installments of a procurement record: the EMD, then the
+ *          balance tranches of the PAYMENT_SCHEDULE trading configuration
  * @access  Private
  */
-router.post('/cdu', 
+router.post('/schedule',
   authenticateToken,
-  validateBody(cduSchema),
+  validateBody(scheduleSchema),
   asyncHandler(async (req, res) => {
     const { procurement_id } = req.body;
 
-    // Fetch procurement details
-    const { data: procurement, error: procurementError } = await supabase
-      .from('procurement_dump')
-      .select(`
-        *,
-        allocation:allocation_id (
-          indent_number,
-          branch_information:branch_id (
-            branch_name,
-            branch_code
-          )
-        )
-      `)
-      .eq('id', procurement_id)
-      .single();
+    const { data: procurement, error: procurementError } = await procurementRepository.findById(procurement_id);
 
     if (procurementError || !procurement) {
       return res.status(404).json({
@@ -61,321 +215,342 @@ router.post('/cdu',
       });
     }
 
-    // Check if payment already exists
-    const { data: existingPayment } = await supabase
-      .from('payments')
-      .select('id')
-      .eq('procurement_id', procurement_id)
-      .single();
+    const { data: existing, error: existingError } = await paymentRepository.listByProcurementId(procurement_id);
 
-    if (existingPayment) {
-      return res.status(400).json({
+    if (existingError) {
+      return res.status(500).json({
         success: false,
-        message: 'Payment already exists for this procurement'
+        message: 'Failed to fetch payments',
+        error: existingError.message
       });
     }
 
-    // Generate CDU data
-    const cduData = {
-      payment_mode: 'RTGS',
-      payment_type: 'EMD',
-      amount: procurement.emd_amount,
-      bank: 'State Bank of India', // Default bank
-      due_date: procurement.due_date,
-      remarks: `EMD Payment for Indent ${procurement.indent_number}`
-    };
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment schedule already exists for this procurement'
+      });
+    }
 
-    // Calculate UTR due date (same as payment due date)
-    const utrDueDate = new Date(procurement.due_date);
+    const { data: installments, error } = await createSchedule(procurement, req.user.id);
 
-    // Create payment record
-    const paymentData = {
-      procurement_id,
-      payment_mode: cduData.payment_mode,
-      payment_type: cduData.payment_type,
-      amount: cduData.amount,
-      bank: cduData.bank,
-      due_date: cduData.due_date,
-      utr_due_date: utrDueDate.toISOString().split('T')[0],
-      payment_status: 'pending',
-      remarks: cduData.remarks,
-      created_by: req.user.id
-    };
+    if (error) {
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
 
-    const { data: payment, error: paymentError } = await supabase
-      .from('payments')
-      .insert(paymentData)
-      .select()
-      .single();
+    res.status(201).json({
+      success: true,
+      message: 'Payment schedule created successfully',
+      data: {
+        installments,
+        summary: summarizeSchedule(installments)
+      }
+    });
+  })
+);
 
-    if (paymentError) {
+/**
+ * @route   GET /api/payment/schedule/:procurement_id
+ * @desc    Get the installments of a procurement record with the amount outstanding
+ * @access  Private
+ */
+router.get('/schedule/:procurement_id',
+  authenticateToken,
+  validateParams(scheduleParamSchema),
+  asyncHandler(async (req, res) => {
+    const { data: installments, error } = await paymentRepository.listByProcurementId(req.params.procurement_id);
+
+    if (error) {
       return res.status(500).json({
         success: false,
-        message: 'Failed to create payment record',
-        error: paymentError.message
+        message: 'Failed to fetch payment schedule',
+        error: error.message
       });
     }
 
-    // Log CDU generation
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'payments',
-        record_id: payment.id,
-        action: 'CDU_GENERATED',
-        user_id: req.user.id,
-        new_values: { ...cduData, payment_id: payment.id }
-      });
-
     res.json({
       success: true,
-      message: 'CDU generated successfully',
       data: {
-        payment_id: payment.id,
-        cdu: cduData,
-        payment_details: payment
+        installments,
+        summary: summarizeSchedule(installments)
       }
     });
   })
 );
 
 /**
- * @route   POST /api/utr/submit
- * @desc    Submit UTR number for a payment
+ * @route   POST /api/payment/cdu
+ * @desc    Generate CDU (payment draft) for an installment. Given a procurement
+ *          record instead, creates its schedule if needed and drafts the first
+ *          installment without a CDU. The CDU carries the beneficiary account
+ *          chosen, else the active account that best fits the payment type,
+ *          branch and zone, paid by the account's default payment mode unless
+ *          another is given. The CDU is given a reference number for its
+ *          payment advice.
  * @access  Private
  */
-router.post('/submit', 
+router.post('/cdu', 
   authenticateToken,
-  validateBody(utrSubmitSchema),
+  validateBody(cduSchema),
   asyncHandler(async (req, res) => {
-    const { payment_id, utr_number } = req.body;
+    let installment;
 
-    // Check if payment exists
-    const { data: payment, error: paymentError } = await supabase
-      .from('payments')
-      .select('*')
-      .eq('id', payment_id)
-      .single();
+    if (req.body.payment_id) {
+      const { data: payment, error: paymentError } = await paymentRepository.findById(req.body.payment_id);
 
-    if (paymentError || !payment) {
-      return res.status(404).json({
+      if (paymentError || !payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment record not found'
+        });
+      }
+      installment = payment;
+    } else {
+      const { procurement_id } = req.body;
+
+      // Fetch procurement details
+      const { data: procurement, error: procurementError } = await procurementRepository.findById(procurement_id);
+
+      if (procurementError || !procurement) {
+        return res.status(404).json({
+          success: false,
+          message: 'Procurement record not found'
+        });
+      }
+
+      let { data: installments, error: installmentsError } = await paymentRepository.listByProcurementId(procurement_id);
+
+      if (installmentsError) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch payments',
+          error: installmentsError.message
+        });
+      }
+
+      if (installments.length === 0) {
+        const { data: created, error: scheduleError } = await createSchedule(procurement, req.user.id);
+
+        if (scheduleError) {
+          return res.status(scheduleError.statusCode || 500).json({
+            success: false,
+            message: scheduleError.message
+          });
+        }
+        installments = created;
+      }
+
+      installment = installments.find(payment => payment.payment_status === 'scheduled');
+
+      if (!installment) {
+        return res.status(400).json({
+          success: false,
+          message: 'CDU already generated for every installment of this procurement'
+        });
+      }
+      installment.procurement_dump = procurement;
+    }
+
+    if (installment.payment_status !== 'scheduled') {
+      return res.status(400).json({
         success: false,
-        message: 'Payment record not found'
+        message: 'CDU already generated for this installment'
       });
     }
 
-    if (payment.utr_number) {
-      return res.status(400).json({
+    const { data: account, error: accountError } = await selectBankAccount(installment, req.body.bank_account_id);
+
+    if (accountError) {
+      return res.status(accountError.statusCode).json({
         success: false,
-        message: 'UTR already submitted for this payment'
+        message: accountError.message
       });
     }
 
-    // Update payment with UTR number
-    const { data: updatedPayment, error: updateError } = await supabase
-      .from('payments')
-      .update({
-        utr_number,
-        payment_status: 'verified',
-        verified_by: req.user.id,
-        verified_at: new Date().toISOString()
-      })
-      .eq('id', payment_id)
-      .select()
-      .single();
+    // Generate CDU data
+    const cduData = {
+      payment_mode: req.body.payment_mode || account.default_payment_mode,
+      payment_type: installment.payment_type,
+      amount: installment.amount,
+      bank: account.bank_name,
+      beneficiary: beneficiaryDetails(account),
+      due_date: installment.due_date,
+      remarks: `${installment.installment_name} payment for Indent ${installment.procurement_dump.indent_number}`
+    };
 
-    if (updateError) {
+    // UTR is due on the payment due date, or the next business day if a
+    // holiday has been declared on it since the schedule was made
+    const { data: calendar, error: calendarError } = await loadHolidayCalendar(resolveStateCode(company));
+
+    if (calendarError) {
       return res.status(500).json({
         success: false,
-        message: 'Failed to update payment with UTR',
-        error: updateError.message
+        message: 'Failed to fetch holiday calendar',
+        error: calendarError.message
       });
     }
 
-    // Log UTR submission
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'payments',
-        record_id: payment_id,
-        action: 'UTR_SUBMITTED',
-        user_id: req.user.id,
-        old_values: { utr_number: null, payment_status: payment.payment_status },
-        new_values: { utr_number, payment_status: 'verified' }
+    const generatedAt = new Date();
+    cduData.cdu_reference = cduReference(installment, generatedAt);
+
+    const { data: payment, error: paymentError } = await paymentRepository.update(installment.id, {
+      payment_mode: cduData.payment_mode,
+      bank: cduData.bank,
+      bank_account_id: account.id,
+      beneficiary: cduData.beneficiary,
+      utr_due_date: nextBusinessDay(installment.due_date, calendar),
+      payment_status: 'pending',
+      remarks: cduData.remarks,
+      cdu_reference: cduData.cdu_reference,
+      cdu_revision: 1,
+      cdu_generated_at: generatedAt.toISOString()
+    });
+
+    if (paymentError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update payment record',
+        error: paymentError.message
       });
+    }
+
+    // Log CDU generation
+    await auditRepository.log({
+      table_name: 'payments',
+      record_id: payment.id,
+      action: 'CDU_GENERATED',
+      user_id: req.user.id,
+      new_values: { ...cduData, payment_id: payment.id, installment_number: payment.installment_number }
+    });
 
     res.json({
       success: true,
-      message: 'UTR submitted successfully',
+      message: 'CDU generated successfully',
       data: {
-        payment: updatedPayment
+        payment_id: payment.id,
+        cdu: cduData,
+        payment_details: payment
       }
     });
   })
 );
 
 /**
- * @route   GET /api/utr/pending
- * @desc    Get all pending UTR payments (overdue)
+ * @route   PUT /api/payment/:id/cdu
+ * @desc    Revise a CDU: change its beneficiary account or payment mode. Only
+ *          while no UTR stands against it, since a transfer may already have
+ *          been made to the account printed. The CDU keeps its reference and
+ *          moves to its next revision.
  * @access  Private (Admin only)
  */
-router.get('/pending', 
+router.put('/:id/cdu',
   authenticateToken,
   authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(cduReviseSchema),
   asyncHandler(async (req, res) => {
-    const threeDaysAgo = new Date();
-    threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
-
-    const { data: pendingPayments, error } = await supabase
-      .from('payments')
-      .select(`
-        *,
-        procurement_dump:procurement_id (
-          indent_number,
-          firm_name,
-          allocation:allocation_id (
-            branch_information:branch_id (
-              branch_name
-            )
-          )
-        )
-      `)
-      .is('utr_number', null)
-      .lt('due_date', threeDaysAgo.toISOString().split('T')[0])
-      .order('due_date', { ascending: true });
+    const { data: payment, error: paymentError } = await paymentRepository.findById(req.params.id);
 
-    if (error) {
-      return res.status(500).json({
+    if (paymentError || !payment) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to fetch pending payments',
-        error: error.message
+        message: 'Payment not found'
       });
     }
 
-    // Calculate overdue days for each payment
-    const today = new Date();
-    const paymentsWithOverdue = pendingPayments.map(payment => ({
-      ...payment,
-      overdue_days: Math.ceil((today - new Date(payment.due_date)) / (1000 * 60 * 60 * 24))
-    }));
+    if (!payment.cdu_generated_at || payment.payment_status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: payment.cdu_generated_at
+          ? `The CDU of a ${payment.payment_status} payment cannot be revised`
+          : 'No CDU has been generated for this installment'
+      });
+    }
 
-    res.json({
-      success: true,
-      data: {
-        pending_payments: paymentsWithOverdue,
-        count: paymentsWithOverdue.length
-      }
-    });
-  })
-);
+    if (payment.transactions.some(transaction => transaction.transaction_status !== 'rejected')) {
+      return res.status(409).json({
+        success: false,
+        message: 'A UTR has been submitted against this CDU; it cannot be revised'
+      });
+    }
 
-/**
- * @route   GET /api/payment/verified
- * @desc    Get all verified payments
- * @access  Private
- */
-router.get('/verified', 
-  authenticateToken,
-  asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
+    const { data: account, error: accountError } = await selectBankAccount(
+      payment,
+      req.body.bank_account_id || payment.bank_account_id
+    );
 
-    console.log("page", page);
-    console.log("limit", limit);
-    console.log("offset", offset);
+    if (accountError) {
+      return res.status(accountError.statusCode).json({
+        success: false,
+        message: accountError.message
+      });
+    }
 
-    let query = supabase
-      .from('payments')
-      .select(`
-        *,
-        procurement_dump:procurement_id (
-          indent_number,
-          firm_name,
-          allocation:allocation_id (
-            branch_information:branch_id (
-              branch_name
-            )
-          )
-        )
-      `, { count: 'exact' })
-      .eq('payment_status', 'verified');
+    const changes = {
+      payment_mode: req.body.payment_mode ||
+        (account.id === payment.bank_account_id ? payment.payment_mode : account.default_payment_mode),
+      bank: account.bank_name,
+      bank_account_id: account.id,
+      beneficiary: beneficiaryDetails(account),
+      cdu_reference: payment.cdu_reference || cduReference(payment, payment.cdu_generated_at),
+      cdu_revision: (payment.cdu_revision || 1) + 1
+    };
 
-    // Role-based filtering
-    if (req.user.role === 'trader') {
-      query = query.eq('created_by', req.user.id);
+    if (changes.bank_account_id === payment.bank_account_id && changes.payment_mode === payment.payment_mode) {
+      return res.status(400).json({
+        success: false,
+        message: 'The CDU already carries this account and payment mode'
+      });
     }
 
-    const { data: verifiedPayments, error, count } = await query
-      .order('verified_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    const { data: updated, error } = await paymentRepository.update(payment.id, changes);
 
     if (error) {
       return res.status(500).json({
         success: false,
-        message: 'Failed to fetch verified payments',
+        message: 'Failed to revise CDU',
         error: error.message
       });
     }
 
-    const totalPages = Math.ceil(count / limit);
+    await auditRepository.log({
+      table_name: 'payments',
+      record_id: payment.id,
+      action: 'CDU_REVISED',
+      user_id: req.user.id,
+      old_values: {
+        payment_mode: payment.payment_mode,
+        bank_account_id: payment.bank_account_id,
+        beneficiary: payment.beneficiary,
+        cdu_revision: payment.cdu_revision
+      },
+      new_values: changes
+    });
 
     res.json({
       success: true,
+      message: `CDU revised to revision ${changes.cdu_revision}`,
       data: {
-        payments: verifiedPayments,
-        pagination: {
-          current_page: page,
-          total_pages: totalPages,
-          total_records: count,
-          has_next: page < totalPages,
-          has_previous: page > 1,
-          per_page: limit
-        }
+        payment_details: updated
       }
     });
   })
 );
 
 /**
- * @route   GET /api/payment/:id
- * @desc    Get payment details by ID
+ * @route   GET /api/payment/:id/advice
+ * @desc    Download the payment advice of a CDU as a PDF, printed from the
+ *          CDU's current revision
  * @access  Private
  */
-router.get('/:id', 
+router.get('/:id/advice',
   authenticateToken,
   validateParams(paramSchema),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-
-    const { data: payment, error } = await supabase
-      .from('payments')
-      .select(`
-        *,
-        procurement_dump:procurement_id (
-          *,
-          allocation:allocation_id (
-            indent_number,
-            branch_information:branch_id (
-              branch_name,
-              branch_code,
-              zone
-            )
-          )
-        ),
-        created_user:created_by (
-          first_name,
-          last_name,
-          email
-        ),
-        verified_user:verified_by (
-          first_name,
-          last_name,
-          email
-        )
-      `)
-      .eq('id', id)
-      .single();
+    const { data: payment, error } = await paymentRepository.findById(req.params.id);
 
     if (error || !payment) {
       return res.status(404).json({
@@ -384,58 +559,1406 @@ router.get('/:id',
       });
     }
 
-    res.json({
-      success: true,
-      data: {
-        payment
-      }
+    if (!payment.cdu_generated_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'No CDU has been generated for this installment'
+      });
+    }
+
+    const advice = adviceFor(payment);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${advice.file_name}"`,
+      'Content-Length': advice.content.length
     });
+    res.send(advice.content);
   })
 );
 
 /**
- * @route   POST /api/payment/send-reminder
- * @desc    Trigger n8n webhook to send payment reminders
- * @access  Private (Admin only)
+ * @route   POST /api/utr/submit
+ * @desc    Submit the UTR of a transfer paying a payment. A payment can be
+ *          paid in several transfers; amount defaults to what no submitted
+ *          UTR covers yet and cannot exceed it. The UTR must have the format
+ *          of the payment mode it was paid by and must not be in use on
+ *          another transfer. The submitter is the maker: a different admin
+ *          verifies or rejects the UTR, unless a bank statement line with the
+ *          UTR, amount and date verifies it first. The payment is verified
+ *          once its verified transfers reach the amount due.
+ * @access  Private
  */
-router.post('/send-reminder', 
+router.post('/submit', 
   authenticateToken,
-  authorizeRoles('admin'),
+  validateBody(utrSubmitSchema),
   asyncHandler(async (req, res) => {
-    const { payment_ids } = req.body;
+    const { payment_id, utr_number } = req.body;
 
-    if (!payment_ids || !Array.isArray(payment_ids)) {
+    // Check if payment exists
+    const { data: payment, error: paymentError } = await paymentRepository.findById(payment_id);
+
+    if (paymentError || !payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment record not found'
+      });
+    }
+
+    if (payment.payment_status === 'scheduled') {
       return res.status(400).json({
         success: false,
-        message: 'Payment IDs array is required'
+        message: 'Generate the CDU for this installment before submitting a UTR'
       });
     }
 
-    try {
-      // Trigger n8n webhook for payment reminders
-      const webhookUrl = `${process.env.N8N_BASE_URL}${process.env.N8N_PAYMENT_REMINDER_WEBHOOK}`;
-      
-      const response = await axios.post(webhookUrl, {
-        payment_ids,
-        triggered_by: req.user.id,
-        timestamp: new Date().toISOString()
+    if (payment.payment_status === 'verified') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment is already paid in full'
       });
+    }
 
-      // Log reminder trigger
-      await supabase
-        .from('audit_log')
-        .insert({
-          table_name: 'payments',
-          action: 'REMINDER_TRIGGERED',
-          user_id: req.user.id,
-          new_values: { payment_ids, n8n_response: response.data }
-        });
+    const { unclaimed } = summarizePayment(payment, payment.transactions);
+    const utr = normalizeUtr(utr_number);
+    const paymentMode = req.body.payment_mode || payment.payment_mode || PAYMENT_MODES.RTGS;
+    const amount = req.body.amount ?? unclaimed;
 
-      res.json({
-        success: true,
-        message: 'Payment reminders triggered successfully',
-        data: {
+    const { error: checkError } = await checkTransfer({
+      paymentId: payment_id,
+      utr,
+      paymentMode,
+      amount,
+      unclaimed,
+      userId: req.user.id
+    });
+
+    if (checkError) {
+      return sendTransferError(res, checkError);
+    }
+
+    const { data: transaction, error: createError } = await paymentTransactionRepository.create({
+      payment_id,
+      utr_number: utr,
+      payment_mode: paymentMode,
+      amount,
+      transaction_status: 'utr_submitted',
+      submitted_by: req.user.id
+    });
+
+    if (createError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record UTR',
+        error: createError.message
+      });
+    }
+
+    // Log UTR submission
+    await auditRepository.log({
+      table_name: 'payments',
+      record_id: payment_id,
+      action: 'UTR_SUBMITTED',
+      user_id: req.user.id,
+      new_values: {
+        transaction_id: transaction.id,
+        utr_number: utr,
+        payment_mode: paymentMode,
+        amount
+      }
+    });
+
+    res.json(await submittedTransferResponse(
+      transaction,
+      payment_id,
+      req.user.id,
+      'UTR submitted; awaiting verification by another user or a matching bank statement'
+    ));
+  })
+);
+
+/**
+ * @route   PUT /api/utr/transactions/:id
+ * @desc    Correct a rejected UTR. Only the user who submitted it can correct
+ *          it; the corrected UTR goes back for review.
+ * @access  Private
+ */
+router.put('/transactions/:id',
+  authenticateToken,
+  validateParams(paramSchema),
+  validateBody(utrCorrectSchema),
+  asyncHandler(async (req, res) => {
+    const { data: transaction } = await paymentTransactionRepository.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'UTR not found'
+      });
+    }
+
+    if (transaction.submitted_by !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the user who submitted the UTR can correct it'
+      });
+    }
+
+    if (transaction.transaction_status !== 'rejected') {
+      return res.status(409).json({
+        success: false,
+        message: `Only rejected UTRs can be corrected; this one is ${transaction.transaction_status}`
+      });
+    }
+
+    const { data: transactions, error: transactionsError } = await paymentTransactionRepository.listByPaymentId(transaction.payment_id);
+
+    if (transactionsError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch the transfers of the payment',
+        error: transactionsError.message
+      });
+    }
+
+    const { unclaimed } = summarizePayment(transaction.payment, transactions);
+    const utr = normalizeUtr(req.body.utr_number);
+    const paymentMode = req.body.payment_mode || transaction.payment_mode;
+    const amount = req.body.amount ?? Math.min(transaction.amount, unclaimed);
+
+    const { error: checkError } = await checkTransfer({
+      paymentId: transaction.payment_id,
+      transactionId: transaction.id,
+      utr,
+      paymentMode,
+      amount,
+      unclaimed,
+      userId: req.user.id
+    });
+
+    if (checkError) {
+      return sendTransferError(res, checkError);
+    }
+
+    const { data: updatedTransaction, error } = await paymentTransactionRepository.updateIfStatus(transaction.id, ['rejected'], {
+      utr_number: utr,
+      payment_mode: paymentMode,
+      amount,
+      transaction_status: 'utr_submitted',
+      submitted_at: new Date().toISOString(),
+      reviewed_by: null,
+      reviewed_at: null,
+      rejection_reason: null
+    });
+
+    if (error) {
+      return sendReviewUpdateError(res, error);
+    }
+
+    await auditRepository.log({
+      table_name: 'payments',
+      record_id: transaction.payment_id,
+      action: 'UTR_CORRECTED',
+      user_id: req.user.id,
+      old_values: {
+        transaction_id: transaction.id,
+        utr_number: transaction.utr_number,
+        amount: transaction.amount,
+        rejection_reason: transaction.rejection_reason
+      },
+      new_values: { utr_number: utr, payment_mode: paymentMode, amount }
+    });
+
+    res.json(await submittedTransferResponse(
+      updatedTransaction,
+      transaction.payment_id,
+      req.user.id,
+      'UTR corrected; awaiting verification by another user or a matching bank statement'
+    ));
+  })
+);
+
+/**
+ * @route   GET /api/utr/review
+ * @desc    Get UTRs in review: submitted, under review or rejected, each with
+ *          its payment and warnings for duplicate UTRs and bank amount mismatches
+ * @access  Private (Admin only)
+ */
+router.get('/review',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(utrReviewQuerySchema),
+  asyncHandler(async (req, res) => {
+    const statuses = req.query.status ? [req.query.status] : UTR_REVIEW_STATUSES;
+
+    const { data: transactions, error } = await paymentTransactionRepository.listByStatus(statuses);
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch UTRs in review',
+        error: error.message
+      });
+    }
+
+    const { data: warnings, error: warningsError } = await loadUtrWarnings(transactions);
+
+    if (warningsError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check UTRs',
+        error: warningsError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transactions: transactions.map(transaction => ({ ...transaction, warnings: warnings[transaction.id] })),
+        counts: Object.fromEntries(UTR_REVIEW_STATUSES.map(status => [
+          status,
+          transactions.filter(transaction => transaction.transaction_status === status).length
+        ]))
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/utr/transactions/:id/review
+ * @desc    Take a submitted UTR under review. The checker must not be the
+ *          user who submitted it.
+ * @access  Private (Admin only)
+ */
+router.post('/transactions/:id/review',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { data: transaction, error: checkError } = await findTransactionForReview(req.params.id, req.user.id, ['utr_submitted']);
+
+    if (checkError) {
+      return res.status(checkError.statusCode).json({
+        success: false,
+        message: checkError.message
+      });
+    }
+
+    const { data: updatedTransaction, error } = await paymentTransactionRepository.updateIfStatus(transaction.id, ['utr_submitted'], {
+      transaction_status: 'under_review',
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString()
+    });
+
+    if (error) {
+      return sendReviewUpdateError(res, error);
+    }
+
+    await auditRepository.log({
+      table_name: 'payments',
+      record_id: transaction.payment_id,
+      action: 'UTR_REVIEW_STARTED',
+      user_id: req.user.id,
+      old_values: { transaction_status: transaction.transaction_status },
+      new_values: {
+        transaction_id: transaction.id,
+        transaction_status: 'under_review',
+        utr_number: transaction.utr_number
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'UTR taken under review',
+      data: {
+        transaction: updatedTransaction
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/utr/transactions/:id/verify
+ * @desc    Verify a submitted UTR and add its amount to what has been paid;
+ *          the payment is verified once paid in full. The checker must not be
+ *          the user who submitted it.
+ * @access  Private (Admin only)
+ */
+router.post('/transactions/:id/verify',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const statuses = ['utr_submitted', 'under_review'];
+    const { data: transaction, error: checkError } = await findTransactionForReview(req.params.id, req.user.id, statuses);
+
+    if (checkError) {
+      return res.status(checkError.statusCode).json({
+        success: false,
+        message: checkError.message
+      });
+    }
+
+    const { data: verified, error } = await paymentTransactionRepository.verify({
+      transactionId: transaction.id,
+      userId: req.user.id
+    });
+
+    if (error) {
+      // P0001 is raised by the function itself when the UTR was reviewed meanwhile
+      return res.status(error.code === 'P0001' ? 409 : 500).json({
+        success: false,
+        message: 'UTR was not verified; all changes were rolled back',
+        error: error.message,
+        rolled_back: true
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'payments',
+      record_id: transaction.payment_id,
+      action: 'UTR_VERIFIED',
+      user_id: req.user.id,
+      old_values: { transaction_status: transaction.transaction_status },
+      new_values: {
+        transaction_id: transaction.id,
+        transaction_status: 'verified',
+        utr_number: transaction.utr_number,
+        amount: transaction.amount,
+        submitted_by: transaction.submitted_by,
+        amount_paid: verified.payment.amount_paid
+      }
+    });
+
+    const balance = summarizePayment(verified.payment, []);
+
+    res.json({
+      success: true,
+      message: verified.payment.payment_status === 'verified'
+        ? 'UTR verified; the payment is paid in full'
+        : `UTR verified; ₹${balance.outstanding.toLocaleString('en-IN')} of the payment is outstanding`,
+      data: {
+        transaction: verified.transaction,
+        payment: verified.payment
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/utr/transactions/:id/reject
+ * @desc    Reject a submitted UTR with a reason. The submitter can then correct it.
+ * @access  Private (Admin only)
+ */
+router.post('/transactions/:id/reject',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(utrRejectSchema),
+  asyncHandler(async (req, res) => {
+    const statuses = ['utr_submitted', 'under_review'];
+    const { data: transaction, error: checkError } = await findTransactionForReview(req.params.id, req.user.id, statuses);
+
+    if (checkError) {
+      return res.status(checkError.statusCode).json({
+        success: false,
+        message: checkError.message
+      });
+    }
+
+    const { data: updatedTransaction, error } = await paymentTransactionRepository.updateIfStatus(transaction.id, statuses, {
+      transaction_status: 'rejected',
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString(),
+      rejection_reason: req.body.reason
+    });
+
+    if (error) {
+      return sendReviewUpdateError(res, error);
+    }
+
+    await auditRepository.log({
+      table_name: 'payments',
+      record_id: transaction.payment_id,
+      action: 'UTR_REJECTED',
+      user_id: req.user.id,
+      old_values: {
+        transaction_id: transaction.id,
+        transaction_status: transaction.transaction_status,
+        utr_number: transaction.utr_number
+      },
+      new_values: { transaction_status: 'rejected', rejection_reason: req.body.reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'UTR rejected; the submitter can correct it',
+      data: {
+        transaction: updatedTransaction
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/utr/pending
+ * @desc    Get overdue payments with an amount no submitted UTR covers yet,
+ *          with the late payment charges accrued on each
+ * @access  Private (Admin only)
+ */
+router.get('/pending', 
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const { data: calendar, error: calendarError } = await loadHolidayCalendar(resolveStateCode(company));
+
+    if (calendarError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holiday calendar',
+        error: calendarError.message
+      });
+    }
+
+    // Payments become overdue once the grace period of business days has passed
+    const today = new Date();
+    const { data: pendingPayments, error } = await paymentRepository.listAwaitingUtr(
+      addBusinessDays(today, -UTR_GRACE_DAYS, calendar)
+    );
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch pending payments',
+        error: error.message
+      });
+    }
+
+    // Calculate overdue business days for each payment still short of UTRs
+    const overduePayments = pendingPayments
+      .map(payment => ({
+        ...payment,
+        balance: summarizePayment(payment, payment.transactions),
+        overdue_days: businessDaysBetween(payment.due_date, today, calendar)
+      }))
+      .filter(payment => payment.balance.unclaimed > 0);
+
+    const { data: penalties, error: penaltyError } = await loadPenalties(overduePayments, calendar, today);
+
+    if (penaltyError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to calculate late payment charges',
+        error: penaltyError.message
+      });
+    }
+
+    const paymentsWithOverdue = overduePayments.map(payment => ({
+      ...payment,
+      penalty: penalties.charges[payment.id] || null
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        pending_payments: paymentsWithOverdue,
+        count: paymentsWithOverdue.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/payment/verified
+ * @desc    Get all verified payments
+ * @access  Private
+ */
+router.get('/verified', 
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    console.log("page", page);
+    console.log("limit", limit);
+    console.log("offset", offset);
+
+    // Role-based filtering
+    const createdBy = req.user.role === 'trader' ? req.user.id : undefined;
+
+    const { data: verifiedPayments, error, count } = await paymentRepository.listVerified({
+      createdBy,
+      offset,
+      limit
+    });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch verified payments',
+        error: error.message
+      });
+    }
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        payments: verifiedPayments,
+        pagination: {
+          current_page: page,
+          total_pages: totalPages,
+          total_records: count,
+          has_next: page < totalPages,
+          has_previous: page > 1,
+          per_page: limit
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/payment/bank-files/templates
+ * @desc    List the bank file templates payment batches can be written with
+ * @access  Private (Admin only)
+ */
+router.get('/bank-files/templates',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const { data: templates, error } = await bankPaymentRepository.listTemplates();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch bank file templates',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        sources: {
+          line: LINE_SOURCES,
+          batch: BATCH_SOURCES
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/payment/bank-files/templates
+ * @desc    Add the bulk payment file layout of a bank
+ * @access  Private (Admin only)
+ */
+router.post('/bank-files/templates',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(bankFileTemplateSchema),
+  asyncHandler(async (req, res) => {
+    const errors = validateTemplate(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const { data: existing } = await bankPaymentRepository.findTemplateByName(req.body.template_name);
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `A template named ${req.body.template_name} already exists`
+      });
+    }
+
+    const { data: template, error } = await bankPaymentRepository.createTemplate({
+      ...req.body,
+      is_active: true,
+      created_by: req.user.id
+    });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create bank file template',
+        error: error.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'bank_file_templates',
+      record_id: template.id,
+      action: 'BANK_FILE_TEMPLATE_CREATED',
+      user_id: req.user.id,
+      new_values: template
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bank file template created',
+      data: {
+        template
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/payment/bank-files/templates/:id
+ * @desc    Change or deactivate a bank file template. Batches already written
+ *          with it are downloaded in the new layout.
+ * @access  Private (Admin only)
+ */
+router.put('/bank-files/templates/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(bankFileTemplateUpdateSchema),
+  asyncHandler(async (req, res) => {
+    const { data: existing, error: findError } = await bankPaymentRepository.findTemplateById(req.params.id);
+
+    if (findError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bank file template not found'
+      });
+    }
+
+    const errors = validateTemplate({ ...existing, ...req.body });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (req.body.template_name && req.body.template_name !== existing.template_name) {
+      const { data: sameName } = await bankPaymentRepository.findTemplateByName(req.body.template_name);
+
+      if (sameName) {
+        return res.status(409).json({
+          success: false,
+          message: `A template named ${req.body.template_name} already exists`
+        });
+      }
+    }
+
+    const { data: template, error } = await bankPaymentRepository.updateTemplate(req.params.id, {
+      ...req.body,
+      updated_at: new Date().toISOString()
+    });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update bank file template',
+        error: error.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'bank_file_templates',
+      record_id: template.id,
+      action: 'BANK_FILE_TEMPLATE_UPDATED',
+      user_id: req.user.id,
+      old_values: existing,
+      new_values: req.body
+    });
+
+    res.json({
+      success: true,
+      message: 'Bank file template updated',
+      data: {
+        template
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/payment/bank-files
+ * @desc    Put payments in a batch for the bank to pay on a value date and
+ *          write its bulk upload file. Each payment is paid what no submitted
+ *          UTR covers yet, into the beneficiary account on its CDU, and
+ *          carries the batch until the bank's response is imported.
+ * @access  Private (Admin only)
+ */
+router.post('/bank-files',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateBody(bankFileSchema),
+  asyncHandler(async (req, res) => {
+    const { payment_ids, template_id } = req.body;
+    const valueDate = toDateString(req.body.value_date);
+
+    const [
+      { data: template, error: templateError },
+      { data: calendar, error: calendarError }
+    ] = await Promise.all([
+      bankPaymentRepository.findTemplateById(template_id),
+      loadHolidayCalendar(resolveStateCode(company))
+    ]);
+
+    if (templateError || !template || !template.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bank file template not found or inactive'
+      });
+    }
+
+    if (calendarError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holiday calendar',
+        error: calendarError.message
+      });
+    }
+
+    if (valueDate < toDateString(new Date()) || !isBusinessDay(valueDate, calendar)) {
+      return res.status(400).json({
+        success: false,
+        message: `Value date must be today or a later business day; the next one is ${toDateString(nextBusinessDay(new Date(), calendar))}`
+      });
+    }
+
+    const { data: lines, error: linesError } = await bankFileLines(payment_ids);
+
+    if (linesError) {
+      return res.status(linesError.statusCode || 500).json({
+        success: false,
+        message: linesError.message,
+        ...(linesError.errors && { errors: linesError.errors })
+      });
+    }
+
+    // Write the file as the batch will be numbered before creating it, so
+    // payments that do not fit the bank's layout are never put in a batch
+    const day = toDateString(new Date()).replace(/-/g, '');
+    const preview = writeBankFile(
+      {
+        batch_number: `BP-${day}-000`,
+        value_date: valueDate,
+        line_count: lines.length,
+        total_amount: toRupees(sum(lines.map(line => toPaise(line.amount))))
+      },
+      lines.map((line, index) => ({
+        ...line,
+        line_number: index + 1,
+        reference: `BP${day}000${String(index + 1).padStart(3, '0')}`
+      })),
+      template
+    );
+
+    if (preview.errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: `The payments do not fit the ${template.template_name} layout`,
+        errors: preview.errors.map(message => ({ field: 'payment_ids', message }))
+      });
+    }
+
+    const { data: batch, error } = await bankPaymentRepository.createBatch({
+      templateId: template_id,
+      valueDate,
+      lines: lines.map(({ payment, ...line }) => line),
+      userId: req.user.id
+    });
+
+    if (error) {
+      // P0001 is raised by the function itself, e.g. when a payment went into another batch meanwhile
+      return res.status(error.code === 'P0001' || error.code === '23505' ? 409 : 500).json({
+        success: false,
+        message: 'Batch was not created; all changes were rolled back',
+        error: error.message,
+        rolled_back: true
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Batch ${batch.batch_number} created with ${batch.line_count} payments totalling ₹${Number(batch.total_amount).toLocaleString('en-IN')}`,
+      data: {
+        batch,
+        file_name: batchFileName(template, batch)
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/payment/bank-files
+ * @desc    List payment batches, newest first
+ * @access  Private (Admin only)
+ */
+router.get('/bank-files',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateQuery(bankFileListSchema),
+  asyncHandler(async (req, res) => {
+    const { page, limit, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { data: batches, error, count } = await bankPaymentRepository.listBatches({ status, offset, limit });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch payment batches',
+        error: error.message
+      });
+    }
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        batches,
+        pagination: {
+          current_page: page,
+          total_pages: totalPages,
+          total_records: count,
+          has_next: page < totalPages,
+          has_previous: page > 1,
+          per_page: limit
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/payment/bank-files/:id
+ * @desc    Get a payment batch with its lines and how many the bank has paid
+ * @access  Private (Admin only)
+ */
+router.get('/bank-files/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const [
+      { data: batch, error },
+      { data: lines, error: linesError }
+    ] = await Promise.all([
+      bankPaymentRepository.findBatchById(req.params.id),
+      bankPaymentRepository.listLines(req.params.id)
+    ]);
+
+    if (error || !batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment batch not found'
+      });
+    }
+
+    if (linesError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch batch lines',
+        error: linesError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        batch,
+        lines,
+        summary: Object.values(LINE_STATUSES).reduce((summary, status) => ({
+          ...summary,
+          [status]: lines.filter(line => line.line_status === status).length
+        }), {})
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/payment/bank-files/:id/file
+ * @desc    Download the bulk upload file of a batch
+ * @access  Private (Admin only)
+ */
+router.get('/bank-files/:id/file',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { data: batch, error } = await bankPaymentRepository.findBatchById(req.params.id);
+
+    if (error || !batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment batch not found'
+      });
+    }
+
+    const { data: template, error: templateError } = await bankPaymentRepository.findTemplateById(batch.template_id);
+
+    if (templateError || !template) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch the bank file template of this batch'
+      });
+    }
+
+    const { data: lines, error: linesError } = await bankPaymentRepository.listLines(batch.id);
+
+    if (linesError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch batch lines',
+        error: linesError.message
+      });
+    }
+
+    const file = writeBankFile(batch, lines, template);
+
+    if (file.errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: `The batch no longer fits the ${template.template_name} layout`,
+        errors: file.errors.map(message => ({ field: 'template', message }))
+      });
+    }
+
+    res.set({
+      'Content-Type': template.file_format === FILE_FORMATS.CSV ? 'text/csv' : 'text/plain',
+      'Content-Disposition': `attachment; filename="${file.file_name}"`,
+      'Content-Length': file.content.length
+    });
+    res.send(file.content);
+  })
+);
+
+/**
+ * @route   POST /api/payment/bank-files/:id/response
+ * @desc    Import the response file the bank returned for a batch. Each
+ *          payment the bank made has its UTR submitted on the importer's
+ *          behalf, and is verified like any submitted UTR: by a bank statement
+ *          line or by a different admin. Failed payments are released for
+ *          another batch. Lines already settled by an earlier import are skipped.
+ * @access  Private (Admin only)
+ */
+router.post('/bank-files/:id/response',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Response file is required'
+      });
+    }
+
+    const [
+      { data: batch, error },
+      { data: lines, error: linesError }
+    ] = await Promise.all([
+      bankPaymentRepository.findBatchById(req.params.id),
+      bankPaymentRepository.listLines(req.params.id)
+    ]);
+
+    if (error || !batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment batch not found'
+      });
+    }
+
+    if (linesError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch batch lines',
+        error: linesError.message
+      });
+    }
+
+    const { data: template, error: templateError } = await bankPaymentRepository.findTemplateById(batch.template_id);
+
+    if (templateError || !template) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch the bank file template of this batch'
+      });
+    }
+
+    const { rows, errors } = parseResponseFile(template, req.file.buffer.toString('utf8'));
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const results = [];
+    for (const row of rows) {
+      const line = lines.find(candidate => candidate.reference === row.reference);
+
+      if (!line) {
+        results.push({ reference: row.reference, result: 'unknown', message: `Row ${row.row_number}: no payment in ${batch.batch_number} has this reference` });
+      } else if (line.line_status !== LINE_STATUSES.PENDING) {
+        results.push({ reference: row.reference, result: 'skipped', message: `Already ${line.line_status}` });
+      } else {
+        results.push({ reference: row.reference, ...await applyBankResponse(line, row, req.user.id) });
+      }
+    }
+
+    const { data: updatedLines, error: reloadError } = await bankPaymentRepository.listLines(batch.id);
+
+    if (reloadError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch batch lines',
+        error: reloadError.message
+      });
+    }
+
+    const open = updatedLines.some(line => line.line_status === LINE_STATUSES.PENDING);
+    const { data: updatedBatch, error: updateError } = await bankPaymentRepository.updateBatch(batch.id, {
+      batch_status: open ? BATCH_STATUSES.GENERATED : BATCH_STATUSES.CLOSED,
+      response_file_name: req.file.originalname,
+      response_imported_by: req.user.id,
+      response_imported_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+
+    if (updateError) {
+      console.error('Failed to record the bank response on the batch:', updateError);
+    }
+
+    const summary = ['paid', 'failed', 'error', 'skipped', 'unknown'].reduce((counts, result) => ({
+      ...counts,
+      [result]: results.filter(item => item.result === result).length
+    }), {});
+
+    await auditRepository.log({
+      table_name: 'bank_payment_batches',
+      record_id: batch.id,
+      action: 'BANK_PAYMENT_RESPONSE_IMPORTED',
+      user_id: req.user.id,
+      new_values: {
+        file_name: req.file.originalname,
+        ...summary
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Response imported: ${summary.paid} paid, ${summary.failed} failed` +
+        `${summary.error > 0 ? `, ${summary.error} could not be recorded` : ''}` +
+        `${open ? '' : `; ${batch.batch_number} is closed`}`,
+      data: {
+        batch: updatedBatch || batch,
+        lines: updatedLines,
+        results,
+        summary,
+        errors
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/payment/:id
+ * @desc    Get payment details by ID with its transfers, each with UTR
+ *          warnings, the amount paid and outstanding, and the late payment
+ *          charges accrued on it
+ * @access  Private
+ */
+router.get('/:id', 
+  authenticateToken,
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { data: payment, error } = await paymentRepository.findById(id);
+
+    if (error || !payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const { data: installments, error: scheduleError } = await paymentRepository.listByProcurementId(payment.procurement_id);
+
+    if (scheduleError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch payment schedule',
+        error: scheduleError.message
+      });
+    }
+
+    const { data: warnings, error: warningsError } = await loadUtrWarnings(payment.transactions);
+
+    if (warningsError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check UTR',
+        error: warningsError.message
+      });
+    }
+
+    const { data: calendar, error: calendarError } = await loadHolidayCalendar(resolveStateCode(company));
+
+    if (calendarError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holiday calendar',
+        error: calendarError.message
+      });
+    }
+
+    const { data: penalties, error: penaltyError } = await loadPenalties([payment], calendar, new Date());
+
+    if (penaltyError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to calculate late payment charges',
+        error: penaltyError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payment: {
+          ...payment,
+          transactions: payment.transactions.map(transaction => ({ ...transaction, warnings: warnings[transaction.id] }))
+        },
+        balance: summarizePayment(payment, payment.transactions),
+        penalty: penalties.charges[payment.id] || null,
+        schedule: {
+          installments,
+          summary: summarizeSchedule(installments)
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/payment/:id/penalty
+ * @desc    Add the late payment charges accrued on a payment, less those
+ *          already charged, to its indent's schedule as a penalty installment.
+ *          The installment is due on the next business day and needs its own
+ *          CDU like any other.
+ * @access  Private (Admin only)
+ */
+router.post('/:id/penalty',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { data: payment, error } = await paymentRepository.findById(req.params.id);
+
+    if (error || !payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.payment_type === PAYMENT_TYPES.PENALTY) {
+      return res.status(400).json({
+        success: false,
+        message: 'Late payment charges are not charged on a penalty installment'
+      });
+    }
+
+    const { data: calendar, error: calendarError } = await loadHolidayCalendar(resolveStateCode(company));
+
+    if (calendarError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holiday calendar',
+        error: calendarError.message
+      });
+    }
+
+    const today = new Date();
+    const { data: penalties, error: penaltyError } = await loadPenalties([payment], calendar, today);
+
+    if (penaltyError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to calculate late payment charges',
+        error: penaltyError.message
+      });
+    }
+
+    if (!penalties.config) {
+      return res.status(422).json({
+        success: false,
+        message: 'No effective trading configuration for PENALTY_RULES'
+      });
+    }
+
+    const penalty = penalties.charges[payment.id];
+
+    if (penalty.due <= 0) {
+      return res.status(409).json({
+        success: false,
+        message: penalty.total > 0
+          ? 'Late payment charges on this payment are already in the schedule'
+          : 'No late payment charges have accrued on this payment',
+        data: { penalty }
+      });
+    }
+
+    const { data: installments, error: scheduleError } = await paymentRepository.listByProcurementId(payment.procurement_id);
+
+    if (scheduleError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch payment schedule',
+        error: scheduleError.message
+      });
+    }
+
+    const { data: installment, error: createError } = await paymentRepository.create({
+      procurement_id: payment.procurement_id,
+      installment_number: Math.max(...installments.map(line => line.installment_number)) + 1,
+      installment_name: `Late payment charges - ${payment.installment_name || payment.payment_type}`,
+      payment_type: PAYMENT_TYPES.PENALTY,
+      amount: penalty.due,
+      amount_paid: 0,
+      due_date: addBusinessDays(today, 1, calendar),
+      payment_status: 'scheduled',
+      penalty_for_payment_id: payment.id,
+      penalty_details: {
+        ...penalty,
+        as_of: toDateString(today),
+        rules: penalties.config.config_value,
+        config_version: { id: penalties.config.id, version: penalties.config.version }
+      },
+      created_by: req.user.id
+    });
+
+    if (createError) {
+      return res.status(createError.code === '23505' ? 409 : 500).json({
+        success: false,
+        message: createError.code === '23505'
+          ? 'The payment schedule changed while adding the charges; try again'
+          : 'Failed to add late payment charges',
+        error: createError.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'payments',
+      record_id: installment.id,
+      action: 'PENALTY_ADDED',
+      user_id: req.user.id,
+      new_values: {
+        penalty_for_payment_id: payment.id,
+        installment_number: installment.installment_number,
+        amount: installment.amount,
+        chargeable_days: penalty.chargeable_days,
+        interest: penalty.interest,
+        late_fee: penalty.late_fee,
+        config_version: penalties.config.version
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Late payment charges of ₹${penalty.due.toLocaleString('en-IN')} added to the schedule`,
+      data: {
+        installment,
+        penalty
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/payment/send-reminder
+ * @desc    Trigger n8n webhook to send payment reminders, with the payment
+ *          advice of each payment that has a CDU attached
+ * @access  Private (Admin only)
+ */
+router.post('/send-reminder', 
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const { payment_ids } = req.body;
+
+    if (!payment_ids || !Array.isArray(payment_ids)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment IDs array is required'
+      });
+    }
+
+    const results = await Promise.all(payment_ids.map(id => paymentRepository.findById(id)));
+    const failed = results.find(({ error }) => error && error.code !== 'PGRST116');
+
+    if (failed) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch payments',
+        error: failed.error.message
+      });
+    }
+
+    const attachments = results
+      .map(({ data }) => data)
+      .filter(payment => payment && payment.cdu_generated_at)
+      .map(payment => {
+        const advice = adviceFor(payment);
+        return {
+          payment_id: payment.id,
+          cdu_reference: advice.cdu_reference,
+          file_name: advice.file_name,
+          content_type: 'application/pdf',
+          content_base64: advice.content.toString('base64')
+        };
+      });
+
+    try {
+      // Trigger n8n webhook for payment reminders
+      const webhookUrl = `${process.env.N8N_BASE_URL}${process.env.N8N_PAYMENT_REMINDER_WEBHOOK}`;
+      
+      const response = await axios.post(webhookUrl, {
+        payment_ids,
+        attachments,
+        triggered_by: req.user.id,
+        timestamp: new Date().toISOString()
+      });
+
+      // Log reminder trigger
+      await auditRepository.log({
+        table_name: 'payments',
+        action: 'REMINDER_TRIGGERED',
+        user_id: req.user.id,
+        new_values: { payment_ids, n8n_response: response.data }
+      });
+
+      res.json({
+        success: true,
+        message: 'Payment reminders triggered successfully',
+        data: {
           triggered_count: payment_ids.length,
+          attachment_count: attachments.length,
           n8n_response: response.data
         }
       });
@@ -450,4 +1973,683 @@ router.post('/send-reminder',
   })
 );
 
+/**
+ * Helper function to check the UTR and amount of a new or corrected transfer:
+ * the UTR must have the format of its payment mode and identify no other
+ * transfer, and the amount must fit in what no submitted UTR covers yet
+ * @param {Object} params
+ * @param {string} params.paymentId - Payment the transfer pays
+ * @param {string} [params.transactionId] - Transfer being corrected
+ * @param {string} params.utr - Normalised UTR
+ * @param {string} params.paymentMode - One of PAYMENT_MODES
+ * @param {number} params.amount - Rupees
+ * @param {number} params.unclaimed - Rupees of the payment no other UTR covers
+ * @param {string} params.userId - Submitting user
+ * @returns {Promise<{ error: { message: string, statusCode: number, errors?: Object[], duplicates?: Object[] }|null }>}
+ */
+async function checkTransfer({ paymentId, transactionId, utr, paymentMode, amount, unclaimed, userId }) {
+  if (unclaimed <= 0) {
+    return {
+      error: {
+        message: 'Submitted UTRs already cover the full amount; wait for them to be verified',
+        statusCode: 400
+      }
+    };
+  }
+
+  const errors = [];
+  const formatError = validateUtr(utr, paymentMode);
+
+  if (formatError) {
+    errors.push({ field: 'utr_number', message: formatError });
+  }
+
+  if (toPaise(amount) > toPaise(unclaimed)) {
+    errors.push({
+      field: 'amount',
+      message: `Amount cannot exceed the ₹${unclaimed.toLocaleString('en-IN')} not yet covered by submitted UTRs`
+    });
+  }
+
+  if (errors.length > 0) {
+    return { error: { message: 'Validation failed', statusCode: 400, errors } };
+  }
+
+  // A UTR identifies one transfer, so it can be recorded only once
+  const { data: sameUtr, error } = await paymentTransactionRepository.listByUtrNumbers([utr]);
+
+  if (error) {
+    return { error: { message: 'Failed to check UTR for duplicates', statusCode: 500 } };
+  }
+
+  const duplicates = sameUtr.filter(other => other.id !== transactionId && other.transaction_status !== 'rejected');
+
+  if (duplicates.length > 0) {
+    await auditRepository.log({
+      table_name: 'payments',
+      record_id: paymentId,
+      action: 'DUPLICATE_UTR_BLOCKED',
+      user_id: userId,
+      new_values: { utr_number: utr, used_on: duplicates.map(other => other.payment_id) }
+    });
+
+    return {
+      error: {
+        message: `UTR ${utr} is already used on ${duplicates[0].payment?.installment_name || 'a payment'} for Indent ${duplicates[0].payment?.procurement_dump?.indent_number}`,
+        statusCode: 409,
+        duplicates
+      }
+    };
+  }
+
+  return { error: null };
+}
+
+/**
+ * Helper function to report a rejected transfer
+ * @param {Object} res - Express response
+ * @param {Object} error - Error from checkTransfer
+ */
+function sendTransferError(res, error) {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    ...(error.errors && { errors: error.errors }),
+    ...(error.duplicates && { data: { duplicates: error.duplicates } })
+  });
+}
+
+/**
+ * Helper function to reconcile a newly submitted or corrected UTR and build
+ * the response: the transfer, the payment with its balance, and any warnings
+ * @param {Object} transaction - payment_transactions row
+ * @param {string} paymentId - Payment ID
+ * @param {string} userId - Submitting user
+ * @param {string} message - Response message when the UTR awaits verification
+ * @returns {Promise<Object>} Response body
+ */
+async function submittedTransferResponse(transaction, paymentId, userId, message) {
+  // A statement imported before the UTR was known may already show the transfer
+  const { data: reconciliation, error: reconcileError } = await reconcileSubmittedUtr(transaction, paymentId, userId);
+
+  if (reconcileError) {
+    console.error('Reconciliation after UTR submission failed:', reconcileError);
+  }
+
+  const [
+    { data: payment, error: paymentError },
+    { data: warnings, error: warningsError }
+  ] = await Promise.all([
+    paymentRepository.findById(paymentId),
+    loadUtrWarnings([transaction])
+  ]);
+
+  if (paymentError) {
+    console.error('Failed to reload payment after UTR submission:', paymentError);
+  }
+
+  if (warningsError) {
+    console.error('UTR checks after submission failed:', warningsError);
+  }
+
+  const verified = reconciliation?.match_status === MATCH_STATUS.MATCHED;
+
+  return {
+    success: true,
+    message: verified
+      ? `UTR verified against the bank statement${payment?.payment_status === 'verified' ? '; the payment is paid in full' : ''}`
+      : message,
+    data: {
+      transaction: payment?.transactions.find(candidate => candidate.id === transaction.id) || transaction,
+      payment,
+      balance: payment ? summarizePayment(payment, payment.transactions) : null,
+      reconciliation: reconciliation || null,
+      warnings: warnings?.[transaction.id] || []
+    }
+  };
+}
+
+/**
+ * Helper function to match a newly submitted UTR against statement lines that
+ * no transfer has settled. A full match verifies the transfer; otherwise the
+ * line is left for review with the payment suggested.
+ * @param {Object} transaction - payment_transactions row
+ * @param {string} paymentId - Payment ID
+ * @param {string} userId - User submitting the UTR
+ * @returns {Promise<{ data: { match_status: string, line_id: string }|null, error: Object|null }>}
+ */
+async function reconcileSubmittedUtr(transaction, paymentId, userId) {
+  const { data: lines, error } = await bankStatementRepository.listOpenLinesByUtr(transaction.utr_number);
+
+  if (error || lines.length === 0) {
+    return { data: null, error };
+  }
+
+  const [
+    { data: calendar, error: calendarError },
+    { data: payment, error: paymentError }
+  ] = await Promise.all([
+    loadHolidayCalendar(resolveStateCode(company)),
+    paymentRepository.findById(paymentId)
+  ]);
+
+  if (calendarError || paymentError) {
+    return { data: null, error: calendarError || paymentError };
+  }
+
+  const results = matchStatementLines(lines, [payment], calendar)
+    .filter(result => result.transaction_id === transaction.id);
+  const line = results.find(result => result.match_status === MATCH_STATUS.MATCHED) ||
+    results.find(result => result.match_status === MATCH_STATUS.PARTIAL && !lines.find(open => open.id === result.id).payment_id);
+
+  if (!line) {
+    return { data: null, error: null };
+  }
+
+  const { error: matchError } = line.match_status === MATCH_STATUS.MATCHED
+    ? await bankStatementRepository.confirmMatch({ lineId: line.id, paymentId, userId })
+    : await bankStatementRepository.updateLine(line.id, {
+      match_status: line.match_status,
+      payment_id: paymentId,
+      transaction_id: transaction.id,
+      match_details: line.match_details
+    });
+
+  if (matchError) {
+    return { data: null, error: matchError };
+  }
+
+  return { data: { match_status: line.match_status, line_id: line.id }, error: null };
+}
+
+/**
+ * Helper function to work out the batch line of each payment to be paid by
+ * bank file: what no submitted UTR covers yet, by the CDU's payment mode, into
+ * the CDU's beneficiary account. Every payment must be awaiting payment and
+ * not already in a batch awaiting the bank's response.
+ * @param {string[]} paymentIds - Payment IDs in file order
+ * @returns {Promise<{ data: Object[]|null, error: { message: string, statusCode: number, errors?: Object[] }|null }>}
+ * Lines with { payment_id, amount, payment_mode, beneficiary, payment }
+ */
+async function bankFileLines(paymentIds) {
+  const [
+    { data: payments, error },
+    { data: pendingLines, error: pendingError }
+  ] = await Promise.all([
+    paymentRepository.listByIds(paymentIds),
+    bankPaymentRepository.listPendingLines(paymentIds)
+  ]);
+
+  if (error || pendingError) {
+    return { data: null, error: { message: 'Failed to fetch payments', statusCode: 500 } };
+  }
+
+  const errors = [];
+  const lines = [];
+
+  paymentIds.forEach((paymentId, index) => {
+    const payment = payments.find(candidate => candidate.id === paymentId);
+    const field = `payment_ids[${index}]`;
+
+    if (!payment) {
+      errors.push({ field, message: 'Payment not found' });
+      return;
+    }
+
+    const label = `${payment.installment_name} for Indent ${payment.procurement_dump?.indent_number}`;
+    const { unclaimed } = summarizePayment(payment, payment.transactions);
+    const pendingLine = pendingLines.find(line => line.payment_id === paymentId);
+
+    let reason = null;
+    if (!payment.cdu_generated_at) {
+      reason = 'no CDU has been generated';
+    } else if (!['pending', 'partially_paid'].includes(payment.payment_status)) {
+      reason = 'it is already paid in full';
+    } else if (!payment.beneficiary) {
+      reason = 'the CDU has no beneficiary account; revise the CDU to choose one';
+    } else if (unclaimed <= 0) {
+      reason = 'submitted UTRs already cover the full amount';
+    } else if (pendingLine) {
+      reason = `it is in batch ${pendingLine.batch?.batch_number} awaiting the bank's response`;
+    }
+
+    if (reason) {
+      errors.push({ field, message: `${label} cannot be paid by bank file: ${reason}` });
+      return;
+    }
+
+    lines.push({
+      payment_id: paymentId,
+      amount: unclaimed,
+      payment_mode: payment.payment_mode || PAYMENT_MODES.RTGS,
+      beneficiary: payment.beneficiary,
+      payment
+    });
+  });
+
+  if (errors.length > 0) {
+    return { data: null, error: { message: 'Some payments cannot be paid by bank file', statusCode: 400, errors } };
+  }
+
+  return { data: lines, error: null };
+}
+
+/**
+ * Helper function to write the upload file of a batch. Payments whose CDU
+ * predates printed references are given theirs from the day it was generated.
+ * @param {Object} batch - bank_payment_batches row
+ * @param {Object[]} lines - Batch lines with their payment
+ * @param {Object} template - bank_file_templates row
+ * @returns {{ file_name: string, content: Buffer, errors: string[] }}
+ */
+function writeBankFile(batch, lines, template) {
+  const { content, errors } = buildPaymentFile(template, batch, lines.map(line => ({
+    ...line,
+    payment: line.payment && {
+      ...line.payment,
+      cdu_reference: line.payment.cdu_reference ||
+        (line.payment.cdu_generated_at && cduReference(line.payment, line.payment.cdu_generated_at))
+    }
+  })), company);
+
+  return {
+    file_name: batchFileName(template, batch),
+    content: Buffer.from(content, 'ascii'),
+    errors
+  };
+}
+
+/**
+ * Helper function to record the bank's response for one batch line. A paid
+ * line has its UTR submitted on the importer's behalf and reconciled like any
+ * submitted UTR; a failed line is released so the payment can go in another
+ * batch. The line is claimed first, so a response imported twice at once
+ * records each payment once.
+ * @param {Object} line - Pending bank_payment_batch_lines row
+ * @param {Object} row - Response row from parseResponseFile
+ * @param {string} userId - Importing user
+ * @returns {Promise<{ result: string, message: string, utr_number?: string, transaction_id?: string }>}
+ * result is paid, failed or error
+ */
+async function applyBankResponse(line, row, userId) {
+  const now = new Date().toISOString();
+
+  if (!row.paid) {
+    const { error } = await bankPaymentRepository.updateLineIfStatus(line.id, [LINE_STATUSES.PENDING], {
+      line_status: LINE_STATUSES.FAILED,
+      failure_reason: row.reason,
+      updated_at: now
+    });
+
+    if (error) {
+      return { result: 'error', message: 'The line was updated by another import' };
+    }
+
+    await paymentRepository.update(line.payment_id, { bank_batch_id: null, updated_at: now });
+    await auditRepository.log({
+      table_name: 'payments',
+      record_id: line.payment_id,
+      action: 'BANK_PAYMENT_FAILED',
+      user_id: userId,
+      new_values: { bank_batch_id: line.batch_id, reference: line.reference, reason: row.reason }
+    });
+
+    return { result: 'failed', message: row.reason };
+  }
+
+  const { error: claimError } = await bankPaymentRepository.updateLineIfStatus(line.id, [LINE_STATUSES.PENDING], {
+    line_status: LINE_STATUSES.PAID,
+    utr_number: row.utr_number,
+    updated_at: now
+  });
+
+  if (claimError) {
+    return { result: 'error', message: 'The line was updated by another import' };
+  }
+
+  const release = async message => {
+    await bankPaymentRepository.updateLineIfStatus(line.id, [LINE_STATUSES.PAID], {
+      line_status: LINE_STATUSES.PENDING,
+      utr_number: null,
+      updated_at: new Date().toISOString()
+    });
+    return { result: 'error', message };
+  };
+
+  const { data: payment, error: paymentError } = await paymentRepository.findById(line.payment_id);
+
+  if (paymentError || !payment) {
+    return release('Payment record not found');
+  }
+
+  const { unclaimed } = summarizePayment(payment, payment.transactions);
+  const { error: checkError } = await checkTransfer({
+    paymentId: line.payment_id,
+    utr: row.utr_number,
+    paymentMode: line.payment_mode,
+    amount: line.amount,
+    unclaimed,
+    userId
+  });
+
+  if (checkError) {
+    return release(checkError.errors ? checkError.errors.map(error => error.message).join('; ') : checkError.message);
+  }
+
+  const { data: transaction, error: createError } = await paymentTransactionRepository.create({
+    payment_id: line.payment_id,
+    utr_number: row.utr_number,
+    payment_mode: line.payment_mode,
+    amount: line.amount,
+    transaction_status: 'utr_submitted',
+    submitted_by: userId
+  });
+
+  if (createError) {
+    return release('Failed to record UTR');
+  }
+
+  await bankPaymentRepository.updateLineIfStatus(line.id, [LINE_STATUSES.PAID], {
+    transaction_id: transaction.id,
+    updated_at: new Date().toISOString()
+  });
+
+  await auditRepository.log({
+    table_name: 'payments',
+    record_id: line.payment_id,
+    action: 'UTR_SUBMITTED',
+    user_id: userId,
+    new_values: {
+      transaction_id: transaction.id,
+      utr_number: row.utr_number,
+      payment_mode: line.payment_mode,
+      amount: line.amount,
+      bank_batch_id: line.batch_id,
+      reference: line.reference
+    }
+  });
+
+  // A statement imported before the response may already show the transfer
+  const { data: reconciliation, error: reconcileError } = await reconcileSubmittedUtr(transaction, line.payment_id, userId);
+
+  if (reconcileError) {
+    console.error('Reconciliation after bank response import failed:', reconcileError);
+  }
+
+  return {
+    result: 'paid',
+    message: reconciliation?.match_status === MATCH_STATUS.MATCHED
+      ? 'UTR verified against the bank statement'
+      : 'UTR submitted; awaiting verification',
+    utr_number: row.utr_number,
+    transaction_id: transaction.id
+  };
+}
+
+/**
+ * Helper function to flag UTRs used on more than one transfer or whose bank
+ * statement entry shows a different amount
+ * @param {Object[]} transactions - payment_transactions rows
+ * @returns {Promise<{ data: Object<string, { type: string, message: string }[]>|null, error: Object|null }>}
+ * Warnings keyed by transaction ID
+ */
+async function loadUtrWarnings(transactions) {
+  if (transactions.length === 0) {
+    return { data: {}, error: null };
+  }
+
+  const utrNumbers = [...new Set(transactions.map(transaction => transaction.utr_number))];
+  const [
+    { data: related, error: relatedError },
+    { data: lines, error: linesError }
+  ] = await Promise.all([
+    paymentTransactionRepository.listByUtrNumbers(utrNumbers),
+    bankStatementRepository.listLinesForTransactions(transactions.map(transaction => transaction.id), utrNumbers)
+  ]);
+
+  if (relatedError || linesError) {
+    return { data: null, error: relatedError || linesError };
+  }
+
+  return {
+    data: Object.fromEntries(transactions.map(transaction => [
+      transaction.id,
+      utrWarnings(transaction, { transactions: related, lines })
+    ])),
+    error: null
+  };
+}
+
+/**
+ * Helper function to work out the late payment charges accrued on payments
+ * under the effective PENALTY_RULES, net of penalty lines already added
+ * @param {Object[]} payments - payments rows with their transactions
+ * @param {Object} calendar - Holiday calendar
+ * @param {Date} asOf - Charges accrue up to this date
+ * @returns {Promise<{ data: { config: Object|null, charges: Object<string, Object> }|null, error: Object|null }>}
+ * Charges keyed by payment ID; none when no PENALTY_RULES are in effect
+ */
+async function loadPenalties(payments, calendar, asOf) {
+  if (payments.length === 0) {
+    return { data: { config: null, charges: {} }, error: null };
+  }
+
+  const [
+    { data: configs, error: configError },
+    { data: penaltyLines, error: linesError }
+  ] = await Promise.all([
+    configurationRepository.findEffective(['PENALTY_RULES']),
+    paymentRepository.listPenaltyLines(payments.map(payment => payment.id))
+  ]);
+
+  if (configError || linesError) {
+    return { data: null, error: configError || linesError };
+  }
+
+  if (configs.length === 0) {
+    return { data: { config: null, charges: {} }, error: null };
+  }
+
+  return {
+    data: {
+      config: configs[0],
+      charges: Object.fromEntries(payments.map(payment => [
+        payment.id,
+        accruePenalty(
+          payment,
+          payment.transactions || [],
+          penaltyLines.filter(line => line.penalty_for_payment_id === payment.id),
+          configs[0].config_value,
+          calendar,
+          asOf
+        )
+      ]))
+    },
+    error: null
+  };
+}
+
+/**
+ * Helper function to load a transfer for a checker acting on its UTR. The
+ * checker must not be the maker, and a UTR under review belongs to the
+ * checker who took it.
+ * @param {string} transactionId - Transaction ID
+ * @param {string} userId - Checker
+ * @param {string[]} statuses - Statuses the transfer must be in
+ * @returns {Promise<{ data: Object|null, error: { message: string, statusCode: number }|null }>}
+ */
+async function findTransactionForReview(transactionId, userId, statuses) {
+  const { data: transaction } = await paymentTransactionRepository.findById(transactionId);
+
+  if (!transaction) {
+    return { data: null, error: { message: 'UTR not found', statusCode: 404 } };
+  }
+
+  if (!statuses.includes(transaction.transaction_status)) {
+    return {
+      data: null,
+      error: { message: `UTR cannot be reviewed while it is ${transaction.transaction_status}`, statusCode: 409 }
+    };
+  }
+
+  if (transaction.submitted_by === userId) {
+    return {
+      data: null,
+      error: { message: 'The user who submitted the UTR cannot review it', statusCode: 403 }
+    };
+  }
+
+  if (transaction.transaction_status === 'under_review' && transaction.reviewed_by !== userId) {
+    const reviewer = transaction.reviewed_user
+      ? `${transaction.reviewed_user.first_name} ${transaction.reviewed_user.last_name}`
+      : 'another user';
+    return {
+      data: null,
+      error: { message: `UTR is under review by ${reviewer}`, statusCode: 409 }
+    };
+  }
+
+  return { data: transaction, error: null };
+}
+
+/**
+ * Helper function to report a failed review update; PGRST116 means the
+ * UTR left the expected status meanwhile
+ * @param {Object} res - Express response
+ * @param {Object} error - Repository error
+ */
+function sendReviewUpdateError(res, error) {
+  const conflict = error.code === 'PGRST116';
+  return res.status(conflict ? 409 : 500).json({
+    success: false,
+    message: conflict ? 'UTR was updated by another user; reload and try again' : 'Failed to update UTR',
+    error: error.message
+  });
+}
+
+/**
+ * Helper function to pick the beneficiary account of a CDU: the one chosen,
+ * if it may receive the payment, else the best fit
+ * @param {Object} payment - payments row with its procurement_dump and allocation
+ * @param {string} [bankAccountId] - Account chosen
+ * @returns {Promise<{ data: Object|null, error: { message: string, statusCode: number }|null }>}
+ */
+async function selectBankAccount(payment, bankAccountId) {
+  const { data: accounts, error } = await bankAccountRepository.list({ activeOnly: true });
+
+  if (error) {
+    return { data: null, error: { message: 'Failed to fetch bank accounts', statusCode: 500 } };
+  }
+
+  const criteria = accountCriteria(payment);
+
+  if (bankAccountId) {
+    const account = accounts.find(candidate => candidate.id === bankAccountId);
+
+    if (!account) {
+      return { data: null, error: { message: 'Bank account not found or inactive', statusCode: 404 } };
+    }
+    if (!isEligible(account, criteria)) {
+      return {
+        data: null,
+        error: { message: `${account.account_name} does not receive ${payment.payment_type} payments for this branch`, statusCode: 400 }
+      };
+    }
+    return { data: account, error: null };
+  }
+
+  const [account] = rankAccounts(accounts, criteria);
+
+  if (!account) {
+    return {
+      data: null,
+      error: { message: `No active bank account receives ${payment.payment_type} payments for this branch; add one under Bank Accounts`, statusCode: 422 }
+    };
+  }
+  return { data: account, error: null };
+}
+
+/**
+ * Helper function to print the payment advice of a CDU. CDUs generated before
+ * references were kept are given theirs from the day they were generated.
+ * @param {Object} payment - payments row with a CDU and its procurement_dump
+ * @returns {{ cdu_reference: string, file_name: string, content: Buffer }}
+ */
+function adviceFor(payment) {
+  const printed = {
+    ...payment,
+    cdu_reference: payment.cdu_reference || cduReference(payment, payment.cdu_generated_at),
+    cdu_revision: payment.cdu_revision || 1
+  };
+
+  return {
+    cdu_reference: printed.cdu_reference,
+    file_name: adviceFileName(printed),
+    content: buildPaymentAdvice(printed, company)
+  };
+}
+
+/**
+ * Helper function to create the installments of a procurement record
+ * @param {Object} procurement - procurement_dump row
+ * @param {string} userId - User creating the schedule
+ * @returns {Promise<{ data: Object[]|null, error: { message: string, statusCode?: number }|null }>}
+ */
+async function createSchedule(procurement, userId) {
+  const { data: configs, error: configError } = await configurationRepository.findEffective(['PAYMENT_SCHEDULE']);
+
+  if (configError || configs.length === 0) {
+    return { data: null, error: { message: 'No effective trading configuration for PAYMENT_SCHEDULE' } };
+  }
+
+  const { data: calendar, error: calendarError } = await loadHolidayCalendar(resolveStateCode(company));
+
+  if (calendarError) {
+    return { data: null, error: { message: 'Failed to fetch holiday calendar' } };
+  }
+
+  let installments;
+  try {
+    installments = buildInstallments(procurement, configs[0].config_value, calendar);
+  } catch (error) {
+    if (error.statusCode) {
+      return { data: null, error };
+    }
+    throw error;
+  }
+
+  const { data, error } = await paymentRepository.createMany(installments.map(installment => ({
+    ...installment,
+    procurement_id: procurement.id,
+    payment_status: 'scheduled',
+    amount_paid: 0,
+    schedule_config_version: { id: configs[0].id, version: configs[0].version },
+    created_by: userId
+  })));
+
+  if (error) {
+    return {
+      data: null,
+      error: {
+        message: error.code === '23505' ? 'Payment schedule already exists for this procurement' : 'Failed to create payment schedule',
+        statusCode: error.code === '23505' ? 409 : 500
+      }
+    };
+  }
+
+  await auditRepository.log({
+    table_name: 'procurement_dump',
+    record_id: procurement.id,
+    action: 'PAYMENT_SCHEDULE_CREATED',
+    user_id: userId,
+    new_values: {
+      installments: installments.map(({ installment_name, amount, due_date }) => ({ installment_name, amount, due_date })),
+      schedule_config_version: configs[0].version
+    }
+  });
+
+  // Insert order is not guaranteed to be returned
+  return { data: data.sort((a, b) => a.installment_number - b.installment_number), error: null };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -6,7 +6,23 @@
 const express = require('express');
 const Joi = require('joi');
 const axios = require('axios');
-const { supabase } = require('../config/supabase');
+const {
+  allocationRepository,
+  auditRepository,
+  configurationRepository,
+  procurementRepository
+} = require('../repositories');
+const { company } = require('../config/company');
+const { PROCUREMENT_CONFIG_KEYS } = require('../config/tradingConfiguration');
+const {
+  PROCUREMENT_DUE_DAYS,
+  addBusinessDays,
+  liftingDeadline,
+  loadHolidayCalendar
+} = require('../services/businessDays');
+const { resolveStateCode } = require('../services/gst');
+const { toPaise, toRupees } = require('../services/money');
+const { calculateProcurement, inputsFromAllocation } = require('../services/procurementCalculator');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 const { validateBody } = require('../middleware/validation');
@@ -18,6 +34,22 @@ const calculateSchema = Joi.object({
   indent_number: Joi.string().required()
 });
 
+const scenarioSchema = Joi.object({
+  label: Joi.string().max(50).optional(),
+  bale_quantity: Joi.number().integer().min(1).optional(),
+  otr_price: Joi.number().positive().optional(),
+  zone: Joi.string().optional(),
+  buyer_type: Joi.string().optional(),
+  crop_year: Joi.string().optional(),
+  candy_rate: Joi.number().positive().optional(),
+  buyer_state: Joi.string().optional()
+});
+
+const simulateSchema = Joi.object({
+  indent_number: Joi.string().required(),
+  scenarios: Joi.array().items(scenarioSchema).min(1).max(5).required()
+});
+
 /**
  * @route   POST /api/procurement/calculate
  * @desc    Calculate procurement costs (EMD, GST, Cotton Value)
@@ -30,23 +62,7 @@ router.post('/calculate',
     const { indent_number } = req.body;
 
     // Fetch allocation data
-    const { data: allocation, error: allocationError } = await supabase
-      .from('allocation')
-      .select(`
-        *,
-        branch_information:branch_id (
-          branch_name,
-          state,
-          zone
-        ),
-        parsed_data:parsed_data_id (
-          firm_name,
-          seller_type,
-          buyer_type
-        )
-      `)
-      .eq('indent_number', indent_number)
-      .single();
+    const { data: allocation, error: allocationError } = await allocationRepository.findByIndentNumber(indent_number);
 
     if (allocationError || !allocation) {
       return res.status(404).json({
@@ -55,96 +71,66 @@ router.post('/calculate',
       });
     }
 
-    // Fetch trading configuration
-    const { data: configs, error: configError } = await supabase
-      .from('trading_configuration')
-      .select('config_key, config_value')
-      .in('config_key', ['EMD_PERCENTAGE_LOW', 'EMD_PERCENTAGE_HIGH', 'GST_RATES', 'CANDY_RATE']);
+    const { configMap, configVersions, error: configError } = await loadProcurementConfig();
 
     if (configError) {
       return res.status(500).json({
         success: false,
-        message: 'Failed to fetch trading configuration'
+        message: configError
       });
     }
 
-    // Parse configuration
-    const configMap = {};
-    configs.forEach(config => {
-      configMap[config.config_key] = config.config_value;
-    });
+    const inputs = inputsFromAllocation(allocation);
+    const breakdown = calculateProcurement(inputs, configMap);
 
-    // Calculate EMD Percentage
-    const baleQty = allocation.bale_quantity;
-    const emdPercentage = baleQty < 3000 ? 
-      configMap.EMD_PERCENTAGE_LOW.percentage : 
-      configMap.EMD_PERCENTAGE_HIGH.percentage;
-
-    // Calculate Cotton Value
-    const candyRate = configMap.CANDY_RATE.base_rate;
-    const zoneMultiplier = configMap.CANDY_RATE.zone_multiplier[allocation.branch_information.zone] || 1.0;
-    const adjustedCandyRate = candyRate * zoneMultiplier;
-    const cottonValue = adjustedCandyRate * baleQty * allocation.otr_price;
-
-    // Calculate EMD Amount
-    const emdAmount = (cottonValue * emdPercentage) / 100;
-
-    // Calculate GST
-    const gstRates = configMap.GST_RATES;
-    const sellerState = allocation.parsed_data?.seller_type || 'CCI';
-    const buyerState = allocation.branch_information.state;
-    
-    let gstAmount = 0;
-    let igstAmount = 0;
-    let cgstAmount = 0;
-    let sgstAmount = 0;
-
-    // For simplicity, assuming CCI is always different state
-    if (sellerState === buyerState && sellerState !== 'CCI') {
-      // Same state - CGST + SGST
-      cgstAmount = (cottonValue * gstRates.cgst) / 100;
-      sgstAmount = (cottonValue * gstRates.sgst) / 100;
-      gstAmount = cgstAmount + sgstAmount;
-    } else {
-      // Different state - IGST
-      igstAmount = (cottonValue * gstRates.igst) / 100;
-      gstAmount = igstAmount;
-    }
+    // EMD falls due in business days at our bank; lifting follows the branch's holidays
+    const [companyCalendar, branchCalendar] = await Promise.all([
+      loadHolidayCalendar(resolveStateCode(company)),
+      loadHolidayCalendar(resolveStateCode(allocation.branch_information || {}))
+    ]);
 
-    // Calculate total amount
-    const totalAmount = cottonValue + gstAmount + emdAmount;
+    const calendarError = companyCalendar.error || branchCalendar.error;
+    if (calendarError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holiday calendar',
+        error: calendarError.message
+      });
+    }
 
-    // Calculate due date (assuming 15 days from today)
-    const dueDate = new Date();
-    dueDate.setDate(dueDate.getDate() + 15);
+    const today = new Date();
+    const dueDate = addBusinessDays(today, PROCUREMENT_DUE_DAYS, companyCalendar.data);
 
     // Save to procurement_dump
     const procurementData = {
       indent_number,
       allocation_id: allocation.id,
       firm_name: allocation.parsed_data?.firm_name || 'Unknown',
-      bale_quantity: baleQty,
-      candy_rate: adjustedCandyRate,
-      otr_price: allocation.otr_price,
-      zone: allocation.branch_information.zone,
-      gst_amount: gstAmount,
-      igst_amount: igstAmount,
-      cgst_amount: cgstAmount,
-      sgst_amount: sgstAmount,
-      emd_amount: emdAmount,
-      emd_percentage: emdPercentage,
-      cotton_value: cottonValue,
-      total_amount: totalAmount,
+      bale_quantity: inputs.bale_quantity,
+      candy_rate: breakdown.candy_rate,
+      otr_price: inputs.otr_price,
+      zone: inputs.zone,
+      gst_amount: breakdown.gst_breakdown.total_gst,
+      igst_amount: breakdown.gst_breakdown.igst,
+      cgst_amount: breakdown.gst_breakdown.cgst,
+      sgst_amount: breakdown.gst_breakdown.sgst,
+      hsn_code: breakdown.gst_breakdown.hsn_code,
+      gst_rate: breakdown.gst_breakdown.gst_rate,
+      supplier_state_code: breakdown.gst_breakdown.supplier_state_code,
+      place_of_supply: breakdown.gst_breakdown.place_of_supply,
+      emd_amount: breakdown.emd_amount,
+      emd_percentage: breakdown.emd_percentage,
+      emd_rule: breakdown.emd_rule,
+      cotton_value: breakdown.cotton_value,
+      total_amount: breakdown.total_amount,
       transaction_type: 'EMD',
-      due_date: dueDate.toISOString().split('T')[0],
+      due_date: dueDate,
+      lifting_deadline: liftingDeadline(allocation.created_at || today, allocation.lifting_period, branchCalendar.data),
+      config_versions: configVersions,
       created_by: req.user.id
     };
 
-    const { data: procurement, error: procurementError } = await supabase
-      .from('procurement_dump')
-      .insert(procurementData)
-      .select()
-      .single();
+    const { data: procurement, error: procurementError } = await procurementRepository.create(procurementData);
 
     if (procurementError) {
       return res.status(500).json({
@@ -155,15 +141,13 @@ router.post('/calculate',
     }
 
     // Log the calculation
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'procurement_dump',
-        record_id: procurement.id,
-        action: 'PROCUREMENT_CALCULATED',
-        user_id: req.user.id,
-        new_values: procurementData
-      });
+    await auditRepository.log({
+      table_name: 'procurement_dump',
+      record_id: procurement.id,
+      action: 'PROCUREMENT_CALCULATED',
+      user_id: req.user.id,
+      new_values: procurementData
+    });
 
     res.json({
       success: true,
@@ -172,16 +156,12 @@ router.post('/calculate',
         procurement: {
           ...procurement,
           breakdown: {
-            cotton_value: cottonValue,
-            emd_amount: emdAmount,
-            emd_percentage: emdPercentage,
-            gst_breakdown: {
-              total_gst: gstAmount,
-              igst: igstAmount,
-              cgst: cgstAmount,
-              sgst: sgstAmount
-            },
-            total_amount: totalAmount
+            cotton_value: breakdown.cotton_value,
+            emd_amount: breakdown.emd_amount,
+            emd_percentage: breakdown.emd_percentage,
+            emd_rule: breakdown.emd_rule,
+            gst_breakdown: breakdown.gst_breakdown,
+            total_amount: breakdown.total_amount
           }
         }
       }
@@ -189,6 +169,89 @@ router.post('/calculate',
   })
 );
 
+/**
+ * @route   POST /api/procurement/simulate
+ * @desc    Compare what-if scenarios against an allocation without saving anything
+ * @access  Private
+ */
+router.post('/simulate',
+  authenticateToken,
+  validateBody(simulateSchema),
+  asyncHandler(async (req, res) => {
+    const { indent_number, scenarios } = req.body;
+
+    const { data: allocation, error: allocationError } = await allocationRepository.findByIndentNumber(indent_number);
+
+    if (allocationError || !allocation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation not found for the given indent number'
+      });
+    }
+
+    const { configMap, configVersions, error: configError } = await loadProcurementConfig();
+
+    if (configError) {
+      return res.status(500).json({
+        success: false,
+        message: configError
+      });
+    }
+
+    const unknownZone = scenarios.find(scenario =>
+      scenario.zone && !(scenario.zone in configMap.CANDY_RATE.zone_multiplier));
+
+    if (unknownZone) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown zone ${unknownZone.zone}. Configured zones: ${Object.keys(configMap.CANDY_RATE.zone_multiplier).join(', ')}`
+      });
+    }
+
+    const baselineInputs = inputsFromAllocation(allocation);
+    const baseline = calculateProcurement(baselineInputs, configMap);
+
+    const difference = (scenarioAmount, baselineAmount) => toRupees(toPaise(scenarioAmount) - toPaise(baselineAmount));
+
+    const results = scenarios.map((scenario, index) => {
+      const { label, ...overrides } = scenario;
+      const inputs = { ...baselineInputs, ...overrides };
+      // A GSTIN outranks the state name, so drop it when the state is overridden
+      if (overrides.buyer_state) {
+        inputs.buyer_gstin = null;
+      }
+      const breakdown = calculateProcurement(inputs, configMap);
+
+      return {
+        label: label || `Scenario ${index + 1}`,
+        inputs,
+        breakdown,
+        difference: {
+          cotton_value: difference(breakdown.cotton_value, baseline.cotton_value),
+          emd_amount: difference(breakdown.emd_amount, baseline.emd_amount),
+          total_gst: difference(breakdown.gst_breakdown.total_gst, baseline.gst_breakdown.total_gst),
+          total_amount: difference(breakdown.total_amount, baseline.total_amount)
+        }
+      };
+    });
+
+    res.json({
+      success: true,
+      message: 'Simulation completed; nothing was saved',
+      data: {
+        baseline: {
+          label: 'Current allocation',
+          inputs: baselineInputs,
+          breakdown: baseline
+        },
+        scenarios: results,
+        config_versions: configVersions,
+        persisted: false
+      }
+    });
+  })
+);
+
 /**
  * @route   GET /api/procurement/:indent_number
  * @desc    Get procurement details by indent number
@@ -199,24 +262,7 @@ router.get('/:indent_number',
   asyncHandler(async (req, res) => {
     const { indent_number } = req.params;
 
-    const { data: procurement, error } = await supabase
-      .from('procurement_dump')
-      .select(`
-        *,
-        allocation:allocation_id (
-          *,
-          branch_information:branch_id (
-            branch_name,
-            branch_code,
-            zone,
-            state
-          )
-        )
-      `)
-      .eq('indent_number', indent_number)
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
+    const { data: procurement, error } = await procurementRepository.findLatestByIndentNumber(indent_number);
 
     if (error || !procurement) {
       return res.status(404).json({
@@ -246,27 +292,14 @@ router.get('/',
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
-    let query = supabase
-      .from('procurement_dump')
-      .select(`
-        *,
-        allocation:allocation_id (
-          indent_number,
-          branch_information:branch_id (
-            branch_name,
-            zone
-          )
-        )
-      `, { count: 'exact' });
-
     // Role-based filtering
-    if (req.user.role === 'trader') {
-      query = query.eq('created_by', req.user.id);
-    }
+    const createdBy = req.user.role === 'trader' ? req.user.id : undefined;
 
-    const { data: procurements, error, count } = await query
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    const { data: procurements, error, count } = await procurementRepository.list({
+      createdBy,
+      offset,
+      limit
+    });
 
     if (error) {
       return res.status(500).json({
@@ -295,4 +328,31 @@ router.get('/',
   })
 );
 
+/**
+ * Helper function to load the trading configuration in effect now
+ * @returns {Promise<{ configMap?: Object, configVersions?: Object, error?: string }>}
+ */
+async function loadProcurementConfig() {
+  const { data: configs, error } = await configurationRepository.findEffective(PROCUREMENT_CONFIG_KEYS);
+
+  if (error) {
+    return { error: 'Failed to fetch trading configuration' };
+  }
+
+  // Parse configuration, remembering which version of each key was used
+  const configMap = {};
+  const configVersions = {};
+  configs.forEach(config => {
+    configMap[config.config_key] = config.config_value;
+    configVersions[config.config_key] = { id: config.id, version: config.version };
+  });
+
+  const missingKeys = PROCUREMENT_CONFIG_KEYS.filter(key => !configMap[key]);
+  if (missingKeys.length > 0) {
+    return { error: `No effective trading configuration for ${missingKeys.join(', ')}` };
+  }
+
+  return { configMap, configVersions };
+}
+
 module.exports = router;
\ No newline at end of file
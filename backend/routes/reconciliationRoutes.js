@@ -0,0 +1,453 @@
+/**
+ * Reconciliation routes
+ * Import bank statements and match their lines to payments, so a payment is
+ * verified only when the statement shows the money moved
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const {
+  auditRepository,
+  bankStatementRepository,
+  paymentRepository
+} = require('../repositories');
+const { company } = require('../config/company');
+const { loadHolidayCalendar } = require('../services/businessDays');
+const { parseStatement } = require('../services/bankStatement');
+const { resolveStateCode } = require('../services/gst');
+const { toPaise } = require('../services/money');
+const { OPEN_TRANSACTION_STATUSES } = require('../services/paymentBalance');
+const {
+  MATCH_STATUS,
+  RECONCILABLE_STATUSES,
+  matchStatementLines
+} = require('../services/reconciliation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateBody, validateParams } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Statements are CSV exports or MT940 text files
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|sta|mt940|940|txt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only CSV and MT940 statement files are allowed');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  }
+});
+
+// Validation schemas
+const paramSchema = Joi.object({
+  id: Joi.string().uuid().required()
+});
+
+const confirmSchema = Joi.object({
+  payment_id: Joi.string().uuid().optional()
+});
+
+const rejectSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+/**
+ * @route   POST /api/reconciliation/statements
+ * @desc    Import a bank statement (CSV or MT940) and match its lines to
+ *          payments. Lines matched in full verify their payments; lines already
+ *          imported from an overlapping statement are skipped.
+ * @access  Private (Admin only)
+ */
+router.post('/statements',
+  authenticateToken,
+  authorizeRoles('admin'),
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statement file is required'
+      });
+    }
+
+    const fileHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+    const { data: existingStatement } = await bankStatementRepository.findByHash(fileHash);
+
+    if (existingStatement) {
+      return res.status(409).json({
+        success: false,
+        message: `This statement was already imported as ${existingStatement.file_name}`
+      });
+    }
+
+    const { format, statement, lines, errors } = parseStatement(
+      req.file.originalname,
+      req.file.buffer.toString('utf8')
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    // Skip transactions already imported from an overlapping statement
+    const { data: existingLines, error: existingError } = await bankStatementRepository.listLinesBetween(
+      statement.statement_from,
+      statement.statement_to
+    );
+
+    if (existingError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check previously imported transactions',
+        error: existingError.message
+      });
+    }
+
+    const imported = new Set(existingLines.map(lineKey));
+    const newLines = lines.filter(line => !imported.has(lineKey(line)));
+
+    if (newLines.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Every transaction in this statement has already been imported'
+      });
+    }
+
+    const [
+      { data: calendar, error: calendarError },
+      { data: payments, error: paymentsError }
+    ] = await Promise.all([
+      loadHolidayCalendar(resolveStateCode(company)),
+      paymentRepository.listAwaitingReconciliation(RECONCILABLE_STATUSES)
+    ]);
+
+    if (calendarError || paymentsError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to load payments for reconciliation',
+        error: (calendarError || paymentsError).message
+      });
+    }
+
+    const matchedLines = matchStatementLines(newLines, payments, calendar);
+
+    const { data: savedStatement, error } = await bankStatementRepository.importStatement({
+      statement: {
+        ...statement,
+        file_name: req.file.originalname,
+        file_hash: fileHash,
+        format
+      },
+      lines: matchedLines,
+      userId: req.user.id
+    });
+
+    if (error) {
+      // P0001 is raised by the function itself, e.g. when a payment was verified meanwhile
+      return res.status(error.code === 'P0001' || error.code === '23505' ? 409 : 500).json({
+        success: false,
+        message: 'Statement was not imported; all changes were rolled back',
+        error: error.message,
+        rolled_back: true
+      });
+    }
+
+    const summary = summarizeLines(matchedLines);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${matchedLines.length} transactions: ${summary.matched} matched, ${summary.partial} to review, ${summary.unmatched} unmatched`,
+      data: {
+        statement: savedStatement,
+        summary: {
+          ...summary,
+          skipped: lines.length - newLines.length
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/reconciliation/statements
+ * @desc    List imported bank statements
+ * @access  Private (Admin only)
+ */
+router.get('/statements',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { data: statements, error, count } = await bankStatementRepository.list({ offset, limit });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch bank statements',
+        error: error.message
+      });
+    }
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        statements,
+        pagination: {
+          current_page: page,
+          total_pages: totalPages,
+          total_records: count,
+          has_next: page < totalPages,
+          has_previous: page > 1,
+          per_page: limit
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/reconciliation/statements/:id
+ * @desc    Get a statement with its lines in matched, partial and unmatched buckets
+ * @access  Private (Admin only)
+ */
+router.get('/statements/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  asyncHandler(async (req, res) => {
+    const { data: statement } = await bankStatementRepository.findById(req.params.id);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bank statement not found'
+      });
+    }
+
+    const { data: lines, error } = await bankStatementRepository.listLines(statement.id);
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch statement lines',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        statement,
+        buckets: {
+          matched: lines.filter(line => line.match_status === MATCH_STATUS.MATCHED),
+          partial: lines.filter(line => line.match_status === MATCH_STATUS.PARTIAL),
+          unmatched: lines.filter(line => line.match_status === MATCH_STATUS.UNMATCHED)
+        },
+        summary: summarizeLines(lines)
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/reconciliation/payments
+ * @desc    List payments with a CDU that are not fully paid yet, with their transfers
+ * @access  Private (Admin only)
+ */
+router.get('/payments',
+  authenticateToken,
+  authorizeRoles('admin'),
+  asyncHandler(async (req, res) => {
+    const { data: payments, error } = await paymentRepository.listAwaitingReconciliation(RECONCILABLE_STATUSES);
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch payments',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        count: payments.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/reconciliation/lines/:id/confirm
+ * @desc    Confirm that a statement line settles a payment, in part or in full.
+ *          The line verifies the transfer with its UTR, or is recorded as a
+ *          new transfer; the payment is verified once paid in full. Without
+ *          payment_id, confirms the payment suggested for the line. The user
+ *          who submitted the transfer's UTR cannot confirm it.
+ * @access  Private (Admin only)
+ */
+router.post('/lines/:id/confirm',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(confirmSchema),
+  asyncHandler(async (req, res) => {
+    const { data: line } = await bankStatementRepository.findLineById(req.params.id);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement line not found'
+      });
+    }
+
+    const paymentId = req.body.payment_id || line.payment_id;
+
+    if (!paymentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose the payment this line settles'
+      });
+    }
+
+    // A manual confirmation is a check on the UTR, so the maker cannot make it
+    const { data: payment } = await paymentRepository.findById(paymentId);
+    const transaction = payment?.transactions.find(candidate =>
+      OPEN_TRANSACTION_STATUSES.includes(candidate.transaction_status) &&
+      (candidate.id === line.transaction_id || candidate.utr_number === line.utr_number));
+
+    if (transaction && transaction.submitted_by === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'The user who submitted the UTR cannot confirm its match'
+      });
+    }
+
+    const { data: matchedLine, error } = await bankStatementRepository.confirmMatch({
+      lineId: line.id,
+      paymentId,
+      userId: req.user.id
+    });
+
+    if (error) {
+      return res.status(error.code === 'P0001' || error.code === '23505' ? 409 : 500).json({
+        success: false,
+        message: 'Match was not confirmed',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer verified against the bank statement',
+      data: {
+        line: matchedLine
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/reconciliation/lines/:id/reject
+ * @desc    Reject the payment suggested for a partially matched line
+ * @access  Private (Admin only)
+ */
+router.post('/lines/:id/reject',
+  authenticateToken,
+  authorizeRoles('admin'),
+  validateParams(paramSchema),
+  validateBody(rejectSchema),
+  asyncHandler(async (req, res) => {
+    const { data: line } = await bankStatementRepository.findLineById(req.params.id);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement line not found'
+      });
+    }
+
+    if (line.match_status !== MATCH_STATUS.PARTIAL) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only partially matched lines can be rejected'
+      });
+    }
+
+    const { data: updatedLine, error } = await bankStatementRepository.updateLine(line.id, {
+      match_status: MATCH_STATUS.UNMATCHED,
+      payment_id: null,
+      transaction_id: null,
+      match_details: {
+        note: req.body.reason ? `Suggestion rejected: ${req.body.reason}` : 'Suggestion rejected'
+      }
+    });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to reject match',
+        error: error.message
+      });
+    }
+
+    await auditRepository.log({
+      table_name: 'bank_statement_lines',
+      record_id: line.id,
+      action: 'STATEMENT_MATCH_REJECTED',
+      user_id: req.user.id,
+      old_values: { match_status: line.match_status, payment_id: line.payment_id },
+      new_values: { match_status: MATCH_STATUS.UNMATCHED, reason: req.body.reason || null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Suggested match rejected',
+      data: {
+        line: updatedLine
+      }
+    });
+  })
+);
+
+// Identifies a transaction across overlapping statements
+const lineKey = line => [
+  line.value_date,
+  line.direction,
+  toPaise(line.amount),
+  line.utr_number || line.reference || line.narration || ''
+].join('|');
+
+/**
+ * Count statement lines per match status
+ * @param {Object[]} lines
+ */
+function summarizeLines(lines) {
+  return {
+    total: lines.length,
+    matched: lines.filter(line => line.match_status === MATCH_STATUS.MATCHED).length,
+    partial: lines.filter(line => line.match_status === MATCH_STATUS.PARTIAL).length,
+    unmatched: lines.filter(line => line.match_status === MATCH_STATUS.UNMATCHED).length
+  };
+}
+
+module.exports = router;
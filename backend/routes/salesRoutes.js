@@ -6,7 +6,20 @@
 const express = require('express');
 const Joi = require('joi');
 const axios = require('axios');
-const { supabase } = require('../config/supabase');
+const {
+  configurationRepository,
+  inventoryRepository,
+  salesRepository
+} = require('../repositories');
+const { company } = require('../config/company');
+const {
+  ASSIGNMENT_WINDOW_DAYS,
+  addBusinessDays,
+  loadHolidayCalendar,
+  toDateString
+} = require('../services/businessDays');
+const { calculateGst, resolveStateCode } = require('../services/gst');
+const { percentage, sum, toPaise, toRupees } = require('../services/money');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 const { validateBody, validateQuery } = require('../middleware/validation');
@@ -44,28 +57,7 @@ const confirmSaleSchema = Joi.object({
 router.get('/pending-orders', 
   authenticateToken,
   asyncHandler(async (req, res) => {
-    const { data: pendingOrders, error } = await supabase
-      .from('sales_configuration')
-      .select(`
-        *,
-        customer_info:customer_id (
-          customer_name,
-          customer_code,
-          email,
-          state
-        ),
-        broker_info:broker_id (
-          broker_name,
-          broker_code,
-          commission_rate
-        ),
-        created_user:created_by (
-          first_name,
-          last_name
-        )
-      `)
-      .neq('status', 'completed')
-      .order('created_at', { ascending: false });
+    const { data: pendingOrders, error } = await salesRepository.listOpenConfigurations();
 
     if (error) {
       return res.status(500).json({
@@ -97,17 +89,7 @@ router.post('/auto-select-lots',
     const { sales_config_id, requested_qty } = req.body;
 
     // Fetch sales configuration
-    const { data: salesConfig, error: configError } = await supabase
-      .from('sales_configuration')
-      .select(`
-        *,
-        customer_info:customer_id (
-          customer_name,
-          state
-        )
-      `)
-      .eq('id', sales_config_id)
-      .single();
+    const { data: salesConfig, error: configError } = await salesRepository.findConfigurationById(sales_config_id);
 
     if (configError || !salesConfig) {
       return res.status(404).json({
@@ -121,42 +103,15 @@ router.post('/auto-select-lots',
     const extra = Math.floor(base * 0.2);
     const maxLimit = base + extra;
 
-    // Build query for available lots
-    let lotsQuery = supabase
-      .from('inventory_table')
-      .select(`
-        *,
-        branch_information:branch_id (
-          branch_name,
-          zone
-        )
-      `)
-      .eq('status', 'AVAILABLE');
-
-    // Apply filters based on line specs
-    if (salesConfig.line_specs) {
-      const specs = salesConfig.line_specs;
-      
-      if (specs.fibre_length) {
-        lotsQuery = lotsQuery.eq('fibre_length', specs.fibre_length);
-      }
-      
-      if (specs.variety) {
-        lotsQuery = lotsQuery.eq('variety', specs.variety);
-      }
-    }
-
-    // Priority: same branch first
-    if (salesConfig.priority_branch) {
-      lotsQuery = lotsQuery.eq('branch', salesConfig.priority_branch);
-    }
+    // Apply filters based on line specs, same branch first, FIFO order
+    const specs = salesConfig.line_specs || {};
 
-    // Order by FIFO (first in, first out)
-    lotsQuery = lotsQuery
-      .order('created_at', { ascending: true })
-      .limit(maxLimit);
-
-    const { data: availableLots, error: lotsError } = await lotsQuery;
+    const { data: availableLots, error: lotsError } = await inventoryRepository.listAvailable({
+      fibreLength: specs.fibre_length,
+      variety: specs.variety,
+      branch: salesConfig.priority_branch,
+      limit: maxLimit
+    });
 
     if (lotsError) {
       return res.status(500).json({
@@ -182,7 +137,7 @@ router.post('/auto-select-lots',
     const autoSelected = availableLots.slice(0, Math.min(maxLimit, availableLots.length));
 
     // Calculate total value
-    const totalValue = autoSelected.reduce((sum, lot) => sum + (lot.bid_price || 0), 0);
+    const totalValue = lotsTotal(autoSelected);
 
     res.json({
       success: true,
@@ -214,11 +169,7 @@ router.post('/manual-lot-selection',
     const { sales_config_id, selected_lots } = req.body;
 
     // Fetch sales configuration
-    const { data: salesConfig, error: configError } = await supabase
-      .from('sales_configuration')
-      .select('*')
-      .eq('id', sales_config_id)
-      .single();
+    const { data: salesConfig, error: configError } = await salesRepository.findConfigurationById(sales_config_id);
 
     if (configError || !salesConfig) {
       return res.status(404).json({
@@ -228,11 +179,7 @@ router.post('/manual-lot-selection',
     }
 
     // Fetch selected lots details
-    const { data: lots, error: lotsError } = await supabase
-      .from('inventory_table')
-      .select('*')
-      .in('id', selected_lots)
-      .eq('status', 'AVAILABLE');
+    const { data: lots, error: lotsError } = await inventoryRepository.findByIds(selected_lots, { status: 'AVAILABLE' });
 
     if (lotsError) {
       return res.status(500).json({
@@ -254,7 +201,7 @@ router.post('/manual-lot-selection',
     }
 
     // Calculate total value
-    const totalValue = lots.reduce((sum, lot) => sum + (lot.bid_price || 0), 0);
+    const totalValue = lotsTotal(lots);
 
     res.json({
       success: true,
@@ -283,15 +230,7 @@ router.post('/save-draft',
 
     try {
       // Fetch sales configuration
-      const { data: salesConfig, error: configError } = await supabase
-        .from('sales_configuration')
-        .select(`
-          *,
-          customer_info:customer_id (*),
-          broker_info:broker_id (*)
-        `)
-        .eq('id', sales_config_id)
-        .single();
+      const { data: salesConfig, error: configError } = await salesRepository.findConfigurationById(sales_config_id);
 
       if (configError || !salesConfig) {
         return res.status(404).json({
@@ -301,10 +240,7 @@ router.post('/save-draft',
       }
 
       // Fetch selected lots
-      const { data: lots, error: lotsError } = await supabase
-        .from('inventory_table')
-        .select('*')
-        .in('id', selected_lots);
+      const { data: lots, error: lotsError } = await inventoryRepository.findByIds(selected_lots);
 
       if (lotsError) {
         return res.status(500).json({
@@ -314,77 +250,42 @@ router.post('/save-draft',
         });
       }
 
-      // Calculate totals
-      const totalBales = lots.length;
-      const totalValue = lots.reduce((sum, lot) => sum + (lot.bid_price || 0), 0);
-      const brokerCommission = (totalValue * (salesConfig.broker_info.commission_rate || 0)) / 100;
+      const { data: priced, error: priceError } = await priceSale(salesConfig, lots);
+
+      if (priceError) {
+        return res.status(priceError.statusCode).json({
+          success: false,
+          message: priceError.message
+        });
+      }
 
-      // Create sales record
+      const { sales, gst } = priced;
       const salesData = {
         sales_config_id,
-        indent_numbers: [...new Set(lots.map(lot => lot.indent_number))],
-        total_bales: totalBales,
-        total_value: totalValue,
-        broker_commission: brokerCommission,
+        ...sales,
         status: 'DRAFT',
         created_by: req.user.id
       };
 
-      const { data: salesRecord, error: salesError } = await supabase
-        .from('sales_table')
-        .insert(salesData)
-        .select()
-        .single();
-
-      if (salesError) {
-        throw new Error(`Failed to create sales record: ${salesError.message}`);
-      }
-
-      // Create lot selections
-      const lotSelections = lots.map(lot => ({
-        sales_id: salesRecord.id,
-        inventory_id: lot.id,
-        lot_number: lot.lot_number,
-        indent_number: lot.indent_number,
-        quantity: 1, // Assuming 1 bale per lot
-        price: lot.bid_price || 0,
-        status: 'SELECTED'
-      }));
-
-      const { error: selectionsError } = await supabase
-        .from('lot_selected_contract')
-        .insert(lotSelections);
-
-      if (selectionsError) {
-        throw new Error(`Failed to save lot selections: ${selectionsError.message}`);
-      }
-
-      // Block the selected lots
-      const { error: blockError } = await supabase
-        .from('inventory_table')
-        .update({ status: 'BLOCKED', updated_at: new Date().toISOString() })
-        .in('id', selected_lots);
-
-      if (blockError) {
-        throw new Error(`Failed to block lots: ${blockError.message}`);
-      }
+      // Create sales record, lot selections, block lots and update the
+      // configuration in a single transaction
+      const { data: salesRecord, error: draftError } = await salesRepository.saveDraft({
+        salesConfigId: sales_config_id,
+        sales: salesData,
+        lotIds: selected_lots,
+        userId: req.user.id,
+        notes
+      });
 
-      // Update sales configuration status
-      await supabase
-        .from('sales_configuration')
-        .update({ status: 'processing', updated_at: new Date().toISOString() })
-        .eq('id', sales_config_id);
-
-      // Log the draft creation
-      await supabase
-        .from('audit_log')
-        .insert({
-          table_name: 'sales_table',
-          record_id: salesRecord.id,
-          action: 'SALES_DRAFT_CREATED',
-          user_id: req.user.id,
-          new_values: { ...salesData, lots_count: totalBales, notes }
+      if (draftError) {
+        // P0001 is raised by the function itself, e.g. when a lot is no longer available
+        return res.status(draftError.code === 'P0001' ? 409 : 500).json({
+          success: false,
+          message: 'Sales draft was not saved; all changes were rolled back',
+          error: draftError.message,
+          rolled_back: true
         });
+      }
 
       // Trigger n8n webhook for draft notification
       try {
@@ -394,8 +295,10 @@ router.post('/save-draft',
           sales_id: salesRecord.id,
           customer: salesConfig.customer_info,
           broker: salesConfig.broker_info,
-          total_bales: totalBales,
-          total_value: totalValue,
+          total_bales: sales.total_bales,
+          total_value: sales.total_value,
+          gst_amount: gst.total_gst,
+          invoice_value: salesData.invoice_value,
           created_by: req.user,
           notes
         });
@@ -409,12 +312,13 @@ router.post('/save-draft',
         data: {
           sales_record: salesRecord,
           blocked_lots: lots.length,
-          total_value: totalValue,
-          broker_commission: brokerCommission
+          total_value: sales.total_value,
+          broker_commission: sales.broker_commission,
+          gst
         }
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -434,74 +338,89 @@ router.post('/confirm',
     const { sales_config_id, selected_lots, notes } = req.body;
 
     try {
-      // First create/update as draft, then confirm
-      const draftResult = await createOrUpdateSalesDraft(sales_config_id, selected_lots, req.user.id);
-      
-      if (!draftResult.success) {
-        return res.status(400).json(draftResult);
+      // Fetch sales configuration
+      const { data: salesConfig, error: configError } = await salesRepository.findConfigurationById(sales_config_id);
+
+      if (configError || !salesConfig) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sales configuration not found'
+        });
       }
 
-      const salesRecord = draftResult.data;
+      // Fetch selected lots
+      const { data: lots, error: lotsError } = await inventoryRepository.findByIds(selected_lots);
 
-      // Confirm the sales record
-      const { data: confirmedSales, error: confirmError } = await supabase
-        .from('sales_table')
-        .update({
-          status: 'CONFIRMED',
-          confirmed_by: req.user.id,
-          confirmed_at: new Date().toISOString()
-        })
-        .eq('id', salesRecord.id)
-        .select()
-        .single();
+      if (lotsError) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch selected lots',
+          error: lotsError.message
+        });
+      }
 
-      if (confirmError) {
-        throw new Error(`Failed to confirm sales: ${confirmError.message}`);
+      const { data: priced, error: priceError } = await priceSale(salesConfig, lots);
+
+      if (priceError) {
+        return res.status(priceError.statusCode).json({
+          success: false,
+          message: priceError.message
+        });
       }
 
-      // Mark sales configuration as completed
-      await supabase
-        .from('sales_configuration')
-        .update({ status: 'completed', updated_at: new Date().toISOString() })
-        .eq('id', sales_config_id);
-
-      // Log the confirmation
-      await supabase
-        .from('audit_log')
-        .insert({
-          table_name: 'sales_table',
-          record_id: salesRecord.id,
-          action: 'SALES_CONFIRMED',
-          user_id: req.user.id,
-          new_values: { status: 'CONFIRMED', notes }
+      // Customers get a window of business days to accept the lots n8n
+      // assigns; work it out before confirming so nothing can fail afterwards
+      const { data: calendar, error: calendarError } = await loadHolidayCalendar(resolveStateCode(company));
+
+      if (calendarError) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch holiday calendar',
+          error: calendarError.message
         });
+      }
+
+      const confirmedAt = new Date();
+      const assignmentWindow = {
+        window_start_date: toDateString(confirmedAt),
+        window_end_date: addBusinessDays(confirmedAt, ASSIGNMENT_WINDOW_DAYS, calendar)
+      };
+
+      // Confirm the open draft, or create the sales record, block the lots
+      // and complete the configuration in a single transaction
+      const { data: confirmedSales, error: confirmError } = await salesRepository.confirm({
+        salesConfigId: sales_config_id,
+        sales: priced.sales,
+        lotIds: selected_lots,
+        userId: req.user.id,
+        confirmedAt,
+        notes
+      });
 
-      // Fetch complete data for webhook
-      const { data: completeData } = await supabase
-        .from('sales_table')
-        .select(`
-          *,
-          sales_configuration:sales_config_id (
-            customer_info:customer_id (*),
-            broker_info:broker_id (*)
-          )
-        `)
-        .eq('id', salesRecord.id)
-        .single();
+      if (confirmError) {
+        // P0001 is raised by the function itself, e.g. when a lot is no longer available
+        return res.status(confirmError.code === 'P0001' ? 409 : 500).json({
+          success: false,
+          message: 'Sales order was not confirmed; all changes were rolled back',
+          error: confirmError.message,
+          rolled_back: true
+        });
+      }
 
       // Trigger n8n webhook for confirmation
       try {
         const webhookUrl = `${process.env.N8N_BASE_URL}${process.env.N8N_SALES_CONFIRMATION_WEBHOOK}`;
         
         await axios.post(webhookUrl, {
-          sales_id: salesRecord.id,
-          customer: completeData.sales_configuration.customer_info,
-          broker: completeData.sales_configuration.broker_info,
+          sales_id: confirmedSales.id,
+          customer: salesConfig.customer_info,
+          broker: salesConfig.broker_info,
           total_bales: confirmedSales.total_bales,
           total_value: confirmedSales.total_value,
           broker_commission: confirmedSales.broker_commission,
           confirmed_by: req.user,
           confirmed_at: confirmedSales.confirmed_at,
+          assignment_window: assignmentWindow,
           notes
         });
       } catch (webhookError) {
@@ -513,11 +432,12 @@ router.post('/confirm',
         message: 'Sales order confirmed successfully',
         data: {
           sales_record: confirmedSales,
+          assignment_window: assignmentWindow,
           status: 'CONFIRMED'
         }
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -526,34 +446,61 @@ router.post('/confirm',
 );
 
 /**
- * Helper function to create or update sales draft
+ * Add up the bid prices of lots
+ * @param {Object[]} lots - inventory_table rows
+ * @returns {number} Total in rupees
  */
-async function createOrUpdateSalesDraft(sales_config_id, selected_lots, user_id) {
-  try {
-    // Check if draft already exists
-    const { data: existingDraft, error: draftError } = await supabase
-      .from('sales_table')
-      .select('*')
-      .eq('sales_config_id', sales_config_id)
-      .eq('status', 'DRAFT')
-      .single();
-
-    if (draftError && draftError.code !== 'PGRST116') {
-      throw new Error(`Failed to check existing draft: ${draftError.message}`);
-    }
+function lotsTotal(lots) {
+  return toRupees(sum(lots.map(lot => toPaise(lot.bid_price))));
+}
 
-    // If a draft exists, update it; otherwise create new
-    if (existingDraft) {
-      // Update existing draft logic here
-      return { success: true, data: existingDraft };
-    } else {
-      // Create new draft logic here (similar to save-draft route)
-      // ... implementation similar to save-draft
-      return { success: true, data: { id: 'new-draft-id' } };
-    }
-  } catch (error) {
-    return { success: false, message: error.message };
+/**
+ * Helper function to price a sale of lots: totals, broker commission and GST
+ * from our registration to the customer's place of supply
+ * @param {Object} salesConfig - sales_configuration row
+ * @param {Object[]} lots - inventory_table rows sold
+ * @returns {Promise<{data: {sales: Object, gst: Object}|null, error: Object|null}>}
+ */
+async function priceSale(salesConfig, lots) {
+  const totalValue = lotsTotal(lots);
+  const brokerCommission = toRupees(
+    percentage(toPaise(totalValue), salesConfig.broker_info.commission_rate || 0)
+  );
+
+  const { data: gstConfigs, error: gstConfigError } = await configurationRepository.findEffective(['GST_RATES']);
+
+  if (gstConfigError || gstConfigs.length === 0) {
+    return { data: null, error: { message: 'No effective GST_RATES configuration', statusCode: 500 } };
   }
+
+  const customer = salesConfig.customer_info;
+  // Each lot is an invoice line
+  const gst = calculateGst({
+    line_values: lots.map(lot => lot.bid_price || 0),
+    supplier: { gstin: company.gstin, state_code: company.state_code },
+    recipient: { gstin: customer.gstin, state_code: customer.state_code, state: customer.state }
+  }, gstConfigs[0].config_value);
+
+  return {
+    data: {
+      sales: {
+        indent_numbers: [...new Set(lots.map(lot => lot.indent_number))],
+        total_bales: lots.length,
+        total_value: totalValue,
+        broker_commission: brokerCommission,
+        hsn_code: gst.hsn_code,
+        place_of_supply: gst.place_of_supply,
+        gst_rate: gst.gst_rate,
+        cgst_amount: gst.cgst,
+        sgst_amount: gst.sgst,
+        igst_amount: gst.igst,
+        gst_amount: gst.total_gst,
+        invoice_value: toRupees(sum([toPaise(totalValue), toPaise(gst.total_gst)]))
+      },
+      gst
+    },
+    error: null
+  };
 }
 
 /**
@@ -566,32 +513,7 @@ router.get('/:id',
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    const { data: salesRecord, error } = await supabase
-      .from('sales_table')
-      .select(`
-        *,
-        sales_configuration:sales_config_id (
-          *,
-          customer_info:customer_id (*),
-          broker_info:broker_id (*)
-        ),
-        lot_selected_contract (
-          *,
-          inventory_table:inventory_id (*)
-        ),
-        created_user:created_by (
-          first_name,
-          last_name,
-          email
-        ),
-        confirmed_user:confirmed_by (
-          first_name,
-          last_name,
-          email
-        )
-      `)
-      .eq('id', id)
-      .single();
+    const { data: salesRecord, error } = await salesRepository.findById(id);
 
     if (error || !salesRecord) {
       return res.status(404).json({
@@ -5,7 +5,11 @@
 
 const express = require('express');
 const Joi = require('joi');
-const { supabase } = require('../config/supabase');
+const {
+  allocationRepository,
+  auditRepository,
+  inventoryRepository
+} = require('../repositories');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken } = require('../middleware/auth');
 const { validateQuery, validateBody } = require('../middleware/validation');
@@ -33,24 +37,7 @@ router.get('/fetch-indent',
   asyncHandler(async (req, res) => {
     const { indent_number } = req.query;
 
-    const { data: allocation, error } = await supabase
-      .from('allocation')
-      .select(`
-        *,
-        branch_information:branch_id (
-          branch_name,
-          branch_code,
-          zone
-        ),
-        parsed_data:parsed_data_id (
-          firm_name,
-          centre_name,
-          variety,
-          fibre_length
-        )
-      `)
-      .eq('indent_number', indent_number)
-      .single();
+    const { data: allocation, error } = await allocationRepository.findByIndentNumber(indent_number);
 
     if (error || !allocation) {
       return res.status(404).json({
@@ -66,10 +53,7 @@ router.get('/fetch-indent',
     const totalLots = base + (extra < 1 ? 0 : extra);
 
     // Check if sampling already exists
-    const { data: existingLots, error: lotsError } = await supabase
-      .from('inventory_table')
-      .select('lot_number')
-      .eq('indent_number', indent_number);
+    const { data: existingLots, error: lotsError } = await inventoryRepository.listByIndentNumber(indent_number);
 
     if (lotsError) {
       console.error('Error fetching existing lots:', lotsError);
@@ -116,23 +100,7 @@ router.post('/save',
     const { indent_number, lots } = req.body;
 
     // Fetch allocation details first
-    const { data: allocation, error: allocationError } = await supabase
-      .from('allocation')
-      .select(`
-        *,
-        branch_information:branch_id (
-          id,
-          branch_name,
-          branch_code
-        ),
-        parsed_data:parsed_data_id (
-          centre_name,
-          variety,
-          fibre_length
-        )
-      `)
-      .eq('indent_number', indent_number)
-      .single();
+    const { data: allocation, error: allocationError } = await allocationRepository.findByIndentNumber(indent_number);
 
     if (allocationError || !allocation) {
       return res.status(404).json({
@@ -142,10 +110,7 @@ router.post('/save',
     }
 
     // Check if sampling already exists
-    const { data: existingLots } = await supabase
-      .from('inventory_table')
-      .select('lot_number')
-      .eq('indent_number', indent_number);
+    const { data: existingLots } = await inventoryRepository.listByIndentNumber(indent_number);
 
     if (existingLots && existingLots.length > 0) {
       return res.status(400).json({
@@ -180,10 +145,7 @@ router.post('/save',
     }));
 
     // Insert all inventory entries
-    const { data: insertedEntries, error: insertError } = await supabase
-      .from('inventory_table')
-      .insert(inventoryEntries)
-      .select();
+    const { data: insertedEntries, error: insertError } = await inventoryRepository.createMany(inventoryEntries);
 
     if (insertError) {
       return res.status(500).json({
@@ -194,18 +156,16 @@ router.post('/save',
     }
 
     // Log sampling completion
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'inventory_table',
-        action: 'SAMPLING_COMPLETED',
-        user_id: req.user.id,
-        new_values: {
-          indent_number,
-          lots_count: lots.length,
-          lot_numbers: lots
-        }
-      });
+    await auditRepository.log({
+      table_name: 'inventory_table',
+      action: 'SAMPLING_COMPLETED',
+      user_id: req.user.id,
+      new_values: {
+        indent_number,
+        lots_count: lots.length,
+        lot_numbers: lots
+      }
+    });
 
     res.status(201).json({
       success: true,
@@ -236,18 +196,17 @@ router.post('/log',
       });
     }
 
-    await supabase
-      .from('audit_log')
-      .insert({
-        table_name: 'sampling_log',
-        action: action.toUpperCase(),
-        user_id: req.user.id,
-        new_values: {
-          indent_number,
-          notes,
-          timestamp: new Date().toISOString()
-        }
-      });
+    await auditRepository.log({
+      table_name: 'sampling_log',
+      action: action.toUpperCase(),
+      user_id: req.user.id,
+      new_values: {
+        indent_number,
+        notes,
+        timestamp: new Date().toISOString()
+      }
+
+    });
 
     res.json({
       success: true,
@@ -273,18 +232,7 @@ router.get('/history',
       });
     }
 
-    const { data: history, error } = await supabase
-      .from('inventory_table')
-      .select(`
-        *,
-        added_user:added_by (
-          first_name,
-          last_name,
-          email
-        )
-      `)
-      .eq('indent_number', indent_number)
-      .order('created_at', { ascending: false });
+    const { data: history, error } = await inventoryRepository.listByIndentNumber(indent_number);
 
     if (error) {
       return res.status(500).json({
@@ -313,52 +261,28 @@ router.get('/history',
 router.get('/stats', 
   authenticateToken,
   asyncHandler(async (req, res) => {
-    // Get total lots by status
-    const { data: statusCounts, error: statusError } = await supabase
-      .from('inventory_table')
-      .select('status')
-      .then(({ data, error }) => {
-        if (error) return { data: null, error };
-        
-        const counts = data.reduce((acc, item) => {
-          acc[item.status] = (acc[item.status] || 0) + 1;
-          return acc;
-        }, {});
-        
-        return { data: counts, error: null };
-      });
+    const { data: lots, error } = await inventoryRepository.listSummaries();
 
-    if (statusError) {
+    if (error) {
       return res.status(500).json({
         success: false,
         message: 'Failed to fetch statistics',
-        error: statusError.message
+        error: error.message
       });
     }
 
-    // Get sampling completion by date
-    const { data: dailyStats, error: dailyError } = await supabase
-      .from('inventory_table')
-      .select('created_at')
-      .then(({ data, error }) => {
-        if (error) return { data: null, error };
-        
-        const dailyCounts = data.reduce((acc, item) => {
-          const date = item.created_at.split('T')[0];
-          acc[date] = (acc[date] || 0) + 1;
-          return acc;
-        }, {});
-        
-        return { data: dailyCounts, error: null };
-      });
+    // Get total lots by status
+    const statusCounts = lots.reduce((acc, item) => {
+      acc[item.status] = (acc[item.status] || 0) + 1;
+      return acc;
+    }, {});
 
-    if (dailyError) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch daily statistics',
-        error: dailyError.message
-      });
-    }
+    // Get sampling completion by date
+    const dailyStats = lots.reduce((acc, item) => {
+      const date = item.created_at.split('T')[0];
+      acc[date] = (acc[date] || 0) + 1;
+      return acc;
+    }, {});
 
     res.json({
       success: true,
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Migration CLI
+ * Usage: node scripts/migrate.js [up | down [steps] | status]
+ */
+
+require('dotenv').config();
+const { migrateUp, migrateDown, status } = require('../database/migrator');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'up') {
+    const applied = await migrateUp();
+    console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Schema is up to date');
+  } else if (command === 'down') {
+    const steps = parseInt(arg, 10) || 1;
+    const reverted = await migrateDown(steps);
+    console.log(reverted.length ? `Reverted: ${reverted.join(', ')}` : 'Nothing to revert');
+  } else if (command === 'status') {
+    (await status()).forEach(migration => {
+      console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.version}_${migration.name}`);
+    });
+  } else {
+    throw new Error(`Unknown command "${command}". Use up, down [steps] or status`);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Seed CLI
+ * Upserts the development seed data through the configured data backend.
+ * Usage: node scripts/seed.js
+ */
+
+require('dotenv').config();
+const { db, backend } = require('../config/database');
+const { buildSeedData, CONFLICT_KEYS, ADMIN_EMAIL } = require('../database/seeds');
+
+async function main() {
+  const seedData = buildSeedData();
+
+  for (const [table, rows] of Object.entries(seedData)) {
+    const { error } = await db
+      .from(table)
+      .upsert(rows, { onConflict: CONFLICT_KEYS[table] || 'id' });
+
+    if (error) {
+      throw new Error(`Failed to seed ${table}: ${error.message}`);
+    }
+    console.log(`Seeded ${rows.length} row(s) into ${table}`);
+  }
+
+  console.log(`Seed complete on the ${backend} backend. Admin login: ${ADMIN_EMAIL}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
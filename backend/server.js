@@ -22,6 +22,15 @@ const salesRoutes = require('./routes/salesRoutes');
 const customerLotsRoutes = require('./routes/customerLotsRoutes');
 const n8nWebhookRoutes = require('./routes/n8nWebhookRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
+const configurationRoutes = require('./routes/configurationRoutes');
+const holidayRoutes = require('./routes/holidayRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const bankAccountRoutes = require('./routes/bankAccountRoutes');
+const emdRoutes = require('./routes/emdRoutes');
+const ledgerRoutes = require('./routes/ledgerRoutes');
+
+// Import data backend
+const { backend } = require('./config/database');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -69,6 +78,7 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV,
+    data_backend: backend,
     version: '1.0.0'
   });
 });
@@ -84,6 +94,12 @@ app.use('/api/sampling', samplingRoutes);
 app.use('/api/sales', salesRoutes);
 app.use('/api/customer', customerLotsRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/configuration', configurationRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/bank-accounts', bankAccountRoutes);
+app.use('/api/emd', emdRoutes);
+app.use('/api/ledger', ledgerRoutes);
 app.use('/webhook/n8n', n8nWebhookRoutes);
 
 //backend health check
@@ -107,16 +123,19 @@ app.use(errorHandler);
 
 
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
+// Start server (skipped when the app is required by tests)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`
 🚀 Cotton Trading API Server is running!
 📡 Port: ${PORT}
 🌍 Environment: ${process.env.NODE_ENV}
+🗄️  Data backend: ${backend}
 📅 Started at: ${new Date().toISOString()}
 🔗 Health check: http://localhost:${PORT}/health
-  `);
-});
+    `);
+  });
+}
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
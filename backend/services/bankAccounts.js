@@ -0,0 +1,134 @@
+/**
+ * Bank accounts
+ * Validates the beneficiary accounts payments are made into and picks the one
+ * a CDU should carry. An account can be kept for one payment type (purpose)
+ * and for one CCI branch or zone; a blank purpose, branch or zone means any.
+ * Pure functions.
+ *
+ * IFSC codes carry no check digit, so an IFSC is checked for its structure:
+ * the bank's four letter code, a zero reserved by RBI and a six character
+ * branch code. The bank code must be a known one, and gives the bank name.
+ */
+
+const { IFSC_BANK_CODES } = require('./utr');
+
+const IFSC_PATTERN = /^([A-Z]{4})0[A-Z0-9]{6}$/;
+
+// Indian bank account numbers are 9 to 18 digits
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+
+/**
+ * Normalise an IFSC as typed: upper case without spaces
+ * @param {string} ifsc
+ * @returns {string}
+ */
+function normalizeIfsc(ifsc) {
+  return String(ifsc || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Check an IFSC
+ * @param {string} ifsc - Normalised IFSC
+ * @returns {{ valid: boolean, bank_code: string|null, bank_name: string|null, message: string|null }}
+ */
+function validateIfsc(ifsc) {
+  const match = IFSC_PATTERN.exec(ifsc);
+
+  if (!match) {
+    return {
+      valid: false,
+      bank_code: null,
+      bank_name: null,
+      message: 'IFSC must be 11 characters: a 4 letter bank code, 0 and a 6 character branch code, e.g. SBIN0001234'
+    };
+  }
+
+  const bankCode = match[1];
+  if (!IFSC_BANK_CODES[bankCode]) {
+    return { valid: false, bank_code: bankCode, bank_name: null, message: `Unknown bank code ${bankCode} in IFSC` };
+  }
+
+  return { valid: true, bank_code: bankCode, bank_name: IFSC_BANK_CODES[bankCode], message: null };
+}
+
+/**
+ * Check an account number
+ * @param {string} accountNumber
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateAccountNumber(accountNumber) {
+  return ACCOUNT_NUMBER_PATTERN.test(accountNumber) ? null : 'Account number must be 9 to 18 digits';
+}
+
+/**
+ * Check whether an account may receive a payment
+ * @param {Object} account - bank_accounts row
+ * @param {Object} criteria
+ * @param {string} criteria.payment_type - e.g. EMD, BALANCE
+ * @param {string} [criteria.branch_id] - CCI branch of the procurement
+ * @param {string} [criteria.zone] - Zone of the procurement
+ * @returns {boolean}
+ */
+function isEligible(account, { payment_type, branch_id, zone }) {
+  return account.is_active &&
+    (!account.purpose || account.purpose === payment_type) &&
+    (!account.branch_id || account.branch_id === branch_id) &&
+    (!account.zone || account.zone === zone);
+}
+
+// The more an account is kept for, the better it fits: branch over zone over purpose
+const specificity = account =>
+  (account.branch_id ? 4 : 0) + (account.zone ? 2 : 0) + (account.purpose ? 1 : 0);
+
+/**
+ * List the accounts that may receive a payment, best fit first. The first is
+ * the default for the CDU.
+ * @param {Object[]} accounts - bank_accounts rows
+ * @param {Object} criteria - See isEligible
+ * @returns {Object[]}
+ */
+function rankAccounts(accounts, criteria) {
+  return accounts
+    .filter(account => isEligible(account, criteria))
+    .sort((a, b) => specificity(b) - specificity(a) || a.account_name.localeCompare(b.account_name));
+}
+
+/**
+ * What decides the accounts a payment may go to
+ * @param {Object} payment - payments row with its procurement_dump and allocation
+ * @returns {{ payment_type: string, branch_id: string|null, zone: string|null }}
+ */
+function accountCriteria(payment) {
+  const procurement = payment.procurement_dump || {};
+  return {
+    payment_type: payment.payment_type,
+    branch_id: procurement.allocation?.branch_id || null,
+    zone: procurement.zone || procurement.allocation?.branch_information?.zone || null
+  };
+}
+
+/**
+ * The beneficiary details printed on a CDU, kept on the payment so later
+ * changes to the account do not alter a CDU already issued
+ * @param {Object} account - bank_accounts row
+ * @returns {{ account_name: string, account_number: string, ifsc_code: string, bank_name: string, branch_name: string }}
+ */
+function beneficiaryDetails(account) {
+  return {
+    account_name: account.account_name,
+    account_number: account.account_number,
+    ifsc_code: account.ifsc_code,
+    bank_name: account.bank_name,
+    branch_name: account.branch_name
+  };
+}
+
+module.exports = {
+  normalizeIfsc,
+  validateIfsc,
+  validateAccountNumber,
+  isEligible,
+  rankAccounts,
+  accountCriteria,
+  beneficiaryDetails
+};
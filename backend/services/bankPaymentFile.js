@@ -0,0 +1,389 @@
+/**
+ * Bank payment files
+ * Writes a batch of payments as a bulk upload file for a corporate banking
+ * portal, in the layout a bank file template describes - fixed-width records
+ * or delimited CSV, with optional header and trailer records - and reads the
+ * response file the bank returns into the UTR, or the failure reason, of each
+ * payment. Pure functions.
+ */
+
+const { validateAccountNumber } = require('./bankAccounts');
+const { normalizeUtr } = require('./bankStatement');
+const { toDateString } = require('./businessDays');
+const { splitCsvLine, splitCsvText } = require('./csv');
+const { toPaise } = require('./money');
+
+const FILE_FORMATS = {
+  FIXED_WIDTH: 'fixed_width',
+  CSV: 'csv'
+};
+
+const LINE_STATUSES = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed'
+};
+
+const BATCH_STATUSES = {
+  GENERATED: 'generated',
+  CLOSED: 'closed'
+};
+
+// Values a payment record can carry
+const LINE_SOURCES = [
+  'literal', 'line_number', 'reference', 'payment_mode', 'amount', 'value_date',
+  'debit_account', 'remitter_name', 'beneficiary_name', 'beneficiary_account',
+  'beneficiary_ifsc', 'beneficiary_bank', 'cdu_reference', 'indent_number', 'batch_number'
+];
+
+// Values a header or trailer record can carry
+const BATCH_SOURCES = [
+  'literal', 'batch_number', 'value_date', 'debit_account', 'remitter_name', 'line_count', 'total_amount'
+];
+
+// Right-aligned and zero-padded in fixed-width records unless the field says otherwise
+const NUMERIC_SOURCES = ['line_number', 'amount', 'line_count', 'total_amount'];
+
+// Amounts, accounts and references are refused rather than cut short when they do not fit
+const EXACT_SOURCES = [
+  'line_number', 'reference', 'amount', 'value_date', 'debit_account',
+  'beneficiary_account', 'beneficiary_ifsc', 'line_count', 'total_amount'
+];
+
+// Status values a response file reports a payment made with, unless the template lists its own
+const DEFAULT_SUCCESS_VALUES = ['SUCCESS', 'PAID', 'PROCESSED', 'EXECUTED', 'COMPLETED'];
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Format a date with DD, MM, MON, YYYY and YY tokens
+ * @param {string|Date} value
+ * @param {string} [pattern] - e.g. DDMMYYYY, DD-MON-YYYY; DD/MM/YYYY by default
+ * @returns {string}
+ */
+function formatDate(value, pattern = 'DD/MM/YYYY') {
+  const [year, month, day] = toDateString(value).split('-');
+  return pattern.replace(/YYYY|YY|MON|MM|DD/g, token => ({
+    YYYY: year,
+    YY: year.slice(2),
+    MON: MONTHS[Number(month) - 1],
+    MM: month,
+    DD: day
+  }[token]));
+}
+
+/**
+ * Format an amount as rupees with two decimals, or as whole paise
+ * @param {number} rupees
+ * @param {string} [format] - 'decimal' (12345.50) or 'paise' (1234550)
+ * @returns {string}
+ */
+function formatAmount(rupees, format = 'decimal') {
+  const paise = toPaise(rupees);
+  if (format === 'paise') {
+    return String(paise);
+  }
+  return `${Math.floor(paise / 100)}.${String(paise % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Raw value of a field for a record
+ * @param {Object} field - Template field
+ * @param {Object} context - { template, batch, line, company }
+ * @returns {string}
+ */
+function sourceValue(field, { template, batch, line, company }) {
+  const beneficiary = line?.beneficiary || {};
+
+  switch (field.source) {
+    case 'literal':
+      return field.value ?? '';
+    case 'line_number':
+      return String(line.line_number);
+    case 'reference':
+      return line.reference;
+    case 'payment_mode':
+      return line.payment_mode;
+    case 'amount':
+      return formatAmount(line.amount, field.format);
+    case 'value_date':
+      return formatDate(batch.value_date, field.format);
+    case 'debit_account':
+      return template.debit_account_number;
+    case 'remitter_name':
+      return company.name;
+    case 'beneficiary_name':
+      return beneficiary.account_name;
+    case 'beneficiary_account':
+      return beneficiary.account_number;
+    case 'beneficiary_ifsc':
+      return beneficiary.ifsc_code;
+    case 'beneficiary_bank':
+      return beneficiary.bank_name;
+    case 'cdu_reference':
+      return line.payment?.cdu_reference;
+    case 'indent_number':
+      return line.payment?.procurement_dump?.indent_number;
+    case 'batch_number':
+      return batch.batch_number;
+    case 'line_count':
+      return String(batch.line_count);
+    case 'total_amount':
+      return formatAmount(batch.total_amount, field.format);
+    default:
+      return '';
+  }
+}
+
+/**
+ * Write one record of a file
+ * @param {Object[]} fields - Template fields
+ * @param {Object} template - bank_file_templates row
+ * @param {Object} context - { template, batch, line, company }
+ * @param {string} label - Record named in errors, e.g. "Line 3"
+ * @returns {{ record: string, errors: string[] }}
+ */
+function writeRecord(fields, template, context, label) {
+  const errors = [];
+
+  const values = fields.map(field => {
+    const raw = sourceValue(field, context);
+    const coded = field.codes?.[raw] ?? raw;
+    // Bank portals accept plain ASCII on one line
+    let text = String(coded ?? '').normalize('NFKD').replace(/[^\x20-\x7E]/g, '').replace(/\s+/g, ' ').trim();
+
+    if (field.width && text.length > field.width) {
+      if (EXACT_SOURCES.includes(field.source)) {
+        errors.push(`${label}: ${field.header || field.source} ${text} does not fit its ${field.width} characters`);
+      }
+      text = text.slice(0, field.width).trim();
+    }
+
+    if (template.file_format === FILE_FORMATS.FIXED_WIDTH) {
+      const numeric = NUMERIC_SOURCES.includes(field.source);
+      const pad = field.pad ?? (numeric ? '0' : ' ');
+      const align = field.align ?? (numeric ? 'right' : 'left');
+      return align === 'right' ? text.padStart(field.width, pad) : text.padEnd(field.width, pad);
+    }
+
+    return csvValue(text, template.delimiter);
+  });
+
+  return {
+    record: values.join(template.file_format === FILE_FORMATS.FIXED_WIDTH ? '' : template.delimiter),
+    errors
+  };
+}
+
+/**
+ * Quote a CSV value when it holds the delimiter or a quote
+ */
+function csvValue(text, delimiter) {
+  return text.includes(delimiter) || text.includes('"') ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Check a template beyond its shape: sources allowed on each record, widths
+ * for fixed-width files, headings for files with a header row, and response
+ * columns the response format can locate
+ * @param {Object} template - bank_file_templates row or request body
+ * @returns {{ field: string, message: string }[]} Empty when the template is usable
+ */
+function validateTemplate(template) {
+  const errors = [];
+  const fixedWidth = template.file_format === FILE_FORMATS.FIXED_WIDTH;
+
+  const accountError = validateAccountNumber(template.debit_account_number);
+  if (accountError) {
+    errors.push({ field: 'debit_account_number', message: accountError });
+  }
+
+  const checkFields = (key, sources) => (template[key] || []).forEach((field, index) => {
+    const name = `${key}[${index}]`;
+    if (!sources.includes(field.source)) {
+      errors.push({ field: name, message: `${field.source} cannot be used here; use one of ${sources.join(', ')}` });
+    }
+    if (field.source === 'literal' && (field.value === undefined || field.value === null)) {
+      errors.push({ field: name, message: 'A literal field needs a value' });
+    }
+    if (fixedWidth && !field.width) {
+      errors.push({ field: name, message: 'Every field of a fixed-width file needs a width' });
+    }
+    if (!fixedWidth && template.include_header && key === 'fields' && !field.header) {
+      errors.push({ field: name, message: 'Every column needs a heading when the file has a header row' });
+    }
+  });
+
+  checkFields('fields', LINE_SOURCES);
+  checkFields('header_fields', BATCH_SOURCES);
+  checkFields('trailer_fields', BATCH_SOURCES);
+
+  const layout = template.response_layout || {};
+  const responseFixedWidth = (layout.file_format || template.file_format) === FILE_FORMATS.FIXED_WIDTH;
+
+  ['reference', 'utr', 'status', 'reason'].forEach(column => {
+    const position = layout[column];
+    if (position === undefined || position === null) {
+      if (['reference', 'utr'].includes(column)) {
+        errors.push({ field: `response_layout.${column}`, message: `The response layout must locate the ${column} column` });
+      }
+      return;
+    }
+
+    const valid = responseFixedWidth
+      ? Number.isInteger(position.start) && position.start > 0 && Number.isInteger(position.length) && position.length > 0
+      : layout.has_header ? typeof position === 'string' : Number.isInteger(position) && position > 0;
+
+    if (!valid) {
+      errors.push({
+        field: `response_layout.${column}`,
+        message: responseFixedWidth
+          ? 'Fixed-width response columns are { start, length }, counting from 1'
+          : layout.has_header ? 'Columns of a response with a header row are given by heading' : 'Columns are numbered from 1'
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build the upload file of a batch
+ * @param {Object} template - bank_file_templates row
+ * @param {Object} batch - { batch_number, value_date, line_count, total_amount }
+ * @param {Object[]} lines - bank_payment_batch_lines rows with their payment
+ * @param {Object} company - Company profile: { name }
+ * @returns {{ content: string, errors: string[] }} Records end with CRLF, as bank portals expect
+ */
+function buildPaymentFile(template, batch, lines, company) {
+  const records = [];
+  const errors = [];
+  const batchContext = { template, batch, line: null, company };
+
+  const add = ({ record, errors: recordErrors }) => {
+    records.push(record);
+    errors.push(...recordErrors);
+  };
+
+  if (template.file_format === FILE_FORMATS.CSV && template.include_header) {
+    records.push(template.fields.map(field => csvValue(field.header, template.delimiter)).join(template.delimiter));
+  }
+
+  if (template.header_fields?.length > 0) {
+    add(writeRecord(template.header_fields, template, batchContext, 'Header'));
+  }
+
+  lines.forEach(line => {
+    add(writeRecord(template.fields, template, { ...batchContext, line }, `Line ${line.line_number}`));
+  });
+
+  if (template.trailer_fields?.length > 0) {
+    add(writeRecord(template.trailer_fields, template, batchContext, 'Trailer'));
+  }
+
+  return {
+    content: `${records.join('\r\n')}\r\n`,
+    errors
+  };
+}
+
+/**
+ * Read a response file into the outcome of each payment in it. Records
+ * without a reference, or without the payment record prefix the layout
+ * gives, are skipped.
+ * @param {Object} template - bank_file_templates row
+ * @param {string} text - Response file content
+ * @returns {{ rows: { row_number: number, reference: string, utr_number: string|null, paid: boolean, reason: string|null }[],
+ *   errors: string[] }}
+ */
+function parseResponseFile(template, text) {
+  const layout = template.response_layout;
+  const fixedWidth = (layout.file_format || template.file_format) === FILE_FORMATS.FIXED_WIDTH;
+  const delimiter = layout.delimiter || template.delimiter || ',';
+  const successValues = (layout.success_values || DEFAULT_SUCCESS_VALUES).map(value => value.toUpperCase());
+
+  // Files with header and trailer records mark payment records with a record type
+  const records = splitCsvText(text)
+    .map((record, index) => ({ record, row_number: index + 1 }))
+    .filter(({ record }) => record.trim() !== '');
+  const isPaymentRecord = ({ record }) => !layout.record_prefix || record.startsWith(layout.record_prefix);
+
+  let locate;
+  if (fixedWidth) {
+    locate = (record, position) => record.substr(position.start - 1, position.length).trim();
+  } else if (layout.has_header) {
+    const headings = records.length > 0 ? splitCsvLine(records.shift().record, delimiter).map(heading => heading.toUpperCase()) : [];
+    const missing = ['reference', 'utr', 'status', 'reason']
+      .filter(column => layout[column] && !headings.includes(layout[column].toUpperCase()));
+
+    if (missing.length > 0) {
+      return {
+        rows: [],
+        errors: missing.map(column => `Response file has no ${layout[column]} column`)
+      };
+    }
+    locate = (fields, heading) => fields[headings.indexOf(heading.toUpperCase())] || '';
+  } else {
+    locate = (fields, position) => fields[position - 1] || '';
+  }
+
+  const rows = [];
+  const errors = [];
+
+  records.filter(isPaymentRecord).forEach(({ record, row_number }) => {
+    const source = fixedWidth ? record : splitCsvLine(record, delimiter);
+    const column = name => (layout[name] ? locate(source, layout[name]) : '');
+
+    const reference = column('reference');
+    if (!reference) {
+      return;
+    }
+
+    const utr = normalizeUtr(column('utr')) || null;
+    const status = column('status').toUpperCase();
+    const paid = layout.status ? successValues.includes(status) : Boolean(utr);
+
+    if (paid && !utr) {
+      errors.push(`Row ${row_number}: ${reference} is reported paid without a UTR`);
+      return;
+    }
+
+    rows.push({
+      row_number,
+      reference,
+      utr_number: paid ? utr : null,
+      paid,
+      reason: paid ? null : column('reason') || status || 'Rejected by the bank'
+    });
+  });
+
+  if (rows.length === 0 && errors.length === 0) {
+    errors.push('Response file has no payment records');
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * File name of a batch's upload file
+ * @param {Object} template - { bank_code, file_extension }
+ * @param {Object} batch - { batch_number }
+ * @returns {string}
+ */
+function batchFileName(template, batch) {
+  return `${template.bank_code}-${batch.batch_number}.${template.file_extension}`;
+}
+
+module.exports = {
+  FILE_FORMATS,
+  LINE_STATUSES,
+  BATCH_STATUSES,
+  LINE_SOURCES,
+  BATCH_SOURCES,
+  formatDate,
+  formatAmount,
+  validateTemplate,
+  buildPaymentFile,
+  parseResponseFile,
+  batchFileName
+};
@@ -0,0 +1,318 @@
+/**
+ * Bank statement parsing
+ * Reads CSV exports and SWIFT MT940 statements into statement lines:
+ * { line_number, value_date, direction, amount, utr_number, reference, narration }.
+ * Amounts are positive; direction says whether money left (debit) or
+ * arrived (credit). Pure functions.
+ */
+
+const { splitCsvLine, splitCsvText } = require('./csv');
+const { toPaise, toRupees } = require('./money');
+
+const FORMATS = {
+  CSV: 'CSV',
+  MT940: 'MT940'
+};
+
+// Accepted CSV header names for each column, compared lower-case
+const CSV_COLUMNS = {
+  date: ['value date', 'value_date', 'date', 'txn date', 'transaction date', 'posting date'],
+  narration: ['narration', 'description', 'particulars', 'remarks', 'details'],
+  reference: ['reference', 'ref no', 'ref no.', 'reference no', 'reference number', 'chq/ref no', 'cheque/ref no', 'chq./ref.no.'],
+  utr: ['utr', 'utr no', 'utr number', 'utr_number'],
+  debit: ['debit', 'debit amount', 'withdrawal', 'withdrawal amt', 'withdrawal amount', 'dr'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposit amt', 'deposit amount', 'cr'],
+  amount: ['amount', 'transaction amount'],
+  type: ['type', 'dr/cr', 'cr/dr', 'debit/credit']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// RTGS UTRs are 22 characters, NEFT 16 and IMPS references 12 digits
+const UTR_PATTERN = /^(?=(?:.*\d){6})[A-Z0-9]{12,22}$/;
+
+/**
+ * Tell the format of a statement file from its name and content
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {string} FORMATS.MT940 or FORMATS.CSV
+ */
+function detectFormat(fileName, text) {
+  if (/\.(sta|mt940|940)$/i.test(fileName) || (/^:20:/m.test(text) && /^:61:/m.test(text))) {
+    return FORMATS.MT940;
+  }
+  return FORMATS.CSV;
+}
+
+/**
+ * Find a UTR in free text such as a narration
+ * @param {...string} texts - Checked in order
+ * @returns {string|null} Upper-case UTR
+ */
+function extractUtr(...texts) {
+  for (const text of texts) {
+    const token = (text || '')
+      .toUpperCase()
+      .split(/[^A-Z0-9]+/)
+      .find(candidate => UTR_PATTERN.test(candidate));
+    if (token) return token;
+  }
+  return null;
+}
+
+/**
+ * Normalise a UTR for comparison
+ * @param {string|null} utr
+ */
+function normalizeUtr(utr) {
+  const value = (utr || '').replace(/\s+/g, '').toUpperCase();
+  return value || null;
+}
+
+/**
+ * Parse a statement date
+ * @param {string} value - YYYY-MM-DD, DD/MM/YYYY, DD-MM-YY or DD-MMM-YYYY
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseDate(value) {
+  const text = (value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  let match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text))) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = /^(\d{1,2})[ /-]([A-Za-z]{3})[A-Za-z]*[ /-](\d{2}|\d{4})$/.exec(text))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a statement amount such as "1,23,456.50"
+ * @returns {number|null} Rupees, or null when blank or not a number
+ */
+function parseAmount(value) {
+  const text = (value || '').replace(/[,\s₹]/g, '').replace(/^INR/i, '');
+  if (!text || !/^-?\d+(\.\d+)?$/.test(text)) {
+    return null;
+  }
+  return toRupees(toPaise(text));
+}
+
+const findColumn = (header, names) => header.findIndex(column => names.includes(column));
+
+/**
+ * Parse a CSV bank statement. Amounts are either in separate debit and credit
+ * columns, or in one amount column with a Dr/Cr type column or a sign
+ * (negative for debits).
+ * @param {string} text
+ * @returns {{ statement: Object, lines: Object[], errors: { field: string, message: string }[] }}
+ */
+function parseCsvStatement(text) {
+  const rows = splitCsvText(text);
+  const header = splitCsvLine(rows[0] || '').map(column => column.toLowerCase());
+  const columns = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([name, names]) => [name, findColumn(header, names)])
+  );
+
+  const hasAmounts = (columns.debit !== -1 && columns.credit !== -1) || columns.amount !== -1;
+  if (columns.date === -1 || !hasAmounts) {
+    return {
+      statement: {},
+      lines: [],
+      errors: [{ field: 'file', message: 'CSV header must include a date column and debit/credit or amount columns' }]
+    };
+  }
+
+  const lines = [];
+  const errors = [];
+
+  rows.slice(1).forEach((row, index) => {
+    if (!row.trim()) return;
+
+    const lineNumber = index + 2;
+    const fields = splitCsvLine(row);
+    const field = name => (columns[name] === -1 ? '' : fields[columns[name]] || '');
+
+    const valueDate = parseDate(field('date'));
+    if (!valueDate) {
+      errors.push({ field: `line ${lineNumber}`, message: `Invalid date ${field('date')}` });
+      return;
+    }
+
+    let direction;
+    let amount;
+    if (columns.amount !== -1 && field('amount')) {
+      amount = parseAmount(field('amount'));
+      const type = field('type').toLowerCase();
+      direction = type.startsWith('d') || (!type && amount < 0) ? 'debit' : 'credit';
+      amount = amount === null ? null : Math.abs(amount);
+    } else {
+      const debit = parseAmount(field('debit'));
+      const credit = parseAmount(field('credit'));
+      direction = debit ? 'debit' : 'credit';
+      amount = debit || credit;
+    }
+
+    if (!amount) {
+      errors.push({ field: `line ${lineNumber}`, message: 'Amount is missing or not a number' });
+      return;
+    }
+
+    const narration = field('narration') || null;
+    const reference = field('reference') || null;
+
+    lines.push({
+      line_number: lineNumber,
+      value_date: valueDate,
+      direction,
+      amount,
+      utr_number: normalizeUtr(field('utr')) || extractUtr(reference, narration),
+      reference,
+      narration
+    });
+  });
+
+  if (lines.length === 0 && errors.length === 0) {
+    errors.push({ field: 'file', message: 'Statement has no transactions' });
+  }
+
+  return { statement: {}, lines, errors };
+}
+
+// :61:YYMMDD[MMDD]{C|D|RC|RD}[funds code]amount{type code}{reference}[//bank reference]
+const MT940_LINE = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d{0,2})([NSF][A-Z0-9]{3})([^/\n]*)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+// :60F: and :62F: balances, e.g. C250401INR1234,56
+const MT940_BALANCE = /^([CD])(\d{6})([A-Z]{3})(\d+,\d{0,2})$/;
+
+const mt940Date = yymmdd => parseDate(`20${yymmdd.slice(0, 2)}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`);
+
+// Decimal comma, with the decimals optional: 1234,56 or 1234,
+const mt940Amount = value => parseAmount(value.replace(/,$/, '').replace(',', '.'));
+
+const mt940Balance = value => {
+  const match = MT940_BALANCE.exec((value || '').trim());
+  if (!match) return null;
+  const amount = mt940Amount(match[4]);
+  return match[1] === 'D' ? -amount : amount;
+};
+
+/**
+ * Parse a SWIFT MT940 statement
+ * @param {string} text
+ * @returns {{ statement: Object, lines: Object[], errors: { field: string, message: string }[] }}
+ */
+function parseMt940Statement(text) {
+  // Collect tags, joining continuation lines to the tag they belong to
+  const tags = [];
+  text.split(/\r?\n/).forEach((row, index) => {
+    const match = /^:(\d{2}[A-Z]?):(.*)$/.exec(row);
+    if (match) {
+      tags.push({ tag: match[1], value: match[2], lineNumber: index + 1 });
+    } else if (tags.length > 0 && row.trim() && row.trim() !== '-}' && row.trim() !== '-') {
+      tags[tags.length - 1].value += `\n${row}`;
+    }
+  });
+
+  const statement = {};
+  const lines = [];
+  const errors = [];
+
+  tags.forEach(({ tag, value, lineNumber }) => {
+    if (tag === '25') {
+      statement.account_number = value.trim();
+    } else if (tag === '60F' || tag === '60M') {
+      if (statement.opening_balance === undefined) statement.opening_balance = mt940Balance(value);
+    } else if (tag === '62F' || tag === '62M') {
+      statement.closing_balance = mt940Balance(value);
+    } else if (tag === '61') {
+      const match = MT940_LINE.exec(value.trim());
+      if (!match) {
+        errors.push({ field: `line ${lineNumber}`, message: 'Unreadable :61: statement line' });
+        return;
+      }
+
+      const [, valueDate, , mark, , amount, , customerReference, bankReference, supplementary] = match;
+      // A reversed credit takes money out; a reversed debit brings it back
+      const direction = ['D', 'RC'].includes(mark) ? 'debit' : 'credit';
+      const reference = customerReference.trim() && customerReference.trim() !== 'NONREF'
+        ? customerReference.trim()
+        : (bankReference || '').trim() || null;
+
+      lines.push({
+        line_number: lineNumber,
+        value_date: mt940Date(valueDate),
+        direction,
+        amount: mt940Amount(amount),
+        utr_number: null,
+        reference,
+        narration: (supplementary || '').trim() || null
+      });
+    } else if (tag === '86' && lines.length > 0) {
+      // Information to account owner, describing the :61: line before it
+      const line = lines[lines.length - 1];
+      const information = value.replace(/\n/g, ' ').trim();
+      line.narration = [line.narration, information].filter(Boolean).join(' ');
+    }
+  });
+
+  lines.forEach(line => {
+    line.utr_number = extractUtr(line.reference, line.narration);
+    if (!line.value_date || !line.amount) {
+      errors.push({ field: `line ${line.line_number}`, message: 'Invalid value date or amount' });
+    }
+  });
+
+  if (lines.length === 0 && errors.length === 0) {
+    errors.push({ field: 'file', message: 'Statement has no transactions' });
+  }
+
+  return { statement, lines, errors };
+}
+
+/**
+ * Parse a statement file in either format
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {{ format: string, statement: Object, lines: Object[], errors: Object[] }}
+ * statement carries account_number, statement_from/to and balances where the format has them
+ */
+function parseStatement(fileName, text) {
+  const format = detectFormat(fileName, text);
+  const parsed = format === FORMATS.MT940 ? parseMt940Statement(text) : parseCsvStatement(text);
+
+  const dates = parsed.lines.map(line => line.value_date).filter(Boolean).sort();
+  return {
+    format,
+    statement: {
+      ...parsed.statement,
+      statement_from: dates[0] || null,
+      statement_to: dates[dates.length - 1] || null
+    },
+    lines: parsed.lines,
+    errors: parsed.errors
+  };
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  extractUtr,
+  normalizeUtr,
+  parseStatement
+};
@@ -0,0 +1,161 @@
+/**
+ * Business-day calendar
+ * Counts due dates in bank business days. Sundays, the second and fourth
+ * Saturdays (RBI bank holidays) and the holidays in the holiday master are
+ * closed. Everything except loadHolidayCalendar is pure.
+ */
+
+const { holidayRepository } = require('../repositories');
+
+// Deadlines counted in business days
+const PROCUREMENT_DUE_DAYS = 15;
+const UTR_GRACE_DAYS = 3;
+const ASSIGNMENT_WINDOW_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Holidays are loaded this far either side of the reference date
+const CALENDAR_SPAN_DAYS = 400;
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date|string} value - Date, or a string starting with YYYY-MM-DD
+ */
+function toDateString(value) {
+  return (value instanceof Date ? value.toISOString() : String(value)).split('T')[0];
+}
+
+const toUtcDate = value => new Date(`${toDateString(value)}T00:00:00Z`);
+
+const shiftDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Build a calendar from holiday rows
+ * @param {Object[]} holidays - holidays rows ({ holiday_date, state_code })
+ * @param {string|null} [stateCode] - GST state code; null keeps national holidays only
+ * @returns {{ state_code: string|null, holidays: Set<string> }}
+ */
+function createCalendar(holidays, stateCode = null) {
+  return {
+    state_code: stateCode,
+    holidays: new Set(
+      holidays
+        .filter(holiday => !holiday.state_code || holiday.state_code === stateCode)
+        .map(holiday => toDateString(holiday.holiday_date))
+    )
+  };
+}
+
+/**
+ * Check whether banks are open on a date
+ * @param {Date|string} date
+ * @param {Object} calendar - From createCalendar
+ */
+function isBusinessDay(date, calendar) {
+  const day = toUtcDate(date);
+  const weekday = day.getUTCDay();
+
+  if (weekday === 0) return false;
+  if (weekday === 6 && [2, 4].includes(Math.ceil(day.getUTCDate() / 7))) return false;
+  return !calendar.holidays.has(toDateString(day));
+}
+
+/**
+ * Get the date itself if it is a business day, otherwise the next one
+ * @returns {string} YYYY-MM-DD
+ */
+function nextBusinessDay(date, calendar) {
+  let day = toUtcDate(date);
+  while (!isBusinessDay(day, calendar)) {
+    day = shiftDays(day, 1);
+  }
+  return toDateString(day);
+}
+
+/**
+ * Move a number of business days forward, or back when days is negative
+ * @returns {string} YYYY-MM-DD
+ */
+function addBusinessDays(date, days, calendar) {
+  const step = days < 0 ? -1 : 1;
+  let remaining = Math.abs(days);
+  let day = toUtcDate(date);
+
+  while (remaining > 0) {
+    day = shiftDays(day, step);
+    if (isBusinessDay(day, calendar)) {
+      remaining -= 1;
+    }
+  }
+
+  return toDateString(day);
+}
+
+/**
+ * Count the business days after `from` up to and including `to`
+ * @returns {number} 0 when `to` is not after `from`
+ */
+function businessDaysBetween(from, to, calendar) {
+  const end = toUtcDate(to);
+  let day = toUtcDate(from);
+  let count = 0;
+
+  while (day < end) {
+    day = shiftDays(day, 1);
+    if (isBusinessDay(day, calendar)) {
+      count += 1;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Get the lifting deadline for a lifting period such as "30 days". The period
+ * runs in calendar days; a deadline on a closed day moves to the next business day.
+ * @param {Date|string} start - Date the lifting period starts
+ * @param {string} liftingPeriod
+ * @param {Object} calendar - Calendar of the branch the lots are lifted from
+ * @returns {string|null} YYYY-MM-DD, or null when the period is not a number of days
+ */
+function liftingDeadline(start, liftingPeriod, calendar) {
+  const match = /^\s*(\d+)\s*(days?)?\s*$/i.exec(liftingPeriod || '');
+  if (!match) {
+    return null;
+  }
+  return nextBusinessDay(shiftDays(toUtcDate(start), parseInt(match[1], 10)), calendar);
+}
+
+/**
+ * Load the holiday calendar of a state around a date
+ * @param {string|null} stateCode - GST state code; null for national holidays only
+ * @param {Date} [around] - Reference date, defaults to now
+ * @returns {Promise<{ data: Object|null, error: Object|null }>} The calendar
+ */
+async function loadHolidayCalendar(stateCode, around = new Date()) {
+  const { data, error } = await holidayRepository.list({
+    from: toDateString(shiftDays(around, -CALENDAR_SPAN_DAYS)),
+    to: toDateString(shiftDays(around, CALENDAR_SPAN_DAYS)),
+    stateCode
+  });
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  return { data: createCalendar(data, stateCode), error: null };
+}
+
+module.exports = {
+  PROCUREMENT_DUE_DAYS,
+  UTR_GRACE_DAYS,
+  ASSIGNMENT_WINDOW_DAYS,
+  toDateString,
+  createCalendar,
+  isBusinessDay,
+  nextBusinessDay,
+  addBusinessDays,
+  businessDaysBetween,
+  liftingDeadline,
+  loadHolidayCalendar
+};
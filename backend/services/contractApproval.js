@@ -0,0 +1,67 @@
+/**
+ * Contract approval service
+ * Pure functions for the sign-off a contract needs before it is sent, under
+ * the CONTRACT_APPROVAL_LEVELS trading configuration. Each level whose
+ * threshold the contract value reaches must be signed off, in order, each by
+ * a different admin who did not upload the contract.
+ */
+
+const CONTRACT_STATUSES = {
+  PENDING: 'pending',
+  CHANGES_REQUESTED: 'changes_requested',
+  REJECTED: 'rejected',
+  APPROVED: 'approved',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+const DECISIONS = {
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CHANGES_REQUESTED: 'changes_requested'
+};
+
+// Contracts that may be handed to n8n for sending: approved, or approved
+// before and the send failed
+const DISPATCHABLE_STATUSES = [CONTRACT_STATUSES.APPROVED, CONTRACT_STATUSES.FAILED];
+
+/**
+ * Levels a contract of the given value needs signed off, in order
+ * @param {Object} config - CONTRACT_APPROVAL_LEVELS config value: { levels: [{ name, min_contract_value }] }
+ * @param {number} contractValue - Contract value in rupees
+ * @returns {{ level: number, name: string, min_contract_value: number }[]}
+ */
+function requiredApprovalLevels(config, contractValue) {
+  return config.levels
+    .filter(level => contractValue >= level.min_contract_value)
+    .map((level, index) => ({
+      level: index + 1,
+      name: level.name,
+      min_contract_value: level.min_contract_value
+    }));
+}
+
+/**
+ * Where a revision is in its sign-off
+ * @param {Object[]} levels - Levels it needs, from requiredApprovalLevels()
+ * @param {Object[]} approvals - Its contract_approvals rows
+ * @returns {{ required: number, approved: number, next_level: Object|null, complete: boolean }}
+ */
+function approvalProgress(levels, approvals) {
+  const approved = approvals.filter(approval => approval.decision === DECISIONS.APPROVED).length;
+
+  return {
+    required: levels.length,
+    approved,
+    next_level: levels[approved] || null,
+    complete: approved >= levels.length
+  };
+}
+
+module.exports = {
+  CONTRACT_STATUSES,
+  DECISIONS,
+  DISPATCHABLE_STATUSES,
+  requiredApprovalLevels,
+  approvalProgress
+};
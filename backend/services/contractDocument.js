@@ -0,0 +1,124 @@
+/**
+ * Contract document helpers
+ * Pure functions for the contract PDFs the backend stores: fingerprinting,
+ * checking the upload really is a PDF, naming it in document storage and
+ * telling whether the stored file is still the one uploaded and approved
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const PDF_SIGNATURE = '%PDF-';
+
+// Longest original file name kept on a document
+const MAX_FILE_NAME_LENGTH = 200;
+
+// intact: the stored file is the current revision as uploaded, and that
+// revision is the approved one if the contract has been approved
+const INTEGRITY_STATUSES = {
+  INTACT: 'intact',
+  MODIFIED: 'modified',
+  MISSING: 'missing',
+  REVISED: 'revised'
+};
+
+/**
+ * SHA-256 fingerprint of a document
+ * @param {Buffer} content
+ * @returns {string} Lowercase hex digest
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Whether the content starts with the PDF file signature. The browser's
+ * mimetype only reflects the file extension, so it is checked here too.
+ * @param {Buffer} content
+ * @returns {boolean}
+ */
+function isPdf(content) {
+  return Buffer.isBuffer(content) &&
+    content.subarray(0, PDF_SIGNATURE.length).toString('latin1') === PDF_SIGNATURE;
+}
+
+/**
+ * File name to keep for an uploaded document: the base name of the
+ * original, without control characters, ending in .pdf
+ * @param {string} originalName - Name the file was uploaded with
+ * @param {string} fallback - Name to use when nothing is left of the original
+ * @returns {string}
+ */
+function documentFileName(originalName, fallback) {
+  const base = path.basename(String(originalName || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim()
+    .replace(/\.pdf$/i, '')
+    .slice(0, MAX_FILE_NAME_LENGTH - 4);
+
+  return `${base || fallback}.pdf`;
+}
+
+/**
+ * Storage key of a contract document, grouped by indent number
+ * @param {string} indentNumber
+ * @param {string} documentId - contract_documents ID
+ * @returns {string} e.g. contracts/IND-2024-001/<document id>.pdf
+ */
+function documentStorageKey(indentNumber, documentId) {
+  const folder = String(indentNumber).replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '_');
+  return `contracts/${folder}/${documentId}.pdf`;
+}
+
+/**
+ * Integrity of a contract's current revision, from the fingerprint of its
+ * stored file
+ * @param {Object} contract - purchase_contract_table row with current_document
+ * @param {string|null} storedChecksum - SHA-256 of the stored file, null when it is missing
+ * @returns {Object|null} status, the three fingerprints and a message; null
+ *   for contracts uploaded through n8n, which have no stored file
+ */
+function documentIntegrity(contract, storedChecksum) {
+  const document = contract.current_document;
+
+  if (!document) {
+    return null;
+  }
+
+  const approvedChecksum = contract.approved_checksum_sha256 || null;
+  let status = INTEGRITY_STATUSES.INTACT;
+  let message = approvedChecksum
+    ? `Version ${document.version} is the approved document`
+    : `Version ${document.version} is stored as uploaded`;
+
+  if (storedChecksum === null) {
+    status = INTEGRITY_STATUSES.MISSING;
+    message = `The stored file of version ${document.version} is missing`;
+  } else if (storedChecksum !== document.checksum_sha256) {
+    status = INTEGRITY_STATUSES.MODIFIED;
+    message = `The stored file of version ${document.version} has changed since it was uploaded`;
+  } else if (approvedChecksum && document.checksum_sha256 !== approvedChecksum) {
+    status = INTEGRITY_STATUSES.REVISED;
+    message = `Version ${document.version} has replaced the approved document and needs approval`;
+  }
+
+  return {
+    status,
+    changed_since_approval: approvedChecksum !== null && status !== INTEGRITY_STATUSES.INTACT,
+    message,
+    document_id: document.id,
+    stored_checksum: storedChecksum,
+    uploaded_checksum: document.checksum_sha256,
+    approved_document_id: contract.approved_document_id || null,
+    approved_checksum: approvedChecksum
+  };
+}
+
+module.exports = {
+  INTEGRITY_STATUSES,
+  sha256,
+  isPdf,
+  documentFileName,
+  documentStorageKey,
+  documentIntegrity
+};
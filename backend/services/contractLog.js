@@ -0,0 +1,139 @@
+/**
+ * Contract log export
+ * Pure functions for the contract audit trail: the actions logged, and the
+ * CSV and Excel exports of a filtered set of log entries
+ */
+
+const { joinCsvLine } = require('./csv');
+const { buildWorkbook } = require('./xlsx');
+const { toDateString } = require('./businessDays');
+
+// Actions written to contract_logs, by the backend and by n8n
+const LOG_ACTIONS = {
+  uploaded: 'Uploaded',
+  approved: 'Approved',
+  changes_requested: 'Changes requested',
+  rejected: 'Rejected',
+  dispatched: 'Handed to n8n',
+  dispatch_failed: 'Hand-off failed',
+  sent: 'Sent',
+  send_failed: 'Sending failed',
+  verified: 'Copy verified',
+  verification_failed: 'Copy mismatch',
+  integrity_failed: 'Document changed'
+};
+
+// Most entries one export holds
+const MAX_EXPORT_ROWS = 10000;
+
+const HEADINGS = ['Time (UTC)', 'Indent Number', 'Firm', 'Action', 'User', 'Email', 'Notes'];
+
+const formatDate = date => toDateString(date).split('-').reverse().join('-');
+
+const formatTime = timestamp => new Date(timestamp).toISOString().slice(0, 19).replace('T', ' ');
+
+// Spreadsheets run cells starting with these as formulas
+const plainText = value => (/^[=+\-@]/.test(value || '') ? `'${value}` : value);
+
+/**
+ * Label of a logged action; actions not listed are shown as logged
+ * @param {string} action
+ * @returns {string}
+ */
+function actionLabel(action) {
+  return LOG_ACTIONS[action] || action;
+}
+
+/**
+ * Values of one log entry, in the order of the export headings
+ * @param {Object} log - contract_logs row with purchase_contract_table and users
+ * @returns {string[]}
+ */
+function logRow(log) {
+  return [
+    formatTime(log.timestamp),
+    log.purchase_contract_table?.indent_number || '',
+    plainText(log.purchase_contract_table?.firm_name || ''),
+    actionLabel(log.action),
+    log.users ? `${log.users.first_name} ${log.users.last_name}` : 'System',
+    log.users?.email || '',
+    plainText(log.notes || '')
+  ];
+}
+
+/**
+ * Describe the filters an export was made with, for its heading
+ * @param {Object} filters - Query of GET /api/contract/logs
+ * @param {Object|null} user - The user filtered by
+ * @returns {string} "All entries" when nothing was filtered
+ */
+function describeFilters(filters, user) {
+  const parts = [];
+
+  if (filters.indent_number) parts.push(`Indent ${filters.indent_number}`);
+  if (filters.firm_name) parts.push(`Firm ${filters.firm_name}`);
+  if (filters.action?.length > 0) parts.push(`Action ${filters.action.map(actionLabel).join(', ')}`);
+  if (filters.user_id === 'system') parts.push('User System');
+  else if (user) parts.push(`User ${user.first_name} ${user.last_name}`);
+  if (filters.from || filters.to) {
+    parts.push(`From ${filters.from ? formatDate(filters.from) : 'the start'} to ${filters.to ? formatDate(filters.to) : 'today'}`);
+  }
+  if (filters.search) parts.push(`Notes containing "${filters.search}"`);
+
+  return parts.length > 0 ? parts.join('; ') : 'All entries';
+}
+
+/**
+ * Build the CSV export, with a byte order mark so Excel reads it as UTF-8
+ * @param {Object[]} logs - contract_logs rows with purchase_contract_table and users
+ * @returns {Buffer}
+ */
+function buildLogCsv(logs) {
+  const lines = [HEADINGS, ...logs.map(logRow)].map(fields => joinCsvLine(fields));
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Build the Excel export
+ * @param {Object[]} logs - contract_logs rows with purchase_contract_table and users
+ * @param {Object} options
+ * @param {string} options.description - From describeFilters
+ * @param {Object} options.company - Company profile: { name }
+ * @param {Date} options.generatedAt
+ * @returns {Buffer} .xlsx file
+ */
+function buildLogWorkbook(logs, { description, company, generatedAt }) {
+  return buildWorkbook([{
+    name: 'Contract Logs',
+    widths: [20, 24, 32, 18, 22, 28, 80],
+    rows: [
+      [{ value: company.name, bold: true }],
+      [{ value: 'Contract Audit Log', bold: true }],
+      ['Filters', description],
+      ['Generated', { value: generatedAt, format: 'date' }, `${logs.length} entries`],
+      [],
+      HEADINGS.map(heading => ({ value: heading, bold: true })),
+      ...logs.map(logRow)
+    ]
+  }]);
+}
+
+/**
+ * File name of an export
+ * @param {string} format - csv or xlsx
+ * @param {Date} generatedAt
+ * @returns {string} e.g. contract_logs_2024-05-01.csv
+ */
+function logExportFileName(format, generatedAt) {
+  return `contract_logs_${toDateString(generatedAt)}.${format}`;
+}
+
+module.exports = {
+  LOG_ACTIONS,
+  MAX_EXPORT_ROWS,
+  actionLabel,
+  describeFilters,
+  buildLogCsv,
+  buildLogWorkbook,
+  logExportFileName
+};
@@ -0,0 +1,549 @@
+/**
+ * Contract templates
+ * Purchase contracts are generated from templates kept per buyer type. A
+ * template is a small subset of HTML - headings, paragraphs, lists, tables and
+ * horizontal rules - with Handlebars-style placeholders:
+ *
+ *   {{firm_name}}                              a value, escaped
+ *   {{#if igst_amount}}...{{else}}...{{/if}}   shown when a value is set
+ *   {{#unless gst_rate}}...{{/unless}}         shown when a value is not set
+ *   {{#each payments}}...{{/each}}             repeated for each installment
+ *
+ * The filled-in markup is laid out on A4 pages with the PDF writer. Pure
+ * functions.
+ */
+
+const { toDateString } = require('./businessDays');
+const { amountInWords } = require('./paymentAdvice');
+const { createDocument, wrapText } = require('./pdf');
+
+// Values a template can use, with what they hold
+const TEMPLATE_FIELDS = {
+  company_name: 'Our company name',
+  company_gstin: 'Our GSTIN',
+  contract_date: 'Date the contract is generated (DD-MM-YYYY)',
+  indent_number: 'Indent number',
+  firm_name: 'Firm the cotton is bought for',
+  buyer_type: 'Buyer type of the allocation',
+  crop_year: 'Crop year',
+  lifting_period: 'Lifting period',
+  lifting_deadline: 'Last day to lift the bales (DD-MM-YYYY)',
+  branch_name: 'CCI branch',
+  branch_code: 'CCI branch code',
+  branch_state: 'State of the CCI branch',
+  zone: 'Zone',
+  centre_name: 'Centre the bales are lifted from',
+  variety: 'Cotton variety',
+  fibre_length: 'Fibre length (mm)',
+  seller_gstin: 'GSTIN of the selling CCI branch',
+  hsn_code: 'HSN code',
+  place_of_supply: 'Place of supply (state code)',
+  bale_quantity: 'Number of bales',
+  candy_rate: 'Candy rate (candies per bale, zone-adjusted)',
+  otr_price: 'OTR price (Rs. per candy)',
+  cotton_value: 'Cotton value before GST',
+  gst_rate: 'GST rate, e.g. 5%',
+  gst_amount: 'Total GST',
+  igst_amount: 'IGST, when the supply is inter-state',
+  cgst_amount: 'CGST, when the supply is intra-state',
+  sgst_amount: 'SGST, when the supply is intra-state',
+  total_amount: 'Contract value including GST',
+  total_amount_in_words: 'Contract value in words',
+  emd_percentage: 'EMD percentage, e.g. 10%',
+  emd_amount: 'EMD amount',
+  due_date: 'EMD due date (DD-MM-YYYY)',
+  payments: 'Payment schedule, for {{#each payments}}'
+};
+
+// Values of each installment inside {{#each payments}}
+const PAYMENT_FIELDS = {
+  installment: 'Installment name',
+  amount: 'Installment amount',
+  due_date: 'Installment due date (DD-MM-YYYY)',
+  payment_mode: 'Payment mode'
+};
+
+const LIST_FIELDS = {
+  payments: PAYMENT_FIELDS
+};
+
+// Markup a template may use; anything else is refused when it is saved
+const BLOCK_TAGS = ['h1', 'h2', 'h3', 'p', 'li', 'td', 'th'];
+const ALLOWED_TAGS = [
+  ...BLOCK_TAGS,
+  'ul', 'ol', 'table', 'thead', 'tbody', 'tr', 'hr', 'br', 'div',
+  'strong', 'b', 'em', 'i', 'u', 'span'
+];
+
+const HEADING_STYLES = {
+  h1: { size: 15, before: 6, after: 10 },
+  h2: { size: 11, before: 10, after: 6 },
+  h3: { size: 10, before: 6, after: 4 }
+};
+
+const MARGIN = 50;
+const PAGE_TOP = 60;
+const BODY_SIZE = 9.5;
+const LEADING = 13;
+
+const formatAmount = rupees =>
+  `Rs. ${Number(rupees).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = date => (date ? toDateString(date).split('-').reverse().join('-') : null);
+
+// Amounts that are zero are left unset, so {{#if igst_amount}} works
+const amountOrNull = rupees => (Number(rupees) ? formatAmount(rupees) : null);
+
+const percentOrNull = value => (value === null || value === undefined ? null : `${Number(value)}%`);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const decodeEntities = value => value.replace(/&(#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity.startsWith('#')) {
+    return String.fromCharCode(Number(entity.slice(1)));
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Values a contract template is filled in with
+ * @param {Object} procurement - procurement_dump row with its allocation,
+ *   the allocation's branch_information and parsed_data
+ * @param {Object[]} payments - Installments of the procurement
+ * @param {Object} company - Company profile: { name, gstin }
+ * @param {Date|string} contractDate - Day the contract is generated
+ * @returns {Object}
+ */
+function contractTemplateData(procurement, payments, company, contractDate) {
+  const allocation = procurement.allocation || {};
+  const branch = allocation.branch_information || {};
+  const parsed = allocation.parsed_data || {};
+
+  return {
+    company_name: company.name,
+    company_gstin: company.gstin,
+    contract_date: formatDate(contractDate),
+    indent_number: procurement.indent_number,
+    firm_name: procurement.firm_name,
+    buyer_type: allocation.buyer_type || null,
+    crop_year: allocation.crop_year || null,
+    lifting_period: allocation.lifting_period || null,
+    lifting_deadline: formatDate(procurement.lifting_deadline),
+    branch_name: branch.branch_name || allocation.branch_name || null,
+    branch_code: branch.branch_code || null,
+    branch_state: branch.state || null,
+    zone: procurement.zone || allocation.zone || null,
+    centre_name: parsed.centre_name || null,
+    variety: parsed.variety || null,
+    fibre_length: parsed.fibre_length || null,
+    seller_gstin: parsed.seller_gstin || null,
+    hsn_code: procurement.hsn_code || null,
+    place_of_supply: procurement.place_of_supply || null,
+    bale_quantity: procurement.bale_quantity ? Number(procurement.bale_quantity).toLocaleString('en-IN') : null,
+    candy_rate: procurement.candy_rate ? Number(procurement.candy_rate).toFixed(4) : null,
+    otr_price: amountOrNull(procurement.otr_price),
+    cotton_value: amountOrNull(procurement.cotton_value),
+    gst_rate: percentOrNull(procurement.gst_rate),
+    gst_amount: amountOrNull(procurement.gst_amount),
+    igst_amount: amountOrNull(procurement.igst_amount),
+    cgst_amount: amountOrNull(procurement.cgst_amount),
+    sgst_amount: amountOrNull(procurement.sgst_amount),
+    total_amount: amountOrNull(procurement.total_amount),
+    total_amount_in_words: procurement.total_amount ? amountInWords(procurement.total_amount) : null,
+    emd_percentage: percentOrNull(procurement.emd_percentage),
+    emd_amount: amountOrNull(procurement.emd_amount),
+    due_date: formatDate(procurement.due_date),
+    payments: [...payments]
+      .sort((a, b) => (a.installment_number || 1) - (b.installment_number || 1))
+      .map(payment => ({
+        installment: payment.installment_name || payment.payment_type || null,
+        amount: formatAmount(payment.amount),
+        due_date: formatDate(payment.due_date),
+        payment_mode: payment.payment_mode || null
+      }))
+  };
+}
+
+/**
+ * Parse the placeholders of a template into a tree
+ * @param {string} body - Template
+ * @returns {{ nodes: Object[], errors: string[] }}
+ */
+function parsePlaceholders(body) {
+  const root = { nodes: [] };
+  const stack = [root];
+  const errors = [];
+  const pattern = /\{\{\s*([#/]?)\s*([a-z_]+)(?:\s+([a-z_]+))?\s*\}\}/gi;
+  let last = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const push = node => (current().inElse ? current().otherwise : current().nodes).push(node);
+
+  while ((match = pattern.exec(body)) !== null) {
+    const [tag, sigil, word, name] = match;
+    push({ type: 'text', value: body.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (sigil === '#') {
+      if (!['if', 'unless', 'each'].includes(word) || !name) {
+        errors.push(`${tag} is not a block this template language has; use #if, #unless or #each with a value`);
+        continue;
+      }
+      const block = { type: word, name, nodes: [], otherwise: [], inElse: false };
+      push(block);
+      stack.push(block);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current().type !== word) {
+        errors.push(`${tag} does not close an open block`);
+        continue;
+      }
+      stack.pop();
+    } else if (word === 'else' && !name) {
+      if (stack.length === 1 || current().type === 'each' || current().inElse) {
+        errors.push('{{else}} can only be used once inside {{#if}} or {{#unless}}');
+        continue;
+      }
+      current().inElse = true;
+    } else if (name) {
+      errors.push(`${tag} is not a placeholder; write {{name}}`);
+    } else {
+      push({ type: 'value', name: word });
+    }
+  }
+
+  push({ type: 'text', value: body.slice(last) });
+
+  stack.slice(1).forEach(block => {
+    errors.push(`{{#${block.type} ${block.name}}} is never closed with {{/${block.type}}}`);
+  });
+
+  return { nodes: root.nodes, errors };
+}
+
+/**
+ * Check a template before it is saved
+ * @param {string} body - Template
+ * @returns {{ field: string, message: string }[]} Empty when the template is usable
+ */
+function validateTemplate(body) {
+  const { nodes, errors } = parsePlaceholders(body);
+  const messages = [...errors];
+
+  // Names resolve against the installment inside {{#each payments}}, then the contract
+  const checkNames = (children, scope) => children.forEach(node => {
+    if (node.type === 'text') {
+      return;
+    }
+    if (node.type === 'each') {
+      if (!LIST_FIELDS[node.name]) {
+        messages.push(`{{#each ${node.name}}} needs a list; use one of ${Object.keys(LIST_FIELDS).join(', ')}`);
+        return;
+      }
+      checkNames(node.nodes, LIST_FIELDS[node.name]);
+      return;
+    }
+    if (!(scope && node.name in scope) && !(node.name in TEMPLATE_FIELDS)) {
+      messages.push(`${node.name} is not a contract value`);
+    } else if (node.type === 'value' && LIST_FIELDS[node.name]) {
+      messages.push(`${node.name} is a list; use it with {{#each ${node.name}}}`);
+    }
+    if (node.nodes) {
+      checkNames(node.nodes, scope);
+      checkNames(node.otherwise, scope);
+    }
+  });
+  checkNames(nodes, null);
+
+  const tags = new Set();
+  body.replace(/<\/?([a-z][a-z0-9]*)\b[^>]*>/gi, (tag, name) => tags.add(name.toLowerCase()));
+  tags.forEach(tag => {
+    if (!ALLOWED_TAGS.includes(tag)) {
+      messages.push(`<${tag}> cannot be laid out in a contract; use ${ALLOWED_TAGS.join(', ')}`);
+    }
+  });
+
+  if (!/<(h[1-3]|p|li|td|th)\b/i.test(body)) {
+    messages.push('The template has no headings, paragraphs, list items or table cells to print');
+  }
+
+  return [...new Set(messages)].map(message => ({ field: 'body', message }));
+}
+
+/**
+ * Fill in a template
+ * @param {string} body - Template that passed validateTemplate()
+ * @param {Object} data - From contractTemplateData()
+ * @returns {string} Markup with every value escaped; unset values print as "-"
+ */
+function renderTemplate(body, data) {
+  const { nodes } = parsePlaceholders(body);
+
+  const resolve = (name, scopes) => {
+    const scope = scopes.find(candidate => name in candidate);
+    return scope ? scope[name] : undefined;
+  };
+
+  const isSet = value => (Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '');
+
+  const render = (children, scopes) => children.map(node => {
+    const value = node.type === 'text' ? null : resolve(node.name, scopes);
+
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'value':
+        return isSet(value) ? escapeHtml(value) : '-';
+      case 'if':
+        return render(isSet(value) ? node.nodes : node.otherwise, scopes);
+      case 'unless':
+        return render(isSet(value) ? node.otherwise : node.nodes, scopes);
+      case 'each':
+        return (value || []).map(item => render(node.nodes, [item, ...scopes])).join('');
+      default:
+        return '';
+    }
+  }).join('');
+
+  return render(nodes, [data]);
+}
+
+/**
+ * Break filled-in markup into the blocks laid out on the page
+ * @param {string} html - From renderTemplate()
+ * @returns {Object[]} { type: h1|h2|h3|p|li|row|rule, text, bold, cells }
+ */
+function parseBlocks(html) {
+  const blocks = [];
+  const lists = [];
+  let block = null;
+  let row = null;
+  let boldDepth = 0;
+
+  const open = (type, extra = {}) => {
+    block = { type, text: '', bold: true, hasText: false, ...extra };
+  };
+
+  const close = () => {
+    if (!block) {
+      return;
+    }
+    const text = block.text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).join('\n').trim();
+    const done = { type: block.type, text, bold: block.hasText && block.bold };
+
+    if (row && (block.type === 'td' || block.type === 'th')) {
+      row.cells.push({ ...done, header: block.type === 'th' });
+    } else if (text) {
+      if (block.type === 'li') {
+        const list = lists[lists.length - 1];
+        done.marker = list?.ordered ? `${++list.count}.` : '-';
+      }
+      blocks.push(done);
+    }
+    block = null;
+  };
+
+  const append = value => {
+    if (!value.trim() && !block) {
+      return;
+    }
+    if (!block) {
+      open('p');
+    }
+    block.text += decodeEntities(value);
+    if (value.trim()) {
+      block.hasText = true;
+      block.bold = block.bold && boldDepth > 0;
+    }
+  };
+
+  const pattern = /<(\/?)([a-z][a-z0-9]*)\b[^>]*>/gi;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    append(html.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const closing = match[1] === '/';
+    const tag = match[2].toLowerCase();
+
+    if (BLOCK_TAGS.includes(tag)) {
+      close();
+      if (!closing) {
+        open(tag);
+      }
+    } else if (tag === 'ul' || tag === 'ol') {
+      close();
+      if (closing) {
+        lists.pop();
+      } else {
+        lists.push({ ordered: tag === 'ol', count: 0 });
+      }
+    } else if (tag === 'tr') {
+      close();
+      if (row && row.cells.length > 0) {
+        blocks.push(row);
+      }
+      row = closing ? null : { type: 'row', cells: [] };
+    } else if (tag === 'hr') {
+      close();
+      blocks.push({ type: 'rule' });
+    } else if (tag === 'br') {
+      if (block) {
+        block.text += '\n';
+      }
+    } else if (tag === 'strong' || tag === 'b') {
+      boldDepth = Math.max(boldDepth + (closing ? -1 : 1), 0);
+    } else if (tag === 'div' || tag === 'table' || tag === 'thead' || tag === 'tbody') {
+      close();
+    }
+  }
+
+  append(html.slice(last));
+  close();
+  if (row && row.cells.length > 0) {
+    blocks.push(row);
+  }
+
+  return blocks;
+}
+
+/**
+ * Lay out a filled-in template as a PDF
+ * @param {string} html - From renderTemplate()
+ * @param {Object} [options]
+ * @param {string} [options.footer] - Printed at the foot of every page
+ * @returns {Buffer}
+ */
+function buildContractPdf(html, { footer = '' } = {}) {
+  const doc = createDocument();
+  const width = doc.width - MARGIN * 2;
+  const bottom = doc.height - 70;
+  let top = PAGE_TOP;
+
+  const writeFooter = () => {
+    doc.line(MARGIN, doc.height - 50, doc.width - MARGIN, doc.height - 50);
+    doc.text(MARGIN, doc.height - 38, footer, { size: 7.5 });
+  };
+
+  // Start a new page when the next height does not fit on this one
+  const ensure = height => {
+    if (top + height > bottom && top > PAGE_TOP) {
+      doc.page();
+      writeFooter();
+      top = PAGE_TOP;
+    }
+  };
+
+  const lines = (text, lineWidth, size) => text.split('\n').flatMap(line => wrapText(line, lineWidth, size));
+
+  writeFooter();
+
+  parseBlocks(html).forEach(block => {
+    const font = block.bold ? 'bold' : 'regular';
+
+    if (block.type === 'rule') {
+      ensure(12);
+      doc.line(MARGIN, top, doc.width - MARGIN, top);
+      top += 12;
+      return;
+    }
+
+    if (HEADING_STYLES[block.type]) {
+      const style = HEADING_STYLES[block.type];
+      const wrapped = lines(block.text, width, style.size);
+      top += style.before;
+      ensure(wrapped.length * style.size * 1.4 + style.after);
+      wrapped.forEach(line => {
+        top += style.size;
+        // The title is centred; other headings start at the margin
+        const left = block.type === 'h1'
+          ? Math.max((doc.width - line.length * style.size * 0.5) / 2, MARGIN)
+          : MARGIN;
+        doc.text(left, top, line, { font: 'bold', size: style.size });
+        top += style.size * 0.4;
+      });
+      top += style.after;
+      return;
+    }
+
+    if (block.type === 'row') {
+      const cellWidth = width / block.cells.length;
+      const wrapped = block.cells.map(cell => lines(cell.text || ' ', cellWidth - 12, BODY_SIZE));
+      const height = Math.max(...wrapped.map(cellLines => cellLines.length), 1) * LEADING + 8;
+      ensure(height);
+
+      block.cells.forEach((cell, index) => {
+        const left = MARGIN + index * cellWidth;
+        doc.box(left, top, cellWidth, height, { fill: cell.header ? 0.92 : null });
+        wrapped[index].forEach((line, lineIndex) => {
+          doc.text(left + 6, top + 4 + BODY_SIZE + lineIndex * LEADING, line, {
+            font: cell.header || cell.bold ? 'bold' : 'regular',
+            size: BODY_SIZE
+          });
+        });
+      });
+      top += height;
+      return;
+    }
+
+    // Paragraphs and list items, broken across pages line by line
+    const indent = block.type === 'li' ? 16 : 0;
+    const wrapped = lines(block.text, width - indent, BODY_SIZE);
+    top += 2;
+    wrapped.forEach((line, index) => {
+      ensure(LEADING);
+      if (index === 0 && block.marker) {
+        doc.text(MARGIN + 2, top + BODY_SIZE, block.marker, { size: BODY_SIZE });
+      }
+      doc.text(MARGIN + indent, top + BODY_SIZE, line, { font, size: BODY_SIZE });
+      top += LEADING;
+    });
+    top += block.type === 'li' ? 1 : 5;
+  });
+
+  return doc.render();
+}
+
+/**
+ * Choose the template for a buyer type: the active template made for it, or
+ * else the active template for every buyer type
+ * @param {Object[]} templates - Active contract_templates rows
+ * @param {string|null} buyerType
+ * @returns {Object|null}
+ */
+function selectTemplate(templates, buyerType) {
+  const wanted = (buyerType || '').trim().toUpperCase();
+  return templates.find(template => wanted && (template.buyer_type || '').toUpperCase() === wanted) ||
+    templates.find(template => !template.buyer_type) ||
+    null;
+}
+
+/**
+ * File name of a generated contract
+ * @param {string} indentNumber
+ * @returns {string}
+ */
+function generatedFileName(indentNumber) {
+  return `${String(indentNumber).replace(/[^A-Za-z0-9._-]/g, '_')}_PurchaseContract.pdf`;
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  PAYMENT_FIELDS,
+  contractTemplateData,
+  validateTemplate,
+  renderTemplate,
+  parseBlocks,
+  buildContractPdf,
+  selectTemplate,
+  generatedFileName
+};
@@ -0,0 +1,66 @@
+/**
+ * CSV reading and writing
+ * Minimal RFC 4180 reader for the CSV files users upload (holiday calendars,
+ * bank statements, bank payment responses), and writer for the CSV exports.
+ * Fields may be double-quoted; the reader does not accept quoted fields
+ * that span lines.
+ */
+
+/**
+ * Split a CSV line into fields, honouring double-quoted fields
+ * @param {string} line
+ * @param {string} [delimiter] - Field separator, a comma by default
+ * @returns {string[]} Trimmed fields
+ */
+function splitCsvLine(line, delimiter = ',') {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+}
+
+/**
+ * Split CSV text into lines, dropping a byte order mark
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitCsvText(text) {
+  return text.replace(/^\uFEFF/, '').split(/\r?\n/);
+}
+
+/**
+ * Join fields into a CSV line, quoting those with the delimiter, a quote or
+ * a line break. Line breaks are kept inside the quotes.
+ * @param {Array<string|number|null>} fields - null and undefined are left empty
+ * @param {string} [delimiter] - Field separator, a comma by default
+ * @returns {string}
+ */
+function joinCsvLine(fields, delimiter = ',') {
+  return fields.map(field => {
+    const text = field === null || field === undefined ? '' : String(field);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(delimiter);
+}
+
+module.exports = {
+  splitCsvLine,
+  splitCsvText,
+  joinCsvLine
+};
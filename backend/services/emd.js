@@ -0,0 +1,120 @@
+/**
+ * EMD lifecycle
+ * An EMD is held from the day its installment is paid in full until the
+ * allocation ends. Completing the allocation adjusts it against the final
+ * bill; cancelling it refunds the EMD to the firm, once a second user has
+ * approved the refund, or forfeits it. Pure functions.
+ */
+
+const { sum, toPaise, toRupees } = require('./money');
+
+const EMD_STATUSES = {
+  HELD: 'held',
+  ADJUSTED: 'adjusted',
+  REFUND_REQUESTED: 'refund_requested',
+  REFUND_APPROVED: 'refund_approved',
+  REFUNDED: 'refunded',
+  FORFEITED: 'forfeited'
+};
+
+// emd_ledger entry types: the EMD coming in, and the three ways it goes out
+const EMD_ENTRY_TYPES = {
+  HELD: 'HELD',
+  ADJUSTED: 'ADJUSTED',
+  REFUNDED: 'REFUNDED',
+  FORFEITED: 'FORFEITED'
+};
+
+// What cancelling an allocation does with its EMD
+const EMD_CANCELLATION_ACTIONS = {
+  REFUND: 'refund',
+  FORFEIT: 'forfeit'
+};
+
+// Transitions an allocation status change can make
+const EMD_TRANSITIONS = {
+  ADJUST: 'adjust',
+  REQUEST_REFUND: 'request_refund',
+  FORFEIT: 'forfeit'
+};
+
+const REFUND_IN_PROGRESS = [EMD_STATUSES.REFUND_REQUESTED, EMD_STATUSES.REFUND_APPROVED];
+
+const indentOf = deposit => deposit.procurement_dump?.indent_number || deposit.id;
+
+/**
+ * Work out what an allocation status change does to the allocation's EMDs
+ * @param {Object[]} deposits - emd_deposits rows of the allocation, with procurement_dump
+ * @param {string} status - New allocation_status
+ * @param {string} [cancellationAction] - One of EMD_CANCELLATION_ACTIONS, for a cancellation
+ * @returns {{ transitions: { deposit: Object, action: string }[], error: { message: string, statusCode: number }|null }}
+ */
+function planEmdTransitions(deposits, status, cancellationAction = EMD_CANCELLATION_ACTIONS.REFUND) {
+  const held = deposits.filter(deposit => deposit.emd_status === EMD_STATUSES.HELD);
+  const refunding = deposits.filter(deposit => REFUND_IN_PROGRESS.includes(deposit.emd_status));
+
+  if (status === 'completed') {
+    if (refunding.length > 0) {
+      return {
+        transitions: [],
+        error: {
+          message: `The EMD of indent ${indentOf(refunding[0])} is being refunded; reject the refund before completing the allocation`,
+          statusCode: 409
+        }
+      };
+    }
+    return { transitions: held.map(deposit => ({ deposit, action: EMD_TRANSITIONS.ADJUST })), error: null };
+  }
+
+  if (status === 'cancelled') {
+    if (cancellationAction === EMD_CANCELLATION_ACTIONS.FORFEIT) {
+      const forfeitable = deposits.filter(deposit =>
+        [EMD_STATUSES.HELD, EMD_STATUSES.REFUND_REQUESTED].includes(deposit.emd_status));
+      return { transitions: forfeitable.map(deposit => ({ deposit, action: EMD_TRANSITIONS.FORFEIT })), error: null };
+    }
+    return { transitions: held.map(deposit => ({ deposit, action: EMD_TRANSITIONS.REQUEST_REFUND })), error: null };
+  }
+
+  // Reopening: every EMD must still be held
+  const released = deposits.find(deposit => deposit.emd_status !== EMD_STATUSES.HELD);
+  if (released) {
+    return {
+      transitions: [],
+      error: {
+        message: REFUND_IN_PROGRESS.includes(released.emd_status)
+          ? `The EMD of indent ${indentOf(released)} is being refunded; reject the refund before reopening the allocation`
+          : `The EMD of indent ${indentOf(released)} is already ${released.emd_status}; the allocation cannot be reopened`,
+        statusCode: 409
+      }
+    };
+  }
+  return { transitions: [], error: null };
+}
+
+/**
+ * Total EMD by where it stands
+ * @param {Object[]} deposits - emd_deposits rows
+ * @returns {{ held: number, refunding: number, adjusted: number, refunded: number, forfeited: number }} Rupees
+ */
+function summarizeDeposits(deposits) {
+  const total = statuses => toRupees(sum(deposits
+    .filter(deposit => statuses.includes(deposit.emd_status))
+    .map(deposit => toPaise(deposit.amount))));
+
+  return {
+    held: total([EMD_STATUSES.HELD]),
+    refunding: total(REFUND_IN_PROGRESS),
+    adjusted: total([EMD_STATUSES.ADJUSTED]),
+    refunded: total([EMD_STATUSES.REFUNDED]),
+    forfeited: total([EMD_STATUSES.FORFEITED])
+  };
+}
+
+module.exports = {
+  EMD_STATUSES,
+  EMD_ENTRY_TYPES,
+  EMD_CANCELLATION_ACTIONS,
+  EMD_TRANSITIONS,
+  planEmdTransitions,
+  summarizeDeposits
+};
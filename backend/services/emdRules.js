@@ -0,0 +1,60 @@
+/**
+ * EMD rule engine
+ * Picks the EMD percentage for an allocation from the slabs in the EMD_RULES
+ * trading configuration. Rules are checked in order and the first match wins,
+ * so specific rules go above general ones.
+ */
+
+/**
+ * Raised when no EMD rule matches an allocation
+ */
+class EmdRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmdRuleError';
+    this.statusCode = 422;
+  }
+}
+
+const sameText = (left, right) =>
+  String(left).trim().toLowerCase() === String(right ?? '').trim().toLowerCase();
+
+/**
+ * Check whether a rule applies to an allocation. Criteria left out of the rule match anything.
+ * @param {Object} rule - { min_bales, max_bales, buyer_type, crop_year, zone }
+ * @param {Object} allocation - { bale_quantity, buyer_type, crop_year, zone }
+ */
+function ruleMatches(rule, allocation) {
+  if (rule.min_bales !== undefined && allocation.bale_quantity < rule.min_bales) return false;
+  if (rule.max_bales !== undefined && allocation.bale_quantity > rule.max_bales) return false;
+  if (rule.buyer_type !== undefined && !sameText(rule.buyer_type, allocation.buyer_type)) return false;
+  if (rule.crop_year !== undefined && !sameText(rule.crop_year, allocation.crop_year)) return false;
+  if (rule.zone !== undefined && !sameText(rule.zone, allocation.zone)) return false;
+  return true;
+}
+
+/**
+ * Find the EMD rule for an allocation
+ * @param {Object} allocation - { bale_quantity, buyer_type, crop_year, zone }
+ * @param {Object} emdRules - EMD_RULES config value: { rules: [...] }
+ * @returns {{ index: number, name: string, percentage: number }} The matched rule and its position
+ * @throws {EmdRuleError} When no rule matches
+ */
+function matchEmdRule(allocation, emdRules) {
+  const index = emdRules.rules.findIndex(rule => ruleMatches(rule, allocation));
+
+  if (index === -1) {
+    throw new EmdRuleError(
+      `No EMD rule matches ${allocation.bale_quantity} bales, buyer type ${allocation.buyer_type || '-'}, ` +
+      `crop year ${allocation.crop_year || '-'}, zone ${allocation.zone || '-'}. Add a catch-all rule to EMD_RULES`
+    );
+  }
+
+  return { index, ...emdRules.rules[index] };
+}
+
+module.exports = {
+  EmdRuleError,
+  ruleMatches,
+  matchEmdRule
+};
@@ -0,0 +1,237 @@
+/**
+ * GST engine
+ * Place of supply and tax split for goods. Supplier and recipient states come
+ * from their GSTINs, GST state codes or state names; a supply within one state
+ * is taxed CGST + SGST, any other supply IGST. Rates are looked up by HSN code
+ * in the GST_RATES trading configuration.
+ */
+
+const { GST_ROUNDING, percentage, sum, toPaise, toRupees } = require('./money');
+
+// HSN 5201: cotton, not carded or combed (raw cotton bales)
+const COTTON_BALES_HSN = '5201';
+
+// GST state codes as used in the first two digits of a GSTIN
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+const GSTIN_PATTERN = /^(\d{2})[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Raised when the place of supply or tax rate cannot be determined
+ */
+class GstError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GstError';
+    this.statusCode = 422;
+  }
+}
+
+const normalizeStateName = name => name.toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const STATE_CODES_BY_NAME = Object.fromEntries(
+  Object.entries(STATE_CODES).map(([code, name]) => [normalizeStateName(name), code])
+);
+
+/**
+ * Compute the check digit of a GSTIN from its first 14 characters
+ * @param {string} base - First 14 characters, upper case
+ */
+function gstinCheckDigit(base) {
+  // Base-36 weighted sum, alternating factors of 1 and 2
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(base[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * Check a GSTIN's format, state code and check digit
+ * @param {string} gstin - 15 character GSTIN
+ */
+function isValidGstin(gstin) {
+  if (typeof gstin !== 'string') return false;
+
+  const value = gstin.toUpperCase();
+  const match = value.match(GSTIN_PATTERN);
+  if (!match || !STATE_CODES[match[1]]) return false;
+
+  return value[14] === gstinCheckDigit(value.slice(0, 14));
+}
+
+/**
+ * Resolve a party's GST state code
+ * @param {Object} party
+ * @param {string} [party.gstin] - GSTIN; takes precedence when valid
+ * @param {string} [party.state_code] - Two digit GST state code
+ * @param {string} [party.state] - State name
+ * @returns {string|null} State code, or null when none of the fields identify a state
+ */
+function resolveStateCode(party = {}) {
+  if (party.gstin && isValidGstin(party.gstin)) {
+    return party.gstin.slice(0, 2);
+  }
+
+  if (party.state_code) {
+    const code = String(party.state_code).padStart(2, '0');
+    if (STATE_CODES[code]) return code;
+  }
+
+  if (party.state) {
+    return STATE_CODES_BY_NAME[normalizeStateName(party.state)] || null;
+  }
+
+  return null;
+}
+
+/**
+ * Determine the place of supply between two parties
+ * @param {Object} supplier - { gstin, state_code, state }
+ * @param {Object} recipient - { gstin, state_code, state }
+ * @throws {GstError} When either party's state cannot be resolved
+ */
+function placeOfSupply(supplier, recipient) {
+  const supplierStateCode = resolveStateCode(supplier);
+  const recipientStateCode = resolveStateCode(recipient);
+
+  if (!supplierStateCode) {
+    throw new GstError('Cannot determine the supplier state: provide a valid GSTIN, state code or state');
+  }
+  if (!recipientStateCode) {
+    throw new GstError('Cannot determine the recipient state: provide a valid GSTIN, state code or state');
+  }
+
+  return {
+    supplier_state_code: supplierStateCode,
+    place_of_supply: recipientStateCode,
+    place_of_supply_name: STATE_CODES[recipientStateCode],
+    intra_state: supplierStateCode === recipientStateCode
+  };
+}
+
+/**
+ * Look up the GST rate for an HSN code, trying the full code and then its
+ * 6 and 4 digit headings before falling back to the default rates
+ * @param {string} hsnCode - HSN code
+ * @param {Object} gstRates - GST_RATES config value: { cgst, sgst, igst, hsn_rates? }
+ */
+function rateForHsn(hsnCode, gstRates) {
+  const hsnRates = gstRates.hsn_rates || {};
+  const code = String(hsnCode || '');
+
+  for (let length = code.length; length >= 4; length -= 2) {
+    const heading = code.slice(0, length);
+    if (hsnRates[heading] !== undefined) {
+      const rate = hsnRates[heading];
+      return { rate, cgst: rate / 2, sgst: rate / 2, igst: rate, rate_source: `HSN ${heading}` };
+    }
+  }
+
+  return {
+    rate: gstRates.igst,
+    cgst: gstRates.cgst,
+    sgst: gstRates.sgst,
+    igst: gstRates.igst,
+    rate_source: 'default'
+  };
+}
+
+/**
+ * Calculate GST on a supply of goods. Each tax head is rounded to the paisa
+ * per line, or once on the total with per-invoice rounding (see services/money.js).
+ * @param {Object} supply
+ * @param {number} [supply.taxable_value] - Value the tax is charged on, for a single line
+ * @param {number[]} [supply.line_values] - Taxable value of each invoice line; overrides taxable_value
+ * @param {string} [supply.hsn_code] - HSN code, defaults to raw cotton bales
+ * @param {Object} supply.supplier - { gstin, state_code, state }
+ * @param {Object} supply.recipient - { gstin, state_code, state }
+ * @param {string} [supply.rounding] - GST_ROUNDING.LINE (default) or GST_ROUNDING.INVOICE
+ * @param {Object} gstRates - GST_RATES config value
+ */
+function calculateGst({
+  taxable_value,
+  line_values,
+  hsn_code = COTTON_BALES_HSN,
+  supplier,
+  recipient,
+  rounding = GST_ROUNDING.LINE
+}, gstRates) {
+  const supply = placeOfSupply(supplier, recipient);
+  const rates = rateForHsn(hsn_code, gstRates);
+  const lines = (line_values || [taxable_value]).map(toPaise);
+
+  const taxHead = rate => (rounding === GST_ROUNDING.INVOICE
+    ? percentage(sum(lines), rate)
+    : sum(lines.map(line => percentage(line, rate))));
+
+  // Same state - CGST + SGST; different states - IGST
+  const cgstAmount = supply.intra_state ? taxHead(rates.cgst) : 0;
+  const sgstAmount = supply.intra_state ? taxHead(rates.sgst) : 0;
+  const igstAmount = supply.intra_state ? 0 : taxHead(rates.igst);
+
+  return {
+    ...supply,
+    hsn_code,
+    gst_rate: rates.rate,
+    rate_source: rates.rate_source,
+    rounding,
+    taxable_value: toRupees(sum(lines)),
+    total_gst: toRupees(cgstAmount + sgstAmount + igstAmount),
+    igst: toRupees(igstAmount),
+    cgst: toRupees(cgstAmount),
+    sgst: toRupees(sgstAmount)
+  };
+}
+
+module.exports = {
+  COTTON_BALES_HSN,
+  STATE_CODES,
+  GstError,
+  gstinCheckDigit,
+  isValidGstin,
+  resolveStateCode,
+  placeOfSupply,
+  rateForHsn,
+  calculateGst
+};
@@ -0,0 +1,201 @@
+/**
+ * Money arithmetic
+ * Amounts are held as integer paise and multiplied by decimal rates exactly,
+ * so stored figures reconcile with bank and accounting records.
+ *
+ * Rounding policy:
+ * - Every stored amount is rounded to the paisa, half away from zero
+ *   (₹10.125 → ₹10.13), and amounts derived from it (EMD, GST, commission)
+ *   are computed from the rounded figure, so recomputing from a stored row
+ *   gives the same result.
+ * - GST is rounded per tax head (CGST, SGST, IGST) on each invoice line and the
+ *   line amounts are summed, so invoice totals equal the sum of their lines as
+ *   the e-invoice schema requires. Per-invoice rounding is available for
+ *   documents that carry a single total.
+ * - Bank payments (EMD, CDU) are whole rupees, rounded half up.
+ * - Candy rates are kept to the 4 decimals procurement_dump stores.
+ */
+
+const GST_ROUNDING = {
+  LINE: 'line',
+  INVOICE: 'invoice'
+};
+
+const CANDY_RATE_DECIMALS = 4;
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Parse a decimal into an integer and a power-of-ten scale
+ * @param {number|string} value - e.g. 0.4781 or '56200.50'
+ * @returns {{ digits: bigint, scale: number }} value = digits / 10^scale
+ */
+function parseDecimal(value) {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new RangeError(`Invalid amount ${value}`);
+  }
+
+  // Numbers print in exponent form below 1e-6; fixed notation keeps every digit that matters
+  const text = typeof value === 'number' && /e/i.test(String(value))
+    ? value.toFixed(20)
+    : String(value).trim();
+  const match = DECIMAL_PATTERN.exec(text);
+
+  if (!match || (!match[2] && !match[3])) {
+    throw new RangeError(`Invalid amount ${value}`);
+  }
+
+  const fraction = match[3] || '';
+  const digits = BigInt(`${match[1] || ''}${match[2] || '0'}${fraction}`);
+  return { digits, scale: fraction.length };
+}
+
+const pow10 = places => 10n ** BigInt(places);
+
+/**
+ * Divide, rounding half away from zero
+ * @param {bigint} numerator
+ * @param {bigint} denominator - Positive
+ */
+function divideRounded(numerator, denominator) {
+  const negative = numerator < 0n;
+  const absolute = negative ? -numerator : numerator;
+  let quotient = absolute / denominator;
+  if ((absolute % denominator) * 2n >= denominator) {
+    quotient += 1n;
+  }
+  return negative ? -quotient : quotient;
+}
+
+const toSafeNumber = value => {
+  const number = Number(value);
+  if (!Number.isSafeInteger(number)) {
+    throw new RangeError(`Amount ${value} paise is too large`);
+  }
+  return number;
+};
+
+/**
+ * Convert rupees to paise
+ * @param {number|string|null} rupees - Missing values count as zero
+ * @returns {number} Integer paise
+ */
+function toPaise(rupees) {
+  if (rupees === null || rupees === undefined || rupees === '') {
+    return 0;
+  }
+  const { digits, scale } = parseDecimal(rupees);
+  return toSafeNumber(divideRounded(digits * 100n, pow10(scale)));
+}
+
+/**
+ * Convert paise to rupees
+ * @param {number} paise - Integer paise
+ * @returns {number} Rupees with at most two decimals
+ */
+function toRupees(paise) {
+  // Division is correctly rounded, so this is the nearest number to the exact rupee value
+  return paise / 100;
+}
+
+/**
+ * Multiply an amount by decimal factors, rounding once at the end
+ * @param {number} paise - Integer paise
+ * @param {...(number|string)} factors - Rates, quantities and prices
+ * @returns {number} Integer paise
+ */
+function multiply(paise, ...factors) {
+  let digits = BigInt(paise);
+  let scale = 0;
+
+  factors.forEach(factor => {
+    const parsed = parseDecimal(factor);
+    digits *= parsed.digits;
+    scale += parsed.scale;
+  });
+
+  return toSafeNumber(divideRounded(digits, pow10(scale)));
+}
+
+/**
+ * Take a percentage of an amount
+ * @param {number} paise - Integer paise
+ * @param {number|string} percent - e.g. 2.5 for 2.5%
+ * @returns {number} Integer paise
+ */
+function percentage(paise, percent) {
+  return multiply(paise, percent, '0.01');
+}
+
+/**
+ * Add amounts
+ * @param {number[]} amounts - Integer paise
+ * @returns {number} Integer paise
+ */
+function sum(amounts) {
+  return toSafeNumber(amounts.reduce((total, amount) => total + BigInt(amount), 0n));
+}
+
+/**
+ * Round an amount to whole rupees for payment
+ * @param {number} paise - Integer paise
+ * @returns {number} Integer paise, a multiple of 100
+ */
+function roundToRupee(paise) {
+  return toSafeNumber(divideRounded(BigInt(paise), 100n) * 100n);
+}
+
+/**
+ * Round a decimal rate, e.g. a candy rate, to a number of places
+ * @param {number|string} value
+ * @param {number} places - Decimal places; 0 rounds to a whole number
+ * @returns {number}
+ */
+function roundDecimal(value, places) {
+  const { digits, scale } = parseDecimal(value);
+  if (scale <= places) {
+    return Number(value);
+  }
+  const rounded = divideRounded(digits, pow10(scale - places));
+  if (places === 0) {
+    return toSafeNumber(rounded);
+  }
+  const sign = rounded < 0n ? '-' : '';
+  const absolute = (rounded < 0n ? -rounded : rounded).toString().padStart(places + 1, '0');
+  return Number(`${sign}${absolute.slice(0, -places)}.${absolute.slice(-places)}`);
+}
+
+/**
+ * Multiply decimal factors exactly, e.g. a base rate by a zone multiplier
+ * @param {...(number|string)} factors
+ * @returns {string} The exact product as a decimal string
+ */
+function decimalProduct(...factors) {
+  let digits = 1n;
+  let scale = 0;
+
+  factors.forEach(factor => {
+    const parsed = parseDecimal(factor);
+    digits *= parsed.digits;
+    scale += parsed.scale;
+  });
+
+  const negative = digits < 0n;
+  const absolute = (negative ? -digits : digits).toString().padStart(scale + 1, '0');
+  const whole = absolute.slice(0, absolute.length - scale);
+  const fraction = scale > 0 ? `.${absolute.slice(-scale)}` : '';
+  return `${negative ? '-' : ''}${whole}${fraction}`;
+}
+
+module.exports = {
+  GST_ROUNDING,
+  CANDY_RATE_DECIMALS,
+  toPaise,
+  toRupees,
+  multiply,
+  percentage,
+  sum,
+  roundToRupee,
+  roundDecimal,
+  decimalProduct
+};
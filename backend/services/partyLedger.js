@@ -0,0 +1,330 @@
+/**
+ * Party ledger
+ * Accounts of the firms procurements are made for, the customers sales are
+ * made to and the brokers who earn commission on them. CDUs, payments, EMD
+ * refunds, sales and commissions are posted from the rows that record them;
+ * receipts, payments and adjustments outside the system are entered by hand.
+ *
+ * Procurement payments are outgoing, as bank reconciliation matches them to
+ * debits: a CDU is payable to the firm and the verified transfer paying it
+ * is a payment. An EMD refunded releases the EMD that was payable and is
+ * received back, so it leaves the firm's balance as it was.
+ *
+ * Each entry posts to the party on one side and a contra account on the
+ * other. A debit raises what the party owes, a credit what is owed to it, so
+ * a positive balance is receivable (Dr) and a negative one payable (Cr).
+ * Pure functions.
+ */
+
+const { toDateString } = require('./businessDays');
+const { sum, toPaise, toRupees } = require('./money');
+
+const PARTY_TYPES = {
+  FIRM: 'firm',
+  CUSTOMER: 'customer',
+  BROKER: 'broker'
+};
+
+const LEDGER_ENTRY_TYPES = {
+  DUE: 'DUE',
+  RECEIPT: 'RECEIPT',
+  REFUND: 'REFUND',
+  COMMISSION: 'COMMISSION',
+  PAYMENT: 'PAYMENT',
+  ADJUSTMENT: 'ADJUSTMENT'
+};
+
+const CONTRA_ACCOUNTS = {
+  PROCUREMENT: 'Procurement',
+  BANK: 'Bank',
+  EMD: 'EMD',
+  SALES: 'Sales',
+  BROKERAGE: 'Brokerage',
+  ADJUSTMENT: 'Adjustment'
+};
+
+// Manual entries: receipts are credits and payments debits; adjustments go either way
+const MANUAL_ENTRY_SIDES = {
+  [LEDGER_ENTRY_TYPES.RECEIPT]: 'credit',
+  [LEDGER_ENTRY_TYPES.PAYMENT]: 'debit',
+  [LEDGER_ENTRY_TYPES.ADJUSTMENT]: null
+};
+
+// Columns of a posted entry that change when its source row does
+const POSTED_COLUMNS = ['party_key', 'party_name', 'entry_date', 'debit', 'credit', 'reference', 'narration'];
+
+/**
+ * Key of a firm's account: firms have no table of their own, so procurements
+ * are grouped by firm name, ignoring case and spacing
+ * @param {string} firmName
+ * @returns {string}
+ */
+function firmKey(firmName) {
+  return String(firmName || '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * First day of the Indian financial year (1 April) a date falls in
+ * @param {Date|string} date
+ * @returns {string} YYYY-MM-DD
+ */
+function financialYearStart(date) {
+  const [year, month] = toDateString(date).split('-').map(Number);
+  return `${month >= 4 ? year : year - 1}-04-01`;
+}
+
+const entry = (party, values) => ({
+  party_type: party.type,
+  party_key: party.key,
+  party_name: party.name,
+  debit: 0,
+  credit: 0,
+  reference: null,
+  narration: null,
+  ...values,
+  entry_date: toDateString(values.entry_date)
+});
+
+const firmOf = procurement => procurement?.firm_name
+  ? { type: PARTY_TYPES.FIRM, key: firmKey(procurement.firm_name), name: procurement.firm_name.trim() }
+  : null;
+
+/**
+ * Work out the entries the system's own records post to the ledger
+ * @param {Object} sources
+ * @param {Object[]} sources.payments - payments with a CDU, with procurement_dump
+ * @param {Object[]} sources.transactions - Verified payment_transactions, with payment and its procurement_dump
+ * @param {Object[]} sources.emdRefunds - REFUNDED emd_ledger rows, with emd_deposit and its procurement_dump
+ * @param {Object[]} sources.sales - Confirmed sales_table rows, with sales_configuration, customer_info and broker_info
+ * @returns {Object[]} party_ledger rows, without IDs
+ */
+function derivePostings({ payments = [], transactions = [], emdRefunds = [], sales = [] }) {
+  const postings = [];
+
+  payments.forEach(payment => {
+    const firm = firmOf(payment.procurement_dump);
+    if (firm && payment.cdu_generated_at && Number(payment.amount) > 0) {
+      postings.push(entry(firm, {
+        entry_date: payment.cdu_generated_at,
+        entry_type: LEDGER_ENTRY_TYPES.DUE,
+        credit: payment.amount,
+        contra_account: CONTRA_ACCOUNTS.PROCUREMENT,
+        reference: payment.cdu_reference || payment.procurement_dump.indent_number,
+        narration: `${payment.installment_name} for indent ${payment.procurement_dump.indent_number}`,
+        source_table: 'payments',
+        source_id: payment.id
+      }));
+    }
+  });
+
+  transactions.forEach(transaction => {
+    const firm = firmOf(transaction.payment?.procurement_dump);
+    if (firm && transaction.verified_at) {
+      postings.push(entry(firm, {
+        entry_date: transaction.verified_at,
+        entry_type: LEDGER_ENTRY_TYPES.PAYMENT,
+        debit: transaction.amount,
+        contra_account: CONTRA_ACCOUNTS.BANK,
+        reference: transaction.utr_number,
+        narration: `${transaction.payment_mode || 'Transfer'} against ${transaction.payment.installment_name}, ` +
+          `indent ${transaction.payment.procurement_dump.indent_number}`,
+        source_table: 'payment_transactions',
+        source_id: transaction.id
+      }));
+    }
+  });
+
+  emdRefunds.forEach(refund => {
+    const procurement = refund.emd_deposit?.procurement_dump;
+    const firm = firmOf(procurement);
+    if (firm) {
+      postings.push(entry(firm, {
+        entry_date: refund.created_at,
+        entry_type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+        debit: refund.amount,
+        contra_account: CONTRA_ACCOUNTS.EMD,
+        reference: refund.reference,
+        narration: `EMD released for indent ${procurement.indent_number}`,
+        source_table: 'emd_ledger',
+        source_id: refund.id
+      }));
+      postings.push(entry(firm, {
+        entry_date: refund.created_at,
+        entry_type: LEDGER_ENTRY_TYPES.REFUND,
+        credit: refund.amount,
+        contra_account: CONTRA_ACCOUNTS.BANK,
+        reference: refund.reference,
+        narration: `EMD refunded for indent ${procurement.indent_number}`,
+        source_table: 'emd_ledger',
+        source_id: refund.id
+      }));
+    }
+  });
+
+  sales.forEach(sale => {
+    const configuration = sale.sales_configuration || {};
+    const indents = (sale.indent_numbers || []).join(', ');
+    const date = sale.confirmed_at || sale.updated_at;
+
+    if (configuration.customer_info) {
+      postings.push(entry({
+        type: PARTY_TYPES.CUSTOMER,
+        key: configuration.customer_info.id,
+        name: configuration.customer_info.customer_name
+      }, {
+        entry_date: date,
+        entry_type: LEDGER_ENTRY_TYPES.DUE,
+        debit: sale.invoice_value ?? sale.total_value,
+        contra_account: CONTRA_ACCOUNTS.SALES,
+        reference: indents,
+        narration: `Sale of ${sale.total_bales} bales`,
+        source_table: 'sales_table',
+        source_id: sale.id
+      }));
+    }
+
+    if (configuration.broker_info && Number(sale.broker_commission) > 0) {
+      postings.push(entry({
+        type: PARTY_TYPES.BROKER,
+        key: configuration.broker_info.id,
+        name: configuration.broker_info.broker_name
+      }, {
+        entry_date: date,
+        entry_type: LEDGER_ENTRY_TYPES.COMMISSION,
+        credit: sale.broker_commission,
+        contra_account: CONTRA_ACCOUNTS.BROKERAGE,
+        reference: indents,
+        narration: `Commission on sale to ${configuration.customer_info?.customer_name || 'customer'}`,
+        source_table: 'sales_table',
+        source_id: sale.id
+      }));
+    }
+  });
+
+  return postings.filter(posting => toPaise(posting.debit) > 0 || toPaise(posting.credit) > 0);
+}
+
+const postingKey = row => `${row.source_table}:${row.source_id}:${row.entry_type}`;
+
+function sameValue(column, a, b) {
+  if (column === 'debit' || column === 'credit') {
+    return toPaise(a) === toPaise(b);
+  }
+  if (column === 'entry_date') {
+    return toDateString(a) === toDateString(b);
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Pick the postings that are not in the ledger yet or have changed since
+ * they were posted, e.g. a revised CDU amount or a renamed customer
+ * @param {Object[]} postings - From derivePostings
+ * @param {Object[]} posted - party_ledger rows that have a source
+ * @returns {Object[]}
+ */
+function pendingPostings(postings, posted) {
+  const existing = new Map(posted.map(row => [postingKey(row), row]));
+
+  return postings.filter(posting => {
+    const row = existing.get(postingKey(posting));
+    return !row || POSTED_COLUMNS.some(column => !sameValue(column, row[column], posting[column]));
+  });
+}
+
+const byDate = (a, b) =>
+  toDateString(a.entry_date).localeCompare(toDateString(b.entry_date)) ||
+  String(a.created_at || '').localeCompare(String(b.created_at || ''));
+
+const balanceOf = entries => sum(entries.map(row => toPaise(row.debit) - toPaise(row.credit)));
+
+/**
+ * Build a statement of account for a date range
+ * @param {Object[]} entries - party_ledger rows of one party, any dates
+ * @param {Object} range
+ * @param {string} range.from - YYYY-MM-DD, inclusive
+ * @param {string} range.to - YYYY-MM-DD, inclusive
+ * @returns {{ from: string, to: string, opening_balance: number, entries: Object[],
+ *   total_debit: number, total_credit: number, closing_balance: number }}
+ *   Balances are debit minus credit in rupees; each entry carries the running balance
+ */
+function buildStatement(entries, { from, to }) {
+  const sorted = [...entries].sort(byDate);
+  const before = sorted.filter(row => toDateString(row.entry_date) < from);
+  const within = sorted.filter(row => {
+    const date = toDateString(row.entry_date);
+    return date >= from && date <= to;
+  });
+
+  const opening = balanceOf(before);
+  let running = opening;
+  const lines = within.map(row => {
+    running += toPaise(row.debit) - toPaise(row.credit);
+    return { ...row, entry_date: toDateString(row.entry_date), balance: toRupees(running) };
+  });
+
+  return {
+    from,
+    to,
+    opening_balance: toRupees(opening),
+    entries: lines,
+    total_debit: toRupees(sum(within.map(row => toPaise(row.debit)))),
+    total_credit: toRupees(sum(within.map(row => toPaise(row.credit)))),
+    closing_balance: toRupees(running)
+  };
+}
+
+/**
+ * Group ledger entries into one line per party with its balance
+ * @param {Object[]} entries - party_ledger rows
+ * @returns {{ party_type: string, party_key: string, party_name: string, total_debit: number,
+ *   total_credit: number, balance: number, last_entry_date: string }[]} By name
+ */
+function summarizeParties(entries) {
+  const parties = new Map();
+
+  [...entries].sort(byDate).forEach(row => {
+    const key = `${row.party_type}:${row.party_key}`;
+    const party = parties.get(key) || { party_type: row.party_type, party_key: row.party_key, entries: [] };
+    party.party_name = row.party_name;
+    party.entries.push(row);
+    parties.set(key, party);
+  });
+
+  return [...parties.values()]
+    .map(({ entries: rows, ...party }) => ({
+      ...party,
+      total_debit: toRupees(sum(rows.map(row => toPaise(row.debit)))),
+      total_credit: toRupees(sum(rows.map(row => toPaise(row.credit)))),
+      balance: toRupees(balanceOf(rows)),
+      last_entry_date: toDateString(rows[rows.length - 1].entry_date)
+    }))
+    .sort((a, b) => a.party_name.localeCompare(b.party_name));
+}
+
+/**
+ * Write a balance the way a statement does
+ * @param {number} rupees - Debit minus credit
+ * @returns {string} e.g. "1,250.00 Dr", "300.00 Cr", "0.00"
+ */
+function formatBalance(rupees) {
+  const amount = Math.abs(rupees).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  if (toPaise(rupees) === 0) {
+    return amount;
+  }
+  return `${amount} ${rupees > 0 ? 'Dr' : 'Cr'}`;
+}
+
+module.exports = {
+  PARTY_TYPES,
+  LEDGER_ENTRY_TYPES,
+  CONTRA_ACCOUNTS,
+  MANUAL_ENTRY_SIDES,
+  firmKey,
+  financialYearStart,
+  derivePostings,
+  pendingPostings,
+  buildStatement,
+  summarizeParties,
+  formatBalance
+};
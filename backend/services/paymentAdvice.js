@@ -0,0 +1,188 @@
+/**
+ * Payment advice
+ * The printable CDU: a one page PDF giving the indent, firm, beneficiary
+ * account, amount in figures and words, due date and CDU reference of an
+ * installment. Built from the payment as it stands, so a revised CDU prints
+ * its new details and revision number. Pure functions.
+ */
+
+const { toDateString } = require('./businessDays');
+const { toPaise } = require('./money');
+const { createDocument } = require('./pdf');
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Indian numbering: crores, lakhs, thousands, then hundreds
+const SCALES = [
+  { value: 10000000, name: 'Crore' },
+  { value: 100000, name: 'Lakh' },
+  { value: 1000, name: 'Thousand' },
+  { value: 100, name: 'Hundred' }
+];
+
+/**
+ * Write a whole number in words
+ * @param {number} number - Non-negative integer
+ * @returns {string} Empty for 0
+ */
+function numberInWords(number) {
+  if (number < 20) {
+    return ONES[number];
+  }
+  if (number < 100) {
+    return [TENS[Math.floor(number / 10)], ONES[number % 10]].filter(Boolean).join('-');
+  }
+
+  const scale = SCALES.find(candidate => number >= candidate.value);
+  const count = Math.floor(number / scale.value);
+  return [`${numberInWords(count)} ${scale.name}`, numberInWords(number % scale.value)].filter(Boolean).join(' ');
+}
+
+/**
+ * Write an amount in words the way Indian payment documents do
+ * @param {number} rupees - e.g. 141063.5
+ * @returns {string} e.g. "Rupees One Lakh Forty-One Thousand Sixty-Three and Fifty Paise Only"
+ */
+function amountInWords(rupees) {
+  const paise = toPaise(rupees);
+  const whole = Math.floor(paise / 100);
+  const fraction = paise % 100;
+
+  const words = [`Rupees ${numberInWords(whole) || 'Zero'}`];
+  if (fraction > 0) {
+    words.push(`and ${numberInWords(fraction)} Paise`);
+  }
+  return `${words.join(' ')} Only`;
+}
+
+/**
+ * Reference printed on a CDU: the day it was generated and the start of the payment ID
+ * @param {Object} payment - payments row
+ * @param {Date|string} generatedAt
+ * @returns {string} e.g. CDU-20261019-3F9A2C1B
+ */
+function cduReference(payment, generatedAt) {
+  return `CDU-${toDateString(generatedAt).replace(/-/g, '')}-${payment.id.slice(0, 8).toUpperCase()}`;
+}
+
+/**
+ * File name of a payment advice
+ * @param {Object} payment - payments row with cdu_reference and cdu_revision
+ * @returns {string}
+ */
+function adviceFileName(payment) {
+  return `${payment.cdu_reference}-R${payment.cdu_revision}.pdf`;
+}
+
+const formatAmount = rupees =>
+  `Rs. ${Number(rupees).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = date => (date ? toDateString(date).split('-').reverse().join('-') : '-');
+
+/**
+ * Lay out label and value rows under a heading
+ * @returns {number} Top of the space after the section
+ */
+function section(doc, top, heading, rows) {
+  const left = 50;
+  const width = doc.width - 100;
+  const height = 22 + rows.length * 18;
+
+  doc.box(left, top, width, 20, { fill: 0.92 });
+  doc.text(left + 8, top + 14, heading, { font: 'bold', size: 10 });
+  doc.box(left, top, width, height);
+
+  rows.forEach(([label, value], index) => {
+    const rowTop = top + 36 + index * 18;
+    doc.text(left + 8, rowTop, label, { size: 9 });
+    doc.text(left + 170, rowTop, value || '-', { font: 'bold', size: 9 });
+  });
+
+  return top + height + 16;
+}
+
+/**
+ * Build the payment advice PDF for an installment with a CDU
+ * @param {Object} payment - payments row with procurement_dump (and its
+ *   allocation branch), beneficiary, cdu_reference and cdu_revision
+ * @param {Object} company - Company profile: { name, gstin }
+ * @returns {Buffer}
+ */
+function buildPaymentAdvice(payment, company) {
+  const procurement = payment.procurement_dump || {};
+  const branch = procurement.allocation?.branch_information;
+  const beneficiary = payment.beneficiary || {};
+  const doc = createDocument();
+
+  // Heading
+  doc.text(50, 60, company.name, { font: 'bold', size: 16 });
+  if (company.gstin) {
+    doc.text(50, 76, `GSTIN ${company.gstin}`, { size: 9 });
+  }
+  doc.text(50, 100, 'PAYMENT ADVICE (CDU)', { font: 'bold', size: 13 });
+  doc.text(360, 60, `Reference: ${payment.cdu_reference}`, { font: 'bold', size: 9 });
+  doc.text(360, 74, `Revision: ${payment.cdu_revision}`, { size: 9 });
+  doc.text(360, 88, `Generated: ${formatDate(payment.cdu_generated_at)}`, { size: 9 });
+  doc.line(50, 112, doc.width - 50, 112, { width: 1 });
+
+  let top = 128;
+  top = section(doc, top, 'Payment For', [
+    ['Indent number', procurement.indent_number],
+    ['Firm', procurement.firm_name],
+    ['CCI branch', branch ? `${branch.branch_name}${branch.branch_code ? ` (${branch.branch_code})` : ''}` : null],
+    ['Installment', [...new Set([payment.installment_name, payment.payment_type].filter(Boolean))].join(' - ')]
+  ]);
+
+  top = section(doc, top, 'Beneficiary', [
+    ['Account name', beneficiary.account_name],
+    ['Account number', beneficiary.account_number],
+    ['IFSC', beneficiary.ifsc_code],
+    ['Bank', beneficiary.bank_name || payment.bank],
+    ['Bank branch', beneficiary.branch_name]
+  ]);
+
+  // Amount in figures and words
+  doc.box(50, top, doc.width - 100, 62, { fill: 0.96 });
+  doc.text(58, top + 20, 'Amount payable', { size: 9 });
+  doc.text(220, top + 20, formatAmount(payment.amount), { font: 'bold', size: 14 });
+  top = doc.paragraph(58, top + 42, amountInWords(payment.amount), doc.width - 120, { font: 'bold', size: 9 }) + 16;
+
+  top = section(doc, top, 'Payment Terms', [
+    ['Payment mode', payment.payment_mode],
+    ['Pay by', formatDate(payment.due_date)],
+    ['Submit UTR by', formatDate(payment.utr_due_date || payment.due_date)]
+  ]);
+
+  if (payment.remarks) {
+    doc.text(50, top, 'Remarks', { font: 'bold', size: 9 });
+    top = doc.paragraph(50, top + 14, payment.remarks, doc.width - 100, { size: 9 }) + 8;
+  }
+
+  doc.text(50, top + 8, 'Instructions', { font: 'bold', size: 9 });
+  [
+    `Transfer the amount above to the beneficiary account by ${payment.payment_mode || 'RTGS'} before the due date.`,
+    `Quote reference ${payment.cdu_reference} in the remarks of the transfer.`,
+    'Submit the UTR of each transfer against this installment once the bank confirms it.'
+  ].forEach((instruction, index) => {
+    doc.text(50, top + 24 + index * 14, `${index + 1}. ${instruction}`, { size: 9 });
+  });
+
+  doc.line(50, doc.height - 70, doc.width - 50, doc.height - 70);
+  doc.text(50, doc.height - 56, 'This is a computer generated advice and needs no signature.', { size: 8 });
+  if (payment.cdu_revision > 1) {
+    doc.text(50, doc.height - 44, `Revision ${payment.cdu_revision} supersedes earlier revisions of this advice.`, { size: 8 });
+  }
+
+  return doc.render();
+}
+
+module.exports = {
+  amountInWords,
+  cduReference,
+  adviceFileName,
+  buildPaymentAdvice
+};
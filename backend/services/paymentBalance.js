@@ -0,0 +1,40 @@
+/**
+ * Payment balance
+ * A payment is paid in one or more transfers (payment_transactions), each
+ * with its own UTR and amount. Verified transfers count as paid; submitted
+ * ones still awaiting verification hold back the rest of the amount from
+ * being claimed again. Pure functions.
+ */
+
+const { sum, toPaise, toRupees } = require('./money');
+
+// Transfers whose UTR is submitted and neither verified nor rejected
+const OPEN_TRANSACTION_STATUSES = ['utr_submitted', 'under_review'];
+
+/**
+ * Work out what has been paid on a payment and what is left
+ * @param {Object} payment - payments row with amount and amount_paid
+ * @param {Object[]} transactions - The payment's payment_transactions rows
+ * @returns {{ amount: number, paid: number, awaiting_verification: number, outstanding: number, unclaimed: number }}
+ * unclaimed is what no verified or open transfer covers yet, the most a new UTR can be for
+ */
+function summarizePayment(payment, transactions) {
+  const amount = toPaise(payment.amount);
+  const paid = toPaise(payment.amount_paid || 0);
+  const awaiting = sum(transactions
+    .filter(transaction => OPEN_TRANSACTION_STATUSES.includes(transaction.transaction_status))
+    .map(transaction => toPaise(transaction.amount)));
+
+  return {
+    amount: toRupees(amount),
+    paid: toRupees(paid),
+    awaiting_verification: toRupees(awaiting),
+    outstanding: toRupees(Math.max(amount - paid, 0)),
+    unclaimed: toRupees(Math.max(amount - paid - awaiting, 0))
+  };
+}
+
+module.exports = {
+  OPEN_TRANSACTION_STATUSES,
+  summarizePayment
+};
@@ -0,0 +1,100 @@
+/**
+ * Payment schedule
+ * Splits what an indent costs into installments: the EMD, then the balance in
+ * the tranches of the PAYMENT_SCHEDULE trading configuration. The EMD counts
+ * towards the purchase, so the balance is cotton value + GST - EMD. Pure
+ * functions: nothing here reads or writes the database.
+ */
+
+const { addBusinessDays } = require('./businessDays');
+const { percentage, roundToRupee, sum, toPaise, toRupees } = require('./money');
+
+/**
+ * Raised when a procurement cannot be scheduled
+ */
+class PaymentScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentScheduleError';
+    this.statusCode = 422;
+  }
+}
+
+const PAYMENT_TYPES = {
+  EMD: 'EMD',
+  BALANCE: 'BALANCE',
+  PENALTY: 'PENALTY'
+};
+
+/**
+ * Build the installments for a procurement
+ * @param {Object} procurement - procurement_dump row
+ * @param {Object} paymentSchedule - PAYMENT_SCHEDULE config value: { tranches: [...] }
+ * @param {Object} calendar - Holiday calendar for the due dates
+ * @returns {Object[]} { installment_number, installment_name, payment_type, amount, due_date } per installment
+ * @throws {PaymentScheduleError} When the EMD exceeds the amount payable
+ */
+function buildInstallments(procurement, paymentSchedule, calendar) {
+  const emd = toPaise(procurement.emd_amount);
+  // Payments are whole rupees, so the payable amount is too
+  const payable = roundToRupee(sum([toPaise(procurement.cotton_value), toPaise(procurement.gst_amount)]));
+  const balance = payable - emd;
+
+  if (balance < 0) {
+    throw new PaymentScheduleError(
+      `EMD of ₹${toRupees(emd)} exceeds the ₹${toRupees(payable)} payable for indent ${procurement.indent_number}`
+    );
+  }
+
+  const installments = [{
+    installment_number: 1,
+    installment_name: 'EMD',
+    payment_type: PAYMENT_TYPES.EMD,
+    amount: toRupees(emd),
+    due_date: procurement.due_date
+  }];
+
+  // Each tranche is rounded to the rupee; the last one takes what is left
+  let scheduled = 0;
+  paymentSchedule.tranches.forEach((tranche, index) => {
+    const isLast = index === paymentSchedule.tranches.length - 1;
+    const amount = isLast ? balance - scheduled : roundToRupee(percentage(balance, tranche.percentage));
+    scheduled += amount;
+
+    installments.push({
+      installment_number: index + 2,
+      installment_name: tranche.name,
+      payment_type: PAYMENT_TYPES.BALANCE,
+      amount: toRupees(amount),
+      due_date: addBusinessDays(procurement.due_date, tranche.due_business_days, calendar)
+    });
+  });
+
+  return installments;
+}
+
+/**
+ * Total up a procurement's installments; paid counts verified transfers,
+ * including those on partly paid installments
+ * @param {Object[]} payments - payments rows of one procurement
+ * @returns {{ total_payable: number, paid: number, outstanding: number, installments: number, verified: number }}
+ */
+function summarizeSchedule(payments) {
+  const total = sum(payments.map(payment => toPaise(payment.amount)));
+  const paid = sum(payments.map(payment => toPaise(payment.amount_paid)));
+
+  return {
+    total_payable: toRupees(total),
+    paid: toRupees(paid),
+    outstanding: toRupees(total - paid),
+    installments: payments.length,
+    verified: payments.filter(payment => payment.payment_status === 'verified').length
+  };
+}
+
+module.exports = {
+  PaymentScheduleError,
+  PAYMENT_TYPES,
+  buildInstallments,
+  summarizeSchedule
+};
@@ -0,0 +1,193 @@
+/**
+ * PDF writer
+ * Lays out simple documents - text in the standard Helvetica fonts, lines and
+ * shaded boxes on A4 pages - and writes them as PDF 1.4. Enough for payment
+ * advices without a PDF library. Coordinates are in points from the top left
+ * corner of the page. Text is encoded as WinAnsi; characters outside it are
+ * replaced, so callers write amounts as "Rs." rather than "₹".
+ *
+ * The same content always produces the same bytes: no creation date or
+ * document ID is written.
+ */
+
+const PAGE_SIZE = { width: 595.28, height: 841.89 };
+
+const FONTS = {
+  regular: { name: 'F1', base: 'Helvetica' },
+  bold: { name: 'F2', base: 'Helvetica-Bold' }
+};
+
+// Average Helvetica glyph width in ems, slightly generous so wrapped lines never overrun
+const AVERAGE_CHAR_WIDTH = 0.55;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Make text safe for a PDF string literal
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/₹/g, 'Rs.')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`);
+}
+
+/**
+ * Split text into lines that fit a width
+ * @param {string} value
+ * @param {number} width - Points
+ * @param {number} size - Font size
+ * @returns {string[]}
+ */
+function wrapText(value, width, size) {
+  const perLine = Math.max(Math.floor(width / (size * AVERAGE_CHAR_WIDTH)), 1);
+  const lines = [];
+  let line = '';
+
+  String(value).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length > perLine && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Start a document
+ * @returns {Object} Document with page, text, paragraph, line, box and render methods
+ */
+function createDocument() {
+  const pages = [];
+  let current = null;
+
+  const y = top => round(PAGE_SIZE.height - top);
+
+  const doc = {
+    width: PAGE_SIZE.width,
+    height: PAGE_SIZE.height,
+
+    /**
+     * Add a page; drawing goes to the newest page
+     */
+    page() {
+      current = [];
+      pages.push(current);
+      return doc;
+    },
+
+    /**
+     * Write one line of text with its baseline at top
+     * @param {number} left
+     * @param {number} top
+     * @param {string} value
+     * @param {Object} [options]
+     * @param {string} [options.font] - regular or bold
+     * @param {number} [options.size] - Points
+     */
+    text(left, top, value, { font = 'regular', size = 10 } = {}) {
+      current.push(`BT /${FONTS[font].name} ${size} Tf ${round(left)} ${y(top)} Td (${escapeText(value)}) Tj ET`);
+      return doc;
+    },
+
+    /**
+     * Write text wrapped to a width
+     * @returns {number} Top of the line after the paragraph
+     */
+    paragraph(left, top, value, width, { font = 'regular', size = 10, leading = size * 1.4 } = {}) {
+      let lineTop = top;
+      wrapText(value, width, size).forEach(line => {
+        doc.text(left, lineTop, line, { font, size });
+        lineTop += leading;
+      });
+      return lineTop;
+    },
+
+    /**
+     * Draw a straight line
+     */
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current.push(`${width} w ${round(x1)} ${y(y1)} m ${round(x2)} ${y(y2)} l S`);
+      return doc;
+    },
+
+    /**
+     * Draw a box, shaded when a grey level (0 black to 1 white) is given
+     */
+    box(left, top, width, height, { fill = null, stroke = true } = {}) {
+      const path = `${round(left)} ${y(top + height)} ${round(width)} ${round(height)} re`;
+      if (fill !== null) {
+        current.push(`q ${fill} g ${path} f Q`);
+      }
+      if (stroke) {
+        current.push(`0.5 w ${path} S`);
+      }
+      return doc;
+    },
+
+    /**
+     * Write the document
+     * @returns {Buffer}
+     */
+    render() {
+      return renderPdf(pages);
+    }
+  };
+
+  return doc.page();
+}
+
+/**
+ * Assemble the PDF objects and cross-reference table
+ * @param {string[][]} pages - Content stream operators per page
+ * @returns {Buffer}
+ */
+function renderPdf(pages) {
+  const fontIds = { regular: 3, bold: 4 };
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    ...Object.keys(fontIds).map(font =>
+      `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[font].base} /Encoding /WinAnsiEncoding >>`)
+  ];
+
+  pages.forEach((operators, index) => {
+    const content = operators.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_SIZE.width} ${PAGE_SIZE.height}] ` +
+      `/Resources << /Font << /${FONTS.regular.name} ${fontIds.regular} 0 R /${FONTS.bold.name} ${fontIds.bold} 0 R >> >> ` +
+      `/Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(body, 'latin1');
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
+
+module.exports = {
+  createDocument,
+  wrapText
+};
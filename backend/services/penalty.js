@@ -0,0 +1,73 @@
+/**
+ * Late payment charges
+ * Works out the interest and late fee accrued on an overdue payment under
+ * the PENALTY_RULES trading configuration. Charges start once the grace
+ * period of business days after the due date has passed: interest accrues
+ * per business day on what is still unpaid, and the flat late fee applies
+ * once. Verified transfers reduce the unpaid amount from the day they were
+ * verified. Penalty lines themselves attract no charges. Pure functions.
+ */
+
+const { addBusinessDays, businessDaysBetween, toDateString } = require('./businessDays');
+const { multiply, roundToRupee, sum, toPaise, toRupees } = require('./money');
+const { PAYMENT_TYPES } = require('./paymentSchedule');
+
+/**
+ * Work out the charges accrued on a payment up to a date
+ * @param {Object} payment - payments row with amount, due_date and payment_type
+ * @param {Object[]} transactions - The payment's payment_transactions rows
+ * @param {Object[]} penaltyLines - Penalty lines already added to the schedule for the payment
+ * @param {Object} rules - PENALTY_RULES config value: { interest_rate_per_day, flat_late_fee, grace_days }
+ * @param {Object} calendar - Holiday calendar
+ * @param {Date|string} asOf - Charges accrue up to and including this date
+ * @returns {{ charges_from: string, chargeable_days: number, interest: number, late_fee: number, total: number, already_charged: number, due: number }}
+ * Amounts in rupees; due is what the existing penalty lines do not cover yet
+ */
+function accruePenalty(payment, transactions, penaltyLines, rules, calendar, asOf) {
+  const chargesFrom = addBusinessDays(payment.due_date, rules.grace_days, calendar);
+  const until = toDateString(asOf);
+
+  let unpaid = payment.payment_type === PAYMENT_TYPES.PENALTY ? 0 : toPaise(payment.amount);
+  let cursor = chargesFrom;
+  let chargeableDays = 0;
+  let interest = 0;
+
+  // Each stretch between verified transfers accrues interest on what was unpaid during it
+  const accrue = to => {
+    const end = to < until ? to : until;
+    const days = businessDaysBetween(cursor, end, calendar);
+    if (unpaid > 0 && days > 0) {
+      interest += multiply(unpaid, rules.interest_rate_per_day, days, '0.01');
+      chargeableDays += days;
+      cursor = end;
+    }
+  };
+
+  transactions
+    .filter(transaction => transaction.transaction_status === 'verified' && transaction.verified_at)
+    .sort((a, b) => new Date(a.verified_at) - new Date(b.verified_at))
+    .forEach(transaction => {
+      accrue(toDateString(transaction.verified_at));
+      unpaid = Math.max(unpaid - toPaise(transaction.amount), 0);
+    });
+  accrue(until);
+
+  const lateFee = chargeableDays > 0 ? toPaise(rules.flat_late_fee) : 0;
+  // Payments are whole rupees, so the charges are too
+  const total = roundToRupee(interest + lateFee);
+  const alreadyCharged = sum(penaltyLines.map(line => toPaise(line.amount)));
+
+  return {
+    charges_from: chargesFrom,
+    chargeable_days: chargeableDays,
+    interest: toRupees(interest),
+    late_fee: toRupees(lateFee),
+    total: toRupees(total),
+    already_charged: toRupees(alreadyCharged),
+    due: toRupees(Math.max(total - alreadyCharged, 0))
+  };
+}
+
+module.exports = {
+  accruePenalty
+};
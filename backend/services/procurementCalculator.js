@@ -0,0 +1,116 @@
+/**
+ * Procurement calculator
+ * Computes cotton value, EMD and GST for an allocation from the trading
+ * configuration, rounded as set out in services/money.js. Pure functions:
+ * nothing here reads or writes the database.
+ */
+
+const { company } = require('../config/company');
+const { COTTON_BALES_HSN, STATE_CODES, calculateGst } = require('./gst');
+const { matchEmdRule } = require('./emdRules');
+const {
+  CANDY_RATE_DECIMALS,
+  decimalProduct,
+  multiply,
+  percentage,
+  roundDecimal,
+  roundToRupee,
+  sum,
+  toPaise,
+  toRupees
+} = require('./money');
+
+/**
+ * Build calculator inputs from an allocation with its branch and parsed data
+ * @param {Object} allocation - Allocation row with branch_information and parsed_data embedded
+ */
+function inputsFromAllocation(allocation) {
+  const branch = allocation.branch_information;
+
+  // CCI supplies from the branch holding the bales; we are the recipient
+  return {
+    bale_quantity: allocation.bale_quantity,
+    otr_price: allocation.otr_price,
+    zone: branch.zone,
+    buyer_type: allocation.buyer_type,
+    crop_year: allocation.crop_year,
+    hsn_code: allocation.parsed_data?.hsn_code || COTTON_BALES_HSN,
+    seller_gstin: allocation.parsed_data?.seller_gstin || branch.gstin || null,
+    seller_state: branch.state || STATE_CODES[branch.state_code] || null,
+    buyer_gstin: company.gstin,
+    buyer_state: STATE_CODES[company.state_code] || null
+  };
+}
+
+/**
+ * Calculate the procurement breakdown
+ * @param {Object} inputs
+ * @param {number} inputs.bale_quantity - Bales allocated
+ * @param {number} inputs.otr_price - OTR price per candy
+ * @param {string} inputs.zone - Branch zone used for the candy rate multiplier and EMD rules
+ * @param {string} [inputs.buyer_type] - Buyer type matched against EMD rules
+ * @param {string} [inputs.crop_year] - Crop year matched against EMD rules
+ * @param {string} inputs.hsn_code - HSN code of the goods
+ * @param {string} [inputs.seller_gstin] - Seller's GSTIN; takes precedence over seller_state
+ * @param {string} [inputs.seller_state] - Seller's state
+ * @param {string} [inputs.buyer_gstin] - Buyer's GSTIN; takes precedence over buyer_state
+ * @param {string} [inputs.buyer_state] - Buyer's state
+ * @param {number} [inputs.candy_rate] - Zone-adjusted candy rate; derived from CANDY_RATE when omitted
+ * @param {Object} configMap - config_value per config_key (EMD_RULES, GST_RATES, CANDY_RATE)
+ * @throws {EmdRuleError} When no EMD rule matches
+ * @throws {GstError} When the seller or buyer state cannot be determined
+ */
+function calculateProcurement(inputs, configMap) {
+  const baleQty = inputs.bale_quantity;
+
+  // Calculate EMD Percentage
+  const emdRule = matchEmdRule(inputs, configMap.EMD_RULES);
+  const emdPercentage = emdRule.percentage;
+
+  // Calculate Cotton Value from the candy rate as stored, so the stored figures multiply out
+  const zoneMultiplier = configMap.CANDY_RATE.zone_multiplier[inputs.zone] || 1.0;
+  const candyRate = roundDecimal(
+    inputs.candy_rate ?? decimalProduct(configMap.CANDY_RATE.base_rate, zoneMultiplier),
+    CANDY_RATE_DECIMALS
+  );
+  const cottonValue = multiply(toPaise(inputs.otr_price), candyRate, baleQty);
+
+  // EMD is paid by bank transfer, so it is a whole rupee amount
+  const emdAmount = roundToRupee(percentage(cottonValue, emdPercentage));
+
+  // Calculate GST
+  const gst = calculateGst({
+    taxable_value: toRupees(cottonValue),
+    hsn_code: inputs.hsn_code,
+    supplier: { gstin: inputs.seller_gstin, state: inputs.seller_state },
+    recipient: { gstin: inputs.buyer_gstin, state: inputs.buyer_state }
+  }, configMap.GST_RATES);
+
+  // Calculate total amount
+  const totalAmount = sum([cottonValue, toPaise(gst.total_gst), emdAmount]);
+
+  return {
+    candy_rate: candyRate,
+    cotton_value: toRupees(cottonValue),
+    emd_amount: toRupees(emdAmount),
+    emd_percentage: emdPercentage,
+    emd_rule: emdRule,
+    gst_breakdown: {
+      total_gst: gst.total_gst,
+      igst: gst.igst,
+      cgst: gst.cgst,
+      sgst: gst.sgst,
+      gst_rate: gst.gst_rate,
+      hsn_code: gst.hsn_code,
+      supplier_state_code: gst.supplier_state_code,
+      place_of_supply: gst.place_of_supply,
+      intra_state: gst.intra_state
+    },
+    total_amount: toRupees(totalAmount)
+  };
+}
+
+module.exports = {
+  inputsFromAllocation,
+  calculateProcurement
+};
@@ -0,0 +1,205 @@
+/**
+ * Payment reconciliation
+ * Matches bank statement lines to the transfers paying payments awaiting
+ * verification by UTR, amount and value date. Payments are outgoing, so they
+ * show as debits.
+ *
+ * A payment can be paid in several transfers. Each open claim on it is one
+ * candidate for a statement line: every submitted UTR still awaiting
+ * verification, with its amount, and the rest of the amount no UTR claims yet.
+ *
+ * - matched: the UTR, amount, date and direction all agree; the transfer is verified
+ * - partial: the UTR agrees but something else does not, or no UTR agrees and
+ *   exactly one claim has the amount and date; a user confirms or rejects it
+ * - unmatched: nothing fits
+ *
+ * Pure functions.
+ */
+
+const { UTR_GRACE_DAYS, addBusinessDays, toDateString } = require('./businessDays');
+const { normalizeUtr } = require('./bankStatement');
+const { toPaise } = require('./money');
+const { OPEN_TRANSACTION_STATUSES, summarizePayment } = require('./paymentBalance');
+
+const MATCH_STATUS = {
+  MATCHED: 'matched',
+  PARTIAL: 'partial',
+  UNMATCHED: 'unmatched'
+};
+
+// Payment statuses that a statement line can settle: CDU generated, not fully paid
+const RECONCILABLE_STATUSES = ['pending', 'partially_paid'];
+
+const PAYMENT_DIRECTION = 'debit';
+
+/**
+ * List the open claims on payments that statement lines can settle
+ * @param {Object[]} payments - payments rows with their transactions
+ * @returns {{ key: string, payment: Object, transaction_id: string|null, utr_number: string|null, amount: number }[]}
+ */
+function buildClaims(payments) {
+  return payments.flatMap(payment => {
+    const transactions = payment.transactions || [];
+    const claims = transactions
+      .filter(transaction => OPEN_TRANSACTION_STATUSES.includes(transaction.transaction_status))
+      .map(transaction => ({
+        key: transaction.id,
+        payment,
+        transaction_id: transaction.id,
+        utr_number: transaction.utr_number,
+        amount: transaction.amount
+      }));
+
+    const { unclaimed } = summarizePayment(payment, transactions);
+    if (unclaimed > 0) {
+      claims.push({ key: `payment:${payment.id}`, payment, transaction_id: null, utr_number: null, amount: unclaimed });
+    }
+
+    return claims;
+  });
+}
+
+/**
+ * Check a statement line against a claim on a payment
+ * @param {Object} line - Statement line
+ * @param {Object} claim - A UTR submitted for the payment, or its unclaimed amount
+ * @param {Object} calendar - Holiday calendar for the payment window
+ * @returns {{ utr: boolean|null, amount: boolean, date: boolean, direction: boolean }}
+ * utr is null when either side has no UTR
+ */
+function compare(line, claim, calendar) {
+  const lineUtr = normalizeUtr(line.utr_number);
+  const claimUtr = normalizeUtr(claim.utr_number);
+  const { payment } = claim;
+
+  // The money may move once the CDU is out, up to the UTR grace period after it is due
+  const windowStart = toDateString(payment.cdu_generated_at || payment.created_at);
+  const windowEnd = addBusinessDays(payment.utr_due_date || payment.due_date, UTR_GRACE_DAYS, calendar);
+  const valueDate = toDateString(line.value_date);
+
+  return {
+    utr: lineUtr && claimUtr ? lineUtr === claimUtr : null,
+    amount: toPaise(line.amount) === toPaise(claim.amount),
+    date: valueDate >= windowStart && valueDate <= windowEnd,
+    direction: line.direction === PAYMENT_DIRECTION
+  };
+}
+
+const describeMismatch = checks => [
+  !checks.amount && 'amount differs',
+  !checks.date && 'value date outside the payment window',
+  !checks.direction && 'money came in instead of going out'
+].filter(Boolean).join(', ');
+
+const matchedTo = claim => ({
+  payment_id: claim.payment.id,
+  transaction_id: claim.transaction_id,
+  claim: claim.key
+});
+
+/**
+ * Match one statement line
+ * @param {Object} line
+ * @param {Object[]} claims - Open claims on payments awaiting reconciliation
+ * @param {Object} calendar
+ * @returns {{ match_status: string, payment_id: string|null, transaction_id: string|null, claim: string|null, match_details: Object }}
+ */
+function matchLine(line, claims, calendar) {
+  const lineUtr = normalizeUtr(line.utr_number);
+
+  const byUtr = lineUtr && claims.find(claim => normalizeUtr(claim.utr_number) === lineUtr);
+  if (byUtr) {
+    const checks = compare(line, byUtr, calendar);
+    const full = checks.amount && checks.date && checks.direction;
+    return {
+      match_status: full ? MATCH_STATUS.MATCHED : MATCH_STATUS.PARTIAL,
+      ...matchedTo(byUtr),
+      match_details: { ...checks, note: full ? 'UTR, amount and date match' : `UTR matches; ${describeMismatch(checks)}` }
+    };
+  }
+
+  // Without a UTR match, suggest the one claim with this amount in its window,
+  // unless its own UTR says it is a different transfer
+  const candidates = claims
+    .map(claim => ({ claim, checks: compare(line, claim, calendar) }))
+    .filter(({ checks }) => checks.utr !== false && checks.amount && checks.date && checks.direction);
+
+  if (candidates.length === 1) {
+    return {
+      match_status: MATCH_STATUS.PARTIAL,
+      ...matchedTo(candidates[0].claim),
+      match_details: {
+        ...candidates[0].checks,
+        note: lineUtr ? 'Amount and date match; UTR not recorded on the payment' : 'Amount and date match; no UTR on the statement line'
+      }
+    };
+  }
+
+  return {
+    match_status: MATCH_STATUS.UNMATCHED,
+    payment_id: null,
+    transaction_id: null,
+    claim: null,
+    match_details: {
+      note: candidates.length > 1
+        ? `${candidates.length} payments have this amount and date; match it manually`
+        : 'No payment matches'
+    }
+  };
+}
+
+/**
+ * Match statement lines to payments. Each claim on a payment is settled by at
+ * most one line: full matches are claimed first, then suggestions in
+ * statement order.
+ * @param {Object[]} lines - Statement lines
+ * @param {Object[]} payments - Payments awaiting reconciliation, with their transactions
+ * @param {Object} calendar - Holiday calendar
+ * @returns {Object[]} The lines with match_status, payment_id, transaction_id and match_details
+ */
+function matchStatementLines(lines, payments, calendar) {
+  const claims = buildClaims(payments);
+  const results = lines.map(line => matchLine(line, claims, calendar));
+  const claimed = new Set(
+    results.filter(result => result.match_status === MATCH_STATUS.MATCHED).map(result => result.claim)
+  );
+  const settled = new Set();
+  const suggested = new Set();
+
+  return lines.map((line, index) => {
+    const { claim, ...result } = results[index];
+
+    if (result.match_status === MATCH_STATUS.MATCHED) {
+      // Two lines with the same UTR: only the first settles the transfer
+      if (settled.has(claim)) {
+        return { ...line, ...duplicate(result) };
+      }
+      settled.add(claim);
+      return { ...line, ...result };
+    }
+
+    if (result.match_status === MATCH_STATUS.PARTIAL) {
+      if (claimed.has(claim) || suggested.has(claim)) {
+        return { ...line, ...duplicate(result) };
+      }
+      suggested.add(claim);
+    }
+
+    return { ...line, ...result };
+  });
+}
+
+const duplicate = result => ({
+  match_status: MATCH_STATUS.UNMATCHED,
+  payment_id: null,
+  transaction_id: null,
+  match_details: { ...result.match_details, note: 'Payment already matched to another statement line' }
+});
+
+module.exports = {
+  MATCH_STATUS,
+  RECONCILABLE_STATUSES,
+  PAYMENT_DIRECTION,
+  compare,
+  matchStatementLines
+};
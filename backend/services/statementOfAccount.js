@@ -0,0 +1,248 @@
+/**
+ * Statement of account documents
+ * Prints a party's statement - opening balance, the entries of the period
+ * with a running balance, totals and closing balance - as a PDF or an Excel
+ * workbook. Pure functions.
+ */
+
+const { toDateString } = require('./businessDays');
+const { formatBalance } = require('./partyLedger');
+const { createDocument } = require('./pdf');
+const { buildWorkbook } = require('./xlsx');
+
+const PARTY_LABELS = {
+  firm: 'Firm',
+  customer: 'Customer',
+  broker: 'Broker'
+};
+
+const ENTRY_LABELS = {
+  DUE: 'Due',
+  RECEIPT: 'Receipt',
+  REFUND: 'EMD refund',
+  COMMISSION: 'Commission',
+  PAYMENT: 'Payment',
+  ADJUSTMENT: 'Adjustment'
+};
+
+// Helvetica glyph widths in ems for the characters amounts are written with
+const GLYPH_WIDTHS = { ',': 0.278, '.': 0.278, ' ': 0.278, '-': 0.333 };
+const DIGIT_WIDTH = 0.556;
+const LETTER_WIDTH = 0.6;
+
+const FONT_SIZE = 8;
+const ROW_HEIGHT = 14;
+const MARGIN = 40;
+
+// Left edges of the text columns and right edges of the amount columns
+const COLUMNS = {
+  date: 40,
+  particulars: 92,
+  reference: 272,
+  debit: 420,
+  credit: 485,
+  balance: 555
+};
+
+const formatDate = date => toDateString(date).split('-').reverse().join('-');
+
+const formatAmount = rupees => (Number(rupees)
+  ? Number(rupees).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  : '');
+
+const textWidth = (value, size) => [...String(value)].reduce((width, character) =>
+  width + (GLYPH_WIDTHS[character] ?? (/\d/.test(character) ? DIGIT_WIDTH : LETTER_WIDTH)), 0) * size;
+
+/**
+ * Shorten text to fit a column
+ */
+function fit(value, width, size = FONT_SIZE) {
+  const text = String(value || '');
+  if (textWidth(text, size) <= width) {
+    return text;
+  }
+  let shortened = text;
+  while (shortened && textWidth(`${shortened}...`, size) > width) {
+    shortened = shortened.slice(0, -1);
+  }
+  return `${shortened}...`;
+}
+
+/**
+ * Write text ending at a right edge
+ */
+function rightText(doc, right, top, value, options = {}) {
+  doc.text(right - textWidth(value, options.size || FONT_SIZE), top, value, { size: FONT_SIZE, ...options });
+}
+
+/**
+ * File name of a statement
+ * @param {Object} party - { party_name }
+ * @param {Object} statement - From buildStatement
+ * @param {string} extension - pdf or xlsx
+ * @returns {string}
+ */
+function statementFileName(party, statement, extension) {
+  const name = party.party_name.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'party';
+  return `Statement-${name}-${statement.from}-to-${statement.to}.${extension}`;
+}
+
+/**
+ * Build the statement of account PDF
+ * @param {Object} party - { party_type, party_name }
+ * @param {Object} statement - From buildStatement
+ * @param {Object} company - Company profile: { name, gstin }
+ * @param {Date} [generatedAt]
+ * @returns {Buffer}
+ */
+function buildStatementPdf(party, statement, company, generatedAt = new Date()) {
+  const doc = createDocument();
+  let pageNumber = 1;
+  let top;
+
+  const columnHeadings = () => {
+    doc.box(MARGIN, top - 11, doc.width - MARGIN * 2, 16, { fill: 0.92 });
+    doc.text(COLUMNS.date + 2, top, 'Date', { font: 'bold', size: FONT_SIZE });
+    doc.text(COLUMNS.particulars, top, 'Particulars', { font: 'bold', size: FONT_SIZE });
+    doc.text(COLUMNS.reference, top, 'Reference', { font: 'bold', size: FONT_SIZE });
+    rightText(doc, COLUMNS.debit, top, 'Debit', { font: 'bold' });
+    rightText(doc, COLUMNS.credit, top, 'Credit', { font: 'bold' });
+    rightText(doc, COLUMNS.balance - 2, top, 'Balance', { font: 'bold' });
+    top += ROW_HEIGHT + 4;
+  };
+
+  const footer = () => {
+    doc.line(MARGIN, doc.height - 50, doc.width - MARGIN, doc.height - 50);
+    doc.text(MARGIN, doc.height - 38, 'This is a computer generated statement and needs no signature.', { size: 7 });
+    rightText(doc, doc.width - MARGIN, doc.height - 38, `Page ${pageNumber}`, { size: 7 });
+  };
+
+  const row = (cells, { bold = false } = {}) => {
+    if (top > doc.height - 70) {
+      footer();
+      doc.page();
+      pageNumber += 1;
+      top = 60;
+      doc.text(MARGIN, top, `${party.party_name} - statement ${formatDate(statement.from)} to ${formatDate(statement.to)} (continued)`,
+        { font: 'bold', size: 9 });
+      top += 22;
+      columnHeadings();
+    }
+
+    const font = bold ? 'bold' : 'regular';
+    doc.text(COLUMNS.date + 2, top, cells.date || '', { font, size: FONT_SIZE });
+    doc.text(COLUMNS.particulars, top, fit(cells.particulars, COLUMNS.reference - COLUMNS.particulars - 6), { font, size: FONT_SIZE });
+    doc.text(COLUMNS.reference, top, fit(cells.reference, COLUMNS.debit - COLUMNS.reference - 70), { font, size: FONT_SIZE });
+    rightText(doc, COLUMNS.debit, top, cells.debit || '', { font });
+    rightText(doc, COLUMNS.credit, top, cells.credit || '', { font });
+    rightText(doc, COLUMNS.balance - 2, top, cells.balance || '', { font });
+    top += ROW_HEIGHT;
+  };
+
+  // Heading
+  doc.text(MARGIN, 60, company.name, { font: 'bold', size: 16 });
+  if (company.gstin) {
+    doc.text(MARGIN, 76, `GSTIN ${company.gstin}`, { size: 9 });
+  }
+  doc.text(MARGIN, 100, 'STATEMENT OF ACCOUNT', { font: 'bold', size: 13 });
+  doc.text(360, 60, `Period: ${formatDate(statement.from)} to ${formatDate(statement.to)}`, { font: 'bold', size: 9 });
+  doc.text(360, 74, `Generated: ${formatDate(generatedAt)}`, { size: 9 });
+  doc.line(MARGIN, 112, doc.width - MARGIN, 112, { width: 1 });
+
+  doc.text(MARGIN, 132, `${PARTY_LABELS[party.party_type]}:`, { size: 9 });
+  doc.text(MARGIN + 70, 132, party.party_name, { font: 'bold', size: 10 });
+  doc.text(MARGIN, 148, 'Opening balance:', { size: 9 });
+  doc.text(MARGIN + 70, 148, formatBalance(statement.opening_balance), { font: 'bold', size: 9 });
+  doc.text(300, 148, 'Closing balance:', { size: 9 });
+  doc.text(370, 148, formatBalance(statement.closing_balance), { font: 'bold', size: 9 });
+
+  top = 180;
+  columnHeadings();
+
+  row({
+    date: formatDate(statement.from),
+    particulars: 'Opening balance',
+    balance: formatBalance(statement.opening_balance)
+  }, { bold: true });
+
+  statement.entries.forEach(entry => {
+    row({
+      date: formatDate(entry.entry_date),
+      particulars: [ENTRY_LABELS[entry.entry_type], entry.narration].filter(Boolean).join(' - '),
+      reference: entry.reference,
+      debit: formatAmount(entry.debit),
+      credit: formatAmount(entry.credit),
+      balance: formatBalance(entry.balance)
+    });
+  });
+
+  if (statement.entries.length === 0) {
+    row({ particulars: 'No entries in this period' });
+  }
+
+  doc.line(MARGIN, top - 10, doc.width - MARGIN, top - 10);
+  row({
+    particulars: 'Total for the period',
+    debit: formatAmount(statement.total_debit),
+    credit: formatAmount(statement.total_credit)
+  }, { bold: true });
+  row({
+    date: formatDate(statement.to),
+    particulars: 'Closing balance',
+    balance: formatBalance(statement.closing_balance)
+  }, { bold: true });
+
+  footer();
+  return doc.render();
+}
+
+/**
+ * Build the statement of account workbook
+ * @param {Object} party - { party_type, party_name }
+ * @param {Object} statement - From buildStatement
+ * @param {Object} company - Company profile: { name }
+ * @returns {Buffer} .xlsx file
+ */
+function buildStatementWorkbook(party, statement, company) {
+  const side = rupees => (rupees > 0 ? 'Dr' : rupees < 0 ? 'Cr' : '');
+  const balanceCells = rupees => [{ value: Math.abs(rupees), format: 'amount' }, side(rupees)];
+
+  const rows = [
+    [{ value: company.name, bold: true }],
+    [{ value: 'Statement of Account', bold: true }],
+    [PARTY_LABELS[party.party_type], party.party_name],
+    ['Period', { value: statement.from, format: 'date' }, { value: statement.to, format: 'date' }],
+    [],
+    ['Date', 'Type', 'Particulars', 'Reference', 'Contra Account', 'Debit', 'Credit', 'Balance', 'Dr/Cr']
+      .map(heading => ({ value: heading, bold: true })),
+    [{ value: statement.from, format: 'date' }, null, { value: 'Opening balance', bold: true }, null, null, null, null,
+      ...balanceCells(statement.opening_balance)],
+    ...statement.entries.map(entry => [
+      { value: entry.entry_date, format: 'date' },
+      ENTRY_LABELS[entry.entry_type],
+      entry.narration,
+      entry.reference,
+      entry.contra_account,
+      { value: Number(entry.debit) || null, format: 'amount' },
+      { value: Number(entry.credit) || null, format: 'amount' },
+      ...balanceCells(entry.balance)
+    ]),
+    [null, null, { value: 'Total for the period', bold: true }, null, null,
+      { value: statement.total_debit, format: 'amount', bold: true },
+      { value: statement.total_credit, format: 'amount', bold: true }],
+    [{ value: statement.to, format: 'date' }, null, { value: 'Closing balance', bold: true }, null, null, null, null,
+      { value: Math.abs(statement.closing_balance), format: 'amount', bold: true }, side(statement.closing_balance)]
+  ];
+
+  return buildWorkbook([{
+    name: 'Statement',
+    widths: [12, 12, 48, 22, 16, 14, 14, 16, 7],
+    rows
+  }]);
+}
+
+module.exports = {
+  statementFileName,
+  buildStatementPdf,
+  buildStatementWorkbook
+};
@@ -0,0 +1,173 @@
+/**
+ * UTR validation
+ * Checks a UTR against the reference format of the payment mode it was paid
+ * by, and flags UTRs that are used on more than one transfer or whose bank
+ * statement entry shows a different amount. Pure functions.
+ *
+ * - RTGS: 22 characters, remitting bank's IFSC code, R, channel, YYYYMMDD, 8 digit sequence
+ * - NEFT: 16 characters, remitting bank's IFSC code, N, 11 character sequence
+ * - IMPS: 12 digit retrieval reference number, Y DDD HH NNNNNN (year digit, day
+ *   of year, hour, sequence)
+ */
+
+const { toPaise } = require('./money');
+
+const PAYMENT_MODES = {
+  RTGS: 'RTGS',
+  NEFT: 'NEFT',
+  IMPS: 'IMPS'
+};
+
+const WARNING_TYPES = {
+  DUPLICATE_UTR: 'duplicate_utr',
+  AMOUNT_MISMATCH: 'amount_mismatch'
+};
+
+// First four characters of the IFSC of banks that remit RTGS and NEFT payments
+const IFSC_BANK_CODES = {
+  ALLA: 'Allahabad Bank',
+  ANDB: 'Andhra Bank',
+  AUBL: 'AU Small Finance Bank',
+  BARB: 'Bank of Baroda',
+  BKID: 'Bank of India',
+  CBIN: 'Central Bank of India',
+  CITI: 'Citibank',
+  CNRB: 'Canara Bank',
+  CSBK: 'CSB Bank',
+  DBSS: 'DBS Bank India',
+  DCBL: 'DCB Bank',
+  DLXB: 'Dhanlaxmi Bank',
+  FDRL: 'Federal Bank',
+  HDFC: 'HDFC Bank',
+  HSBC: 'HSBC',
+  IBKL: 'IDBI Bank',
+  ICIC: 'ICICI Bank',
+  IDFB: 'IDFC First Bank',
+  IDIB: 'Indian Bank',
+  INDB: 'IndusInd Bank',
+  IOBA: 'Indian Overseas Bank',
+  JAKA: 'Jammu and Kashmir Bank',
+  KARB: 'Karnataka Bank',
+  KKBK: 'Kotak Mahindra Bank',
+  KVBL: 'Karur Vysya Bank',
+  MAHB: 'Bank of Maharashtra',
+  ORBC: 'Oriental Bank of Commerce',
+  PSIB: 'Punjab and Sind Bank',
+  PUNB: 'Punjab National Bank',
+  RATN: 'RBL Bank',
+  SBIN: 'State Bank of India',
+  SCBL: 'Standard Chartered Bank',
+  SIBL: 'South Indian Bank',
+  SYNB: 'Syndicate Bank',
+  TMBL: 'Tamilnad Mercantile Bank',
+  UBIN: 'Union Bank of India',
+  UCBA: 'UCO Bank',
+  UTIB: 'Axis Bank',
+  VIJB: 'Vijaya Bank',
+  YESB: 'Yes Bank'
+};
+
+const FORMATS = {
+  RTGS: {
+    pattern: /^([A-Z]{4})R[A-Z0-9](\d{4})(\d{2})(\d{2})\d{8}$/,
+    description: '22 characters: bank IFSC code, R, channel, date (YYYYMMDD) and an 8 digit sequence, e.g. SBINR52025010112345678'
+  },
+  NEFT: {
+    pattern: /^([A-Z]{4})N[A-Z0-9]{11}$/,
+    description: '16 characters: bank IFSC code, N and an 11 character sequence, e.g. HDFCN25123456789'
+  },
+  IMPS: {
+    pattern: /^\d(\d{3})(\d{2})\d{6}$/,
+    description: '12 digits: year digit, day of year, hour and a 6 digit sequence, e.g. 501512345678'
+  }
+};
+
+const formatRupees = amount => Number(amount).toLocaleString('en-IN');
+
+/**
+ * Validate a UTR against the format of its payment mode
+ * @param {string} utr - Normalised (upper-case, no spaces) UTR
+ * @param {string} paymentMode - One of PAYMENT_MODES
+ * @param {Date} [today] - UTRs dated after today are rejected
+ * @returns {string|null} Why the UTR is invalid, or null when it is valid
+ */
+function validateUtr(utr, paymentMode, today = new Date()) {
+  const format = FORMATS[paymentMode];
+  if (!format) {
+    return `Unsupported payment mode ${paymentMode}`;
+  }
+
+  const match = format.pattern.exec(utr || '');
+  if (!match) {
+    return `${paymentMode} UTR must be ${format.description}`;
+  }
+
+  if (paymentMode === PAYMENT_MODES.IMPS) {
+    const [, dayOfYear, hour] = match.map(Number);
+    if (dayOfYear < 1 || dayOfYear > 366 || hour > 23) {
+      return 'IMPS reference has an invalid day of year or hour';
+    }
+    return null;
+  }
+
+  const bankCode = match[1];
+  if (!IFSC_BANK_CODES[bankCode]) {
+    return `UTR must start with the IFSC code of the remitting bank; ${bankCode} is not a known bank code`;
+  }
+
+  if (paymentMode === PAYMENT_MODES.RTGS) {
+    const [year, month, day] = match.slice(2, 5).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return 'RTGS UTR has an invalid date';
+    }
+    if (date.toISOString().split('T')[0] > today.toISOString().split('T')[0]) {
+      return 'RTGS UTR is dated in the future';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Flag problems with the UTR of a transfer
+ * @param {Object} transaction - payment_transactions row
+ * @param {Object} related
+ * @param {Object[]} related.transactions - Transfers with the same UTR, with payment.installment_name
+ *   and payment.procurement_dump.indent_number
+ * @param {Object[]} related.lines - Bank statement lines with the UTR or linked to the transfer
+ * @returns {{ type: string, message: string }[]}
+ */
+function utrWarnings(transaction, { transactions, lines }) {
+  const warnings = [];
+
+  // A UTR a checker rejected no longer claims the transfer
+  transactions
+    .filter(other => other.id !== transaction.id && other.utr_number === transaction.utr_number && other.transaction_status !== 'rejected')
+    .forEach(other => {
+      warnings.push({
+        type: WARNING_TYPES.DUPLICATE_UTR,
+        message: `UTR ${transaction.utr_number} is also used on ${other.payment?.installment_name || 'a payment'} for Indent ${other.payment?.procurement_dump?.indent_number}`
+      });
+    });
+
+  lines
+    .filter(line => line.transaction_id === transaction.id || line.utr_number === transaction.utr_number)
+    .filter(line => toPaise(line.amount) !== toPaise(transaction.amount))
+    .forEach(line => {
+      warnings.push({
+        type: WARNING_TYPES.AMOUNT_MISMATCH,
+        message: `Bank entry of ${line.value_date} shows ₹${formatRupees(line.amount)}, but the UTR was submitted for ₹${formatRupees(transaction.amount)}`
+      });
+    });
+
+  return warnings;
+}
+
+module.exports = {
+  PAYMENT_MODES,
+  WARNING_TYPES,
+  IFSC_BANK_CODES,
+  validateUtr,
+  utrWarnings
+};
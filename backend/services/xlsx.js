@@ -0,0 +1,174 @@
+/**
+ * Excel writer
+ * Writes worksheets of text, numbers, amounts and dates as an .xlsx workbook
+ * without a spreadsheet library. Amounts keep two decimals with thousands
+ * separators and dates are real Excel dates, so exported figures can be
+ * summed and sorted.
+ */
+
+const { toDateString } = require('./businessDays');
+const { createZip } = require('./zip');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Indexes into cellXfs in STYLES
+const STYLE_IDS = {
+  text: 0,
+  bold: 1,
+  amount: 2,
+  boldAmount: 3,
+  date: 4
+};
+
+const STYLES = `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+  '<numFmts count="2"><numFmt numFmtId="164" formatCode="#,##0.00"/><numFmt numFmtId="165" formatCode="dd-mm-yyyy"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="5">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Excel counts days from 30 December 1899
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+const escapeXml = value => String(value)
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Column letters for a zero-based index
+ * @param {number} index - 0 is A, 26 is AA
+ * @returns {string}
+ */
+function columnName(index) {
+  let name = '';
+  for (let rest = index + 1; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    name = String.fromCharCode(65 + ((rest - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Write one cell
+ * @param {string|number|null|Object} cell - A value, or { value, format, bold }
+ *   where format is 'amount' or 'date'
+ * @param {string} ref - e.g. B4
+ * @returns {string} Empty for a blank cell
+ */
+function cellXml(cell, ref) {
+  const { value, format, bold } = cell !== null && typeof cell === 'object' ? cell : { value: cell };
+
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  if (format === 'date') {
+    const serial = (Date.parse(`${toDateString(value)}T00:00:00Z`) - EXCEL_EPOCH) / DAY_MS;
+    return `<c r="${ref}" s="${STYLE_IDS.date}"><v>${serial}</v></c>`;
+  }
+
+  if (format === 'amount') {
+    return `<c r="${ref}" s="${bold ? STYLE_IDS.boldAmount : STYLE_IDS.amount}"><v>${Number(value)}</v></c>`;
+  }
+
+  const style = bold ? STYLE_IDS.bold : STYLE_IDS.text;
+  if (typeof value === 'number') {
+    return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Write a worksheet
+ * @param {Object} sheet
+ * @param {number[]} [sheet.widths] - Column widths in characters
+ * @param {Array[]} sheet.rows - Rows of cells; an empty array leaves a blank row
+ * @returns {string}
+ */
+function sheetXml({ widths = [], rows }) {
+  const cols = widths.length > 0
+    ? `<cols>${widths.map((width, index) =>
+      `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+
+  const data = rows.map((row, rowIndex) => {
+    const cells = row.map((cell, columnIndex) => cellXml(cell, `${columnName(columnIndex)}${rowIndex + 1}`)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="${SPREADSHEET_NS}">${cols}<sheetData>${data}</sheetData></worksheet>`;
+}
+
+// Sheet names are at most 31 characters and cannot contain : \ / ? * [ ]
+const sheetName = name => String(name).replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Sheet';
+
+/**
+ * Build a workbook
+ * @param {{ name: string, widths?: number[], rows: Array[] }[]} sheets
+ * @returns {Buffer} .xlsx file
+ */
+function buildWorkbook(sheets) {
+  const sheetEntries = sheets.map((sheet, index) => ({
+    name: `xl/worksheets/sheet${index + 1}.xml`,
+    content: sheetXml(sheet)
+  }));
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheetEntries.map(entry =>
+      `<Override PartName="/${entry.name}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+    '</Types>';
+
+  const rootRelationships = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<Relationships xmlns="${PACKAGE_NS}">` +
+    `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>';
+
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets>` +
+    sheets.map((sheet, index) =>
+      `<sheet name="${escapeXml(sheetName(sheet.name))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+    '</sheets></workbook>';
+
+  const workbookRelationships = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<Relationships xmlns="${PACKAGE_NS}">` +
+    sheetEntries.map((entry, index) =>
+      `<Relationship Id="rId${index + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+    `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRelationships },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRelationships },
+    { name: 'xl/styles.xml', content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${STYLES}` },
+    ...sheetEntries
+  ]);
+}
+
+module.exports = {
+  XLSX_CONTENT_TYPE,
+  buildWorkbook
+};
@@ -0,0 +1,98 @@
+/**
+ * Zip writer
+ * Packs named files into a zip archive, deflated with the zlib that ships
+ * with Node. Enough for the Office Open XML formats without an archive
+ * library. Entries carry a fixed timestamp, so the same files always produce
+ * the same bytes.
+ */
+
+const zlib = require('zlib');
+
+// 1 January 1980 00:00, the earliest MS-DOS date
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+// General purpose flag: names are UTF-8
+const UTF8_FLAG = 0x0800;
+const DEFLATE = 8;
+const VERSION = 20;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as zip headers record it
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Write fixed-size little-endian fields
+ * @param {[number, number][]} fields - [value, bytes] pairs, bytes 2 or 4
+ * @returns {Buffer}
+ */
+function header(fields) {
+  const buffer = Buffer.alloc(fields.reduce((total, [, bytes]) => total + bytes, 0));
+  let offset = 0;
+  fields.forEach(([value, bytes]) => {
+    offset = bytes === 2 ? buffer.writeUInt16LE(value, offset) : buffer.writeUInt32LE(value, offset);
+  });
+  return buffer;
+}
+
+/**
+ * Build a zip archive
+ * @param {{ name: string, content: Buffer|string }[]} files - Paths use forward slashes
+ * @returns {Buffer}
+ */
+function createZip(files) {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = Buffer.from(file.name, 'utf8');
+    const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const crc = crc32(content);
+
+    const local = header([
+      [0x04034B50, 4], [VERSION, 2], [UTF8_FLAG, 2], [DEFLATE, 2], [DOS_TIME, 2], [DOS_DATE, 2],
+      [crc, 4], [compressed.length, 4], [content.length, 4], [name.length, 2], [0, 2]
+    ]);
+
+    directory.push(Buffer.concat([header([
+      [0x02014B50, 4], [VERSION, 2], [VERSION, 2], [UTF8_FLAG, 2], [DEFLATE, 2], [DOS_TIME, 2], [DOS_DATE, 2],
+      [crc, 4], [compressed.length, 4], [content.length, 4], [name.length, 2], [0, 2], [0, 2],
+      [0, 2], [0, 2], [0, 4], [offset, 4]
+    ]), name]));
+
+    parts.push(local, name, compressed);
+    offset += local.length + name.length + compressed.length;
+  });
+
+  const central = Buffer.concat(directory);
+  const end = header([
+    [0x06054B50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2],
+    [central.length, 4], [offset, 4], [0, 2]
+  ]);
+
+  return Buffer.concat([...parts, central, end]);
+}
+
+module.exports = {
+  createZip,
+  crc32
+};
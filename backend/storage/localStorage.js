@@ -0,0 +1,72 @@
+/**
+ * Local filesystem document storage
+ * Keeps each document as a file under a root directory, at the path given by
+ * its storage key. Used by default and in development.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Create a document store rooted at a directory
+ * @param {string} root - Directory documents are kept in, created on first write
+ * @returns {{ name: string, put: Function, get: Function, remove: Function }}
+ */
+function createLocalStorage(root) {
+  const rootDir = path.resolve(root);
+
+  // Keys come from documentStorageKey(), but never let one point outside the root
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(`${rootDir}${path.sep}`)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Write a document, replacing any at the same key. The file is written
+     * beside its final path and renamed, so a reader never sees half of it.
+     * @param {string} key - Storage key
+     * @param {Buffer} content
+     */
+    async put(key, content) {
+      const filePath = resolve(key);
+      const partPath = `${filePath}.${uuidv4()}.part`;
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        await fs.writeFile(partPath, content, { flag: 'wx' });
+        await fs.rename(partPath, filePath);
+      } catch (error) {
+        await fs.rm(partPath, { force: true });
+        throw error;
+      }
+    },
+
+    /**
+     * Read a document
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer>}
+     */
+    async get(key) {
+      return fs.readFile(resolve(key));
+    },
+
+    /**
+     * Delete a document; deleting one that is not there is not an error
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
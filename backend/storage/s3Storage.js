@@ -0,0 +1,183 @@
+/**
+ * S3-compatible document storage
+ * Keeps each document as an object in a bucket on Amazon S3 or any service
+ * speaking its API (MinIO, Cloudflare R2, DigitalOcean Spaces...). Requests
+ * are signed with AWS Signature Version 4.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const SERVICE = 's3';
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Create a document store backed by a bucket
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Signing region, e.g. ap-south-1
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {string} [options.endpoint] - Service URL of an S3-compatible store;
+ *   Amazon S3 for the region when not given
+ * @param {boolean} [options.forcePathStyle] - Address the bucket in the path
+ *   rather than the host name; defaults to true with a custom endpoint
+ * @returns {{ name: string, put: Function, get: Function, remove: Function }}
+ */
+function createS3Storage({ bucket, region, accessKeyId, secretAccessKey, endpoint, forcePathStyle }) {
+  const missing = Object.entries({ bucket, region, accessKeyId, secretAccessKey })
+    .filter(([, value]) => !value)
+    .map(([name]) => name);
+  if (missing.length > 0) {
+    throw new Error(`S3 document storage is missing ${missing.join(', ')}`);
+  }
+
+  const pathStyle = forcePathStyle ?? Boolean(endpoint);
+  const serviceUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const objectUrl = (key) => {
+    const objectPath = key.split('/').map(encodeSegment).join('/');
+    const url = new URL(serviceUrl.href);
+
+    if (pathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodeSegment(bucket)}/${objectPath}`;
+    } else {
+      url.hostname = `${bucket}.${url.hostname}`;
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${objectPath}`;
+    }
+    return url;
+  };
+
+  const send = async (method, key, { body, contentType, responseType } = {}) => {
+    const url = objectUrl(key);
+    const payloadHash = body
+      ? crypto.createHash('sha256').update(body).digest('hex')
+      : EMPTY_PAYLOAD_HASH;
+
+    const headers = signRequest({
+      method,
+      url,
+      payloadHash,
+      region,
+      accessKeyId,
+      secretAccessKey
+    });
+    if (contentType) {
+      headers['content-type'] = contentType;
+    }
+
+    try {
+      return await axios.request({
+        method,
+        url: url.href,
+        headers,
+        data: body,
+        responseType,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        // Axios would otherwise serialise a Buffer body itself
+        transformRequest: [data => data]
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      const wrapped = new Error(`S3 ${method} ${key} failed${status ? ` with status ${status}` : ''}: ${error.message}`);
+      wrapped.status = status;
+      throw wrapped;
+    }
+  };
+
+  return {
+    name: 's3',
+
+    /**
+     * Write a document, replacing any object at the same key
+     * @param {string} key - Storage key
+     * @param {Buffer} content
+     * @param {string} [contentType]
+     */
+    async put(key, content, contentType = 'application/octet-stream') {
+      await send('PUT', key, { body: content, contentType });
+    },
+
+    /**
+     * Read a document
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer>}
+     */
+    async get(key) {
+      const response = await send('GET', key, { responseType: 'arraybuffer' });
+      return Buffer.from(response.data);
+    },
+
+    /**
+     * Delete a document; S3 does not report deleting a missing object as an error
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+      await send('DELETE', key);
+    }
+  };
+}
+
+/**
+ * Headers authorising a request with AWS Signature Version 4
+ * @returns {Object} host, x-amz-date, x-amz-content-sha256 and authorization headers
+ */
+function signRequest({ method, url, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/${SERVICE}/aws4_request`;
+
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const signedHeaders = Object.keys(headers).sort().join(';');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    url.search.slice(1),
+    Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+
+  const signingKey = [dateStamp, region, SERVICE, 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * HMAC-SHA256 digest of a value
+ */
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * URI-encode a path segment the way Signature Version 4 expects (RFC 3986)
+ */
+function encodeSegment(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, char =>
+    `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+module.exports = {
+  createS3Storage,
+  signRequest
+};
@@ -0,0 +1,102 @@
+const {
+  normalizeIfsc,
+  validateIfsc,
+  validateAccountNumber,
+  rankAccounts,
+  accountCriteria
+} = require('../services/bankAccounts');
+
+describe('validateIfsc', () => {
+  test('accepts a known bank code and names the bank', () => {
+    expect(validateIfsc(normalizeIfsc(' sbin 0001234 '))).toEqual({
+      valid: true,
+      bank_code: 'SBIN',
+      bank_name: 'State Bank of India',
+      message: null
+    });
+  });
+
+  test.each([
+    ['SBIN1001234'],
+    ['SBIN000123'],
+    ['SB1N0001234'],
+    ['SBIN0001234X']
+  ])('rejects the malformed IFSC %s', ifsc => {
+    expect(validateIfsc(ifsc)).toMatchObject({
+      valid: false,
+      bank_name: null,
+      message: 'IFSC must be 11 characters: a 4 letter bank code, 0 and a 6 character branch code, e.g. SBIN0001234'
+    });
+  });
+
+  test('rejects an unknown bank code', () => {
+    expect(validateIfsc('ZZZZ0001234')).toMatchObject({
+      valid: false,
+      bank_code: 'ZZZZ',
+      message: 'Unknown bank code ZZZZ in IFSC'
+    });
+  });
+});
+
+describe('validateAccountNumber', () => {
+  test('allows 9 to 18 digits', () => {
+    expect(validateAccountNumber('123456789')).toBeNull();
+    expect(validateAccountNumber('123456789012345678')).toBeNull();
+    expect(validateAccountNumber('12345678')).toBe('Account number must be 9 to 18 digits');
+    expect(validateAccountNumber('12345678901234567a')).toBe('Account number must be 9 to 18 digits');
+  });
+});
+
+describe('rankAccounts', () => {
+  const account = (account_name, overrides = {}) => ({
+    account_name,
+    is_active: true,
+    purpose: null,
+    branch_id: null,
+    zone: null,
+    ...overrides
+  });
+
+  const accounts = [
+    account('CCI Collections'),
+    account('CCI EMD Account', { purpose: 'EMD' }),
+    account('CCI Central Collections', { zone: 'Central' }),
+    account('CCI Akola Branch', { branch_id: 'akola' }),
+    account('Closed Account', { is_active: false })
+  ];
+
+  const names = criteria => rankAccounts(accounts, criteria).map(ranked => ranked.account_name);
+
+  test('falls back to the general account when nothing more specific fits', () => {
+    expect(names({ payment_type: 'BALANCE', branch_id: null, zone: 'South' })).toEqual(['CCI Collections']);
+  });
+
+  test('prefers the account kept for EMDs for an EMD', () => {
+    expect(names({ payment_type: 'EMD', branch_id: null, zone: 'South' })).toEqual([
+      'CCI EMD Account',
+      'CCI Collections'
+    ]);
+  });
+
+  test('prefers the branch account over the zone account over the EMD account', () => {
+    expect(names({ payment_type: 'EMD', branch_id: 'akola', zone: 'Central' })).toEqual([
+      'CCI Akola Branch',
+      'CCI Central Collections',
+      'CCI EMD Account',
+      'CCI Collections'
+    ]);
+    expect(names({ payment_type: 'BALANCE', branch_id: 'nagpur', zone: 'Central' })).toEqual([
+      'CCI Central Collections',
+      'CCI Collections'
+    ]);
+  });
+});
+
+describe('accountCriteria', () => {
+  test('takes the branch and zone from the procurement snapshot', () => {
+    expect(accountCriteria({
+      payment_type: 'EMD',
+      procurement_dump: { allocation: { branch_id: 'akola', branch_information: { zone: 'Central' } } }
+    })).toEqual({ payment_type: 'EMD', branch_id: 'akola', zone: 'Central' });
+  });
+});
@@ -0,0 +1,184 @@
+const {
+  formatDate,
+  formatAmount,
+  validateTemplate,
+  buildPaymentFile,
+  parseResponseFile,
+  batchFileName
+} = require('../services/bankPaymentFile');
+const { buildSeedData } = require('../database/seeds');
+
+const TEMPLATES = buildSeedData().bank_file_templates;
+const template = bankCode => TEMPLATES.find(candidate => candidate.bank_code === bankCode);
+
+const COMPANY = { name: 'Cotton Corporation of India' };
+
+const BATCH = {
+  batch_number: 'BP-20250108-001',
+  value_date: '2025-01-08',
+  line_count: 2,
+  total_amount: 225000.5
+};
+
+const LINES = [
+  {
+    line_number: 1,
+    reference: 'BP20250108001001',
+    payment_mode: 'RTGS',
+    amount: 150000.5,
+    beneficiary: {
+      account_name: 'Cotton Corp, EMD "Escrow"',
+      account_number: '123456789012',
+      ifsc_code: 'SBIN0001234',
+      bank_name: 'State Bank of India'
+    },
+    payment: { cdu_reference: 'CDU-20250101-3F9A2C1B', procurement_dump: { indent_number: 'CCI/AKL/2024-25/0002' } }
+  },
+  {
+    line_number: 2,
+    reference: 'BP20250108001002',
+    payment_mode: 'NEFT',
+    amount: 75000,
+    beneficiary: {
+      account_name: 'CCI Collections',
+      account_number: '987654321098',
+      ifsc_code: 'HDFC0000123',
+      bank_name: 'HDFC Bank'
+    },
+    payment: { cdu_reference: 'CDU-20250101-7B2D4E6F', procurement_dump: { indent_number: 'CCI/AKL/2024-25/0003' } }
+  }
+];
+
+describe('formatDate and formatAmount', () => {
+  test('format dates and amounts the way bank files expect', () => {
+    expect(formatDate('2025-01-08')).toBe('08/01/2025');
+    expect(formatDate('2025-01-08', 'DD-MON-YY')).toBe('08-JAN-25');
+    expect(formatAmount(150000.5)).toBe('150000.50');
+    expect(formatAmount(150000.5, 'paise')).toBe('15000050');
+  });
+});
+
+describe('buildPaymentFile', () => {
+  test('writes a CSV record per payment with coded payment modes and quoted values', () => {
+    const { content, errors } = buildPaymentFile(template('HDFC'), BATCH, LINES, COMPANY);
+
+    expect(errors).toEqual([]);
+    expect(content.split('\r\n')).toEqual([
+      'R,123456789012,150000.50,"Cotton Corp, EMD ""Escrow""",BP20250108001001,CDU-20250101-3F9A2C1B,08/01/2025,SBIN0001234,State Bank of India',
+      'N,987654321098,75000.00,CCI Collections,BP20250108001002,CDU-20250101-7B2D4E6F,08/01/2025,HDFC0000123,HDFC Bank',
+      ''
+    ]);
+  });
+
+  test('writes a header row of column headings when the template has one', () => {
+    const { content } = buildPaymentFile(template('ICIC'), BATCH, LINES.slice(1), COMPANY);
+
+    expect(content.split('\r\n').slice(0, 2)).toEqual([
+      'Debit Ac No|Beneficiary Ac No|Beneficiary Name|Amt|Pay Mod|Date|IFSC|Remarks',
+      '000405012345|987654321098|CCI Collections|75000.00|NFT|08-JAN-2025|HDFC0000123|BP20250108001002'
+    ]);
+  });
+
+  test('pads fixed-width records and adds the header and trailer', () => {
+    const { content, errors } = buildPaymentFile(template('SBIN'), BATCH, LINES, COMPANY);
+    const [header, first, , trailer] = content.split('\r\n');
+
+    expect(errors).toEqual([]);
+    expect(header).toBe('HBP-20250108-001 30098765432      080120250000200000000022500050');
+    expect(first).toBe(
+      'D00001RTGSBP20250108001001123456789012      SBIN0001234Cotton Corp, EMD "Escrow"          ' +
+      '00000001500005008012025CDU-20250101-3F9A2C1B         '
+    );
+    expect(first).toHaveLength(143);
+    expect(trailer).toBe('T0000200000000022500050');
+  });
+
+  test('refuses a value that would be cut short, but shortens names', () => {
+    const lines = [{
+      ...LINES[0],
+      reference: 'BP20250108001001X',
+      beneficiary: { ...LINES[0].beneficiary, account_name: 'A'.repeat(50) }
+    }];
+
+    const { content, errors } = buildPaymentFile(template('SBIN'), { ...BATCH, line_count: 1 }, lines, COMPANY);
+
+    expect(errors).toEqual(['Line 1: reference BP20250108001001X does not fit its 16 characters']);
+    expect(content.split('\r\n')[1]).toContain('A'.repeat(35) + '0000000');
+  });
+});
+
+describe('parseResponseFile', () => {
+  test('reads a CSV response by its headings', () => {
+    const { rows, errors } = parseResponseFile(template('HDFC'), [
+      'Customer Reference Number,UTR Number,Status,Reason',
+      'BP20250108001001,hdfcr52025010812345678,Paid,',
+      'BP20250108001002,,Rejected,Beneficiary account closed',
+      ''
+    ].join('\r\n'));
+
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([
+      { row_number: 2, reference: 'BP20250108001001', utr_number: 'HDFCR52025010812345678', paid: true, reason: null },
+      { row_number: 3, reference: 'BP20250108001002', utr_number: null, paid: false, reason: 'Beneficiary account closed' }
+    ]);
+  });
+
+  test('reads fixed-width payment records and skips the header and trailer', () => {
+    const record = (reference, utr, status, reason = '') =>
+      `D00001${reference.padEnd(16)}${utr.padEnd(22)}${status}${reason}`;
+
+    const { rows } = parseResponseFile(template('SBIN'), [
+      'HBP-20250108-001',
+      record('BP20250108001001', 'SBINR52025010812345678', 'S'),
+      record('BP20250108001002', '', 'F', 'Invalid IFSC'),
+      'T00002'
+    ].join('\n'));
+
+    expect(rows.map(row => [row.reference, row.paid, row.utr_number, row.reason])).toEqual([
+      ['BP20250108001001', true, 'SBINR52025010812345678', null],
+      ['BP20250108001002', false, null, 'Invalid IFSC']
+    ]);
+  });
+
+  test('flags a payment reported paid without a UTR', () => {
+    const { rows, errors } = parseResponseFile(template('ICIC'), 'BP20250108001002|SUCCESS||');
+
+    expect(rows).toEqual([]);
+    expect(errors).toEqual(['Row 1: BP20250108001002 is reported paid without a UTR']);
+  });
+
+  test('reports response columns the file does not have', () => {
+    const { rows, errors } = parseResponseFile(template('HDFC'), 'Reference,UTR\nBP20250108001001,HDFCR52025010812345678');
+
+    expect(rows).toEqual([]);
+    expect(errors).toContain('Response file has no Customer Reference Number column');
+  });
+});
+
+describe('validateTemplate', () => {
+  test('accepts the seeded templates', () => {
+    TEMPLATES.forEach(seeded => expect(validateTemplate(seeded)).toEqual([]));
+  });
+
+  test('names each problem of a template', () => {
+    const errors = validateTemplate({
+      ...template('SBIN'),
+      debit_account_number: '123',
+      fields: [{ source: 'literal' }, { source: 'line_count', width: 5 }],
+      response_layout: { file_format: 'fixed_width', reference: { start: 0, length: 16 } }
+    });
+
+    expect(errors).toEqual([
+      { field: 'debit_account_number', message: 'Account number must be 9 to 18 digits' },
+      { field: 'fields[0]', message: 'A literal field needs a value' },
+      { field: 'fields[0]', message: 'Every field of a fixed-width file needs a width' },
+      { field: 'fields[1]', message: expect.stringMatching(/^line_count cannot be used here/) },
+      { field: 'response_layout.reference', message: 'Fixed-width response columns are { start, length }, counting from 1' },
+      { field: 'response_layout.utr', message: 'The response layout must locate the utr column' }
+    ]);
+  });
+});
+
+test('batchFileName joins the bank code, batch number and extension', () => {
+  expect(batchFileName(template('SBIN'), BATCH)).toBe('SBIN-BP-20250108-001.txt');
+});
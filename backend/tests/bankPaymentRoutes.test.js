@@ -0,0 +1,151 @@
+const request = require('supertest');
+const app = require('../server');
+const { db } = require('../config/database');
+const { loadHolidayCalendar, nextBusinessDay, toDateString } = require('../services/businessDays');
+
+const INDENT = 'CCI/AKL/2024-25/0002';
+
+const login = async email => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: 'Admin@123' });
+  return `Bearer ${res.body.data.token}`;
+};
+
+describe('bank payment files', () => {
+  let admin;
+  let template;
+  let installments;
+  let valueDate;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    admin = await login('admin@example.com');
+
+    const calculated = await request(app)
+      .post('/api/procurement/calculate')
+      .set('Authorization', admin)
+      .send({ indent_number: INDENT });
+    const procurementId = calculated.body.data.procurement.id;
+
+    const schedule = await request(app)
+      .post('/api/payment/schedule')
+      .set('Authorization', admin)
+      .send({ procurement_id: procurementId });
+    installments = schedule.body.data.installments;
+
+    // CDUs for the EMD and the first balance tranche
+    for (const installment of installments.slice(0, 2)) {
+      await request(app)
+        .post('/api/payment/cdu')
+        .set('Authorization', admin)
+        .send({ payment_id: installment.id });
+    }
+
+    const templates = await request(app)
+      .get('/api/payment/bank-files/templates')
+      .set('Authorization', admin);
+    template = templates.body.data.templates.find(candidate => candidate.bank_code === 'HDFC');
+
+    // The company is in Maharashtra (state code 27)
+    const { data: calendar } = await loadHolidayCalendar('27');
+    valueDate = toDateString(nextBusinessDay(new Date(), calendar));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes a batch file and applies the bank response to each payment', async () => {
+    const [emd, tranche] = installments;
+
+    const created = await request(app)
+      .post('/api/payment/bank-files')
+      .set('Authorization', admin)
+      .send({ payment_ids: [emd.id, tranche.id], template_id: template.id, value_date: valueDate });
+
+    expect(created.status).toBe(201);
+    const { batch, file_name: fileName } = created.body.data;
+    expect(batch).toMatchObject({ line_count: 2, batch_status: 'generated' });
+    expect(fileName).toBe(`HDFC-${batch.batch_number}.csv`);
+
+    // The payments are held in the batch until the bank responds
+    const again = await request(app)
+      .post('/api/payment/bank-files')
+      .set('Authorization', admin)
+      .send({ payment_ids: [emd.id], template_id: template.id, value_date: valueDate });
+
+    expect(again.status).toBe(400);
+    expect(again.body.errors[0].message).toMatch(`it is in batch ${batch.batch_number} awaiting the bank's response`);
+
+    const file = await request(app)
+      .get(`/api/payment/bank-files/${batch.id}/file`)
+      .set('Authorization', admin);
+
+    expect(file.status).toBe(200);
+    const records = file.text.split('\r\n').filter(Boolean);
+    expect(records).toHaveLength(2);
+    const [emdLine, trancheLine] = db.rows('bank_payment_batch_lines');
+    expect(records[0]).toContain(`,${emdLine.reference},`);
+
+    const utr = `HDFCR5${toDateString(new Date()).replace(/-/g, '')}12345678`;
+    const response = await request(app)
+      .post(`/api/payment/bank-files/${batch.id}/response`)
+      .set('Authorization', admin)
+      .attach('file', Buffer.from([
+        'Customer Reference Number,UTR Number,Status,Reason',
+        `${emdLine.reference},${utr},PAID,`,
+        `${trancheLine.reference},,REJECTED,Beneficiary account closed`,
+        'BP99999999999001,,REJECTED,Not ours'
+      ].join('\n')), 'response.csv');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toEqual({ paid: 1, failed: 1, error: 0, skipped: 0, unknown: 1 });
+    expect(response.body.data.results[2]).toMatchObject({
+      result: 'unknown',
+      message: `Row 4: no payment in ${batch.batch_number} has this reference`
+    });
+    expect(response.body.data.batch.batch_status).toBe('closed');
+
+    // The paid line's UTR awaits verification like any submitted UTR
+    const transactions = db.rows('payment_transactions').filter(row => row.payment_id === emd.id);
+    expect(transactions).toEqual([
+      expect.objectContaining({ utr_number: utr, amount: emd.amount, transaction_status: 'utr_submitted' })
+    ]);
+    expect(db.rows('bank_payment_batch_lines').map(line => [line.line_status, line.utr_number, line.failure_reason]))
+      .toEqual([
+        ['paid', utr, null],
+        ['failed', null, 'Beneficiary account closed']
+      ]);
+
+    // The rejected payment is released for another batch
+    const payments = db.rows('payments');
+    expect(payments.find(payment => payment.id === tranche.id).bank_batch_id).toBeNull();
+  });
+
+  test('creates nothing when a payment in the batch is no longer payable', async () => {
+    const [emd, tranche] = installments;
+    const batches = db.rows('bank_payment_batches').length;
+    const lines = db.rows('bank_payment_batch_lines').length;
+
+    // Paid in full after the lines were worked out
+    Object.assign(db.rows('payments').find(payment => payment.id === emd.id), { payment_status: 'verified' });
+
+    const { error } = await db.rpc('create_bank_payment_batch', {
+      p_template_id: template.id,
+      p_value_date: valueDate,
+      p_lines: [tranche, emd].map(payment => ({
+        payment_id: payment.id,
+        amount: payment.amount,
+        payment_mode: 'RTGS',
+        beneficiary: null
+      })),
+      p_user_id: null
+    });
+
+    expect(error).toMatchObject({ code: 'P0001', message: `Payment ${emd.id} is not awaiting payment` });
+    expect(db.rows('bank_payment_batches')).toHaveLength(batches);
+    expect(db.rows('bank_payment_batch_lines')).toHaveLength(lines);
+    expect(db.rows('payments').find(payment => payment.id === tranche.id).bank_batch_id).toBeNull();
+  });
+});
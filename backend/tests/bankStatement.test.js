@@ -0,0 +1,162 @@
+const {
+  FORMATS,
+  detectFormat,
+  extractUtr,
+  normalizeUtr,
+  parseStatement
+} = require('../services/bankStatement');
+
+const MT940 = [
+  ':20:STMT250103',
+  ':25:50200012345678',
+  ':28C:1/1',
+  ':60F:C250101INR1000000,00',
+  ':61:2501020102D150000,00NTRFSBINR52025010112345678//BANK0001',
+  ':86:RTGS TO VIDARBHA COTTON',
+  'TRADERS AKOLA',
+  ':61:2501030103C5000,NTRFNONREF//HDFCN52025010398765432',
+  ':86:EMD REFUND',
+  ':62F:C250103INR855000,00',
+  '-}'
+].join('\n');
+
+describe('UTRs', () => {
+  test('finds a UTR among the words of a narration', () => {
+    expect(extractUtr('RTGS/sbinr52025010112345678/VIDARBHA')).toBe('SBINR52025010112345678');
+    expect(extractUtr('NEFT-HDFCN52025010312345-ACME')).toBe('HDFCN52025010312345');
+    expect(extractUtr('IMPS 501234567890 TO AKOLA')).toBe('501234567890');
+  });
+
+  test('ignores words too short or with too few digits, checking texts in order', () => {
+    expect(extractUtr('INVOICE 123456', 'COTTONTRADERSAKOLA')).toBeNull();
+    expect(extractUtr(null, 'UTR SBINR52025010112345678')).toBe('SBINR52025010112345678');
+    expect(extractUtr('HDFCN52025010398765432', 'SBINR52025010112345678')).toBe('HDFCN52025010398765432');
+  });
+
+  test('compares UTRs without spaces or case', () => {
+    expect(normalizeUtr(' sbinr520 2501 ')).toBe('SBINR5202501');
+    expect(normalizeUtr('')).toBeNull();
+    expect(normalizeUtr(null)).toBeNull();
+  });
+});
+
+describe('CSV statements', () => {
+  test('reads separate debit and credit columns', () => {
+    const { format, statement, lines, errors } = parseStatement('statement.csv', [
+      'Txn Date,Narration,Chq/Ref No,Withdrawal Amt,Deposit Amt',
+      '02/01/2025,RTGS/SBINR52025010112345678/VIDARBHA,,"1,50,000.00",',
+      '03-Jan-2025,"EMD REFUND, AKOLA",HDFCN52025010398765432,,5000'
+    ].join('\n'));
+
+    expect(format).toBe(FORMATS.CSV);
+    expect(errors).toEqual([]);
+    expect(statement).toEqual({ statement_from: '2025-01-02', statement_to: '2025-01-03' });
+    expect(lines).toEqual([
+      {
+        line_number: 2,
+        value_date: '2025-01-02',
+        direction: 'debit',
+        amount: 150000,
+        utr_number: 'SBINR52025010112345678',
+        reference: null,
+        narration: 'RTGS/SBINR52025010112345678/VIDARBHA'
+      },
+      {
+        line_number: 3,
+        value_date: '2025-01-03',
+        direction: 'credit',
+        amount: 5000,
+        utr_number: 'HDFCN52025010398765432',
+        reference: 'HDFCN52025010398765432',
+        narration: 'EMD REFUND, AKOLA'
+      }
+    ]);
+  });
+
+  test('reads an amount column signed or with a Dr/Cr type, and a UTR column', () => {
+    const typed = parseStatement('statement.csv', [
+      'Value Date,Amount,Dr/Cr,UTR',
+      '2025-01-02,150000.50,DR,sbinr52025010112345678',
+      '2025-01-03,5000,CR,'
+    ].join('\n'));
+    const signed = parseStatement('statement.csv', 'Date,Amount\n2025-01-02,-150000.50\n2025-01-03,5000');
+
+    expect(typed.lines.map(line => [line.direction, line.amount, line.utr_number])).toEqual([
+      ['debit', 150000.5, 'SBINR52025010112345678'],
+      ['credit', 5000, null]
+    ]);
+    expect(signed.lines.map(line => [line.direction, line.amount])).toEqual([['debit', 150000.5], ['credit', 5000]]);
+  });
+
+  test('reports the lines it cannot read', () => {
+    const { errors } = parseStatement('statement.csv', [
+      'Date,Debit,Credit',
+      '31/02/2025,100,',
+      '2025-01-03,,',
+      '2025-01-04,abc,'
+    ].join('\n'));
+
+    expect(errors).toEqual([
+      { field: 'line 2', message: 'Invalid date 31/02/2025' },
+      { field: 'line 3', message: 'Amount is missing or not a number' },
+      { field: 'line 4', message: 'Amount is missing or not a number' }
+    ]);
+  });
+
+  test('needs a date column and amounts', () => {
+    expect(parseStatement('statement.csv', 'Narration,Debit\nRTGS,100').errors).toEqual([
+      { field: 'file', message: 'CSV header must include a date column and debit/credit or amount columns' }
+    ]);
+    expect(parseStatement('statement.csv', 'Date,Debit,Credit\n').errors).toEqual([
+      { field: 'file', message: 'Statement has no transactions' }
+    ]);
+  });
+});
+
+describe('MT940 statements', () => {
+  test('is recognised by its extension or its tags', () => {
+    expect(detectFormat('SBI_0103.sta', '')).toBe(FORMATS.MT940);
+    expect(detectFormat('statement.txt', MT940)).toBe(FORMATS.MT940);
+    expect(detectFormat('statement.txt', 'Date,Amount')).toBe(FORMATS.CSV);
+  });
+
+  test('reads the account, balances and :61: lines with their :86: narration', () => {
+    const { format, statement, lines, errors } = parseStatement('statement.sta', MT940);
+
+    expect(format).toBe(FORMATS.MT940);
+    expect(errors).toEqual([]);
+    expect(statement).toEqual({
+      account_number: '50200012345678',
+      opening_balance: 1000000,
+      closing_balance: 855000,
+      statement_from: '2025-01-02',
+      statement_to: '2025-01-03'
+    });
+    expect(lines).toEqual([
+      {
+        line_number: 5,
+        value_date: '2025-01-02',
+        direction: 'debit',
+        amount: 150000,
+        utr_number: 'SBINR52025010112345678',
+        reference: 'SBINR52025010112345678',
+        narration: 'RTGS TO VIDARBHA COTTON TRADERS AKOLA'
+      },
+      {
+        line_number: 8,
+        value_date: '2025-01-03',
+        direction: 'credit',
+        amount: 5000,
+        utr_number: 'HDFCN52025010398765432',
+        reference: 'HDFCN52025010398765432',
+        narration: 'EMD REFUND'
+      }
+    ]);
+  });
+
+  test('reports an unreadable statement line', () => {
+    const { errors } = parseStatement('statement.sta', ':20:STMT\n:61:NOT A LINE\n');
+
+    expect(errors).toEqual([{ field: 'line 2', message: 'Unreadable :61: statement line' }]);
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  addBusinessDays,
+  businessDaysBetween,
+  createCalendar,
+  isBusinessDay,
+  liftingDeadline,
+  loadHolidayCalendar,
+  nextBusinessDay
+} = require('../services/businessDays');
+
+// January 2025: Saturdays 4 and 18 are open, 11 and 25 closed
+const NO_HOLIDAYS = createCalendar([]);
+
+describe('business days', () => {
+  test('closes Sundays and the second and fourth Saturdays', () => {
+    expect(isBusinessDay('2025-01-04', NO_HOLIDAYS)).toBe(true);
+    expect(isBusinessDay('2025-01-05', NO_HOLIDAYS)).toBe(false);
+    expect(isBusinessDay('2025-01-11', NO_HOLIDAYS)).toBe(false);
+    expect(isBusinessDay('2025-01-18', NO_HOLIDAYS)).toBe(true);
+    expect(isBusinessDay('2025-01-25', NO_HOLIDAYS)).toBe(false);
+  });
+
+  test('closes national holidays and those of the calendar state only', () => {
+    const calendar = createCalendar([
+      { holiday_date: '2025-01-14', state_code: null },
+      { holiday_date: '2025-01-15', state_code: '27' },
+      { holiday_date: '2025-01-16', state_code: '24' }
+    ], '27');
+
+    expect(isBusinessDay('2025-01-14', calendar)).toBe(false);
+    expect(isBusinessDay('2025-01-15', calendar)).toBe(false);
+    expect(isBusinessDay('2025-01-16', calendar)).toBe(true);
+  });
+
+  test('moves forward and back over closed days', () => {
+    const calendar = createCalendar([{ holiday_date: '2025-01-13' }]);
+
+    expect(addBusinessDays('2025-01-10', 1, NO_HOLIDAYS)).toBe('2025-01-13');
+    expect(addBusinessDays('2025-01-10', 1, calendar)).toBe('2025-01-14');
+    expect(addBusinessDays('2025-01-14', -1, calendar)).toBe('2025-01-10');
+    expect(addBusinessDays(new Date('2025-01-10T18:30:00Z'), 3, NO_HOLIDAYS)).toBe('2025-01-15');
+    expect(nextBusinessDay('2025-01-11', NO_HOLIDAYS)).toBe('2025-01-13');
+  });
+
+  test('counts the business days after a date up to another', () => {
+    expect(businessDaysBetween('2025-01-03', '2025-01-10', NO_HOLIDAYS)).toBe(6);
+    expect(businessDaysBetween('2025-01-10', '2025-01-12', NO_HOLIDAYS)).toBe(0);
+    expect(businessDaysBetween('2025-01-10', '2025-01-03', NO_HOLIDAYS)).toBe(0);
+  });
+
+  test('ends a lifting period on the next business day', () => {
+    expect(liftingDeadline('2025-01-01', '10 days', NO_HOLIDAYS)).toBe('2025-01-13');
+    expect(liftingDeadline('2025-01-01', '30', NO_HOLIDAYS)).toBe('2025-01-31');
+    expect(liftingDeadline('2025-01-01', 'two weeks', NO_HOLIDAYS)).toBeNull();
+  });
+
+  test('loads the holiday master as a calendar', async () => {
+    const { data: calendar, error } = await loadHolidayCalendar('27');
+
+    expect(error).toBeNull();
+    expect(calendar.state_code).toBe('27');
+    expect(calendar.holidays).toBeInstanceOf(Set);
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const app = require('../server');
+const { configurationRepository } = require('../repositories');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const login = async email => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: 'Admin@123' });
+  return `Bearer ${res.body.data.token}`;
+};
+
+describe('trading configuration versions', () => {
+  let admin;
+  let trader;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    admin = await login('admin@example.com');
+    trader = await login('trader@example.com');
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a new version supersedes the current one from its effective date', async () => {
+    const effectiveFrom = new Date(Date.now() + 2 * DAY);
+
+    const created = await request(app)
+      .post('/api/configuration/CANDY_RATE/versions')
+      .set('Authorization', admin)
+      .send({
+        config_value: { base_rate: 0.5, zone_multiplier: { North: 1.02, Central: 1.0, South: 0.98 } },
+        effective_from: effectiveFrom.toISOString(),
+        change_reason: 'Revised candy conversion'
+      });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.version).toMatchObject({ version: 2, effective_from: effectiveFrom.toISOString() });
+
+    // Until then the seeded version stays in effect and the new one is scheduled
+    const listed = await request(app).get('/api/configuration').set('Authorization', trader);
+
+    expect(listed.status).toBe(200);
+    const candyRate = listed.body.data.configurations.find(config => config.config_key === 'CANDY_RATE');
+    expect(candyRate.current.version).toBe(1);
+    expect(candyRate.scheduled.map(version => version.version)).toEqual([2]);
+
+    const { data: before } = await configurationRepository.findEffective(['CANDY_RATE'], new Date(effectiveFrom.getTime() - 1));
+    const { data: after } = await configurationRepository.findEffective(['CANDY_RATE'], effectiveFrom);
+
+    expect(before[0].version).toBe(1);
+    expect(after[0]).toMatchObject({ version: 2, config_value: { base_rate: 0.5 } });
+
+    const history = await request(app).get('/api/configuration/CANDY_RATE/versions').set('Authorization', trader);
+    expect(history.body.data.versions.map(version => version.version)).toEqual([2, 1]);
+  });
+
+  test('rejects a value that fails the schema of its key', async () => {
+    const res = await request(app)
+      .post('/api/configuration/GST_RATES/versions')
+      .set('Authorization', admin)
+      .send({ config_value: { cgst: 2.5, sgst: 2.5, igst: 6 }, change_reason: 'Typo' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'config_value', message: 'igst must equal cgst + sgst' }]);
+  });
+
+  test('rejects a back-dated version', async () => {
+    const res = await request(app)
+      .post('/api/configuration/CANDY_RATE/versions')
+      .set('Authorization', admin)
+      .send({
+        config_value: { base_rate: 0.5, zone_multiplier: { Central: 1.0 } },
+        effective_from: new Date(Date.now() - DAY).toISOString(),
+        change_reason: 'Back-dated'
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('effective_from cannot be in the past');
+  });
+
+  test('only admins add versions', async () => {
+    const res = await request(app)
+      .post('/api/configuration/CANDY_RATE/versions')
+      .set('Authorization', trader)
+      .send({ config_value: { base_rate: 0.5, zone_multiplier: { Central: 1.0 } }, change_reason: 'Trader change' });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,48 @@
+const {
+  DECISIONS,
+  requiredApprovalLevels,
+  approvalProgress
+} = require('../services/contractApproval');
+
+const CONFIG = {
+  levels: [
+    { name: 'Trading desk', min_contract_value: 0 },
+    { name: 'Senior management', min_contract_value: 25000000 },
+    { name: 'Director', min_contract_value: 100000000 }
+  ]
+};
+
+describe('requiredApprovalLevels', () => {
+  test('needs every level the contract value reaches, in order', () => {
+    expect(requiredApprovalLevels(CONFIG, 2499999.99).map(level => level.name)).toEqual(['Trading desk']);
+    expect(requiredApprovalLevels(CONFIG, 25000000)).toEqual([
+      { level: 1, name: 'Trading desk', min_contract_value: 0 },
+      { level: 2, name: 'Senior management', min_contract_value: 25000000 }
+    ]);
+    expect(requiredApprovalLevels(CONFIG, 150000000)).toHaveLength(3);
+  });
+});
+
+describe('approvalProgress', () => {
+  const levels = requiredApprovalLevels(CONFIG, 50000000);
+
+  test('points at the first level before any sign-off', () => {
+    expect(approvalProgress(levels, [])).toEqual({
+      required: 2,
+      approved: 0,
+      next_level: levels[0],
+      complete: false
+    });
+  });
+
+  test('counts only approvals towards the levels', () => {
+    const decisions = [
+      { decision: DECISIONS.APPROVED, level: 1 },
+      { decision: DECISIONS.CHANGES_REQUESTED, level: null }
+    ];
+
+    expect(approvalProgress(levels, decisions)).toMatchObject({ approved: 1, next_level: levels[1], complete: false });
+    expect(approvalProgress(levels, [...decisions, { decision: DECISIONS.APPROVED, level: 2 }]))
+      .toMatchObject({ approved: 2, next_level: null, complete: true });
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs/promises');
+const request = require('supertest');
+const app = require('../server');
+const { db } = require('../config/database');
+
+const pdf = text => Buffer.from(`%PDF-1.4\n% ${text}\n%%EOF\n`, 'latin1');
+
+const login = async email => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: 'Admin@123' });
+  return `Bearer ${res.body.data.token}`;
+};
+
+const register = async email => {
+  const res = await request(app).post('/api/auth/register').send({
+    email,
+    password: 'Admin@123',
+    first_name: 'Second',
+    last_name: 'Admin',
+    role: 'admin'
+  });
+  return `Bearer ${res.body.data.token}`;
+};
+
+describe('contract approval', () => {
+  let trader;
+  let admin;
+  let manager;
+
+  const upload = (user, indentNumber, text) => request(app)
+    .post('/api/contract/upload')
+    .set('Authorization', user)
+    .field({ indent_number: indentNumber })
+    .attach('contract', pdf(text), { filename: 'contract.pdf', contentType: 'application/pdf' });
+
+  const decide = (user, action, contractId, documentId, reason) => request(app)
+    .post(`/api/contract/${contractId}/${action}`)
+    .set('Authorization', user)
+    .send({ document_id: documentId, ...(reason && { reason }) });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    trader = await login('trader@example.com');
+    admin = await login('admin@example.com');
+    manager = await register('manager@example.com');
+
+    for (const indentNumber of ['CCI/BTI/2024-25/0001', 'CCI/AKL/2024-25/0002']) {
+      await request(app)
+        .post('/api/procurement/calculate')
+        .set('Authorization', trader)
+        .send({ indent_number: indentNumber });
+    }
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(process.env.DOCUMENT_STORAGE_PATH, { recursive: true, force: true });
+  });
+
+  test('a contract needs only the levels its value reaches, each from a different admin', async () => {
+    const first = await upload(trader, 'CCI/BTI/2024-25/0001', 'first');
+    const { contract } = first.body.data;
+
+    // A newer revision replaces the one an admin may still be looking at
+    const second = await upload(trader, 'CCI/BTI/2024-25/0001', 'second');
+    const stale = await decide(admin, 'approve', contract.id, first.body.data.document.id);
+
+    expect(stale.status).toBe(409);
+    expect(stale.body.message).toBe('A newer version of the contract has been uploaded; review it instead');
+
+    const { document } = second.body.data;
+    const pending = await request(app).get('/api/contract/pending').set('Authorization', admin);
+    const { approval } = pending.body.data.contracts.find(row => row.id === contract.id);
+
+    // Under ₹10 crore: no Director sign-off
+    expect(approval.contract_value).toBeLessThan(100000000);
+    expect(approval.contract_value).toBeGreaterThanOrEqual(25000000);
+    expect(approval.levels.map(level => level.name)).toEqual(['Trading desk', 'Senior management']);
+    expect(approval).toMatchObject({ required: 2, approved: 0, complete: false });
+
+    const desk = await decide(admin, 'approve', contract.id, document.id);
+
+    expect(desk.status).toBe(200);
+    expect(desk.body.message).toBe('Trading desk sign-off recorded; the contract needs further approval');
+
+    const twice = await decide(admin, 'approve', contract.id, document.id);
+
+    expect(twice.status).toBe(403);
+    expect(twice.body.message).toBe('You have already signed off this version; the next level needs a different admin');
+
+    const management = await decide(manager, 'approve', contract.id, document.id, 'Within the season budget');
+
+    expect(management.status).toBe(200);
+    expect(management.body.data.contract.status).toBe('approved');
+    expect(management.body.data.approval).toMatchObject({ level: 2, level_name: 'Senior management' });
+    // n8n is not running, so the approved contract waits to be dispatched again
+    expect(management.body.data.dispatch.dispatched).toBe(false);
+  });
+
+  test('the uploader cannot review, and requesting changes or rejecting ends the review', async () => {
+    const uploaded = await upload(admin, 'CCI/AKL/2024-25/0002', 'by admin');
+    const { contract, document } = uploaded.body.data;
+
+    const own = await decide(admin, 'approve', contract.id, document.id);
+
+    expect(own.status).toBe(403);
+    expect(own.body.message).toBe('The user who uploaded the contract cannot review it');
+
+    const changes = await decide(manager, 'request-changes', contract.id, document.id, 'Wrong delivery centre');
+
+    expect(changes.status).toBe(200);
+    expect(changes.body.data.contract.status).toBe('changes_requested');
+
+    const afterChanges = await decide(manager, 'approve', contract.id, document.id);
+
+    expect(afterChanges.status).toBe(409);
+    expect(afterChanges.body.message).toBe('The contract is changes_requested, not awaiting approval');
+
+    // The revision asked for goes back into review on the same contract
+    const revised = await upload(trader, 'CCI/AKL/2024-25/0002', 'revised');
+
+    expect(revised.body.data.contract).toMatchObject({ id: contract.id, status: 'pending', current_version: 2 });
+
+    const rejected = await decide(manager, 'reject', contract.id, revised.body.data.document.id, 'Firm withdrew');
+
+    expect(rejected.status).toBe(200);
+    expect(rejected.body.data.contract.status).toBe('rejected');
+
+    const afterReject = await decide(admin, 'approve', contract.id, revised.body.data.document.id);
+
+    expect(afterReject.status).toBe(409);
+    expect(afterReject.body.message).toBe('The contract is rejected, not awaiting approval');
+
+    // Uploading for the indent again starts a new contract
+    const fresh = await upload(trader, 'CCI/AKL/2024-25/0002', 'fresh');
+
+    expect(fresh.body.data.contract.id).not.toBe(contract.id);
+    expect(db.rows('contract_approvals').filter(row => row.contract_id === contract.id).map(row => row.decision))
+      .toEqual(['changes_requested', 'rejected']);
+  });
+});
@@ -0,0 +1,50 @@
+const { INTEGRITY_STATUSES, documentIntegrity } = require('../services/contractDocument');
+
+describe('documentIntegrity', () => {
+  const document = { id: 'doc-2', version: 2, checksum_sha256: 'b'.repeat(64) };
+  const approved = {
+    current_document: document,
+    approved_document_id: 'doc-2',
+    approved_checksum_sha256: 'b'.repeat(64)
+  };
+
+  test('is intact while the stored file is the approved upload', () => {
+    expect(documentIntegrity(approved, 'b'.repeat(64))).toEqual({
+      status: INTEGRITY_STATUSES.INTACT,
+      changed_since_approval: false,
+      message: 'Version 2 is the approved document',
+      document_id: 'doc-2',
+      stored_checksum: 'b'.repeat(64),
+      uploaded_checksum: 'b'.repeat(64),
+      approved_document_id: 'doc-2',
+      approved_checksum: 'b'.repeat(64)
+    });
+  });
+
+  test('tells a missing or changed file from a newer revision', () => {
+    expect(documentIntegrity(approved, null)).toMatchObject({
+      status: INTEGRITY_STATUSES.MISSING,
+      changed_since_approval: true,
+      message: 'The stored file of version 2 is missing'
+    });
+    expect(documentIntegrity(approved, 'c'.repeat(64))).toMatchObject({
+      status: INTEGRITY_STATUSES.MODIFIED,
+      message: 'The stored file of version 2 has changed since it was uploaded'
+    });
+    expect(documentIntegrity({ ...approved, approved_checksum_sha256: 'a'.repeat(64) }, 'b'.repeat(64))).toMatchObject({
+      status: INTEGRITY_STATUSES.REVISED,
+      changed_since_approval: true,
+      message: 'Version 2 has replaced the approved document and needs approval'
+    });
+  });
+
+  test('has nothing to approve against before approval, or without a stored file', () => {
+    expect(documentIntegrity({ current_document: document }, 'b'.repeat(64))).toMatchObject({
+      status: INTEGRITY_STATUSES.INTACT,
+      changed_since_approval: false,
+      message: 'Version 2 is stored as uploaded',
+      approved_checksum: null
+    });
+    expect(documentIntegrity({ current_document: null }, null)).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+const fs = require('fs/promises');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { db } = require('../config/database');
+
+const STORAGE_ROOT = process.env.DOCUMENT_STORAGE_PATH;
+
+const pdf = text => Buffer.from(`%PDF-1.4\n% ${text}\n%%EOF\n`, 'latin1');
+
+const login = async email => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: 'Admin@123' });
+  return `Bearer ${res.body.data.token}`;
+};
+
+const register = async email => {
+  const res = await request(app).post('/api/auth/register').send({
+    email,
+    password: 'Admin@123',
+    first_name: 'Second',
+    last_name: 'Admin',
+    role: 'admin'
+  });
+  return `Bearer ${res.body.data.token}`;
+};
+
+describe('contract integrity', () => {
+  let trader;
+  let admin;
+  let manager;
+
+  const upload = (indentNumber, text) => request(app)
+    .post('/api/contract/upload')
+    .set('Authorization', trader)
+    .field({ indent_number: indentNumber })
+    .attach('contract', pdf(text), { filename: 'contract.pdf', contentType: 'application/pdf' });
+
+  const approve = (user, contractId, documentId) => request(app)
+    .post(`/api/contract/${contractId}/approve`)
+    .set('Authorization', user)
+    .send({ document_id: documentId });
+
+  const verify = (contractId, text, fileName = 'signed.pdf') => request(app)
+    .post(`/api/contract/${contractId}/verify`)
+    .set('Authorization', trader)
+    .attach('contract', pdf(text), { filename: fileName, contentType: 'application/pdf' });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    trader = await login('trader@example.com');
+    admin = await login('admin@example.com');
+    manager = await register('manager@example.com');
+
+    for (const indentNumber of ['CCI/BTI/2024-25/0001', 'CCI/AKL/2024-25/0002']) {
+      await request(app)
+        .post('/api/procurement/calculate')
+        .set('Authorization', trader)
+        .send({ indent_number: indentNumber });
+    }
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(STORAGE_ROOT, { recursive: true, force: true });
+  });
+
+  test('checks a copy against the approved version', async () => {
+    const first = await upload('CCI/BTI/2024-25/0001', 'first');
+    const { contract } = first.body.data;
+
+    const early = await verify(contract.id, 'first');
+
+    expect(early.status).toBe(409);
+    expect(early.body.message).toBe('The contract has not been approved, so there is no approved document to check against');
+
+    const second = await upload('CCI/BTI/2024-25/0001', 'second');
+    const { document } = second.body.data;
+    await approve(admin, contract.id, document.id);
+    const approved = await approve(manager, contract.id, document.id);
+
+    expect(approved.body.data.contract).toMatchObject({
+      status: 'approved',
+      approved_document_id: document.id,
+      approved_checksum_sha256: document.checksum_sha256
+    });
+
+    const same = await verify(contract.id, 'second');
+
+    expect(same.status).toBe(200);
+    expect(same.body.message).toBe('signed.pdf matches approved version 2');
+    expect(same.body.data).toMatchObject({
+      matches: true,
+      checksum_sha256: document.checksum_sha256,
+      approved_document: { id: document.id, version: 2 },
+      matched_document: { id: document.id, version: 2 }
+    });
+
+    const older = await verify(contract.id, 'first');
+
+    expect(older.body.message).toBe('signed.pdf does not match approved version 2; it is version 1');
+    expect(older.body.data).toMatchObject({
+      matches: false,
+      matched_document: { id: first.body.data.document.id, version: 1 }
+    });
+
+    const unknown = await verify(contract.id, 'altered');
+
+    expect(unknown.body.message).toBe('signed.pdf does not match approved version 2 or any uploaded version');
+    expect(unknown.body.data).toMatchObject({ matches: false, matched_document: null });
+
+    expect(db.rows('contract_logs')
+      .filter(log => log.contract_id === contract.id && log.action.startsWith('verif'))
+      .map(log => log.action)).toEqual(['verified', 'verification_failed', 'verification_failed']);
+  });
+
+  test('refuses to approve a revision whose stored file has changed', async () => {
+    const uploaded = await upload('CCI/AKL/2024-25/0002', 'original');
+    const { contract, document } = uploaded.body.data;
+
+    await fs.writeFile(path.join(STORAGE_ROOT, document.storage_key), pdf('tampered'));
+
+    const res = await approve(admin, contract.id, document.id);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('The stored file of version 1 no longer matches the uploaded one; upload the contract again');
+    expect(db.rows('contract_approvals').filter(row => row.contract_id === contract.id)).toHaveLength(0);
+
+    const [log] = db.rows('contract_logs').filter(row => row.contract_id === contract.id && row.action === 'integrity_failed');
+    expect(log.notes).toBe('The stored file of version 1 no longer matches the uploaded one; not approved');
+
+    const detail = await request(app).get(`/api/contract/${contract.id}`).set('Authorization', admin);
+
+    expect(detail.body.data.contract.integrity).toMatchObject({
+      status: 'modified',
+      changed_since_approval: false
+    });
+  });
+});
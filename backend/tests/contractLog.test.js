@@ -0,0 +1,76 @@
+const {
+  actionLabel,
+  describeFilters,
+  buildLogCsv,
+  logExportFileName
+} = require('../services/contractLog');
+
+const log = (values = {}) => ({
+  timestamp: '2025-01-08T10:15:30.000Z',
+  action: 'sent',
+  notes: null,
+  purchase_contract_table: { indent_number: 'CCI/AKL/2024-25/0002', firm_name: 'Vidarbha Cotton Traders' },
+  users: null,
+  ...values
+});
+
+describe('buildLogCsv', () => {
+  test('writes a UTF-8 export Excel opens, one entry per line', () => {
+    const csv = buildLogCsv([log({
+      action: 'approved',
+      users: { first_name: 'Asha', last_name: 'Rao', email: 'asha@example.com' },
+      notes: 'Version 1, level 1 of 2'
+    })]).toString('utf8');
+
+    expect(csv).toBe(
+      '\uFEFFTime (UTC),Indent Number,Firm,Action,User,Email,Notes\r\n' +
+      '2025-01-08 10:15:30,CCI/AKL/2024-25/0002,Vidarbha Cotton Traders,Approved,Asha Rao,asha@example.com,"Version 1, level 1 of 2"\r\n'
+    );
+  });
+
+  test('quotes fields with commas, quotes or line breaks', () => {
+    const [, line] = buildLogCsv([log({
+      purchase_contract_table: { indent_number: 'CCI/AKL/2024-25/0002', firm_name: 'Patel, Shah & Co' },
+      notes: 'Firm said "signed, sealed"\nand returned it'
+    })]).toString('utf8').split('\r\n');
+
+    expect(line).toBe(
+      '2025-01-08 10:15:30,CCI/AKL/2024-25/0002,"Patel, Shah & Co",Sent,System,,' +
+      '"Firm said ""signed, sealed""\nand returned it"'
+    );
+  });
+
+  test('keeps spreadsheets from running text as a formula', () => {
+    const [, line] = buildLogCsv([log({ notes: '=HYPERLINK("x")' })]).toString('utf8').split('\r\n');
+
+    expect(line.endsWith(',"\'=HYPERLINK(""x"")"')).toBe(true);
+  });
+});
+
+describe('describeFilters', () => {
+  test('lists each filter used', () => {
+    expect(describeFilters({
+      indent_number: 'AKL',
+      firm_name: 'Vidarbha',
+      action: ['sent', 'integrity_failed'],
+      user_id: 'system',
+      from: new Date('2025-01-01'),
+      search: 'branch'
+    }, null)).toBe(
+      'Indent AKL; Firm Vidarbha; Action Sent, Document changed; User System; ' +
+      'From 01-01-2025 to today; Notes containing "branch"'
+    );
+    expect(describeFilters({ user_id: 'u-1', to: new Date('2025-01-31') }, { first_name: 'Asha', last_name: 'Rao' }))
+      .toBe('User Asha Rao; From the start to 31-01-2025');
+    expect(describeFilters({}, null)).toBe('All entries');
+  });
+});
+
+test('actionLabel shows an action it does not know as logged', () => {
+  expect(actionLabel('dispatch_failed')).toBe('Hand-off failed');
+  expect(actionLabel('archived')).toBe('archived');
+});
+
+test('logExportFileName dates the export', () => {
+  expect(logExportFileName('xlsx', new Date('2025-01-08T10:00:00.000Z'))).toBe('contract_logs_2025-01-08.xlsx');
+});
@@ -0,0 +1,115 @@
+const fs = require('fs/promises');
+const request = require('supertest');
+
+// A small export cap, so the test needs only a few entries to go over it
+jest.mock('../services/contractLog', () => ({
+  ...jest.requireActual('../services/contractLog'),
+  MAX_EXPORT_ROWS: 3
+}));
+
+const app = require('../server');
+const { db } = require('../config/database');
+
+const pdf = text => Buffer.from(`%PDF-1.4\n% ${text}\n%%EOF\n`, 'latin1');
+
+const login = async email => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: 'Admin@123' });
+  return `Bearer ${res.body.data.token}`;
+};
+
+describe('contract logs', () => {
+  let admin;
+  let traderId;
+
+  const logs = query => request(app)
+    .get('/api/contract/logs')
+    .set('Authorization', admin)
+    .query({ limit: 100, ...query });
+
+  const notes = res => res.body.data.logs.map(log => log.notes);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const trader = await login('trader@example.com');
+    admin = await login('admin@example.com');
+    traderId = db.rows('users').find(user => user.email === 'trader@example.com').id;
+
+    for (const [indentNumber, user] of [['CCI/BTI/2024-25/0001', trader], ['CCI/AKL/2024-25/0002', admin]]) {
+      await request(app)
+        .post('/api/procurement/calculate')
+        .set('Authorization', trader)
+        .send({ indent_number: indentNumber });
+      await request(app)
+        .post('/api/contract/upload')
+        .set('Authorization', user)
+        .field({ indent_number: indentNumber, notes: `For ${indentNumber.split('/')[1]}` })
+        .attach('contract', pdf(indentNumber), { filename: 'contract.pdf', contentType: 'application/pdf' });
+    }
+
+    // n8n reports back on the AKL contract some days earlier
+    const akl = db.rows('purchase_contract_table').find(row => row.indent_number === 'CCI/AKL/2024-25/0002');
+    db.load({
+      contract_logs: [
+        { contract_id: akl.id, user_id: null, action: 'sent', notes: 'Emailed to Akola branch, "urgent"', timestamp: '2025-01-05T18:30:00.000Z' },
+        { contract_id: akl.id, user_id: null, action: 'send_failed', notes: 'Mailbox full', timestamp: '2025-01-04T09:00:00.000Z' }
+      ]
+    });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(process.env.DOCUMENT_STORAGE_PATH, { recursive: true, force: true });
+  });
+
+  test('narrows the trail by each filter', async () => {
+    expect(notes(await logs({}))).toHaveLength(4);
+
+    expect(notes(await logs({ indent_number: 'bti' }))).toEqual(['Version 1: contract.pdf - For BTI']);
+    expect(notes(await logs({ firm_name: 'vidarbha' }))).toEqual([
+      'Version 1: contract.pdf - For AKL',
+      'Emailed to Akola branch, "urgent"',
+      'Mailbox full'
+    ]);
+    expect(notes(await logs({ action: 'sent' }))).toEqual(['Emailed to Akola branch, "urgent"']);
+    expect(notes(await logs({ action: ['sent', 'send_failed'] }))).toHaveLength(2);
+    expect(notes(await logs({ user_id: traderId }))).toEqual(['Version 1: contract.pdf - For BTI']);
+    expect(notes(await logs({ user_id: 'system' }))).toEqual(['Emailed to Akola branch, "urgent"', 'Mailbox full']);
+    // to takes in the whole of its day
+    expect(notes(await logs({ from: '2025-01-05', to: '2025-01-05' }))).toEqual(['Emailed to Akola branch, "urgent"']);
+    expect(notes(await logs({ to: '2025-01-05' }))).toHaveLength(2);
+    expect(notes(await logs({ search: 'MAILBOX' }))).toEqual(['Mailbox full']);
+    expect(notes(await logs({ indent_number: 'AKL', action: 'uploaded', search: 'BTI' }))).toEqual([]);
+  });
+
+  test('refuses filters it cannot use', async () => {
+    const backwards = await logs({ from: '2025-01-06', to: '2025-01-05' });
+
+    expect(backwards.status).toBe(400);
+    expect(backwards.body.message).toBe('The period must start on or before the day it ends');
+
+    const unknown = await logs({ action: 'deleted' });
+
+    expect(unknown.status).toBe(400);
+  });
+
+  test('exports the matching entries as CSV, up to the cap', async () => {
+    const tooMany = await logs({ format: 'csv' });
+
+    expect(tooMany.status).toBe(422);
+    expect(tooMany.body.message).toBe('4 entries match; narrow the filters to at most 3 to export them');
+
+    const res = await logs({ format: 'csv', user_id: 'system' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="contract_logs_\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(res.text.split('\r\n')).toEqual([
+      '\uFEFFTime (UTC),Indent Number,Firm,Action,User,Email,Notes',
+      '2025-01-05 18:30:00,CCI/AKL/2024-25/0002,Vidarbha Cotton Traders,Sent,System,,"Emailed to Akola branch, ""urgent"""',
+      '2025-01-04 09:00:00,CCI/AKL/2024-25/0002,Vidarbha Cotton Traders,Sending failed,System,,Mailbox full',
+      ''
+    ]);
+  });
+});
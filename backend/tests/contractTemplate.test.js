@@ -0,0 +1,142 @@
+const {
+  validateTemplate,
+  renderTemplate,
+  parseBlocks,
+  buildContractPdf,
+  selectTemplate,
+  generatedFileName
+} = require('../services/contractTemplate');
+
+const messages = body => validateTemplate(body).map(error => error.message);
+
+describe('validateTemplate', () => {
+  test('accepts values, blocks and installments it knows', () => {
+    expect(validateTemplate([
+      '<h1>Purchase contract {{indent_number}}</h1>',
+      '<p>{{#if igst_amount}}IGST {{igst_amount}}{{else}}CGST {{cgst_amount}}{{/if}}</p>',
+      '<p>{{#unless gst_rate}}Exempt{{/unless}}</p>',
+      '<table>{{#each payments}}<tr><td>{{installment}}</td><td>{{amount}}</td></tr>{{/each}}</table>'
+    ].join(''))).toEqual([]);
+  });
+
+  test('names unknown values and misused placeholders', () => {
+    expect(messages([
+      '<p>{{buyer_name}} {{payments}} {{installment}}</p>',
+      '<p>{{#each firm_name}}x{{/each}}</p>',
+      '<p>{{#with firm_name}}x</p>',
+      '<p>{{firm name}}</p>'
+    ].join(''))).toEqual([
+      '{{#with firm_name}} is not a block this template language has; use #if, #unless or #each with a value',
+      '{{firm name}} is not a placeholder; write {{name}}',
+      'buyer_name is not a contract value',
+      'payments is a list; use it with {{#each payments}}',
+      'installment is not a contract value',
+      '{{#each firm_name}} needs a list; use one of payments'
+    ]);
+  });
+
+  test('finds blocks that are not closed or closed twice', () => {
+    expect(messages('<p>{{#if gst_rate}}GST{{else}}none{{else}}{{/if}}{{/if}}{{#unless igst_amount}}</p>')).toEqual([
+      '{{else}} can only be used once inside {{#if}} or {{#unless}}',
+      '{{/if}} does not close an open block',
+      '{{#unless igst_amount}} is never closed with {{/unless}}'
+    ]);
+  });
+
+  test('allows only the markup that can be laid out', () => {
+    expect(messages('<p>Terms</p><script>alert(1)</script><img src="x">')).toEqual([
+      '<script> cannot be laid out in a contract; use h1, h2, h3, p, li, td, th, ul, ol, table, thead, tbody, tr, hr, br, div, strong, b, em, i, u, span',
+      '<img> cannot be laid out in a contract; use h1, h2, h3, p, li, td, th, ul, ol, table, thead, tbody, tr, hr, br, div, strong, b, em, i, u, span'
+    ]);
+    expect(messages('<div>{{firm_name}}</div>')).toEqual([
+      'The template has no headings, paragraphs, list items or table cells to print'
+    ]);
+  });
+});
+
+describe('renderTemplate', () => {
+  const data = {
+    firm_name: 'Patel & Sons\' <Ginning> "Unit 2"',
+    igst_amount: null,
+    cgst_amount: 'Rs. 25,000.00',
+    gst_rate: '5%',
+    payments: [
+      { installment: 'EMD', amount: 'Rs. 1,50,000.00' },
+      { installment: 'Balance', amount: 'Rs. 8,50,000.00' }
+    ]
+  };
+
+  test('escapes values so they cannot add markup', () => {
+    expect(renderTemplate('<p>{{firm_name}}</p>', data))
+      .toBe('<p>Patel &amp; Sons&#39; &lt;Ginning&gt; &quot;Unit 2&quot;</p>');
+  });
+
+  test('fills in blocks, installments and unset values', () => {
+    expect(renderTemplate([
+      '{{#if igst_amount}}IGST{{else}}CGST {{cgst_amount}}{{/if}};',
+      '{{#unless gst_rate}}exempt{{else}}GST {{gst_rate}}{{/unless}};',
+      '{{#each payments}}[{{installment}} {{amount}} {{firm_name}}]{{/each}};',
+      '{{igst_amount}}'
+    ].join(''), { ...data, firm_name: 'Malwa' })).toBe(
+      'CGST Rs. 25,000.00;GST 5%;[EMD Rs. 1,50,000.00 Malwa][Balance Rs. 8,50,000.00 Malwa];-'
+    );
+  });
+});
+
+describe('parseBlocks', () => {
+  test('breaks markup into headings, numbered items, table rows and rules', () => {
+    expect(parseBlocks([
+      '<h2>Terms</h2><ol><li>Lift by <strong>31-03-2025</strong></li><li><b>Pay on time</b></li></ol>',
+      '<hr><table><tr><th>Installment</th><th>Amount</th></tr><tr><td>EMD</td><td>Rs. 1,000.00</td></tr></table>',
+      '<p>Tom &amp; Jerry<br>Line two</p>'
+    ].join(''))).toEqual([
+      { type: 'h2', text: 'Terms', bold: false },
+      { type: 'li', text: 'Lift by 31-03-2025', bold: false, marker: '1.' },
+      { type: 'li', text: 'Pay on time', bold: true, marker: '2.' },
+      { type: 'rule' },
+      { type: 'row', cells: [
+        { type: 'th', text: 'Installment', bold: false, header: true },
+        { type: 'th', text: 'Amount', bold: false, header: true }
+      ] },
+      { type: 'row', cells: [
+        { type: 'td', text: 'EMD', bold: false, header: false },
+        { type: 'td', text: 'Rs. 1,000.00', bold: false, header: false }
+      ] },
+      { type: 'p', text: 'Tom & Jerry\nLine two', bold: false }
+    ]);
+  });
+});
+
+describe('buildContractPdf', () => {
+  test('lays the contract out with its footer on every page', () => {
+    const clauses = Array.from({ length: 80 }, (_, index) => `<li>Clause ${index + 1} (binding)</li>`).join('');
+    const pdf = buildContractPdf(`<h1>Purchase Contract</h1><ol>${clauses}</ol>`, {
+      footer: 'CCI/AKL/2024-25/0002'
+    }).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf).toContain('(Purchase Contract) Tj');
+    expect(pdf).toContain('(Clause 80 \\(binding\\)) Tj');
+
+    const pages = Number(/\/Count (\d+)/.exec(pdf)[1]);
+    expect(pages).toBeGreaterThan(1);
+    expect(pdf.match(/\(CCI\/AKL\/2024-25\/0002\) Tj/g)).toHaveLength(pages);
+  });
+});
+
+describe('selectTemplate', () => {
+  const templates = [
+    { template_name: 'General', buyer_type: null },
+    { template_name: 'Mills', buyer_type: 'MILL' }
+  ];
+
+  test('prefers the template for the buyer type, else the general one', () => {
+    expect(selectTemplate(templates, ' mill ').template_name).toBe('Mills');
+    expect(selectTemplate(templates, 'TRADER').template_name).toBe('General');
+    expect(selectTemplate(templates.slice(1), 'TRADER')).toBeNull();
+  });
+});
+
+test('generatedFileName keeps the indent number safe for a file name', () => {
+  expect(generatedFileName('CCI/AKL/2024-25/0002')).toBe('CCI_AKL_2024-25_0002_PurchaseContract.pdf');
+});
@@ -0,0 +1,93 @@
+const fs = require('fs/promises');
+const request = require('supertest');
+const app = require('../server');
+const { db } = require('../config/database');
+
+const INDENT = 'CCI/AKL/2024-25/0002';
+
+const login = async email => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: 'Admin@123' });
+  return `Bearer ${res.body.data.token}`;
+};
+
+describe('contract generation', () => {
+  let trader;
+
+  const preview = body => request(app)
+    .post('/api/contract/generate/preview')
+    .set('Authorization', trader)
+    .send({ indent_number: INDENT, ...body });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    trader = await login('trader@example.com');
+
+    await request(app)
+      .post('/api/procurement/calculate')
+      .set('Authorization', trader)
+      .send({ indent_number: INDENT });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(process.env.DOCUMENT_STORAGE_PATH, { recursive: true, force: true });
+  });
+
+  test('refuses to preview a template body with errors', async () => {
+    const res = await preview({ body: '<p>{{nope}}</p><script>{{firm_name}}</script>' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      success: false,
+      message: 'Validation failed',
+      errors: [
+        { field: 'body', message: 'nope is not a contract value' },
+        {
+          field: 'body',
+          message: '<script> cannot be laid out in a contract; use h1, h2, h3, p, li, td, th, ul, ol, table, thead, tbody, tr, hr, br, div, strong, b, em, i, u, span'
+        }
+      ]
+    });
+  });
+
+  test('takes a saved template or a body, not both', async () => {
+    const [template] = db.rows('contract_templates');
+    const res = await preview({ template_id: template.id, body: '<p>{{firm_name}}</p>' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+
+  test('previews an unsaved template without recording it', async () => {
+    const res = await preview({ body: '<h1>Contract {{indent_number}}</h1>' })
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toBe('inline; filename="CCI_AKL_2024-25_0002_PurchaseContract.pdf"');
+    expect(res.body.toString('latin1')).toContain('(Contract CCI/AKL/2024-25/0002) Tj');
+    expect(db.rows('contract_documents')).toHaveLength(0);
+  });
+
+  test('generates the contract from the active template as its next version', async () => {
+    const res = await request(app)
+      .post('/api/contract/generate')
+      .set('Authorization', trader)
+      .send({ indent_number: INDENT });
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Contract generated as version 1');
+    expect(res.body.data.document).toMatchObject({
+      version: 1,
+      file_name: 'CCI_AKL_2024-25_0002_PurchaseContract.pdf',
+      template_id: res.body.data.template.id
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs/promises');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { db } = require('../config/database');
+const { sha256 } = require('../services/contractDocument');
+
+const INDENT = 'CCI/AKL/2024-25/0002';
+const STORAGE_ROOT = process.env.DOCUMENT_STORAGE_PATH;
+
+const pdf = text => Buffer.from(`%PDF-1.4\n% ${text}\n%%EOF\n`, 'latin1');
+
+const login = async email => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: 'Admin@123' });
+  return `Bearer ${res.body.data.token}`;
+};
+
+describe('contract upload', () => {
+  let trader;
+
+  const upload = (content, fields = {}, fileName = 'contract.pdf') => request(app)
+    .post('/api/contract/upload')
+    .set('Authorization', trader)
+    .field({ indent_number: INDENT, ...fields })
+    .attach('contract', content, { filename: fileName, contentType: 'application/pdf' });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    trader = await login('trader@example.com');
+
+    // The contract is uploaded against the indent's procurement
+    await request(app)
+      .post('/api/procurement/calculate')
+      .set('Authorization', trader)
+      .send({ indent_number: INDENT });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(STORAGE_ROOT, { recursive: true, force: true });
+  });
+
+  test('stores each upload as a new version under the indent', async () => {
+    const first = await upload(pdf('first'), { notes: 'Draft from the branch' });
+
+    expect(first.status).toBe(201);
+    expect(first.body.message).toBe('Contract uploaded as version 1');
+    const { contract, document } = first.body.data;
+    expect(document).toMatchObject({
+      version: 1,
+      file_name: 'contract.pdf',
+      storage_backend: 'local',
+      storage_key: `contracts/CCI_AKL_2024-25_0002/${document.id}.pdf`,
+      checksum_sha256: sha256(pdf('first')),
+      notes: 'Draft from the branch'
+    });
+    expect(await fs.readFile(path.join(STORAGE_ROOT, document.storage_key))).toEqual(pdf('first'));
+
+    const second = await upload(pdf('second'), {}, 'Signed contract.PDF');
+
+    expect(second.status).toBe(201);
+    expect(second.body.data.contract).toMatchObject({
+      id: contract.id,
+      current_version: 2,
+      current_document_id: second.body.data.document.id
+    });
+    expect(second.body.data.document).toMatchObject({ version: 2, file_name: 'Signed contract.pdf' });
+
+    // The contract serves its latest version, and every earlier one stays readable
+    const current = await request(app)
+      .get(`/api/contract/${contract.id}/document`)
+      .set('Authorization', trader);
+
+    expect(current.status).toBe(200);
+    expect(current.headers['content-type']).toBe('application/pdf');
+    expect(current.body).toEqual(pdf('second'));
+
+    const original = await request(app)
+      .get(`/api/contract/${contract.id}/documents/${document.id}`)
+      .set('Authorization', trader);
+
+    expect(original.body).toEqual(pdf('first'));
+
+    const detail = await request(app)
+      .get(`/api/contract/${contract.id}`)
+      .set('Authorization', trader);
+
+    expect(detail.body.data.documents.map(row => row.version)).toEqual([2, 1]);
+    expect(db.rows('contract_logs').map(log => log.notes)).toEqual([
+      'Version 1: contract.pdf - Draft from the branch',
+      'Version 2: Signed contract.pdf'
+    ]);
+  });
+
+  test('refuses a file that is not a PDF, whatever its name', async () => {
+    const res = await upload(Buffer.from('<html></html>'), {}, 'contract.pdf');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('The file is not a PDF document');
+  });
+
+  test('refuses an indent without a procurement', async () => {
+    const res = await upload(pdf('unknown'), { indent_number: 'CCI/AKL/2024-25/9999' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('does not revise a sent contract, and removes the file it stored', async () => {
+    const [contract] = db.rows('purchase_contract_table');
+    contract.status = 'sent';
+    const stored = await fs.readdir(path.join(STORAGE_ROOT, 'contracts', 'CCI_AKL_2024-25_0002'));
+
+    const res = await upload(pdf('third'));
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe(`The contract for indent ${INDENT} has already been sent and cannot be revised`);
+    expect(db.rows('contract_documents')).toHaveLength(2);
+    expect(await fs.readdir(path.join(STORAGE_ROOT, 'contracts', 'CCI_AKL_2024-25_0002'))).toEqual(stored);
+  });
+});
@@ -0,0 +1,65 @@
+const {
+  EMD_CANCELLATION_ACTIONS,
+  EMD_TRANSITIONS,
+  planEmdTransitions,
+  summarizeDeposits
+} = require('../services/emd');
+
+const deposit = (id, emd_status, amount = 1000) => ({
+  id,
+  emd_status,
+  amount,
+  procurement_dump: { indent_number: `CCI/AKL/2024-25/000${id}` }
+});
+
+const actions = ({ transitions }) => transitions.map(({ deposit: { id }, action }) => [id, action]);
+
+describe('planEmdTransitions', () => {
+  test('completing an allocation adjusts the EMDs held', () => {
+    const plan = planEmdTransitions([deposit(1, 'held'), deposit(2, 'forfeited')], 'completed');
+
+    expect(plan.error).toBeNull();
+    expect(actions(plan)).toEqual([[1, EMD_TRANSITIONS.ADJUST]]);
+  });
+
+  test('an allocation cannot be completed while an EMD is being refunded', () => {
+    const plan = planEmdTransitions([deposit(1, 'held'), deposit(2, 'refund_approved')], 'completed');
+
+    expect(plan.transitions).toEqual([]);
+    expect(plan.error).toEqual({
+      message: 'The EMD of indent CCI/AKL/2024-25/0002 is being refunded; reject the refund before completing the allocation',
+      statusCode: 409
+    });
+  });
+
+  test('cancelling requests the refund of the EMDs held, or forfeits them', () => {
+    const deposits = [deposit(1, 'held'), deposit(2, 'refund_requested'), deposit(3, 'refund_approved')];
+
+    expect(actions(planEmdTransitions(deposits, 'cancelled'))).toEqual([[1, EMD_TRANSITIONS.REQUEST_REFUND]]);
+    expect(actions(planEmdTransitions(deposits, 'cancelled', EMD_CANCELLATION_ACTIONS.FORFEIT))).toEqual([
+      [1, EMD_TRANSITIONS.FORFEIT],
+      [2, EMD_TRANSITIONS.FORFEIT]
+    ]);
+  });
+
+  test('an allocation can be reopened only while every EMD is held', () => {
+    expect(planEmdTransitions([deposit(1, 'held')], 'active')).toEqual({ transitions: [], error: null });
+    expect(planEmdTransitions([deposit(1, 'adjusted')], 'active').error.message)
+      .toBe('The EMD of indent CCI/AKL/2024-25/0001 is already adjusted; the allocation cannot be reopened');
+    expect(planEmdTransitions([deposit(1, 'refund_requested')], 'pending').error.statusCode).toBe(409);
+  });
+});
+
+describe('summarizeDeposits', () => {
+  test('totals the EMDs by where they stand', () => {
+    const deposits = [
+      deposit(1, 'held', 1000.10),
+      deposit(2, 'held', 0.20),
+      deposit(3, 'refund_requested', 500),
+      deposit(4, 'refund_approved', 250),
+      deposit(5, 'forfeited', 75)
+    ];
+
+    expect(summarizeDeposits(deposits)).toEqual({ held: 1000.3, refunding: 750, adjusted: 0, refunded: 0, forfeited: 75 });
+  });
+});
@@ -0,0 +1,24 @@
+const { EmdRuleError, matchEmdRule } = require('../services/emdRules');
+
+describe('matchEmdRule', () => {
+  const EMD_RULES = {
+    rules: [
+      { name: 'Mill buyers, new crop', buyer_type: 'mill', crop_year: '2024-25', percentage: 5 },
+      { name: 'Below 3000 bales', max_bales: 2999, percentage: 10 },
+      { name: '3000 bales and above', min_bales: 3000, zone: 'Central', percentage: 15 }
+    ]
+  };
+
+  test('takes the first rule that matches, ignoring case and spaces', () => {
+    expect(matchEmdRule({ bale_quantity: 5000, buyer_type: ' Mill ', crop_year: '2024-25' }, EMD_RULES))
+      .toMatchObject({ index: 0, percentage: 5 });
+    expect(matchEmdRule({ bale_quantity: 2999, buyer_type: 'trader' }, EMD_RULES))
+      .toMatchObject({ index: 1, name: 'Below 3000 bales', percentage: 10 });
+    expect(matchEmdRule({ bale_quantity: 3000, zone: 'central' }, EMD_RULES))
+      .toMatchObject({ index: 2, percentage: 15 });
+  });
+
+  test('fails when no rule matches', () => {
+    expect(() => matchEmdRule({ bale_quantity: 3000, zone: 'North' }, EMD_RULES)).toThrow(EmdRuleError);
+  });
+});
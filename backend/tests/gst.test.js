@@ -0,0 +1,81 @@
+const {
+  GstError,
+  calculateGst,
+  gstinCheckDigit,
+  isValidGstin,
+  placeOfSupply,
+  rateForHsn,
+  resolveStateCode
+} = require('../services/gst');
+const { GST_ROUNDING } = require('../services/money');
+
+const GST_RATES = { cgst: 2.5, sgst: 2.5, igst: 5 };
+
+const MAHARASHTRA = { gstin: '27AAACT1234A1Z1' };
+const GUJARAT = { state: 'Gujarat' };
+
+describe('GSTIN', () => {
+  test('accepts a GSTIN with the right check digit', () => {
+    expect(gstinCheckDigit('27AAACT1234A1Z')).toBe('1');
+    expect(isValidGstin('27AAACT1234A1Z1')).toBe(true);
+    expect(isValidGstin('27aaact1234a1z1')).toBe(true);
+  });
+
+  test('rejects a wrong check digit, an unknown state or a bad format', () => {
+    expect(isValidGstin('27AAACT1234A1Z2')).toBe(false);
+    expect(isValidGstin('25AAACT1234A1Z1')).toBe(false);
+    expect(isValidGstin('27AAACT1234')).toBe(false);
+    expect(isValidGstin(null)).toBe(false);
+  });
+});
+
+describe('place of supply', () => {
+  test('resolves a state from a GSTIN, a state code or a state name', () => {
+    expect(resolveStateCode(MAHARASHTRA)).toBe('27');
+    expect(resolveStateCode({ state_code: 7 })).toBe('07');
+    expect(resolveStateCode({ state: 'Dadra & Nagar Haveli and Daman & Diu' })).toBe('26');
+    expect(resolveStateCode({ gstin: '27AAACT1234A1Z2', state: 'Punjab' })).toBe('03');
+    expect(resolveStateCode({ state: 'Atlantis' })).toBeNull();
+  });
+
+  test('is intra-state when both parties are in one state', () => {
+    expect(placeOfSupply(MAHARASHTRA, { state: 'Maharashtra' })).toMatchObject({ place_of_supply: '27', intra_state: true });
+    expect(placeOfSupply(MAHARASHTRA, GUJARAT)).toMatchObject({ place_of_supply: '24', intra_state: false });
+  });
+
+  test('fails when a state cannot be resolved', () => {
+    expect(() => placeOfSupply(MAHARASHTRA, {})).toThrow(GstError);
+  });
+});
+
+describe('GST rates', () => {
+  test('uses the most specific HSN heading, else the default rates', () => {
+    const rates = { ...GST_RATES, hsn_rates: { 5201: 5, 520100: 12 } };
+
+    expect(rateForHsn('52010010', rates)).toMatchObject({ rate: 12, cgst: 6, rate_source: 'HSN 520100' });
+    expect(rateForHsn('5201', rates)).toMatchObject({ rate: 5, rate_source: 'HSN 5201' });
+    expect(rateForHsn('5205', rates)).toMatchObject({ rate: 5, igst: 5, rate_source: 'default' });
+  });
+});
+
+describe('calculateGst', () => {
+  test('splits an intra-state supply into CGST and SGST', () => {
+    const gst = calculateGst({ taxable_value: 100000, supplier: MAHARASHTRA, recipient: { state_code: '27' } }, GST_RATES);
+
+    expect(gst).toMatchObject({ cgst: 2500, sgst: 2500, igst: 0, total_gst: 5000, hsn_code: '5201' });
+  });
+
+  test('charges IGST on an inter-state supply', () => {
+    const gst = calculateGst({ taxable_value: 100000, supplier: MAHARASHTRA, recipient: GUJARAT }, GST_RATES);
+
+    expect(gst).toMatchObject({ cgst: 0, sgst: 0, igst: 5000, total_gst: 5000 });
+  });
+
+  test('rounds each tax head per line unless invoice rounding is asked for', () => {
+    // 2.5% of ₹10.10 is 25.25 paise: 25 paise per line, 76 paise on ₹30.30
+    const supply = { line_values: [10.10, 10.10, 10.10], supplier: MAHARASHTRA, recipient: { state_code: '27' } };
+
+    expect(calculateGst(supply, GST_RATES)).toMatchObject({ cgst: 0.75, sgst: 0.75, taxable_value: 30.3 });
+    expect(calculateGst({ ...supply, rounding: GST_ROUNDING.INVOICE }, GST_RATES)).toMatchObject({ cgst: 0.76, sgst: 0.76 });
+  });
+});
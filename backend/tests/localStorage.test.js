@@ -0,0 +1,55 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../storage/localStorage');
+
+describe('createLocalStorage', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'cotton-trading-storage-'));
+    storage = createLocalStorage(root);
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('writes, replaces, reads and removes a document', async () => {
+    await storage.put('contracts/IND-1/a.pdf', Buffer.from('first'));
+    await storage.put('contracts/IND-1/a.pdf', Buffer.from('second'));
+
+    expect(await storage.get('contracts/IND-1/a.pdf')).toEqual(Buffer.from('second'));
+    expect(await fs.readdir(path.join(root, 'contracts', 'IND-1'))).toEqual(['a.pdf']);
+
+    await storage.remove('contracts/IND-1/a.pdf');
+    await storage.remove('contracts/IND-1/a.pdf');
+
+    await expect(storage.get('contracts/IND-1/a.pdf')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  test.each([
+    ['../outside.pdf'],
+    ['contracts/../../outside.pdf'],
+    [path.join(os.tmpdir(), 'outside.pdf')],
+    ['']
+  ])('refuses the key %p, which points outside the root', async key => {
+    await expect(storage.put(key, Buffer.from('x'))).rejects.toThrow(`Invalid storage key "${key}"`);
+    await expect(storage.get(key)).rejects.toThrow('Invalid storage key');
+    await expect(storage.remove(key)).rejects.toThrow('Invalid storage key');
+  });
+
+  test('refuses a sibling directory that shares the root as a prefix', async () => {
+    await expect(storage.put(`../${path.basename(root)}-other/a.pdf`, Buffer.from('x')))
+      .rejects.toThrow('Invalid storage key');
+  });
+
+  test('leaves no partial file behind when a write fails', async () => {
+    // A directory at the key makes the final rename fail
+    await fs.mkdir(path.join(root, 'contracts', 'taken.pdf'), { recursive: true });
+
+    await expect(storage.put('contracts/taken.pdf', Buffer.from('x'))).rejects.toThrow();
+    expect(await fs.readdir(path.join(root, 'contracts'))).toEqual(['taken.pdf']);
+  });
+});
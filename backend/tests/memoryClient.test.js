@@ -0,0 +1,187 @@
+const { createMemoryClient } = require('../database/memoryClient');
+
+const ALLOCATION_ID = '00000000-0000-4000-8000-0000000000a1';
+const CONFIG_ID = '00000000-0000-4000-8000-0000000000c1';
+const USER_ID = '00000000-0000-4000-8000-0000000000f1';
+
+const fixtures = () => ({
+  allocation: [
+    { id: ALLOCATION_ID, indent_number: 'CCI/AKL/2024-25/0001', bale_quantity: 500, allocation_status: 'active' }
+  ],
+  procurement_dump: [
+    { indent_number: 'CCI/AKL/2024-25/0001', allocation_id: ALLOCATION_ID, firm_name: 'Akola Ginners', total_amount: 300 },
+    { indent_number: 'CCI/AKL/2024-25/0001', allocation_id: ALLOCATION_ID, firm_name: 'Berar Traders', total_amount: 100 },
+    { indent_number: 'CCI/BTI/2024-25/0001', allocation_id: null, firm_name: 'Bhatinda Mills', total_amount: 200 }
+  ],
+  sales_configuration: [
+    { id: CONFIG_ID, status: 'pending' }
+  ],
+  inventory_table: [
+    { id: '00000000-0000-4000-8000-0000000000b1', lot_number: 'L1', indent_number: 'CCI/AKL/2024-25/0001', bid_price: 1000, status: 'AVAILABLE' },
+    { id: '00000000-0000-4000-8000-0000000000b2', lot_number: 'L2', indent_number: 'CCI/AKL/2024-25/0001', bid_price: 1500, status: 'AVAILABLE' },
+    { id: '00000000-0000-4000-8000-0000000000b3', lot_number: 'L3', indent_number: 'CCI/AKL/2024-25/0001', bid_price: 2000, status: 'SOLD' }
+  ]
+});
+
+const draft = lotIds => ({
+  p_sales_config_id: CONFIG_ID,
+  p_sales: { indent_numbers: ['CCI/AKL/2024-25/0001'], total_bales: lotIds.length, total_value: 2500, broker_commission: 25 },
+  p_lot_ids: lotIds,
+  p_user_id: USER_ID
+});
+
+describe('memory client queries', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createMemoryClient(fixtures());
+  });
+
+  test('filters, orders and pages rows with a count', async () => {
+    const { data, count, error } = await db
+      .from('procurement_dump')
+      .select('firm_name, total_amount', { count: 'exact' })
+      .gte('total_amount', 150)
+      .order('total_amount', { ascending: false })
+      .range(0, 0);
+
+    expect(error).toBeNull();
+    expect(count).toBe(2);
+    expect(data).toEqual([{ firm_name: 'Akola Ginners', total_amount: 300 }]);
+  });
+
+  test('matches or filters and case-insensitive patterns', async () => {
+    const { data } = await db
+      .from('procurement_dump')
+      .select('firm_name')
+      .or('firm_name.ilike.%mills%,total_amount.eq.100')
+      .order('firm_name');
+
+    expect(data.map(row => row.firm_name)).toEqual(['Berar Traders', 'Bhatinda Mills']);
+  });
+
+  test('embeds rows through foreign keys in both directions', async () => {
+    const { data: procurement } = await db
+      .from('procurement_dump')
+      .select('firm_name, allocation (indent_number, allocation_status)')
+      .eq('firm_name', 'Akola Ginners')
+      .single();
+
+    expect(procurement.allocation).toEqual({ indent_number: 'CCI/AKL/2024-25/0001', allocation_status: 'active' });
+
+    const { data: allocation } = await db
+      .from('allocation')
+      .select('id, procurement_dump (firm_name)')
+      .eq('id', ALLOCATION_ID)
+      .single();
+
+    expect(allocation.procurement_dump.map(row => row.firm_name).sort()).toEqual(['Akola Ginners', 'Berar Traders']);
+  });
+
+  test('single reports PGRST116 when no row matches', async () => {
+    const { data, error } = await db.from('allocation').select('*').eq('indent_number', 'missing').single();
+
+    expect(data).toBeNull();
+    expect(error.code).toBe('PGRST116');
+  });
+
+  test('inserts with generated ids, updates and deletes', async () => {
+    const { data: inserted } = await db
+      .from('allocation')
+      .insert({ indent_number: 'CCI/NGP/2024-25/0001', bale_quantity: 100 })
+      .select()
+      .single();
+
+    expect(inserted.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(inserted.created_at).toBeDefined();
+
+    const { data: updated } = await db
+      .from('allocation')
+      .update({ allocation_status: 'cancelled' })
+      .eq('id', inserted.id)
+      .select()
+      .single();
+
+    expect(updated.allocation_status).toBe('cancelled');
+
+    await db.from('allocation').delete().eq('id', inserted.id);
+    const { count } = await db.from('allocation').select('*', { count: 'exact', head: true });
+    expect(count).toBe(1);
+  });
+
+  test('returned rows are copies the caller cannot change the table through', async () => {
+    const { data } = await db.from('allocation').select('*').eq('id', ALLOCATION_ID).single();
+    data.allocation_status = 'completed';
+
+    const { data: stored } = await db.from('allocation').select('allocation_status').eq('id', ALLOCATION_ID).single();
+    expect(stored.allocation_status).toBe('active');
+  });
+});
+
+describe('memory client rpc', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createMemoryClient(fixtures());
+  });
+
+  test('commits every write of a procedure that succeeds', async () => {
+    const { data: sales, error } = await db.rpc('save_sales_draft', draft([
+      '00000000-0000-4000-8000-0000000000b1',
+      '00000000-0000-4000-8000-0000000000b2'
+    ]));
+
+    expect(error).toBeNull();
+    expect(sales.status).toBe('DRAFT');
+    expect(db.rows('lot_selected_contract')).toHaveLength(2);
+    expect(db.rows('inventory_table').filter(lot => lot.status === 'BLOCKED')).toHaveLength(2);
+    expect(db.rows('sales_configuration')[0].status).toBe('processing');
+    expect(db.rows('audit_log')).toHaveLength(1);
+  });
+
+  test('rolls back every write when the procedure fails part way', async () => {
+    const before = structuredClone(db.tables);
+
+    // L1 is blocked and its selection written before L3 turns out to be sold
+    const { data, error } = await db.rpc('save_sales_draft', draft([
+      '00000000-0000-4000-8000-0000000000b1',
+      '00000000-0000-4000-8000-0000000000b3'
+    ]));
+
+    expect(data).toBeNull();
+    expect(error).toEqual({ code: 'P0001', message: 'Only 1 of 2 selected lots are available to block' });
+    expect(db.tables).toEqual(before);
+  });
+
+  test('confirms the open draft and releases the lots dropped from it', async () => {
+    await db.rpc('save_sales_draft', draft([
+      '00000000-0000-4000-8000-0000000000b1',
+      '00000000-0000-4000-8000-0000000000b2'
+    ]));
+
+    const { data: sales, error } = await db.rpc('confirm_sales', {
+      ...draft(['00000000-0000-4000-8000-0000000000b2']),
+      p_confirmed_at: '2025-01-10T10:00:00.000Z'
+    });
+
+    expect(error).toBeNull();
+    expect(sales.status).toBe('CONFIRMED');
+    expect(db.rows('sales_table')).toHaveLength(1);
+    expect(db.rows('lot_selected_contract').map(row => row.inventory_id)).toEqual(['00000000-0000-4000-8000-0000000000b2']);
+    expect(db.rows('inventory_table').map(lot => lot.status)).toEqual(['AVAILABLE', 'BLOCKED', 'SOLD']);
+    expect(db.rows('sales_configuration')[0].status).toBe('completed');
+
+    const { error: again } = await db.rpc('confirm_sales', {
+      ...draft(['00000000-0000-4000-8000-0000000000b2']),
+      p_confirmed_at: '2025-01-10T10:00:00.000Z'
+    });
+    expect(again.message).toBe(`Sales configuration ${CONFIG_ID} has already been confirmed`);
+  });
+
+  test('reports an unknown procedure', async () => {
+    const { data, error } = await db.rpc('no_such_function');
+
+    expect(data).toBeNull();
+    expect(error.code).toBe('PGRST202');
+  });
+});
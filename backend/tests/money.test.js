@@ -0,0 +1,71 @@
+const {
+  decimalProduct,
+  multiply,
+  percentage,
+  roundDecimal,
+  roundToRupee,
+  sum,
+  toPaise,
+  toRupees
+} = require('../services/money');
+
+describe('money', () => {
+  test('converts rupees to paise, rounding half away from zero', () => {
+    expect(toPaise(10.125)).toBe(1013);
+    expect(toPaise('-10.125')).toBe(-1013);
+    expect(toPaise('56200.50')).toBe(5620050);
+    expect(toPaise(0.1 + 0.2)).toBe(30);
+  });
+
+  test('counts missing amounts as zero and rejects invalid ones', () => {
+    expect(toPaise(null)).toBe(0);
+    expect(toPaise(undefined)).toBe(0);
+    expect(toPaise('')).toBe(0);
+    expect(() => toPaise('12a')).toThrow(RangeError);
+    expect(() => toPaise(Infinity)).toThrow(RangeError);
+  });
+
+  test('rejects amounts beyond safe integer paise', () => {
+    expect(() => toPaise('1e20')).toThrow(RangeError);
+    expect(() => toPaise('100000000000000000')).toThrow(RangeError);
+  });
+
+  test('converts paise back to rupees', () => {
+    expect(toRupees(1013)).toBe(10.13);
+    expect(toRupees(sum([toPaise(0.1), toPaise(0.2)]))).toBe(0.3);
+  });
+
+  test('multiplies by decimal factors with a single rounding', () => {
+    // 3500 bales at a candy rate of 0.4781 and ₹56,200 per candy
+    expect(multiply(100, 3500, '0.4781', 56200)).toBe(9404227000);
+    expect(multiply(333, '0.5')).toBe(167);
+  });
+
+  test('takes percentages of an amount', () => {
+    expect(percentage(10000, 2.5)).toBe(250);
+    expect(percentage(101, 5)).toBe(5);
+    expect(percentage(110, 5)).toBe(6);
+  });
+
+  test('rounds payments to whole rupees, half up', () => {
+    expect(roundToRupee(12349)).toBe(12300);
+    expect(roundToRupee(12350)).toBe(12400);
+  });
+
+  test('rounds rates to a number of places', () => {
+    expect(roundDecimal('0.47815', 4)).toBe(0.4782);
+    expect(roundDecimal(0.478, 4)).toBe(0.478);
+  });
+
+  test('rounds a decimal to a whole number', () => {
+    expect(roundDecimal(12.5, 0)).toBe(13);
+    expect(roundDecimal('-12.5', 0)).toBe(-13);
+    expect(roundDecimal(12.49, 0)).toBe(12);
+    expect(roundDecimal(12, 0)).toBe(12);
+  });
+
+  test('multiplies decimals exactly', () => {
+    expect(decimalProduct('0.1', '0.2')).toBe('0.02');
+    expect(decimalProduct(-1.5, 3)).toBe('-4.5');
+  });
+});
@@ -0,0 +1,132 @@
+const {
+  LEDGER_ENTRY_TYPES,
+  buildStatement,
+  derivePostings,
+  formatBalance,
+  pendingPostings,
+  summarizeParties
+} = require('../services/partyLedger');
+const { PAYMENT_DIRECTION } = require('../services/reconciliation');
+
+const procurement = { indent_number: 'CCI/AKL/2024-25/0002', firm_name: ' Vidarbha  Cotton Traders' };
+
+const cdu = (id, installment_name, amount) => ({
+  id,
+  amount,
+  installment_name,
+  cdu_generated_at: '2025-01-02T09:00:00Z',
+  cdu_reference: `CDU-20250102-${id}`,
+  procurement_dump: procurement
+});
+
+const transfer = (id, payment, amount, verified_at) => ({
+  id,
+  amount,
+  utr_number: `HDFCN2512345678${id}`,
+  payment_mode: 'NEFT',
+  verified_at,
+  payment: { installment_name: payment.installment_name, procurement_dump: procurement }
+});
+
+const EMD = cdu('1', 'EMD', 150000);
+const BALANCE = cdu('2', 'Balance 1', 850000.50);
+
+const firmBalance = sources => {
+  const [firm] = summarizeParties(derivePostings(sources));
+  return firm.balance;
+};
+
+describe('firm postings', () => {
+  test('a CDU is payable to the firm until a verified transfer pays it', () => {
+    expect(firmBalance({ payments: [EMD, BALANCE] })).toBe(-1000000.5);
+    expect(formatBalance(-1000000.5)).toBe('10,00,000.50 Cr');
+  });
+
+  test('verified transfers are payments that bring the balance down', () => {
+    const transactions = [
+      transfer('1', EMD, 150000, '2025-01-03T10:00:00Z'),
+      transfer('2', BALANCE, 500000, '2025-01-06T10:00:00Z')
+    ];
+
+    expect(firmBalance({ payments: [EMD, BALANCE], transactions })).toBe(-350000.5);
+
+    transactions.push(transfer('3', BALANCE, 350000.50, '2025-01-07T10:00:00Z'));
+    expect(firmBalance({ payments: [EMD, BALANCE], transactions })).toBe(0);
+  });
+
+  test('a payment is posted on the side reconciliation matches it to', () => {
+    const [payment] = derivePostings({ transactions: [transfer('1', EMD, 150000, '2025-01-03T10:00:00Z')] });
+
+    expect(PAYMENT_DIRECTION).toBe('debit');
+    expect(payment).toMatchObject({
+      entry_type: LEDGER_ENTRY_TYPES.PAYMENT,
+      party_key: 'VIDARBHA COTTON TRADERS',
+      party_name: 'Vidarbha  Cotton Traders',
+      [PAYMENT_DIRECTION]: 150000,
+      contra_account: 'Bank',
+      entry_date: '2025-01-03'
+    });
+  });
+
+  test('an EMD paid and refunded leaves the firm as it was', () => {
+    const refund = {
+      id: 'r1',
+      amount: 150000,
+      reference: 'SBINR52025011012345678',
+      created_at: '2025-01-10T12:00:00Z',
+      emd_deposit: { procurement_dump: procurement }
+    };
+    const sources = {
+      payments: [EMD],
+      transactions: [transfer('1', EMD, 150000, '2025-01-03T10:00:00Z')],
+      emdRefunds: [refund]
+    };
+
+    const statement = buildStatement(derivePostings(sources), { from: '2025-01-01', to: '2025-01-31' });
+
+    expect(statement.entries.map(row => [row.entry_type, row.debit, row.credit, row.balance])).toEqual([
+      ['DUE', 0, 150000, -150000],
+      ['PAYMENT', 150000, 0, 0],
+      ['ADJUSTMENT', 150000, 0, 150000],
+      ['REFUND', 0, 150000, 0]
+    ]);
+    expect(statement).toMatchObject({ opening_balance: 0, total_debit: 300000, total_credit: 300000, closing_balance: 0 });
+  });
+
+  test('reposts an entry whose source has changed, and only that one', () => {
+    const postings = derivePostings({ payments: [EMD, BALANCE] });
+    const posted = postings.map((row, index) => ({ ...row, id: `p${index}` }));
+
+    expect(pendingPostings(postings, posted)).toEqual([]);
+
+    const revised = derivePostings({ payments: [EMD, { ...BALANCE, amount: 850000 }] });
+    expect(pendingPostings(revised, posted)).toEqual([
+      expect.objectContaining({ source_id: '2', credit: 850000 })
+    ]);
+  });
+});
+
+describe('customer and broker postings', () => {
+  const sale = {
+    id: 's1',
+    indent_numbers: ['CCI/AKL/2024-25/0002'],
+    total_bales: 100,
+    total_value: 500000,
+    invoice_value: 525000,
+    broker_commission: 5000,
+    confirmed_at: '2025-02-01T10:00:00Z',
+    sales_configuration: {
+      customer_info: { id: 'c1', customer_name: 'Surat Spinners' },
+      broker_info: { id: 'b1', broker_name: 'Patel Brokers' }
+    }
+  };
+
+  test('a sale is owed by the customer and earns the broker a commission', () => {
+    const parties = summarizeParties(derivePostings({ sales: [sale] }));
+
+    expect(parties.map(({ party_type, balance }) => [party_type, balance])).toEqual([
+      ['broker', -5000],
+      ['customer', 525000]
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  amountInWords,
+  cduReference,
+  adviceFileName,
+  buildPaymentAdvice
+} = require('../services/paymentAdvice');
+
+describe('amountInWords', () => {
+  test.each([
+    [0, 'Rupees Zero Only'],
+    [100000, 'Rupees One Lakh Only'],
+    [10000000, 'Rupees One Crore Only'],
+    [141063.5, 'Rupees One Lakh Forty-One Thousand Sixty-Three and Fifty Paise Only'],
+    [0.07, 'Rupees Zero and Seven Paise Only'],
+    [25019999.99, 'Rupees Two Crore Fifty Lakh Nineteen Thousand Nine Hundred Ninety-Nine and Ninety-Nine Paise Only']
+  ])('writes %p as %p', (rupees, words) => {
+    expect(amountInWords(rupees)).toBe(words);
+  });
+});
+
+describe('cduReference', () => {
+  test('joins the generation date and the start of the payment ID', () => {
+    const payment = { id: '3f9a2c1b-0000-4000-8000-000000000001', cdu_revision: 2 };
+    const reference = cduReference(payment, '2025-01-08T10:00:00.000Z');
+
+    expect(reference).toBe('CDU-20250108-3F9A2C1B');
+    expect(adviceFileName({ ...payment, cdu_reference: reference })).toBe('CDU-20250108-3F9A2C1B-R2.pdf');
+  });
+});
+
+describe('buildPaymentAdvice', () => {
+  const payment = {
+    id: '3f9a2c1b-0000-4000-8000-000000000001',
+    amount: 141063.5,
+    payment_type: 'EMD',
+    installment_name: 'EMD',
+    payment_mode: 'RTGS',
+    due_date: '2025-01-10',
+    utr_due_date: '2025-01-15',
+    cdu_generated_at: '2025-01-08T10:00:00.000Z',
+    cdu_reference: 'CDU-20250108-3F9A2C1B',
+    cdu_revision: 2,
+    remarks: 'Pay from the firm (registered) account',
+    procurement_dump: {
+      indent_number: 'CCI/AKL/2024-25/0002',
+      firm_name: 'Shree Cotton Traders',
+      allocation: { branch_information: { branch_name: 'Akola', branch_code: 'AKL' } }
+    },
+    beneficiary: {
+      account_name: 'CCI EMD Account',
+      account_number: '123456789012',
+      ifsc_code: 'SBIN0001234',
+      bank_name: 'State Bank of India',
+      branch_name: 'Akola Main'
+    }
+  };
+
+  const pdf = buildPaymentAdvice(payment, { name: 'Cotton Corporation of India', gstin: '27AAACC1234F1Z5' })
+    .toString('latin1');
+
+  test('writes a one page PDF', () => {
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('/Count 1');
+  });
+
+  test('prints the indent, beneficiary, amount and terms', () => {
+    [
+      'Reference: CDU-20250108-3F9A2C1B',
+      'Revision: 2',
+      'CCI/AKL/2024-25/0002',
+      'Akola \\(AKL\\)',
+      '123456789012',
+      'SBIN0001234',
+      'Rs. 1,41,063.50',
+      'Rupees One Lakh Forty-One Thousand Sixty-Three and Fifty Paise Only',
+      '10-01-2025',
+      '15-01-2025',
+      'Pay from the firm \\(registered\\) account',
+      'Revision 2 supersedes earlier revisions of this advice.'
+    ].forEach(text => expect(pdf).toContain(`(${text})`));
+  });
+});
@@ -0,0 +1,87 @@
+const {
+  PaymentScheduleError,
+  PAYMENT_TYPES,
+  buildInstallments,
+  summarizeSchedule
+} = require('../services/paymentSchedule');
+const { createCalendar } = require('../services/businessDays');
+const { sum, toPaise } = require('../services/money');
+
+// Friday; the 11th is the second Saturday and the 13th a holiday
+const PROCUREMENT = {
+  indent_number: 'CCI/AKL/2024-25/0002',
+  cotton_value: 1000000.37,
+  gst_amount: 50000.02,
+  emd_amount: 150000.06,
+  due_date: '2025-01-10'
+};
+
+const SCHEDULE = {
+  tranches: [
+    { name: 'First balance', percentage: 33.33, due_business_days: 2 },
+    { name: 'Second balance', percentage: 33.33, due_business_days: 5 },
+    { name: 'Final balance', percentage: 33.34, due_business_days: 10 }
+  ]
+};
+
+const CALENDAR = createCalendar([{ holiday_date: '2025-01-13' }]);
+
+describe('buildInstallments', () => {
+  test('puts the EMD first and splits the balance into the tranches', () => {
+    const installments = buildInstallments(PROCUREMENT, SCHEDULE, CALENDAR);
+
+    expect(installments.map(installment => [installment.installment_number, installment.installment_name, installment.payment_type]))
+      .toEqual([
+        [1, 'EMD', PAYMENT_TYPES.EMD],
+        [2, 'First balance', PAYMENT_TYPES.BALANCE],
+        [3, 'Second balance', PAYMENT_TYPES.BALANCE],
+        [4, 'Final balance', PAYMENT_TYPES.BALANCE]
+      ]);
+    expect(installments[0]).toMatchObject({ amount: 150000.06, due_date: '2025-01-10' });
+  });
+
+  test('the tranches add up to the balance to the paisa', () => {
+    const installments = buildInstallments(PROCUREMENT, SCHEDULE, CALENDAR);
+    const tranches = installments.slice(1).map(installment => toPaise(installment.amount));
+
+    // ₹10,50,000.39 payable rounds to ₹10,50,000; less the EMD of ₹1,50,000.06
+    expect(sum(tranches)).toBe(89999994);
+    expect(sum(installments.map(installment => toPaise(installment.amount)))).toBe(105000000);
+
+    // Every tranche but the last is whole rupees; the last takes what is left
+    expect(tranches).toEqual([29997000, 29997000, 30005994]);
+  });
+
+  test('counts due dates in business days, skipping holidays and closed Saturdays', () => {
+    const dueDates = buildInstallments(PROCUREMENT, SCHEDULE, CALENDAR).map(installment => installment.due_date);
+
+    // Not the 11th (second Saturday), 12th (Sunday) or 13th (holiday)
+    expect(dueDates).toEqual(['2025-01-10', '2025-01-15', '2025-01-18', '2025-01-24']);
+  });
+
+  test('refuses a procurement whose EMD exceeds what is payable', () => {
+    const procurement = { ...PROCUREMENT, cotton_value: 100000, gst_amount: 5000, emd_amount: 105001 };
+
+    expect(() => buildInstallments(procurement, SCHEDULE, CALENDAR)).toThrow(PaymentScheduleError);
+    expect(() => buildInstallments(procurement, SCHEDULE, CALENDAR))
+      .toThrow('EMD of ₹105001 exceeds the ₹105000 payable for indent CCI/AKL/2024-25/0002');
+  });
+});
+
+describe('summarizeSchedule', () => {
+  test('totals what is paid and outstanding, counting part-paid installments', () => {
+    const payments = [
+      { amount: 150000.06, amount_paid: 150000.06, payment_status: 'verified' },
+      { amount: 299970, amount_paid: 100000, payment_status: 'partially_paid' },
+      { amount: 300059.94, amount_paid: 0, payment_status: 'pending' }
+    ];
+
+    expect(summarizeSchedule(payments)).toEqual({
+      total_payable: 750030,
+      paid: 250000.06,
+      outstanding: 500029.94,
+      installments: 3,
+      verified: 1
+    });
+  });
+});
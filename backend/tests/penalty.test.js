@@ -0,0 +1,76 @@
+const { createCalendar } = require('../services/businessDays');
+const { accruePenalty } = require('../services/penalty');
+
+const RULES = { interest_rate_per_day: 0.05, flat_late_fee: 500, grace_days: 2 };
+const NO_HOLIDAYS = createCalendar([]);
+
+const payment = { amount: 100000, due_date: '2025-01-01', payment_type: 'BALANCE' };
+
+describe('accruePenalty', () => {
+  test('charges nothing within the grace period', () => {
+    expect(accruePenalty(payment, [], [], RULES, NO_HOLIDAYS, '2025-01-03')).toEqual({
+      charges_from: '2025-01-03',
+      chargeable_days: 0,
+      interest: 0,
+      late_fee: 0,
+      total: 0,
+      already_charged: 0,
+      due: 0
+    });
+  });
+
+  test('accrues interest per business day and the late fee once', () => {
+    // January 4 to 10, less Sunday the 5th: 6 days at 0.05% of ₹1,00,000
+    expect(accruePenalty(payment, [], [], RULES, NO_HOLIDAYS, '2025-01-10')).toMatchObject({
+      chargeable_days: 6,
+      interest: 300,
+      late_fee: 500,
+      total: 800,
+      due: 800
+    });
+  });
+
+  test('skips holidays', () => {
+    const calendar = createCalendar([{ holiday_date: '2025-01-06' }]);
+
+    expect(accruePenalty(payment, [], [], RULES, calendar, '2025-01-10')).toMatchObject({
+      charges_from: '2025-01-03',
+      chargeable_days: 5,
+      interest: 250
+    });
+  });
+
+  test('charges interest on what is unpaid after each verified transfer', () => {
+    const transactions = [
+      { amount: 60000, transaction_status: 'verified', verified_at: '2025-01-07T10:00:00Z' },
+      { amount: 40000, transaction_status: 'rejected', verified_at: null }
+    ];
+
+    // 3 days on ₹1,00,000, then 3 days on ₹40,000
+    expect(accruePenalty(payment, transactions, [], RULES, NO_HOLIDAYS, '2025-01-10')).toMatchObject({
+      chargeable_days: 6,
+      interest: 210,
+      total: 710
+    });
+  });
+
+  test('rounds to whole rupees and leaves out what penalty lines already charge', () => {
+    const oddPayment = { ...payment, amount: 100990 };
+
+    expect(accruePenalty(oddPayment, [], [{ amount: 500 }], RULES, NO_HOLIDAYS, '2025-01-10')).toMatchObject({
+      interest: 302.97,
+      total: 803,
+      already_charged: 500,
+      due: 303
+    });
+  });
+
+  test('charges nothing on a penalty line', () => {
+    const penalty = { ...payment, payment_type: 'PENALTY' };
+
+    expect(accruePenalty(penalty, [], [], RULES, NO_HOLIDAYS, '2025-01-10')).toMatchObject({
+      chargeable_days: 0,
+      total: 0
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const app = require('../server');
+const { db } = require('../config/database');
+const { percentage, roundToRupee, sum, toPaise, toRupees } = require('../services/money');
+
+const INDENT = 'CCI/AKL/2024-25/0002';
+
+const login = async email => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: 'Admin@123' });
+  return `Bearer ${res.body.data.token}`;
+};
+
+describe('procurement to payment', () => {
+  let trader;
+  let admin;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    trader = await login('trader@example.com');
+    admin = await login('admin@example.com');
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pays the EMD of a procurement and holds it until the allocation is cancelled', async () => {
+    // Calculate the procurement: 3500 bales fall in the 15% EMD slab
+    const calculated = await request(app)
+      .post('/api/procurement/calculate')
+      .set('Authorization', trader)
+      .send({ indent_number: INDENT });
+
+    expect(calculated.status).toBe(200);
+    const { procurement } = calculated.body.data;
+    expect(procurement.emd_percentage).toBe(15);
+    expect(procurement.emd_amount).toBe(toRupees(roundToRupee(percentage(toPaise(procurement.cotton_value), 15))));
+    // Maharashtra to Maharashtra: CGST and SGST
+    expect(procurement.igst_amount).toBe(0);
+    expect(toPaise(procurement.gst_amount)).toBe(sum([toPaise(procurement.cgst_amount), toPaise(procurement.sgst_amount)]));
+
+    // Draft the first installment, the EMD
+    const cdu = await request(app)
+      .post('/api/payment/cdu')
+      .set('Authorization', trader)
+      .send({ procurement_id: procurement.id });
+
+    expect(cdu.status).toBe(200);
+    expect(cdu.body.data.cdu).toMatchObject({ payment_type: 'EMD', payment_mode: 'RTGS', amount: procurement.emd_amount });
+    const paymentId = cdu.body.data.payment_id;
+
+    // The trader submits the UTR of the transfer
+    const submitted = await request(app)
+      .post('/api/payment/submit')
+      .set('Authorization', trader)
+      .send({ payment_id: paymentId, utr_number: 'SBINR52025010112345678', payment_mode: 'RTGS' });
+
+    expect(submitted.status).toBe(200);
+    expect(submitted.body.data.transaction).toMatchObject({
+      utr_number: 'SBINR52025010112345678',
+      amount: procurement.emd_amount,
+      transaction_status: 'utr_submitted'
+    });
+    const transactionId = submitted.body.data.transaction.id;
+
+    // Submitted UTRs already cover the whole EMD
+    const another = await request(app)
+      .post('/api/payment/submit')
+      .set('Authorization', trader)
+      .send({ payment_id: paymentId, utr_number: 'HDFCN25123456789', payment_mode: 'NEFT', amount: 1 });
+
+    expect(another.status).toBe(400);
+    expect(another.body.message).toBe('Submitted UTRs already cover the full amount; wait for them to be verified');
+
+    // Only an admin checker verifies it
+    const byTrader = await request(app)
+      .post(`/api/payment/transactions/${transactionId}/verify`)
+      .set('Authorization', trader);
+
+    expect(byTrader.status).toBe(403);
+
+    const verified = await request(app)
+      .post(`/api/payment/transactions/${transactionId}/verify`)
+      .set('Authorization', admin);
+
+    expect(verified.status).toBe(200);
+    expect(verified.body.data.transaction.transaction_status).toBe('verified');
+    expect(verified.body.data.payment).toMatchObject({ payment_status: 'verified', amount_paid: procurement.emd_amount });
+
+    // Paying the EMD in full holds it against the allocation
+    const { data: deposits } = await db.from('emd_deposits').select('*').eq('payment_id', paymentId);
+    expect(deposits).toHaveLength(1);
+    expect(deposits[0]).toMatchObject({
+      allocation_id: procurement.allocation_id,
+      emd_status: 'held',
+      amount: procurement.emd_amount,
+      balance: procurement.emd_amount
+    });
+
+    // Cancelling the allocation requests the EMD's refund in the same transaction
+    const cancelled = await request(app)
+      .put(`/api/allocations/${procurement.allocation_id}/status`)
+      .set('Authorization', admin)
+      .send({ status: 'cancelled', notes: 'Buyer withdrew' });
+
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.data.allocation.allocation_status).toBe('cancelled');
+    expect(cancelled.body.data.emd).toEqual([
+      expect.objectContaining({ id: deposits[0].id, emd_status: 'refund_requested', refund_reason: 'Buyer withdrew' })
+    ]);
+
+    // With its EMD on the way back the allocation cannot be reopened
+    const reopened = await request(app)
+      .put(`/api/allocations/${procurement.allocation_id}/status`)
+      .set('Authorization', admin)
+      .send({ status: 'active' });
+
+    expect(reopened.status).toBe(409);
+  });
+});
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const app = require('../server');
+const { db } = require('../config/database');
+
+const INDENT = 'CCI/AKL/2024-25/0002';
+
+const login = async email => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: 'Admin@123' });
+  return `Bearer ${res.body.data.token}`;
+};
+
+const simulate = (token, scenarios) => request(app)
+  .post('/api/procurement/simulate')
+  .set('Authorization', token)
+  .send({ indent_number: INDENT, scenarios });
+
+describe('what-if procurement simulator', () => {
+  let trader;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    trader = await login('trader@example.com');
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('compares each scenario with the allocation as it stands', async () => {
+    const res = await simulate(trader, [
+      { label: 'Smaller lot', bale_quantity: 2000 },
+      { zone: 'South' }
+    ]);
+
+    expect(res.status).toBe(200);
+    const { baseline, scenarios, persisted } = res.body.data;
+    expect(persisted).toBe(false);
+    expect(baseline.inputs).toMatchObject({ bale_quantity: 3500, zone: 'Central' });
+
+    // Below 3000 bales the lower EMD percentage applies
+    const [smaller, south] = scenarios;
+    expect(smaller.label).toBe('Smaller lot');
+    expect(smaller.inputs).toMatchObject({ bale_quantity: 2000, zone: 'Central' });
+    expect(baseline.breakdown.emd_percentage).toBe(15);
+    expect(smaller.breakdown.emd_percentage).toBe(10);
+    expect(smaller.difference.cotton_value).toBeCloseTo(smaller.breakdown.cotton_value - baseline.breakdown.cotton_value, 2);
+    expect(smaller.difference.total_amount).toBeLessThan(0);
+
+    // Unlabelled scenarios are numbered; South cotton takes the lower
+    // multiplier, 0.4781 × 0.98 rounded to four places
+    expect(south.label).toBe('Scenario 2');
+    expect(south.breakdown.candy_rate).toBe(0.4685);
+  });
+
+  test('an explicit candy rate overrides the zone rate', async () => {
+    const res = await simulate(trader, [{ zone: 'North', candy_rate: 0.5 }]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.scenarios[0].breakdown.candy_rate).toBe(0.5);
+  });
+
+  test('saves nothing', async () => {
+    const before = db.rows('procurement_dump').length;
+
+    await simulate(trader, [{ bale_quantity: 1000 }]);
+
+    expect(db.rows('procurement_dump')).toHaveLength(before);
+  });
+
+  test('rejects a zone the candy rate is not configured for', async () => {
+    const res = await simulate(trader, [{ zone: 'East' }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Unknown zone East. Configured zones: North, Central, South');
+  });
+
+  test('needs an allocation for the indent', async () => {
+    const res = await request(app)
+      .post('/api/procurement/simulate')
+      .set('Authorization', trader)
+      .send({ indent_number: 'CCI/AKL/2024-25/9999', scenarios: [{ bale_quantity: 1000 }] });
+
+    expect(res.status).toBe(404);
+  });
+});
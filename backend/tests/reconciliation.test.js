@@ -0,0 +1,136 @@
+const { MATCH_STATUS, matchStatementLines } = require('../services/reconciliation');
+const { createCalendar } = require('../services/businessDays');
+
+const CALENDAR = createCalendar([]);
+
+// CDUs out on 1 January, due on the 10th; lines may settle them up to three
+// business days later. A UTR is submitted as one transfer for the full amount.
+const payment = (id, amount, utr_number = null, transactions = null) => ({
+  id,
+  amount,
+  amount_paid: 0,
+  cdu_generated_at: '2025-01-01T10:00:00.000Z',
+  due_date: '2025-01-10',
+  transactions: transactions || (utr_number
+    ? [{ id: `${id}-transfer`, utr_number, amount, transaction_status: 'utr_submitted' }]
+    : [])
+});
+
+const line = (line_number, amount, utr_number = null, overrides = {}) => ({
+  line_number,
+  value_date: '2025-01-08',
+  direction: 'debit',
+  amount,
+  utr_number,
+  ...overrides
+});
+
+const outcome = results => results.map(result => [result.line_number, result.match_status, result.payment_id]);
+
+describe('matchStatementLines', () => {
+  const payments = [
+    payment('emd', 150000, 'SBINR52025010112345678'),
+    payment('balance', 80000),
+    payment('first-half', 50000),
+    payment('second-half', 50000)
+  ];
+
+  test('matches a line whose UTR, amount, date and direction agree', () => {
+    const [result] = matchStatementLines([line(2, 150000, 'sbinr52025010112345678')], payments, CALENDAR);
+
+    expect(result).toMatchObject({
+      match_status: MATCH_STATUS.MATCHED,
+      payment_id: 'emd',
+      transaction_id: 'emd-transfer',
+      match_details: { utr: true, amount: true, date: true, direction: true, note: 'UTR, amount and date match' }
+    });
+  });
+
+  test('suggests a partial match when the UTR agrees but something else does not', () => {
+    const [result] = matchStatementLines([
+      line(2, 149000, 'SBINR52025010112345678', { value_date: '2025-01-20' })
+    ], payments, CALENDAR);
+
+    expect(result).toMatchObject({
+      match_status: MATCH_STATUS.PARTIAL,
+      payment_id: 'emd',
+      match_details: { note: 'UTR matches; amount differs, value date outside the payment window' }
+    });
+  });
+
+  test('suggests the one payment with the amount when the line has no UTR', () => {
+    const [result] = matchStatementLines([line(2, 80000)], payments, CALENDAR);
+
+    expect(result).toMatchObject({
+      match_status: MATCH_STATUS.PARTIAL,
+      payment_id: 'balance',
+      transaction_id: null,
+      match_details: { note: 'Amount and date match; no UTR on the statement line' }
+    });
+  });
+
+  test('leaves an amount two payments share unmatched', () => {
+    const [result] = matchStatementLines([line(2, 50000)], payments, CALENDAR);
+
+    expect(result).toMatchObject({
+      match_status: MATCH_STATUS.UNMATCHED,
+      payment_id: null,
+      match_details: { note: '2 payments have this amount and date; match it manually' }
+    });
+  });
+
+  test('does not match money coming in, or a UTR recorded for another transfer', () => {
+    const results = matchStatementLines([
+      line(2, 80000, null, { direction: 'credit' }),
+      line(3, 150000, 'HDFCN52025010398765432')
+    ], payments, CALENDAR);
+
+    expect(outcome(results)).toEqual([
+      [2, MATCH_STATUS.UNMATCHED, null],
+      [3, MATCH_STATUS.UNMATCHED, null]
+    ]);
+    expect(results[0].match_details.note).toBe('No payment matches');
+  });
+
+  test('of two lines with the same UTR only the first settles the payment', () => {
+    const results = matchStatementLines([
+      line(2, 150000, 'SBINR52025010112345678'),
+      line(3, 150000, 'SBINR52025010112345678', { value_date: '2025-01-09' })
+    ], payments, CALENDAR);
+
+    expect(outcome(results)).toEqual([
+      [2, MATCH_STATUS.MATCHED, 'emd'],
+      [3, MATCH_STATUS.UNMATCHED, null]
+    ]);
+    expect(results[1].match_details.note).toBe('Payment already matched to another statement line');
+  });
+
+  test('a full match claims the payment ahead of an earlier suggestion', () => {
+    const results = matchStatementLines([
+      line(2, 150000),
+      line(3, 150000, 'SBINR52025010112345678')
+    ], payments, CALENDAR);
+
+    expect(outcome(results)).toEqual([
+      [2, MATCH_STATUS.UNMATCHED, null],
+      [3, MATCH_STATUS.MATCHED, 'emd']
+    ]);
+  });
+
+  test('matches each transfer of a part-paid payment and suggests the rest', () => {
+    const partPaid = payment('installments', 100000, null, [
+      { id: 'first', utr_number: 'SBINR52025010212345678', amount: 60000, transaction_status: 'utr_submitted' },
+      { id: 'rejected', utr_number: 'SBINR52025010299999999', amount: 60000, transaction_status: 'rejected' }
+    ]);
+
+    const results = matchStatementLines([
+      line(2, 60000, 'SBINR52025010212345678'),
+      line(3, 40000)
+    ], [partPaid], CALENDAR);
+
+    expect(results.map(result => [result.match_status, result.payment_id, result.transaction_id])).toEqual([
+      [MATCH_STATUS.MATCHED, 'installments', 'first'],
+      [MATCH_STATUS.PARTIAL, 'installments', null]
+    ]);
+  });
+});
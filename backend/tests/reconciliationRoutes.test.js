@@ -0,0 +1,73 @@
+const request = require('supertest');
+const app = require('../server');
+const { db } = require('../config/database');
+
+const login = async email => {
+  const res = await request(app).post('/api/auth/login').send({ email, password: 'Admin@123' });
+  return `Bearer ${res.body.data.token}`;
+};
+
+const STATEMENT = [
+  'Value Date,Narration,Debit,Credit',
+  '02/01/2025,RTGS/SBINR52025010112345678/VIDARBHA,150000.00,',
+  '03/01/2025,NEFT/HDFCN52025010398765432/REFUND,,5000.00'
+].join('\n');
+
+describe('bank statement import', () => {
+  let admin;
+
+  const importStatement = (text, fileName = 'statement.csv') => request(app)
+    .post('/api/reconciliation/statements')
+    .set('Authorization', admin)
+    .attach('file', Buffer.from(text), fileName);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    admin = await login('admin@example.com');
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('imports a statement once', async () => {
+    const first = await importStatement(STATEMENT);
+
+    expect(first.status).toBe(201);
+    expect(first.body.data.summary).toMatchObject({ unmatched: 2, skipped: 0 });
+    expect(db.rows('bank_statement_lines')).toHaveLength(2);
+
+    // The same file, under another name, is recognised by its hash
+    const again = await importStatement(STATEMENT, 'statement-copy.csv');
+
+    expect(again.status).toBe(409);
+    expect(again.body.message).toBe('This statement was already imported as statement.csv');
+    expect(db.rows('bank_statements')).toHaveLength(1);
+  });
+
+  test('skips the transactions an overlapping statement already imported', async () => {
+    const overlapping = await importStatement([
+      STATEMENT,
+      '04/01/2025,RTGS/SBINR52025010412345678/MALWA,80000.00,'
+    ].join('\n'), 'statement-0104.csv');
+
+    expect(overlapping.status).toBe(201);
+    expect(overlapping.body.data.summary).toMatchObject({ unmatched: 1, skipped: 2 });
+    expect(db.rows('bank_statement_lines')).toHaveLength(3);
+
+    // A different file holding only transactions already imported
+    const repeated = await importStatement(`${STATEMENT}\n`, 'statement-repeat.csv');
+
+    expect(repeated.status).toBe(409);
+    expect(repeated.body.message).toBe('Every transaction in this statement has already been imported');
+    expect(db.rows('bank_statements')).toHaveLength(2);
+  });
+
+  test('rejects a statement with unreadable lines', async () => {
+    const res = await importStatement('Value Date,Debit,Credit\n31/02/2025,100,\n', 'bad.csv');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'line 2', message: 'Invalid date 31/02/2025' }]);
+  });
+});
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createS3Storage, signRequest } = require('../storage/s3Storage');
+
+const OPTIONS = {
+  bucket: 'contracts',
+  region: 'ap-south-1',
+  accessKeyId: 'AKIDEXAMPLE',
+  secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+};
+
+describe('createS3Storage', () => {
+  let send;
+
+  beforeEach(() => {
+    send = jest.spyOn(axios, 'request').mockResolvedValue({ data: new ArrayBuffer(0) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('names the settings it is missing', () => {
+    expect(() => createS3Storage({ ...OPTIONS, bucket: '', secretAccessKey: undefined }))
+      .toThrow('S3 document storage is missing bucket, secretAccessKey');
+  });
+
+  test('puts a signed object in the bucket on Amazon S3', async () => {
+    await createS3Storage(OPTIONS).put('contracts/CCI_AKL/a b.pdf', Buffer.from('%PDF-'), 'application/pdf');
+
+    const [config] = send.mock.calls[0];
+    expect(config).toMatchObject({
+      method: 'PUT',
+      url: 'https://contracts.s3.ap-south-1.amazonaws.com/contracts/CCI_AKL/a%20b.pdf',
+      data: Buffer.from('%PDF-')
+    });
+    expect(config.headers).toMatchObject({
+      host: 'contracts.s3.ap-south-1.amazonaws.com',
+      'content-type': 'application/pdf',
+      'x-amz-content-sha256': crypto.createHash('sha256').update('%PDF-').digest('hex')
+    });
+    expect(config.headers.authorization).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/ap-south-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+    );
+  });
+
+  test('addresses the bucket in the path of a custom endpoint', async () => {
+    send.mockResolvedValue({ data: Buffer.from('%PDF-') });
+
+    const storage = createS3Storage({ ...OPTIONS, endpoint: 'http://localhost:9000' });
+    const content = await storage.get('contracts/a.pdf');
+
+    expect(content).toEqual(Buffer.from('%PDF-'));
+    expect(send.mock.calls[0][0]).toMatchObject({
+      method: 'GET',
+      url: 'http://localhost:9000/contracts/contracts/a.pdf',
+      responseType: 'arraybuffer'
+    });
+  });
+
+  test('reports the status of a failed request', async () => {
+    send.mockRejectedValue(Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } }));
+
+    await expect(createS3Storage(OPTIONS).get('contracts/missing.pdf')).rejects.toMatchObject({
+      status: 404,
+      message: 'S3 GET contracts/missing.pdf failed with status 404: Request failed with status code 404'
+    });
+  });
+});
+
+describe('signRequest', () => {
+  test('signs the same request the same way, and a different body differently', () => {
+    const request = {
+      method: 'PUT',
+      url: new URL('https://contracts.s3.ap-south-1.amazonaws.com/a.pdf'),
+      payloadHash: 'a'.repeat(64),
+      ...OPTIONS,
+      now: new Date('2025-01-08T10:00:00.000Z')
+    };
+
+    const headers = signRequest(request);
+
+    expect(headers).toMatchObject({
+      host: 'contracts.s3.ap-south-1.amazonaws.com',
+      'x-amz-date': '20250108T100000Z',
+      'x-amz-content-sha256': 'a'.repeat(64)
+    });
+    expect(headers.authorization).toContain('Credential=AKIDEXAMPLE/20250108/ap-south-1/s3/aws4_request');
+    expect(signRequest(request)).toEqual(headers);
+    expect(signRequest({ ...request, payloadHash: 'b'.repeat(64) }).authorization).not.toBe(headers.authorization);
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Test environment
+ * Every test file runs the API on the in-memory database with the
+ * development seed data, so no Supabase project or n8n instance is needed
+ */
+
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_BACKEND = 'memory';
+process.env.MEMORY_SEED = 'true';
+process.env.JWT_SECRET = 'test-secret';
+process.env.COMPANY_GSTIN = '27AAACT1234A1Z1';
+process.env.DOCUMENT_STORAGE_PATH = path.join(os.tmpdir(), `cotton-trading-tests-${process.pid}`);
+// Webhooks fail fast against a closed port; the routes log and carry on
+process.env.N8N_BASE_URL = 'http://127.0.0.1:9';
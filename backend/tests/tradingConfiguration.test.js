@@ -0,0 +1,91 @@
+const { validateConfigValue } = require('../config/tradingConfiguration');
+
+describe('validateConfigValue', () => {
+  test('accepts a value that satisfies the schema of its key', () => {
+    expect(validateConfigValue('GST_RATES', { cgst: 2.5, sgst: 2.5, igst: 5 })).toEqual({
+      value: { cgst: 2.5, sgst: 2.5, igst: 5 },
+      errors: null
+    });
+  });
+
+  test('requires IGST to equal CGST plus SGST', () => {
+    const { errors } = validateConfigValue('GST_RATES', { cgst: 2.5, sgst: 2.5, igst: 6 });
+
+    expect(errors).toEqual([{ field: 'config_value', message: 'igst must equal cgst + sgst' }]);
+  });
+
+  test('reports every invalid field with its path', () => {
+    const { errors } = validateConfigValue('CANDY_RATE', {
+      base_rate: -1,
+      zone_multiplier: { North: 0 }
+    });
+
+    expect(errors.map(error => error.field)).toEqual([
+      'config_value.base_rate',
+      'config_value.zone_multiplier.North'
+    ]);
+  });
+
+  test('requires at least one zone multiplier', () => {
+    const { errors } = validateConfigValue('CANDY_RATE', { base_rate: 0.4781, zone_multiplier: {} });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].field).toBe('config_value.zone_multiplier');
+  });
+
+  test('requires an EMD slab to start at or below where it ends', () => {
+    const { errors } = validateConfigValue('EMD_RULES', {
+      rules: [
+        { name: 'Mid-size', min_bales: 3000, max_bales: 2999, percentage: 10 },
+        { name: 'Everything else', percentage: 15 }
+      ]
+    });
+
+    expect(errors).toEqual([{ field: 'config_value.rules.0', message: 'Mid-size: min_bales cannot exceed max_bales' }]);
+  });
+
+  test('requires at least one EMD rule', () => {
+    const { errors } = validateConfigValue('EMD_RULES', { rules: [] });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].field).toBe('config_value.rules');
+  });
+
+  test('requires payment tranches to add up to 100% in order of due date', () => {
+    const tranche = (name, percentage, due_business_days) => ({ name, percentage, due_business_days });
+
+    expect(validateConfigValue('PAYMENT_SCHEDULE', {
+      tranches: [tranche('First', 50, 5), tranche('Second', 40, 10)]
+    }).errors).toEqual([{ field: 'config_value', message: 'tranche percentages must add up to 100' }]);
+
+    expect(validateConfigValue('PAYMENT_SCHEDULE', {
+      tranches: [tranche('First', 50, 10), tranche('Second', 50, 5)]
+    }).errors).toEqual([{ field: 'config_value', message: 'tranches must be in order of due_business_days' }]);
+  });
+
+  test('requires contract approval levels to start at 0 and rise', () => {
+    const level = (name, min_contract_value) => ({ name, min_contract_value });
+
+    expect(validateConfigValue('CONTRACT_APPROVAL_LEVELS', {
+      levels: [level('Trading desk', 0), level('Senior management', 25000000)]
+    }).errors).toBeNull();
+
+    expect(validateConfigValue('CONTRACT_APPROVAL_LEVELS', {
+      levels: [level('Senior management', 25000000)]
+    }).errors).toEqual([
+      { field: 'config_value', message: 'the first level must have min_contract_value 0 so every contract is signed off' }
+    ]);
+
+    expect(validateConfigValue('CONTRACT_APPROVAL_LEVELS', {
+      levels: [level('Trading desk', 0), level('Director', 100000000), level('Senior management', 100000000)]
+    }).errors).toEqual([
+      { field: 'config_value', message: 'levels must be in increasing order of min_contract_value' }
+    ]);
+  });
+
+  test('rejects a key without a schema', () => {
+    expect(validateConfigValue('UNKNOWN_KEY', {}).errors).toEqual([
+      { field: 'config_key', message: 'No schema defined for UNKNOWN_KEY' }
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+const { WARNING_TYPES, utrWarnings, validateUtr } = require('../services/utr');
+
+const TODAY = new Date('2025-06-01T00:00:00Z');
+
+describe('validateUtr', () => {
+  test('accepts references in the format of their payment mode', () => {
+    expect(validateUtr('SBINR52025010112345678', 'RTGS', TODAY)).toBeNull();
+    expect(validateUtr('HDFCN25123456789', 'NEFT', TODAY)).toBeNull();
+    expect(validateUtr('501512345678', 'IMPS', TODAY)).toBeNull();
+  });
+
+  test('rejects a reference in the wrong format', () => {
+    expect(validateUtr('SBINR5202501011234', 'RTGS', TODAY)).toMatch(/^RTGS UTR must be 22 characters/);
+    expect(validateUtr('HDFCN25123456789', 'RTGS', TODAY)).toMatch(/^RTGS UTR must be/);
+    expect(validateUtr(null, 'NEFT', TODAY)).toMatch(/^NEFT UTR must be/);
+    expect(validateUtr('501512345678', 'UPI', TODAY)).toBe('Unsupported payment mode UPI');
+  });
+
+  test('requires the IFSC code of a known bank', () => {
+    expect(validateUtr('ABCDN25123456789', 'NEFT', TODAY)).toMatch(/ABCD is not a known bank code/);
+  });
+
+  test('rejects RTGS references with an impossible or future date', () => {
+    expect(validateUtr('SBINR52025023012345678', 'RTGS', TODAY)).toBe('RTGS UTR has an invalid date');
+    expect(validateUtr('SBINR52025060212345678', 'RTGS', TODAY)).toBe('RTGS UTR is dated in the future');
+  });
+
+  test('rejects IMPS references with an impossible day of year or hour', () => {
+    expect(validateUtr('540012345678', 'IMPS', TODAY)).toBe('IMPS reference has an invalid day of year or hour');
+    expect(validateUtr('501524345678', 'IMPS', TODAY)).toBe('IMPS reference has an invalid day of year or hour');
+  });
+});
+
+describe('utrWarnings', () => {
+  const transaction = { id: 't1', utr_number: 'SBINR52025010112345678', amount: 50000 };
+  const other = status => ({
+    id: 't2',
+    utr_number: transaction.utr_number,
+    transaction_status: status,
+    payment: { installment_name: 'Balance 1', procurement_dump: { indent_number: 'CCI/AKL/2024-25/0002' } }
+  });
+
+  test('flags a UTR used on another transfer unless that one was rejected', () => {
+    expect(utrWarnings(transaction, { transactions: [transaction, other('verified')], lines: [] })).toEqual([{
+      type: WARNING_TYPES.DUPLICATE_UTR,
+      message: 'UTR SBINR52025010112345678 is also used on Balance 1 for Indent CCI/AKL/2024-25/0002'
+    }]);
+    expect(utrWarnings(transaction, { transactions: [other('rejected')], lines: [] })).toEqual([]);
+  });
+
+  test('flags a bank entry for a different amount', () => {
+    const lines = [
+      { utr_number: transaction.utr_number, amount: '50000.00', value_date: '2025-01-01' },
+      { transaction_id: 't1', amount: 5000, value_date: '2025-01-02' }
+    ];
+
+    expect(utrWarnings(transaction, { transactions: [], lines })).toEqual([{
+      type: WARNING_TYPES.AMOUNT_MISMATCH,
+      message: 'Bank entry of 2025-01-02 shows ₹5,000, but the UTR was submitted for ₹50,000'
+    }]);
+  });
+});
@@ -14,14 +14,22 @@ import PaymentDetail from './pages/PaymentDetail'
 import UTRSubmission from './pages/UTRSubmission'
 import PendingUTRs from './pages/PendingUTRs'
 import VerifiedPayments from './pages/VerifiedPayments'
+import Reconciliation from './pages/Reconciliation'
+import EmdDeposits from './pages/EmdDeposits'
+import PartyLedger from './pages/PartyLedger'
+import BankPaymentFiles from './pages/BankPaymentFiles'
 import ContractSearch from './pages/ContractSearch'
 import ContractUpload from './pages/ContractUpload'
 import AdminContracts from './pages/AdminContracts'
 import ContractLogs from './pages/ContractLogs'
+import ContractTemplates from './pages/ContractTemplates'
 import SamplingEntry from './pages/SamplingEntry'
 import SalesProcessing from './pages/SalesProcessing'
 import CustomerLots from './pages/CustomerLots'
 import AdminLotOverride from './pages/AdminLotOverride'
+import TradingSettings from './pages/TradingSettings'
+import Holidays from './pages/Holidays'
+import BankAccounts from './pages/BankAccounts'
 import LoadingSpinner from './components/LoadingSpinner'
 
 function App() {
@@ -53,12 +61,17 @@ function App() {
         <Route path="/utr/:id" element={<UTRSubmission />} />
         <Route path="/utr/pending" element={<PendingUTRs />} />
         <Route path="/payments/verified" element={<VerifiedPayments />} />
+        <Route path="/payments/reconciliation" element={<Reconciliation />} />
+        <Route path="/payments/emd" element={<EmdDeposits />} />
+        <Route path="/payments/ledger" element={<PartyLedger />} />
+        <Route path="/payments/bank-files" element={<BankPaymentFiles />} />
 
         {/* Contracts - Flow 3 */}
         <Route path="/contract/search" element={<ContractSearch />} />
         <Route path="/contract/upload" element={<ContractUpload />} />
         <Route path="/admin/contracts" element={<AdminContracts />} />
         <Route path="/contract/logs" element={<ContractLogs />} />
+        <Route path="/contract/templates" element={<ContractTemplates />} />
 
         {/* Sampling - Flow 4 */}
         <Route path="/sampling-entry" element={<SamplingEntry />} />
@@ -70,6 +83,11 @@ function App() {
         <Route path="/customer/my-lots" element={<CustomerLots />} />
         <Route path="/admin/lot-override" element={<AdminLotOverride />} />
 
+        {/* Settings */}
+        <Route path="/settings/trading" element={<TradingSettings />} />
+        <Route path="/settings/holidays" element={<Holidays />} />
+        <Route path="/settings/bank-accounts" element={<BankAccounts />} />
+
         {/* Catch all route */}
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
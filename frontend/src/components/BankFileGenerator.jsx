@@ -0,0 +1,132 @@
+/**
+ * Bank file generator component
+ * Puts the selected payments in a batch and downloads its bulk upload file in
+ * the layout of the bank chosen, to be uploaded on the corporate banking portal
+ */
+
+import React, { useState, useEffect } from 'react'
+import api, { downloadFile } from '../services/api'
+import { FileDown, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const BankFileGenerator = ({ paymentIds, onGenerated }) => {
+  const [open, setOpen] = useState(false)
+  const [templates, setTemplates] = useState([])
+  const [templateId, setTemplateId] = useState('')
+  const [valueDate, setValueDate] = useState(new Date().toISOString().slice(0, 10))
+  const [errors, setErrors] = useState([])
+  const [generating, setGenerating] = useState(false)
+
+  // Fetch the active bank file templates when the panel opens
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await api.get('/payment/bank-files/templates')
+        const active = response.data.data.templates.filter(template => template.is_active)
+        setTemplates(active)
+        setTemplateId(current => current || active[0]?.id || '')
+      } catch (error) {
+        console.error('Error fetching bank file templates:', error)
+        toast.error('Failed to fetch bank file templates')
+      }
+    }
+
+    if (open) {
+      fetchTemplates()
+    }
+  }, [open])
+
+  // Create the batch and download its file
+  const generate = async () => {
+    try {
+      setGenerating(true)
+      setErrors([])
+      const response = await api.post('/payment/bank-files', {
+        payment_ids: paymentIds,
+        template_id: templateId,
+        value_date: valueDate
+      })
+      const { batch, file_name } = response.data.data
+      await downloadFile(`/payment/bank-files/${batch.id}/file`, file_name)
+      toast.success(response.data.message)
+      setOpen(false)
+      onGenerated?.(batch)
+    } catch (error) {
+      console.error('Error generating bank file:', error)
+      setErrors(error.response?.data?.errors || [])
+      toast.error(error.response?.data?.error || error.response?.data?.message || 'Failed to generate bank file')
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={paymentIds.length === 0}
+        className="btn-secondary"
+      >
+        <FileDown className="h-4 w-4 mr-2" />
+        Bank File ({paymentIds.length})
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-10 mt-2 w-96 bg-white rounded-lg shadow-lg border border-gray-200 p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-gray-900">
+              Pay {paymentIds.length} {paymentIds.length === 1 ? 'payment' : 'payments'} by bank file
+            </h3>
+            <button onClick={() => setOpen(false)} className="text-gray-400 hover:text-gray-600">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Each payment is paid its outstanding amount into the beneficiary account on its CDU.
+            Import the bank's response under Bank Payment Files to record the UTRs.
+          </p>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Bank format</label>
+            <select
+              value={templateId}
+              onChange={(e) => setTemplateId(e.target.value)}
+              className="input-field"
+            >
+              {templates.length === 0 && <option value="">No bank file templates</option>}
+              {templates.map((template) => (
+                <option key={template.id} value={template.id}>{template.template_name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Value date</label>
+            <input
+              type="date"
+              value={valueDate}
+              onChange={(e) => setValueDate(e.target.value)}
+              className="input-field"
+            />
+          </div>
+          {errors.length > 0 && (
+            <ul className="text-xs text-red-600 list-disc list-inside space-y-1">
+              {errors.map((error, index) => (
+                <li key={index}>{error.message}</li>
+              ))}
+            </ul>
+          )}
+          <div className="flex justify-end">
+            <button
+              onClick={generate}
+              disabled={generating || !templateId || !valueDate}
+              className="btn-primary"
+            >
+              {generating ? 'Generating...' : 'Generate & Download'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BankFileGenerator
@@ -0,0 +1,107 @@
+/**
+ * Contract approval level components
+ * Table and editor for the CONTRACT_APPROVAL_LEVELS trading configuration.
+ * A contract needs every level whose minimum value it reaches, signed off in
+ * order by different admins.
+ */
+
+import React from 'react'
+import { Plus, Trash2 } from 'lucide-react'
+
+export const ContractApprovalLevelsTable = ({ levels = [] }) => (
+  <ol className="space-y-1 text-sm">
+    {levels.map((level, index) => (
+      <li key={index} className="flex justify-between">
+        <span>
+          <span className="text-gray-400 mr-2">{index + 1}.</span>
+          <span className="font-medium text-gray-900">{level.name}</span>
+        </span>
+        <span className="text-gray-500 ml-4">
+          {level.min_contract_value > 0
+            ? `contracts of ₹${level.min_contract_value.toLocaleString()} and above`
+            : 'every contract'}
+        </span>
+      </li>
+    ))}
+  </ol>
+)
+
+export const ContractApprovalLevelsEditor = ({ levels, onChange }) => {
+  const updateLevel = (index, field, value) => {
+    onChange(levels.map((level, i) => (
+      i === index ? { ...level, [field]: value } : level
+    )))
+  }
+
+  const addLevel = () => {
+    onChange([
+      ...levels,
+      {
+        name: `Level ${levels.length + 1}`,
+        min_contract_value: (levels[levels.length - 1]?.min_contract_value ?? 0) + 1
+      }
+    ])
+  }
+
+  const removeLevel = (index) => {
+    onChange(levels.filter((_, i) => i !== index))
+  }
+
+  return (
+    <div className="col-span-full space-y-3">
+      <p className="text-xs text-gray-500">
+        Levels are signed off in order. The first applies to every contract; each further level
+        applies from a higher contract value (₹) and needs a different admin.
+      </p>
+
+      {levels.map((level, index) => (
+        <div key={index} className="bg-white border border-gray-200 rounded-lg p-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+            <div className="md:col-span-2">
+              <label className="block text-xs font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={level.name}
+                onChange={(e) => updateLevel(index, 'name', e.target.value)}
+                className="input-field"
+                required
+              />
+            </div>
+            <div className="flex items-end gap-2">
+              <div className="flex-1">
+                <label className="block text-xs font-medium text-gray-700 mb-1">From Contract Value (₹)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={level.min_contract_value}
+                  onChange={(e) => updateLevel(index, 'min_contract_value', Number(e.target.value))}
+                  disabled={index === 0}
+                  className="input-field"
+                  required
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => removeLevel(index)}
+                disabled={index === 0}
+                className="mb-2 text-gray-400 hover:text-red-600 disabled:opacity-30"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addLevel}
+        className="btn-secondary"
+      >
+        <Plus className="h-4 w-4 mr-2" />
+        Add Level
+      </button>
+    </div>
+  )
+}
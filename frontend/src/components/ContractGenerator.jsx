@@ -0,0 +1,187 @@
+/**
+ * Contract generator component
+ * Generates the purchase contract of an indent from a template, shows it for
+ * checking and then submits it for approval like an uploaded contract
+ */
+
+import React, { useState, useEffect } from 'react'
+import api, { blobErrorMessage } from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+import { Eye, FileSignature, Send } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const ContractGenerator = ({ indentNumber, buyerType, onGenerated }) => {
+  const [templates, setTemplates] = useState([])
+  const [templateId, setTemplateId] = useState('')
+  const [notes, setNotes] = useState('')
+  const [previewUrl, setPreviewUrl] = useState(null)
+  const [previewing, setPreviewing] = useState(false)
+  const [generating, setGenerating] = useState(false)
+
+  // Fetch the active contract templates
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await api.get('/contract/templates')
+        setTemplates(response.data.data.templates.filter(template => template.is_active))
+      } catch (error) {
+        console.error('Error fetching contract templates:', error)
+        toast.error('Failed to fetch contract templates')
+      }
+    }
+
+    fetchTemplates()
+  }, [])
+
+  // Release a preview once it is replaced or the page is left
+  useEffect(() => {
+    return () => {
+      if (previewUrl) {
+        window.URL.revokeObjectURL(previewUrl)
+      }
+    }
+  }, [previewUrl])
+
+  // A preview is only good for the template it was made with
+  const selectTemplate = (value) => {
+    setTemplateId(value)
+    setPreviewUrl(null)
+  }
+
+  const automaticTemplate = templates.find(template => (
+    buyerType && template.buyer_type?.toUpperCase() === buyerType.toUpperCase()
+  )) || templates.find(template => !template.buyer_type)
+
+  // Generate the contract without recording it
+  const preview = async () => {
+    try {
+      setPreviewing(true)
+      const response = await api.post('/contract/generate/preview', {
+        indent_number: indentNumber,
+        ...(templateId && { template_id: templateId })
+      }, { responseType: 'blob' })
+      setPreviewUrl(window.URL.createObjectURL(response.data))
+    } catch (error) {
+      console.error('Error previewing contract:', error)
+      toast.error(await blobErrorMessage(error, 'Failed to generate contract preview'))
+    } finally {
+      setPreviewing(false)
+    }
+  }
+
+  // Generate the contract again and submit it for approval
+  const generate = async () => {
+    try {
+      setGenerating(true)
+      const response = await api.post('/contract/generate', {
+        indent_number: indentNumber,
+        notes,
+        ...(templateId && { template_id: templateId })
+      })
+      toast.success(response.data.message)
+      onGenerated(response.data.data)
+    } catch (error) {
+      console.error('Error generating contract:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.message || 'Failed to generate contract')
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center mb-2">
+        <FileSignature className="h-6 w-6 text-blue-500 mr-2" />
+        <h2 className="text-lg font-semibold text-gray-900">Generate from Template</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-6">
+        Fill in a contract template with the procurement details of this indent, check the
+        preview and submit it for approval - or upload a prepared PDF below.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+          <select
+            value={templateId}
+            onChange={(e) => selectTemplate(e.target.value)}
+            className="input-field"
+          >
+            <option value="">
+              {automaticTemplate
+                ? `${automaticTemplate.template_name} (for buyer type ${buyerType || 'any'})`
+                : 'No template for this buyer type'}
+            </option>
+            {templates.filter(template => template.id !== automaticTemplate?.id).map(template => (
+              <option key={template.id} value={template.id}>
+                {template.template_name}{template.buyer_type ? ` (${template.buyer_type})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="generate-notes" className="block text-sm font-medium text-gray-700 mb-1">
+            Notes (optional)
+          </label>
+          <input
+            id="generate-notes"
+            type="text"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            maxLength={500}
+            placeholder="Defaults to the template name"
+            className="input-field"
+          />
+        </div>
+      </div>
+
+      {previewUrl && (
+        <iframe
+          src={previewUrl}
+          title={`Contract preview for ${indentNumber}`}
+          className="mt-6 w-full h-[36rem] border border-gray-200 rounded-lg"
+        />
+      )}
+
+      <div className="mt-6 flex justify-end space-x-3">
+        <button
+          onClick={preview}
+          disabled={previewing || (!templateId && !automaticTemplate)}
+          className="btn-secondary"
+        >
+          {previewing ? (
+            <>
+              <LoadingSpinner size="sm" />
+              <span className="ml-2">Generating...</span>
+            </>
+          ) : (
+            <>
+              <Eye className="h-4 w-4 mr-2" />
+              {previewUrl ? 'Refresh Preview' : 'Preview'}
+            </>
+          )}
+        </button>
+        <button
+          onClick={generate}
+          disabled={!previewUrl || generating}
+          title={previewUrl ? undefined : 'Preview the contract first'}
+          className="btn-primary"
+        >
+          {generating ? (
+            <>
+              <LoadingSpinner size="sm" />
+              <span className="ml-2">Submitting...</span>
+            </>
+          ) : (
+            <>
+              <Send className="h-4 w-4 mr-2" />
+              Submit for Approval
+            </>
+          )}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ContractGenerator
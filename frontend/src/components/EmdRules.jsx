@@ -0,0 +1,167 @@
+/**
+ * EMD rule components
+ * Table and editor for the EMD_RULES trading configuration. Rules are checked
+ * top to bottom and the first match wins; blank criteria match anything.
+ */
+
+import React from 'react'
+import { ArrowUp, ArrowDown, Plus, Trash2 } from 'lucide-react'
+
+const CRITERIA = [
+  { name: 'min_bales', label: 'Min Bales', type: 'number' },
+  { name: 'max_bales', label: 'Max Bales', type: 'number' },
+  { name: 'buyer_type', label: 'Buyer Type', type: 'text' },
+  { name: 'crop_year', label: 'Crop Year', type: 'text' },
+  { name: 'zone', label: 'Zone', type: 'text' }
+]
+
+const describeRule = (rule) => {
+  const parts = []
+  if (rule.min_bales !== undefined && rule.max_bales !== undefined) {
+    parts.push(`${rule.min_bales}–${rule.max_bales} bales`)
+  } else if (rule.min_bales !== undefined) {
+    parts.push(`${rule.min_bales}+ bales`)
+  } else if (rule.max_bales !== undefined) {
+    parts.push(`up to ${rule.max_bales} bales`)
+  }
+  if (rule.buyer_type) parts.push(`buyer ${rule.buyer_type}`)
+  if (rule.crop_year) parts.push(`crop ${rule.crop_year}`)
+  if (rule.zone) parts.push(`${rule.zone} zone`)
+  return parts.length > 0 ? parts.join(', ') : 'Any allocation'
+}
+
+export const EmdRulesTable = ({ rules = [] }) => (
+  <ol className="space-y-1 text-sm">
+    {rules.map((rule, index) => (
+      <li key={index} className="flex justify-between">
+        <span>
+          <span className="text-gray-400 mr-2">{index + 1}.</span>
+          <span className="font-medium text-gray-900">{rule.name}</span>
+          <span className="text-gray-500 ml-2">{describeRule(rule)}</span>
+        </span>
+        <span className="font-medium text-gray-900 ml-4">{rule.percentage}%</span>
+      </li>
+    ))}
+  </ol>
+)
+
+export const EmdRulesEditor = ({ rules, onChange }) => {
+  const updateRule = (index, field, rawValue, type) => {
+    onChange(rules.map((rule, i) => {
+      if (i !== index) return rule
+      const updated = { ...rule }
+      if (rawValue === '') {
+        delete updated[field]
+      } else {
+        updated[field] = type === 'number' ? Number(rawValue) : rawValue
+      }
+      return updated
+    }))
+  }
+
+  const moveRule = (index, offset) => {
+    const reordered = [...rules]
+    const [rule] = reordered.splice(index, 1)
+    reordered.splice(index + offset, 0, rule)
+    onChange(reordered)
+  }
+
+  const addRule = () => {
+    onChange([...rules, { name: `Rule ${rules.length + 1}`, percentage: 0 }])
+  }
+
+  const removeRule = (index) => {
+    onChange(rules.filter((_, i) => i !== index))
+  }
+
+  return (
+    <div className="col-span-full space-y-3">
+      <p className="text-xs text-gray-500">
+        Rules are checked from top to bottom and the first match sets the EMD percentage.
+        Leave a criterion blank to match any value.
+      </p>
+
+      {rules.map((rule, index) => (
+        <div key={index} className="bg-white border border-gray-200 rounded-lg p-3">
+          <div className="flex items-center gap-2 mb-3">
+            <span className="text-sm text-gray-400">{index + 1}.</span>
+            <input
+              type="text"
+              value={rule.name}
+              onChange={(e) => updateRule(index, 'name', e.target.value, 'text')}
+              className="input-field flex-1"
+              required
+            />
+            <button
+              type="button"
+              onClick={() => moveRule(index, -1)}
+              disabled={index === 0}
+              className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+            >
+              <ArrowUp className="h-4 w-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => moveRule(index, 1)}
+              disabled={index === rules.length - 1}
+              className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+            >
+              <ArrowDown className="h-4 w-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => removeRule(index)}
+              disabled={rules.length === 1}
+              className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+            {CRITERIA.map(criterion => (
+              <div key={criterion.name}>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  {criterion.label}
+                </label>
+                <input
+                  type={criterion.type}
+                  min={criterion.type === 'number' ? '0' : undefined}
+                  step={criterion.type === 'number' ? '1' : undefined}
+                  value={rule[criterion.name] ?? ''}
+                  onChange={(e) => updateRule(index, criterion.name, e.target.value, criterion.type)}
+                  placeholder="Any"
+                  className="input-field"
+                />
+              </div>
+            ))}
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                EMD %
+              </label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="any"
+                value={rule.percentage}
+                onChange={(e) => updateRule(index, 'percentage', e.target.value, 'number')}
+                className="input-field"
+                required
+              />
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addRule}
+        className="btn-secondary"
+      >
+        <Plus className="h-4 w-4 mr-2" />
+        Add Rule
+      </button>
+    </div>
+  )
+}
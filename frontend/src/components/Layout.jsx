@@ -15,6 +15,13 @@ import {
   ShoppingCart,
   Users,
   Settings2,
+  CalendarDays,
+  Landmark,
+  Banknote,
+  Wallet,
+  BookOpen,
+  FileSpreadsheet,
+  FileSignature,
   LogOut,
   Menu,
   X,
@@ -37,16 +44,24 @@ const Layout = ({ children }) => {
       items.push(
         { name: 'Allocations', href: '/allocations', icon: ClipboardList, roles: ['admin', 'trader'] },
         { name: 'Payments', href: '/payments/verified', icon: Currency, roles: ['admin', 'trader'] },
+        { name: 'EMD', href: '/payments/emd', icon: Wallet, roles: ['admin', 'trader'] },
+        { name: 'Party Ledger', href: '/payments/ledger', icon: BookOpen, roles: ['admin', 'trader'] },
         { name: 'Contracts', href: '/contract/search', icon: FileText, roles: ['admin', 'trader'] },
         { name: 'Sampling', href: '/sampling-entry', icon: Beaker, roles: ['admin', 'trader'] },
         { name: 'Sales', href: '/sales-processing', icon: ShoppingCart, roles: ['admin', 'trader'] },
+        { name: 'Trading Settings', href: '/settings/trading', icon: Settings2, roles: ['admin', 'trader'] },
+        { name: 'Holidays', href: '/settings/holidays', icon: CalendarDays, roles: ['admin', 'trader'] },
+        { name: 'Bank Accounts', href: '/settings/bank-accounts', icon: Banknote, roles: ['admin', 'trader'] },
       )
     }
 
     if (isAdmin()) {
       items.push(
         { name: 'Pending UTRs', href: '/utr/pending', icon: Currency, roles: ['admin'] },
+        { name: 'Reconciliation', href: '/payments/reconciliation', icon: Landmark, roles: ['admin'] },
+        { name: 'Bank Payment Files', href: '/payments/bank-files', icon: FileSpreadsheet, roles: ['admin'] },
         { name: 'Admin Contracts', href: '/admin/contracts', icon: FileText, roles: ['admin'] },
+        { name: 'Contract Templates', href: '/contract/templates', icon: FileSignature, roles: ['admin'] },
         { name: 'Lot Override', href: '/admin/lot-override', icon: Users, roles: ['admin'] },
       )
     }
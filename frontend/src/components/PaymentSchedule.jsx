@@ -0,0 +1,250 @@
+/**
+ * Payment schedule component
+ * Installments of a procurement record - the EMD, then the balance tranches,
+ * then any late payment charges - with the amount paid and outstanding.
+ * Admins can select installments with a CDU to pay them by bank file.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+import BankFileGenerator from './BankFileGenerator'
+import { CalendarDays, FileText } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const STATUS_STYLES = {
+  scheduled: 'bg-gray-100 text-gray-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  partially_paid: 'bg-blue-100 text-blue-800',
+  verified: 'bg-green-100 text-green-800'
+}
+
+const STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  pending: 'CDU Generated',
+  partially_paid: 'Partially Paid',
+  verified: 'Paid'
+}
+
+const PaymentSchedule = ({ procurementId, currentPaymentId }) => {
+  const navigate = useNavigate()
+  const { isAdmin } = useAuth()
+
+  const [installments, setInstallments] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(null)
+  const [selected, setSelected] = useState([])
+
+  // Fetch the installments of the procurement record
+  const fetchSchedule = async () => {
+    try {
+      const response = await api.get(`/payment/schedule/${procurementId}`)
+      setInstallments(response.data.data.installments)
+      setSummary(response.data.data.summary)
+    } catch (error) {
+      console.error('Error fetching payment schedule:', error)
+      toast.error('Failed to fetch payment schedule')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    setLoading(true)
+    fetchSchedule()
+  }, [procurementId])
+
+  // Create the installments from the current payment schedule configuration
+  const createSchedule = async () => {
+    try {
+      setWorking('schedule')
+      await api.post('/payment/schedule', { procurement_id: procurementId })
+      toast.success('Payment schedule created')
+      fetchSchedule()
+    } catch (error) {
+      console.error('Error creating payment schedule:', error)
+      toast.error(error.response?.data?.message || 'Failed to create payment schedule')
+    } finally {
+      setWorking(null)
+    }
+  }
+
+  // Installments with a CDU that are not yet paid in full can go in a bank file
+  const payable = installment => ['pending', 'partially_paid'].includes(installment.payment_status)
+
+  const toggleSelected = (installmentId) => {
+    setSelected(prev => (
+      prev.includes(installmentId) ? prev.filter(id => id !== installmentId) : [...prev, installmentId]
+    ))
+  }
+
+  // Generate the CDU for an installment
+  const generateCDU = async (installment) => {
+    try {
+      setWorking(installment.id)
+      await api.post('/payment/cdu', { payment_id: installment.id })
+      toast.success(`CDU generated for ${installment.installment_name}`)
+      navigate(`/payment/${installment.id}`)
+    } catch (error) {
+      console.error('Error generating CDU:', error)
+      toast.error(error.response?.data?.message || 'Failed to generate CDU')
+    } finally {
+      setWorking(null)
+    }
+  }
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <CalendarDays className="h-6 w-6 text-indigo-500 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Payment Schedule</h2>
+        </div>
+        {isAdmin() && installments.some(payable) && (
+          <BankFileGenerator
+            paymentIds={selected}
+            onGenerated={() => setSelected([])}
+          />
+        )}
+        {!loading && installments.length === 0 && (
+          <button
+            onClick={createSchedule}
+            disabled={working === 'schedule'}
+            className="btn-primary"
+          >
+            {working === 'schedule' ? 'Creating...' : 'Create Schedule'}
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-24">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : installments.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No installments yet. Creating the schedule splits the amount payable into the EMD and the
+          balance tranches.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-4 mb-4">
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm font-medium text-gray-600">Total Payable</p>
+              <p className="text-xl font-bold text-gray-900">₹{summary.total_payable.toLocaleString()}</p>
+            </div>
+            <div className="bg-green-50 p-4 rounded-lg">
+              <p className="text-sm font-medium text-green-600">Paid</p>
+              <p className="text-xl font-bold text-green-900">₹{summary.paid.toLocaleString()}</p>
+            </div>
+            <div className="bg-orange-50 p-4 rounded-lg">
+              <p className="text-sm font-medium text-orange-600">Outstanding</p>
+              <p className="text-xl font-bold text-orange-900">₹{summary.outstanding.toLocaleString()}</p>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {isAdmin() && <th className="px-4 py-3" />}
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Installment</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Paid</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Due Date</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {installments.map((installment) => (
+                  <tr
+                    key={installment.id}
+                    className={installment.id === currentPaymentId ? 'bg-blue-50' : undefined}
+                  >
+                    {isAdmin() && (
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        {payable(installment) && (
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(installment.id)}
+                            onChange={() => toggleSelected(installment.id)}
+                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          />
+                        )}
+                      </td>
+                    )}
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {installment.installment_number}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {installment.installment_name}
+                      {installment.payment_type === 'PENALTY' && installment.penalty_details && (
+                        <div className="text-xs font-normal text-gray-500">
+                          {installment.penalty_details.chargeable_days} business days to {new Date(installment.penalty_details.as_of).toLocaleDateString()}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      ₹{installment.amount.toLocaleString()}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      ₹{installment.amount_paid.toLocaleString()}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      {new Date(installment.due_date).toLocaleDateString()}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                        STATUS_STYLES[installment.payment_status] || 'bg-gray-100 text-gray-800'
+                      }`}>
+                        {STATUS_LABELS[installment.payment_status] || installment.payment_status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium space-x-3">
+                      {installment.payment_status === 'scheduled' ? (
+                        <button
+                          onClick={() => generateCDU(installment)}
+                          disabled={working === installment.id}
+                          className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                        >
+                          <FileText className="h-4 w-4 mr-1" />
+                          {working === installment.id ? 'Generating...' : 'Generate CDU'}
+                        </button>
+                      ) : (
+                        <>
+                          {installment.id !== currentPaymentId && (
+                            <button
+                              onClick={() => navigate(`/payment/${installment.id}`)}
+                              className="text-blue-600 hover:text-blue-900"
+                            >
+                              View
+                            </button>
+                          )}
+                          {installment.payment_status !== 'verified' && (
+                            <button
+                              onClick={() => navigate(`/utr/${installment.id}`)}
+                              className="text-green-600 hover:text-green-900"
+                            >
+                              Submit UTR
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default PaymentSchedule
@@ -0,0 +1,126 @@
+/**
+ * Payment tranche components
+ * Table and editor for the PAYMENT_SCHEDULE trading configuration. Tranches
+ * split the balance left after the EMD; their percentages add up to 100.
+ */
+
+import React from 'react'
+import { Plus, Trash2 } from 'lucide-react'
+
+export const PaymentTranchesTable = ({ tranches = [] }) => (
+  <ol className="space-y-1 text-sm">
+    {tranches.map((tranche, index) => (
+      <li key={index} className="flex justify-between">
+        <span>
+          <span className="text-gray-400 mr-2">{index + 1}.</span>
+          <span className="font-medium text-gray-900">{tranche.name}</span>
+          <span className="text-gray-500 ml-2">
+            {tranche.due_business_days} business days after the EMD due date
+          </span>
+        </span>
+        <span className="font-medium text-gray-900 ml-4">{tranche.percentage}%</span>
+      </li>
+    ))}
+  </ol>
+)
+
+export const PaymentTranchesEditor = ({ tranches, onChange }) => {
+  const updateTranche = (index, field, value) => {
+    onChange(tranches.map((tranche, i) => (
+      i === index ? { ...tranche, [field]: value } : tranche
+    )))
+  }
+
+  const addTranche = () => {
+    onChange([
+      ...tranches,
+      {
+        name: `Tranche ${tranches.length + 1}`,
+        percentage: 0,
+        due_business_days: tranches[tranches.length - 1]?.due_business_days ?? 0
+      }
+    ])
+  }
+
+  const removeTranche = (index) => {
+    onChange(tranches.filter((_, i) => i !== index))
+  }
+
+  const total = tranches.reduce((sum, tranche) => sum + (Number(tranche.percentage) || 0), 0)
+
+  return (
+    <div className="col-span-full space-y-3">
+      <p className="text-xs text-gray-500">
+        The balance after the EMD is paid in these tranches, in order. Due days are business days
+        after the EMD due date and cannot decrease from one tranche to the next.
+      </p>
+
+      {tranches.map((tranche, index) => (
+        <div key={index} className="bg-white border border-gray-200 rounded-lg p-3">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+            <div className="md:col-span-2">
+              <label className="block text-xs font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={tranche.name}
+                onChange={(e) => updateTranche(index, 'name', e.target.value)}
+                className="input-field"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">% of Balance</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="any"
+                value={tranche.percentage}
+                onChange={(e) => updateTranche(index, 'percentage', Number(e.target.value))}
+                className="input-field"
+                required
+              />
+            </div>
+            <div className="flex items-end gap-2">
+              <div className="flex-1">
+                <label className="block text-xs font-medium text-gray-700 mb-1">Due (Business Days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="365"
+                  step="1"
+                  value={tranche.due_business_days}
+                  onChange={(e) => updateTranche(index, 'due_business_days', Number(e.target.value))}
+                  className="input-field"
+                  required
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => removeTranche(index)}
+                disabled={tranches.length === 1}
+                className="mb-2 text-gray-400 hover:text-red-600 disabled:opacity-30"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={addTranche}
+          className="btn-secondary"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Add Tranche
+        </button>
+        <span className={`text-sm font-medium ${Math.abs(total - 100) < 1e-9 ? 'text-green-600' : 'text-red-600'}`}>
+          Total {total}%
+        </span>
+      </div>
+    </div>
+  )
+}
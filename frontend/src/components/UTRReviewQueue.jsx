@@ -0,0 +1,244 @@
+/**
+ * UTR review queue component
+ * Submitted UTRs at one stage of maker-checker review, one per transfer. A
+ * checker other than the submitter takes a UTR under review, then verifies or
+ * rejects it; a payment is paid once its verified transfers cover the amount.
+ */
+
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+import { AlertTriangle, CheckCircle, Eye, Search, XCircle } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const EMPTY_MESSAGES = {
+  utr_submitted: 'No UTRs are waiting for a reviewer.',
+  under_review: 'No UTRs are under review.',
+  rejected: 'No rejected UTRs are waiting for correction.'
+}
+
+const userName = (person) => person ? `${person.first_name} ${person.last_name}` : '-'
+
+const UTRReviewQueue = ({ status, transactions, onChange }) => {
+  const { user } = useAuth()
+
+  const [working, setWorking] = useState(null)
+  const [rejecting, setRejecting] = useState(null)
+  const [reason, setReason] = useState('')
+
+  // Take under review, verify or reject a UTR
+  const act = async (transaction, action, body = {}) => {
+    try {
+      setWorking(transaction.id)
+      const response = await api.post(`/utr/transactions/${transaction.id}/${action}`, body)
+      toast.success(response.data.message)
+      setRejecting(null)
+      setReason('')
+      onChange()
+    } catch (error) {
+      console.error(`Error on UTR ${action}:`, error)
+      toast.error(error.response?.data?.message || 'Failed to update UTR')
+    } finally {
+      setWorking(null)
+    }
+  }
+
+  const rejectUTR = (transaction) => {
+    if (reason.trim().length < 5) {
+      toast.error('Give a reason of at least 5 characters')
+      return
+    }
+    act(transaction, 'reject', { reason: reason.trim() })
+  }
+
+  if (transactions.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <CheckCircle className="mx-auto h-12 w-12 text-gray-400" />
+        <p className="mt-2 text-sm text-gray-500">{EMPTY_MESSAGES[status]}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="table-container">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+              Payment Details
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+              Procurement Info
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+              UTR
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+              {status === 'rejected' ? 'Rejection' : 'Reviewer'}
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+              Actions
+            </th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {transactions.map((transaction) => {
+            const { payment } = transaction
+            // The maker cannot check their own UTR; a UTR under review belongs to its reviewer
+            const ownSubmission = transaction.submitted_by === user?.id
+            const canVerify = !ownSubmission &&
+              (status === 'utr_submitted' || transaction.reviewed_by === user?.id)
+
+            return (
+              <tr key={transaction.id} className="hover:bg-gray-50">
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="text-sm font-medium text-gray-900">
+                    ₹{payment.amount.toLocaleString()}
+                  </div>
+                  {payment.amount_paid > 0 && (
+                    <div className="text-sm text-green-600">
+                      ₹{payment.amount_paid.toLocaleString()} paid so far
+                    </div>
+                  )}
+                  <div className="text-sm text-gray-500">
+                    {payment.installment_name || payment.payment_type}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    Due: {new Date(payment.due_date).toLocaleDateString()}
+                  </div>
+                </td>
+
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="text-sm font-medium text-gray-900">
+                    {payment.procurement_dump?.indent_number}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {payment.procurement_dump?.firm_name}
+                  </div>
+                </td>
+
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="text-sm font-mono text-gray-900">{transaction.utr_number}</div>
+                  <div className="text-sm text-gray-900">
+                    ₹{transaction.amount.toLocaleString()} by {transaction.payment_mode}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    By {ownSubmission ? 'you' : userName(transaction.submitted_user)}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {new Date(transaction.submitted_at).toLocaleString()}
+                  </div>
+                  {/* Duplicate UTRs and bank amount mismatches */}
+                  {transaction.warnings?.map((warning) => (
+                    <div key={warning.message} className="flex items-start text-xs text-orange-700 max-w-xs whitespace-normal">
+                      <AlertTriangle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                      {warning.message}
+                    </div>
+                  ))}
+                </td>
+
+                <td className="px-6 py-4">
+                  {transaction.reviewed_by ? (
+                    <>
+                      <div className="text-sm text-gray-900">{userName(transaction.reviewed_user)}</div>
+                      {transaction.reviewed_at && (
+                        <div className="text-sm text-gray-500">
+                          {new Date(transaction.reviewed_at).toLocaleString()}
+                        </div>
+                      )}
+                      {status === 'rejected' && (
+                        <div className="text-sm text-red-600 max-w-xs">{transaction.rejection_reason}</div>
+                      )}
+                    </>
+                  ) : (
+                    <span className="text-sm text-gray-500">Not taken yet</span>
+                  )}
+                </td>
+
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  {rejecting === transaction.id ? (
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="text"
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        placeholder="Reason for rejection"
+                        className="input-field"
+                        maxLength={500}
+                      />
+                      <button
+                        onClick={() => rejectUTR(transaction)}
+                        disabled={working === transaction.id}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        Reject
+                      </button>
+                      <button
+                        onClick={() => { setRejecting(null); setReason('') }}
+                        className="text-gray-500 hover:text-gray-700"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  ) : working === transaction.id ? (
+                    <LoadingSpinner size="sm" />
+                  ) : (
+                    <div className="flex items-center space-x-3">
+                      {status === 'utr_submitted' && !ownSubmission && (
+                        <button
+                          onClick={() => act(transaction, 'review')}
+                          className="inline-flex items-center text-purple-600 hover:text-purple-900"
+                        >
+                          <Search className="h-4 w-4 mr-1" />
+                          Review
+                        </button>
+                      )}
+                      {canVerify && status !== 'rejected' && (
+                        <>
+                          <button
+                            onClick={() => act(transaction, 'verify')}
+                            className="inline-flex items-center text-green-600 hover:text-green-900"
+                          >
+                            <CheckCircle className="h-4 w-4 mr-1" />
+                            Verify
+                          </button>
+                          <button
+                            onClick={() => setRejecting(transaction.id)}
+                            className="inline-flex items-center text-red-600 hover:text-red-900"
+                          >
+                            <XCircle className="h-4 w-4 mr-1" />
+                            Reject
+                          </button>
+                        </>
+                      )}
+                      {status === 'rejected' && ownSubmission && (
+                        <Link
+                          to={`/utr/${payment.id}?correct=${transaction.id}`}
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          Correct UTR
+                        </Link>
+                      )}
+                      <Link
+                        to={`/payment/${payment.id}`}
+                        className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                      >
+                        <Eye className="h-4 w-4 mr-1" />
+                        View
+                      </Link>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default UTRReviewQueue
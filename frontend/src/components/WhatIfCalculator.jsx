@@ -0,0 +1,240 @@
+/**
+ * What-if calculator
+ * Compares procurement cost scenarios for an allocation side by side.
+ * Uses /procurement/simulate, which never saves anything.
+ */
+
+import React, { useState } from 'react'
+import api from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+import { FlaskConical, Plus, Trash2 } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const MAX_SCENARIOS = 5
+
+// Override fields; a blank field keeps the allocation's own value
+const OVERRIDE_FIELDS = [
+  { name: 'bale_quantity', label: 'Bale Quantity', type: 'number', step: '1' },
+  { name: 'otr_price', label: 'OTR Price (₹)', type: 'number', step: 'any' },
+  { name: 'zone', label: 'Zone', type: 'text' },
+  { name: 'candy_rate', label: 'Candy Rate', type: 'number', step: 'any' },
+  { name: 'buyer_state', label: 'Buyer State', type: 'text' }
+]
+
+const emptyScenario = (index) => ({
+  label: `Scenario ${index + 1}`,
+  bale_quantity: '',
+  otr_price: '',
+  zone: '',
+  candy_rate: '',
+  buyer_state: ''
+})
+
+const formatAmount = (value) => `₹${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`
+
+const formatDifference = (value) => {
+  if (Math.abs(value) < 0.005) return null
+  const sign = value > 0 ? '+' : '-'
+  return `${sign}₹${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}`
+}
+
+const WhatIfCalculator = ({ allocation }) => {
+  const [scenarios, setScenarios] = useState([emptyScenario(0)])
+  const [result, setResult] = useState(null)
+  const [simulating, setSimulating] = useState(false)
+
+  const updateScenario = (index, field, value) => {
+    setScenarios(prev => prev.map((scenario, i) => (
+      i === index ? { ...scenario, [field]: value } : scenario
+    )))
+  }
+
+  const addScenario = () => {
+    setScenarios(prev => [...prev, emptyScenario(prev.length)])
+  }
+
+  const removeScenario = (index) => {
+    setScenarios(prev => prev.filter((_, i) => i !== index))
+  }
+
+  // Send only the fields that were filled in
+  const buildPayload = () => scenarios.map(scenario => {
+    const payload = { label: scenario.label || undefined }
+    OVERRIDE_FIELDS.forEach(({ name, type }) => {
+      if (scenario[name] !== '') {
+        payload[name] = type === 'number' ? Number(scenario[name]) : scenario[name]
+      }
+    })
+    return payload
+  })
+
+  const runSimulation = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSimulating(true)
+      const response = await api.post('/procurement/simulate', {
+        indent_number: allocation.indent_number,
+        scenarios: buildPayload()
+      })
+      setResult(response.data.data)
+    } catch (error) {
+      console.error('Error running simulation:', error)
+      const details = error.response?.data?.errors
+      toast.error(details?.[0]?.message || error.response?.data?.message || 'Failed to run simulation')
+    } finally {
+      setSimulating(false)
+    }
+  }
+
+  const columns = result ? [result.baseline, ...result.scenarios] : []
+
+  const rows = [
+    { label: 'Bale Quantity', value: (column) => column.inputs.bale_quantity.toLocaleString() },
+    { label: 'OTR Price', value: (column) => formatAmount(column.inputs.otr_price) },
+    { label: 'Zone', value: (column) => column.inputs.zone },
+    { label: 'Buyer State', value: (column) => column.inputs.buyer_state || '-' },
+    { label: 'Candy Rate', value: (column) => column.breakdown.candy_rate.toFixed(4) },
+    { label: 'Cotton Value', value: (column) => formatAmount(column.breakdown.cotton_value), diff: 'cotton_value' },
+    {
+      label: 'EMD',
+      value: (column) => `${formatAmount(column.breakdown.emd_amount)} (${column.breakdown.emd_percentage}%)`,
+      diff: 'emd_amount'
+    },
+    {
+      label: 'GST',
+      value: (column) => {
+        const gst = column.breakdown.gst_breakdown
+        return `${formatAmount(gst.total_gst)} (${gst.intra_state ? 'CGST+SGST' : 'IGST'} ${gst.gst_rate}%)`
+      },
+      diff: 'total_gst'
+    },
+    { label: 'Total Amount', value: (column) => formatAmount(column.breakdown.total_amount), diff: 'total_amount', bold: true }
+  ]
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center mb-2">
+        <FlaskConical className="h-6 w-6 text-teal-500 mr-2" />
+        <h2 className="text-lg font-semibold text-gray-900">What-if Calculator</h2>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Try different prices and quantities. Leave a field blank to keep the allocation's value.
+        Simulations are not saved.
+      </p>
+
+      <form onSubmit={runSimulation} className="space-y-4">
+        {scenarios.map((scenario, index) => (
+          <div key={index} className="bg-gray-50 p-4 rounded-lg">
+            <div className="flex items-center justify-between mb-3">
+              <input
+                type="text"
+                value={scenario.label}
+                onChange={(e) => updateScenario(index, 'label', e.target.value)}
+                maxLength={50}
+                className="text-sm font-medium text-gray-900 bg-transparent border-b border-gray-300 focus:outline-none focus:border-blue-500"
+              />
+              {scenarios.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removeScenario(index)}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              {OVERRIDE_FIELDS.map(field => (
+                <div key={field.name}>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    {field.label}
+                  </label>
+                  <input
+                    type={field.type}
+                    step={field.step}
+                    min={field.type === 'number' ? '0' : undefined}
+                    value={scenario[field.name]}
+                    onChange={(e) => updateScenario(index, field.name, e.target.value)}
+                    placeholder="Unchanged"
+                    className="input-field"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div className="flex justify-between">
+          <button
+            type="button"
+            onClick={addScenario}
+            disabled={scenarios.length >= MAX_SCENARIOS}
+            className="btn-secondary"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Scenario
+          </button>
+          <button
+            type="submit"
+            disabled={simulating}
+            className="btn-primary"
+          >
+            {simulating ? (
+              <>
+                <LoadingSpinner size="sm" />
+                <span className="ml-2">Simulating...</span>
+              </>
+            ) : (
+              'Compare Scenarios'
+            )}
+          </button>
+        </div>
+      </form>
+
+      {result && (
+        <div className="mt-6 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase" />
+                {columns.map((column, index) => (
+                  <th key={index} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                    {column.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rows.map((row) => (
+                <tr key={row.label}>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{row.label}</td>
+                  {columns.map((column, index) => {
+                    const difference = row.diff && column.difference
+                      ? formatDifference(column.difference[row.diff])
+                      : null
+                    return (
+                      <td
+                        key={index}
+                        className={`px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900 ${row.bold ? 'font-semibold' : ''}`}
+                      >
+                        {row.value(column)}
+                        {difference && (
+                          <p className={`text-xs ${column.difference[row.diff] > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                            {difference}
+                          </p>
+                        )}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default WhatIfCalculator
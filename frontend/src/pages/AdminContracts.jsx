@@ -1,11 +1,14 @@
 /**
  * Admin Contracts page - Flow 3
- * Admin interface for reviewing and approving uploaded contracts
+ * Admin interface for reviewing uploaded contracts. Each contract is signed off
+ * level by level by different admins; the backend sends it to the branch once
+ * the last level is approved. Contracts whose stored PDF no longer matches the
+ * approved one are flagged, and copies can be checked against it.
  */
 
 import React, { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
-import api from '../services/api'
+import api, { uploadFile } from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
 import {
   FileText,
@@ -14,30 +17,66 @@ import {
   Eye,
   Send,
   AlertTriangle,
-  Filter
+  Filter,
+  XCircle,
+  RotateCcw,
+  UserCheck,
+  ShieldAlert,
+  ShieldCheck
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
-const N8N_CONTRACT_APPROVE_SEND_WEBHOOK='https://primary-production-b52e.up.railway.app/webhook-test/contract-approve'; 
+const STATUS_OPTIONS = [
+  { value: 'pending', label: 'Awaiting approval' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'failed', label: 'Sending failed' },
+  { value: 'changes_requested', label: 'Changes requested' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'sent', label: 'Sent' }
+]
+
+const STATUS_BADGES = {
+  pending: 'status-pending',
+  approved: 'status-verified',
+  sent: 'status-completed',
+  failed: 'status-overdue',
+  changes_requested: 'status-pending',
+  rejected: 'status-cancelled'
+}
+
+const EMPTY_MESSAGES = {
+  pending: 'All contracts have been reviewed and processed.',
+  approved: 'No approved contracts are waiting to be sent.',
+  failed: 'No contracts failed to send.',
+  changes_requested: 'No contracts are waiting for a revised upload.',
+  rejected: 'No contracts have been rejected.',
+  sent: 'No contracts have been sent yet.'
+}
+
+const userName = (person) => person ? `${person.first_name} ${person.last_name}` : '-'
+
+const formatStatus = (status) => status.replace(/_/g, ' ')
 
 const AdminContracts = () => {
   const { user, isAdmin } = useAuth()
   const [contracts, setContracts] = useState([])
   const [loading, setLoading] = useState(true)
-  const [approving, setApproving] = useState({})
+  const [working, setWorking] = useState(null)
+  const [declining, setDeclining] = useState(null)
+  const [reason, setReason] = useState('')
   const [filters, setFilters] = useState({
     status: 'pending'
   })
 
-  // Fetch pending contracts
+  // Fetch contracts in the selected status with their approval progress
   const fetchContracts = async () => {
     try {
       setLoading(true)
-      const response = await api.get('/contract/pending')
+      const response = await api.get('/contract', { params: { status: filters.status } })
       setContracts(response.data.data.contracts)
     } catch (error) {
       console.error('Error fetching contracts:', error)
-      toast.error('Failed to fetch contracts')
+      toast.error(error.response?.data?.message || 'Failed to fetch contracts')
     } finally {
       setLoading(false)
     }
@@ -49,44 +88,102 @@ const AdminContracts = () => {
     } else {
       setLoading(false)
     }
-  }, [isAdmin])
+  }, [isAdmin, filters.status])
 
-  // Approve and send contract
-  const approveAndSend = async (contractId) => {
+  // Approve, reject, request changes on or resend a contract
+  const act = async (contract, action, body = {}) => {
     try {
-      setApproving(prev => ({ ...prev, [contractId]: true }))
-      const contract = contracts.find(c => c.id === contractId)
-      // Prepare payload for n8n webhook
-      const payload = {
-        contract_id: contractId,
-        indent_number: contract.indent_number,
-        firm_name: contract.firm_name,
-        file_url: contract.file_url,
-        branch_name: contract.branch_name, // if available
-        // Add more fields if needed by n8n
+      setWorking(contract.id)
+      const response = await api.post(`/contract/${contract.id}/${action}`, body)
+      const dispatch = response.data.data?.dispatch
+      if (dispatch && !dispatch.dispatched) {
+        toast.error(response.data.message)
+      } else {
+        toast.success(response.data.message)
+      }
+      setDeclining(null)
+      setReason('')
+      fetchContracts()
+    } catch (error) {
+      console.error(`Error on contract ${action}:`, error)
+      toast.error(error.response?.data?.message || 'Failed to update contract')
+      if (error.response?.status === 409) {
+        fetchContracts()
       }
-      const response = await fetch(N8N_CONTRACT_APPROVE_SEND_WEBHOOK, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      })
-      if (!response.ok) {
-        const errorData = await response.json()
-        throw new Error(errorData.message || 'Failed to approve contract')
+    } finally {
+      setWorking(null)
+    }
+  }
+
+  const approveContract = (contract) => {
+    act(contract, 'approve', { document_id: contract.current_document.id })
+  }
+
+  const declineContract = (contract) => {
+    if (reason.trim().length < 3) {
+      toast.error('Give a reason of at least 3 characters')
+      return
+    }
+    act(contract, declining.action, {
+      document_id: contract.current_document.id,
+      reason: reason.trim()
+    })
+  }
+
+  // The uploader and admins who signed off an earlier level cannot sign again
+  const canSignOff = (contract) => (
+    contract.status === 'pending' &&
+    contract.current_document &&
+    contract.current_document.uploaded_by !== user?.id &&
+    !contract.approval?.decisions.some(decision => (
+      decision.decision === 'approved' && decision.decided_by === user?.id
+    ))
+  )
+
+  // Check a copy of the contract, e.g. the one the firm returned, against the approved PDF
+  const verifyCopy = async (contract, file) => {
+    if (!file) {
+      return
+    }
+
+    try {
+      setWorking(contract.id)
+      const formData = new FormData()
+      formData.append('contract', file)
+      const response = await uploadFile(`/contract/${contract.id}/verify`, formData)
+      if (response.data.data.matches) {
+        toast.success(response.data.message)
+      } else {
+        toast.error(response.data.message, { duration: 8000 })
       }
-      toast.success('Contract approved and sent successfully!')
-      setContracts(prev => prev.filter(c => c.id !== contractId))
     } catch (error) {
-      console.error('Error approving contract:', error)
-      toast.error(error.message || 'Failed to approve contract')
+      console.error('Error verifying contract copy:', error)
+      toast.error(error.response?.data?.message || 'Failed to verify contract copy')
     } finally {
-      setApproving(prev => ({ ...prev, [contractId]: false }))
+      setWorking(null)
     }
   }
 
   // View contract (open in new tab)
-  const viewContract = (fileUrl) => {
-    window.open(fileUrl, '_blank')
+  const viewContract = async (contract) => {
+    // Contracts uploaded through n8n before the backend stored documents only have a file URL
+    if (!contract.current_document_id) {
+      window.open(contract.file_url, '_blank')
+      return
+    }
+
+    // Open the tab before the download so it is not taken for a popup
+    const tab = window.open('', '_blank')
+    try {
+      const response = await api.get(`/contract/${contract.id}/document`, { responseType: 'blob' })
+      const url = window.URL.createObjectURL(response.data)
+      tab.location.href = url
+      setTimeout(() => window.URL.revokeObjectURL(url), 60 * 1000)
+    } catch (error) {
+      tab.close()
+      console.error('Error opening contract:', error)
+      toast.error('Failed to open contract')
+    }
   }
 
   if (!isAdmin()) {
@@ -115,7 +212,7 @@ const AdminContracts = () => {
       <div className="border-b border-gray-200 pb-4">
         <h1 className="text-2xl font-bold text-gray-900">Contract Administration</h1>
         <p className="mt-1 text-sm text-gray-600">
-          Review and approve uploaded purchase contracts
+          Review, approve and send uploaded purchase contracts
         </p>
       </div>
 
@@ -123,9 +220,9 @@ const AdminContracts = () => {
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-white p-4 rounded-lg shadow">
           <div className="flex items-center">
-            <Clock className="h-8 w-8 text-yellow-500" />
+            <FileText className="h-8 w-8 text-blue-500" />
             <div className="ml-3">
-              <p className="text-sm font-medium text-gray-500">Pending Review</p>
+              <p className="text-sm font-medium text-gray-500 capitalize">{formatStatus(filters.status)}</p>
               <p className="text-lg font-semibold text-gray-900">{contracts.length}</p>
             </div>
           </div>
@@ -133,24 +230,25 @@ const AdminContracts = () => {
 
         <div className="bg-white p-4 rounded-lg shadow">
           <div className="flex items-center">
-            <FileText className="h-8 w-8 text-blue-500" />
+            <UserCheck className="h-8 w-8 text-yellow-500" />
             <div className="ml-3">
-              <p className="text-sm font-medium text-gray-500">Total Contracts</p>
-              <p className="text-lg font-semibold text-gray-900">{contracts.length}</p>
+              <p className="text-sm font-medium text-gray-500">Awaiting Your Sign-off</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {contracts.filter(canSignOff).length}
+              </p>
             </div>
           </div>
         </div>
 
         <div className="bg-white p-4 rounded-lg shadow">
           <div className="flex items-center">
-            <CheckCircle className="h-8 w-8 text-green-500" />
+            <Clock className="h-8 w-8 text-purple-500" />
             <div className="ml-3">
-              <p className="text-sm font-medium text-gray-500">Approved Today</p>
+              <p className="text-sm font-medium text-gray-500">At Final Level</p>
               <p className="text-lg font-semibold text-gray-900">
-                {contracts.filter(c => {
-                  const today = new Date().toDateString()
-                  return new Date(c.uploaded_at).toDateString() === today
-                }).length}
+                {contracts.filter(c => (
+                  c.status === 'pending' && c.approval && c.approval.approved + 1 === c.approval.required
+                )).length}
               </p>
             </div>
           </div>
@@ -158,10 +256,15 @@ const AdminContracts = () => {
 
         <div className="bg-white p-4 rounded-lg shadow">
           <div className="flex items-center">
-            <Send className="h-8 w-8 text-purple-500" />
+            <CheckCircle className="h-8 w-8 text-green-500" />
             <div className="ml-3">
-              <p className="text-sm font-medium text-gray-500">Avg Review Time</p>
-              <p className="text-lg font-semibold text-gray-900">2.5h</p>
+              <p className="text-sm font-medium text-gray-500">Approved Today</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {contracts.filter(c => {
+                  const today = new Date().toDateString()
+                  return c.approved_at && new Date(c.approved_at).toDateString() === today
+                }).length}
+              </p>
             </div>
           </div>
         </div>
@@ -174,12 +277,23 @@ const AdminContracts = () => {
             <Filter className="h-5 w-5 text-gray-400 mr-2" />
             <h3 className="text-lg font-medium text-gray-900">Filters</h3>
           </div>
-          <button
-            onClick={fetchContracts}
-            className="btn-secondary text-sm"
-          >
-            Refresh
-          </button>
+          <div className="flex items-center space-x-3">
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+              className="input-field"
+            >
+              {STATUS_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={fetchContracts}
+              className="btn-secondary text-sm"
+            >
+              Refresh
+            </button>
+          </div>
         </div>
       </div>
 
@@ -193,7 +307,7 @@ const AdminContracts = () => {
                   Contract Details
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Procurement Info
+                  Approval
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Upload Details
@@ -219,17 +333,60 @@ const AdminContracts = () => {
                       </div>
                       <div className="text-xs text-gray-500 mt-1">
                         File: {contract.file_name}
+                        {contract.current_version > 1 && ` (version ${contract.current_version})`}
                       </div>
+                      {contract.integrity && contract.integrity.status !== 'intact' && (
+                        <div className="mt-2 flex items-start text-xs text-red-700 bg-red-50 rounded px-2 py-1 whitespace-normal">
+                          <ShieldAlert className="h-4 w-4 mr-1 flex-shrink-0" />
+                          <div>
+                            <div className="font-medium">
+                              {contract.integrity.changed_since_approval
+                                ? 'Document changed since approval'
+                                : 'Document changed since upload'}
+                            </div>
+                            <div>{contract.integrity.message}</div>
+                          </div>
+                        </div>
+                      )}
+                      {contract.integrity?.status === 'intact' && contract.integrity.approved_checksum && (
+                        <div
+                          className="mt-1 flex items-center text-xs text-green-700"
+                          title={`SHA-256 ${contract.integrity.approved_checksum}`}
+                        >
+                          <ShieldCheck className="h-3 w-3 mr-1" />
+                          Matches the approved document
+                        </div>
+                      )}
                     </div>
                   </td>
 
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-900">
-                      View in procurement section
-                    </div>
-                    <div className="text-sm text-gray-500">
-                      Related to {contract.indent_number}
-                    </div>
+                  <td className="px-6 py-4">
+                    {contract.approval ? (
+                      <div>
+                        <div className="text-sm text-gray-900">
+                          {contract.approval.contract_value != null
+                            ? `₹${Number(contract.approval.contract_value).toLocaleString()}`
+                            : '-'}
+                        </div>
+                        <div className="text-sm text-gray-500">
+                          Signed off {contract.approval.approved} of {contract.approval.required}
+                          {contract.status === 'pending' && contract.approval.next_level && (
+                            <> · next: {contract.approval.next_level.name}</>
+                          )}
+                        </div>
+                        {contract.approval.decisions.map(decision => (
+                          <div key={decision.id} className="text-xs text-gray-500 mt-1">
+                            {decision.decision === 'approved'
+                              ? `${decision.level_name}: ${userName(decision.decided_user)}`
+                              : `${formatStatus(decision.decision)} by ${userName(decision.decided_user)}: ${decision.reason}`}
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <div className="text-sm text-gray-500">
+                        Uploaded before approvals were tracked
+                      </div>
+                    )}
                   </td>
 
                   <td className="px-6 py-4 whitespace-nowrap">
@@ -247,42 +404,104 @@ const AdminContracts = () => {
                   </td>
 
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <span className="status-badge status-pending">
+                    <span className={`status-badge ${STATUS_BADGES[contract.status] || 'status-pending'}`}>
                       <Clock className="h-3 w-3 mr-1" />
-                      {contract.status}
+                      {formatStatus(contract.status)}
                     </span>
                   </td>
 
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-y-2">
                     <div className="flex space-x-2">
                       <button
-                        onClick={() => viewContract(contract.file_url)}
+                        onClick={() => viewContract(contract)}
                         className="inline-flex items-center text-blue-600 hover:text-blue-900"
                       >
                         <Eye className="h-4 w-4 mr-1" />
                         View PDF
                       </button>
+                      {contract.approved_checksum_sha256 && (
+                        <label className="inline-flex items-center text-gray-600 hover:text-gray-900 cursor-pointer">
+                          <ShieldCheck className="h-4 w-4 mr-1" />
+                          Verify copy
+                          <input
+                            type="file"
+                            accept="application/pdf,.pdf"
+                            onChange={(e) => { verifyCopy(contract, e.target.files[0]); e.target.value = '' }}
+                            className="hidden"
+                          />
+                        </label>
+                      )}
                     </div>
                     
-                    <div>
-                      <button
-                        onClick={() => approveAndSend(contract.id)}
-                        disabled={approving[contract.id]}
-                        className="inline-flex items-center btn-primary text-sm"
-                      >
-                        {approving[contract.id] ? (
+                    {declining?.id === contract.id ? (
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="text"
+                          value={reason}
+                          onChange={(e) => setReason(e.target.value)}
+                          placeholder={declining.action === 'reject' ? 'Reason for rejection' : 'Changes needed'}
+                          className="input-field"
+                          maxLength={1000}
+                        />
+                        <button
+                          onClick={() => declineContract(contract)}
+                          disabled={working === contract.id}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          {declining.action === 'reject' ? 'Reject' : 'Send back'}
+                        </button>
+                        <button
+                          onClick={() => { setDeclining(null); setReason('') }}
+                          className="text-gray-500 hover:text-gray-700"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ) : working === contract.id ? (
+                      <LoadingSpinner size="sm" />
+                    ) : (
+                      <div className="flex space-x-3">
+                        {canSignOff(contract) && (
+                          <button
+                            onClick={() => approveContract(contract)}
+                            className="inline-flex items-center btn-primary text-sm"
+                          >
+                            <CheckCircle className="h-4 w-4 mr-1" />
+                            {contract.approval?.next_level
+                              ? `Approve (${contract.approval.next_level.name})`
+                              : 'Approve'}
+                          </button>
+                        )}
+                        {contract.status === 'pending' && contract.current_document &&
+                          contract.current_document.uploaded_by !== user?.id && (
                           <>
-                            <LoadingSpinner size="sm" />
-                            <span className="ml-2">Processing...</span>
+                            <button
+                              onClick={() => setDeclining({ id: contract.id, action: 'request-changes' })}
+                              className="inline-flex items-center text-yellow-600 hover:text-yellow-900"
+                            >
+                              <RotateCcw className="h-4 w-4 mr-1" />
+                              Request changes
+                            </button>
+                            <button
+                              onClick={() => setDeclining({ id: contract.id, action: 'reject' })}
+                              className="inline-flex items-center text-red-600 hover:text-red-900"
+                            >
+                              <XCircle className="h-4 w-4 mr-1" />
+                              Reject
+                            </button>
                           </>
-                        ) : (
-                          <>
+                        )}
+                        {['approved', 'failed'].includes(contract.status) && (
+                          <button
+                            onClick={() => act(contract, 'dispatch')}
+                            className="inline-flex items-center text-purple-600 hover:text-purple-900"
+                          >
                             <Send className="h-4 w-4 mr-1" />
-                            Approve & Send
-                          </>
+                            Send again
+                          </button>
                         )}
-                      </button>
-                    </div>
+                      </div>
+                    )}
                   </td>
                 </tr>
               ))}
@@ -294,9 +513,9 @@ const AdminContracts = () => {
         {contracts.length === 0 && (
           <div className="text-center py-12">
             <FileText className="mx-auto h-12 w-12 text-gray-400" />
-            <h3 className="mt-2 text-sm font-medium text-gray-900">No pending contracts</h3>
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No contracts</h3>
             <p className="mt-1 text-sm text-gray-500">
-              All contracts have been reviewed and processed.
+              {EMPTY_MESSAGES[filters.status]}
             </p>
           </div>
         )}
@@ -314,7 +533,11 @@ const AdminContracts = () => {
               <li>Check that the contract is properly signed and dated</li>
               <li>Verify all terms and conditions are clearly mentioned</li>
               <li>Ensure the PDF is clear and readable</li>
-              <li>Once approved, the contract will be automatically sent to the branch email</li>
+              <li>Contracts need a sign-off at each approval level their value reaches, each by a different admin</li>
+              <li>You cannot review a contract you uploaded</li>
+              <li>Once the last level is approved, the contract will be automatically sent to the branch email</li>
+              <li>Each PDF is fingerprinted when it is uploaded and approved; a contract whose stored PDF has changed is flagged and is not sent</li>
+              <li>Use Verify copy to check a PDF received back from the firm against the approved one</li>
             </ul>
           </div>
         </div>
@@ -345,7 +568,7 @@ const AdminContracts = () => {
               <span className="text-green-600 font-bold">3</span>
             </div>
             <h4 className="font-medium text-gray-900">Approve</h4>
-            <p className="text-sm text-gray-500">Click approve & send button</p>
+            <p className="text-sm text-gray-500">Each approval level signs off in turn</p>
           </div>
 
           <div className="text-center">
@@ -353,7 +576,7 @@ const AdminContracts = () => {
               <span className="text-purple-600 font-bold">4</span>
             </div>
             <h4 className="font-medium text-gray-900">Send</h4>
-            <p className="text-sm text-gray-500">Automatically emailed to branch</p>
+            <p className="text-sm text-gray-500">Emailed to branch after final approval</p>
           </div>
         </div>
       </div>
@@ -4,48 +4,83 @@
  */
 
 import React, { useState, useEffect } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import { useParams, useNavigate, Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import api from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
+import WhatIfCalculator from '../components/WhatIfCalculator'
+import PaymentSchedule from '../components/PaymentSchedule'
 import {
   ClipboardList,
   Currency,
   Calculator,
   FileText,
   Building2,
-  CalendarDays
+  CalendarDays,
+  Wallet
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
+const ALLOCATION_STATUSES = ['pending', 'active', 'completed', 'cancelled']
+
+// What a status change does to the EMDs held
+const EMD_EFFECTS = {
+  completed: 'EMDs held are adjusted against the final bill.',
+  cancelled: 'EMDs held are refunded to the firm after approval, or forfeited.'
+}
+
 const AllocationDetail = () => {
   const { id } = useParams()
   const navigate = useNavigate()
-  const { user } = useAuth()
+  const { user, isAdmin } = useAuth()
   
   const [allocation, setAllocation] = useState(null)
+  const [emd, setEmd] = useState(null)
+  const [statusChange, setStatusChange] = useState({ status: '', notes: '', emd_action: 'refund' })
+  const [updatingStatus, setUpdatingStatus] = useState(false)
   const [procurement, setProcurement] = useState(null)
   const [loading, setLoading] = useState(true)
   const [calculating, setCalculating] = useState(false)
   const [generatingCDU, setGeneratingCDU] = useState(false)
 
-  // Fetch allocation details
-  useEffect(() => {
-    const fetchAllocation = async () => {
-      try {
-        const response = await api.get(`/allocations/${id}`)
-        setAllocation(response.data.data.allocation)
-      } catch (error) {
-        console.error('Error fetching allocation:', error)
-        toast.error('Failed to fetch allocation details')
-      } finally {
-        setLoading(false)
-      }
+  // Fetch allocation details with its EMDs
+  const fetchAllocation = async () => {
+    try {
+      const response = await api.get(`/allocations/${id}`)
+      setAllocation(response.data.data.allocation)
+      setEmd(response.data.data.emd)
+      setStatusChange(prev => ({ ...prev, status: response.data.data.allocation.allocation_status }))
+    } catch (error) {
+      console.error('Error fetching allocation:', error)
+      toast.error('Failed to fetch allocation details')
+    } finally {
+      setLoading(false)
     }
+  }
 
+  useEffect(() => {
     fetchAllocation()
   }, [id])
 
+  // Change the allocation status, moving its EMDs with it
+  const updateStatus = async (e) => {
+    e.preventDefault()
+
+    try {
+      setUpdatingStatus(true)
+      const response = await api.put(`/allocations/${id}/status`, statusChange)
+      toast.success(response.data.message)
+      setStatusChange(prev => ({ ...prev, notes: '' }))
+      fetchAllocation()
+    } catch (error) {
+      console.error('Error updating allocation status:', error)
+      const { message, error: reason } = error.response?.data || {}
+      toast.error(message ? [message, reason].filter(Boolean).join(': ') : 'Failed to update allocation status')
+    } finally {
+      setUpdatingStatus(false)
+    }
+  }
+
   // Calculate procurement costs
   const calculateProcurement = async () => {
     try {
@@ -87,6 +122,12 @@ const AllocationDetail = () => {
     }
   }
 
+  // Procurement whose installments are shown: the one just calculated, otherwise
+  // the latest one with a payment schedule
+  const scheduledProcurement = procurement || (allocation?.procurement_dump || [])
+    .filter(proc => proc.payments?.length > 0)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0]
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -229,6 +270,91 @@ const AllocationDetail = () => {
         </div>
       </div>
 
+      {/* EMD and status */}
+      {(isAdmin() || emd?.deposits.length > 0) && (
+        <div className="card p-6">
+          <div className="flex items-center mb-4">
+            <Wallet className="h-6 w-6 text-blue-500 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">EMD</h2>
+            <Link to="/payments/emd" className="ml-auto text-sm text-blue-600 hover:text-blue-900">
+              All EMDs
+            </Link>
+          </div>
+
+          {emd?.deposits.length > 0 ? (
+            <ul className="divide-y divide-gray-200 mb-4">
+              {emd.deposits.map((deposit) => (
+                <li key={deposit.id} className="py-2 flex items-center justify-between text-sm">
+                  <span className="text-gray-900">
+                    ₹{Number(deposit.amount).toLocaleString('en-IN')} held since{' '}
+                    {new Date(deposit.created_at).toLocaleDateString()}
+                  </span>
+                  <span className="status-badge bg-gray-100 text-gray-800">
+                    {deposit.emd_status.replace('_', ' ')}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500 mb-4">No EMD has been paid in full for this allocation yet.</p>
+          )}
+
+          {isAdmin() && (
+            <form onSubmit={updateStatus} className="pt-4 border-t border-gray-200 space-y-3">
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Allocation Status</label>
+                  <select
+                    value={statusChange.status}
+                    onChange={(e) => setStatusChange(prev => ({ ...prev, status: e.target.value }))}
+                    className="input-field"
+                  >
+                    {ALLOCATION_STATUSES.map((status) => (
+                      <option key={status} value={status}>{status}</option>
+                    ))}
+                  </select>
+                </div>
+                {statusChange.status === 'cancelled' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">EMD</label>
+                    <select
+                      value={statusChange.emd_action}
+                      onChange={(e) => setStatusChange(prev => ({ ...prev, emd_action: e.target.value }))}
+                      className="input-field"
+                    >
+                      <option value="refund">Request refund</option>
+                      <option value="forfeit">Forfeit</option>
+                    </select>
+                  </div>
+                )}
+                <div className={statusChange.status === 'cancelled' ? '' : 'sm:col-span-2'}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                  <input
+                    type="text"
+                    value={statusChange.notes}
+                    onChange={(e) => setStatusChange(prev => ({ ...prev, notes: e.target.value }))}
+                    className="input-field"
+                    maxLength={500}
+                  />
+                </div>
+              </div>
+              <div className="flex items-center justify-between">
+                <p className="text-xs text-gray-500">
+                  {statusChange.status !== allocation.allocation_status && EMD_EFFECTS[statusChange.status]}
+                </p>
+                <button
+                  type="submit"
+                  disabled={updatingStatus || statusChange.status === allocation.allocation_status}
+                  className="btn-primary"
+                >
+                  {updatingStatus ? 'Updating...' : 'Update Status'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+
       {/* Procurement Calculator */}
       <div className="card p-6">
         <div className="flex items-center justify-between mb-6">
@@ -273,6 +399,11 @@ const AllocationDetail = () => {
                 <p className="text-2xl font-bold text-yellow-900">
                   ₹{procurement.breakdown.emd_amount.toLocaleString()}
                 </p>
+                {procurement.breakdown.emd_rule && (
+                  <p className="text-xs text-yellow-700 mt-1">
+                    Rule: {procurement.breakdown.emd_rule.name}
+                  </p>
+                )}
               </div>
               
               <div className="bg-green-50 p-4 rounded-lg">
@@ -292,23 +423,29 @@ const AllocationDetail = () => {
 
             {/* GST Breakdown */}
             <div className="bg-gray-50 p-4 rounded-lg">
-              <h3 className="text-sm font-medium text-gray-900 mb-3">GST Breakdown</h3>
+              <h3 className="text-sm font-medium text-gray-900 mb-1">GST Breakdown</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                HSN {procurement.breakdown.gst_breakdown.hsn_code} ·{' '}
+                {procurement.breakdown.gst_breakdown.intra_state ? 'Intra-state' : 'Inter-state'} supply
+                (state {procurement.breakdown.gst_breakdown.supplier_state_code} to{' '}
+                {procurement.breakdown.gst_breakdown.place_of_supply})
+              </p>
               <div className="grid grid-cols-3 gap-4 text-sm">
                 {procurement.breakdown.gst_breakdown.igst > 0 && (
                   <div>
-                    <span className="text-gray-500">IGST (18%):</span>
+                    <span className="text-gray-500">IGST ({procurement.breakdown.gst_breakdown.gst_rate}%):</span>
                     <span className="ml-2 font-medium">₹{procurement.breakdown.gst_breakdown.igst.toLocaleString()}</span>
                   </div>
                 )}
                 {procurement.breakdown.gst_breakdown.cgst > 0 && (
                   <div>
-                    <span className="text-gray-500">CGST (9%):</span>
+                    <span className="text-gray-500">CGST ({procurement.breakdown.gst_breakdown.gst_rate / 2}%):</span>
                     <span className="ml-2 font-medium">₹{procurement.breakdown.gst_breakdown.cgst.toLocaleString()}</span>
                   </div>
                 )}
                 {procurement.breakdown.gst_breakdown.sgst > 0 && (
                   <div>
-                    <span className="text-gray-500">SGST (9%):</span>
+                    <span className="text-gray-500">SGST ({procurement.breakdown.gst_breakdown.gst_rate / 2}%):</span>
                     <span className="ml-2 font-medium">₹{procurement.breakdown.gst_breakdown.sgst.toLocaleString()}</span>
                   </div>
                 )}
@@ -353,6 +490,14 @@ const AllocationDetail = () => {
         )}
       </div>
 
+      {/* Payment Schedule */}
+      {scheduledProcurement && (
+        <PaymentSchedule procurementId={scheduledProcurement.id} />
+      )}
+
+      {/* What-if Scenarios */}
+      <WhatIfCalculator allocation={allocation} />
+
       {/* Procurement History */}
       {allocation.procurement_dump && allocation.procurement_dump.length > 0 && (
         <div className="card p-6">
@@ -377,6 +522,15 @@ const AllocationDetail = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
                     Due Date
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Lifting By
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Installments Paid
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Config Versions
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
                     Actions
                   </th>
@@ -397,6 +551,21 @@ const AllocationDetail = () => {
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                       {new Date(proc.due_date).toLocaleDateString()}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {proc.lifting_deadline ? new Date(proc.lifting_deadline).toLocaleDateString() : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {proc.payments?.length > 0
+                        ? `${proc.payments.filter(payment => payment.payment_status === 'verified').length} of ${proc.payments.length}`
+                        : '-'}
+                    </td>
+                    <td className="px-6 py-4 text-xs text-gray-500">
+                      {proc.config_versions
+                        ? Object.entries(proc.config_versions)
+                          .map(([key, config]) => `${key} v${config.version}`)
+                          .join(', ')
+                        : '-'}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                       <button
                         onClick={() => navigate(`/procurement/${proc.id}`)}
@@ -0,0 +1,331 @@
+/**
+ * Bank Accounts page
+ * Maintain the beneficiary accounts printed on CDUs. An account can be kept
+ * for one payment type and for one branch or zone; the CDU defaults to the
+ * account that fits the payment best.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { Banknote, Plus, AlertTriangle } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const PURPOSES = [
+  { value: '', label: 'Any payment' },
+  { value: 'EMD', label: 'EMD' },
+  { value: 'BALANCE', label: 'Balance' },
+  { value: 'PENALTY', label: 'Late payment charges' }
+]
+
+const PAYMENT_MODES = ['RTGS', 'NEFT', 'IMPS']
+
+// IFSC: 4 letter bank code, 0, 6 character branch code
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/
+
+const emptyAccount = {
+  account_name: '',
+  account_number: '',
+  ifsc_code: '',
+  branch_name: '',
+  purpose: '',
+  branch_id: '',
+  zone: '',
+  default_payment_mode: 'RTGS'
+}
+
+const BankAccounts = () => {
+  const { isAdmin, isTrader } = useAuth()
+
+  const [accounts, setAccounts] = useState([])
+  const [branches, setBranches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showInactive, setShowInactive] = useState(false)
+  const [newAccount, setNewAccount] = useState(emptyAccount)
+  const [saving, setSaving] = useState(false)
+  const [formErrors, setFormErrors] = useState([])
+  const [working, setWorking] = useState(null)
+
+  // Fetch bank accounts and the branches they can be kept for
+  const fetchAccounts = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/bank-accounts', { params: { include_inactive: showInactive } })
+      setAccounts(response.data.data.accounts)
+      setBranches(response.data.data.branches)
+    } catch (error) {
+      console.error('Error fetching bank accounts:', error)
+      toast.error('Failed to fetch bank accounts')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin() || isTrader()) {
+      fetchAccounts()
+    } else {
+      setLoading(false)
+    }
+  }, [showInactive])
+
+  const zones = [...new Set(branches.map(branch => branch.zone))]
+  const ifsc = newAccount.ifsc_code.replace(/\s+/g, '').toUpperCase()
+
+  // Add a bank account
+  const addAccount = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      setFormErrors([])
+      await api.post('/bank-accounts', {
+        ...newAccount,
+        purpose: newAccount.purpose || null,
+        branch_id: newAccount.branch_id || null,
+        zone: newAccount.zone || null
+      })
+      toast.success('Bank account added')
+      setNewAccount(emptyAccount)
+      fetchAccounts()
+    } catch (error) {
+      console.error('Error adding bank account:', error)
+      setFormErrors(error.response?.data?.errors || [])
+      toast.error(error.response?.data?.message || 'Failed to add bank account')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Deactivate or reactivate an account
+  const toggleActive = async (account) => {
+    if (account.is_active && !window.confirm(`Stop using ${account.account_name} on new CDUs?`)) {
+      return
+    }
+
+    try {
+      setWorking(account.id)
+      await api.put(`/bank-accounts/${account.id}`, { is_active: !account.is_active })
+      toast.success(account.is_active ? 'Bank account deactivated' : 'Bank account reactivated')
+      fetchAccounts()
+    } catch (error) {
+      console.error('Error updating bank account:', error)
+      toast.error(error.response?.data?.message || 'Failed to update bank account')
+    } finally {
+      setWorking(null)
+    }
+  }
+
+  const setField = (field) => (e) => setNewAccount(prev => ({ ...prev, [field]: e.target.value }))
+
+  if (!isAdmin() && !isTrader()) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Bank Accounts</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Beneficiary accounts printed on CDUs. Each CDU defaults to the active account kept for its
+          branch, then its zone, then its payment type; it can be changed before the CDU is generated.
+        </p>
+      </div>
+
+      {isAdmin() && (
+        <form onSubmit={addAccount} className="card p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Add Bank Account</h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Account Name</label>
+              <input
+                type="text"
+                value={newAccount.account_name}
+                onChange={setField('account_name')}
+                className="input-field"
+                required
+                minLength={2}
+                maxLength={150}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Account Number</label>
+              <input
+                type="text"
+                value={newAccount.account_number}
+                onChange={setField('account_number')}
+                className="input-field font-mono"
+                pattern="\d{9,18}"
+                title="9 to 18 digits"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">IFSC</label>
+              <input
+                type="text"
+                value={newAccount.ifsc_code}
+                onChange={setField('ifsc_code')}
+                placeholder="SBIN0001234"
+                className="input-field font-mono uppercase"
+                required
+                maxLength={20}
+              />
+              {ifsc && !IFSC_PATTERN.test(ifsc) && (
+                <p className="mt-1 text-xs text-red-600">4 letters, 0, then 6 letters or digits</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Bank Branch</label>
+              <input
+                type="text"
+                value={newAccount.branch_name}
+                onChange={setField('branch_name')}
+                className="input-field"
+                required
+                minLength={2}
+                maxLength={100}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Used For</label>
+              <select value={newAccount.purpose} onChange={setField('purpose')} className="input-field">
+                {PURPOSES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">CCI Branch</label>
+              <select value={newAccount.branch_id} onChange={setField('branch_id')} className="input-field">
+                <option value="">Any branch</option>
+                {branches.map((branch) => (
+                  <option key={branch.id} value={branch.id}>{branch.branch_name} ({branch.zone})</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Zone</label>
+              <select value={newAccount.zone} onChange={setField('zone')} className="input-field">
+                <option value="">Any zone</option>
+                {zones.map((zone) => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Default Mode</label>
+              <select value={newAccount.default_payment_mode} onChange={setField('default_payment_mode')} className="input-field">
+                {PAYMENT_MODES.map((mode) => (
+                  <option key={mode} value={mode}>{mode}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {formErrors.length > 0 && (
+            <ul className="text-sm text-red-600 list-disc list-inside">
+              {formErrors.map((error) => (
+                <li key={error.field}>{error.field}: {error.message}</li>
+              ))}
+            </ul>
+          )}
+          <div className="flex justify-end">
+            <button type="submit" disabled={saving} className="btn-primary">
+              <Plus className="h-4 w-4 mr-2" />
+              {saving ? 'Adding...' : 'Add Account'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Account list */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+          <Banknote className="h-5 w-5 text-green-500 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Accounts</h2>
+          <label className="ml-auto flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showInactive}
+              onChange={(e) => setShowInactive(e.target.checked)}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+            />
+            Show inactive
+          </label>
+        </div>
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : accounts.length === 0 ? (
+          <p className="px-6 py-8 text-center text-sm text-gray-500">
+            No bank accounts yet. CDUs cannot be generated until one is added.
+          </p>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Account</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Bank</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Used For</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Mode</th>
+                  {isAdmin() && <th className="px-6 py-3" />}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {accounts.map((account) => (
+                  <tr key={account.id} className={account.is_active ? undefined : 'bg-gray-50 text-gray-400'}>
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{account.account_name}</div>
+                      <div className="text-sm font-mono text-gray-500">{account.account_number}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm text-gray-900">{account.bank_name}</div>
+                      <div className="text-sm text-gray-500">
+                        <span className="font-mono">{account.ifsc_code}</span> · {account.branch_name}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {PURPOSES.find(({ value }) => value === (account.purpose || ''))?.label}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {account.branch_information?.branch_name || (account.zone ? `${account.zone} zone` : 'All branches')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {account.default_payment_mode}
+                    </td>
+                    {isAdmin() && (
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <button
+                          onClick={() => toggleActive(account)}
+                          disabled={working === account.id}
+                          className={account.is_active ? 'text-red-600 hover:text-red-900' : 'text-blue-600 hover:text-blue-900'}
+                        >
+                          {account.is_active ? 'Deactivate' : 'Reactivate'}
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BankAccounts
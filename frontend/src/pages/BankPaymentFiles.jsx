@@ -0,0 +1,510 @@
+/**
+ * Bank Payment Files page
+ * Batches of payments written out as bulk upload files for the corporate
+ * banking portal. Importing the response file the bank returns records the
+ * UTR of each payment made, for verification like any submitted UTR, and
+ * releases failed payments for another batch. Admins also maintain the file
+ * layout of each bank here.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api, { downloadFile, uploadFile } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { AlertTriangle, Download, FileSpreadsheet, Plus, Upload } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const LINE_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+}
+
+const BATCH_STATUS_STYLES = {
+  generated: 'bg-yellow-100 text-yellow-800',
+  closed: 'bg-gray-100 text-gray-800'
+}
+
+const RESULT_STYLES = {
+  paid: 'text-green-700',
+  failed: 'text-red-700',
+  error: 'text-red-700',
+  skipped: 'text-gray-500',
+  unknown: 'text-orange-700'
+}
+
+// Template columns edited as JSON; the rest are kept by the server
+const TEMPLATE_KEYS = [
+  'bank_code', 'template_name', 'file_format', 'delimiter', 'include_header', 'file_extension',
+  'debit_account_number', 'fields', 'header_fields', 'trailer_fields', 'response_layout'
+]
+
+const NEW_TEMPLATE = {
+  bank_code: '',
+  template_name: '',
+  file_format: 'csv',
+  delimiter: ',',
+  include_header: true,
+  file_extension: 'csv',
+  debit_account_number: '',
+  fields: [
+    { header: 'Payment Mode', source: 'payment_mode' },
+    { header: 'Beneficiary Account', source: 'beneficiary_account' },
+    { header: 'IFSC', source: 'beneficiary_ifsc' },
+    { header: 'Beneficiary Name', source: 'beneficiary_name', width: 35 },
+    { header: 'Amount', source: 'amount' },
+    { header: 'Value Date', source: 'value_date', format: 'DD/MM/YYYY' },
+    { header: 'Reference', source: 'reference' }
+  ],
+  header_fields: null,
+  trailer_fields: null,
+  response_layout: {
+    has_header: true,
+    reference: 'Reference',
+    utr: 'UTR',
+    status: 'Status',
+    reason: 'Reason'
+  }
+}
+
+const editableTemplate = template => JSON.stringify(
+  Object.fromEntries(TEMPLATE_KEYS.map(key => [key, template[key] ?? null])),
+  null,
+  2
+)
+
+const BankPaymentFiles = () => {
+  const { isAdmin } = useAuth()
+
+  const [batches, setBatches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [selected, setSelected] = useState(null)
+  const [detail, setDetail] = useState(null)
+  const [loadingDetail, setLoadingDetail] = useState(false)
+  const [responseFile, setResponseFile] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const [importResult, setImportResult] = useState(null)
+  const [templates, setTemplates] = useState([])
+  const [sources, setSources] = useState(null)
+  const [editingTemplate, setEditingTemplate] = useState(null)
+  const [templateJson, setTemplateJson] = useState('')
+  const [templateErrors, setTemplateErrors] = useState([])
+  const [savingTemplate, setSavingTemplate] = useState(false)
+
+  // Fetch payment batches
+  const fetchBatches = async () => {
+    try {
+      const response = await api.get('/payment/bank-files', { params: { limit: 50 } })
+      setBatches(response.data.data.batches)
+    } catch (error) {
+      console.error('Error fetching payment batches:', error)
+      toast.error('Failed to fetch payment batches')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Fetch bank file templates and the values their fields can take
+  const fetchTemplates = async () => {
+    try {
+      const response = await api.get('/payment/bank-files/templates')
+      setTemplates(response.data.data.templates)
+      setSources(response.data.data.sources)
+    } catch (error) {
+      console.error('Error fetching bank file templates:', error)
+      toast.error('Failed to fetch bank file templates')
+    }
+  }
+
+  // Fetch a batch with its lines
+  const fetchDetail = async (batchId) => {
+    try {
+      setLoadingDetail(true)
+      const response = await api.get(`/payment/bank-files/${batchId}`)
+      setDetail(response.data.data)
+    } catch (error) {
+      console.error('Error fetching payment batch:', error)
+      toast.error('Failed to fetch payment batch')
+    } finally {
+      setLoadingDetail(false)
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin()) {
+      fetchBatches()
+      fetchTemplates()
+    } else {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (selected) {
+      setImportResult(null)
+      setResponseFile(null)
+      fetchDetail(selected)
+    }
+  }, [selected])
+
+  // Download the upload file of the selected batch again
+  const downloadBatchFile = async () => {
+    try {
+      const { template } = detail.batch
+      await downloadFile(
+        `/payment/bank-files/${detail.batch.id}/file`,
+        `${template.bank_code}-${detail.batch.batch_number}.${template.file_extension}`
+      )
+    } catch (error) {
+      console.error('Error downloading bank file:', error)
+      toast.error('Failed to download bank file')
+    }
+  }
+
+  // Import the bank's response file for the selected batch
+  const importResponse = async () => {
+    if (!responseFile) {
+      toast.error('Please select the response file')
+      return
+    }
+
+    try {
+      setImporting(true)
+      setImportResult(null)
+      const formData = new FormData()
+      formData.append('file', responseFile)
+      const response = await uploadFile(`/payment/bank-files/${selected}/response`, formData)
+      toast.success(response.data.message)
+      setImportResult(response.data.data)
+      setResponseFile(null)
+      await Promise.all([fetchDetail(selected), fetchBatches()])
+    } catch (error) {
+      console.error('Error importing bank response:', error)
+      setImportResult({ errors: error.response?.data?.errors || [] })
+      toast.error(error.response?.data?.message || 'Failed to import bank response')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  // Open a template, or a new one, in the editor
+  const editTemplate = (template) => {
+    setEditingTemplate(template || {})
+    setTemplateJson(editableTemplate(template || NEW_TEMPLATE))
+    setTemplateErrors([])
+  }
+
+  // Save the template being edited
+  const saveTemplate = async () => {
+    let values
+    try {
+      values = JSON.parse(templateJson)
+    } catch (error) {
+      setTemplateErrors([{ field: 'JSON', message: error.message }])
+      return
+    }
+
+    try {
+      setSavingTemplate(true)
+      setTemplateErrors([])
+      const response = editingTemplate.id
+        ? await api.put(`/payment/bank-files/templates/${editingTemplate.id}`, values)
+        : await api.post('/payment/bank-files/templates', values)
+      toast.success(response.data.message)
+      setEditingTemplate(null)
+      fetchTemplates()
+    } catch (error) {
+      console.error('Error saving bank file template:', error)
+      setTemplateErrors(error.response?.data?.errors || [])
+      toast.error(error.response?.data?.message || 'Failed to save bank file template')
+    } finally {
+      setSavingTemplate(false)
+    }
+  }
+
+  // Activate or deactivate a template
+  const toggleTemplate = async (template) => {
+    try {
+      await api.put(`/payment/bank-files/templates/${template.id}`, { is_active: !template.is_active })
+      toast.success(`${template.template_name} ${template.is_active ? 'deactivated' : 'activated'}`)
+      fetchTemplates()
+    } catch (error) {
+      console.error('Error updating bank file template:', error)
+      toast.error(error.response?.data?.message || 'Failed to update bank file template')
+    }
+  }
+
+  if (!isAdmin()) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Bank Payment Files</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Bulk payment files generated from Pending UTRs or an allocation's payment schedule. Import
+          the bank's response file to record the UTR of each payment made.
+        </p>
+      </div>
+
+      {/* Batches */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+          <FileSpreadsheet className="h-5 w-5 text-blue-500 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Batches</h2>
+        </div>
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : batches.length === 0 ? (
+          <p className="px-6 py-8 text-center text-sm text-gray-500">No payment batches yet</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Batch</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Bank Format</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Value Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payments</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Created</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {batches.map((batch) => (
+                <tr
+                  key={batch.id}
+                  onClick={() => setSelected(batch.id)}
+                  className={`cursor-pointer hover:bg-gray-50 ${selected === batch.id ? 'bg-blue-50' : ''}`}
+                >
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{batch.batch_number}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{batch.template?.template_name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {new Date(batch.value_date).toLocaleDateString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{batch.line_count}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    ₹{batch.total_amount.toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${BATCH_STATUS_STYLES[batch.batch_status]}`}>
+                      {batch.batch_status === 'closed' ? 'Closed' : 'Awaiting response'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {new Date(batch.created_at).toLocaleString()}
+                    {batch.created_user && (
+                      <p className="text-xs">{batch.created_user.first_name} {batch.created_user.last_name}</p>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Batch lines and response import */}
+      {selected && (
+        <div className="card">
+          {loadingDetail || !detail ? (
+            <div className="flex justify-center items-center h-32">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : (
+            <>
+              <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">{detail.batch.batch_number}</h2>
+                  <p className="text-sm text-gray-500">
+                    {detail.summary.paid} paid · {detail.summary.failed} failed · {detail.summary.pending} awaiting response
+                    {detail.batch.response_file_name && ` · last response ${detail.batch.response_file_name}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  <button onClick={downloadBatchFile} className="btn-secondary">
+                    <Download className="h-4 w-4 mr-2" />
+                    Download File
+                  </button>
+                  {detail.summary.pending > 0 && (
+                    <>
+                      <input
+                        type="file"
+                        accept=".csv,.txt,.rsp,.res,.out"
+                        onChange={(e) => setResponseFile(e.target.files[0] || null)}
+                        className="block text-sm text-gray-500"
+                      />
+                      <button onClick={importResponse} disabled={importing || !responseFile} className="btn-primary">
+                        <Upload className="h-4 w-4 mr-2" />
+                        {importing ? 'Importing...' : 'Import Response'}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {importResult && (importResult.results?.length > 0 || importResult.errors?.length > 0) && (
+                <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
+                  <ul className="text-sm space-y-1">
+                    {(importResult.results || []).map((result, index) => (
+                      <li key={index} className={RESULT_STYLES[result.result]}>
+                        <span className="font-mono text-xs">{result.reference}</span> – {result.result}: {result.message}
+                      </li>
+                    ))}
+                    {(importResult.errors || []).map((error, index) => (
+                      <li key={`error-${index}`} className="text-red-700">{error.message || error}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payment</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Beneficiary</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">UTR / Reason</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {detail.lines.map((line) => (
+                      <tr key={line.id}>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{line.line_number}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-xs font-mono text-gray-900">{line.reference}</td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {line.payment?.procurement_dump?.indent_number}
+                          <p className="text-xs text-gray-500">
+                            {line.payment?.installment_name} · {line.payment?.procurement_dump?.firm_name}
+                          </p>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {line.beneficiary.account_name}
+                          <p className="text-xs text-gray-500 font-mono">
+                            {line.beneficiary.account_number} · {line.beneficiary.ifsc_code}
+                          </p>
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                          ₹{line.amount.toLocaleString()}
+                          <p className="text-xs text-gray-500">{line.payment_mode}</p>
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap">
+                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${LINE_STATUS_STYLES[line.line_status]}`}>
+                            {line.line_status}
+                          </span>
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          {line.utr_number && <p className="font-mono text-xs text-gray-900">{line.utr_number}</p>}
+                          {line.transaction && (
+                            <p className="text-xs text-gray-500">{line.transaction.transaction_status.replace(/_/g, ' ')}</p>
+                          )}
+                          {line.failure_reason && <p className="text-xs text-red-600">{line.failure_reason}</p>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Templates */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Bank File Templates</h2>
+          <button onClick={() => editTemplate(null)} className="btn-secondary">
+            <Plus className="h-4 w-4 mr-2" />
+            New Template
+          </button>
+        </div>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Template</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Format</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Debit Account</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {templates.map((template) => (
+              <tr key={template.id} className={template.is_active ? undefined : 'opacity-50'}>
+                <td className="px-6 py-4 text-sm text-gray-900">
+                  {template.template_name}
+                  <p className="text-xs text-gray-500">{template.bank_code}</p>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {template.file_format === 'csv' ? `Delimited (${template.delimiter})` : 'Fixed width'} · .{template.file_extension}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{template.debit_account_number}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                  <button onClick={() => editTemplate(template)} className="text-blue-600 hover:text-blue-900">
+                    Edit
+                  </button>
+                  <button onClick={() => toggleTemplate(template)} className="text-gray-600 hover:text-gray-900">
+                    {template.is_active ? 'Deactivate' : 'Activate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {editingTemplate && (
+          <div className="p-6 border-t border-gray-200 space-y-3">
+            <h3 className="text-sm font-semibold text-gray-900">
+              {editingTemplate.id ? `Edit ${editingTemplate.template_name}` : 'New template'}
+            </h3>
+            {sources && (
+              <p className="text-xs text-gray-500">
+                Payment record sources: {sources.line.join(', ')}. Header and trailer sources: {sources.batch.join(', ')}.
+                Fixed-width fields need a width; dates take a format such as DDMMYYYY or DD-MON-YYYY and
+                amounts 'decimal' or 'paise'.
+              </p>
+            )}
+            <textarea
+              value={templateJson}
+              onChange={(e) => setTemplateJson(e.target.value)}
+              rows={20}
+              spellCheck={false}
+              className="input-field font-mono text-xs"
+            />
+            {templateErrors.length > 0 && (
+              <ul className="text-sm text-red-600 list-disc list-inside">
+                {templateErrors.map((error, index) => (
+                  <li key={index}>{error.field}: {error.message}</li>
+                ))}
+              </ul>
+            )}
+            <div className="flex justify-end space-x-3">
+              <button onClick={() => setEditingTemplate(null)} className="btn-secondary">Cancel</button>
+              <button onClick={saveTemplate} disabled={savingTemplate} className="btn-primary">
+                {savingTemplate ? 'Saving...' : 'Save Template'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BankPaymentFiles
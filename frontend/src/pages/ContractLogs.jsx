@@ -1,11 +1,13 @@
 /**
  * Contract Logs page - Flow 3
- * Shows audit trail of all contract operations
+ * Shows audit trail of all contract operations, flagging contracts whose
+ * stored document has changed since it was approved. Entries can be filtered,
+ * searched and exported, and each contract's history opened as a timeline.
  */
 
 import React, { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
-import api from '../services/api'
+import api, { downloadFile, blobErrorMessage } from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
 import {
   FileText,
@@ -13,11 +15,32 @@ import {
   User,
   Eye,
   Filter,
-  CalendarDays
+  CalendarDays,
+  ShieldAlert,
+  ShieldCheck,
+  Send,
+  RotateCcw,
+  XCircle,
+  Download,
+  History,
+  X
 } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const EMPTY_FILTERS = {
+  indent_number: '',
+  firm_name: '',
+  action: '',
+  user_id: '',
+  from: '',
+  to: '',
+  search: ''
+}
+
+const userName = (person) => person ? `${person.first_name} ${person.last_name}` : 'System'
 
 const ContractLogs = () => {
-  const { user, isAdmin } = useAuth()
+  const { isAdmin } = useAuth()
   const [logs, setLogs] = useState([])
   const [loading, setLoading] = useState(true)
   const [pagination, setPagination] = useState({
@@ -29,6 +52,17 @@ const ContractLogs = () => {
     page: 1,
     limit: 20
   })
+  const [form, setForm] = useState(EMPTY_FILTERS)
+  const [applied, setApplied] = useState(EMPTY_FILTERS)
+  const [options, setOptions] = useState({ actions: [], users: [] })
+  const [timeline, setTimeline] = useState(null)
+  const [loadingTimeline, setLoadingTimeline] = useState(null)
+  const [downloading, setDownloading] = useState(null)
+
+  // Only the filters that are set are sent
+  const filterParams = () => Object.fromEntries(
+    Object.entries(applied).filter(([, value]) => value.trim() !== '').map(([key, value]) => [key, value.trim()])
+  )
 
   // Fetch contract logs
   const fetchLogs = async () => {
@@ -36,7 +70,8 @@ const ContractLogs = () => {
       setLoading(true)
       const params = {
         page: filters.page,
-        limit: filters.limit
+        limit: filters.limit,
+        ...filterParams()
       }
 
       const response = await api.get('/contract/logs', { params })
@@ -44,40 +79,128 @@ const ContractLogs = () => {
       setPagination(response.data.data.pagination)
     } catch (error) {
       console.error('Error fetching contract logs:', error)
+      toast.error(error.response?.data?.message || 'Failed to fetch contract logs')
     } finally {
       setLoading(false)
     }
   }
 
+  // Fetch the actions and users logs can be filtered by
+  const fetchOptions = async () => {
+    try {
+      const response = await api.get('/contract/logs/filters')
+      setOptions(response.data.data)
+    } catch (error) {
+      console.error('Error fetching contract log filters:', error)
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin()) {
+      fetchOptions()
+    }
+  }, [isAdmin])
+
   useEffect(() => {
     if (isAdmin()) {
       fetchLogs()
     } else {
       setLoading(false)
     }
-  }, [filters, isAdmin])
+  }, [filters, applied, isAdmin])
 
   // Handle pagination
   const handlePageChange = (newPage) => {
     setFilters(prev => ({ ...prev, page: newPage }))
   }
 
+  const applyFilters = (e) => {
+    e.preventDefault()
+    if (form.from && form.to && form.from > form.to) {
+      toast.error('The period must start on or before the day it ends')
+      return
+    }
+    setApplied(form)
+    setFilters(prev => ({ ...prev, page: 1 }))
+  }
+
+  const clearFilters = () => {
+    setForm(EMPTY_FILTERS)
+    setApplied(EMPTY_FILTERS)
+    setFilters(prev => ({ ...prev, page: 1 }))
+  }
+
+  // Open the history of one contract, oldest entry first
+  const openTimeline = async (contractId) => {
+    try {
+      setLoadingTimeline(contractId)
+      const response = await api.get(`/contract/${contractId}/logs`)
+      setTimeline(response.data.data)
+    } catch (error) {
+      console.error('Error fetching contract timeline:', error)
+      toast.error(error.response?.data?.message || 'Failed to fetch contract timeline')
+    } finally {
+      setLoadingTimeline(null)
+    }
+  }
+
+  // Download every entry matching the filters
+  const exportLogs = async (format) => {
+    try {
+      setDownloading(format)
+      const today = new Date().toISOString().split('T')[0]
+      await downloadFile('/contract/logs', `contract_logs_${today}.${format}`, { ...filterParams(), format })
+    } catch (error) {
+      console.error('Error exporting contract logs:', error)
+      toast.error(await blobErrorMessage(error, 'Failed to export contract logs'))
+    } finally {
+      setDownloading(null)
+    }
+  }
+
   // Get action icon and color
   const getActionDisplay = (action) => {
+    const label = options.actions.find(option => option.value === action)?.label || action
     switch (action) {
       case 'uploaded':
-        return { icon: FileText, color: 'text-blue-600', bg: 'bg-blue-100', label: 'Uploaded' }
+        return { icon: FileText, color: 'text-blue-600', bg: 'bg-blue-100', label }
       case 'approved':
-        return { icon: Clock, color: 'text-green-600', bg: 'bg-green-100', label: 'Approved' }
+        return { icon: Clock, color: 'text-green-600', bg: 'bg-green-100', label }
+      case 'changes_requested':
+        return { icon: RotateCcw, color: 'text-yellow-600', bg: 'bg-yellow-100', label }
+      case 'dispatched':
+        return { icon: Send, color: 'text-blue-600', bg: 'bg-blue-100', label }
       case 'sent':
-        return { icon: User, color: 'text-purple-600', bg: 'bg-purple-100', label: 'Sent' }
+        return { icon: User, color: 'text-purple-600', bg: 'bg-purple-100', label }
+      case 'dispatch_failed':
+      case 'send_failed':
+        return { icon: XCircle, color: 'text-red-600', bg: 'bg-red-100', label }
       case 'rejected':
-        return { icon: Eye, color: 'text-red-600', bg: 'bg-red-100', label: 'Rejected' }
+        return { icon: Eye, color: 'text-red-600', bg: 'bg-red-100', label }
+      case 'verified':
+        return { icon: ShieldCheck, color: 'text-green-600', bg: 'bg-green-100', label }
+      case 'verification_failed':
+      case 'integrity_failed':
+        return { icon: ShieldAlert, color: 'text-red-600', bg: 'bg-red-100', label }
       default:
-        return { icon: FileText, color: 'text-gray-600', bg: 'bg-gray-100', label: action }
+        return { icon: FileText, color: 'text-gray-600', bg: 'bg-gray-100', label }
     }
   }
 
+  const integrityWarning = (integrity) => integrity && integrity.status !== 'intact' && (
+    <div className="mt-2 flex items-start text-sm text-red-700 bg-red-50 rounded px-3 py-2">
+      <ShieldAlert className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+      <div>
+        <span className="font-medium">
+          {integrity.changed_since_approval
+            ? 'Document changed since approval'
+            : 'Document changed since upload'}
+        </span>
+        : {integrity.message}
+      </div>
+    </div>
+  )
+
   if (!isAdmin()) {
     return (
       <div className="text-center py-12">
@@ -89,13 +212,7 @@ const ContractLogs = () => {
     )
   }
 
-  if (loading) {
-    return (
-      <div className="flex justify-center items-center h-64">
-        <LoadingSpinner size="lg" />
-      </div>
-    )
-  }
+  const filtered = Object.values(applied).some(value => value.trim() !== '')
 
   return (
     <div className="space-y-6">
@@ -113,7 +230,7 @@ const ContractLogs = () => {
           <div className="flex items-center">
             <FileText className="h-8 w-8 text-blue-500" />
             <div className="ml-3">
-              <p className="text-sm font-medium text-gray-500">Total Logs</p>
+              <p className="text-sm font-medium text-gray-500">{filtered ? 'Matching Logs' : 'Total Logs'}</p>
               <p className="text-lg font-semibold text-gray-900">{pagination.total_records}</p>
             </div>
           </div>
@@ -164,7 +281,7 @@ const ContractLogs = () => {
       </div>
 
       {/* Filters */}
-      <div className="bg-white p-4 rounded-lg shadow">
+      <form onSubmit={applyFilters} className="bg-white p-4 rounded-lg shadow space-y-4">
         <div className="flex items-center justify-between">
           <div className="flex items-center">
             <Filter className="h-5 w-5 text-gray-400 mr-2" />
@@ -181,6 +298,7 @@ const ContractLogs = () => {
               <option value={50}>50 per page</option>
             </select>
             <button
+              type="button"
               onClick={fetchLogs}
               className="btn-secondary text-sm"
             >
@@ -188,7 +306,132 @@ const ContractLogs = () => {
             </button>
           </div>
         </div>
-      </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <input
+            type="text"
+            value={form.indent_number}
+            onChange={(e) => setForm(prev => ({ ...prev, indent_number: e.target.value }))}
+            placeholder="Indent number"
+            className="input-field"
+          />
+          <input
+            type="text"
+            value={form.firm_name}
+            onChange={(e) => setForm(prev => ({ ...prev, firm_name: e.target.value }))}
+            placeholder="Firm"
+            className="input-field"
+          />
+          <select
+            value={form.action}
+            onChange={(e) => setForm(prev => ({ ...prev, action: e.target.value }))}
+            className="input-field"
+          >
+            <option value="">All actions</option>
+            {options.actions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={form.user_id}
+            onChange={(e) => setForm(prev => ({ ...prev, user_id: e.target.value }))}
+            className="input-field"
+          >
+            <option value="">All users</option>
+            <option value="system">System (n8n)</option>
+            {options.users.map(person => (
+              <option key={person.id} value={person.id}>{userName(person)}</option>
+            ))}
+          </select>
+          <div className="flex items-center space-x-2">
+            <input
+              type="date"
+              value={form.from}
+              onChange={(e) => setForm(prev => ({ ...prev, from: e.target.value }))}
+              className="input-field"
+              aria-label="From"
+            />
+            <span className="text-sm text-gray-500">to</span>
+            <input
+              type="date"
+              value={form.to}
+              onChange={(e) => setForm(prev => ({ ...prev, to: e.target.value }))}
+              className="input-field"
+              aria-label="To"
+            />
+          </div>
+          <input
+            type="text"
+            value={form.search}
+            onChange={(e) => setForm(prev => ({ ...prev, search: e.target.value }))}
+            placeholder="Search notes"
+            className="input-field md:col-span-2"
+            maxLength={200}
+          />
+          <div className="flex space-x-2">
+            <button type="submit" className="btn-primary text-sm">
+              Apply
+            </button>
+            <button type="button" onClick={clearFilters} className="btn-secondary text-sm">
+              Clear
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {/* Contract Timeline */}
+      {timeline && (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">
+                Timeline: {timeline.contract.indent_number}
+              </h3>
+              <p className="text-sm text-gray-500">
+                {timeline.contract.firm_name} · {timeline.contract.status.replace(/_/g, ' ')}
+                {timeline.documents.length > 0 && ` · ${timeline.documents.length} version${timeline.documents.length > 1 ? 's' : ''}`}
+              </p>
+              {integrityWarning(timeline.contract.integrity)}
+            </div>
+            <button onClick={() => setTimeline(null)} className="text-gray-400 hover:text-gray-600" aria-label="Close timeline">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <ol className="px-6 py-4 space-y-4">
+            {timeline.logs.map((log) => {
+              const actionDisplay = getActionDisplay(log.action)
+              const ActionIcon = actionDisplay.icon
+
+              return (
+                <li key={log.id} className="flex items-start space-x-3">
+                  <div className={`h-7 w-7 ${actionDisplay.bg} rounded-full flex items-center justify-center flex-shrink-0`}>
+                    <ActionIcon className={`h-4 w-4 ${actionDisplay.color}`} />
+                  </div>
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium text-gray-900">
+                        {actionDisplay.label}
+                        <span className="ml-2 font-normal text-gray-500">{userName(log.users)}</span>
+                      </span>
+                      <time className="text-xs text-gray-500">
+                        {new Date(log.timestamp).toLocaleString()}
+                      </time>
+                    </div>
+                    {log.notes && <p className="text-sm text-gray-700">{log.notes}</p>}
+                  </div>
+                </li>
+              )
+            })}
+          </ol>
+
+          {timeline.logs.length === 0 && (
+            <div className="text-center py-6 text-sm text-gray-500">
+              Nothing has been logged for this contract yet.
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Logs Timeline */}
       <div className="bg-white shadow rounded-lg overflow-hidden">
@@ -196,80 +439,98 @@ const ContractLogs = () => {
           <h3 className="text-lg font-medium text-gray-900">Contract Activity Timeline</h3>
         </div>
 
-        <div className="flow-root">
-          <ul className="-mb-8">
-            {logs.map((log, logIndex) => {
-              const actionDisplay = getActionDisplay(log.action)
-              const ActionIcon = actionDisplay.icon
+        {loading ? (
+          <div className="flex justify-center items-center h-64">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <div className="flow-root">
+            <ul className="-mb-8">
+              {logs.map((log, logIndex) => {
+                const actionDisplay = getActionDisplay(log.action)
+                const ActionIcon = actionDisplay.icon
 
-              return (
-                <li key={log.id}>
-                  <div className="relative pb-8">
-                    {logIndex !== logs.length - 1 && (
-                      <span className="absolute top-5 left-5 -ml-px h-full w-0.5 bg-gray-200" />
-                    )}
-                    <div className="relative flex items-start space-x-3">
-                      <div className={`relative px-1`}>
-                        <div className={`h-8 w-8 ${actionDisplay.bg} rounded-full ring-8 ring-white flex items-center justify-center`}>
-                          <ActionIcon className={`h-4 w-4 ${actionDisplay.color}`} />
+                return (
+                  <li key={log.id}>
+                    <div className="relative pb-8">
+                      {logIndex !== logs.length - 1 && (
+                        <span className="absolute top-5 left-5 -ml-px h-full w-0.5 bg-gray-200" />
+                      )}
+                      <div className="relative flex items-start space-x-3">
+                        <div className={`relative px-1`}>
+                          <div className={`h-8 w-8 ${actionDisplay.bg} rounded-full ring-8 ring-white flex items-center justify-center`}>
+                            <ActionIcon className={`h-4 w-4 ${actionDisplay.color}`} />
+                          </div>
                         </div>
-                      </div>
-                      <div className="min-w-0 flex-1">
-                        <div className="bg-gray-50 p-4 rounded-lg">
-                          <div className="flex items-center justify-between">
-                            <div className="flex items-center space-x-2">
-                              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${actionDisplay.bg} ${actionDisplay.color}`}>
-                                {actionDisplay.label}
-                              </span>
-                              <span className="text-sm font-medium text-gray-900">
-                                {log.purchase_contract_table?.indent_number}
-                              </span>
+                        <div className="min-w-0 flex-1">
+                          <div className="bg-gray-50 p-4 rounded-lg">
+                            <div className="flex items-center justify-between">
+                              <div className="flex items-center space-x-2">
+                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${actionDisplay.bg} ${actionDisplay.color}`}>
+                                  {actionDisplay.label}
+                                </span>
+                                <span className="text-sm font-medium text-gray-900">
+                                  {log.purchase_contract_table?.indent_number}
+                                </span>
+                                {log.contract_id && (
+                                  <button
+                                    onClick={() => openTimeline(log.contract_id)}
+                                    disabled={loadingTimeline === log.contract_id}
+                                    className="inline-flex items-center text-xs text-blue-600 hover:text-blue-900"
+                                  >
+                                    <History className="h-3 w-3 mr-1" />
+                                    {loadingTimeline === log.contract_id ? 'Loading...' : 'Timeline'}
+                                  </button>
+                                )}
+                              </div>
+                              <time className="text-xs text-gray-500">
+                                {new Date(log.timestamp).toLocaleString()}
+                              </time>
                             </div>
-                            <time className="text-xs text-gray-500">
-                              {new Date(log.timestamp).toLocaleString()}
-                            </time>
-                          </div>
 
-                          <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
-                            <div>
-                              <span className="font-medium text-gray-500">Contract:</span>
-                              <p className="text-gray-900">{log.purchase_contract_table?.firm_name}</p>
-                            </div>
-                            <div>
-                              <span className="font-medium text-gray-500">Status:</span>
-                              <p className="text-gray-900">{log.purchase_contract_table?.status}</p>
-                            </div>
-                            <div>
-                              <span className="font-medium text-gray-500">User:</span>
-                              <p className="text-gray-900">
-                                {log.users?.first_name} {log.users?.last_name}
-                              </p>
+                            <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                              <div>
+                                <span className="font-medium text-gray-500">Contract:</span>
+                                <p className="text-gray-900">{log.purchase_contract_table?.firm_name}</p>
+                              </div>
+                              <div>
+                                <span className="font-medium text-gray-500">Status:</span>
+                                <p className="text-gray-900">{log.purchase_contract_table?.status}</p>
+                              </div>
+                              <div>
+                                <span className="font-medium text-gray-500">User:</span>
+                                <p className="text-gray-900">{userName(log.users)}</p>
+                              </div>
                             </div>
-                          </div>
 
-                          {log.notes && (
-                            <div className="mt-2">
-                              <span className="font-medium text-gray-500 text-sm">Notes:</span>
-                              <p className="text-sm text-gray-700 mt-1">{log.notes}</p>
-                            </div>
-                          )}
+                            {log.notes && (
+                              <div className="mt-2">
+                                <span className="font-medium text-gray-500 text-sm">Notes:</span>
+                                <p className="text-sm text-gray-700 mt-1">{log.notes}</p>
+                              </div>
+                            )}
+
+                            {integrityWarning(log.integrity)}
+                          </div>
                         </div>
                       </div>
                     </div>
-                  </div>
-                </li>
-              )
-            })}
-          </ul>
-        </div>
+                  </li>
+                )
+              })}
+            </ul>
+          </div>
+        )}
 
         {/* Empty State */}
-        {logs.length === 0 && (
+        {!loading && logs.length === 0 && (
           <div className="text-center py-12">
             <FileText className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-2 text-sm font-medium text-gray-900">No contract logs found</h3>
             <p className="mt-1 text-sm text-gray-500">
-              Contract activities will appear here as they occur.
+              {filtered
+                ? 'No entries match these filters.'
+                : 'Contract activities will appear here as they occur.'}
             </p>
           </div>
         )}
@@ -280,7 +541,7 @@ const ContractLogs = () => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm text-gray-700">
-                  Showing page {pagination.current_page} of {pagination.total_pages} 
+                  Showing page {pagination.current_page} of {pagination.total_pages}
                   ({pagination.total_records} total records)
                 </p>
               </div>
@@ -310,14 +571,26 @@ const ContractLogs = () => {
         <div className="flex items-center justify-between">
           <div>
             <h3 className="text-sm font-medium text-gray-900">Export Logs</h3>
-            <p className="text-sm text-gray-500">Download contract activity logs for reporting</p>
+            <p className="text-sm text-gray-500">
+              Download {filtered ? 'the entries matching the filters' : 'every contract log entry'} for reporting
+            </p>
           </div>
           <div className="space-x-2">
-            <button className="btn-secondary text-sm">
-              Export CSV
+            <button
+              onClick={() => exportLogs('csv')}
+              disabled={downloading !== null || pagination.total_records === 0}
+              className="btn-secondary text-sm"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              {downloading === 'csv' ? 'Downloading...' : 'Export CSV'}
             </button>
-            <button className="btn-primary text-sm">
-              Generate Report
+            <button
+              onClick={() => exportLogs('xlsx')}
+              disabled={downloading !== null || pagination.total_records === 0}
+              className="btn-primary text-sm"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              {downloading === 'xlsx' ? 'Downloading...' : 'Export Excel'}
             </button>
           </div>
         </div>
@@ -326,4 +599,4 @@ const ContractLogs = () => {
   )
 }
 
-export default ContractLogs
\ No newline at end of file
+export default ContractLogs
@@ -0,0 +1,358 @@
+/**
+ * Contract Templates page
+ * Admins maintain the templates purchase contracts are generated from: one
+ * per buyer type, and one for every other buyer type. A template is edited
+ * as HTML with {{placeholders}} and can be previewed against any indent
+ * before it is saved.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api, { blobErrorMessage } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { AlertTriangle, Eye, FileSignature, Plus } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const NEW_TEMPLATE = {
+  template_name: '',
+  buyer_type: '',
+  body: [
+    '<h1>PURCHASE CONTRACT</h1>',
+    '<p>Contract date: {{contract_date}}</p>',
+    '<p>Between <b>{{company_name}}</b> and <b>{{firm_name}}</b> for indent {{indent_number}}.</p>',
+    '<table>',
+    '  <tr><th>Particulars</th><th>Details</th></tr>',
+    '  <tr><td>Quantity</td><td>{{bale_quantity}} bales</td></tr>',
+    '  <tr><td>Contract value</td><td>{{total_amount}}</td></tr>',
+    '</table>'
+  ].join('\n')
+}
+
+const ContractTemplates = () => {
+  const { isAdmin } = useAuth()
+
+  const [templates, setTemplates] = useState([])
+  const [fields, setFields] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [editing, setEditing] = useState(null)
+  const [form, setForm] = useState(NEW_TEMPLATE)
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [previewIndent, setPreviewIndent] = useState('')
+  const [previewUrl, setPreviewUrl] = useState(null)
+  const [previewing, setPreviewing] = useState(false)
+
+  // Fetch contract templates and the values they can use
+  const fetchTemplates = async () => {
+    try {
+      const response = await api.get('/contract/templates')
+      setTemplates(response.data.data.templates)
+      setFields(response.data.data.fields)
+    } catch (error) {
+      console.error('Error fetching contract templates:', error)
+      toast.error('Failed to fetch contract templates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin()) {
+      fetchTemplates()
+    } else {
+      setLoading(false)
+    }
+  }, [isAdmin])
+
+  useEffect(() => {
+    return () => {
+      if (previewUrl) {
+        window.URL.revokeObjectURL(previewUrl)
+      }
+    }
+  }, [previewUrl])
+
+  // Open a template, or a new one, in the editor
+  const editTemplate = (template) => {
+    setEditing(template || {})
+    setForm(template
+      ? { template_name: template.template_name, buyer_type: template.buyer_type || '', body: template.body }
+      : NEW_TEMPLATE)
+    setErrors([])
+    setPreviewUrl(null)
+  }
+
+  // Save the template being edited
+  const saveTemplate = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      setErrors([])
+      const values = { ...form, buyer_type: form.buyer_type.trim() || null }
+      const response = editing.id
+        ? await api.put(`/contract/templates/${editing.id}`, values)
+        : await api.post('/contract/templates', values)
+      toast.success(response.data.message)
+      setEditing(null)
+      setPreviewUrl(null)
+      fetchTemplates()
+    } catch (error) {
+      console.error('Error saving contract template:', error)
+      setErrors(error.response?.data?.errors || [])
+      toast.error(error.response?.data?.message || 'Failed to save contract template')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Activate or deactivate a template
+  const toggleTemplate = async (template) => {
+    try {
+      await api.put(`/contract/templates/${template.id}`, { is_active: !template.is_active })
+      toast.success(`${template.template_name} ${template.is_active ? 'deactivated' : 'activated'}`)
+      fetchTemplates()
+    } catch (error) {
+      console.error('Error updating contract template:', error)
+      toast.error(error.response?.data?.message || 'Failed to update contract template')
+    }
+  }
+
+  // Fill in the template as edited, unsaved, for an indent
+  const previewTemplate = async () => {
+    if (!previewIndent.trim()) {
+      toast.error('Enter an indent number to preview with')
+      return
+    }
+
+    try {
+      setPreviewing(true)
+      setErrors([])
+      const response = await api.post('/contract/generate/preview', {
+        indent_number: previewIndent.trim(),
+        body: form.body
+      }, { responseType: 'blob' })
+      setPreviewUrl(window.URL.createObjectURL(response.data))
+    } catch (error) {
+      console.error('Error previewing contract template:', error)
+      try {
+        setErrors(JSON.parse(await error.response.data.text()).errors || [])
+      } catch (parseError) {
+        setErrors([])
+      }
+      toast.error(await blobErrorMessage(error, 'Failed to preview contract template'))
+    } finally {
+      setPreviewing(false)
+    }
+  }
+
+  if (!isAdmin()) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Contract Templates</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Purchase contracts are generated from the active template for the indent's buyer type, or
+          else from the template for every buyer type. Generated contracts go for approval like
+          uploaded ones.
+        </p>
+      </div>
+
+      {/* Templates */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Templates</h2>
+          <button onClick={() => editTemplate(null)} className="btn-secondary">
+            <Plus className="h-4 w-4 mr-2" />
+            New Template
+          </button>
+        </div>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Template</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Buyer Type</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Changed</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {templates.map((template) => (
+              <tr key={template.id} className={template.is_active ? undefined : 'opacity-50'}>
+                <td className="px-6 py-4 text-sm text-gray-900">
+                  <div className="flex items-center">
+                    <FileSignature className="h-4 w-4 text-gray-400 mr-2" />
+                    {template.template_name}
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {template.buyer_type || 'Every other buyer type'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {new Date(template.updated_at || template.created_at).toLocaleDateString()}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                  <button onClick={() => editTemplate(template)} className="text-blue-600 hover:text-blue-900">
+                    Edit
+                  </button>
+                  <button onClick={() => toggleTemplate(template)} className="text-gray-600 hover:text-gray-900">
+                    {template.is_active ? 'Deactivate' : 'Activate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {templates.length === 0 && (
+          <div className="text-center py-12 text-sm text-gray-500">
+            No contract templates yet. Contracts can still be uploaded as PDFs.
+          </div>
+        )}
+      </div>
+
+      {/* Editor */}
+      {editing && (
+        <form onSubmit={saveTemplate} className="card p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">
+            {editing.id ? `Edit ${editing.template_name}` : 'New template'}
+          </h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.template_name}
+                onChange={(e) => setForm(prev => ({ ...prev, template_name: e.target.value }))}
+                className="input-field"
+                minLength={3}
+                maxLength={100}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Buyer Type</label>
+              <input
+                type="text"
+                value={form.buyer_type}
+                onChange={(e) => setForm(prev => ({ ...prev, buyer_type: e.target.value }))}
+                placeholder="Leave empty for every other buyer type"
+                className="input-field"
+                maxLength={50}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <div className="lg:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+              <textarea
+                value={form.body}
+                onChange={(e) => setForm(prev => ({ ...prev, body: e.target.value }))}
+                rows={24}
+                spellCheck={false}
+                className="input-field font-mono text-xs"
+                required
+              />
+            </div>
+
+            {fields && (
+              <div className="text-xs text-gray-600 space-y-2 max-h-[32rem] overflow-y-auto">
+                <p>
+                  Use h1-h3, p, ul/ol with li, table with tr/th/td, hr and br; b or strong around a
+                  whole paragraph prints it bold. Values are written as {'{{name}}'}; wrap optional
+                  parts in {'{{#if name}}...{{else}}...{{/if}}'} and repeat rows with
+                  {' {{#each payments}}...{{/each}}'}.
+                </p>
+                <dl className="space-y-1">
+                  {Object.entries(fields.contract).map(([name, description]) => (
+                    <div key={name}>
+                      <dt className="font-mono text-gray-900">{`{{${name}}}`}</dt>
+                      <dd className="ml-2">{description}</dd>
+                    </div>
+                  ))}
+                </dl>
+                <p className="font-medium text-gray-900">Inside {'{{#each payments}}'}</p>
+                <dl className="space-y-1">
+                  {Object.entries(fields.payment).map(([name, description]) => (
+                    <div key={name}>
+                      <dt className="font-mono text-gray-900">{`{{${name}}}`}</dt>
+                      <dd className="ml-2">{description}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </div>
+            )}
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-600 list-disc list-inside">
+              {errors.map((error, index) => (
+                <li key={index}>{error.message}</li>
+              ))}
+            </ul>
+          )}
+
+          {previewUrl && (
+            <iframe
+              src={previewUrl}
+              title="Contract template preview"
+              className="w-full h-[36rem] border border-gray-200 rounded-lg"
+            />
+          )}
+
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={previewIndent}
+                onChange={(e) => setPreviewIndent(e.target.value)}
+                placeholder="Indent number to preview with"
+                className="input-field"
+              />
+              <button
+                type="button"
+                onClick={previewTemplate}
+                disabled={previewing}
+                className="btn-secondary whitespace-nowrap"
+              >
+                <Eye className="h-4 w-4 mr-2" />
+                {previewing ? 'Generating...' : 'Preview'}
+              </button>
+            </div>
+            <div className="flex space-x-3">
+              <button type="button" onClick={() => { setEditing(null); setPreviewUrl(null) }} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary">
+                {saving ? 'Saving...' : 'Save Template'}
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default ContractTemplates
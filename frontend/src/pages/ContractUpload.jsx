@@ -1,13 +1,16 @@
 /**
  * Contract Upload page - Flow 3
- * Upload contract PDF with file validation
+ * Generate the contract PDF from a template or upload one with file
+ * validation. Each contract for an indent is kept as a new version until the
+ * contract is sent.
  */
 
 import React, { useState, useEffect } from 'react'
 import { useLocation, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import api from '../services/api'
+import { uploadFile } from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
+import ContractGenerator from '../components/ContractGenerator'
 import {
   FileText,
   Upload,
@@ -17,14 +20,13 @@ import {
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
-const N8N_CONTRACT_UPLOAD_WEBHOOK='https://primary-production-b52e.up.railway.app/webhook-test/contract-upload';
-
 const ContractUpload = () => {
   const location = useLocation()
   const navigate = useNavigate()
   const { user } = useAuth()
   
   const [file, setFile] = useState(null)
+  const [notes, setNotes] = useState('')
   const [uploading, setUploading] = useState(false)
   const [uploaded, setUploaded] = useState(false)
   const [uploadedContract, setUploadedContract] = useState(null)
@@ -101,28 +103,26 @@ const ContractUpload = () => {
       const formData = new FormData()
       formData.append('contract', file)
       formData.append('indent_number', indentNumber)
-      formData.append('firm_name', procurement.firm_name)
-
-      const response = await fetch(N8N_CONTRACT_UPLOAD_WEBHOOK, {
-        method: 'POST',
-        body: formData
-      });
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to upload contract');
-      }
-      const responseData = await response.json();
-      setUploadedContract(responseData.data?.contract || responseData.data);
-      setUploaded(true);
-      toast.success('Contract uploaded successfully!');
+      formData.append('notes', notes)
+
+      const response = await uploadFile('/contract/upload', formData)
+      setUploadedContract(response.data.data)
+      setUploaded(true)
+      toast.success(response.data.message)
     } catch (error) {
       console.error('Error uploading contract:', error)
-      toast.error(error.message || 'Failed to upload contract')
+      toast.error(error.response?.data?.error || error.response?.data?.message || 'Failed to upload contract')
     } finally {
       setUploading(false)
     }
   }
 
+  // Show the generated contract like an uploaded one
+  const contractGenerated = (generated) => {
+    setUploadedContract(generated)
+    setUploaded(true)
+  }
+
   // Generate suggested filename
   const getSuggestedFilename = () => {
     if (!procurement) return ''
@@ -143,9 +143,11 @@ const ContractUpload = () => {
         {/* Success Message */}
         <div className="card p-8 text-center">
           <CheckCircle className="mx-auto h-16 w-16 text-green-500 mb-4" />
-          <h1 className="text-2xl font-bold text-gray-900 mb-2">Contract Uploaded Successfully!</h1>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">
+            {uploadedContract?.template ? 'Contract Generated Successfully!' : 'Contract Uploaded Successfully!'}
+          </h1>
           <p className="text-gray-600 mb-6">
-            Your contract has been uploaded and is now waiting for admin approval.
+            Your contract has been {uploadedContract?.template ? 'generated' : 'uploaded'} and is now waiting for admin approval.
           </p>
 
           {/* Upload Details */}
@@ -153,7 +155,11 @@ const ContractUpload = () => {
             <div className="text-left space-y-2">
               <div className="flex justify-between">
                 <span className="font-medium text-green-900">Contract ID:</span>
-                <span className="text-green-800">{uploadedContract?.id}</span>
+                <span className="text-green-800">{uploadedContract?.contract.id}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="font-medium text-green-900">Version:</span>
+                <span className="text-green-800">{uploadedContract?.document.version}</span>
               </div>
               <div className="flex justify-between">
                 <span className="font-medium text-green-900">Indent Number:</span>
@@ -165,7 +171,17 @@ const ContractUpload = () => {
               </div>
               <div className="flex justify-between">
                 <span className="font-medium text-green-900">File Name:</span>
-                <span className="text-green-800">{uploadedContract?.file_name}</span>
+                <span className="text-green-800">{uploadedContract?.document.file_name}</span>
+              </div>
+              {uploadedContract?.template && (
+                <div className="flex justify-between">
+                  <span className="font-medium text-green-900">Template:</span>
+                  <span className="text-green-800">{uploadedContract.template.template_name}</span>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span className="font-medium text-green-900">SHA-256:</span>
+                <span className="text-green-800 font-mono text-xs break-all ml-4">{uploadedContract?.document.checksum_sha256}</span>
               </div>
               <div className="flex justify-between">
                 <span className="font-medium text-green-900">Status:</span>
@@ -213,7 +229,7 @@ const ContractUpload = () => {
           <div>
             <h1 className="text-2xl font-bold text-gray-900">Upload Purchase Contract</h1>
             <p className="mt-1 text-sm text-gray-600">
-              Upload PDF contract for indent {indentNumber}
+              Generate or upload the PDF contract for indent {indentNumber}
             </p>
           </div>
           <button
@@ -245,6 +261,13 @@ const ContractUpload = () => {
         </div>
       </div>
 
+      {/* Generate from Template */}
+      <ContractGenerator
+        indentNumber={indentNumber}
+        buyerType={procurement.allocation?.buyer_type}
+        onGenerated={contractGenerated}
+      />
+
       {/* File Upload */}
       <div className="card p-6">
         <div className="flex items-center mb-6">
@@ -319,6 +342,22 @@ const ContractUpload = () => {
           </div>
         </div>
 
+        {/* Revision Notes */}
+        <div className="mt-6">
+          <label htmlFor="contract-notes" className="block text-sm font-medium text-gray-700 mb-1">
+            Notes (optional)
+          </label>
+          <input
+            id="contract-notes"
+            type="text"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            maxLength={500}
+            placeholder="e.g. what changed from the previous version"
+            className="input-field"
+          />
+        </div>
+
         {/* Upload Button */}
         <div className="mt-6 flex justify-end">
           <button
@@ -375,7 +414,7 @@ const ContractUpload = () => {
         <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
           <p className="text-sm text-yellow-800">
             <strong>Important:</strong> Once uploaded, the contract will be sent for admin approval. 
-            Ensure all details are correct before uploading.
+            Uploading again before it is sent replaces it with a new version; earlier versions are kept.
           </p>
         </div>
       </div>
@@ -0,0 +1,478 @@
+/**
+ * EMD page
+ * EMDs from the day their installment is paid until they are adjusted against
+ * the final bill, refunded to the firm or forfeited. A refund is requested
+ * with the firm's bank account and approved by a different admin before the
+ * transfer is recorded.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { Wallet, AlertTriangle, CheckCircle, XCircle } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const STATUSES = [
+  { value: 'held', label: 'Held', className: 'bg-blue-100 text-blue-800' },
+  { value: 'refund_requested', label: 'Refund Requested', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'refund_approved', label: 'Refund Approved', className: 'bg-orange-100 text-orange-800' },
+  { value: 'refunded', label: 'Refunded', className: 'bg-green-100 text-green-800' },
+  { value: 'adjusted', label: 'Adjusted', className: 'bg-purple-100 text-purple-800' },
+  { value: 'forfeited', label: 'Forfeited', className: 'bg-red-100 text-red-800' }
+]
+
+const SUMMARY = [
+  { key: 'held', label: 'Held', color: 'text-blue-900' },
+  { key: 'refunding', label: 'Being Refunded', color: 'text-yellow-900' },
+  { key: 'adjusted', label: 'Adjusted', color: 'text-purple-900' },
+  { key: 'refunded', label: 'Refunded', color: 'text-green-900' },
+  { key: 'forfeited', label: 'Forfeited', color: 'text-red-900' }
+]
+
+const emptyRefund = { reason: '', account_name: '', account_number: '', ifsc_code: '' }
+
+const statusOf = (value) => STATUSES.find((status) => status.value === value)
+const userName = (person) => person ? `${person.first_name} ${person.last_name}` : '-'
+const rupees = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`
+
+const EmdDeposits = () => {
+  const { user, isAdmin, isTrader } = useAuth()
+
+  const [deposits, setDeposits] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [status, setStatus] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [selected, setSelected] = useState(null)
+  const [detail, setDetail] = useState(null)
+  const [refund, setRefund] = useState(emptyRefund)
+  const [reason, setReason] = useState('')
+  const [forfeitReason, setForfeitReason] = useState('')
+  const [transfer, setTransfer] = useState({ utr_number: '', payment_mode: 'RTGS' })
+  const [working, setWorking] = useState(false)
+
+  // Fetch EMDs with their totals
+  const fetchDeposits = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/emd', { params: status ? { status } : {} })
+      setDeposits(response.data.data.deposits)
+      setSummary(response.data.data.summary)
+    } catch (error) {
+      console.error('Error fetching EMDs:', error)
+      toast.error('Failed to fetch EMDs')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Fetch an EMD with its ledger
+  const fetchDetail = async (depositId) => {
+    try {
+      const response = await api.get(`/emd/${depositId}`)
+      setDetail(response.data.data)
+    } catch (error) {
+      console.error('Error fetching EMD:', error)
+      toast.error('Failed to fetch EMD ledger')
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin() || isTrader()) {
+      fetchDeposits()
+    } else {
+      setLoading(false)
+    }
+  }, [status])
+
+  useEffect(() => {
+    setDetail(null)
+    setRefund(emptyRefund)
+    setReason('')
+    setForfeitReason('')
+    setTransfer({ utr_number: '', payment_mode: 'RTGS' })
+    if (selected) {
+      fetchDetail(selected)
+    }
+  }, [selected])
+
+  // Request, review, record or forfeit, then reload
+  const act = async (action, body) => {
+    try {
+      setWorking(true)
+      const response = await api.post(`/emd/${selected}/${action}`, body)
+      toast.success(response.data.message)
+      setReason('')
+      setForfeitReason('')
+      fetchDeposits()
+      fetchDetail(selected)
+    } catch (error) {
+      console.error(`Error on EMD ${action}:`, error)
+      const errors = error.response?.data?.errors
+      toast.error(errors ? errors.map((item) => item.message).join('; ') : error.response?.data?.message || 'Failed to update EMD')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const requestRefund = (e) => {
+    e.preventDefault()
+    const { reason: refundReason, ...refundAccount } = refund
+    act('refund-request', { reason: refundReason, refund_account: refundAccount })
+  }
+
+  const withReason = (action, value, body = {}) => {
+    if (value.trim().length < 5) {
+      toast.error('Give a reason of at least 5 characters')
+      return
+    }
+    act(action, { ...body, reason: value.trim() })
+  }
+
+  const setRefundField = (field) => (e) => setRefund(prev => ({ ...prev, [field]: e.target.value }))
+
+  if (!isAdmin() && !isTrader()) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  const deposit = detail?.deposit
+  const ownRequest = deposit?.refund_requested_by === user?.id
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">EMD</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          EMDs are held once paid in full. Completing an allocation adjusts its EMD against the final bill;
+          cancelling it requests a refund, which another admin approves before the transfer is recorded.
+        </p>
+      </div>
+
+      {summary && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {SUMMARY.map(({ key, label, color }) => (
+            <div key={key} className="card p-4">
+              <p className="text-sm font-medium text-gray-500">{label}</p>
+              <p className={`text-xl font-bold ${color}`}>{rupees(summary[key])}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* EMD list */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+          <Wallet className="h-5 w-5 text-blue-500 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">EMDs</h2>
+          <select value={status} onChange={(e) => setStatus(e.target.value)} className="input-field ml-auto w-48">
+            <option value="">All statuses</option>
+            {STATUSES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : deposits.length === 0 ? (
+          <p className="px-6 py-8 text-center text-sm text-gray-500">No EMDs{status ? ` ${statusOf(status).label.toLowerCase()}` : ''}.</p>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Indent</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Firm</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">EMD</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Held Since</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {deposits.map((item) => (
+                  <tr key={item.id} className={selected === item.id ? 'bg-blue-50' : undefined}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {item.allocation_id ? (
+                        <Link to={`/allocation/${item.allocation_id}`} className="text-blue-600 hover:text-blue-900">
+                          {item.procurement_dump?.indent_number}
+                        </Link>
+                      ) : item.procurement_dump?.indent_number}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{item.procurement_dump?.firm_name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">
+                      {rupees(item.amount)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(item.created_at).toLocaleDateString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`status-badge ${statusOf(item.emd_status)?.className}`}>
+                        {statusOf(item.emd_status)?.label}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <button
+                        onClick={() => setSelected(selected === item.id ? null : item.id)}
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        {selected === item.id ? 'Close' : 'Open'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Selected EMD */}
+      {selected && !deposit && (
+        <div className="flex justify-center items-center h-32">
+          <LoadingSpinner size="lg" />
+        </div>
+      )}
+      {deposit && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="card p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {deposit.procurement_dump?.indent_number} · {rupees(deposit.amount)}
+            </h2>
+            <dl className="grid grid-cols-2 gap-3 text-sm">
+              <dt className="text-gray-500">Status</dt>
+              <dd className="text-gray-900">{statusOf(deposit.emd_status)?.label}</dd>
+              <dt className="text-gray-500">Still held</dt>
+              <dd className="text-gray-900">{rupees(deposit.balance)}</dd>
+              {deposit.refund_reason && (
+                <>
+                  <dt className="text-gray-500">Refund reason</dt>
+                  <dd className="text-gray-900">{deposit.refund_reason}</dd>
+                  <dt className="text-gray-500">Requested by</dt>
+                  <dd className="text-gray-900">{userName(deposit.refund_requested_user)}</dd>
+                </>
+              )}
+              {deposit.refund_account && (
+                <>
+                  <dt className="text-gray-500">Refund to</dt>
+                  <dd className="text-gray-900">
+                    {deposit.refund_account.account_name}
+                    <span className="block font-mono text-gray-500">
+                      {deposit.refund_account.account_number} · {deposit.refund_account.ifsc_code}
+                    </span>
+                  </dd>
+                </>
+              )}
+              {deposit.refund_reviewed_at && (
+                <>
+                  <dt className="text-gray-500">Reviewed by</dt>
+                  <dd className="text-gray-900">{userName(deposit.refund_reviewed_user)}</dd>
+                </>
+              )}
+              {deposit.refund_rejection_reason && (
+                <>
+                  <dt className="text-gray-500">Refund rejected</dt>
+                  <dd className="text-red-700">{deposit.refund_rejection_reason}</dd>
+                </>
+              )}
+              {deposit.refund_utr && (
+                <>
+                  <dt className="text-gray-500">Refund UTR</dt>
+                  <dd className="text-gray-900 font-mono">{deposit.refund_utr} ({deposit.refund_payment_mode})</dd>
+                </>
+              )}
+            </dl>
+
+            {/* Ledger */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">Ledger</h3>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-1">Date</th>
+                    <th className="py-1">Entry</th>
+                    <th className="py-1 text-right">Amount</th>
+                    <th className="py-1 text-right">Held After</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {detail.ledger.map((entry) => (
+                    <tr key={entry.id}>
+                      <td className="py-1 text-gray-500">{new Date(entry.created_at).toLocaleDateString()}</td>
+                      <td className="py-1 text-gray-900">
+                        {entry.entry_type}
+                        {entry.reference && <span className="text-gray-500"> · {entry.reference}</span>}
+                      </td>
+                      <td className="py-1 text-right text-gray-900">
+                        {entry.entry_type === 'HELD' ? '' : '-'}{rupees(entry.amount)}
+                      </td>
+                      <td className="py-1 text-right text-gray-500">{rupees(entry.balance_after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="card p-6 space-y-6">
+            <h2 className="text-lg font-semibold text-gray-900">Actions</h2>
+
+            {['held', 'refund_requested'].includes(deposit.emd_status) && (
+              <form onSubmit={requestRefund} className="space-y-3">
+                <h3 className="text-sm font-medium text-gray-900">
+                  {deposit.emd_status === 'held' ? 'Request Refund' : 'Update Refund Request'}
+                </h3>
+                <input
+                  type="text"
+                  value={refund.reason}
+                  onChange={setRefundField('reason')}
+                  placeholder="Reason"
+                  className="input-field"
+                  required
+                  minLength={5}
+                />
+                <input
+                  type="text"
+                  value={refund.account_name}
+                  onChange={setRefundField('account_name')}
+                  placeholder="Firm's account name"
+                  className="input-field"
+                  required
+                  minLength={2}
+                />
+                <div className="grid grid-cols-2 gap-3">
+                  <input
+                    type="text"
+                    value={refund.account_number}
+                    onChange={setRefundField('account_number')}
+                    placeholder="Account number"
+                    className="input-field font-mono"
+                    required
+                  />
+                  <input
+                    type="text"
+                    value={refund.ifsc_code}
+                    onChange={setRefundField('ifsc_code')}
+                    placeholder="IFSC"
+                    className="input-field font-mono uppercase"
+                    required
+                  />
+                </div>
+                <div className="flex justify-end">
+                  <button type="submit" disabled={working} className="btn-primary">Request Refund</button>
+                </div>
+              </form>
+            )}
+
+            {isAdmin() && deposit.emd_status === 'refund_requested' && (
+              <div className="space-y-3">
+                <h3 className="text-sm font-medium text-gray-900">Review Refund</h3>
+                {ownRequest ? (
+                  <p className="text-sm text-gray-500">You requested this refund; another admin must review it.</p>
+                ) : (
+                  <>
+                    <input
+                      type="text"
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                      placeholder="Reason (required to reject)"
+                      className="input-field"
+                    />
+                    <div className="flex justify-end space-x-3">
+                      <button
+                        onClick={() => withReason('refund-review', reason, { decision: 'reject' })}
+                        disabled={working}
+                        className="btn-secondary"
+                      >
+                        <XCircle className="h-4 w-4 mr-2" />
+                        Reject
+                      </button>
+                      <button
+                        onClick={() => act('refund-review', { decision: 'approve' })}
+                        disabled={working || !deposit.refund_account}
+                        className="btn-primary"
+                      >
+                        <CheckCircle className="h-4 w-4 mr-2" />
+                        Approve
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+
+            {isAdmin() && deposit.emd_status === 'refund_approved' && (
+              <div className="space-y-3">
+                <h3 className="text-sm font-medium text-gray-900">Record Refund Transfer</h3>
+                <div className="grid grid-cols-3 gap-3">
+                  <input
+                    type="text"
+                    value={transfer.utr_number}
+                    onChange={(e) => setTransfer(prev => ({ ...prev, utr_number: e.target.value }))}
+                    placeholder="UTR"
+                    className="input-field font-mono uppercase col-span-2"
+                  />
+                  <select
+                    value={transfer.payment_mode}
+                    onChange={(e) => setTransfer(prev => ({ ...prev, payment_mode: e.target.value }))}
+                    className="input-field"
+                  >
+                    <option value="RTGS">RTGS</option>
+                    <option value="NEFT">NEFT</option>
+                    <option value="IMPS">IMPS</option>
+                  </select>
+                </div>
+                <div className="flex justify-end">
+                  <button
+                    onClick={() => act('refund', transfer)}
+                    disabled={working || transfer.utr_number.trim().length < 12}
+                    className="btn-primary"
+                  >
+                    Mark Refunded
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {isAdmin() && ['held', 'refund_requested'].includes(deposit.emd_status) && (
+              <div className="space-y-3 pt-4 border-t border-gray-200">
+                <h3 className="text-sm font-medium text-gray-900">Forfeit EMD</h3>
+                <input
+                  type="text"
+                  value={forfeitReason}
+                  onChange={(e) => setForfeitReason(e.target.value)}
+                  placeholder="Reason, e.g. firm defaulted on lifting"
+                  className="input-field"
+                />
+                <div className="flex justify-end">
+                  <button onClick={() => withReason('forfeit', forfeitReason)} disabled={working} className="btn-secondary text-red-700">
+                    Forfeit
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {['adjusted', 'refunded', 'forfeited'].includes(deposit.emd_status) && (
+              <p className="text-sm text-gray-500">
+                This EMD is {statusOf(deposit.emd_status)?.label.toLowerCase()}; nothing is left to do.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default EmdDeposits
@@ -0,0 +1,306 @@
+/**
+ * Holidays page
+ * Maintain the bank holiday calendar used to count business days for due dates
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api, { uploadFile } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  CalendarDays,
+  Plus,
+  Upload,
+  Trash2,
+  AlertTriangle
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const emptyHoliday = { holiday_date: '', name: '', state_code: '' }
+
+const Holidays = () => {
+  const { isAdmin, isTrader } = useAuth()
+
+  const [year, setYear] = useState(new Date().getFullYear())
+  const [stateCode, setStateCode] = useState('')
+  const [holidays, setHolidays] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [newHoliday, setNewHoliday] = useState(emptyHoliday)
+  const [saving, setSaving] = useState(false)
+  const [csvFile, setCsvFile] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const [importErrors, setImportErrors] = useState([])
+
+  // Fetch holidays for the selected year and state
+  const fetchHolidays = async () => {
+    try {
+      setLoading(true)
+      const params = { year }
+      if (/^\d{2}$/.test(stateCode)) params.state_code = stateCode
+      const response = await api.get('/holidays', { params })
+      setHolidays(response.data.data.holidays)
+    } catch (error) {
+      console.error('Error fetching holidays:', error)
+      toast.error('Failed to fetch holidays')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin() || isTrader()) {
+      fetchHolidays()
+    } else {
+      setLoading(false)
+    }
+  }, [year, stateCode])
+
+  // Add a single holiday
+  const addHoliday = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      await api.post('/holidays', {
+        holiday_date: newHoliday.holiday_date,
+        name: newHoliday.name,
+        state_code: newHoliday.state_code || null
+      })
+      toast.success('Holiday added')
+      setNewHoliday(emptyHoliday)
+      fetchHolidays()
+    } catch (error) {
+      console.error('Error adding holiday:', error)
+      toast.error(error.response?.data?.message || 'Failed to add holiday')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Import holidays from a CSV file
+  const importHolidays = async () => {
+    if (!csvFile) {
+      toast.error('Please select a CSV file')
+      return
+    }
+
+    try {
+      setImporting(true)
+      setImportErrors([])
+      const formData = new FormData()
+      formData.append('file', csvFile)
+      const response = await uploadFile('/holidays/import', formData)
+      const { imported, skipped } = response.data.data
+      toast.success(`Imported ${imported} holidays${skipped ? `, skipped ${skipped} already listed` : ''}`)
+      setCsvFile(null)
+      fetchHolidays()
+    } catch (error) {
+      console.error('Error importing holidays:', error)
+      setImportErrors(error.response?.data?.errors || [])
+      toast.error(error.response?.data?.message || 'Failed to import holidays')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  // Remove a holiday
+  const deleteHoliday = async (holiday) => {
+    if (!window.confirm(`Delete ${holiday.name} on ${new Date(holiday.holiday_date).toLocaleDateString()}?`)) {
+      return
+    }
+
+    try {
+      await api.delete(`/holidays/${holiday.id}`)
+      toast.success('Holiday deleted')
+      fetchHolidays()
+    } catch (error) {
+      console.error('Error deleting holiday:', error)
+      toast.error('Failed to delete holiday')
+    }
+  }
+
+  if (!isAdmin() && !isTrader()) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Holidays</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Bank holidays used for EMD, UTR, lifting and lot acceptance deadlines. Sundays and the
+          second and fourth Saturdays are always closed.
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="card p-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Year</label>
+            <input
+              type="number"
+              min="2000"
+              max="2100"
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">State Code</label>
+            <input
+              type="text"
+              value={stateCode}
+              onChange={(e) => setStateCode(e.target.value.trim())}
+              placeholder="All states, e.g. 27 for Maharashtra"
+              maxLength={2}
+              className="input-field"
+            />
+          </div>
+        </div>
+      </div>
+
+      {isAdmin() && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Add holiday */}
+          <form onSubmit={addHoliday} className="card p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Add Holiday</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                <input
+                  type="date"
+                  value={newHoliday.holiday_date}
+                  onChange={(e) => setNewHoliday(prev => ({ ...prev, holiday_date: e.target.value }))}
+                  className="input-field"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={newHoliday.name}
+                  onChange={(e) => setNewHoliday(prev => ({ ...prev, name: e.target.value }))}
+                  className="input-field"
+                  required
+                  minLength={2}
+                  maxLength={100}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">State Code</label>
+                <input
+                  type="text"
+                  value={newHoliday.state_code}
+                  onChange={(e) => setNewHoliday(prev => ({ ...prev, state_code: e.target.value.trim() }))}
+                  placeholder="National"
+                  pattern="\d{2}"
+                  maxLength={2}
+                  className="input-field"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <button type="submit" disabled={saving} className="btn-primary">
+                <Plus className="h-4 w-4 mr-2" />
+                {saving ? 'Adding...' : 'Add Holiday'}
+              </button>
+            </div>
+          </form>
+
+          {/* CSV import */}
+          <div className="card p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Import CSV</h2>
+            <p className="text-sm text-gray-500">
+              Columns: <code>date,name,state</code>. State is a GST state code or name; leave it
+              blank for national holidays. Holidays already listed are skipped.
+            </p>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => setCsvFile(e.target.files[0] || null)}
+              className="block w-full text-sm text-gray-500"
+            />
+            {importErrors.length > 0 && (
+              <ul className="text-sm text-red-600 list-disc list-inside">
+                {importErrors.map((error, index) => (
+                  <li key={index}>{error.field}: {error.message}</li>
+                ))}
+              </ul>
+            )}
+            <div className="flex justify-end">
+              <button onClick={importHolidays} disabled={importing || !csvFile} className="btn-primary">
+                <Upload className="h-4 w-4 mr-2" />
+                {importing ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Holiday list */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+          <CalendarDays className="h-5 w-5 text-blue-500 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">{year} Holidays</h2>
+        </div>
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : holidays.length === 0 ? (
+          <p className="px-6 py-8 text-center text-sm text-gray-500">No holidays listed for {year}</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+                {isAdmin() && <th className="px-6 py-3" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {holidays.map((holiday) => (
+                <tr key={holiday.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {new Date(holiday.holiday_date).toLocaleDateString(undefined, {
+                      weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
+                    })}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{holiday.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {holiday.state_code ? `State ${holiday.state_code}` : 'National'}
+                  </td>
+                  {isAdmin() && (
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      <button
+                        onClick={() => deleteHoliday(holiday)}
+                        className="text-gray-400 hover:text-red-600"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Holidays
@@ -0,0 +1,470 @@
+/**
+ * Party Ledger page
+ * Balances of firms, customers and brokers, and the statement of account of
+ * a party for a period with its opening and closing balance, downloadable as
+ * PDF or Excel. Admins record receipts, payments and adjustments made outside
+ * the system.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api, { downloadFile } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { BookOpen, Download, Plus, AlertTriangle } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const PARTY_TYPES = [
+  { value: 'firm', label: 'Firm' },
+  { value: 'customer', label: 'Customer' },
+  { value: 'broker', label: 'Broker' }
+]
+
+const ENTRY_TYPES = [
+  { value: 'DUE', label: 'Due' },
+  { value: 'RECEIPT', label: 'Receipt' },
+  { value: 'REFUND', label: 'EMD refund' },
+  { value: 'COMMISSION', label: 'Commission' },
+  { value: 'PAYMENT', label: 'Payment' },
+  { value: 'ADJUSTMENT', label: 'Adjustment' }
+]
+
+const MANUAL_ENTRY_TYPES = ['RECEIPT', 'PAYMENT', 'ADJUSTMENT']
+
+const today = () => new Date().toISOString().split('T')[0]
+
+// The Indian financial year starts on 1 April
+const financialYearStart = () => {
+  const [year, month] = today().split('-').map(Number)
+  return `${month >= 4 ? year : year - 1}-04-01`
+}
+
+const emptyEntry = {
+  party_type: 'customer',
+  party_key: '',
+  entry_type: 'RECEIPT',
+  side: 'credit',
+  amount: '',
+  entry_date: today(),
+  reference: '',
+  narration: ''
+}
+
+const labelOf = (options, value) => options.find((option) => option.value === value)?.label || value
+const amount = (value) => Number(value) ? Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2 }) : ''
+const balance = (value) => {
+  const figure = Math.abs(Number(value)).toLocaleString('en-IN', { minimumFractionDigits: 2 })
+  return Number(value) === 0 ? figure : `${figure} ${value > 0 ? 'Dr' : 'Cr'}`
+}
+const formatDate = (date) => date.split('-').reverse().join('-')
+
+const PartyLedger = () => {
+  const { isAdmin, isTrader } = useAuth()
+
+  const [parties, setParties] = useState([])
+  const [customers, setCustomers] = useState([])
+  const [brokers, setBrokers] = useState([])
+  const [partyType, setPartyType] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [selected, setSelected] = useState(null)
+  const [period, setPeriod] = useState({ from: financialYearStart(), to: today() })
+  const [statement, setStatement] = useState(null)
+  const [loadingStatement, setLoadingStatement] = useState(false)
+  const [downloading, setDownloading] = useState(null)
+  const [entry, setEntry] = useState(emptyEntry)
+  const [saving, setSaving] = useState(false)
+
+  // Fetch parties with their balances
+  const fetchParties = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/ledger/parties', { params: partyType ? { party_type: partyType } : {} })
+      setParties(response.data.data.parties)
+      setCustomers(response.data.data.customers)
+      setBrokers(response.data.data.brokers)
+    } catch (error) {
+      console.error('Error fetching ledger:', error)
+      toast.error('Failed to fetch ledger')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Fetch the statement of the selected party for the period
+  const fetchStatement = async () => {
+    try {
+      setLoadingStatement(true)
+      const response = await api.get('/ledger/statement', { params: statementParams() })
+      setStatement(response.data.data.statement)
+    } catch (error) {
+      console.error('Error fetching statement:', error)
+      setStatement(null)
+      toast.error(error.response?.data?.message || 'Failed to fetch statement')
+    } finally {
+      setLoadingStatement(false)
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin() || isTrader()) {
+      fetchParties()
+    } else {
+      setLoading(false)
+    }
+  }, [partyType])
+
+  useEffect(() => {
+    setStatement(null)
+    if (selected) {
+      fetchStatement()
+      setEntry({ ...emptyEntry, party_type: selected.party_type, party_key: selected.party_key })
+    }
+  }, [selected])
+
+  const statementParams = (format) => ({
+    party_type: selected.party_type,
+    party_key: selected.party_key,
+    from: period.from,
+    to: period.to,
+    ...(format ? { format } : {})
+  })
+
+  const download = async (format) => {
+    try {
+      setDownloading(format)
+      const name = selected.party_name.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '')
+      await downloadFile('/ledger/statement', `Statement-${name}-${period.from}-to-${period.to}.${format}`, statementParams(format))
+    } catch (error) {
+      console.error('Error downloading statement:', error)
+      toast.error('Failed to download statement')
+    } finally {
+      setDownloading(null)
+    }
+  }
+
+  // Record a manual entry and reload the balances and statement
+  const recordEntry = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      const { side, ...values } = entry
+      const response = await api.post('/ledger/entries', {
+        ...values,
+        ...(entry.entry_type === 'ADJUSTMENT' ? { side } : {}),
+        amount: Number(entry.amount)
+      })
+      toast.success(response.data.message)
+      setEntry(prev => ({ ...emptyEntry, party_type: prev.party_type, party_key: prev.party_key }))
+      fetchParties()
+      if (selected?.party_type === entry.party_type && selected?.party_key === entry.party_key) {
+        fetchStatement()
+      }
+    } catch (error) {
+      console.error('Error recording ledger entry:', error)
+      const errors = error.response?.data?.errors
+      toast.error(errors ? errors.map((item) => item.message).join('; ') : error.response?.data?.message || 'Failed to record entry')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const setEntryField = (field) => (e) => setEntry(prev => ({ ...prev, [field]: e.target.value }))
+
+  // Customers and brokers come from their masters; firms from the ledger
+  const entryParties = {
+    firm: parties.filter((party) => party.party_type === 'firm')
+      .map((party) => ({ key: party.party_key, name: party.party_name })),
+    customer: customers.map((customer) => ({ key: customer.id, name: `${customer.customer_name} (${customer.customer_code})` })),
+    broker: brokers.map((broker) => ({ key: broker.id, name: `${broker.broker_name} (${broker.broker_code})` }))
+  }[entry.party_type]
+
+  if (!isAdmin() && !isTrader()) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Party Ledger</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          CDUs, verified transfers, EMD refunds, confirmed sales and broker commissions are posted to the
+          firm, customer and broker accounts. A Dr balance is owed by the party; a Cr balance is owed to it.
+        </p>
+      </div>
+
+      {/* Party list */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+          <BookOpen className="h-5 w-5 text-blue-500 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Accounts</h2>
+          <select value={partyType} onChange={(e) => setPartyType(e.target.value)} className="input-field ml-auto w-48">
+            <option value="">All parties</option>
+            {PARTY_TYPES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}s</option>
+            ))}
+          </select>
+        </div>
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : parties.length === 0 ? (
+          <p className="px-6 py-8 text-center text-sm text-gray-500">No ledger entries yet.</p>
+        ) : (
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Party</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Debit</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Credit</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Entry</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {parties.map((party) => {
+                  const isSelected = selected?.party_type === party.party_type && selected?.party_key === party.party_key
+                  return (
+                    <tr key={`${party.party_type}:${party.party_key}`} className={isSelected ? 'bg-blue-50' : undefined}>
+                      <td className="px-6 py-4 text-sm font-medium text-gray-900">{party.party_name}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{labelOf(PARTY_TYPES, party.party_type)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{amount(party.total_debit)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{amount(party.total_credit)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">{balance(party.balance)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(party.last_entry_date)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <button
+                          onClick={() => setSelected(isSelected ? null : party)}
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          {isSelected ? 'Close' : 'Statement'}
+                        </button>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Statement of account */}
+      {selected && (
+        <div className="card">
+          <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-end gap-4">
+            <div className="mr-auto">
+              <h2 className="text-lg font-semibold text-gray-900">Statement of Account</h2>
+              <p className="text-sm text-gray-500">{selected.party_name} · {labelOf(PARTY_TYPES, selected.party_type)}</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <input
+                type="date"
+                value={period.from}
+                max={period.to}
+                onChange={(e) => setPeriod(prev => ({ ...prev, from: e.target.value }))}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+              <input
+                type="date"
+                value={period.to}
+                min={period.from}
+                onChange={(e) => setPeriod(prev => ({ ...prev, to: e.target.value }))}
+                className="input-field"
+              />
+            </div>
+            <button onClick={fetchStatement} disabled={loadingStatement} className="btn-secondary">
+              Show
+            </button>
+            <button onClick={() => download('pdf')} disabled={downloading !== null} className="btn-secondary">
+              <Download className="h-4 w-4 mr-2" />
+              {downloading === 'pdf' ? 'Downloading...' : 'PDF'}
+            </button>
+            <button onClick={() => download('xlsx')} disabled={downloading !== null} className="btn-secondary">
+              <Download className="h-4 w-4 mr-2" />
+              {downloading === 'xlsx' ? 'Downloading...' : 'Excel'}
+            </button>
+          </div>
+          {loadingStatement || !statement ? (
+            <div className="flex justify-center items-center h-32">
+              {loadingStatement && <LoadingSpinner size="lg" />}
+            </div>
+          ) : (
+            <div className="table-container">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Particulars</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Debit</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Credit</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  <tr className="bg-gray-50 font-medium">
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatDate(statement.from)}</td>
+                    <td className="px-6 py-3 text-sm text-gray-900" colSpan={4}>Opening balance</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{balance(statement.opening_balance)}</td>
+                  </tr>
+                  {statement.entries.length === 0 && (
+                    <tr>
+                      <td className="px-6 py-4 text-center text-sm text-gray-500" colSpan={6}>No entries in this period.</td>
+                    </tr>
+                  )}
+                  {statement.entries.map((item) => (
+                    <tr key={item.id}>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{formatDate(item.entry_date)}</td>
+                      <td className="px-6 py-3 text-sm text-gray-900">
+                        <span className="font-medium">{labelOf(ENTRY_TYPES, item.entry_type)}</span>
+                        {item.narration && <span className="text-gray-500"> · {item.narration}</span>}
+                        <span className="block text-xs text-gray-400">{item.contra_account}</span>
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm font-mono text-gray-500">{item.reference || '-'}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{amount(item.debit)}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{amount(item.credit)}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{balance(item.balance)}</td>
+                    </tr>
+                  ))}
+                  <tr className="bg-gray-50 font-medium">
+                    <td className="px-6 py-3" />
+                    <td className="px-6 py-3 text-sm text-gray-900" colSpan={2}>Total for the period</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{amount(statement.total_debit)}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{amount(statement.total_credit)}</td>
+                    <td className="px-6 py-3" />
+                  </tr>
+                  <tr className="bg-gray-50 font-semibold">
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatDate(statement.to)}</td>
+                    <td className="px-6 py-3 text-sm text-gray-900" colSpan={4}>Closing balance</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{balance(statement.closing_balance)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Manual entry */}
+      {isAdmin() && (
+        <form onSubmit={recordEntry} className="card p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Record Entry</h2>
+          <p className="text-sm text-gray-500">
+            For money received or paid outside the system. Receipts are credited and payments debited to the party.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Party Type</label>
+              <select
+                value={entry.party_type}
+                onChange={(e) => setEntry(prev => ({ ...prev, party_type: e.target.value, party_key: '' }))}
+                className="input-field"
+              >
+                {PARTY_TYPES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Party</label>
+              <select value={entry.party_key} onChange={setEntryField('party_key')} className="input-field" required>
+                <option value="">Select a party</option>
+                {entryParties.map((party) => (
+                  <option key={party.key} value={party.key}>{party.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Entry</label>
+              <select value={entry.entry_type} onChange={setEntryField('entry_type')} className="input-field">
+                {MANUAL_ENTRY_TYPES.map((value) => (
+                  <option key={value} value={value}>{labelOf(ENTRY_TYPES, value)}</option>
+                ))}
+              </select>
+            </div>
+            {entry.entry_type === 'ADJUSTMENT' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Side</label>
+                <select value={entry.side} onChange={setEntryField('side')} className="input-field">
+                  <option value="debit">Debit the party</option>
+                  <option value="credit">Credit the party</option>
+                </select>
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Amount (₹)</label>
+              <input
+                type="number"
+                value={entry.amount}
+                onChange={setEntryField('amount')}
+                className="input-field"
+                min="0.01"
+                step="0.01"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input
+                type="date"
+                value={entry.entry_date}
+                max={today()}
+                onChange={setEntryField('entry_date')}
+                className="input-field"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+              <input
+                type="text"
+                value={entry.reference}
+                onChange={setEntryField('reference')}
+                placeholder="UTR or cheque number"
+                className="input-field"
+                maxLength={100}
+              />
+            </div>
+            <div className="sm:col-span-2 lg:col-span-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Narration</label>
+              <input
+                type="text"
+                value={entry.narration}
+                onChange={setEntryField('narration')}
+                className="input-field"
+                required
+                minLength={5}
+                maxLength={500}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" disabled={saving} className="btn-primary">
+              <Plus className="h-4 w-4 mr-2" />
+              {saving ? 'Recording...' : 'Record Entry'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default PartyLedger
@@ -1,48 +1,166 @@
 /**
  * Payment Detail page - Flow 2
- * Shows CDU payment preview and confirmation
+ * Shows CDU payment preview and confirmation, the transfers paying it, late
+ * payment charges accrued on it, and the indent's payment schedule
  */
 
 import React, { useState, useEffect } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import api from '../services/api'
+import api, { downloadFile } from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
+import PaymentSchedule from '../components/PaymentSchedule'
 import {
   Currency,
   FileText,
   Banknote,
   CalendarDays,
   Library,
-  CheckCircle
+  CheckCircle,
+  XCircle,
+  AlertTriangle,
+  Clock,
+  Download
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
+const TRANSACTION_STATUS_LABELS = {
+  utr_submitted: 'Awaiting review',
+  under_review: 'Under review',
+  verified: 'Verified',
+  rejected: 'Rejected'
+}
+
+const TRANSACTION_STATUS_BADGES = {
+  utr_submitted: 'status-pending',
+  under_review: 'status-completed',
+  verified: 'status-verified',
+  rejected: 'status-cancelled'
+}
+
 const PaymentDetail = () => {
   const { id } = useParams()
   const navigate = useNavigate()
-  const { user } = useAuth()
+  const { user, isAdmin } = useAuth()
   
   const [payment, setPayment] = useState(null)
+  const [balance, setBalance] = useState(null)
+  const [penalty, setPenalty] = useState(null)
+  const [addingPenalty, setAddingPenalty] = useState(false)
   const [loading, setLoading] = useState(true)
   const [confirming, setConfirming] = useState(false)
+  const [generatingCDU, setGeneratingCDU] = useState(false)
+  const [bankAccounts, setBankAccounts] = useState([])
+  const [cduOptions, setCduOptions] = useState({ bank_account_id: '', payment_mode: '' })
+  const [revisingCDU, setRevisingCDU] = useState(false)
+  const [savingRevision, setSavingRevision] = useState(false)
+  const [downloading, setDownloading] = useState(false)
 
   // Fetch payment details
+  const fetchPayment = async () => {
+    try {
+      const response = await api.get(`/payment/${id}`)
+      setPayment(response.data.data.payment)
+      setBalance(response.data.data.balance)
+      setPenalty(response.data.data.penalty)
+    } catch (error) {
+      console.error('Error fetching payment:', error)
+      toast.error('Failed to fetch payment details')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    setLoading(true)
+    fetchPayment()
+  }, [id])
+
+  // Accounts the CDU can carry, best fit first; a revision starts from the account already on it
   useEffect(() => {
-    const fetchPayment = async () => {
+    const fetchBankAccounts = async () => {
       try {
-        const response = await api.get(`/payment/${id}`)
-        setPayment(response.data.data.payment)
+        const response = await api.get('/bank-accounts', { params: { payment_id: id } })
+        const { accounts, default_account_id } = response.data.data
+        const current = revisingCDU && accounts.find((account) => account.id === payment.bank_account_id)
+        setBankAccounts(accounts)
+        setCduOptions({ bank_account_id: current ? current.id : default_account_id || '', payment_mode: '' })
       } catch (error) {
-        console.error('Error fetching payment:', error)
-        toast.error('Failed to fetch payment details')
-      } finally {
-        setLoading(false)
+        console.error('Error fetching bank accounts:', error)
+        toast.error('Failed to fetch bank accounts')
       }
     }
 
-    fetchPayment()
-  }, [id])
+    if (payment?.payment_status === 'scheduled' || revisingCDU) {
+      fetchBankAccounts()
+    }
+  }, [id, payment?.payment_status, revisingCDU])
+
+  // Generate the CDU for a scheduled installment
+  const generateCDU = async () => {
+    try {
+      setGeneratingCDU(true)
+      await api.post('/payment/cdu', {
+        payment_id: id,
+        ...(cduOptions.bank_account_id && { bank_account_id: cduOptions.bank_account_id }),
+        ...(cduOptions.payment_mode && { payment_mode: cduOptions.payment_mode })
+      })
+      toast.success('CDU generated successfully')
+      fetchPayment()
+    } catch (error) {
+      console.error('Error generating CDU:', error)
+      toast.error(error.response?.data?.message || 'Failed to generate CDU')
+    } finally {
+      setGeneratingCDU(false)
+    }
+  }
+
+  // Revise the beneficiary account or payment mode of the CDU
+  const reviseCDU = async () => {
+    try {
+      setSavingRevision(true)
+      const response = await api.put(`/payment/${id}/cdu`, {
+        ...(cduOptions.bank_account_id && { bank_account_id: cduOptions.bank_account_id }),
+        ...(cduOptions.payment_mode && { payment_mode: cduOptions.payment_mode })
+      })
+      toast.success(response.data.message)
+      setRevisingCDU(false)
+      fetchPayment()
+    } catch (error) {
+      console.error('Error revising CDU:', error)
+      toast.error(error.response?.data?.message || 'Failed to revise CDU')
+    } finally {
+      setSavingRevision(false)
+    }
+  }
+
+  // Download the payment advice PDF of the CDU
+  const downloadAdvice = async () => {
+    try {
+      setDownloading(true)
+      await downloadFile(`/payment/${id}/advice`, `${payment.cdu_reference || 'CDU'}-R${payment.cdu_revision || 1}.pdf`)
+    } catch (error) {
+      console.error('Error downloading payment advice:', error)
+      toast.error('Failed to download payment advice')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
+  // Add the charges not yet in the schedule as a penalty installment
+  const addPenalty = async () => {
+    try {
+      setAddingPenalty(true)
+      const response = await api.post(`/payment/${id}/penalty`)
+      toast.success(response.data.message)
+      fetchPayment()
+    } catch (error) {
+      console.error('Error adding late payment charges:', error)
+      toast.error(error.response?.data?.message || 'Failed to add late payment charges')
+    } finally {
+      setAddingPenalty(false)
+    }
+  }
 
   // Confirm payment (this just updates UI, actual CDU generation already happened)
   const confirmPayment = async () => {
@@ -86,17 +204,94 @@ const PaymentDetail = () => {
     payment_type: payment.payment_type,
     amount: payment.amount,
     bank: payment.bank,
+    beneficiary: payment.beneficiary,
     due_date: payment.due_date,
     remarks: payment.remarks
   }
 
+  const cduGenerated = payment.payment_status !== 'scheduled'
+  const selectedAccount = bankAccounts.find((account) => account.id === cduOptions.bank_account_id)
+  // A CDU can be revised until a UTR stands against it
+  const canReviseCDU = isAdmin() && payment.payment_status === 'pending' &&
+    payment.transactions.every((transaction) => transaction.transaction_status === 'rejected')
+
+  const transactions = payment.transactions
+  const rejected = transactions.filter((transaction) => transaction.transaction_status === 'rejected')
+  const warnings = transactions.flatMap((transaction) => transaction.warnings)
+  const firstVerified = transactions
+    .filter((transaction) => transaction.transaction_status === 'verified')
+    .map((transaction) => transaction.verified_at)
+    .sort()[0]
+  const userName = (person) => person ? `${person.first_name} ${person.last_name}` : null
+
+  // Timeline steps: done when their timestamp is known
+  const statusSteps = [
+    { label: 'Installment Scheduled', at: payment.created_at },
+    { label: 'CDU Generated', at: payment.cdu_generated_at },
+    {
+      label: 'UTR Submitted',
+      at: transactions[0]?.submitted_at,
+      detail: transactions.length > 1 ? `${transactions.length} transfers` : transactions[0]?.utr_number
+    },
+    {
+      label: 'First Transfer Verified',
+      at: firstVerified,
+      detail: balance.paid > 0 ? `₹${balance.paid.toLocaleString()} paid` : null
+    },
+    {
+      label: 'Paid in Full',
+      at: payment.payment_status === 'verified' ? payment.verified_at : null,
+      detail: payment.payment_status === 'verified' ? userName(payment.verified_user) : null
+    }
+  ]
+
+  // Beneficiary account and payment mode of a CDU being generated or revised
+  const cduOptionFields = (labelClassName) => (
+    <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+      <div className="sm:col-span-2">
+        <label className={`block text-sm font-medium ${labelClassName} mb-1`}>Beneficiary Account</label>
+        <select
+          value={cduOptions.bank_account_id}
+          onChange={(e) => setCduOptions(prev => ({ ...prev, bank_account_id: e.target.value }))}
+          className="input-field"
+        >
+          {bankAccounts.length === 0 && <option value="">No bank account receives this payment</option>}
+          {bankAccounts.map((account) => (
+            <option key={account.id} value={account.id}>
+              {account.account_name} · {account.bank_name} · {account.account_number}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className={`block text-sm font-medium ${labelClassName} mb-1`}>Payment Mode</label>
+        <select
+          value={cduOptions.payment_mode}
+          onChange={(e) => setCduOptions(prev => ({ ...prev, payment_mode: e.target.value }))}
+          className="input-field"
+        >
+          <option value="">
+            {revisingCDU && selectedAccount?.id === payment.bank_account_id
+              ? `Unchanged (${payment.payment_mode})`
+              : `Account default${selectedAccount ? ` (${selectedAccount.default_payment_mode})` : ''}`}
+          </option>
+          <option value="RTGS">RTGS</option>
+          <option value="NEFT">NEFT</option>
+          <option value="IMPS">IMPS</option>
+        </select>
+      </div>
+    </div>
+  )
+
   return (
     <div className="space-y-6">
       {/* Header */}
       <div className="border-b border-gray-200 pb-4">
         <div className="flex items-center justify-between">
           <div>
-            <h1 className="text-2xl font-bold text-gray-900">CDU Payment Preview</h1>
+            <h1 className="text-2xl font-bold text-gray-900">
+              CDU Payment Preview{payment.installment_name ? ` - ${payment.installment_name}` : ''}
+            </h1>
             <p className="mt-1 text-sm text-gray-600">
               Review payment details and proceed to UTR submission
             </p>
@@ -111,17 +306,105 @@ const PaymentDetail = () => {
       </div>
 
       {/* Payment Status */}
-      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-        <div className="flex items-center">
-          <FileText className="h-6 w-6 text-blue-500 mr-3" />
-          <div>
-            <h3 className="text-lg font-medium text-blue-900">CDU Generated Successfully</h3>
-            <p className="text-sm text-blue-700">
-              Payment draft has been created. Please review the details below and proceed with payment.
-            </p>
+      {cduGenerated ? (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <FileText className="h-6 w-6 text-blue-500 mr-3" />
+            <div>
+              <h3 className="text-lg font-medium text-blue-900">CDU Generated Successfully</h3>
+              <p className="text-sm text-blue-700">
+                Payment draft has been created. Please review the details below and proceed with payment.
+              </p>
+            </div>
+            {canReviseCDU && !revisingCDU && (
+              <button onClick={() => setRevisingCDU(true)} className="ml-auto btn-secondary">
+                Revise CDU
+              </button>
+            )}
           </div>
+          {revisingCDU && (
+            <>
+              {cduOptionFields('text-blue-900')}
+              <p className="mt-2 text-xs text-blue-700">
+                The CDU keeps its reference and moves to its next revision; download and share the new payment advice.
+              </p>
+              <div className="mt-4 flex justify-end space-x-3">
+                <button onClick={() => setRevisingCDU(false)} disabled={savingRevision} className="btn-secondary">
+                  Cancel
+                </button>
+                <button
+                  onClick={reviseCDU}
+                  disabled={savingRevision || bankAccounts.length === 0}
+                  className="btn-primary"
+                >
+                  {savingRevision ? 'Saving...' : 'Save Revision'}
+                </button>
+              </div>
+            </>
+          )}
         </div>
-      </div>
+      ) : (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertTriangle className="h-6 w-6 text-yellow-500 mr-3" />
+            <div>
+              <h3 className="text-lg font-medium text-yellow-900">CDU Not Generated Yet</h3>
+              <p className="text-sm text-yellow-700">
+                This installment is scheduled. Generate its CDU when the payment is to be made.
+              </p>
+            </div>
+          </div>
+          {cduOptionFields('text-yellow-900')}
+          <div className="mt-4 flex justify-end">
+            <button
+              onClick={generateCDU}
+              disabled={generatingCDU || bankAccounts.length === 0}
+              className="btn-primary"
+            >
+              {generatingCDU ? 'Generating...' : 'Generate CDU'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <div className="flex items-start">
+            <AlertTriangle className="h-6 w-6 text-yellow-500 mr-3" />
+            <div>
+              <h3 className="text-lg font-medium text-yellow-900">Check These UTRs</h3>
+              <ul className="mt-1 text-sm text-yellow-700 list-disc list-inside">
+                {warnings.map((warning) => (
+                  <li key={warning.message}>{warning.message}</li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {rejected.map((transaction) => (
+        <div key={transaction.id} className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <XCircle className="h-6 w-6 text-red-500 mr-3" />
+            <div>
+              <h3 className="text-lg font-medium text-red-900">UTR Rejected</h3>
+              <p className="text-sm text-red-700">
+                {userName(transaction.reviewed_user) || 'The reviewer'} rejected UTR {transaction.utr_number} for
+                ₹{transaction.amount.toLocaleString()}: {transaction.rejection_reason}
+              </p>
+            </div>
+            {transaction.submitted_by === user?.id && (
+              <button
+                onClick={() => navigate(`/utr/${id}?correct=${transaction.id}`)}
+                className="ml-auto btn-primary"
+              >
+                Correct UTR
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
 
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* CDU Details */}
@@ -129,6 +412,11 @@ const PaymentDetail = () => {
           <div className="flex items-center mb-6">
             <Currency className="h-6 w-6 text-green-500 mr-2" />
             <h2 className="text-lg font-semibold text-gray-900">CDU Payment Details</h2>
+            {payment.cdu_reference && (
+              <span className="ml-auto text-sm text-gray-500">
+                <span className="font-mono">{payment.cdu_reference}</span> · Revision {payment.cdu_revision}
+              </span>
+            )}
           </div>
 
           <div className="space-y-6">
@@ -138,13 +426,18 @@ const PaymentDetail = () => {
               <p className="text-4xl font-bold text-green-900">
                 ₹{cduData.amount.toLocaleString()}
               </p>
+              {balance.paid > 0 && (
+                <p className="mt-2 text-sm text-green-700">
+                  ₹{balance.paid.toLocaleString()} paid · ₹{balance.outstanding.toLocaleString()} outstanding
+                </p>
+              )}
             </div>
 
             {/* Payment Details */}
             <div className="grid grid-cols-1 gap-4">
               <div className="flex items-center justify-between py-3 border-b border-gray-200">
                 <span className="text-sm font-medium text-gray-500">Payment Mode</span>
-                <span className="text-sm text-gray-900 font-medium">{cduData.payment_mode}</span>
+                <span className="text-sm text-gray-900 font-medium">{cduData.payment_mode || '-'}</span>
               </div>
               
               <div className="flex items-center justify-between py-3 border-b border-gray-200">
@@ -154,8 +447,32 @@ const PaymentDetail = () => {
               
               <div className="flex items-center justify-between py-3 border-b border-gray-200">
                 <span className="text-sm font-medium text-gray-500">Preferred Bank</span>
-                <span className="text-sm text-gray-900 font-medium">{cduData.bank}</span>
+                <span className="text-sm text-gray-900 font-medium">{cduData.bank || '-'}</span>
               </div>
+
+              {cduData.beneficiary && (
+                <>
+                  <div className="flex items-center justify-between py-3 border-b border-gray-200">
+                    <span className="text-sm font-medium text-gray-500">Beneficiary</span>
+                    <span className="text-sm text-gray-900 font-medium text-right">{cduData.beneficiary.account_name}</span>
+                  </div>
+
+                  <div className="flex items-center justify-between py-3 border-b border-gray-200">
+                    <span className="text-sm font-medium text-gray-500">Account Number</span>
+                    <span className="text-sm text-gray-900 font-medium font-mono">{cduData.beneficiary.account_number}</span>
+                  </div>
+
+                  <div className="flex items-center justify-between py-3 border-b border-gray-200">
+                    <span className="text-sm font-medium text-gray-500">IFSC</span>
+                    <span className="text-sm text-gray-900 font-medium font-mono">{cduData.beneficiary.ifsc_code}</span>
+                  </div>
+
+                  <div className="flex items-center justify-between py-3 border-b border-gray-200">
+                    <span className="text-sm font-medium text-gray-500">Bank Branch</span>
+                    <span className="text-sm text-gray-900 font-medium">{cduData.beneficiary.branch_name}</span>
+                  </div>
+                </>
+              )}
               
               <div className="flex items-center justify-between py-3 border-b border-gray-200">
                 <span className="text-sm font-medium text-gray-500">Due Date</span>
@@ -169,7 +486,7 @@ const PaymentDetail = () => {
             <div>
               <label className="block text-sm font-medium text-gray-500 mb-2">Remarks</label>
               <div className="bg-gray-50 p-3 rounded-md">
-                <p className="text-sm text-gray-900">{cduData.remarks}</p>
+                <p className="text-sm text-gray-900">{cduData.remarks || '-'}</p>
               </div>
             </div>
           </div>
@@ -243,6 +560,14 @@ const PaymentDetail = () => {
             <li>Use the payment mode: <strong>{cduData.payment_mode}</strong></li>
             <li>Transfer amount: <strong>₹{cduData.amount.toLocaleString()}</strong></li>
             <li>Preferred bank: <strong>{cduData.bank}</strong></li>
+            {cduData.beneficiary && (
+              <li>
+                Pay to <strong>{cduData.beneficiary.account_name}</strong>, account{' '}
+                <strong className="font-mono">{cduData.beneficiary.account_number}</strong>, IFSC{' '}
+                <strong className="font-mono">{cduData.beneficiary.ifsc_code}</strong> ({cduData.beneficiary.bank_name},{' '}
+                {cduData.beneficiary.branch_name})
+              </li>
+            )}
             <li>Complete payment before due date: <strong>{new Date(cduData.due_date).toLocaleDateString()}</strong></li>
             <li>After successful payment, submit UTR number in the next step</li>
             <li>Keep payment receipt for your records</li>
@@ -250,6 +575,110 @@ const PaymentDetail = () => {
         </div>
       </div>
 
+      {/* Transfers */}
+      {transactions.length > 0 && (
+        <div className="card p-6">
+          <div className="flex items-center mb-4">
+            <Banknote className="h-6 w-6 text-green-500 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Transfers</h2>
+          </div>
+
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">UTR</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Checked</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {transactions.map((transaction) => (
+                  <tr key={transaction.id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-mono text-gray-900">{transaction.utr_number}</div>
+                      <div className="text-xs text-gray-500">{transaction.payment_mode}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      ₹{transaction.amount.toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`status-badge ${TRANSACTION_STATUS_BADGES[transaction.transaction_status]}`}>
+                        {TRANSACTION_STATUS_LABELS[transaction.transaction_status]}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      <div>{userName(transaction.submitted_user) || 'Bank statement'}</div>
+                      <div className="text-xs">{new Date(transaction.submitted_at).toLocaleString()}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      <div>{userName(transaction.verified_user || transaction.reviewed_user) || '-'}</div>
+                      {(transaction.verified_at || transaction.reviewed_at) && (
+                        <div className="text-xs">
+                          {new Date(transaction.verified_at || transaction.reviewed_at).toLocaleString()}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Late Payment Charges */}
+      {penalty?.total > 0 && (
+        <div className="card p-6">
+          <div className="flex items-center mb-4">
+            <Clock className="h-6 w-6 text-red-500 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Late Payment Charges</h2>
+            {isAdmin() && penalty.due > 0 && (
+              <button
+                onClick={addPenalty}
+                disabled={addingPenalty}
+                className="ml-auto btn-primary"
+              >
+                {addingPenalty ? 'Adding...' : 'Add to Schedule'}
+              </button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 gap-4">
+            <div className="flex items-center justify-between py-3 border-b border-gray-200">
+              <span className="text-sm font-medium text-gray-500">Charged from</span>
+              <span className="text-sm text-gray-900 font-medium">
+                {new Date(penalty.charges_from).toLocaleDateString()} · {penalty.chargeable_days} business days
+              </span>
+            </div>
+            <div className="flex items-center justify-between py-3 border-b border-gray-200">
+              <span className="text-sm font-medium text-gray-500">Interest</span>
+              <span className="text-sm text-gray-900 font-medium">₹{penalty.interest.toLocaleString()}</span>
+            </div>
+            <div className="flex items-center justify-between py-3 border-b border-gray-200">
+              <span className="text-sm font-medium text-gray-500">Late Fee</span>
+              <span className="text-sm text-gray-900 font-medium">₹{penalty.late_fee.toLocaleString()}</span>
+            </div>
+            <div className="flex items-center justify-between py-3 border-b border-gray-200">
+              <span className="text-sm font-medium text-gray-500">Total Accrued</span>
+              <span className="text-sm text-gray-900 font-medium">₹{penalty.total.toLocaleString()}</span>
+            </div>
+            {penalty.already_charged > 0 && (
+              <div className="flex items-center justify-between py-3 border-b border-gray-200">
+                <span className="text-sm font-medium text-gray-500">Already in Schedule</span>
+                <span className="text-sm text-gray-900 font-medium">₹{penalty.already_charged.toLocaleString()}</span>
+              </div>
+            )}
+            <div className="flex items-center justify-between py-3">
+              <span className="text-sm font-medium text-gray-500">Not Yet Charged</span>
+              <span className="text-sm text-red-600 font-semibold">₹{penalty.due.toLocaleString()}</span>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Current Status */}
       <div className="card p-6">
         <div className="flex items-center mb-4">
@@ -258,31 +687,36 @@ const PaymentDetail = () => {
         </div>
 
         <div className="space-y-3">
-          <div className="flex items-center">
-            <CheckCircle className="h-5 w-5 text-green-500 mr-3" />
-            <span className="text-sm text-gray-900">CDU Generated</span>
-            <span className="ml-auto text-xs text-gray-500">
-              {new Date(payment.created_at).toLocaleString()}
-            </span>
-          </div>
-
-          <div className="flex items-center">
-            <div className="h-5 w-5 border-2 border-gray-300 rounded-full mr-3"></div>
-            <span className="text-sm text-gray-500">Payment Pending</span>
-          </div>
-
-          <div className="flex items-center">
-            <div className="h-5 w-5 border-2 border-gray-300 rounded-full mr-3"></div>
-            <span className="text-sm text-gray-500">UTR Submission</span>
-          </div>
-
-          <div className="flex items-center">
-            <div className="h-5 w-5 border-2 border-gray-300 rounded-full mr-3"></div>
-            <span className="text-sm text-gray-500">Payment Verification</span>
-          </div>
+          {statusSteps.map((step) => (
+            <div key={step.label} className="flex items-center">
+              {step.at && step.failed ? (
+                <XCircle className="h-5 w-5 text-red-500 mr-3" />
+              ) : step.at ? (
+                <CheckCircle className="h-5 w-5 text-green-500 mr-3" />
+              ) : (
+                <div className="h-5 w-5 border-2 border-gray-300 rounded-full mr-3"></div>
+              )}
+              <span className={`text-sm ${step.at ? 'text-gray-900' : 'text-gray-500'}`}>
+                {step.label}
+                {step.detail && <span className="ml-2 font-mono text-xs text-gray-500">{step.detail}</span>}
+              </span>
+              {step.at && (
+                <span className="ml-auto text-xs text-gray-500">
+                  {new Date(step.at).toLocaleString()}
+                </span>
+              )}
+            </div>
+          ))}
         </div>
       </div>
 
+      {/* Installments of the indent */}
+      <PaymentSchedule
+        key={`${payment.id}-${payment.payment_status}-${penalty?.already_charged}`}
+        procurementId={payment.procurement_id}
+        currentPaymentId={payment.id}
+      />
+
       {/* Action Buttons */}
       <div className="flex justify-end space-x-4">
         <button
@@ -292,10 +726,21 @@ const PaymentDetail = () => {
           <FileText className="h-4 w-4 mr-2" />
           Print CDU
         </button>
+
+        {cduGenerated && (
+          <button
+            onClick={downloadAdvice}
+            disabled={downloading}
+            className="btn-secondary"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            {downloading ? 'Downloading...' : 'Download Payment Advice'}
+          </button>
+        )}
         
         <button
           onClick={confirmPayment}
-          disabled={confirming}
+          disabled={confirming || !cduGenerated || balance.unclaimed <= 0}
           className="btn-primary"
         >
           {confirming ? (
@@ -303,6 +748,8 @@ const PaymentDetail = () => {
               <LoadingSpinner size="sm" />
               <span className="ml-2">Processing...</span>
             </>
+          ) : transactions.length > 0 ? (
+            'Submit Another UTR'
           ) : (
             'Proceed to UTR Submission'
           )}
@@ -1,27 +1,56 @@
 /**
  * Pending UTRs page - Flow 2
- * Admin view of overdue payments for sending reminders
+ * Admin view of overdue payments for sending reminders or paying by bank file,
+ * and of submitted UTRs at each stage of maker-checker review
  */
 
 import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import api from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
+import BankFileGenerator from '../components/BankFileGenerator'
+import UTRReviewQueue from '../components/UTRReviewQueue'
 import {
   AlertTriangle,
   Currency,
   CalendarDays,
+  Eye,
   Mail,
-  Clock
+  Clock,
+  FileText,
+  Search,
+  XCircle
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
+// Overdue payments are short of UTRs; the other stages follow each submitted UTR
+const STAGES = [
+  { key: 'overdue', label: 'Awaiting UTR', icon: Clock, color: 'text-orange-500' },
+  { key: 'utr_submitted', label: 'Submitted', icon: FileText, color: 'text-blue-500' },
+  { key: 'under_review', label: 'Under Review', icon: Search, color: 'text-purple-500' },
+  { key: 'rejected', label: 'Rejected', icon: XCircle, color: 'text-red-500' }
+]
+
 const PendingUTRs = () => {
   const { user, isAdmin } = useAuth()
   const [payments, setPayments] = useState([])
   const [loading, setLoading] = useState(true)
   const [sendingReminders, setSendingReminders] = useState({})
   const [selectedPayments, setSelectedPayments] = useState([])
+  const [stage, setStage] = useState('overdue')
+  const [reviewTransactions, setReviewTransactions] = useState([])
+
+  // Fetch submitted UTRs in review
+  const fetchReviewTransactions = async () => {
+    try {
+      const response = await api.get('/utr/review')
+      setReviewTransactions(response.data.data.transactions)
+    } catch (error) {
+      console.error('Error fetching UTRs in review:', error)
+      toast.error('Failed to fetch UTRs in review')
+    }
+  }
 
   // Fetch pending UTR payments
   useEffect(() => {
@@ -39,19 +68,12 @@ const PendingUTRs = () => {
 
     if (isAdmin()) {
       fetchPendingPayments()
+      fetchReviewTransactions()
     } else {
       setLoading(false)
     }
   }, [isAdmin])
 
-  // Calculate overdue days
-  const getOverdueDays = (dueDate) => {
-    const today = new Date()
-    const due = new Date(dueDate)
-    const diffTime = today - due
-    return Math.ceil(diffTime / (1000 * 60 * 60 * 24))
-  }
-
   // Get overdue severity
   const getOverdueSeverity = (days) => {
     if (days <= 7) return 'low'
@@ -147,28 +169,34 @@ const PendingUTRs = () => {
           <div>
             <h1 className="text-2xl font-bold text-gray-900">Pending UTR Submissions</h1>
             <p className="mt-1 text-sm text-gray-600">
-              Monitor overdue payments and send reminder notifications
+              Monitor overdue payments, send reminder notifications or pay them by bank file, and review submitted UTRs
             </p>
           </div>
           
-          {selectedPayments.length > 0 && (
-            <button
-              onClick={sendBulkReminders}
-              disabled={sendingReminders.bulk}
-              className="btn-primary"
-            >
-              {sendingReminders.bulk ? (
-                <>
-                  <LoadingSpinner size="sm" />
-                  <span className="ml-2">Sending...</span>
-                </>
-              ) : (
-                <>
-                  <Mail className="h-4 w-4 mr-2" />
-                  Send Reminders ({selectedPayments.length})
-                </>
-              )}
-            </button>
+          {stage === 'overdue' && selectedPayments.length > 0 && (
+            <div className="flex items-center space-x-3">
+              <BankFileGenerator
+                paymentIds={selectedPayments}
+                onGenerated={() => setSelectedPayments([])}
+              />
+              <button
+                onClick={sendBulkReminders}
+                disabled={sendingReminders.bulk}
+                className="btn-primary"
+              >
+                {sendingReminders.bulk ? (
+                  <>
+                    <LoadingSpinner size="sm" />
+                    <span className="ml-2">Sending...</span>
+                  </>
+                ) : (
+                  <>
+                    <Mail className="h-4 w-4 mr-2" />
+                    Send Reminders ({selectedPayments.length})
+                  </>
+                )}
+              </button>
+            </div>
           )}
         </div>
       </div>
@@ -191,7 +219,7 @@ const PendingUTRs = () => {
             <div className="ml-3">
               <p className="text-sm font-medium text-gray-500">Critical (>14 days)</p>
               <p className="text-lg font-semibold text-gray-900">
-                {payments.filter(p => getOverdueDays(p.due_date) > 14).length}
+                {payments.filter(p => p.overdue_days > 14).length}
               </p>
             </div>
           </div>
@@ -203,7 +231,7 @@ const PendingUTRs = () => {
             <div className="ml-3">
               <p className="text-sm font-medium text-gray-500">Overdue Amount</p>
               <p className="text-lg font-semibold text-gray-900">
-                ₹{payments.reduce((sum, p) => sum + p.amount, 0).toLocaleString()}
+                ₹{payments.reduce((sum, p) => sum + p.balance.unclaimed, 0).toLocaleString()}
               </p>
             </div>
           </div>
@@ -220,141 +248,213 @@ const PendingUTRs = () => {
         </div>
       </div>
 
-      {/* Pending Payments Table */}
+      {/* Stages */}
       <div className="bg-white shadow rounded-lg overflow-hidden">
-        {payments.length > 0 && (
-          <div className="px-4 py-3 border-b border-gray-200">
-            <label className="flex items-center">
-              <input
-                type="checkbox"
-                checked={selectedPayments.length === payments.length}
-                onChange={selectAllPayments}
-                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-              />
-              <span className="ml-2 text-sm text-gray-700">
-                Select All ({payments.length})
+        <div className="px-4 py-3 border-b border-gray-200 flex flex-wrap gap-2">
+          {STAGES.map(({ key, label, icon: Icon, color }) => (
+            <button
+              key={key}
+              onClick={() => setStage(key)}
+              className={`inline-flex items-center px-3 py-2 rounded-md text-sm font-medium ${
+                stage === key ? 'bg-gray-100 text-gray-900' : 'text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <Icon className={`h-4 w-4 mr-2 ${color}`} />
+              {label}
+              <span className="ml-2 text-gray-400">
+                {key === 'overdue'
+                  ? payments.length
+                  : reviewTransactions.filter(transaction => transaction.transaction_status === key).length}
               </span>
-            </label>
-          </div>
+            </button>
+          ))}
+        </div>
+
+        {stage !== 'overdue' && (
+          <UTRReviewQueue
+            status={stage}
+            transactions={reviewTransactions.filter(transaction => transaction.transaction_status === stage)}
+            onChange={fetchReviewTransactions}
+          />
         )}
+      </div>
 
-        <div className="table-container">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                  Select
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                  Payment Details
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                  Procurement Info
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                  Due Date
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                  Overdue
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {payments.map((payment) => {
-                const overdueDays = getOverdueDays(payment.due_date)
-                const severity = getOverdueSeverity(overdueDays)
-                
-                return (
-                  <tr key={payment.id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <input
-                        type="checkbox"
-                        checked={selectedPayments.includes(payment.id)}
-                        onChange={() => togglePaymentSelection(payment.id)}
-                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                      />
-                    </td>
-                    
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div>
-                        <div className="text-sm font-medium text-gray-900">
-                          ₹{payment.amount.toLocaleString()}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          {payment.payment_mode} • {payment.payment_type}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          Bank: {payment.bank}
-                        </div>
-                      </div>
-                    </td>
+      {/* Pending Payments Table */}
+      {stage === 'overdue' && (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          {payments.length > 0 && (
+            <div className="px-4 py-3 border-b border-gray-200">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={selectedPayments.length === payments.length}
+                  onChange={selectAllPayments}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">
+                  Select All ({payments.length})
+                </span>
+              </label>
+            </div>
+          )}
 
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div>
-                        <div className="text-sm font-medium text-gray-900">
-                          {payment.procurement_dump?.indent_number}
+          <div className="table-container">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Select
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Payment Details
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Procurement Info
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Due Date
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Overdue
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Charges
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {payments.map((payment) => {
+                  // Counted in business days by the server
+                  const overdueDays = payment.overdue_days
+                  const severity = getOverdueSeverity(overdueDays)
+                  
+                  return (
+                    <tr key={payment.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <input
+                          type="checkbox"
+                          checked={selectedPayments.includes(payment.id)}
+                          onChange={() => togglePaymentSelection(payment.id)}
+                          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        />
+                      </td>
+                      
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">
+                            ₹{payment.amount.toLocaleString()}
+                          </div>
+                          {payment.balance.unclaimed < payment.amount && (
+                            <div className="text-sm text-orange-600">
+                              ₹{payment.balance.unclaimed.toLocaleString()} without a UTR
+                            </div>
+                          )}
+                          <div className="text-sm text-gray-500">
+                            {payment.payment_mode} • {payment.payment_type}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            Bank: {payment.bank}
+                          </div>
                         </div>
-                        <div className="text-sm text-gray-500">
-                          {payment.procurement_dump?.firm_name}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          Branch: {payment.procurement_dump?.allocation?.branch_information?.branch_name}
+                      </td>
+
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">
+                            {payment.procurement_dump?.indent_number}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            {payment.procurement_dump?.firm_name}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            Branch: {payment.procurement_dump?.allocation?.branch_information?.branch_name}
+                          </div>
                         </div>
-                      </div>
-                    </td>
+                      </td>
 
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm text-gray-900">
-                        {new Date(payment.due_date).toLocaleDateString()}
-                      </div>
-                    </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">
+                          {new Date(payment.due_date).toLocaleDateString()}
+                        </div>
+                      </td>
 
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                        severity === 'high' ? 'bg-red-100 text-red-800' :
-                        severity === 'medium' ? 'bg-orange-100 text-orange-800' :
-                        'bg-yellow-100 text-yellow-800'
-                      }`}>
-                        <Clock className="h-3 w-3 mr-1" />
-                        {overdueDays} days
-                      </span>
-                    </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                          severity === 'high' ? 'bg-red-100 text-red-800' :
+                          severity === 'medium' ? 'bg-orange-100 text-orange-800' :
+                          'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          <Clock className="h-3 w-3 mr-1" />
+                          {overdueDays} business days
+                        </span>
+                      </td>
 
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
-                      <button
-                        onClick={() => sendReminder(payment.id)}
-                        disabled={sendingReminders[payment.id]}
-                        className="inline-flex items-center text-blue-600 hover:text-blue-900"
-                      >
-                        {sendingReminders[payment.id] ? (
-                          <LoadingSpinner size="sm" />
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {/* Accrued under the PENALTY_RULES trading configuration */}
+                        {payment.penalty?.total > 0 ? (
+                          <div>
+                            <div className="text-sm font-medium text-red-600">
+                              ₹{payment.penalty.total.toLocaleString()}
+                            </div>
+                            <div className="text-xs text-gray-500">
+                              Interest ₹{payment.penalty.interest.toLocaleString()} + fee ₹{payment.penalty.late_fee.toLocaleString()}
+                            </div>
+                            {payment.penalty.already_charged > 0 && (
+                              <div className="text-xs text-gray-500">
+                                ₹{payment.penalty.already_charged.toLocaleString()} in schedule
+                              </div>
+                            )}
+                          </div>
                         ) : (
-                          <Mail className="h-4 w-4" />
+                          <span className="text-sm text-gray-500">
+                            {payment.penalty ? 'In grace period' : '-'}
+                          </span>
                         )}
-                        <span className="ml-1">Send Reminder</span>
-                      </button>
-                    </td>
-                  </tr>
-                )
-              })}
-            </tbody>
-          </table>
-        </div>
+                      </td>
 
-        {/* Empty State */}
-        {payments.length === 0 && (
-          <div className="text-center py-12">
-            <Currency className="mx-auto h-12 w-12 text-gray-400" />
-            <h3 className="mt-2 text-sm font-medium text-gray-900">No pending UTRs</h3>
-            <p className="mt-1 text-sm text-gray-500">
-              All payments have received UTR submissions.
-            </p>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                        <Link
+                          to={`/payment/${payment.id}`}
+                          className="inline-flex items-center text-gray-600 hover:text-gray-900"
+                        >
+                          <Eye className="h-4 w-4" />
+                          <span className="ml-1">View</span>
+                        </Link>
+                        <button
+                          onClick={() => sendReminder(payment.id)}
+                          disabled={sendingReminders[payment.id]}
+                          className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                        >
+                          {sendingReminders[payment.id] ? (
+                            <LoadingSpinner size="sm" />
+                          ) : (
+                            <Mail className="h-4 w-4" />
+                          )}
+                          <span className="ml-1">Send Reminder</span>
+                        </button>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
           </div>
-        )}
-      </div>
+
+          {/* Empty State */}
+          {payments.length === 0 && (
+            <div className="text-center py-12">
+              <Currency className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No pending UTRs</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                Submitted UTRs cover every overdue payment.
+              </p>
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Instructions */}
       <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
@@ -363,10 +463,14 @@ const PendingUTRs = () => {
           <div>
             <h3 className="text-sm font-medium text-blue-900">Reminder Guidelines</h3>
             <ul className="mt-2 text-sm text-blue-800 list-disc list-inside space-y-1">
-              <li>Send reminders for payments overdue by 3+ days</li>
-              <li>Critical payments (>14 days overdue) require immediate attention</li>
+              <li>Send reminders for payments overdue by 3+ business days, excluding Sundays and bank holidays</li>
+              <li>Critical payments (>14 business days overdue) require immediate attention</li>
               <li>Use bulk reminders for multiple payments from the same firm</li>
               <li>Follow up with phone calls for high-value overdue payments</li>
+              <li>A UTR is verified by an admin other than the one who submitted it, or by a matching bank statement line</li>
+              <li>Rejected UTRs go back to their submitter for correction, with the reason given</li>
+              <li>A payment paid in several transfers has one UTR per transfer; it is complete once verified transfers cover the amount</li>
+              <li>Late payment charges accrue after the grace period set in Trading Settings; add them to the indent's schedule from the payment's page</li>
             </ul>
           </div>
         </div>
@@ -0,0 +1,386 @@
+/**
+ * Reconciliation page
+ * Import bank statements and review how their lines match payments. A payment
+ * is verified only when statement lines show the money moved; one paid in
+ * several transfers is settled by several lines.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api, { uploadFile } from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import {
+  Landmark,
+  Upload,
+  CheckCircle,
+  AlertTriangle,
+  XCircle
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const BUCKETS = [
+  { key: 'partial', label: 'To Review', icon: AlertTriangle, color: 'text-yellow-600' },
+  { key: 'unmatched', label: 'Unmatched', icon: XCircle, color: 'text-red-600' },
+  { key: 'matched', label: 'Matched', icon: CheckCircle, color: 'text-green-600' }
+]
+
+const Reconciliation = () => {
+  const { isAdmin } = useAuth()
+
+  const [statements, setStatements] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [statementFile, setStatementFile] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const [importErrors, setImportErrors] = useState([])
+  const [selected, setSelected] = useState(null)
+  const [detail, setDetail] = useState(null)
+  const [loadingDetail, setLoadingDetail] = useState(false)
+  const [bucket, setBucket] = useState('partial')
+  const [openPayments, setOpenPayments] = useState([])
+  const [manualMatches, setManualMatches] = useState({})
+  const [working, setWorking] = useState(null)
+
+  // Fetch imported statements
+  const fetchStatements = async () => {
+    try {
+      const response = await api.get('/reconciliation/statements', { params: { limit: 20 } })
+      setStatements(response.data.data.statements)
+    } catch (error) {
+      console.error('Error fetching statements:', error)
+      toast.error('Failed to fetch bank statements')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Fetch a statement's lines and the payments still awaiting a statement
+  const fetchDetail = async (statementId) => {
+    try {
+      setLoadingDetail(true)
+      const [statementResponse, paymentsResponse] = await Promise.all([
+        api.get(`/reconciliation/statements/${statementId}`),
+        api.get('/reconciliation/payments')
+      ])
+      setDetail(statementResponse.data.data)
+      setOpenPayments(paymentsResponse.data.data.payments)
+    } catch (error) {
+      console.error('Error fetching statement:', error)
+      toast.error('Failed to fetch statement lines')
+    } finally {
+      setLoadingDetail(false)
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin()) {
+      fetchStatements()
+    } else {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (selected) {
+      fetchDetail(selected)
+    }
+  }, [selected])
+
+  // Upload a CSV or MT940 statement
+  const importStatement = async () => {
+    if (!statementFile) {
+      toast.error('Please select a statement file')
+      return
+    }
+
+    try {
+      setImporting(true)
+      setImportErrors([])
+      const formData = new FormData()
+      formData.append('file', statementFile)
+      const response = await uploadFile('/reconciliation/statements', formData)
+      toast.success(response.data.message)
+      setStatementFile(null)
+      await fetchStatements()
+      setBucket('partial')
+      setSelected(response.data.data.statement.id)
+    } catch (error) {
+      console.error('Error importing statement:', error)
+      setImportErrors(error.response?.data?.errors || [])
+      toast.error(error.response?.data?.message || 'Failed to import statement')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  // Confirm the suggested or chosen payment for a line
+  const confirmLine = async (line, paymentId) => {
+    try {
+      setWorking(line.id)
+      await api.post(`/reconciliation/lines/${line.id}/confirm`, paymentId ? { payment_id: paymentId } : {})
+      toast.success('Payment verified')
+      fetchDetail(selected)
+    } catch (error) {
+      console.error('Error confirming match:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.message || 'Failed to confirm match')
+    } finally {
+      setWorking(null)
+    }
+  }
+
+  // Reject the payment suggested for a line
+  const rejectLine = async (line) => {
+    try {
+      setWorking(line.id)
+      await api.post(`/reconciliation/lines/${line.id}/reject`, {})
+      toast.success('Suggestion rejected')
+      fetchDetail(selected)
+    } catch (error) {
+      console.error('Error rejecting match:', error)
+      toast.error(error.response?.data?.message || 'Failed to reject match')
+    } finally {
+      setWorking(null)
+    }
+  }
+
+  const describePayment = (payment) => [
+    payment.procurement_dump?.indent_number || 'Payment',
+    payment.installment_name || payment.payment_type,
+    `₹${payment.amount.toLocaleString()}`,
+    payment.amount_paid > 0 && `₹${(payment.amount - payment.amount_paid).toLocaleString()} outstanding`
+  ].filter(Boolean).join(' · ')
+
+  if (!isAdmin()) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  const lines = detail?.buckets[bucket] || []
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Bank Reconciliation</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Import bank statements to verify payments. Lines are matched to payments by UTR, amount
+          and value date.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Import */}
+        <div className="card p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Import Statement</h2>
+          <p className="text-sm text-gray-500">
+            CSV with date, debit/credit (or amount) and narration columns, or a SWIFT MT940 file.
+            Transactions already imported from an overlapping statement are skipped.
+          </p>
+          <input
+            type="file"
+            accept=".csv,.sta,.mt940,.940,.txt"
+            onChange={(e) => setStatementFile(e.target.files[0] || null)}
+            className="block w-full text-sm text-gray-500"
+          />
+          {importErrors.length > 0 && (
+            <ul className="text-sm text-red-600 list-disc list-inside">
+              {importErrors.map((error, index) => (
+                <li key={index}>{error.field}: {error.message}</li>
+              ))}
+            </ul>
+          )}
+          <div className="flex justify-end">
+            <button onClick={importStatement} disabled={importing || !statementFile} className="btn-primary">
+              <Upload className="h-4 w-4 mr-2" />
+              {importing ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </div>
+
+        {/* Statements */}
+        <div className="card lg:col-span-2">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+            <Landmark className="h-5 w-5 text-blue-500 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Statements</h2>
+          </div>
+          {loading ? (
+            <div className="flex justify-center items-center h-32">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : statements.length === 0 ? (
+            <p className="px-6 py-8 text-center text-sm text-gray-500">No statements imported yet</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">File</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lines</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Imported</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {statements.map((statement) => (
+                  <tr
+                    key={statement.id}
+                    onClick={() => setSelected(statement.id)}
+                    className={`cursor-pointer hover:bg-gray-50 ${selected === statement.id ? 'bg-blue-50' : ''}`}
+                  >
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      <p className="font-medium">{statement.file_name}</p>
+                      <p className="text-xs text-gray-500">
+                        {statement.format}{statement.account_number ? ` · A/c ${statement.account_number}` : ''}
+                      </p>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {statement.statement_from && new Date(statement.statement_from).toLocaleDateString()}
+                      {' – '}
+                      {statement.statement_to && new Date(statement.statement_to).toLocaleDateString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{statement.line_count}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(statement.created_at).toLocaleString()}
+                      {statement.uploaded_user && (
+                        <p className="text-xs">
+                          {statement.uploaded_user.first_name} {statement.uploaded_user.last_name}
+                        </p>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {/* Statement lines */}
+      {selected && (
+        <div className="card">
+          <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap gap-2">
+            {BUCKETS.map(({ key, label, icon: Icon, color }) => (
+              <button
+                key={key}
+                onClick={() => setBucket(key)}
+                className={`inline-flex items-center px-3 py-2 rounded-md text-sm font-medium ${
+                  bucket === key ? 'bg-gray-100 text-gray-900' : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                <Icon className={`h-4 w-4 mr-2 ${color}`} />
+                {label}
+                {detail && <span className="ml-2 text-gray-400">{detail.summary[key]}</span>}
+              </button>
+            ))}
+          </div>
+
+          {loadingDetail ? (
+            <div className="flex justify-center items-center h-32">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : lines.length === 0 ? (
+            <p className="px-6 py-8 text-center text-sm text-gray-500">No lines in this bucket</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Value Date</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">UTR / Reference</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Narration</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payment</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {lines.map((line) => (
+                    <tr key={line.id}>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {new Date(line.value_date).toLocaleDateString()}
+                      </td>
+                      <td className={`px-4 py-3 whitespace-nowrap text-sm font-medium ${
+                        line.direction === 'debit' ? 'text-red-700' : 'text-green-700'
+                      }`}>
+                        {line.direction === 'debit' ? '-' : '+'}₹{line.amount.toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        <p className="font-mono text-xs">{line.utr_number || '-'}</p>
+                        {line.reference && line.reference !== line.utr_number && (
+                          <p className="text-xs text-gray-500">{line.reference}</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-xs text-gray-500 max-w-xs">{line.narration}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        {line.payment ? describePayment(line.payment) : '-'}
+                        {line.transaction && (
+                          <p className="font-mono text-xs text-gray-500">UTR {line.transaction.utr_number}</p>
+                        )}
+                        {line.match_details?.note && (
+                          <p className="text-xs text-gray-500">{line.match_details.note}</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">
+                        {line.match_status === 'partial' && (
+                          <div className="space-x-3">
+                            <button
+                              onClick={() => confirmLine(line)}
+                              disabled={working === line.id}
+                              className="text-green-600 hover:text-green-900"
+                            >
+                              Confirm
+                            </button>
+                            <button
+                              onClick={() => rejectLine(line)}
+                              disabled={working === line.id}
+                              className="text-red-600 hover:text-red-900"
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        )}
+                        {line.match_status === 'unmatched' && (
+                          <div className="flex items-center space-x-2">
+                            <select
+                              value={manualMatches[line.id] || ''}
+                              onChange={(e) => setManualMatches(prev => ({ ...prev, [line.id]: e.target.value }))}
+                              className="input-field text-xs"
+                            >
+                              <option value="">Choose payment</option>
+                              {openPayments.map((payment) => (
+                                <option key={payment.id} value={payment.id}>{describePayment(payment)}</option>
+                              ))}
+                            </select>
+                            <button
+                              onClick={() => confirmLine(line, manualMatches[line.id])}
+                              disabled={!manualMatches[line.id] || working === line.id}
+                              className="text-blue-600 hover:text-blue-900 disabled:opacity-30"
+                            >
+                              Match
+                            </button>
+                          </div>
+                        )}
+                        {line.match_status === 'matched' && line.matched_at && (
+                          <span className="text-xs text-gray-500">
+                            {new Date(line.matched_at).toLocaleString()}
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Reconciliation
@@ -0,0 +1,432 @@
+/**
+ * Trading Settings page
+ * View and version the trading configuration used by procurement calculations
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import api from '../services/api'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { EmdRulesTable, EmdRulesEditor } from '../components/EmdRules'
+import { PaymentTranchesTable, PaymentTranchesEditor } from '../components/PaymentTranches'
+import { ContractApprovalLevelsTable, ContractApprovalLevelsEditor } from '../components/ContractApprovalLevels'
+import {
+  Settings2,
+  History,
+  Pencil,
+  CalendarClock,
+  AlertTriangle,
+  X
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+
+// Render a config key like GST_RATES as "Gst Rates"
+const formatLabel = (key) =>
+  key.toLowerCase().split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+
+const formatDateTime = (value) => new Date(value).toLocaleString()
+
+const TradingSettings = () => {
+  const { isAdmin, isTrader } = useAuth()
+
+  const [configurations, setConfigurations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [editing, setEditing] = useState(null)
+  const [draft, setDraft] = useState({ config_value: {}, effective_from: '', change_reason: '' })
+  const [saving, setSaving] = useState(false)
+  const [history, setHistory] = useState(null)
+  const [historyLoading, setHistoryLoading] = useState(false)
+
+  // Fetch config keys with their current and scheduled versions
+  const fetchConfigurations = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/configuration')
+      setConfigurations(response.data.data.configurations)
+    } catch (error) {
+      console.error('Error fetching configuration:', error)
+      toast.error('Failed to fetch trading configuration')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (isAdmin() || isTrader()) {
+      fetchConfigurations()
+    } else {
+      setLoading(false)
+    }
+  }, [])
+
+  // Fetch the version history of a key
+  const openHistory = async (configKey) => {
+    try {
+      setHistoryLoading(true)
+      setHistory({ config_key: configKey, versions: [] })
+      const response = await api.get(`/configuration/${configKey}/versions`)
+      setHistory({ config_key: configKey, versions: response.data.data.versions })
+    } catch (error) {
+      console.error('Error fetching history:', error)
+      toast.error('Failed to fetch configuration history')
+      setHistory(null)
+    } finally {
+      setHistoryLoading(false)
+    }
+  }
+
+  const startEditing = (configuration) => {
+    setEditing(configuration.config_key)
+    setDraft({
+      config_value: structuredClone(configuration.current?.config_value || {}),
+      effective_from: '',
+      change_reason: ''
+    })
+  }
+
+  // Update a numeric field of the draft value, e.g. ['zone_multiplier', 'North']
+  const updateField = (path, rawValue) => {
+    setDraft(prev => {
+      const configValue = structuredClone(prev.config_value)
+      let target = configValue
+      path.slice(0, -1).forEach(part => { target = target[part] })
+      target[path[path.length - 1]] = rawValue === '' ? '' : Number(rawValue)
+      return { ...prev, config_value: configValue }
+    })
+  }
+
+  const saveVersion = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      const payload = {
+        config_value: draft.config_value,
+        change_reason: draft.change_reason
+      }
+      if (draft.effective_from) {
+        payload.effective_from = new Date(draft.effective_from).toISOString()
+      }
+
+      const response = await api.post(`/configuration/${editing}/versions`, payload)
+      toast.success(response.data.message)
+      setEditing(null)
+      await fetchConfigurations()
+      if (history?.config_key === editing) {
+        await openHistory(editing)
+      }
+    } catch (error) {
+      console.error('Error saving configuration:', error)
+      const details = error.response?.data?.errors
+      toast.error(details?.[0]?.message || error.response?.data?.message || 'Failed to save configuration')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Numeric inputs for each field of a config value, one level of nesting deep
+  const renderValueFields = (value, path = []) => (
+    Object.entries(value).map(([field, fieldValue]) => (
+      typeof fieldValue === 'object' && fieldValue !== null ? (
+        <div key={field} className="col-span-full">
+          <p className="text-sm font-medium text-gray-700 mb-2">{formatLabel(field)}</p>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 pl-4 border-l-2 border-gray-200">
+            {renderValueFields(fieldValue, [...path, field])}
+          </div>
+        </div>
+      ) : (
+        <div key={field}>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {formatLabel(field)}
+          </label>
+          <input
+            type="number"
+            step="any"
+            value={fieldValue}
+            onChange={(e) => updateField([...path, field], e.target.value)}
+            className="input-field"
+            required
+          />
+        </div>
+      )
+    ))
+  )
+
+  // Read-only summary of a config value
+  const renderValue = (value, configKey) => configKey === 'EMD_RULES' ? (
+    <EmdRulesTable rules={value?.rules} />
+  ) : configKey === 'PAYMENT_SCHEDULE' ? (
+    <PaymentTranchesTable tranches={value?.tranches} />
+  ) : configKey === 'CONTRACT_APPROVAL_LEVELS' ? (
+    <ContractApprovalLevelsTable levels={value?.levels} />
+  ) : (
+    <dl className="grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-1 text-sm">
+      {Object.entries(value || {}).map(([field, fieldValue]) => (
+        typeof fieldValue === 'object' && fieldValue !== null ? (
+          Object.entries(fieldValue).map(([subField, subValue]) => (
+            <div key={`${field}.${subField}`}>
+              <dt className="inline text-gray-500">{formatLabel(field)} · {subField}:</dt>
+              <dd className="inline ml-1 font-medium text-gray-900">{subValue}</dd>
+            </div>
+          ))
+        ) : (
+          <div key={field}>
+            <dt className="inline text-gray-500">{formatLabel(field)}:</dt>
+            <dd className="inline ml-1 font-medium text-gray-900">{fieldValue}</dd>
+          </div>
+        )
+      ))}
+    </dl>
+  )
+
+  if (!isAdmin() && !isTrader()) {
+    return (
+      <div className="text-center py-12">
+        <AlertTriangle className="mx-auto h-12 w-12 text-red-400" />
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Access Denied</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          You don't have permission to view this page.
+        </p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Trading Settings</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Rates used by procurement calculations. Every change is saved as a new version;
+          calculations record the version they used.
+        </p>
+      </div>
+
+      {/* Configuration keys */}
+      <div className="space-y-4">
+        {configurations.map((configuration) => (
+          <div key={configuration.config_key} className="card p-6">
+            <div className="flex items-start justify-between">
+              <div className="flex items-center">
+                <Settings2 className="h-6 w-6 text-blue-500 mr-2" />
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">{configuration.config_key}</h2>
+                  <p className="text-sm text-gray-500">{configuration.description}</p>
+                </div>
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => openHistory(configuration.config_key)}
+                  className="btn-secondary"
+                >
+                  <History className="h-4 w-4 mr-2" />
+                  History
+                </button>
+                {isAdmin() && editing !== configuration.config_key && (
+                  <button
+                    onClick={() => startEditing(configuration)}
+                    className="btn-primary"
+                  >
+                    <Pencil className="h-4 w-4 mr-2" />
+                    New Version
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {/* Current version */}
+            <div className="mt-4 bg-gray-50 p-4 rounded-lg">
+              {configuration.current ? (
+                <>
+                  <p className="text-xs text-gray-500 mb-2">
+                    Version {configuration.current.version} · effective since {formatDateTime(configuration.current.effective_from)}
+                  </p>
+                  {renderValue(configuration.current.config_value, configuration.config_key)}
+                </>
+              ) : (
+                <p className="text-sm text-red-600">No version is in effect. Procurement calculations will fail.</p>
+              )}
+            </div>
+
+            {/* Scheduled versions */}
+            {configuration.scheduled.length > 0 && (
+              <div className="mt-3 space-y-2">
+                {configuration.scheduled.map((version) => (
+                  <div key={version.id} className="flex items-start text-sm text-yellow-800 bg-yellow-50 p-3 rounded-lg">
+                    <CalendarClock className="h-4 w-4 mr-2 mt-0.5 shrink-0" />
+                    <div>
+                      <p className="font-medium">
+                        Version {version.version} takes effect {formatDateTime(version.effective_from)}
+                      </p>
+                      {renderValue(version.config_value, configuration.config_key)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* New version form */}
+            {editing === configuration.config_key && (
+              <form onSubmit={saveVersion} className="mt-4 border-t border-gray-200 pt-4 space-y-4">
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  {editing === 'EMD_RULES' ? (
+                    <EmdRulesEditor
+                      rules={draft.config_value.rules || []}
+                      onChange={(rules) => setDraft(prev => ({ ...prev, config_value: { ...prev.config_value, rules } }))}
+                    />
+                  ) : editing === 'PAYMENT_SCHEDULE' ? (
+                    <PaymentTranchesEditor
+                      tranches={draft.config_value.tranches || []}
+                      onChange={(tranches) => setDraft(prev => ({ ...prev, config_value: { ...prev.config_value, tranches } }))}
+                    />
+                  ) : editing === 'CONTRACT_APPROVAL_LEVELS' ? (
+                    <ContractApprovalLevelsEditor
+                      levels={draft.config_value.levels || []}
+                      onChange={(levels) => setDraft(prev => ({ ...prev, config_value: { ...prev.config_value, levels } }))}
+                    />
+                  ) : (
+                    renderValueFields(draft.config_value)
+                  )}
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Effective From
+                    </label>
+                    <input
+                      type="datetime-local"
+                      value={draft.effective_from}
+                      onChange={(e) => setDraft(prev => ({ ...prev, effective_from: e.target.value }))}
+                      className="input-field"
+                    />
+                    <p className="mt-1 text-xs text-gray-500">Leave empty to apply immediately</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Reason for Change
+                    </label>
+                    <input
+                      type="text"
+                      value={draft.change_reason}
+                      onChange={(e) => setDraft(prev => ({ ...prev, change_reason: e.target.value }))}
+                      placeholder="e.g. CCI circular dated ..."
+                      className="input-field"
+                      required
+                      minLength={3}
+                      maxLength={500}
+                    />
+                  </div>
+                </div>
+
+                <div className="flex justify-end space-x-4">
+                  <button
+                    type="button"
+                    onClick={() => setEditing(null)}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="btn-primary"
+                  >
+                    {saving ? (
+                      <>
+                        <LoadingSpinner size="sm" />
+                        <span className="ml-2">Saving...</span>
+                      </>
+                    ) : (
+                      'Save Version'
+                    )}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Version history */}
+      {history && (
+        <div className="card p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center">
+              <History className="h-6 w-6 text-orange-500 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">{history.config_key} History</h2>
+            </div>
+            <button
+              onClick={() => setHistory(null)}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          {historyLoading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner size="md" />
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Version
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Value
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Effective From
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Reason
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Changed By
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {history.versions.map((version) => (
+                    <tr key={version.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        v{version.version}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {renderValue(version.config_value, history.config_key)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatDateTime(version.effective_from)}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        {version.change_reason || '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {version.users ? `${version.users.first_name} ${version.users.last_name}` : 'System'}
+                        <p className="text-xs text-gray-400">{formatDateTime(version.created_at)}</p>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TradingSettings
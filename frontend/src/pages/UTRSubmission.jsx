@@ -1,10 +1,11 @@
 /**
  * UTR Submission page - Flow 2
- * Allow users to submit UTR number for payment verification
+ * Allow users to submit the UTR of a transfer paying a payment, or correct a
+ * rejected one. A payment can be paid in several transfers.
  */
 
 import React, { useState, useEffect } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import api from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
@@ -17,28 +18,76 @@ import {
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 
+// Reference formats per payment mode; the server checks them in full
+const UTR_FORMATS = {
+  RTGS: {
+    length: 22,
+    pattern: /^[A-Z]{4}R[A-Z0-9]\d{16}$/,
+    hint: 'Bank IFSC code, R, channel, date (YYYYMMDD) and an 8 digit sequence',
+    example: 'SBINR52025010112345678'
+  },
+  NEFT: {
+    length: 16,
+    pattern: /^[A-Z]{4}N[A-Z0-9]{11}$/,
+    hint: 'Bank IFSC code, N and an 11 character sequence',
+    example: 'HDFCN25123456789'
+  },
+  IMPS: {
+    length: 12,
+    pattern: /^\d{12}$/,
+    hint: 'Year digit, day of year, hour and a 6 digit sequence',
+    example: '501512345678'
+  }
+}
+
+const TRANSACTION_STATUS_LABELS = {
+  utr_submitted: 'Awaiting review',
+  under_review: 'Under review',
+  verified: 'Verified',
+  rejected: 'Rejected'
+}
+
 const UTRSubmission = () => {
   const { id } = useParams()
+  const [searchParams] = useSearchParams()
   const navigate = useNavigate()
   const { user } = useAuth()
   
   const [payment, setPayment] = useState(null)
+  const [balance, setBalance] = useState(null)
   const [loading, setLoading] = useState(true)
   const [submitting, setSubmitting] = useState(false)
   const [utrNumber, setUtrNumber] = useState('')
+  const [paymentMode, setPaymentMode] = useState('RTGS')
+  const [amount, setAmount] = useState('')
   const [screenshot, setScreenshot] = useState(null)
 
+  const correctId = searchParams.get('correct')
+
   // Fetch payment details
   useEffect(() => {
     const fetchPayment = async () => {
       try {
         const response = await api.get(`/payment/${id}`)
-        setPayment(response.data.data.payment)
-        
-        // If UTR already submitted, redirect to verified payments
-        if (response.data.data.payment.utr_number) {
-        
-          navigate('/payment/verified')
+        const { payment: fetchedPayment, balance: fetchedBalance } = response.data.data
+        setPayment(fetchedPayment)
+        setBalance(fetchedBalance)
+        if (UTR_FORMATS[fetchedPayment.payment_mode]) {
+          setPaymentMode(fetchedPayment.payment_mode)
+        }
+
+        // A rejected UTR is corrected here; otherwise a new UTR covers what is left
+        const rejected = fetchedPayment.transactions.find(
+          transaction => transaction.id === correctId && transaction.transaction_status === 'rejected'
+        )
+        if (rejected) {
+          setUtrNumber(rejected.utr_number)
+          setPaymentMode(rejected.payment_mode)
+          setAmount(String(Math.min(rejected.amount, fetchedBalance.unclaimed)))
+        } else if (fetchedBalance.unclaimed > 0) {
+          setAmount(String(fetchedBalance.unclaimed))
+        } else {
+          navigate(`/payment/${id}`)
           return
         }
       } catch (error) {
@@ -50,27 +99,39 @@ const UTRSubmission = () => {
     }
 
     fetchPayment()
-  }, [id, navigate])
+  }, [id, correctId, navigate])
 
   // Handle UTR submission
   const submitUTR = async () => {
-    if (!utrNumber || utrNumber.length < 12) {
-      toast.error('Please enter a valid UTR number (minimum 12 characters)')
+    const format = UTR_FORMATS[paymentMode]
+    if (!format.pattern.test(utrNumber)) {
+      toast.error(`${paymentMode} UTR must be ${format.length} characters: ${format.hint}`)
+      return
+    }
+
+    const transferAmount = Number(amount)
+    if (!(transferAmount > 0) || transferAmount > balance.unclaimed) {
+      toast.error(`Amount must be more than ₹0 and at most ₹${balance.unclaimed.toLocaleString()}`)
       return
     }
 
     try {
       setSubmitting(true)
-      await api.post('/utr/submit', {
-        payment_id: id,
-        utr_number: utrNumber
-      })
+      const body = {
+        utr_number: utrNumber,
+        payment_mode: paymentMode,
+        amount: transferAmount
+      }
+      const response = correcting
+        ? await api.put(`/utr/transactions/${correcting.id}`, body)
+        : await api.post('/utr/submit', { ...body, payment_id: id })
       
-      toast.success('UTR submitted successfully!')
-      navigate('/payment/verified')
+      toast.success(response.data.message)
+      response.data.data.warnings.forEach(warning => toast.error(warning.message, { duration: 8000 }))
+      navigate(`/payment/${id}`)
     } catch (error) {
       console.error('Error submitting UTR:', error)
-      toast.error(error.response?.data?.message || 'Failed to submit UTR')
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to submit UTR')
     } finally {
       setSubmitting(false)
     }
@@ -111,6 +172,10 @@ const UTRSubmission = () => {
   }
 
   const isOverdue = new Date() > new Date(payment.due_date)
+  const correcting = payment.transactions.find(
+    transaction => transaction.id === correctId && transaction.transaction_status === 'rejected'
+  )
+  const canCorrect = correcting?.submitted_by === user?.id
 
   return (
     <div className="space-y-6">
@@ -118,9 +183,13 @@ const UTRSubmission = () => {
       <div className="border-b border-gray-200 pb-4">
         <div className="flex items-center justify-between">
           <div>
-            <h1 className="text-2xl font-bold text-gray-900">Submit UTR Number</h1>
+            <h1 className="text-2xl font-bold text-gray-900">
+              {correcting ? 'Correct UTR Number' : 'Submit UTR Number'}
+            </h1>
             <p className="mt-1 text-sm text-gray-600">
-              Enter your UTR number to verify payment completion
+              {correcting
+                ? 'The submitted UTR was rejected. Correct it and submit it for verification again'
+                : 'Enter the UTR and amount of each transfer; the payment is complete once transfers cover the amount due'}
             </p>
           </div>
           <button
@@ -132,6 +201,29 @@ const UTRSubmission = () => {
         </div>
       </div>
 
+      {/* Rejection Reason */}
+      {correcting && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <AlertTriangle className="h-6 w-6 text-red-500 mr-3" />
+            <div>
+              <h3 className="text-lg font-medium text-red-900">UTR Rejected</h3>
+              <p className="text-sm text-red-700">
+                {correcting.reviewed_user
+                  ? `${correcting.reviewed_user.first_name} ${correcting.reviewed_user.last_name} rejected UTR ${correcting.utr_number}`
+                  : `UTR ${correcting.utr_number} was rejected`}
+                {correcting.reviewed_at && ` on ${new Date(correcting.reviewed_at).toLocaleDateString()}`}: {correcting.rejection_reason}
+              </p>
+              {!canCorrect && (
+                <p className="mt-1 text-sm text-red-700">
+                  Only the user who submitted the UTR can correct it.
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Overdue Warning */}
       {isOverdue && (
         <div className="bg-red-50 border border-red-200 rounded-lg p-4">
@@ -157,6 +249,23 @@ const UTRSubmission = () => {
           </div>
 
           <div className="space-y-6">
+            {/* Payment Mode */}
+            <div>
+              <label htmlFor="payment_mode" className="block text-sm font-medium text-gray-700 mb-2">
+                Paid By *
+              </label>
+              <select
+                id="payment_mode"
+                value={paymentMode}
+                onChange={(e) => setPaymentMode(e.target.value)}
+                className="input-field"
+              >
+                {Object.keys(UTR_FORMATS).map(mode => (
+                  <option key={mode} value={mode}>{mode}</option>
+                ))}
+              </select>
+            </div>
+
             {/* UTR Number Input */}
             <div>
               <label htmlFor="utr" className="block text-sm font-medium text-gray-700 mb-2">
@@ -166,14 +275,33 @@ const UTRSubmission = () => {
                 type="text"
                 id="utr"
                 value={utrNumber}
-                onChange={(e) => setUtrNumber(e.target.value.toUpperCase())}
-                placeholder="Enter 12-22 digit UTR number"
+                onChange={(e) => setUtrNumber(e.target.value.toUpperCase().replace(/\s+/g, ''))}
+                placeholder={`Enter ${UTR_FORMATS[paymentMode].length} character ${paymentMode} UTR`}
+                className="input-field"
+                maxLength={UTR_FORMATS[paymentMode].length}
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                {UTR_FORMATS[paymentMode].hint}, e.g. {UTR_FORMATS[paymentMode].example}
+              </p>
+            </div>
+
+            {/* Transfer Amount */}
+            <div>
+              <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-2">
+                Amount Transferred (₹) *
+              </label>
+              <input
+                type="number"
+                id="amount"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                min="0.01"
+                max={balance.unclaimed}
+                step="0.01"
                 className="input-field"
-                maxLength={22}
-                minLength={12}
               />
               <p className="mt-1 text-xs text-gray-500">
-                UTR (Unique Transaction Reference) number from your bank statement
+                Up to ₹{balance.unclaimed.toLocaleString()} not yet covered by submitted UTRs
               </p>
             </div>
 
@@ -215,7 +343,7 @@ const UTRSubmission = () => {
             {/* Submit Button */}
             <button
               onClick={submitUTR}
-              disabled={submitting || !utrNumber || utrNumber.length < 12}
+              disabled={submitting || utrNumber.length !== UTR_FORMATS[paymentMode].length || !amount || (correcting && !canCorrect)}
               className="w-full btn-primary"
             >
               {submitting ? (
@@ -223,6 +351,8 @@ const UTRSubmission = () => {
                   <LoadingSpinner size="sm" />
                   <span className="ml-2">Submitting...</span>
                 </>
+              ) : correcting ? (
+                'Resubmit Corrected UTR'
               ) : (
                 'Submit UTR Number'
               )}
@@ -246,6 +376,22 @@ const UTRSubmission = () => {
               </p>
             </div>
 
+            {/* Balance */}
+            <div className="grid grid-cols-3 gap-2 text-center">
+              <div className="bg-gray-50 p-2 rounded-md">
+                <p className="text-xs text-gray-500">Paid</p>
+                <p className="text-sm font-medium text-gray-900">₹{balance.paid.toLocaleString()}</p>
+              </div>
+              <div className="bg-gray-50 p-2 rounded-md">
+                <p className="text-xs text-gray-500">Awaiting Verification</p>
+                <p className="text-sm font-medium text-gray-900">₹{balance.awaiting_verification.toLocaleString()}</p>
+              </div>
+              <div className="bg-gray-50 p-2 rounded-md">
+                <p className="text-xs text-gray-500">Outstanding</p>
+                <p className="text-sm font-medium text-gray-900">₹{balance.outstanding.toLocaleString()}</p>
+              </div>
+            </div>
+
             {/* Payment Details */}
             <div className="space-y-3">
               <div className="flex justify-between">
@@ -272,6 +418,23 @@ const UTRSubmission = () => {
               </div>
             </div>
 
+            {/* Earlier Transfers */}
+            {payment.transactions.length > 0 && (
+              <div className="pt-4 border-t border-gray-200">
+                <h3 className="text-sm font-medium text-gray-900 mb-3">Submitted UTRs</h3>
+                <div className="space-y-2 text-sm">
+                  {payment.transactions.map((transaction) => (
+                    <div key={transaction.id} className="flex justify-between">
+                      <span className="font-mono text-gray-900">{transaction.utr_number}</span>
+                      <span className="text-gray-500">
+                        ₹{transaction.amount.toLocaleString()} · {TRANSACTION_STATUS_LABELS[transaction.transaction_status]}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Procurement Info */}
             {payment.procurement_dump && (
               <div className="pt-4 border-t border-gray-200">
@@ -303,12 +466,14 @@ const UTRSubmission = () => {
 
         <div className="bg-blue-50 p-4 rounded-lg">
           <ul className="list-disc list-inside space-y-2 text-sm text-blue-900">
-            <li>UTR number is a 12-22 digit unique reference number provided by your bank</li>
+            <li>UTR number is the unique reference your bank gives the transfer: 22 characters for RTGS, 16 for NEFT and 12 digits for IMPS</li>
+            <li>RTGS and NEFT UTRs start with the IFSC code of the bank you paid from</li>
+            <li>A UTR identifies one transfer and can be submitted only once</li>
             <li>Check your bank statement, payment receipt, or mobile banking app for UTR</li>
-            <li>Ensure the UTR corresponds to the exact payment amount mentioned above</li>
+            <li>If you paid in several transfers, submit each UTR with the amount of that transfer</li>
             <li>Screenshot upload is optional but recommended for faster verification</li>
-            <li>Once submitted, UTR cannot be modified. Please verify before submission</li>
-            <li>After successful submission, payment status will be updated to "Verified"</li>
+            <li>Once submitted, UTR can only be corrected if a reviewer rejects it</li>
+            <li>Another user verifies the UTR, or it is verified when the transfer appears on an imported bank statement</li>
           </ul>
         </div>
       </div>
@@ -317,18 +482,13 @@ const UTRSubmission = () => {
       <div className="card p-6">
         <h3 className="text-sm font-medium text-gray-900 mb-3">Sample UTR Formats</h3>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-xs">
-          <div className="bg-gray-50 p-3 rounded-md">
-            <p className="font-medium text-gray-900 mb-1">SBI</p>
-            <p className="text-gray-600">123456789012</p>
-          </div>
-          <div className="bg-gray-50 p-3 rounded-md">
-            <p className="font-medium text-gray-900 mb-1">HDFC</p>
-            <p className="text-gray-600">H123456789012345</p>
-          </div>
-          <div className="bg-gray-50 p-3 rounded-md">
-            <p className="font-medium text-gray-900 mb-1">ICICI</p>
-            <p className="text-gray-600">12345678901234</p>
-          </div>
+          {Object.entries(UTR_FORMATS).map(([mode, format]) => (
+            <div key={mode} className="bg-gray-50 p-3 rounded-md">
+              <p className="font-medium text-gray-900 mb-1">{mode}</p>
+              <p className="text-gray-600 font-mono">{format.example}</p>
+              <p className="text-gray-500 mt-1">{format.hint}</p>
+            </div>
+          ))}
         </div>
       </div>
     </div>
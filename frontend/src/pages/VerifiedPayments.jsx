@@ -294,12 +294,25 @@ const VerifiedPayments = () => {
 
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div>
-                      <div className="text-sm font-medium text-gray-900">
-                        {payment.utr_number}
-                      </div>
-                      <div className="text-sm text-gray-500">
-                        Submitted: {new Date(payment.verified_at).toLocaleDateString()}
-                      </div>
+                      {/* One UTR per verified transfer */}
+                      {payment.transactions
+                        .filter((transaction) => transaction.transaction_status === 'verified')
+                        .map((transaction) => (
+                          <div key={transaction.id} className="mb-1">
+                            <div className="text-sm font-medium text-gray-900">
+                              {transaction.utr_number}
+                              {payment.transactions.length > 1 && (
+                                <span className="ml-2 font-normal text-gray-500">₹{transaction.amount.toLocaleString()}</span>
+                              )}
+                            </div>
+                            <div className="text-sm text-gray-500">
+                              Submitted: {new Date(transaction.submitted_at).toLocaleDateString()}
+                              {transaction.submitted_user && (
+                                ` by ${transaction.submitted_user.first_name} ${transaction.submitted_user.last_name}`
+                              )}
+                            </div>
+                          </div>
+                        ))}
                       <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
                         <CheckCircle className="h-3 w-3 mr-1" />
                         Verified
@@ -329,6 +342,9 @@ const VerifiedPayments = () => {
                       <div className="text-sm text-gray-500">
                         {new Date(payment.verified_at).toLocaleString()}
                       </div>
+                      {payment.transactions.length > 1 && (
+                        <div className="text-sm text-gray-500">Paid in {payment.transactions.filter((transaction) => transaction.transaction_status === 'verified').length} transfers</div>
+                      )}
                     </div>
                   </td>
 
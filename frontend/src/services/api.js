@@ -81,6 +81,29 @@ export const uploadFile = async (url, formData, onUploadProgress) => {
   })
 }
 
+// Helper function to download a file, such as a PDF, and save it under a name
+export const downloadFile = async (url, fileName, params = {}) => {
+  const response = await api.get(url, { params, responseType: 'blob' })
+  const link = document.createElement('a')
+  link.href = window.URL.createObjectURL(response.data)
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  window.URL.revokeObjectURL(link.href)
+  return response
+}
+
+// Helper function to read the message of a failed request made for a blob,
+// whose error body arrives as a Blob rather than JSON
+export const blobErrorMessage = async (error, fallback) => {
+  try {
+    return JSON.parse(await error.response.data.text()).message || fallback
+  } catch (parseError) {
+    return fallback
+  }
+}
+
 // Helper function for GET requests with query parameters
 export const get = (url, params = {}) => {
   return api.get(url, { params })